@@ -50,6 +50,36 @@ function genEvmLocal() {
   return { address: w.address, privateKey: w.privateKey };
 }
 
+function usd(n) {
+  if (n === null || n === undefined) return "-";
+  return `$${n.toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function fmtAmount(n) {
+  if (n === null || n === undefined) return "-";
+  return n.toLocaleString("en-US", { maximumFractionDigits: n < 1 ? 8 : 4 });
+}
+
+// GET /api/portfolio -> per-chain table
+function renderPortfolio(p) {
+  const cols = (r) => `${r[0].padEnd(10)} ${r[1].padStart(18)} ${r[2].padStart(14)} ${r[3].padStart(14)}`;
+  for (const c of p.chains) {
+    console.log(`\n${c.chain.toUpperCase()}  ${c.address}`);
+    if (c.error) {
+      console.log(`  ⚠️  ${c.error}`);
+      continue;
+    }
+    console.log(cols(["TOKEN", "AMOUNT", "PRICE", "VALUE"]));
+    for (const h of c.holdings) {
+      const name = h.symbol || `${String(h.address).slice(0, 6)}…`;
+      console.log(cols([name, h.error ? "error" : fmtAmount(h.amount), usd(h.priceUsd), usd(h.valueUsd)]));
+    }
+    console.log(`${"".padEnd(10)} ${"".padStart(18)} ${"total".padStart(14)} ${usd(c.totalUsd).padStart(14)}`);
+    if (c.unpriced.length) console.log(`  (no price: ${c.unpriced.join(", ")})`);
+  }
+  console.log(`\nTOTAL ${usd(p.totalUsd)}  (${new Date(p.at).toLocaleString()})`);
+}
+
 async function menu() {
   console.log("\n=== IntercomSwap ProMax — CLI ===");
   console.log(`Base URL : ${BASE_URL}`);
@@ -74,6 +104,7 @@ async function menu() {
   console.log("[14] Watchlist Remove");
 
   console.log("\n[15] Change Base URL");
+  console.log("[16] Portfolio (SPL + ERC-20, USD)");
   console.log("[0] Exit\n");
 }
 
@@ -177,6 +208,14 @@ async function run() {
       continue;
     }
 
+    if (pick === "16") {
+      const wallet = await ask("Vault wallet name (empty = default): ");
+      const r = await api(`/api/portfolio${wallet ? `?wallet=${encodeURIComponent(wallet)}` : ""}`);
+      if (r.ok) renderPortfolio(r.data);
+      else console.log(r);
+      continue;
+    }
+
     console.log("Unknown menu.");
   }
 
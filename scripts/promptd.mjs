@@ -292,10 +292,19 @@ async function main() {
             commitment: 'confirmed',
             program_id: '',
             usdt_mint: '',
+            assets: [],
             keypair: '',
             cu_limit: null,
             cu_price: null,
           },
+          // Oracle-pegged maker pricing (quote price_mode=oracle, autopost pricing).
+          // Quotes are refused when the price consensus is missing or older than max_age_ms.
+          pricing: {
+            spread_bps: 50,
+            tiers: [{ min_btc_sats: 1000000, spread_bps: 30 }],
+            max_age_ms: 30000,
+            reprice_threshold_bps: 25,
+          },
         },
         null,
         2
@@ -318,6 +327,7 @@ async function main() {
     ln: setup.ln,
     solana: setup.solana,
     receipts: setup.receipts,
+    pricing: setup.pricing,
   });
 
   const router = new PromptRouter({
@@ -13,8 +13,10 @@ import {
 import { SolanaRpcPool } from '../src/solana/rpcPool.js';
 import { ScBridgeClient } from '../src/sc-bridge/client.js';
 import { createUnsignedEnvelope, attachSignature, signUnsignedEnvelopeHex } from '../src/protocol/signedMessage.js';
-import { KIND, ASSET, PAIR, STATE } from '../src/swap/constants.js';
+import { ASSET, KIND, STATE } from '../src/swap/constants.js';
+import { swapRoles } from '../src/swap/roles.js';
 import { validateSwapEnvelope } from '../src/swap/schema.js';
+import { registerConfiguredSwapAssets, settlementAsset, swapAssets } from '../src/swap/assets.js';
 import { hashUnsignedEnvelope } from '../src/swap/hash.js';
 import { deriveIntercomswapAppHash } from '../src/swap/app.js';
 import { createInitialTrade, applySwapEnvelope } from '../src/swap/stateMachine.js';
@@ -32,6 +34,7 @@ import {
 import { readSolanaKeypair } from '../src/solana/keypair.js';
 import { openTradeReceiptsStore } from '../src/receipts/store.js';
 import { loadPeerWalletFromFile } from '../src/peer/keypair.js';
+import { normalizeMakerPricing, priceMaker } from '../src/price/pricing.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -167,6 +170,29 @@ async function main() {
   const solRefundAfterSec = parseIntFlag(flags.get('solana-refund-after-sec'), 'solana-refund-after-sec', 72 * 3600);
   const lnInvoiceExpirySec = parseIntFlag(flags.get('ln-invoice-expiry-sec'), 'ln-invoice-expiry-sec', 3600);
 
+  // Oracle-pegged quotes (--price-mode oracle): price off the SC-Bridge price consensus instead of
+  // echoing the RFQ amount, which also makes open RFQs (usdt_amount=0) quotable.
+  const priceMode = (flags.get('price-mode') && String(flags.get('price-mode')).trim().toLowerCase()) || 'rfq';
+  if (priceMode !== 'rfq' && priceMode !== 'oracle') die('Invalid --price-mode (rfq|oracle)');
+  let pricing = null;
+  try {
+    // --price-tiers "min_btc_sats:spread_bps,..." e.g. "1000000:30,5000000:20"
+    const tiersRaw = flags.get('price-tiers') ? String(flags.get('price-tiers')).trim() : '';
+    const tiers = tiersRaw
+      ? tiersRaw.split(',').map((part) => {
+          const [minSats, bps] = part.split(':').map((x) => Number.parseInt(String(x || '').trim(), 10));
+          return { min_btc_sats: minSats, spread_bps: bps };
+        })
+      : [];
+    pricing = normalizeMakerPricing({
+      spread_bps: parseIntFlag(flags.get('price-spread-bps'), 'price-spread-bps', undefined),
+      tiers,
+      max_age_ms: parseIntFlag(flags.get('price-max-age-ms'), 'price-max-age-ms', undefined),
+    });
+  } catch (err) {
+    die(`Invalid pricing flags: ${err?.message || String(err)}`);
+  }
+
   // Hard guardrails for safety + inventory lockup.
   // - Too short => increases "paid but can't claim before refund" risk.
   // - Too long  => griefing can lock maker inventory for excessive time.
@@ -208,6 +234,15 @@ async function main() {
   const lndMacaroon = flags.get('lnd-macaroon') ? String(flags.get('lnd-macaroon')).trim() : '';
   const lndDir = flags.get('lnd-dir') ? String(flags.get('lnd-dir')).trim() : '';
 
+  // Legacy (no sol_asset) envelopes must name a registered USDT_SOL mint; allow-list ours (devnet/regtest mints).
+  if (solMintStr) {
+    try {
+      registerConfiguredSwapAssets({ assets: [{ asset: ASSET.USDT_SOL, mint: solMintStr, decimals: solDecimals }] });
+    } catch (err) {
+      die(`Invalid --solana-mint: ${err?.message || String(err)}`);
+    }
+  }
+
   const expectedProgramId = solProgramIdStr ? new PublicKey(solProgramIdStr) : LN_USDT_ESCROW_PROGRAM_ID;
   const expectedAppHash = deriveIntercomswapAppHash({ solanaProgramId: expectedProgramId.toBase58() });
 
@@ -471,29 +506,31 @@ async function main() {
 
     // Fees are part of the agreed terms (and must match what we advertised in the QUOTE).
     const fees = await fetchFeeSnapshot();
+    const roles = swapRoles(ctx.direction);
 
     const termsUnsigned = createUnsignedEnvelope({
       v: 1,
       kind: KIND.TERMS,
       tradeId: ctx.tradeId,
       body: {
-        pair: PAIR.BTC_LN__USDT_SOL,
-        direction: `${ASSET.BTC_LN}->${ASSET.USDT_SOL}`,
+        pair: ctx.pair,
+        direction: roles.direction,
         app_hash: expectedAppHash,
         btc_sats: ctx.btcSats,
         usdt_amount: ctx.usdtAmount,
         usdt_decimals: solDecimals,
         sol_mint: sol.mint.toBase58(),
-        sol_recipient: ctx.solRecipient,
-        sol_refund: sol.payer.publicKey.toBase58(),
+        [roles.taker_sol_field]: ctx.solRecipient,
+        [roles.maker_sol_field]: sol.payer.publicKey.toBase58(),
         sol_refund_after_unix: nowSec + solRefundAfterSec,
         platform_fee_bps: fees.platformFeeBps,
         platform_fee_collector: fees.platformFeeCollector ? fees.platformFeeCollector.toBase58() : null,
         trade_fee_bps: fees.tradeFeeBps,
         trade_fee_collector: fees.tradeFeeCollector ? fees.tradeFeeCollector.toBase58() : null,
-        ln_receiver_peer: makerPubkey,
-        ln_payer_peer: ctx.inviteePubKey,
+        [roles.maker_peer_field]: makerPubkey,
+        [roles.taker_peer_field]: ctx.inviteePubKey,
         terms_valid_until_unix: nowSec + termsValidSec,
+        ...(ctx.priceRef ? { price_ref: ctx.priceRef } : {}),
       },
     });
     const signed = signSwapEnvelope(termsUnsigned, signing);
@@ -515,6 +552,8 @@ async function main() {
         taker_peer: ctx.inviteePubKey,
         btc_sats: ctx.btcSats,
         usdt_amount: ctx.usdtAmount,
+        direction: roles.direction,
+        ...(ctx.priceRef ? { price_ref_json: ctx.priceRef } : {}),
         sol_mint: signed.body.sol_mint,
         sol_program_id: sol?.programId?.toBase58?.() ?? null,
         sol_recipient: signed.body.sol_recipient,
@@ -775,6 +814,14 @@ async function main() {
         const rfqUnsigned = stripSignature(msg);
         const rfqId = hashUnsignedEnvelope(rfqUnsigned);
 
+        // QUOTE/TERMS copy the RFQ pair and direction. Settlement here is the LN receiver side only
+        // (invoice + escrow deposit), so skip directions where the maker would pay LN and claim.
+        const roles = swapRoles(String(msg.body?.direction || ''));
+        if (!roles || roles.ln_receiver !== 'maker') {
+          if (debug) process.stderr.write(`[maker] skip rfq unsupported direction=${msg.body?.direction} trade_id=${msg.trade_id}\n`);
+          return;
+        }
+
         if (msg.body?.valid_until_unix !== undefined) {
           const nowSec = Math.floor(Date.now() / 1000);
           if (Number(msg.body.valid_until_unix) <= nowSec) {
@@ -879,9 +926,41 @@ async function main() {
           if (debug) process.stderr.write(`[maker] skip rfq invalid usdt_amount trade_id=${msg.trade_id}\n`);
           return;
         }
-        if (quoteUsdtAmount === '0') {
-          // Negotiated flow requires explicit amounts; no oracle-priced/open RFQs.
-          if (debug) process.stderr.write(`[maker] skip rfq open amount unsupported trade_id=${msg.trade_id}\n`);
+        let priceRef = null;
+        if (priceMode === 'oracle') {
+          // Keep the RFQ amount when it already beats our pegged price; open RFQs take the pegged amount.
+          // Pair and side come from the RFQ (settlement asset, direction), as in the prompt executor.
+          const pair = swapAssets.get(settlementAsset(msg.body))?.price_pair;
+          if (!pair) {
+            if (debug) process.stderr.write(`[maker] skip rfq no price pair for ${settlementAsset(msg.body)} trade_id=${msg.trade_id}\n`);
+            return;
+          }
+          const makerBuysBtc = roles.ln_receiver === 'maker';
+          let snapshot = null;
+          try {
+            snapshot = await sc.priceGet();
+          } catch (_e) {}
+          const priced = priceMaker({
+            snapshot,
+            pricing,
+            pair,
+            btcSats: Number(msg.body.btc_sats),
+            decimals: solDecimals,
+            makerBuysBtc,
+          });
+          if (!priced.ok) {
+            if (debug) process.stderr.write(`[maker] skip rfq price unavailable trade_id=${msg.trade_id}: ${priced.error}\n`);
+            return;
+          }
+          const asked = BigInt(quoteUsdtAmount);
+          const pegged = BigInt(priced.usdt_amount);
+          let amount = pegged;
+          if (asked > 0n) amount = makerBuysBtc ? (asked < pegged ? asked : pegged) : asked > pegged ? asked : pegged;
+          quoteUsdtAmount = amount.toString();
+          priceRef = priced.price_ref;
+        } else if (quoteUsdtAmount === '0') {
+          // Open RFQs have no amount to echo; they are only quoted with --price-mode oracle.
+          if (debug) process.stderr.write(`[maker] skip rfq open amount (needs --price-mode oracle) trade_id=${msg.trade_id}\n`);
           return;
         }
 
@@ -894,8 +973,8 @@ async function main() {
           tradeId: String(msg.trade_id),
           body: {
             rfq_id: rfqId,
-            pair: PAIR.BTC_LN__USDT_SOL,
-            direction: `${ASSET.BTC_LN}->${ASSET.USDT_SOL}`,
+            pair: msg.body.pair,
+            direction: roles.direction,
             app_hash: expectedAppHash,
             btc_sats: msg.body.btc_sats,
             usdt_amount: quoteUsdtAmount,
@@ -906,6 +985,7 @@ async function main() {
             trade_fee_collector: fees.tradeFeeCollector ? fees.tradeFeeCollector.toBase58() : null,
             sol_refund_window_sec: solRefundAfterSec,
             ...(runSwap ? { sol_mint: sol.mint.toBase58(), sol_recipient: solRecipient } : {}),
+            ...(priceRef ? { price_ref: priceRef } : {}),
             valid_until_unix: quoteValidUntilUnix,
           },
         });
@@ -917,6 +997,8 @@ async function main() {
           rfq_id: rfqId,
           rfq_signer: String(msg.signer || '').trim().toLowerCase(),
           trade_id: String(msg.trade_id),
+          pair: msg.body.pair,
+          direction: roles.direction,
           btc_sats: msg.body.btc_sats,
           usdt_amount: quoteUsdtAmount,
           platform_fee_bps: fees.platformFeeBps,
@@ -926,6 +1008,7 @@ async function main() {
           sol_refund_window_sec: solRefundAfterSec,
           sol_recipient: solRecipient,
           sol_mint: runSwap ? sol.mint.toBase58() : (msg.body?.sol_mint ? String(msg.body.sol_mint).trim() : ''),
+          price_ref: priceRef,
           lock_key: lockKey,
         });
         rfqLocks.set(lockKey, {
@@ -1076,8 +1159,11 @@ async function main() {
             swapChannel,
             inviteePubKey,
             invite,
+            pair: known.pair,
+            direction: known.direction,
             btcSats: Number(known.btc_sats),
             usdtAmount: String(known.usdt_amount),
+            priceRef: known.price_ref || null,
             solRecipient: String(known.sol_recipient),
             trade: createInitialTrade(tradeId),
             sent: {},
@@ -1118,6 +1204,7 @@ async function main() {
               taker_peer: inviteePubKey,
               btc_sats: ctx.btcSats,
               usdt_amount: ctx.usdtAmount,
+              direction: ctx.direction,
               sol_mint: runSwap ? sol.mint.toBase58() : null,
               sol_recipient: ctx.solRecipient,
               state: ctx.trade.state,
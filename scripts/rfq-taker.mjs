@@ -17,6 +17,7 @@ import { ScBridgeClient } from '../src/sc-bridge/client.js';
 import { createUnsignedEnvelope, attachSignature, signUnsignedEnvelopeHex } from '../src/protocol/signedMessage.js';
 import { KIND, ASSET, PAIR, STATE } from '../src/swap/constants.js';
 import { validateSwapEnvelope } from '../src/swap/schema.js';
+import { registerConfiguredSwapAssets } from '../src/swap/assets.js';
 import { hashUnsignedEnvelope } from '../src/swap/hash.js';
 import { deriveIntercomswapAppHash } from '../src/swap/app.js';
 import { createInitialTrade, applySwapEnvelope } from '../src/swap/stateMachine.js';
@@ -234,6 +235,15 @@ async function main() {
   const lndMacaroon = flags.get('lnd-macaroon') ? String(flags.get('lnd-macaroon')).trim() : '';
   const lndDir = flags.get('lnd-dir') ? String(flags.get('lnd-dir')).trim() : '';
 
+  // Legacy (no sol_asset) envelopes must name a registered USDT_SOL mint; allow-list ours (devnet/regtest mints).
+  if (solMintStr) {
+    try {
+      registerConfiguredSwapAssets({ assets: [{ asset: ASSET.USDT_SOL, mint: solMintStr, decimals: 6 }] });
+    } catch (err) {
+      die(`Invalid --solana-mint: ${err?.message || String(err)}`);
+    }
+  }
+
   const expectedProgramId = solProgramIdStr ? new PublicKey(solProgramIdStr) : LN_USDT_ESCROW_PROGRAM_ID;
   const expectedAppHash = deriveIntercomswapAppHash({ solanaProgramId: expectedProgramId.toBase58() });
 
@@ -471,6 +481,7 @@ async function main() {
       taker_peer: takerPubkey,
       btc_sats: btcSats,
       usdt_amount: usdtAmount,
+      direction: rfqUnsigned.body.direction,
       sol_mint: runSwap && solMintStr ? solMintStr : null,
       sol_recipient: runSwap ? sol.payer.publicKey.toBase58() : null,
       state: STATE.INIT,
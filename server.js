@@ -5,6 +5,23 @@ import bs58 from "bs58";
 import { ethers } from "ethers";
 import { Connection, Keypair, VersionedTransaction, LAMPORTS_PER_SOL } from "@solana/web3.js";
 
+import { codedError } from "./src/core/errors.js";
+import { createWalletVault, autoLockSecToMs, DEFAULT_VAULT_PATH } from "./src/core/walletVault.js";
+import { simulateSolanaTx, simulateEvmTx } from "./src/core/txSimulation.js";
+import { ensureAllowance, readAllowance, isVerifiedSpender, approvalModeFromEnv } from "./src/core/allowance.js";
+import { trackEvmTx } from "./src/core/txTracker.js";
+import { createBridgeTracker } from "./src/core/bridgeTracker.js";
+import { BridgeStore, DEFAULT_BRIDGE_DB } from "./src/receipts/bridgeStore.js";
+import { createJobRunner } from "./src/core/jobRunner.js";
+import { JobStore, DEFAULT_JOB_DB, JOB_TERMINAL_STATUSES } from "./src/receipts/jobStore.js";
+import { createAgentConversations } from "./src/agents/conversation.js";
+import { prepareOrder, openOrders } from "./src/agents/orders.js";
+import { createApiAuth, loadApiKeys } from "./src/core/apiAuth.js";
+import { createApiAudit, DEFAULT_API_AUDIT_DIR } from "./src/core/apiAudit.js";
+import { fetchDexTokenPairs, pickBestPair } from "./src/core/dexscreener.js";
+import { fetchSolanaMintMeta } from "./src/core/tokenRegistry.js";
+import { buildPortfolio, fetchSolHoldings, fetchEvmHoldings, portfolioWatchlist } from "./src/core/portfolio.js";
+
 const app = express();
 app.use(cors());
 app.use(express.json({ limit: "2mb" }));
@@ -24,9 +41,14 @@ const DRY_RUN = (process.env.DRY_RUN || "1") === "1" || MODE === "test";
 console.log(`🚀 MODE: ${MODE.toUpperCase()} | DRY_RUN: ${DRY_RUN}`);
 console.log(`🔒 HOST: ${HOST}:${PORT}`);
 
-const API_KEY = process.env.API_KEY || "";
+// API keys: scopes, rate limits, daily spend caps (src/core/apiAuth.js)
+const auth = createApiAuth({ keys: loadApiKeys(), defaultRatePerMin: Number(process.env.API_RATE_LIMIT_PER_MIN ?? 120) });
+const requireScope = auth.requireScope;
+const apiAudit = createApiAudit({ dir: process.env.API_AUDIT_DIR || DEFAULT_API_AUDIT_DIR });
+// background jobs, and the per-key spend ledger the caps are enforced on (src/receipts/jobStore.js)
+const jobs = JobStore.open({ dbPath: process.env.JOB_DB || DEFAULT_JOB_DB });
 
-// Groq (optional)
+// Groq (optional, used by the agent Scout in src/agents)
 const GROQ_API_KEY = process.env.GROQ_API_KEY || "";
 const GROQ_MODEL = process.env.GROQ_MODEL || "llama-3.3-70b-versatile";
 
@@ -49,12 +71,27 @@ const CHAIN = {
   base: { chainId: 8453, name: "Base", rpc: RPC_BASE, native: "ETH", explorer: "https://basescan.org/tx/" },
 };
 
-function requireApiKey(req, res, next) {
-  if (!API_KEY) return next();
-  const k = req.headers["x-api-key"];
-  if (k && k === API_KEY) return next();
-  return res.status(401).json({ ok: false, error: "Unauthorized (x-api-key)" });
-}
+// every mutating call (including rejected ones) -> audit log, bodies redacted
+app.use("/api", (req, res, next) => {
+  if (req.method === "GET" || req.method === "HEAD" || req.method === "OPTIONS") return next();
+  const t0 = Date.now();
+  res.on("finish", () => {
+    try {
+      apiAudit.write("api_call", {
+        keyId: req.apiKey?.id || null,
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode,
+        ip: req.ip,
+        durationMs: Date.now() - t0,
+        body: req.body || null,
+      });
+    } catch (e) {
+      console.error("audit write failed:", e.message);
+    }
+  });
+  next();
+});
 
 function maskAddr(a) {
   if (!a) return null;
@@ -65,8 +102,18 @@ function isEvmAddress(x) {
   return typeof x === "string" && /^0x[a-fA-F0-9]{40}$/.test(x.trim());
 }
 
-function isProbablySolAddress(x) {
-  return typeof x === "string" && x.trim().length >= 32 && x.trim().length <= 50 && !x.trim().startsWith("0x");
+// native coin placeholders used by 0x / LI.FI
+const NATIVE_TOKENS = new Set(["eth", "bnb", "0x0000000000000000000000000000000000000000", "0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee"]);
+
+function isNativeToken(x) {
+  return NATIVE_TOKENS.has(String(x || "").trim().toLowerCase());
+}
+
+// wei -> human units (token decimals on-chain), for the risk gate
+async function humanAmount(provider, token, wei) {
+  if (isNativeToken(token)) return ethers.formatEther(wei);
+  const c = new ethers.Contract(token, ["function decimals() view returns (uint8)"], provider);
+  return ethers.formatUnits(wei, await c.decimals());
 }
 
 function parseSolSecret(input) {
@@ -93,7 +140,7 @@ function parseEvmPk(input) {
   return pk;
 }
 
-// RAM-only wallets
+// RAM-only wallets (legacy /api/wallet/*; lost on restart)
 const mem = {
   sol: { kp: null, address: null },
   evm: {
@@ -103,12 +150,63 @@ const mem = {
   },
 };
 
+// Encrypted on-disk vault (scrypt + AES-GCM). Locked on start; auto-locks when idle.
+const vault = createWalletVault({
+  filePath: process.env.WALLET_VAULT_PATH || DEFAULT_VAULT_PATH,
+  autoLockMs: autoLockSecToMs(process.env.WALLET_VAULT_AUTOLOCK_SEC ?? 900),
+});
+
+// Bridges: persisted so in-flight transfers keep being tracked across restarts
+const bridges = BridgeStore.open({ dbPath: process.env.BRIDGE_DB || DEFAULT_BRIDGE_DB });
+const bridgeTracker = createBridgeTracker({
+  store: bridges,
+  pollMs: Number(process.env.BRIDGE_POLL_MS || 15000),
+});
+
 function getProvider(chainKey) {
   const c = CHAIN[chainKey];
   if (!c?.rpc) throw new Error(`Missing RPC for ${chainKey}`);
   return new ethers.JsonRpcProvider(c.rpc, c.chainId);
 }
 
+/**
+ * Wallet selection per request:
+ * - `wallet` (body or query) names a vault wallet
+ * - otherwise the RAM wallet set via /api/wallet/*
+ * - otherwise the first vault wallet of that type (when unlocked)
+ */
+function walletName(req) {
+  const name = req.body?.wallet ?? req.query?.wallet;
+  return name ? String(name).trim() : null;
+}
+
+// The swap/bridge executors only read `body.wallet` (they also run queued, without the request):
+// fold the request's wallet selection into their params before they run or are queued.
+function withWallet(params, req) {
+  const name = params?.wallet ? String(params.wallet).trim() : walletName(req);
+  return name ? { ...params, wallet: name } : params;
+}
+
+// read-only address of a wallet selection; the vault index is readable while locked
+function walletAddress(type, name, chain = null) {
+  if (!name && type === "sol" && mem.sol.address) return mem.sol.address;
+  if (!name && type === "evm" && mem.evm[chain]?.address) return mem.evm[chain].address;
+  const w = vault.status().wallets.find((x) => x.type === type && (!name || x.name === name));
+  return w?.address || null;
+}
+
+function solSigner(name = null) {
+  if (!name && mem.sol.kp) return mem.sol.kp;
+  if (!name && !vault.isUnlocked()) throw new Error("SOL wallet not set");
+  return vault.solKeypair(name);
+}
+
+function evmSigner(name, chain) {
+  if (!name && mem.evm[chain].wallet) return mem.evm[chain].wallet;
+  if (!name && !vault.isUnlocked()) throw new Error(`EVM wallet not set for ${chain}`);
+  return vault.evmWallet(name, getProvider(chain));
+}
+
 function riskGate({ chain, amountInHuman, slippageBps, mode }) {
   const issues = [];
   const warnings = [];
@@ -131,74 +229,112 @@ function riskGate({ chain, amountInHuman, slippageBps, mode }) {
   return { ok: issues.length === 0, issues, warnings };
 }
 
-async function groqParse(userText) {
-  if (!GROQ_API_KEY) {
-    return {
-      intent: "unknown",
-      chain: null,
-      action: "unknown",
-      tokenIn: null,
-      tokenOut: null,
-      amount: null,
-      slippageBps: 100,
-      notes: ["GROQ_API_KEY not set — fallback detectors only."],
-    };
-  }
+// Executors return the JSON body; fail() carries a non-200 body (risk_blocked, simulation_failed, ...)
+function fail(status, body) {
+  const err = new Error(body.error);
+  err.status = status;
+  err.body = body;
+  throw err;
+}
 
-  const sys =
-    `Return ONLY valid JSON with keys:
-intent: "swap"|"bridge"|"balance"|"status"|"help"|"unknown"
-chain: "sol"|"eth"|"bsc"|"base"|null
-tokenIn: string|null
-tokenOut: string|null
-amount: string|null
-slippageBps: number
-action: "execute_swap"|"execute_bridge"|"show_balance"|"quote"|"unknown"
-notes: array of strings
-
-Rules:
-- If you see 0x address, assume EVM token.
-- If you see Solana mint/address, assume sol.
-- If chain missing for EVM, set chain null.
-- slippageBps clamp 10..500
-No extra text.`;
-
-  const body = {
-    model: GROQ_MODEL,
-    messages: [
-      { role: "system", content: sys },
-      { role: "user", content: userText },
-    ],
-    temperature: 0.2,
-  };
+// job hooks for executors run straight from an HTTP request (no queue)
+const NO_JOB = { stage() {}, beforeBroadcast() {} };
 
-  const r = await fetch("https://api.groq.com/openai/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      "content-type": "application/json",
-      authorization: `Bearer ${GROQ_API_KEY}`,
-    },
-    body: JSON.stringify(body),
-  });
+/* -------- Spend caps --------
+ * USD value of what a swap / bridge sells, at the Dexscreener price of the input token.
+ * Only keys with dailySpendUsd are valued; a capped call that cannot be priced is refused.
+ * DRY_RUN sends nothing, so nothing is counted. Spend is reserved (cap check + booking in one
+ * SQLite transaction) when a call is accepted and refunded when it ends without broadcasting
+ * anything; a job's refund is part of its persisted final transition (src/receipts/jobStore.js).
+ */
+const WSOL_MINT = "So11111111111111111111111111111111111111112";
+// Dexscreener prices the wrapped native token
+const WRAPPED_NATIVE = {
+  eth: "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2",
+  bsc: "0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c",
+  base: "0x4200000000000000000000000000000000000006",
+};
+
+async function tokenPriceUsd(chain, address) {
+  const pair = pickBestPair(await fetchDexTokenPairs(address, { timeoutMs: 5000 }), { chain });
+  if (!pair?.priceUsd) throw new Error(`no ${chain} market for ${address}`);
+  // priceUsd is the base token's; a quote-side token is worth priceUsd / priceNative
+  const isBase = String(pair.baseToken?.address || "").toLowerCase() === address.toLowerCase();
+  return isBase ? Number(pair.priceUsd) : Number(pair.priceUsd) / Number(pair.priceNative);
+}
 
-  if (!r.ok) {
-    const t = await r.text().catch(() => "");
-    throw new Error(`Groq error: ${r.status} ${t}`);
+async function spendUsd(kind, p) {
+  if (kind === "order") return Number(p.amount) * (await tokenPriceUsd(p.chain, p.token));
+  if (kind === "sol_swap") {
+    const mint = String(p.inputMint || WSOL_MINT).trim();
+    const decimals = mint === WSOL_MINT ? 9 : (await fetchSolanaMintMeta(new Connection(SOL_RPC, "confirmed"), mint)).decimals;
+    return (Number(p.amountLamports) / 10 ** decimals) * (await tokenPriceUsd("sol", mint));
   }
+  const bridge = kind === "bridge";
+  const chain = String((bridge ? p.fromChain : p.chain) || "").toLowerCase();
+  const token = String((bridge ? p.fromToken : p.sellToken) || "").trim();
+  const wei = String((bridge ? p.fromAmountWei : p.sellAmountWei) || "").trim();
+  if (!CHAIN[chain]) throw new Error("Invalid chain (use eth/bsc/base)");
+  const amount = Number(await humanAmount(getProvider(chain), token, wei));
+  return amount * (await tokenPriceUsd(chain, isNativeToken(token) ? WRAPPED_NATIVE[chain] : token));
+}
+
+// Reserve this call's USD against the key's cap -> { spendId, usd }, or null (uncapped key / DRY_RUN).
+// Throws SPEND_UNPRICED / SPEND_CAP_EXCEEDED.
+const SPEND_KINDS = new Set(["sol_swap", "evm_swap", "bridge", "order"]);
 
-  const j = await r.json();
-  const content = j?.choices?.[0]?.message?.content?.trim() || "";
-  return JSON.parse(content);
+async function spendFor(key, kind, params, meta = {}) {
+  if (!SPEND_KINDS.has(kind) || key?.dailySpendUsd == null) return null;
+  // orders fire later from the CLI watcher with the engine's keys: the server's DRY_RUN does not apply
+  if (DRY_RUN && kind !== "order") return null;
+  let usd;
+  try {
+    usd = await spendUsd(kind, params);
+  } catch (e) {
+    throw codedError("SPEND_UNPRICED", `Cannot price this ${kind} for the spend cap of key ${key.id}: ${e.message}`);
+  }
+  if (!Number.isFinite(usd)) {
+    throw codedError("SPEND_UNPRICED", `Cannot price this ${kind} for the spend cap of key ${key.id}`);
+  }
+  const spendId = jobs.reserveSpend({ keyId: key.id, capUsd: key.dailySpendUsd, usd, kind });
+  apiAudit.write("spend", { keyId: key.id, usd, kind, spendId, ...meta });
+  return { spendId, usd };
+}
+
+function spendErrorStatus(e) {
+  if (e?.code === "SPEND_CAP_EXCEEDED" || e?.code === "SPEND_UNPRICED") return 403;
+  return 400;
+}
+
+function refundSpend(keyId, spend, meta) {
+  const usd = spend ? jobs.refundSpend(spend.spendId) : null;
+  if (usd != null) apiAudit.write("spend", { keyId, usd: -usd, spendId: spend.spendId, ...meta, refund: true });
+}
+
+function handle(exec, kind) {
+  return async (req, res) => {
+    let spend = null;
+    let sent = false;
+    try {
+      const body = withWallet(req.body || {}, req);
+      spend = await spendFor(req.apiKey, kind, body, { path: req.originalUrl });
+      res.json(await exec(body, { stage() {}, beforeBroadcast: () => (sent = true) }));
+    } catch (e) {
+      if (!sent) refundSpend(req.apiKey?.id, spend, { kind, path: req.originalUrl });
+      res.status(e.status || spendErrorStatus(e)).json(e.body || { ok: false, error: e.message, code: e.code || null });
+    }
+  };
 }
 
 /* ================= API ================= */
 
-app.get("/api/health", (req, res) => {
+app.get("/api/health", requireScope("read"), (req, res) => {
   res.json({
     ok: true,
     mode: MODE,
     dryRun: DRY_RUN,
-    apiKeyEnabled: !!API_KEY,
+    apiKeyEnabled: auth.enabled,
+    apiKey: { id: req.apiKey.id, scopes: [...req.apiKey.scopes], dailySpendUsd: req.apiKey.dailySpendUsd, spentTodayUsd: jobs.spentToday(req.apiKey.id) },
     groq: !!GROQ_API_KEY,
     groqModel: GROQ_MODEL,
     rpc: { sol: SOL_RPC, eth: !!RPC_ETH, bsc: !!RPC_BSC, base: !!RPC_BASE },
@@ -208,13 +344,20 @@ app.get("/api/health", (req, res) => {
       bsc: !!mem.evm.bsc.wallet,
       base: !!mem.evm.base.wallet,
     },
+    vault: { exists: vault.exists(), unlocked: vault.isUnlocked() },
   });
 });
 
-/* -------- Generate burner wallets -------- */
-app.post("/api/gen/sol", requireApiKey, (req, res) => {
+/* -------- Generate burner wallets --------
+ * body { save: true, name } stores the burner in the (unlocked) vault and returns only the address
+ */
+app.post("/api/gen/sol", requireScope("wallet-admin"), (req, res) => {
   try {
     const kp = Keypair.generate();
+    if (req.body?.save) {
+      const w = vault.addWallet({ name: req.body?.name, type: "sol", secret: bs58.encode(kp.secretKey) });
+      return res.json({ ok: true, saved: true, ...w });
+    }
     res.json({
       ok: true,
       address: kp.publicKey.toBase58(),
@@ -222,21 +365,80 @@ app.post("/api/gen/sol", requireApiKey, (req, res) => {
       secretBase58: bs58.encode(kp.secretKey),
     });
   } catch (e) {
-    res.status(500).json({ ok: false, error: e.message });
+    res.status(400).json({ ok: false, error: e.message });
   }
 });
 
-app.post("/api/gen/evm", requireApiKey, (req, res) => {
+app.post("/api/gen/evm", requireScope("wallet-admin"), (req, res) => {
   try {
     const w = ethers.Wallet.createRandom();
+    if (req.body?.save) {
+      const saved = vault.addWallet({ name: req.body?.name, type: "evm", secret: w.privateKey });
+      return res.json({ ok: true, saved: true, ...saved });
+    }
     res.json({ ok: true, address: w.address, privateKey: w.privateKey });
   } catch (e) {
-    res.status(500).json({ ok: false, error: e.message });
+    res.status(400).json({ ok: false, error: e.message });
+  }
+});
+
+/* -------- Wallet vault --------
+ * POST /api/vault/init { passphrase }       create an empty vault file
+ * POST /api/vault/unlock { passphrase, autoLockSec? }   autoLockSec: 60..86400, or 0 = never lock
+ * POST /api/vault/lock
+ * GET  /api/vault                           status + wallet names/addresses (never secrets)
+ * POST /api/vault/wallets { name, type: sol|evm, secret }   import an existing key
+ * DELETE /api/vault/wallets/:name
+ */
+app.get("/api/vault", requireScope("read"), (req, res) => {
+  res.json({ ok: true, ...vault.status() });
+});
+
+app.post("/api/vault/init", requireScope("wallet-admin"), async (req, res) => {
+  try {
+    await vault.init(req.body?.passphrase);
+    res.json({ ok: true, ...vault.status() });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e.message });
+  }
+});
+
+app.post("/api/vault/unlock", requireScope("wallet-admin"), async (req, res) => {
+  try {
+    const sec = req.body?.autoLockSec;
+    const status = await vault.unlock(req.body?.passphrase, { autoLockMs: sec != null ? autoLockSecToMs(sec) : null });
+    res.json({ ok: true, ...status });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e.message });
+  }
+});
+
+app.post("/api/vault/lock", requireScope("wallet-admin"), (req, res) => {
+  vault.lock();
+  res.json({ ok: true, ...vault.status() });
+});
+
+app.post("/api/vault/wallets", requireScope("wallet-admin"), (req, res) => {
+  try {
+    const type = String(req.body?.type || "").toLowerCase();
+    const w = vault.addWallet({ name: req.body?.name, type, secret: req.body?.secret });
+    res.json({ ok: true, ...w, addressMasked: maskAddr(w.address) });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e.message });
+  }
+});
+
+app.delete("/api/vault/wallets/:name", requireScope("wallet-admin"), (req, res) => {
+  try {
+    vault.removeWallet(req.params.name);
+    res.json({ ok: true, ...vault.status() });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e.message });
   }
 });
 
 /* -------- Wallet setup -------- */
-app.post("/api/wallet/sol", requireApiKey, (req, res) => {
+app.post("/api/wallet/sol", requireScope("wallet-admin"), (req, res) => {
   try {
     const kp = parseSolSecret(req.body?.secret);
     mem.sol.kp = kp;
@@ -247,7 +449,7 @@ app.post("/api/wallet/sol", requireApiKey, (req, res) => {
   }
 });
 
-app.post("/api/wallet/evm", requireApiKey, async (req, res) => {
+app.post("/api/wallet/evm", requireScope("wallet-admin"), async (req, res) => {
   try {
     const chain = String(req.body?.chain || "").toLowerCase();
     if (!CHAIN[chain]) throw new Error("Invalid chain (use eth/bsc/base)");
@@ -263,24 +465,24 @@ app.post("/api/wallet/evm", requireApiKey, async (req, res) => {
 });
 
 /* -------- Balances -------- */
-app.get("/api/sol/balance", requireApiKey, async (req, res) => {
+app.get("/api/sol/balance", requireScope("read"), async (req, res) => {
   try {
-    if (!mem.sol.kp) throw new Error("SOL wallet not set");
+    const kp = solSigner(walletName(req));
     const connection = new Connection(SOL_RPC, "confirmed");
-    const lamports = await connection.getBalance(mem.sol.kp.publicKey, "confirmed");
-    res.json({ ok: true, address: mem.sol.address, lamports, sol: lamports / LAMPORTS_PER_SOL, rpc: SOL_RPC });
+    const lamports = await connection.getBalance(kp.publicKey, "confirmed");
+    res.json({ ok: true, address: kp.publicKey.toBase58(), lamports, sol: lamports / LAMPORTS_PER_SOL, rpc: SOL_RPC });
   } catch (e) {
     res.status(400).json({ ok: false, error: e.message });
   }
 });
 
-app.get("/api/evm/balance", requireApiKey, async (req, res) => {
+app.get("/api/evm/balance", requireScope("read"), async (req, res) => {
   try {
     const chain = String(req.query?.chain || "").toLowerCase();
     if (!CHAIN[chain]) throw new Error("Invalid chain (use eth/bsc/base)");
-    if (!mem.evm[chain].wallet) throw new Error(`EVM wallet not set for ${chain}`);
+    const wallet = evmSigner(walletName(req), chain);
     const provider = getProvider(chain);
-    const addr = await mem.evm[chain].wallet.getAddress();
+    const addr = await wallet.getAddress();
     const bal = await provider.getBalance(addr);
     res.json({ ok: true, chain, address: addr, wei: bal.toString(), native: ethers.formatEther(bal) });
   } catch (e) {
@@ -288,198 +490,254 @@ app.get("/api/evm/balance", requireApiKey, async (req, res) => {
   }
 });
 
-/* -------- SOL Swap (Jupiter) --------
- * inputMint default: wSOL mint
- * outputMint: target mint
- * amountLamports: integer
+/* -------- Portfolio --------
+ * GET /api/portfolio?wallet=<name> (or ?sol=<address>&evm=<address> for watch-only)
+ * Solana: SOL + every SPL / Token-2022 account; EVM: native + PORTFOLIO_TOKENS_<CHAIN> watchlist
+ * on each chain with an RPC. Valued via the market data layer, totals per chain and overall.
  */
-app.post("/api/sol/swap", requireApiKey, async (req, res) => {
+app.get("/api/portfolio", requireScope("read"), async (req, res) => {
   try {
-    if (!mem.sol.kp) throw new Error("SOL wallet not set");
+    const name = walletName(req);
+    const accounts = [];
 
-    const inputMint = (req.body?.inputMint || "So11111111111111111111111111111111111111112").trim();
-    const outputMint = String(req.body?.outputMint || "").trim();
-    const amountLamports = String(req.body?.amountLamports || "").trim();
-    const slippageBps = Number(req.body?.slippageBps ?? 100);
+    const solAddr = String(req.query?.sol || "").trim() || walletAddress("sol", name);
+    if (solAddr) accounts.push({ chain: "sol", address: solAddr, load: () => fetchSolHoldings(new Connection(SOL_RPC, "confirmed"), solAddr) });
 
-    if (!outputMint) throw new Error("outputMint required");
-    if (!/^\d+$/.test(amountLamports)) throw new Error("amountLamports must be integer string");
+    for (const chain of Object.keys(CHAIN)) {
+      if (!CHAIN[chain].rpc) continue;
+      const addr = String(req.query?.evm || "").trim() || walletAddress("evm", name, chain);
+      if (addr) accounts.push({ chain, address: addr, load: () => fetchEvmHoldings(getProvider(chain), chain, addr, portfolioWatchlist(chain)) });
+    }
 
-    const risk = riskGate({
-      chain: "sol",
-      amountInHuman: Number(amountLamports) / LAMPORTS_PER_SOL,
-      slippageBps,
-      mode: "swap",
-    });
-    if (!risk.ok) return res.status(400).json({ ok: false, error: "risk_blocked", risk });
-
-    // Quote (Jupiter)
-    const quoteUrl =
-      `https://quote-api.jup.ag/v6/quote?inputMint=${encodeURIComponent(inputMint)}` +
-      `&outputMint=${encodeURIComponent(outputMint)}` +
-      `&amount=${encodeURIComponent(amountLamports)}` +
-      `&slippageBps=${encodeURIComponent(String(slippageBps))}`;
-
-    const qRes = await fetch(quoteUrl);
-    const quoteJson = await qRes.json();
-    if (!qRes.ok) throw new Error(`Jupiter quote error: ${qRes.status} ${JSON.stringify(quoteJson).slice(0, 300)}`);
-
-    // Swap TX (Jupiter)
-    const swapRes = await fetch("https://quote-api.jup.ag/v6/swap", {
-      method: "POST",
-      headers: { "content-type": "application/json" },
-      body: JSON.stringify({
-        quoteResponse: quoteJson,
-        userPublicKey: mem.sol.address,
-        wrapAndUnwrapSol: true,
-        dynamicComputeUnitLimit: true,
-      }),
-    });
+    if (!accounts.length) throw new Error("No wallet to report (set a wallet, add one to the vault or pass ?sol= / ?evm=)");
+    res.json({ ok: true, ...(await buildPortfolio(accounts)) });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e.message });
+  }
+});
 
-    const swapJson = await swapRes.json();
-    if (!swapRes.ok) throw new Error(`Jupiter swap error: ${swapRes.status} ${JSON.stringify(swapJson).slice(0, 300)}`);
+/* -------- SOL Swap (Jupiter) --------
+ * inputMint default: wSOL mint
+ * outputMint: target mint
+ * amountLamports: integer
+ * ignoreSimulation: true broadcasts even when the pre-broadcast simulation fails
+ */
+async function solSwap(body, job = NO_JOB) {
+  const kp = solSigner(body.wallet);
+  const user = kp.publicKey.toBase58();
+
+  const inputMint = (body.inputMint || "So11111111111111111111111111111111111111112").trim();
+  const outputMint = String(body.outputMint || "").trim();
+  const amountLamports = String(body.amountLamports || "").trim();
+  const slippageBps = Number(body.slippageBps ?? 100);
+
+  if (!outputMint) throw new Error("outputMint required");
+  if (!/^\d+$/.test(amountLamports)) throw new Error("amountLamports must be integer string");
+
+  const risk = riskGate({
+    chain: "sol",
+    amountInHuman: Number(amountLamports) / LAMPORTS_PER_SOL,
+    slippageBps,
+    mode: "swap",
+  });
+  if (!risk.ok) fail(400, { ok: false, error: "risk_blocked", risk });
+
+  // Quote (Jupiter)
+  job.stage("quoting");
+  const quoteUrl =
+    `https://quote-api.jup.ag/v6/quote?inputMint=${encodeURIComponent(inputMint)}` +
+    `&outputMint=${encodeURIComponent(outputMint)}` +
+    `&amount=${encodeURIComponent(amountLamports)}` +
+    `&slippageBps=${encodeURIComponent(String(slippageBps))}`;
+
+  const qRes = await fetch(quoteUrl);
+  const quoteJson = await qRes.json();
+  if (!qRes.ok) throw new Error(`Jupiter quote error: ${qRes.status} ${JSON.stringify(quoteJson).slice(0, 300)}`);
+
+  // Swap TX (Jupiter)
+  const swapRes = await fetch("https://quote-api.jup.ag/v6/swap", {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({
+      quoteResponse: quoteJson,
+      userPublicKey: user,
+      wrapAndUnwrapSol: true,
+      dynamicComputeUnitLimit: true,
+    }),
+  });
 
-    const txB64 = swapJson?.swapTransaction;
-    if (!txB64) throw new Error("Missing swapTransaction in Jupiter response");
+  const swapJson = await swapRes.json();
+  if (!swapRes.ok) throw new Error(`Jupiter swap error: ${swapRes.status} ${JSON.stringify(swapJson).slice(0, 300)}`);
 
-    // Deserialize + sign
-    const tx = VersionedTransaction.deserialize(Buffer.from(txB64, "base64"));
-    tx.sign([mem.sol.kp]);
+  const txB64 = swapJson?.swapTransaction;
+  if (!txB64) throw new Error("Missing swapTransaction in Jupiter response");
 
-    // ✅ SAFE MODE: do not broadcast
-    if (DRY_RUN) {
-      return res.json({
-        ok: true,
-        dryRun: true,
-        mode: MODE,
-        chain: "sol",
-        note: "TX built + signed but NOT broadcasted (safe test mode)",
-        risk,
-        user: mem.sol.address,
-        quote: quoteJson,
-        signedTxBase64: Buffer.from(tx.serialize()).toString("base64"),
-      });
-    }
+  // Deserialize + sign
+  const tx = VersionedTransaction.deserialize(Buffer.from(txB64, "base64"));
+  tx.sign([kp]);
 
-    // REAL send
-    const connection = new Connection(SOL_RPC, "confirmed");
-    const sig = await connection.sendRawTransaction(tx.serialize(), { skipPreflight: true });
-    await connection.confirmTransaction(sig, "confirmed");
+  // Simulate before anything leaves the box
+  job.stage("simulating");
+  const connection = new Connection(SOL_RPC, "confirmed");
+  const simulation = await simulateSolanaTx({ connection, tx, owner: user, mints: [inputMint, outputMint] });
 
-    return res.json({
+  // ✅ SAFE MODE: do not broadcast
+  if (DRY_RUN) {
+    return {
       ok: true,
+      dryRun: true,
       mode: MODE,
       chain: "sol",
-      signature: sig,
-      explorer: `https://solscan.io/tx/${sig}`,
+      note: "TX built + signed but NOT broadcasted (safe test mode)",
       risk,
-    });
-  } catch (e) {
-    res.status(400).json({ ok: false, error: e.message });
+      user,
+      quote: quoteJson,
+      simulation,
+      signedTxBase64: Buffer.from(tx.serialize()).toString("base64"),
+    };
   }
-});
+
+  if (!simulation.ok && body.ignoreSimulation !== true) {
+    fail(400, { ok: false, error: "simulation_failed", simulation });
+  }
+
+  // REAL send
+  job.beforeBroadcast();
+  const sig = await connection.sendRawTransaction(tx.serialize(), { skipPreflight: true });
+  job.stage("confirming", { signature: sig });
+  await connection.confirmTransaction(sig, "confirmed");
+
+  return {
+    ok: true,
+    mode: MODE,
+    chain: "sol",
+    signature: sig,
+    explorer: `https://solscan.io/tx/${sig}`,
+    risk,
+    simulation,
+  };
+}
+
+app.post("/api/sol/swap", requireScope("execute"), handle(solSwap, "sol_swap"));
 
 /* -------- EVM Swap (0x) --------
  * sellToken: 0x.. or ETH/BNB
  * buyToken:  0x.. or ETH/BNB
  * sellAmountWei: integer string
+ * ignoreSimulation: true broadcasts even when eth_call / estimateGas fail
  */
-app.post("/api/evm/swap", requireApiKey, async (req, res) => {
-  try {
-    const chain = String(req.body?.chain || "").toLowerCase();
-    if (!CHAIN[chain]) throw new Error("Invalid chain (use eth/bsc/base)");
-    if (!mem.evm[chain].wallet) throw new Error(`EVM wallet not set for ${chain}`);
-
-    const sellToken = String(req.body?.sellToken || "").trim();
-    const buyToken = String(req.body?.buyToken || "").trim();
-    const sellAmountWei = String(req.body?.sellAmountWei || "").trim();
-    const slippageBps = Number(req.body?.slippageBps ?? 100);
-
-    if (!sellToken) throw new Error("sellToken required");
-    if (!buyToken) throw new Error("buyToken required");
-    if (!/^\d+$/.test(sellAmountWei)) throw new Error("sellAmountWei must be integer string");
-
-    const risk = riskGate({
-      chain,
-      amountInHuman: "(wei)",
-      slippageBps,
-      mode: "swap",
-    });
-    if (!risk.ok) return res.status(400).json({ ok: false, error: "risk_blocked", risk });
-
-    const taker = await mem.evm[chain].wallet.getAddress();
-
-    // 0x quote (swap/v1/quote)
-    const base = "https://api.0x.org/swap/v1/quote";
-    const url =
-      `${base}?sellToken=${encodeURIComponent(sellToken)}` +
-      `&buyToken=${encodeURIComponent(buyToken)}` +
-      `&sellAmount=${encodeURIComponent(sellAmountWei)}` +
-      `&takerAddress=${encodeURIComponent(taker)}` +
-      `&slippagePercentage=${encodeURIComponent(String(slippageBps / 10000))}`;
-
-    const headers = { "content-type": "application/json" };
-    if (ZEROX_API_KEY) headers["0x-api-key"] = ZEROX_API_KEY;
-
-    const qRes = await fetch(url, { headers });
-    const quote = await qRes.json();
-    if (!qRes.ok) throw new Error(`0x quote error: ${qRes.status} ${JSON.stringify(quote).slice(0, 300)}`);
-
-    // Build tx
-    const tx = {
-      to: quote.to,
-      data: quote.data,
-      value: quote.value ? BigInt(quote.value) : 0n,
-    };
-
-    // ✅ SAFE MODE: do not broadcast
-    if (DRY_RUN) {
-      return res.json({
-        ok: true,
-        dryRun: true,
-        mode: MODE,
-        chain,
-        note: "0x quote received but NOT executed (safe test mode)",
-        risk,
-        taker,
-        quote,
-        tx,
-      });
-    }
+async function evmSwap(body, job = NO_JOB) {
+  const chain = String(body.chain || "").toLowerCase();
+  if (!CHAIN[chain]) throw new Error("Invalid chain (use eth/bsc/base)");
+  const wallet = evmSigner(body.wallet, chain);
+
+  const sellToken = String(body.sellToken || "").trim();
+  const buyToken = String(body.buyToken || "").trim();
+  const sellAmountWei = String(body.sellAmountWei || "").trim();
+  const slippageBps = Number(body.slippageBps ?? 100);
+
+  if (!sellToken) throw new Error("sellToken required");
+  if (!buyToken) throw new Error("buyToken required");
+  if (!/^\d+$/.test(sellAmountWei)) throw new Error("sellAmountWei must be integer string");
+
+  const risk = riskGate({
+    chain,
+    amountInHuman: await humanAmount(getProvider(chain), sellToken, sellAmountWei),
+    slippageBps,
+    mode: "swap",
+  });
+  if (!risk.ok) fail(400, { ok: false, error: "risk_blocked", risk });
+
+  const taker = await wallet.getAddress();
+
+  // 0x quote (swap/v1/quote)
+  job.stage("quoting");
+  const base = "https://api.0x.org/swap/v1/quote";
+  const url =
+    `${base}?sellToken=${encodeURIComponent(sellToken)}` +
+    `&buyToken=${encodeURIComponent(buyToken)}` +
+    `&sellAmount=${encodeURIComponent(sellAmountWei)}` +
+    `&takerAddress=${encodeURIComponent(taker)}` +
+    `&slippagePercentage=${encodeURIComponent(String(slippageBps / 10000))}`;
+
+  const headers = { "content-type": "application/json" };
+  if (ZEROX_API_KEY) headers["0x-api-key"] = ZEROX_API_KEY;
+
+  const qRes = await fetch(url, { headers });
+  const quote = await qRes.json();
+  if (!qRes.ok) throw new Error(`0x quote error: ${qRes.status} ${JSON.stringify(quote).slice(0, 300)}`);
+
+  // Build tx
+  const tx = {
+    to: quote.to,
+    data: quote.data,
+    value: quote.value ? BigInt(quote.value) : 0n,
+  };
 
-    // REAL send
-    const sent = await mem.evm[chain].wallet.sendTransaction(tx);
-    await sent.wait();
+  job.stage("simulating");
+  const simulation = await simulateEvmTx({ provider: getProvider(chain), tx, from: taker, tokens: [sellToken, buyToken] });
 
-    return res.json({
+  // ✅ SAFE MODE: do not broadcast
+  if (DRY_RUN) {
+    return {
       ok: true,
+      dryRun: true,
       mode: MODE,
       chain,
-      hash: sent.hash,
-      explorer: `${CHAIN[chain].explorer}${sent.hash}`,
+      note: "0x quote received but NOT executed (safe test mode)",
       risk,
-    });
-  } catch (e) {
-    res.status(400).json({ ok: false, error: e.message });
+      taker,
+      quote,
+      tx: { ...tx, value: tx.value.toString() },
+      simulation,
+    };
   }
-});
+
+  if (!simulation.ok && body.ignoreSimulation !== true) {
+    fail(400, { ok: false, error: "simulation_failed", simulation });
+  }
+
+  // REAL send
+  job.beforeBroadcast();
+  const sent = await wallet.sendTransaction(tx);
+  job.stage("confirming", { hash: sent.hash });
+  await sent.wait();
+
+  return {
+    ok: true,
+    mode: MODE,
+    chain,
+    hash: sent.hash,
+    explorer: `${CHAIN[chain].explorer}${sent.hash}`,
+    risk,
+    simulation,
+  };
+}
+
+app.post("/api/evm/swap", requireScope("execute"), handle(evmSwap, "evm_swap"));
 
 /* -------- Bridge Execute (LI.FI EVM↔EVM) --------
  * fromChain/toChain: eth|bsc|base
  * fromToken/toToken: 0x..
  * fromAmountWei: integer string
+ * approve: true lets the server approve the LI.FI spender for fromAmountWei (EVM_APPROVAL_MODE)
+ * ignoreSimulation: true broadcasts even when the source tx simulation fails
+ *
+ * Lifecycle (GET /api/bridge/:id): approving -> sending -> pending -> done | failed
  */
-app.post("/api/bridge/evm", requireApiKey, async (req, res) => {
+async function bridgeEvm(body, job = NO_JOB) {
+  let id = null;
   try {
-    const fromChain = String(req.body?.fromChain || "").toLowerCase();
-    const toChain = String(req.body?.toChain || "").toLowerCase();
+    const fromChain = String(body.fromChain || "").toLowerCase();
+    const toChain = String(body.toChain || "").toLowerCase();
     if (!CHAIN[fromChain] || !CHAIN[toChain]) throw new Error("Invalid chain(s) (use eth/bsc/base)");
-    if (!mem.evm[fromChain].wallet) throw new Error(`EVM wallet not set for ${fromChain}`);
+    const wallet = evmSigner(body.wallet, fromChain);
+    const provider = getProvider(fromChain);
 
-    const fromToken = String(req.body?.fromToken || "").trim();
-    const toToken = String(req.body?.toToken || "").trim();
-    const fromAmountWei = String(req.body?.fromAmountWei || "").trim();
-    const slippageBps = Number(req.body?.slippageBps ?? 100);
+    const fromToken = String(body.fromToken || "").trim();
+    const toToken = String(body.toToken || "").trim();
+    const fromAmountWei = String(body.fromAmountWei || "").trim();
+    const slippageBps = Number(body.slippageBps ?? 100);
 
     if (!isEvmAddress(fromToken)) throw new Error("fromToken must be 0x address");
     if (!isEvmAddress(toToken)) throw new Error("toToken must be 0x address");
@@ -487,15 +745,16 @@ app.post("/api/bridge/evm", requireApiKey, async (req, res) => {
 
     const risk = riskGate({
       chain: fromChain,
-      amountInHuman: "(wei)",
+      amountInHuman: await humanAmount(provider, fromToken, fromAmountWei),
       slippageBps,
       mode: "bridge",
     });
-    if (!risk.ok) return res.status(400).json({ ok: false, error: "risk_blocked", risk });
+    if (!risk.ok) fail(400, { ok: false, error: "risk_blocked", risk });
 
-    const fromAddress = await mem.evm[fromChain].wallet.getAddress();
+    const fromAddress = await wallet.getAddress();
 
     // LI.FI quote/route
+    job.stage("quoting");
     const url =
       `https://li.quest/v1/quote?fromChain=${encodeURIComponent(String(CHAIN[fromChain].chainId))}` +
       `&toChain=${encodeURIComponent(String(CHAIN[toChain].chainId))}` +
@@ -518,9 +777,23 @@ app.post("/api/bridge/evm", requireApiKey, async (req, res) => {
       value: txReq.value ? BigInt(txReq.value) : 0n,
     };
 
+    // ERC-20 source: LI.FI pulls the tokens through estimate.approvalAddress
+    let allowance = null;
+    if (!isNativeToken(fromToken)) {
+      const spender = route?.estimate?.approvalAddress || txReq.to;
+      const current = await readAllowance({ provider, token: fromToken, owner: fromAddress, spender });
+      allowance = {
+        spender,
+        spenderVerified: isVerifiedSpender(spender),
+        current: current.toString(),
+        needed: fromAmountWei,
+        sufficient: current >= BigInt(fromAmountWei),
+      };
+    }
+
     // ✅ SAFE MODE
     if (DRY_RUN) {
-      return res.json({
+      return {
         ok: true,
         dryRun: true,
         mode: MODE,
@@ -529,89 +802,331 @@ app.post("/api/bridge/evm", requireApiKey, async (req, res) => {
         fromChain,
         toChain,
         fromAddress,
+        allowance,
         route,
-        tx,
+        tx: { ...tx, value: tx.value.toString() },
+      };
+    }
+
+    if (allowance && !allowance.sufficient && body.approve !== true) {
+      fail(400, { ok: false, error: "approval_required", allowance, note: "Resend with approve: true to let the server approve the spender" });
+    }
+
+    id = BridgeStore.newBridgeId();
+    bridges.upsertBridge(id, {
+      status: "approving",
+      tool: route?.tool || null,
+      from_chain: fromChain,
+      to_chain: toChain,
+      from_chain_id: CHAIN[fromChain].chainId,
+      to_chain_id: CHAIN[toChain].chainId,
+      from_token: fromToken,
+      to_token: toToken,
+      from_amount: fromAmountWei,
+      from_address: fromAddress,
+      route,
+    });
+
+    if (allowance && !allowance.sufficient) {
+      // the approve tx is already on-chain: no cancelling past this point
+      job.beforeBroadcast();
+      job.stage("approving", { bridgeId: id });
+      allowance.result = await ensureAllowance({
+        wallet,
+        token: fromToken,
+        spender: allowance.spender,
+        amount: fromAmountWei,
+        mode: approvalModeFromEnv(),
+        // approve: true is the caller's answer to the approval_required response naming this spender
+        confirmFn: async () => "y",
       });
     }
 
-    const sent = await mem.evm[fromChain].wallet.sendTransaction(tx);
-    await sent.wait();
+    // approval changes state, so the source tx is simulated only now
+    job.stage("simulating", { bridgeId: id });
+    const simulation = await simulateEvmTx({ provider, tx, from: fromAddress, tokens: [fromToken] });
+    if (!simulation.ok && body.ignoreSimulation !== true) {
+      bridges.upsertBridge(id, { status: "failed", last_error: `simulation failed: ${simulation.error}` });
+      fail(400, { ok: false, error: "simulation_failed", id, allowance, simulation });
+    }
 
-    return res.json({
-      ok: true,
+    job.beforeBroadcast();
+    bridges.upsertBridge(id, { status: "sending" });
+    const sent = await wallet.sendTransaction(tx);
+    bridges.upsertBridge(id, { tx_hash: sent.hash });
+    job.stage("confirming", { bridgeId: id, hash: sent.hash });
+
+    const source = await trackEvmTx({ provider, txHash: sent.hash, tx });
+    if (source.status === "reverted") {
+      bridges.upsertBridge(id, { status: "failed", last_error: `source tx reverted${source.revertReason ? `: ${source.revertReason}` : ""}` });
+    } else {
+      // timeout: still tracked, the status provider sees the tx once it lands
+      if (source.status === "confirmed") bridges.upsertBridge(id, { status: "pending" });
+      bridgeTracker.track(id).catch((e) => console.error(`bridge ${id}: ${e.message}`));
+    }
+
+    const bridge = bridges.getBridge(id);
+    return {
+      ok: bridge.status !== "failed",
       mode: MODE,
+      id,
+      status: bridge.status,
       fromChain,
       toChain,
       hash: sent.hash,
       explorer: `${CHAIN[fromChain].explorer}${sent.hash}`,
+      statusUrl: `/api/bridge/${id}`,
+      allowance,
+      simulation,
       risk,
+    };
+  } catch (e) {
+    // nothing on-chain yet -> close the row; once a tx hash exists the tracker owns it
+    const b = id ? bridges.getBridge(id) : null;
+    if (b && !b.tx_hash && b.status !== "failed") bridges.upsertBridge(id, { status: "failed", last_error: e.message });
+    e.body = e.body || { ok: false, error: e.message, id };
+    throw e;
+  }
+}
+
+app.post("/api/bridge/evm", requireScope("execute"), handle(bridgeEvm, "bridge"));
+
+/* -------- Bridge status -------- */
+app.get("/api/bridge", requireScope("read"), (req, res) => {
+  res.json({ ok: true, bridges: bridges.listBridges({ limit: Number(req.query?.limit || 50) }) });
+});
+
+app.get("/api/bridge/:id", requireScope("read"), (req, res) => {
+  const bridge = bridges.getBridge(req.params.id);
+  if (!bridge) return res.status(404).json({ ok: false, error: "bridge not found" });
+  res.json({ ok: true, tracking: bridgeTracker.isTracking(bridge.bridge_id), bridge });
+});
+
+/* -------- Jobs (async swaps) --------
+ * POST /api/jobs { kind: sol_swap|evm_swap|bridge, params } + header Idempotency-Key
+ *   params = the body of /api/sol/swap, /api/evm/swap or /api/bridge/evm
+ *   a replayed key returns the original job; the same key with other params is a 409
+ *   jobs belong to the API key that queued them: keys are scoped per API key, and list / status /
+ *   events / cancel only see the caller's own jobs
+ * GET  /api/jobs              the caller's jobs
+ * GET  /api/jobs/:id          job + state transitions
+ * GET  /api/jobs/:id/events   SSE stream of transitions (Last-Event-ID resumes)
+ * POST /api/jobs/:id/cancel   only before the job broadcasts
+ */
+const jobRunner = createJobRunner({
+  store: jobs,
+  executors: { sol_swap: solSwap, evm_swap: evmSwap, bridge: bridgeEvm },
+  concurrency: Number(process.env.JOB_CONCURRENCY || 1),
+});
+
+function jobErrorStatus(e) {
+  if (e?.code === "IDEMPOTENCY_CONFLICT" || e?.code === "CANNOT_CANCEL") return 409;
+  return spendErrorStatus(e);
+}
+
+// Queue a job for an API key; the key owns it (idempotency, list, status, cancel). Spend is
+// reserved for new jobs only (a replay was booked the first time) and handed to the job, whose
+// store refunds it if the job ends without broadcasting.
+async function submitJob(key, { idempotencyKey, kind, request }) {
+  const replay = idempotencyKey ? jobs.getJobByKey(idempotencyKey, { owner: key.id }) : null;
+  const spend = replay ? null : await spendFor(key, kind, request, { idempotencyKey });
+  let out;
+  try {
+    out = jobRunner.submit({ owner: key.id, idempotencyKey, kind, request, spendId: spend?.spendId ?? null });
+  } catch (e) {
+    refundSpend(key.id, spend, { kind });
+    throw e;
+  }
+  // the same key was queued by a concurrent request meanwhile: that one was booked
+  if (!out.created) refundSpend(key.id, spend, { kind, jobId: out.job.job_id });
+  return out;
+}
+
+app.post("/api/jobs", requireScope("execute"), async (req, res) => {
+  try {
+    const { job, created } = await submitJob(req.apiKey, {
+      idempotencyKey: req.get("idempotency-key"),
+      kind: String(req.body?.kind || ""),
+      request: withWallet(req.body?.params || {}, req),
     });
+    res.status(created ? 202 : 200).json({ ok: true, created, job, statusUrl: `/api/jobs/${job.job_id}` });
   } catch (e) {
-    res.status(400).json({ ok: false, error: e.message });
+    res.status(jobErrorStatus(e)).json({ ok: false, error: e.message, code: e.code || null });
   }
 });
 
-/* -------- Agent router (detect + risk) -------- */
-app.post("/api/agent", async (req, res) => {
+app.get("/api/jobs", requireScope("read"), (req, res) => {
+  res.json({ ok: true, jobs: jobs.listJobs({ limit: Number(req.query?.limit || 50), owner: req.apiKey.id }) });
+});
+
+// another key's job is reported as missing, not as forbidden
+function ownJob(req) {
+  const job = jobs.getJob(req.params.id);
+  return job && job.owner === req.apiKey.id ? job : null;
+}
+
+app.get("/api/jobs/:id", requireScope("read"), (req, res) => {
+  const job = ownJob(req);
+  if (!job) return res.status(404).json({ ok: false, error: "job not found" });
+  res.json({ ok: true, job, events: jobs.listEvents(job.job_id) });
+});
+
+app.get("/api/jobs/:id/events", requireScope("read"), (req, res) => {
+  const job = ownJob(req);
+  if (!job) return res.status(404).json({ ok: false, error: "job not found" });
+
+  res.set({ "content-type": "text/event-stream", "cache-control": "no-cache", connection: "keep-alive" });
+  res.flushHeaders();
+
+  let lastId = Number(req.get("last-event-id") || 0);
+  let closed = false;
+  let unsubscribe = () => {};
+  const ping = setInterval(() => res.write(": ping\n\n"), 15000);
+  ping.unref();
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(ping);
+    unsubscribe();
+    res.end();
+  };
+  const send = (ev) => {
+    if (closed || ev.event_id <= lastId) return;
+    lastId = ev.event_id;
+    res.write(`id: ${ev.event_id}\nevent: state\ndata: ${JSON.stringify(ev)}\n\n`);
+    if (JOB_TERMINAL_STATUSES.has(ev.status)) close();
+  };
+
+  // replay + subscribe run in the same tick, so no transition can slip in between
+  for (const ev of jobs.listEvents(job.job_id, { afterEventId: lastId })) send(ev);
+  if (closed) return;
+  unsubscribe = jobRunner.subscribe(job.job_id, send);
+  if (JOB_TERMINAL_STATUSES.has(jobs.getJob(job.job_id).status)) return close();
+  req.on("close", close);
+});
+
+app.post("/api/jobs/:id/cancel", requireScope("execute"), (req, res) => {
   try {
-    const text = String(req.body?.text || "").trim();
-    if (!text) {
-      return res.json({
-        ok: true,
-        route: { intent: "unknown", chain: null },
-        risk: { ok: false, issues: ["Empty input"], warnings: [] },
-      });
-    }
+    const job = ownJob(req) && jobRunner.cancel(req.params.id);
+    if (!job) return res.status(404).json({ ok: false, error: "job not found" });
+    res.json({ ok: true, job });
+  } catch (e) {
+    res.status(jobErrorStatus(e)).json({ ok: false, error: e.message, code: e.code || null });
+  }
+});
+
+/* -------- Agent (same Scout -> Analyst -> RiskGate -> Quote pipeline as the CLI) --------
+ * POST /api/agent          { text, sessionId? } one conversation turn:
+ *   needs_input (question + candidates for ambiguous symbols), blocked (RiskGate) or
+ *   ready (quoted plan + confirmation token)
+ * POST /api/agent/confirm  { token, wallet? } queues the plan as a sol_swap / evm_swap job;
+ *   the token doubles as the Idempotency-Key, so a retried confirm never swaps twice
+ */
+const agent = createAgentConversations({
+  confirmTtlMs: Number(process.env.AGENT_CONFIRM_TTL_SEC || 120) * 1000,
+});
 
-    const has0x = /0x[a-fA-F0-9]{40}/.test(text);
-    const maybeSol = isProbablySolAddress(text) || /So11111111111111111111111111111111111111112/.test(text);
+app.post("/api/agent", requireScope("quote"), async (req, res) => {
+  try {
+    const out = await agent.converse({ sessionId: req.body?.sessionId || null, text: req.body?.text });
+    res.json({ ...out, mode: MODE, dryRun: DRY_RUN });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e.message, code: e.code || null });
+  }
+});
 
-    let route;
-    try {
-      route = await groqParse(text);
-    } catch (e) {
-      route = {
-        intent: "unknown",
-        chain: null,
-        action: "unknown",
-        tokenIn: null,
-        tokenOut: null,
-        amount: null,
-        slippageBps: 100,
-        notes: [`Groq parse failed → fallback: ${e.message}`],
-      };
-    }
+app.post("/api/agent/confirm", requireScope("execute"), async (req, res) => {
+  try {
+    const { execute, summary } = agent.redeem(req.body?.token);
+    const params = withWallet(execute.params, req);
+    const { job, created } = await submitJob(req.apiKey, { idempotencyKey: `agent-${req.body.token}`, kind: execute.kind, request: params });
+    res.status(created ? 202 : 200).json({ ok: true, created, plan: summary, job, statusUrl: `/api/jobs/${job.job_id}` });
+  } catch (e) {
+    const status = e?.code === "CONFIRMATION_INVALID" ? 404 : jobErrorStatus(e);
+    res.status(status).json({ ok: false, error: e.message, code: e.code || null });
+  }
+});
 
-    if (!route.chain) {
-      if (maybeSol) route.chain = "sol";
-      else if (has0x) route.chain = "base"; // default evm chain
-    }
+/* -------- Orders (limit / stop-loss, shared with the CLI: ORDER_DB) --------
+ * POST /api/orders             { chain?, tokenIn, tokenOut, amount, slippageBps?, condition: below|above,
+ *                                triggerPriceUsd, watch?: in|out, expiresInSec? }
+ *   checked now (quote + RiskGate); fired by the agent engine's watcher (`orders watch` in the CLI),
+ *   which re-runs RiskGate at trigger time and swaps with the engine's own keys. A capped key books
+ *   the order's USD value against dailySpendUsd when it is placed; cancelling it gives it back
+ *   orders belong to the API key that placed them: list / get / cancel only see the caller's own
+ *   (with no API keys configured there is one local user, who also sees the CLI's orders)
+ * GET  /api/orders?status=     the caller's orders
+ * GET  /api/orders/:id
+ * POST /api/orders/:id/cancel  open orders only
+ */
+const orders = openOrders();
 
-    const slip = Math.min(500, Math.max(10, Number(route.slippageBps || 100)));
-    route.slippageBps = slip;
+function orderErrorStatus(e) {
+  if (e?.code === "CANNOT_CANCEL") return 409;
+  if (e?.code === "RISK_BLOCKED") return 403;
+  return spendErrorStatus(e);
+}
 
-    const mode = route.intent === "bridge" ? "bridge" : "swap";
-    const amountGuess = route.amount || "0";
+// owner filter for listing (null = all, auth off)
+function orderOwner(req) {
+  return auth.enabled ? req.apiKey.id : null;
+}
 
-    const risk = riskGate({
-      chain: route.chain || "unknown",
-      amountInHuman: amountGuess,
-      slippageBps: slip,
-      mode,
-    });
+// another key's order is reported as missing, not as forbidden
+function ownOrder(req) {
+  const order = orders.getOrder(req.params.id);
+  const owner = orderOwner(req);
+  return order && (owner === null || order.owner === owner) ? order : null;
+}
 
-    if (route.intent === "swap" && route.chain && route.chain !== "sol" && route.tokenOut && isEvmAddress(route.tokenOut)) {
-      risk.warnings.push("Unknown EVM token address — could be honeypot/tax/blacklist. Verify contract + liquidity.");
-    }
+app.post("/api/orders", requireScope("execute"), async (req, res) => {
+  let spend = null;
+  try {
+    const { order, summary, priceTokenIn } = await prepareOrder(req.body || {}, { source: `api:${req.apiKey.id}` });
+    spend = await spendFor(req.apiKey, "order", { chain: order.chain, token: priceTokenIn, amount: order.amount }, { path: req.originalUrl });
+    const created = orders.createOrder({ ...order, owner: req.apiKey.id, spendId: spend?.spendId ?? null });
+    res.status(201).json({ ok: true, order: created, plan: summary });
+  } catch (e) {
+    refundSpend(req.apiKey?.id, spend, { kind: "order", path: req.originalUrl });
+    res.status(orderErrorStatus(e)).json({ ok: false, error: e.message, code: e.code || null, risk: e.risk || undefined, candidates: e.candidates || undefined });
+  }
+});
+
+app.get("/api/orders", requireScope("read"), (req, res) => {
+  const status = req.query?.status ? String(req.query.status) : null;
+  res.json({ ok: true, orders: orders.listOrders({ status, limit: Number(req.query?.limit || 50), owner: orderOwner(req) }) });
+});
+
+app.get("/api/orders/:id", requireScope("read"), (req, res) => {
+  const order = ownOrder(req);
+  if (!order) return res.status(404).json({ ok: false, error: "order not found" });
+  res.json({ ok: true, order });
+});
 
-    res.json({ ok: true, mode: MODE, dryRun: DRY_RUN, route, risk });
+app.post("/api/orders/:id/cancel", requireScope("execute"), (req, res) => {
+  try {
+    const own = ownOrder(req);
+    if (!own) return res.status(404).json({ ok: false, error: "order not found" });
+    const order = orders.cancelOrder(own.order_id);
+    // refunded once: later cancels of the same order find the reservation refunded already
+    if (order.status === "cancelled" && order.spend_id != null) {
+      refundSpend(own.owner, { spendId: order.spend_id }, { kind: "order", orderId: order.order_id });
+    }
+    res.json({ ok: true, order });
   } catch (e) {
-    res.status(500).json({ ok: false, error: "agent_failed", message: String(e?.message || e) });
+    res.status(orderErrorStatus(e)).json({ ok: false, error: e.message, code: e.code || null });
   }
 });
 
 /* ===== START ===== */
 app.listen(PORT, HOST, () => {
   console.log(`✅ API up: http://${HOST}:${PORT}`);
+  const resumed = bridgeTracker.resume();
+  if (resumed.length) console.log(`🌉 Resumed tracking ${resumed.length} bridge(s)`);
+  const recovered = jobRunner.start();
+  if (recovered.requeued.length || recovered.failed.length) {
+    console.log(`🧾 Jobs after restart: ${recovered.requeued.length} requeued, ${recovered.failed.length} failed (interrupted after broadcast)`);
+  }
   console.log(`🔐 Tip: keep HOST=127.0.0.1 for safety. Use SSH tunnel if you need access from phone.`);
 });
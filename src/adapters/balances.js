@@ -0,0 +1,31 @@
+import { Connection, Keypair, PublicKey } from "@solana/web3.js";
+import { ethers } from "ethers";
+import { parseSolKey } from "../core/utils.js";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const ERC20_BALANCE_ABI = ["function balanceOf(address) view returns (uint256)"];
+
+/**
+ * Live balance of the agent wallet (SOL_PRIVATE_KEY / EVM_PRIVATE_KEY) in atomic units.
+ * info: resolved token ({ address, native }).
+ */
+export async function walletBalance(chain, info) {
+  if (chain === "sol") {
+    const owner = Keypair.fromSecretKey(parseSolKey(process.env.SOL_PRIVATE_KEY)).publicKey;
+    const conn = new Connection(process.env.SOL_RPC);
+    if (info.native) return String(await conn.getBalance(owner, "confirmed"));
+
+    // every account of the mint (ATA + any extra ones), both token programs
+    const res = await conn.getParsedTokenAccountsByOwner(owner, { mint: new PublicKey(info.address) }, "confirmed");
+    let total = 0n;
+    for (const { account } of res?.value || []) total += BigInt(account?.data?.parsed?.info?.tokenAmount?.amount || 0);
+    return total.toString();
+  }
+
+  const provider = new ethers.JsonRpcProvider(process.env.EVM_RPC);
+  const owner = new ethers.Wallet(process.env.EVM_PRIVATE_KEY).address;
+  if (info.native) return (await provider.getBalance(owner)).toString();
+  return (await new ethers.Contract(info.address, ERC20_BALANCE_ABI, provider).balanceOf(owner)).toString();
+}
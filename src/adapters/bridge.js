@@ -0,0 +1,158 @@
+import { Connection, Keypair, VersionedTransaction } from "@solana/web3.js";
+import { ethers } from "ethers";
+import { httpJson } from "../core/http.js";
+import { parseSolKey } from "../core/utils.js";
+import { trackSolanaTx, trackEvmTx } from "../core/txTracker.js";
+import { ensureAllowance } from "../core/allowance.js";
+import { simulateSolanaTx, simulateEvmTx } from "../core/txSimulation.js";
+import { agentBridgeRiskGate } from "../agents/riskgate.js";
+import { createBridgeTracker } from "../core/bridgeTracker.js";
+import { BridgeStore, DEFAULT_BRIDGE_DB } from "../receipts/bridgeStore.js";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// LI.FI bridge between the agent chains (sol <-> base), same wallets as the swap adapters.
+// Rows go to the server's bridge store (BRIDGE_DB), so a bridge still in flight when the CLI
+// stops is picked up by the server's tracker on its next start.
+
+export const LIFI_CHAIN_IDS = { sol: 1151111081099710, base: 8453 };
+
+// LI.FI addresses of the native coins (the swap adapters use wSOL / 0xEeee... instead)
+const LIFI_NATIVE = { sol: "11111111111111111111111111111111", base: "0x0000000000000000000000000000000000000000" };
+
+function lifiToken(chain, info) {
+  return info.native ? LIFI_NATIVE[chain] : info.address;
+}
+
+function agentAddress(chain) {
+  if (chain === "sol") return Keypair.fromSecretKey(parseSolKey(process.env.SOL_PRIVATE_KEY)).publicKey.toBase58();
+  return new ethers.Wallet(process.env.EVM_PRIVATE_KEY).address;
+}
+
+export async function fetchLifiQuote(input) {
+  const q = new URLSearchParams({
+    fromChain: String(LIFI_CHAIN_IDS[input.fromChain]),
+    toChain: String(LIFI_CHAIN_IDS[input.toChain]),
+    fromToken: lifiToken(input.fromChain, input.tokenInInfo),
+    toToken: lifiToken(input.toChain, input.tokenOutInfo),
+    fromAmount: String(input.amountAtomic),
+    fromAddress: agentAddress(input.fromChain),
+    toAddress: agentAddress(input.toChain),
+    slippage: String(Number(input.slippageBps) / 10000)
+  });
+  return await httpJson(`https://li.quest/v1/quote?${q}`, { method: "GET", signal: AbortSignal.timeout(15000) });
+}
+
+function summarizeRoute(route) {
+  return {
+    source: "lifi",
+    tool: route?.tool || null,
+    outAmount: route?.estimate?.toAmount ?? null,
+    minOut: route?.estimate?.toAmountMin ?? null,
+    fromAmountUsd: route?.estimate?.fromAmountUSD ?? null,
+    toAmountUsd: route?.estimate?.toAmountUSD ?? null,
+    durationSec: route?.estimate?.executionDuration ?? null
+  };
+}
+
+// Source tx: approval (exact amount, prompt or verified spender only), simulation, broadcast.
+async function sendSource(input, route, { confirmFn = null, autoApprove = false } = {}) {
+  const txReq = route?.transactionRequest;
+  if (!txReq?.data) throw new Error("Missing transactionRequest from LI.FI");
+
+  if (input.fromChain === "sol") {
+    const wallet = Keypair.fromSecretKey(parseSolKey(process.env.SOL_PRIVATE_KEY));
+    const conn = new Connection(process.env.SOL_RPC);
+    const tx = VersionedTransaction.deserialize(Buffer.from(txReq.data, "base64"));
+    tx.sign([wallet]);
+    const sim = await simulateSolanaTx({ connection: conn, tx, owner: wallet.publicKey.toBase58(), mints: [input.tokenInInfo.address] });
+    if (!sim.ok) throw new Error(`Bridge simulation failed: ${sim.error}`);
+    const raw = tx.serialize();
+    const sig = await conn.sendRawTransaction(raw);
+    const confirmation = await trackSolanaTx({ connection: conn, signature: sig, rawTx: raw, commitment: process.env.SOL_COMMITMENT || "confirmed" });
+    const ok = confirmation.status === "confirmed" || confirmation.status === "finalized";
+    return { txid: sig, ok, error: confirmation.err ? JSON.stringify(confirmation.err) : ok ? null : `source tx ${confirmation.status}` };
+  }
+
+  const provider = new ethers.JsonRpcProvider(process.env.EVM_RPC);
+  const wallet = new ethers.Wallet(process.env.EVM_PRIVATE_KEY, provider);
+  if (!input.tokenInInfo.native) {
+    await ensureAllowance({
+      wallet,
+      token: input.tokenInInfo.address,
+      spender: route?.estimate?.approvalAddress || txReq.to,
+      amount: input.amountAtomic,
+      // never unlimited: the LI.FI spender changes with the route
+      mode: "exact",
+      confirmFn,
+      autoApprove
+    });
+  }
+  const req = { to: txReq.to, data: txReq.data, value: BigInt(txReq.value || 0) };
+  const sim = await simulateEvmTx({ provider, tx: req, from: wallet.address, tokens: [input.tokenInInfo.address] });
+  if (!sim.ok) throw new Error(`Bridge simulation failed: ${sim.error}`);
+  const sent = await wallet.sendTransaction(req);
+  const confirmation = await trackEvmTx({ provider, txHash: sent.hash, tx: { ...req, from: wallet.address } });
+  const ok = confirmation.status === "confirmed";
+  return { txid: sent.hash, ok, error: ok ? null : confirmation.revertReason || `source tx ${confirmation.status}` };
+}
+
+/**
+ * input: { fromChain, toChain, tokenInInfo (source chain), tokenOutInfo (destination chain), amountAtomic, slippageBps }
+ * opts: { dryRun } (quote only), confirmFn / autoApprove (ERC-20 approval, see ensureAllowance)
+ *
+ * The route goes through the bridge RiskGate (throws RISK_BLOCKED) and the source tx is simulated
+ * before it is sent. Waits for the destination leg up to BRIDGE_WAIT_MS (default 30 min).
+ * Returns { bridgeId, txid, status: quoted | done | failed | pending, received (atomic tokenOut), quote, risk, error }.
+ */
+export async function lifiBridge(input, { dryRun = false, confirmFn = null, autoApprove = false } = {}) {
+  if (!LIFI_CHAIN_IDS[input.fromChain] || !LIFI_CHAIN_IDS[input.toChain]) throw new Error(`Unsupported bridge ${input.fromChain} -> ${input.toChain} (sol/base)`);
+
+  const route = await fetchLifiQuote(input);
+  const quote = summarizeRoute(route);
+  const risk = agentBridgeRiskGate(input, quote);
+  if (dryRun) return { bridgeId: null, txid: null, status: "quoted", received: null, quote, risk, error: null };
+
+  const store = BridgeStore.open({ dbPath: process.env.BRIDGE_DB || DEFAULT_BRIDGE_DB });
+  const id = BridgeStore.newBridgeId();
+  try {
+    store.upsertBridge(id, {
+      status: "sending",
+      tool: route?.tool || null,
+      from_chain: input.fromChain,
+      to_chain: input.toChain,
+      from_chain_id: LIFI_CHAIN_IDS[input.fromChain],
+      to_chain_id: LIFI_CHAIN_IDS[input.toChain],
+      from_token: input.tokenInInfo.address,
+      to_token: input.tokenOutInfo.address,
+      from_amount: String(input.amountAtomic),
+      from_address: agentAddress(input.fromChain),
+      route
+    });
+
+    let source;
+    try {
+      source = await sendSource(input, route, { confirmFn, autoApprove });
+    } catch (e) {
+      store.upsertBridge(id, { status: "failed", last_error: e?.message || String(e) });
+      throw e;
+    }
+    store.upsertBridge(id, { tx_hash: source.txid, status: source.ok ? "pending" : "failed", last_error: source.error });
+    if (!source.ok) return { bridgeId: id, txid: source.txid, status: "failed", received: null, quote, risk, error: source.error };
+
+    const tracker = createBridgeTracker({ store, timeoutMs: Number(process.env.BRIDGE_WAIT_MS || 30 * 60_000) });
+    const b = await tracker.track(id);
+    return {
+      bridgeId: id,
+      txid: source.txid,
+      status: b.status,
+      received: b.received_amount ?? null,
+      quote,
+      risk,
+      error: b.status === "failed" ? b.last_error || b.substatus || "bridge failed" : null
+    };
+  } finally {
+    store.close();
+  }
+}
@@ -1,20 +1,103 @@
 import { ethers } from "ethers";
 import { httpJson } from "../core/http.js";
+import { normalizeZeroxPrice } from "../core/quotes.js";
+import { trackEvmTx, erc20ReceivedFromReceipt, evmNativeReceived } from "../core/txTracker.js";
+import { ensureAllowance, signPermit2, appendPermit2Signature, approvalModeFromEnv } from "../core/allowance.js";
 import dotenv from "dotenv";
 
 dotenv.config();
 
-export async function evmSwap(input) {
+const BASE_CHAIN_ID = 8453;
+
+// OX_SWAP_API=v1 (default): swap/v1/quote, allowance to quote.allowanceTarget
+// OX_SWAP_API=permit2: swap/permit2/quote (0x v2), allowance to Permit2 + EIP-712 signature
+async function fetchZeroxQuote(input, taker) {
+  const headers = process.env.OX_API_KEY ? { "0x-api-key": process.env.OX_API_KEY } : {};
+
+  if ((process.env.OX_SWAP_API || "v1").toLowerCase() === "permit2") {
+    return await httpJson(
+      `https://api.0x.org/swap/permit2/quote?chainId=${BASE_CHAIN_ID}&sellToken=${input.tokenInInfo.address}&buyToken=${input.tokenOutInfo.address}` +
+        `&sellAmount=${input.amountAtomic}&taker=${taker}&slippageBps=${Number(input.slippageBps)}`,
+      { method: "GET", headers: { ...headers, "0x-version": "v2" } }
+    );
+  }
+
+  return await httpJson(
+    `https://api.0x.org/swap/v1/quote?sellToken=${input.tokenInInfo.address}&buyToken=${input.tokenOutInfo.address}&sellAmount=${input.amountAtomic}` +
+      `&slippagePercentage=${Number(input.slippageBps) / 10000}`,
+    { method: "GET", headers }
+  );
+}
+
+export async function evmSwap(input, opts = {}) {
   const provider = new ethers.JsonRpcProvider(process.env.EVM_RPC);
   const wallet = new ethers.Wallet(process.env.EVM_PRIVATE_KEY, provider);
 
-  const quote = await httpJson(`https://api.0x.org/swap/v1/quote?sellToken=${input.tokenIn}&buyToken=${input.tokenOut}&sellAmount=${ethers.parseUnits(input.amount, 6)}`);
+  const quote = await fetchZeroxQuote(input, wallet.address);
 
-  const tx = await wallet.sendTransaction({
-    to: quote.to,
-    data: quote.data,
-    value: BigInt(quote.value || 0)
+  // v1 returns the tx fields at top level, v2 under `transaction`
+  const txFields = quote.transaction || quote;
+
+  // ERC-20 sells need an allowance before the swap tx can pull funds. The spender is re-read from
+  // this (executed) quote: it may differ from the preview quote RiskGate looked at.
+  let approval = null;
+  if (!input.tokenInInfo.native) {
+    const spender = quote.issues?.allowance?.spender || quote.allowanceTarget;
+    approval = await ensureAllowance({
+      wallet,
+      token: input.tokenInInfo.address,
+      spender,
+      amount: input.amountAtomic,
+      mode: input.approvalMode || approvalModeFromEnv(),
+      confirmFn: opts.confirmFn || null,
+      autoApprove: !!opts.autoApprove
+    });
+  }
+
+  let data = txFields.data;
+  if (quote.permit2?.eip712) {
+    const sig = await signPermit2(wallet, quote.permit2.eip712);
+    data = appendPermit2Signature(data, sig);
+  }
+
+  const req = {
+    to: txFields.to,
+    data,
+    value: BigInt(txFields.value || 0)
+  };
+  const tx = await wallet.sendTransaction(req);
+
+  const confirmation = await trackEvmTx({
+    provider,
+    txHash: tx.hash,
+    tx: { ...req, from: wallet.address },
+    confirmations: Number(process.env.EVM_CONFIRMATIONS || "1")
   });
 
-  return { txid: tx.hash, quote };
+  let received = null;
+  if (confirmation.status === "confirmed") {
+    try {
+      received = input.tokenOutInfo.native
+        ? await evmNativeReceived({
+            provider,
+            owner: wallet.address,
+            blockNumber: confirmation.blockNumber,
+            value: req.value,
+            fee: confirmation.fee
+          })
+        : erc20ReceivedFromReceipt(confirmation.receipt, { token: input.tokenOutInfo.address, owner: wallet.address });
+    } catch {
+      // amounts are informational; the tx itself is confirmed
+    }
+  }
+
+  return {
+    txid: tx.hash,
+    status: confirmation.status,
+    error: confirmation.revertReason,
+    confirmation: { status: confirmation.status, blockNumber: confirmation.blockNumber, gasUsed: confirmation.gasUsed, fee: confirmation.fee },
+    approval,
+    received,
+    quote: normalizeZeroxPrice(quote, { slippageBps: input.slippageBps, tokenOutDecimals: input.tokenOutInfo.decimals })
+  };
 }
@@ -1,6 +1,8 @@
 import { Connection, Keypair, VersionedTransaction } from "@solana/web3.js";
 import { httpJson } from "../core/http.js";
 import { parseSolKey } from "../core/utils.js";
+import { fetchJupiterQuote, normalizeJupiterQuote } from "../core/quotes.js";
+import { trackSolanaTx, solanaReceivedAmount } from "../core/txTracker.js";
 import dotenv from "dotenv";
 
 dotenv.config();
@@ -9,7 +11,16 @@ export async function solSwap(input) {
   const wallet = Keypair.fromSecretKey(parseSolKey(process.env.SOL_PRIVATE_KEY));
   const conn = new Connection(process.env.SOL_RPC);
 
-  const quote = await httpJson(`https://api.jup.ag/swap/v1/quote?inputMint=${input.tokenIn}&outputMint=${input.tokenOut}&amount=${input.amount}&slippageBps=${input.slippageBps}`);
+  // reuse the previewed route when the Quote agent already fetched one
+  const quote =
+    input.quote?.source === "jupiter"
+      ? input.quote.raw
+      : await fetchJupiterQuote({
+          inputMint: input.tokenInInfo.address,
+          outputMint: input.tokenOutInfo.address,
+          amountAtomic: input.amountAtomic,
+          slippageBps: input.slippageBps
+        });
 
   const swap = await httpJson("https://api.jup.ag/swap/v1/swap", {
     method: "POST",
@@ -23,6 +34,39 @@ export async function solSwap(input) {
   const tx = VersionedTransaction.deserialize(Buffer.from(swap.swapTransaction, "base64"));
   tx.sign([wallet]);
 
-  const sig = await conn.sendRawTransaction(tx.serialize());
-  return { txid: sig, quote };
+  const raw = tx.serialize();
+  const sig = await conn.sendRawTransaction(raw);
+
+  // wait for SOL_COMMITMENT (confirmed/finalized), rebroadcasting until the blockhash expires
+  const confirmation = await trackSolanaTx({
+    connection: conn,
+    signature: sig,
+    rawTx: raw,
+    lastValidBlockHeight: swap.lastValidBlockHeight ?? null,
+    commitment: process.env.SOL_COMMITMENT || "confirmed"
+  });
+
+  let received = null;
+  if (confirmation.status === "confirmed" || confirmation.status === "finalized") {
+    try {
+      received = await solanaReceivedAmount({
+        connection: conn,
+        signature: sig,
+        owner: wallet.publicKey.toBase58(),
+        mint: input.tokenOutInfo.address,
+        native: !!input.tokenOutInfo.native
+      });
+    } catch {
+      // amounts are informational; the tx itself is confirmed
+    }
+  }
+
+  return {
+    txid: sig,
+    status: confirmation.status,
+    error: confirmation.err ? JSON.stringify(confirmation.err) : null,
+    confirmation,
+    received,
+    quote: normalizeJupiterQuote(quote, { tokenOutDecimals: input.tokenOutInfo.decimals })
+  };
 }
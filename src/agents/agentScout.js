@@ -1,6 +1,8 @@
 import { step, info } from "../core/logger.js";
-import { groqParse } from "../core/groq.js";
+import { codedError } from "../core/errors.js";
+import { groqParse, groqStructured } from "../core/groq.js";
 import { isEvmAddressLike, isSolanaMintLike } from "../core/tokens.js";
+import { PLAN_SCHEMA, assertPlanGraph, validatePlanGraph, stepOutput, describeStep } from "./planGraph.js";
 
 // ---------- helpers ----------
 function normToken(t) {
@@ -37,7 +39,7 @@ function parseSlippageBps(prompt) {
   const mBps2 = p.match(/\b([0-9]{1,4})\s*bps\b/i);
   if (mBps2) return clampSlippageBps(Number(mBps2[1]));
 
-  return 50;
+  return null;
 }
 
 function parseChain(prompt) {
@@ -80,15 +82,21 @@ function extractTokens(prompt) {
     .filter(Boolean);
 
   // remove common keywords
-  const stop = new Set(["swap", "to", "ke", "slippage", "slip", "on", "chain", "di"]);
+  // (plus filler of follow-up turns like "make it 3" / "use 2 instead")
+  const stop = new Set(["swap", "to", "ke", "slippage", "slip", "on", "chain", "di", "for", "into", "make", "it", "use", "instead", "please", "amount", "the", "of"]);
   const syms = words.filter((w) => !stop.has(w.toLowerCase()) && !/^[0-9]+(\.[0-9]+)?$/.test(w));
 
   if (syms.length >= 2) return { tokenIn: syms[0], tokenOut: syms[1] };
+  // "swap 1 USDC": the sell side is known, the buy side has to be asked
+  if (syms.length === 1) return { tokenIn: syms[0], tokenOut: null };
 
   return { tokenIn: null, tokenOut: null };
 }
 
-function finalizePlan(plan, prompt) {
+/**
+ * Plan with defaults (chain from addresses, slippage 50 bps); missing tokens / amount stay null.
+ */
+export function finalizeIntent(plan, prompt) {
   const tokenIn = normToken(plan.tokenIn);
   const tokenOut = normToken(plan.tokenOut);
 
@@ -101,7 +109,7 @@ function finalizePlan(plan, prompt) {
   }
 
   const amount = plan.amount ? String(plan.amount) : extractAmount(prompt);
-  const slippageBps = clampSlippageBps(plan.slippageBps ?? parseSlippageBps(prompt));
+  const slippageBps = clampSlippageBps(plan.slippageBps ?? parseSlippageBps(prompt) ?? 50);
 
   return {
     chain,
@@ -114,6 +122,39 @@ function finalizePlan(plan, prompt) {
   };
 }
 
+// fields a swap cannot run without, in the order they are asked for
+export function missingIntentFields(plan) {
+  return ["tokenIn", "tokenOut", "amount"].filter((k) => !plan?.[k]);
+}
+
+/**
+ * Raw intent of one prompt: Groq (if available) or the regex fallback.
+ * Fields the prompt does not mention are null (no defaults), so turns can be merged.
+ */
+export async function parseIntent(prompt) {
+  const ai = await groqParse(prompt);
+  if (ai && typeof ai === "object") {
+    return {
+      source: "groq",
+      chain: ai.chain ?? null,
+      tokenIn: ai.tokenIn ?? null,
+      tokenOut: ai.tokenOut ?? null,
+      amount: ai.amount ?? null,
+      slippageBps: ai.slippageBps ?? null
+    };
+  }
+
+  const { tokenIn, tokenOut } = extractTokens(prompt);
+  return {
+    source: "fallback",
+    chain: parseChain(prompt),
+    tokenIn,
+    tokenOut,
+    amount: extractAmount(prompt),
+    slippageBps: parseSlippageBps(prompt)
+  };
+}
+
 // ---------- main ----------
 export async function agentScout(input) {
   step("SCOUT");
@@ -127,29 +168,215 @@ export async function agentScout(input) {
   const prompt = String(input.prompt || "").trim();
   if (!prompt) throw new Error("Empty prompt for agent mode");
 
-  // 1) Try Groq (if available) - must return JSON
-  const ai = await groqParse(prompt);
-  if (ai && typeof ai === "object") {
-    const plan = finalizePlan(ai, prompt);
-    info(`Scout(Groq): chain=${plan.chain}, in=${plan.tokenIn}, out=${plan.tokenOut}, amount=${plan.amount}, slippageBps=${plan.slippageBps}`);
-    return plan;
+  const raw = await parseIntent(prompt);
+  const plan = finalizeIntent(raw, prompt);
+  info(
+    `Scout(${raw.source === "groq" ? "Groq" : "Fallback"}): chain=${plan.chain}, in=${plan.tokenIn}, out=${plan.tokenOut}, amount=${plan.amount}, slippageBps=${plan.slippageBps}`
+  );
+
+  // Hard fail if still missing core fields (/api/agent asks for them instead)
+  const missing = missingIntentFields(plan);
+  if (missing.length) {
+    throw incomplete(`Scout failed to parse prompt (missing ${missing.join(", ")}). Try format: "swap 1 USDC to SOL slippage 0.5%" or use CA directly.`, missing);
   }
 
-  // 2) Fallback parser (robust regex)
-  const chain = parseChain(prompt);
-  const amount = extractAmount(prompt);
-  const { tokenIn, tokenOut } = extractTokens(prompt);
-  const slippageBps = parseSlippageBps(prompt);
+  return plan;
+}
+
+// ---------- plan graph ----------
+// Multi-step prompts ("swap 1 SOL to USDC then bridge to base", "sell half my BONK to USDC") become a
+// validated plan graph (src/agents/planGraph.js): Groq structured output when available, else
+// the clause parser below (one step per "then" / "lalu" / "kemudian" clause).
+
+const PLAN_SYSTEM =
+  "Turn the user's trading instruction into a plan of steps. Chains: sol (Solana) and base. " +
+  "swap: tokenIn -> tokenOut on chain (toChain null). bridge: tokenIn from chain to toChain (tokenOut null = same token). " +
+  "Tokens: uppercase symbol or the exact address given. " +
+  'amount: {mode:"exact", value: human amount} | {mode:"percent", value:"50"} for "half"/"50%" of the wallet balance | ' +
+  '{mode:"all"} | {mode:"output", step: id} to spend what an earlier step produced ("then bridge it"). ' +
+  "A step using another step's output, or following it with \"then\", lists it in dependsOn. " +
+  'Ids "s1", "s2", ... in order. slippageBps only when the user gives one. ' +
+  "Never guess an amount or a target token the user did not give (the user is asked instead); put other assumptions in notes.";
+
+const PLAN_KEYWORDS = "(?!(?:to|ke|for|into|from|with|my|of|on|di|and|then)\\b)";
+const TOKEN = `${PLAN_KEYWORDS}(0x[0-9a-fA-F]{40}|[1-9A-HJ-NP-Za-km-z]{32,44}|[A-Za-z][A-Za-z0-9_.-]{1,15})`;
+const AMOUNT = "([0-9]+(?:\\.[0-9]+)?%?|half|setengah|all|semua|everything|it|that|them|itu)(?=\\s|$)";
+const CHAIN = "(base|solana|sol)";
+const OWNED = "(?:of\\s+)?(?:my\\s+)?";
 
-  const plan = finalizePlan({ chain, tokenIn, tokenOut, amount, slippageBps }, prompt);
-  info(`Scout(Fallback): chain=${plan.chain}, in=${plan.tokenIn}, out=${plan.tokenOut}, amount=${plan.amount}, slippageBps=${plan.slippageBps}`);
+const CLAUSE_SPLIT = /\s*[;,]?\s*\b(?:and then|then|after that|lalu|kemudian|terus)\b\s*|\s+and\s+(?=(?:swap|sell|buy|bridge|convert)\b)/i;
+const BRIDGE_RE = new RegExp(`\\bbridge\\s+(?:${AMOUNT}\\s*)?(?:${OWNED}${TOKEN}\\s*)?(?:from\\s+${CHAIN}\\s+)?(?:to|ke)\\s+${CHAIN}\\b`, "i");
+const SWAP_RE = new RegExp(`\\b(?:swap|convert|tukar|trade)\\s+(?:${AMOUNT}\\s*)?(?:${OWNED}${TOKEN}\\s*)?(?:to|ke|for|into)\\s+${TOKEN}`, "i");
+const SELL_RE = new RegExp(`\\b(?:sell|jual)\\s+(?:${AMOUNT}\\s*)?(?:${OWNED}${TOKEN})?(?:\\s*(?:to|ke|for|into)\\s+${TOKEN})?`, "i");
+const BUY_RE = new RegExp(`\\bbuy\\s+${TOKEN}\\s+with\\s+(?:${AMOUNT}\\s*)?(?:${OWNED}${TOKEN})?`, "i");
+const ON_CHAIN_RE = new RegExp(`\\b(?:on|di)\\s+${CHAIN}\\b`, "i");
 
-  // Hard fail if still missing core fields
-  if (!plan.tokenIn || !plan.tokenOut || !plan.amount) {
-    throw new Error(
-      `Scout failed to parse prompt. Try format: "swap 1 USDC to SOL slippage 0.5%" or use CA directly.`
-    );
+function chainName(v) {
+  return String(v).toLowerCase() === "base" ? "base" : "sol";
+}
+
+function amountSpec(v) {
+  if (!v) return null;
+  const w = v.toLowerCase();
+  if (w.endsWith("%")) return { mode: "percent", value: w.slice(0, -1), step: null };
+  if (w === "half" || w === "setengah") return { mode: "percent", value: "50", step: null };
+  if (["all", "semua", "everything"].includes(w)) return { mode: "all", value: null, step: null };
+  if (["it", "that", "them", "itu"].includes(w)) return { mode: "output", value: null, step: null };
+  return { mode: "exact", value: w, step: null };
+}
+
+function incomplete(message, missing, fields = {}) {
+  return codedError("INCOMPLETE_INTENT", message, { ...fields, missing });
+}
+
+// a sell clause without an amount or a target is asked back, never guessed (all / USDC)
+function sellQuestion(tokenIn, missing) {
+  const q =
+    missing === "amount"
+      ? `How much ${tokenIn} do you want to sell? (e.g. "sell half my ${tokenIn}", "sell all my ${tokenIn}", "sell 100 ${tokenIn}")`
+      : `Which token do you want to sell ${tokenIn} for? (e.g. "sell half my ${tokenIn} to USDC")`;
+  return incomplete(q, [missing], { question: q });
+}
+
+// one clause -> step fields (without id), null when it is not a swap/sell/buy/bridge
+function parseClause(clause, prev, { chainHint, slippageBps }) {
+  const out = prev ? stepOutput(prev) : null;
+  let kind = "swap";
+  let amt = null;
+  let tokenIn = null;
+  let tokenOut = null;
+  let toChain = null;
+  let fromChain = null;
+  let sell = false;
+
+  let m;
+  if ((m = clause.match(BRIDGE_RE))) {
+    kind = "bridge";
+    [, amt, tokenIn, fromChain, toChain] = m;
+  } else if ((m = clause.match(BUY_RE))) {
+    [, tokenOut, amt, tokenIn] = m;
+  } else if ((m = clause.match(SWAP_RE))) {
+    [, amt, tokenIn, tokenOut] = m;
+  } else if ((m = clause.match(SELL_RE)) && (m[1] || m[2])) {
+    [, amt, tokenIn, tokenOut] = m;
+    sell = true;
+  } else {
+    return null;
   }
 
-  return plan;
+  tokenIn = normToken(tokenIn);
+  tokenOut = normToken(tokenOut);
+  let amount = amountSpec(amt);
+
+  // "then bridge to base" / "then swap it to SOL": spend what the previous step produced
+  const continues = out && (!tokenIn || tokenIn.toLowerCase() === String(out.token).toLowerCase());
+  if (continues && (!amount || amount.mode === "output")) amount = { mode: "output", value: null, step: prev.id };
+  if (amount?.mode === "output") {
+    if (!out) throw incomplete(`Nothing to spend before "${clause}"`, ["amount"]);
+    amount.step = prev.id;
+    tokenIn = tokenIn || out.token;
+  }
+  // "then sell half": the token the previous step left
+  if (!tokenIn && out && amount) tokenIn = out.token;
+  if (!tokenIn) throw incomplete(`Missing token in "${clause}"`, ["tokenIn"]);
+  if (sell && !amount) throw sellQuestion(tokenIn, "amount");
+  if (sell && !tokenOut) throw sellQuestion(tokenIn, "tokenOut");
+  if (kind === "swap" && !tokenOut) throw incomplete(`Missing target token in "${clause}"`, ["tokenOut"]);
+  if (!amount) throw incomplete(`Missing amount in "${clause}"`, ["amount"]);
+
+  let chain;
+  if (kind === "bridge") {
+    // two chains: the source is the one the bridge does not go to
+    chain = fromChain ? chainName(fromChain) : out?.chain || (chainName(toChain) === "base" ? "sol" : "base");
+  } else {
+    const explicit = clause.match(ON_CHAIN_RE)?.[1];
+    if (explicit) chain = chainName(explicit);
+    else if (amount.mode === "output") chain = out.chain;
+    else if (isEvmAddressLike(tokenIn) || isEvmAddressLike(tokenOut)) chain = "base";
+    else chain = out?.chain || chainHint || "sol";
+  }
+
+  return {
+    kind,
+    chain,
+    toChain: kind === "bridge" ? chainName(toChain) : null,
+    tokenIn,
+    tokenOut: kind === "bridge" ? null : tokenOut,
+    amount,
+    slippageBps: kind === "bridge" ? parseSlippageBps(clause) : parseSlippageBps(clause) ?? slippageBps,
+    dependsOn: prev ? [prev.id] : []
+  };
+}
+
+/**
+ * Regex fallback of the plan graph (no Groq). Throws INCOMPLETE_INTENT when a clause cannot be read.
+ */
+export function fallbackPlanGraph(prompt) {
+  const clauses = String(prompt || "")
+    .split(CLAUSE_SPLIT)
+    .map((c) => c?.trim())
+    .filter(Boolean);
+  if (!clauses.length) throw incomplete("Empty prompt", ["tokenIn", "tokenOut", "amount"]);
+
+  const opts = { chainHint: clauses.length === 1 ? parseChain(prompt) : null, slippageBps: parseSlippageBps(prompt) };
+  const steps = [];
+  for (const clause of clauses) {
+    const prev = steps[steps.length - 1] || null;
+    const parsed = parseClause(clause, prev, opts);
+    if (!parsed) {
+      // single swap phrasing the clause patterns do not know ("1 USDC ke SOL"): legacy extractor
+      const legacy = clauses.length === 1 ? finalizeIntent({ ...extractTokens(prompt) }, prompt) : null;
+      if (legacy && !missingIntentFields(legacy).length) {
+        steps.push({
+          id: "s1",
+          kind: "swap",
+          chain: legacy.chain,
+          toChain: null,
+          tokenIn: legacy.tokenIn,
+          tokenOut: legacy.tokenOut,
+          amount: { mode: "exact", value: legacy.amount, step: null },
+          slippageBps: parseSlippageBps(prompt),
+          dependsOn: []
+        });
+        break;
+      }
+      throw incomplete(`Could not understand "${clause}". Try e.g. "swap 1 SOL to USDC then bridge to base" or "sell half my BONK to USDC".`, ["tokenIn", "tokenOut", "amount"]);
+    }
+    steps.push({ id: `s${steps.length + 1}`, ...parsed });
+  }
+
+  return { steps, notes: [] };
+}
+
+function normalizePlanGraph(graph) {
+  return {
+    steps: graph.steps.map((s) => ({
+      ...s,
+      tokenIn: normToken(s.tokenIn),
+      tokenOut: normToken(s.tokenOut),
+      slippageBps: s.slippageBps == null ? null : clampSlippageBps(s.slippageBps)
+    })),
+    notes: graph.notes
+  };
+}
+
+/**
+ * Validated plan graph of a prompt: { source: "groq" | "fallback", graph }.
+ * Throws INVALID_PLAN / INCOMPLETE_INTENT.
+ */
+export async function parsePlanGraph(prompt, { structuredFn = groqStructured } = {}) {
+  const ai = await structuredFn({ system: PLAN_SYSTEM, prompt, schema: PLAN_SCHEMA, name: "plan_graph", validate: validatePlanGraph });
+  if (ai) return { source: "groq", graph: assertPlanGraph(normalizePlanGraph(ai)) };
+  return { source: "fallback", graph: assertPlanGraph(fallbackPlanGraph(prompt)) };
+}
+
+export async function agentScoutPlan(prompt, opts = {}) {
+  step("SCOUT");
+  const p = String(prompt || "").trim();
+  if (!p) throw new Error("Empty prompt for agent mode");
+
+  const res = await parsePlanGraph(p, opts);
+  info(`Scout(${res.source === "groq" ? "Groq" : "Fallback"}): ${res.graph.steps.length} step(s)`);
+  for (const s of res.graph.steps) info(`  ${describeStep(s)}`);
+  return res;
 }
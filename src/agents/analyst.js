@@ -1,8 +1,16 @@
+import { ethers } from "ethers";
 import { step, info } from "../core/logger.js";
 import { isEvmAddressLike, isSolanaMintLike } from "../core/tokens.js";
-import { fetchDexTokenPairs, pickBestPair, normalizePair } from "../core/dexscreener.js";
+import { fetchMarketSnapshot } from "../core/marketData.js";
+import { resolveSwapTokens } from "../core/tokenRegistry.js";
+import { isKnownSymbol, resolveSymbol } from "../core/symbolResolver.js";
+import { inspectSolanaMint } from "../core/mintInspector.js";
+import { simulateEvmTokenTax } from "../core/evmTaxSim.js";
 
-export async function agentAnalyst(input) {
+/**
+ * opts.pickToken(candidates, { symbol, chain, reason }): interactive pick for ambiguous symbols
+ */
+export async function agentAnalyst(input, opts = {}) {
   step("ANALYST");
 
   if (!input.tokenIn || !input.tokenOut) {
@@ -22,38 +30,107 @@ export async function agentAnalyst(input) {
 
   const out = { ...input, chain, tokenIn, tokenOut };
 
-  // Dexscreener only makes sense if user provided a CA/mint/0x
+  // Symbols outside the built-in list (e.g. BONK) -> address via Dexscreener search + registry
+  const symbols = {};
+  for (const leg of ["tokenIn", "tokenOut"]) {
+    const v = out[leg];
+    if (isEvmAddressLike(v) || isSolanaMintLike(v) || isKnownSymbol(chain, v)) continue;
+    info(`Analyst: searching ${chain} token for symbol ${v} ...`);
+    const res = await resolveSymbol(chain, v, { pickFn: opts.pickToken || null });
+    const note = res.impersonators ? ` (${res.impersonators} other token(s) use this symbol)` : "";
+    info(`Analyst: ${v} -> ${res.address} [${res.picked}]${note}`);
+    symbols[leg] = res;
+    out[leg] = res.address;
+  }
+  if (Object.keys(symbols).length) out.symbolResolution = symbols;
+
+  // Token registry: address + decimals for both legs, amount in atomic units of tokenIn
+  const resolved = await resolveSwapTokens(out);
+  for (const [leg, res] of Object.entries(symbols)) {
+    const t = resolved[`${leg}Info`];
+    if (!t.symbol) t.symbol = res.symbol;
+  }
+  Object.assign(out, resolved);
+  info(
+    `Analyst: ${resolved.tokenInInfo.symbol || tokenIn} (${resolved.tokenInInfo.decimals}d) -> ` +
+      `${resolved.tokenOutInfo.symbol || tokenOut} (${resolved.tokenOutInfo.decimals}d), amountAtomic=${resolved.amountAtomic}`
+  );
+
+  // Solana: on-chain mint safety read of the non-builtin leg (tokenOut first)
+  if (chain === "sol" && process.env.SOL_MINT_INSPECT !== "0") {
+    out.onchain = await inspectTargetMint(resolved);
+  }
+
+  // Base: honeypot / tax simulation of the non-builtin leg
+  if (chain === "base" && process.env.EVM_TAX_SIM !== "0") {
+    out.onchain = await simulateTargetTax(out);
+  }
+
+  // Market data only makes sense if user provided a CA/mint/0x
   const probeAddr =
-    isEvmAddressLike(tokenOut) || isSolanaMintLike(tokenOut)
-      ? tokenOut
-      : (isEvmAddressLike(tokenIn) || isSolanaMintLike(tokenIn) ? tokenIn : null);
+    isEvmAddressLike(out.tokenOut) || isSolanaMintLike(out.tokenOut)
+      ? out.tokenOut
+      : (isEvmAddressLike(out.tokenIn) || isSolanaMintLike(out.tokenIn) ? out.tokenIn : null);
 
   if (!probeAddr) {
-    info("Analyst: symbol mode (no CA) -> skip Dexscreener snapshot");
+    info("Analyst: symbol mode (no CA) -> skip market snapshot");
     return out;
   }
 
   try {
-    info(`Analyst: Dexscreener lookup for ${probeAddr} ...`);
-    const pairs = await fetchDexTokenPairs(probeAddr);
-    const best = pickBestPair(pairs, { chain });
-    const snap = normalizePair(best);
+    info(`Analyst: market data lookup for ${probeAddr} ...`);
+    const market = await fetchMarketSnapshot({ chain, tokenAddress: probeAddr });
+    out.market = market;
 
-    out.market = {
-      source: "dexscreener",
-      tokenAddress: probeAddr,
-      bestPair: snap
-    };
+    for (const src of market.sources) {
+      if (!src.ok) info(`Analyst: ${src.id} unavailable (${src.error})`);
+    }
 
+    const snap = market.bestPair;
     if (snap) {
-      info(`Analyst: bestPair dex=${snap.dex} liq=$${Math.round(snap.liquidityUsd || 0)} vol24=$${Math.round(snap.volume24hUsd || 0)}`);
+      const agreed = market.consensus.price.checked ? ` priceAgree=${market.consensus.price.agreeing.join("+")}` : "";
+      info(`Analyst: bestPair[${market.source}] dex=${snap.dex} liq=$${Math.round(snap.liquidityUsd || 0)} vol24=$${Math.round(snap.volume24hUsd || 0)}${agreed}`);
     } else {
-      info("Analyst: no chain-matching pair found on Dexscreener");
+      info("Analyst: no market source returned a chain-matching pair");
     }
 
     return out;
   } catch (e) {
-    info(`Analyst: Dexscreener failed (non-fatal): ${e.message}`);
+    info(`Analyst: market data failed (non-fatal): ${e.message}`);
     return out;
   }
 }
+
+async function inspectTargetMint({ tokenInInfo, tokenOutInfo }) {
+  const target = [tokenOutInfo, tokenInInfo].find((t) => t && t.source !== "builtin");
+  if (!target) return null;
+
+  try {
+    info(`Analyst: on-chain mint check for ${target.address} ...`);
+    const mint = await inspectSolanaMint(target.address);
+    const ext = mint.extensions.length ? ` ext=${mint.extensions.join(",")}` : "";
+    info(`Analyst: mint ${mint.program} mintAuth=${mint.mintAuthority ? "yes" : "no"} freezeAuth=${mint.freezeAuthority ? "yes" : "no"}${ext}`);
+    return { mint, error: null };
+  } catch (e) {
+    info(`Analyst: mint check failed (non-fatal): ${e.message}`);
+    return { mint: null, error: e.message };
+  }
+}
+
+async function simulateTargetTax({ tokenInInfo, tokenOutInfo, slippageBps }) {
+  const target = [tokenOutInfo, tokenInInfo].find((t) => t && t.source !== "builtin");
+  if (!target) return null;
+
+  try {
+    if (!process.env.EVM_RPC) throw new Error("EVM_RPC missing");
+    info(`Analyst: buy/sell simulation for ${target.address} ...`);
+    const provider = new ethers.JsonRpcProvider(process.env.EVM_RPC);
+    const tax = await simulateEvmTokenTax({ provider, token: target.address, slippageBps: Math.max(100, Number(slippageBps) || 0) });
+    const pct = (v) => (v == null ? "n/a" : `${v}%`);
+    info(`Analyst: simulation ${tax.status} buyTax=${pct(tax.buyTaxPct)} sellTax=${pct(tax.sellTaxPct)}`);
+    return { tax, error: null };
+  } catch (e) {
+    info(`Analyst: simulation failed (non-fatal): ${e.message}`);
+    return { tax: null, error: e.message };
+  }
+}
@@ -0,0 +1,207 @@
+import { randomBytes } from "crypto";
+import { parseIntent, finalizeIntent, missingIntentFields } from "./agentScout.js";
+import { runPipeline } from "../cli/pipeline.js";
+import { codedError } from "../core/errors.js";
+import { quietly } from "../core/logger.js";
+import { isEvmAddressLike, isSolanaMintLike } from "../core/tokens.js";
+
+// Multi-turn front end of the agent pipeline for /api/agent.
+// - each turn is parsed by the same Scout parser as the CLI and merged into the session intent
+// - missing fields (tokens, amount) and ambiguous symbols come back as a question instead of an error
+// - a complete intent runs Analyst -> RiskGate -> Quote (dry run of the CLI pipeline)
+// - a quoted plan gets a short-lived confirmation token; redeeming it hands the plan to the
+//   swap executors (sol_swap / evm_swap job)
+// Sessions and tokens are in memory: a restart drops them (the client just asks again).
+
+const QUESTIONS = {
+  tokenIn: () => "Which token do you want to sell? (symbol or mint/contract address)",
+  tokenOut: () => "Which token do you want to buy? (symbol or mint/contract address)",
+  amount: (intent) => `How much ${intent.tokenIn || "of the input token"} do you want to swap?`
+};
+
+// public view of symbol candidates (what the client shows as choices)
+function candidateView(c, i) {
+  return { n: i + 1, address: c.address, symbol: c.symbol, name: c.name, liquidityUsd: c.liquidityUsd, volume24hUsd: c.volume24hUsd, ageMs: c.ageMs };
+}
+
+/**
+ * Quoted plan -> body of the server swap executor.
+ * sol: Jupiter (amount in atomic units of the input mint); base: 0x (sellAmountWei).
+ */
+export function planToSwapRequest(plan) {
+  const slippageBps = Number(plan.slippageBps);
+  if (plan.chain === "sol") {
+    return {
+      kind: "sol_swap",
+      params: { inputMint: plan.tokenInInfo.address, outputMint: plan.tokenOutInfo.address, amountLamports: String(plan.amountAtomic), slippageBps }
+    };
+  }
+  if (plan.chain === "base") {
+    return {
+      kind: "evm_swap",
+      params: { chain: "base", sellToken: plan.tokenInInfo.address, buyToken: plan.tokenOutInfo.address, sellAmountWei: String(plan.amountAtomic), slippageBps }
+    };
+  }
+  throw new Error(`Unsupported chain: ${plan.chain}`);
+}
+
+/**
+ * A reply to a pending question ("2", "BONK", "0.5", an address) -> { field: value }, or null
+ * when the text should be parsed as a new prompt.
+ */
+export function answerPending(pending, text, candidates = null) {
+  // "to SOL" answers the buy side just like "SOL"
+  const t = String(text || "").trim().replace(/^(?:to|ke|into|for)\s+/i, "");
+  if (!pending || !t) return null;
+
+  if (pending === "amount") {
+    return /^[0-9]+(?:\.[0-9]+)?$/.test(t) ? { amount: t } : null;
+  }
+
+  if (candidates?.length && /^[0-9]{1,2}$/.test(t)) {
+    const c = candidates[Number(t) - 1];
+    return c ? { [pending]: c.address } : null;
+  }
+  if (isEvmAddressLike(t) || isSolanaMintLike(t) || /^[A-Za-z0-9_.$-]{2,20}$/.test(t)) return { [pending]: t };
+  return null;
+}
+
+/**
+ * opts:
+ * - runPlan(input): quote-only pipeline run (default: runPipeline dry run, same as `quote` in the CLI,
+ *   without its per-stage console logs)
+ * - parseFn(prompt): Scout parser (default parseIntent)
+ * - sessionTtlMs: idle time before a conversation is dropped (default 15 min)
+ * - confirmTtlMs: lifetime of a confirmation token (default 2 min; the quote goes stale)
+ * - maxSessions: live conversations kept; past it the least recently used one is dropped (default 1000)
+ * - nowFn: clock (tests)
+ */
+export function createAgentConversations({
+  runPlan = (input) => quietly(() => runPipeline(input, { dryRun: true })),
+  parseFn = parseIntent,
+  sessionTtlMs = 15 * 60_000,
+  confirmTtlMs = 120_000,
+  maxSessions = 1000,
+  nowFn = Date.now
+} = {}) {
+  const sessions = new Map();
+  const confirmations = new Map();
+
+  function sweep() {
+    const now = nowFn();
+    for (const [id, s] of sessions) if (now - s.touchedAt > sessionTtlMs) sessions.delete(id);
+    for (const [token, c] of confirmations) if (now > c.expiresAt) confirmations.delete(token);
+  }
+
+  // Map order is recency order: a touched session moves to the end, the first one is the stalest
+  function sessionFor(sessionId) {
+    const s = sessionId ? sessions.get(sessionId) : null;
+    if (s) {
+      sessions.delete(s.id);
+      sessions.set(s.id, s);
+      return s;
+    }
+    while (sessions.size >= maxSessions) {
+      const [oldest] = sessions.values();
+      if (oldest.token) confirmations.delete(oldest.token);
+      sessions.delete(oldest.id);
+    }
+    const id = randomBytes(12).toString("hex");
+    const fresh = { id, intent: {}, prompts: [], pending: null, candidates: null, token: null, touchedAt: nowFn() };
+    sessions.set(id, fresh);
+    return fresh;
+  }
+
+  function ask(s, plan, field, extra = {}) {
+    s.pending = field;
+    return { ok: true, status: "needs_input", sessionId: s.id, intent: plan, missing: missingIntentFields(plan), field, question: QUESTIONS[field](plan), ...extra };
+  }
+
+  // the ambiguous leg is the one still holding that symbol
+  function ambiguousLeg(plan, candidates) {
+    const sym = String(candidates?.[0]?.symbol || "").toUpperCase();
+    return String(plan.tokenOut || "").toUpperCase() === sym ? "tokenOut" : "tokenIn";
+  }
+
+  /**
+   * One turn. Returns one of:
+   * - { status: "needs_input", field, question, missing, candidates? }
+   * - { status: "blocked", risk }                         RiskGate BLOCK (session ends)
+   * - { status: "ready", plan (pipeline summary: quote + risk), execute, confirmation: { token, expiresAt } }
+   */
+  async function converse({ sessionId = null, text }) {
+    sweep();
+    const prompt = String(text || "").trim();
+    if (!prompt) throw codedError("EMPTY_PROMPT", "Empty prompt");
+
+    const s = sessionFor(sessionId);
+    s.touchedAt = nowFn();
+    s.prompts.push(prompt);
+
+    const answer = answerPending(s.pending, prompt, s.candidates);
+    if (answer) {
+      Object.assign(s.intent, answer);
+    } else {
+      // a new prompt overrides what it mentions and keeps the rest
+      const raw = await parseFn(prompt);
+      for (const [k, v] of Object.entries(raw)) if (k !== "source" && v !== null && v !== undefined) s.intent[k] = v;
+    }
+    s.pending = null;
+    s.candidates = null;
+
+    const plan = finalizeIntent(s.intent, s.prompts.join("\n"));
+    const missing = missingIntentFields(plan);
+    if (missing.length) return ask(s, plan, missing[0]);
+
+    // the structured plan skips the pipeline's Scout (already done above)
+    const { prompt: _prompt, ...input } = plan;
+    let out;
+    try {
+      out = await runPlan(input);
+    } catch (e) {
+      if (e?.code === "AMBIGUOUS_SYMBOL") {
+        const field = ambiguousLeg(plan, e.candidates);
+        s.candidates = e.candidates;
+        return ask(s, plan, field, {
+          question: `Several ${plan.chain} tokens use the symbol ${plan[field]}. Reply with the number or the address of the one you mean.`,
+          candidates: e.candidates.map(candidateView)
+        });
+      }
+      if (e?.code === "RISK_BLOCKED") {
+        sessions.delete(s.id);
+        return { ok: false, status: "blocked", sessionId: s.id, intent: plan, error: e.message, risk: e.risk };
+      }
+      throw e;
+    }
+
+    // a revised plan revokes the previous token
+    if (s.token) confirmations.delete(s.token);
+    const execute = planToSwapRequest(out.plan);
+    const token = randomBytes(16).toString("hex");
+    const expiresAt = nowFn() + confirmTtlMs;
+    confirmations.set(token, { sessionId: s.id, execute, summary: out.summary, expiresAt });
+    s.token = token;
+
+    return {
+      ok: true,
+      status: "ready",
+      sessionId: s.id,
+      plan: out.summary,
+      execute,
+      confirmation: { token, expiresAt }
+    };
+  }
+
+  /**
+   * Confirmation token -> { execute: { kind, params }, summary }. Tokens stay valid until they
+   * expire (the caller makes redemption idempotent); unknown / expired ones throw CONFIRMATION_INVALID.
+   */
+  function redeem(token) {
+    sweep();
+    const c = confirmations.get(String(token || ""));
+    if (!c) throw codedError("CONFIRMATION_INVALID", "Unknown or expired confirmation token (ask /api/agent again)");
+    return c;
+  }
+
+  return { converse, redeem };
+}
@@ -0,0 +1,122 @@
+import { runPipeline } from "../cli/pipeline.js";
+import { fetchDexTokenPairs } from "../core/dexscreener.js";
+import { codedError } from "../core/errors.js";
+import { dexSnapshotForToken } from "../core/marketProviders.js";
+import { priceAddress } from "../core/tokens.js";
+import { fromAtomic } from "../core/units.js";
+import { DcaStore, splitAtomic } from "../receipts/dcaStore.js";
+
+// DCA schedules on top of the agent pipeline (CLI `dca add/list/cancel/run`):
+// - placing a schedule quotes the total once (token resolution) and one slice (the RiskGate
+//   baseline), and records the Dexscreener price of both legs as the reference for the report
+// - each slice runs the full pipeline unattended; it is skipped when RiskGate blocks or lands on
+//   a worse level than the baseline (a token that turned risky mid-schedule stops being bought)
+
+const RISK_RANK = { SAFE: 0, CAUTION: 1, BLOCK: 2 };
+
+// "30m", "2h", "1d", "90s" or plain seconds -> ms
+export function parseInterval(v) {
+  const m = String(v ?? "").trim().match(/^(\d+(?:\.\d+)?)\s*(s|m|h|d)?$/i);
+  if (!m) throw codedError("INVALID_DCA", `Invalid interval: ${v} (e.g. 30m, 2h, 1d)`);
+  const mult = { s: 1000, m: 60_000, h: 3_600_000, d: 86_400_000 }[(m[2] || "s").toLowerCase()];
+  return Math.round(Number(m[1]) * mult);
+}
+
+export function riskEscalated(baselineLevel, level) {
+  if (!baselineLevel || !level) return false;
+  return (RISK_RANK[level] ?? 0) > (RISK_RANK[baselineLevel] ?? 0);
+}
+
+/**
+ * Dexscreener USD price of a token (null when it has no pair).
+ */
+export async function dexPriceUsd(chain, address) {
+  const pairs = await fetchDexTokenPairs(address);
+  return dexSnapshotForToken(pairs, { chain, tokenAddress: address })?.priceUsd ?? null;
+}
+
+/**
+ * spec: { chain?, tokenIn, tokenOut, amount (total, human), slices, interval ("2h" / seconds), slippageBps? }
+ * opts:
+ * - runPlan(input, { pickToken }): quote-only pipeline run (default runPipeline dry run)
+ * - pickToken: interactive pick for ambiguous symbols
+ * - priceFn(chain, address): start prices (default Dexscreener)
+ *
+ * Returns { schedule (DcaStore.createSchedule input), summary (first slice quote + risk) }.
+ */
+export async function prepareDca(spec, { runPlan = (input, opts) => runPipeline(input, { ...opts, dryRun: true }), pickToken = null, priceFn = dexPriceUsd, nowFn = Date.now } = {}) {
+  const slices = Number(spec?.slices);
+  if (!Number.isInteger(slices) || slices < 1 || slices > 1000) throw codedError("INVALID_DCA", "slices must be an integer 1..1000");
+  const intervalMs = parseInterval(spec.interval);
+  if (intervalMs < 60_000) throw codedError("INVALID_DCA", "interval must be at least 1 minute");
+  const slippageBps = spec.slippageBps == null || spec.slippageBps === "" ? 50 : Number(spec.slippageBps);
+
+  // total first: resolves both legs and the atomic amount to split
+  const total = await runPlan({ chain: spec.chain || undefined, tokenIn: spec.tokenIn, tokenOut: spec.tokenOut, amount: String(spec.amount ?? ""), slippageBps }, { pickToken });
+  const p = total.plan;
+  const amounts = splitAtomic(p.amountAtomic, slices);
+
+  // one slice: the risk level later slices are held to
+  const first = await runPlan({ chain: p.chain, tokenIn: p.tokenInInfo.address, tokenOut: p.tokenOutInfo.address, amount: fromAtomic(amounts[0], p.tokenInInfo.decimals), slippageBps }, {});
+
+  const [startPriceUsd, startPriceInUsd] = await Promise.all(
+    [p.tokenOutInfo, p.tokenInInfo].map((t) => priceFn(p.chain, priceAddress(p.chain, t)).catch(() => null))
+  );
+
+  return {
+    schedule: {
+      chain: p.chain,
+      tokenIn: p.tokenInInfo.address,
+      tokenOut: p.tokenOutInfo.address,
+      symbolIn: p.tokenInInfo.symbol || null,
+      symbolOut: p.tokenOutInfo.symbol || null,
+      decimalsIn: p.tokenInInfo.decimals,
+      decimalsOut: p.tokenOutInfo.decimals,
+      totalAtomic: String(p.amountAtomic),
+      slices,
+      intervalMs,
+      slippageBps,
+      baselineRiskLevel: first.plan.risk?.level || null,
+      baselineRiskScore: first.plan.risk?.score ?? null,
+      startPriceUsd,
+      startPriceInUsd,
+      startAt: nowFn()
+    },
+    summary: first.summary
+  };
+}
+
+/**
+ * executeFn of the DCA scheduler: one slice through the full pipeline, unattended.
+ * Stops before the executor (code RISK_ESCALATED) when RiskGate lands above the baseline.
+ */
+export function executeDcaSlice(schedule, slice, { runPipelineFn = runPipeline } = {}) {
+  const input = {
+    chain: schedule.chain,
+    tokenIn: schedule.token_in,
+    tokenOut: schedule.token_out,
+    amount: fromAtomic(slice.amount_atomic, schedule.decimals_in),
+    slippageBps: schedule.slippage_bps
+  };
+  return runPipelineFn(input, {
+    dryRun: false,
+    autoApprove: true,
+    onPlan: (r) => {
+      if (!riskEscalated(schedule.baseline_risk_level, r.risk?.level)) return;
+      const err = codedError("RISK_ESCALATED", `RiskGate escalated from ${schedule.baseline_risk_level} to ${r.risk.level} (score ${r.risk.score}): slice skipped`);
+      err.risk = r.risk;
+      throw err;
+    }
+  });
+}
+
+export function describeDca(s) {
+  const sym = (x, a) => x || `${a.slice(0, 6)}…`;
+  const total = fromAtomic(s.total_atomic, s.decimals_in);
+  const every = s.interval_ms % 3_600_000 === 0 ? `${s.interval_ms / 3_600_000}h` : `${Math.round(s.interval_ms / 60_000)}m`;
+  return `${total} ${sym(s.symbol_in, s.token_in)} -> ${sym(s.symbol_out, s.token_out)} on ${s.chain} in ${s.slices} slices every ${every} (slippage ${s.slippage_bps} bps)`;
+}
+
+export function openDca() {
+  return DcaStore.open({ dbPath: process.env.DCA_DB || undefined });
+}
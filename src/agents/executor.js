@@ -1,14 +1,19 @@
 import { step } from "../core/logger.js";
 import { solSwap } from "../adapters/solana.js";
 import { evmSwap } from "../adapters/evm.js";
+import { resolveSwapTokens } from "../core/tokenRegistry.js";
 
 export async function agentExecutor(input, opts = {}) {
   step("EXECUTOR");
 
-  if (opts.dryRun) return { txid: null, quote: {} };
+  // Analyst normally resolves tokens; resolve here if the plan skipped it
+  const plan = input.amountAtomic ? input : { ...input, ...(await resolveSwapTokens(input)) };
 
-  if (input.chain === "sol") return await solSwap(input);
-  if (input.chain === "base") return await evmSwap(input);
+  // Dry-run: the Quote agent already did the work
+  if (opts.dryRun) return { txid: null, quote: plan.quote || null };
+
+  if (plan.chain === "sol") return await solSwap(plan);
+  if (plan.chain === "base") return await evmSwap(plan, { confirmFn: opts.confirmFn, autoApprove: opts.autoApprove });
 
   throw new Error("Unsupported chain");
 }
@@ -0,0 +1,110 @@
+import { runPipeline } from "../cli/pipeline.js";
+import { codedError } from "../core/errors.js";
+import { priceAddress } from "../core/tokens.js";
+import { OrderStore, ORDER_CONDITIONS } from "../receipts/orderStore.js";
+
+// Limit / stop-loss orders on top of the agent pipeline, shared by the CLI and server.js:
+// - an order is checked once at creation (quote-only pipeline run): symbols are resolved to
+//   addresses and RiskGate has to pass, so the watcher never meets an ambiguous symbol
+// - at trigger time the watcher (src/core/orderWatcher.js) runs the full pipeline again with the
+//   stored addresses and slippage: fresh market snapshot, fresh RiskGate, then agentExecutor
+
+const STABLES = new Set(["USDC", "USDT"]);
+
+/**
+ * Which leg's price the trigger watches when the caller does not say:
+ * paying with a stable -> the token bought ("buy BONK below X"), else the token sold
+ * ("sell BONK if it drops below X").
+ */
+export function defaultWatchSide(plan) {
+  return STABLES.has(String(plan.tokenInInfo?.symbol || "").toUpperCase()) ? "out" : "in";
+}
+
+/**
+ * spec: { chain?, tokenIn, tokenOut, amount, slippageBps?, condition: below|above, triggerPriceUsd,
+ *         watch?: in|out, expiresInSec? }
+ * opts:
+ * - runPlan(input, { pickToken }): quote-only pipeline run (default runPipeline dry run)
+ * - pickToken: interactive pick for ambiguous symbols (CLI); without it they throw AMBIGUOUS_SYMBOL
+ * - source: who placed the order ("cli", "api:<key id>")
+ *
+ * Returns { order (OrderStore.createOrder input), summary (pipeline summary at creation),
+ * priceTokenIn (address to value the sold amount by, e.g. for spend caps) }.
+ * Throws INVALID_ORDER for a bad spec; RiskGate errors (RISK_BLOCKED) pass through.
+ */
+export async function prepareOrder(spec, { runPlan = (input, opts) => runPipeline(input, { ...opts, dryRun: true }), pickToken = null, source = null, nowFn = Date.now } = {}) {
+  const condition = String(spec?.condition || "").toLowerCase();
+  if (!ORDER_CONDITIONS.has(condition)) throw codedError("INVALID_ORDER", `condition must be one of: ${[...ORDER_CONDITIONS].join(", ")}`);
+  const triggerPriceUsd = Number(spec.triggerPriceUsd);
+  if (!Number.isFinite(triggerPriceUsd) || triggerPriceUsd <= 0) throw codedError("INVALID_ORDER", "triggerPriceUsd must be a price in USD > 0");
+  if (spec.watch && !["in", "out"].includes(spec.watch)) throw codedError("INVALID_ORDER", "watch must be in or out");
+  const expiresInSec = spec.expiresInSec == null || spec.expiresInSec === "" ? null : Number(spec.expiresInSec);
+  if (expiresInSec !== null && !(expiresInSec > 0)) throw codedError("INVALID_ORDER", "expiresInSec must be > 0");
+
+  const out = await runPlan(
+    {
+      chain: spec.chain || undefined,
+      tokenIn: spec.tokenIn,
+      tokenOut: spec.tokenOut,
+      amount: String(spec.amount ?? ""),
+      slippageBps: spec.slippageBps == null || spec.slippageBps === "" ? 50 : Number(spec.slippageBps)
+    },
+    { pickToken }
+  );
+  const plan = out.plan;
+  const watch = spec.watch || defaultWatchSide(plan);
+  const watched = watch === "in" ? plan.tokenInInfo : plan.tokenOutInfo;
+
+  return {
+    order: {
+      chain: plan.chain,
+      tokenIn: plan.tokenInInfo.address,
+      tokenOut: plan.tokenOutInfo.address,
+      symbolIn: plan.tokenInInfo.symbol || null,
+      symbolOut: plan.tokenOutInfo.symbol || null,
+      amount: String(plan.amount),
+      slippageBps: Number(plan.slippageBps),
+      watchToken: priceAddress(plan.chain, watched),
+      watchSymbol: watched.symbol || null,
+      condition,
+      triggerPriceUsd,
+      expiresAt: expiresInSec ? nowFn() + expiresInSec * 1000 : null,
+      source
+    },
+    summary: out.summary,
+    priceTokenIn: priceAddress(plan.chain, plan.tokenInInfo)
+  };
+}
+
+// stored order -> pipeline input (addresses only, the Scout is skipped)
+export function orderInput(order) {
+  return {
+    chain: order.chain,
+    tokenIn: order.token_in,
+    tokenOut: order.token_out,
+    amount: order.amount,
+    slippageBps: order.slippage_bps
+  };
+}
+
+/**
+ * executeFn of the order watcher: the full pipeline, unattended (approvals to verified spenders
+ * included, like `swap --yes`; the order itself is the confirmation).
+ */
+export function executeOrder(order, opts = {}) {
+  return runPipeline(orderInput(order), { ...opts, dryRun: false, autoApprove: true });
+}
+
+// one line per order (CLI list, watcher log)
+export function describeOrder(o) {
+  const sym = (s, a) => s || `${a.slice(0, 6)}…`;
+  const expires = o.expires_at ? ` until ${new Date(o.expires_at).toISOString()}` : "";
+  return (
+    `${o.amount} ${sym(o.symbol_in, o.token_in)} -> ${sym(o.symbol_out, o.token_out)} on ${o.chain} ` +
+    `when ${sym(o.watch_symbol, o.watch_token)} ${o.condition} $${o.trigger_price_usd}${expires} (slippage ${o.slippage_bps} bps)`
+  );
+}
+
+export function openOrders() {
+  return OrderStore.open({ dbPath: process.env.ORDER_DB || undefined });
+}
@@ -0,0 +1,154 @@
+import { codedError } from "../core/errors.js";
+import { validateSchema } from "../core/jsonSchema.js";
+
+// Plan graph produced by the Scout for multi-step prompts
+// ("swap 1 SOL to USDC then bridge to base", "sell half my BONK to USDC"):
+// - steps run in order; dependsOn may only name earlier steps, so the order is always a valid
+//   topological order and cycles cannot be expressed
+// - swap: tokenIn -> tokenOut on `chain`; bridge: tokenIn from `chain` to `toChain`
+//   (tokenOut = the token on the destination, null = same symbol; built-in symbols or addresses only)
+// - amount.mode: exact (value = human amount of tokenIn), percent (value = % of the live wallet
+//   balance), all (whole balance) or output (what step amount.step produced)
+// The schema is also the structured-output schema of the Groq call, hence every property is
+// required and optional values are nullable.
+
+export const PLAN_CHAINS = ["sol", "base"];
+export const MAX_PLAN_STEPS = 8;
+
+const AMOUNT_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["mode", "value", "step"],
+  properties: {
+    mode: { type: "string", enum: ["exact", "percent", "all", "output"] },
+    value: { type: ["string", "null"], pattern: "^[0-9]+(\\.[0-9]+)?$" },
+    step: { type: ["string", "null"] }
+  }
+};
+
+export const PLAN_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["steps", "notes"],
+  properties: {
+    steps: {
+      type: "array",
+      minItems: 1,
+      maxItems: MAX_PLAN_STEPS,
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: ["id", "kind", "chain", "toChain", "tokenIn", "tokenOut", "amount", "slippageBps", "dependsOn"],
+        properties: {
+          id: { type: "string", pattern: "^[A-Za-z0-9_-]{1,16}$" },
+          kind: { type: "string", enum: ["swap", "bridge"] },
+          chain: { type: "string", enum: PLAN_CHAINS },
+          toChain: { type: ["string", "null"], enum: [...PLAN_CHAINS, null] },
+          tokenIn: { type: "string", minLength: 1 },
+          tokenOut: { type: ["string", "null"] },
+          amount: AMOUNT_SCHEMA,
+          slippageBps: { type: ["integer", "null"], minimum: 1, maximum: 500 },
+          dependsOn: { type: "array", items: { type: "string" } }
+        }
+      }
+    },
+    notes: { type: "array", items: { type: "string" } }
+  }
+};
+
+function sameToken(a, b) {
+  return String(a || "").toLowerCase() === String(b || "").toLowerCase();
+}
+
+/**
+ * Chain + token a step leaves in the wallet.
+ */
+export function stepOutput(step) {
+  if (step.kind === "bridge") return { chain: step.toChain, token: step.tokenOut || step.tokenIn };
+  return { chain: step.chain, token: step.tokenOut };
+}
+
+// checks the schema cannot express: references, amounts, chains
+function semanticErrors(graph) {
+  const errors = [];
+  const seen = new Map();
+
+  graph.steps.forEach((s, i) => {
+    const at = `$.steps[${i}]`;
+    if (seen.has(s.id)) errors.push(`${at}.id: duplicate id ${s.id}`);
+
+    for (const d of s.dependsOn) {
+      if (!seen.has(d)) errors.push(`${at}.dependsOn: ${d} is not an earlier step`);
+    }
+
+    if (s.kind === "swap") {
+      if (!s.tokenOut) errors.push(`${at}.tokenOut: required for a swap`);
+      else if (sameToken(s.tokenIn, s.tokenOut)) errors.push(`${at}: tokenIn and tokenOut are the same`);
+      if (s.toChain) errors.push(`${at}.toChain: only bridges change chain`);
+    } else if (!s.toChain || s.toChain === s.chain) {
+      errors.push(`${at}.toChain: a bridge needs a destination chain other than ${s.chain}`);
+    }
+
+    const a = s.amount;
+    if (a.mode === "exact" && !(Number(a.value) > 0)) errors.push(`${at}.amount.value: exact amount must be > 0`);
+    if (a.mode === "percent" && !(Number(a.value) > 0 && Number(a.value) <= 100)) errors.push(`${at}.amount.value: percent must be in (0, 100]`);
+    if (a.mode === "output") {
+      const src = seen.get(a.step);
+      if (!src || !s.dependsOn.includes(a.step)) {
+        errors.push(`${at}.amount.step: must be an earlier step listed in dependsOn`);
+      } else {
+        const out = stepOutput(src);
+        if (out.chain !== s.chain) errors.push(`${at}: runs on ${s.chain} but step ${a.step} leaves its output on ${out.chain}`);
+        else if (!sameToken(out.token, s.tokenIn)) errors.push(`${at}.tokenIn: step ${a.step} produces ${out.token}, not ${s.tokenIn}`);
+      }
+    }
+
+    seen.set(s.id, s);
+  });
+
+  return errors;
+}
+
+/**
+ * Schema + semantic errors of a plan graph (empty = valid).
+ */
+export function validatePlanGraph(graph) {
+  const errors = validateSchema(PLAN_SCHEMA, graph);
+  return errors.length ? errors : semanticErrors(graph);
+}
+
+/**
+ * Throws code INVALID_PLAN (err.errors) unless the graph is valid.
+ */
+export function assertPlanGraph(graph) {
+  const errors = validatePlanGraph(graph);
+  if (!errors.length) return graph;
+  throw codedError("INVALID_PLAN", `Invalid plan:\n- ${errors.join("\n- ")}`, { errors });
+}
+
+export function describeAmount(step) {
+  const a = step.amount;
+  if (a.mode === "exact") return `${a.value} ${step.tokenIn}`;
+  if (a.mode === "percent") return `${a.value}% of my ${step.tokenIn}`;
+  if (a.mode === "all") return `all my ${step.tokenIn}`;
+  return `the ${step.tokenIn} from ${a.step}`;
+}
+
+export function describeStep(step) {
+  const after = step.dependsOn.length ? ` (after ${step.dependsOn.join(", ")})` : "";
+  if (step.kind === "bridge") {
+    const to = step.tokenOut && !sameToken(step.tokenOut, step.tokenIn) ? ` as ${step.tokenOut}` : "";
+    return `${step.id}: bridge ${describeAmount(step)} from ${step.chain} to ${step.toChain}${to}${after}`;
+  }
+  const slip = step.slippageBps != null ? `, slippage ${step.slippageBps} bps` : "";
+  return `${step.id}: swap ${describeAmount(step)} -> ${step.tokenOut} on ${step.chain}${slip}${after}`;
+}
+
+/**
+ * Pipeline input of a plan that is a single exact swap (the classic agent prompt), else null.
+ */
+export function singleSwapInput(graph) {
+  const [s] = graph.steps;
+  if (graph.steps.length !== 1 || s.kind !== "swap" || s.amount.mode !== "exact") return null;
+  return { chain: s.chain, tokenIn: s.tokenIn, tokenOut: s.tokenOut, amount: s.amount.value, slippageBps: s.slippageBps ?? 50 };
+}
@@ -0,0 +1,207 @@
+import { runPipeline } from "../cli/pipeline.js";
+import { codedError } from "../core/errors.js";
+import { resolveToken } from "../core/tokenRegistry.js";
+import { isKnownSymbol, resolveSymbol } from "../core/symbolResolver.js";
+import { KNOWN_TOKENS, isEvmAddressLike, isSolanaMintLike } from "../core/tokens.js";
+import { fromAtomic, toAtomic } from "../core/units.js";
+import { walletBalance } from "../adapters/balances.js";
+import { lifiBridge } from "../adapters/bridge.js";
+import { assertPlanGraph } from "./planGraph.js";
+
+// Step-by-step execution of a plan graph (src/agents/planGraph.js):
+// - relative amounts are resolved right before their step, against the live wallet balance
+//   (or the amount the step they depend on produced), so earlier steps are accounted for
+// - every step is quoted first and only runs once approveStep says yes
+// - a step that fails or is declined skips the steps depending on it; independent steps go on
+// Swaps go through the full Scout -> Analyst -> RiskGate -> Quote -> Executor pipeline,
+// bridges through LI.FI (src/adapters/bridge.js: route RiskGate, simulation, the same approvals).
+// A bridge only lands on a token named by address or in the built-in table (src/core/tokens.js):
+// a symbol search on the destination chain could pick any token with that ticker.
+
+// left in the wallet for fees when "all" / "%" spends the native coin
+export const NATIVE_FEE_RESERVE = { sol: 10_000_000n, base: 500_000_000_000_000n };
+
+const DEFAULT_BRIDGE_SLIPPAGE_BPS = 100;
+
+/**
+ * Symbol / address -> resolved token (unknown symbols go through the Dexscreener resolver).
+ */
+export async function resolvePlanToken(chain, token, { pickToken = null } = {}) {
+  const v = String(token || "").trim();
+  if (isEvmAddressLike(v) || isSolanaMintLike(v) || isKnownSymbol(chain, v)) return resolveToken(chain, v);
+  const found = await resolveSymbol(chain, v, { pickFn: pickToken });
+  return { ...(await resolveToken(chain, found.address)), symbol: found.symbol || v.toUpperCase() };
+}
+
+/**
+ * Atomic amount of tokenIn a step spends.
+ * - exact: the value; percent / all: share of the balance (minus the fee reserve of a native coin)
+ * - output: what the referenced step produced (outputs[id].amountAtomic)
+ */
+export function stepAmountAtomic(step, { tokenInInfo, balanceAtomic = null, outputs = {} }) {
+  const a = step.amount;
+  if (a.mode === "exact") return toAtomic(a.value, tokenInInfo.decimals);
+  if (a.mode === "output") return String(outputs[a.step]?.amountAtomic ?? "0");
+
+  let spendable = BigInt(balanceAtomic ?? 0);
+  if (tokenInInfo.native) {
+    const reserve = NATIVE_FEE_RESERVE[step.chain] ?? 0n;
+    spendable = spendable > reserve ? spendable - reserve : 0n;
+  }
+  if (a.mode === "all") return spendable.toString();
+  // percent with up to 2 decimals, in BigInt
+  return ((spendable * BigInt(Math.round(Number(a.value) * 100))) / 10_000n).toString();
+}
+
+async function resolveStep(step, { outputs, balanceFn, resolveTokenFn, pickToken }) {
+  const produced = step.amount.mode === "output" ? outputs[step.amount.step] : null;
+  const tokenInInfo = produced ? produced.info : await resolveTokenFn(step.chain, step.tokenIn, { pickToken });
+
+  const relative = step.amount.mode === "percent" || step.amount.mode === "all";
+  const balanceAtomic = relative ? await balanceFn(step.chain, tokenInInfo) : null;
+  const amountAtomic = stepAmountAtomic(step, { tokenInInfo, balanceAtomic, outputs });
+  if (BigInt(amountAtomic) <= 0n) {
+    throw codedError("NOTHING_TO_SPEND", relative ? `No ${step.tokenIn} to spend on ${step.chain} (balance ${fromAtomic(balanceAtomic ?? "0", tokenInInfo.decimals)})` : `${step.id}: amount is 0`);
+  }
+
+  return {
+    tokenInInfo,
+    amountAtomic,
+    amount: fromAtomic(amountAtomic, tokenInInfo.decimals),
+    balanceAtomic,
+    estimated: !!produced?.estimated
+  };
+}
+
+function isBridgeTarget(chain, token) {
+  const v = String(token || "").trim();
+  if (!v) return false;
+  return (chain === "base" ? isEvmAddressLike(v) : isSolanaMintLike(v)) || isKnownSymbol(chain, v);
+}
+
+/**
+ * Default step executor. Returns { ok, output: { chain, info, amountAtomic, estimated }, summary, error }.
+ */
+export async function executePlanStep(step, resolved, { dryRun, pickToken = null, confirmFn = null, autoApprove = false, onStage = () => {}, runPipelineFn = runPipeline, bridgeFn = lifiBridge, resolveTokenFn = resolvePlanToken }) {
+  if (step.kind === "swap") {
+    const res = await runPipelineFn(
+      { chain: step.chain, tokenIn: resolved.tokenInInfo.address, tokenOut: step.tokenOut, amount: resolved.amount, slippageBps: step.slippageBps ?? 50 },
+      { dryRun, pickToken, confirmFn, autoApprove, onStage }
+    );
+    const exact = dryRun ? null : res.ex?.received ?? null;
+    return {
+      ok: res.confirmed,
+      output: { chain: step.chain, info: res.plan.tokenOutInfo, amountAtomic: exact ?? res.ex?.quote?.outAmount ?? null, estimated: exact == null },
+      summary: res.summary,
+      error: res.confirmed ? null : res.ex?.error || `swap ${res.ex?.status || "not confirmed"}`
+    };
+  }
+
+  // the same token on the destination unless the step names another one
+  const target = step.tokenOut || resolved.tokenInInfo.symbol;
+  if (!isBridgeTarget(step.toChain, target)) {
+    const known = Object.keys(KNOWN_TOKENS[step.toChain] || {}).join(", ");
+    throw codedError("INVALID_PLAN", `${step.id}: name the token to receive on ${step.toChain} by address (known symbols: ${known})`);
+  }
+  const tokenOutInfo = await resolveTokenFn(step.toChain, target, { pickToken });
+  onStage(dryRun ? "Bridge: fetching route..." : "Bridging...");
+  const ex = await bridgeFn(
+    { fromChain: step.chain, toChain: step.toChain, tokenInInfo: resolved.tokenInInfo, tokenOutInfo, amountAtomic: resolved.amountAtomic, slippageBps: step.slippageBps ?? DEFAULT_BRIDGE_SLIPPAGE_BPS },
+    { dryRun, confirmFn, autoApprove }
+  );
+  const ok = dryRun || ex.status === "done";
+  const exact = dryRun ? null : ex.received ?? null;
+  return {
+    ok,
+    output: { chain: step.toChain, info: tokenOutInfo, amountAtomic: exact ?? ex.quote?.outAmount ?? null, estimated: exact == null },
+    summary: { kind: "bridge", fromChain: step.chain, toChain: step.toChain, amountIn: resolved.amount, quote: ex.quote, risk: ex.risk || null, bridgeId: ex.bridgeId, txid: ex.txid, status: dryRun ? "quoted" : ex.status },
+    error: ok ? null : ex.error || `bridge ${ex.status}`
+  };
+}
+
+/**
+ * opts:
+ * - dryRun: quote every step (outputs of quoted steps feed the next ones), execute nothing
+ * - approveStep(step, { resolved, preview }) -> bool: asked before each step runs (default yes)
+ * - onStep(type, step, data): progress hook (preview, done, failed, declined, skipped)
+ * - pickToken / confirmFn / autoApprove / onStage: passed to the swap pipeline (confirmFn / autoApprove
+ *   also to the bridge's ERC-20 approval)
+ * - executeStep / balanceFn / resolveTokenFn: injectable (tests)
+ *
+ * Returns { ok, steps: [{ id, kind, status: quoted|done|failed|declined|skipped, amount, preview, result, error }] };
+ * failed steps also carry stage (quote | execute), code and risk.
+ */
+export async function runPlanGraph(graph, opts = {}) {
+  const {
+    dryRun = false,
+    approveStep = async () => true,
+    onStep = () => {},
+    executeStep = executePlanStep,
+    balanceFn = walletBalance,
+    resolveTokenFn = resolvePlanToken,
+    pickToken = null,
+    confirmFn = null,
+    autoApprove = false,
+    onStage = () => {}
+  } = opts;
+  assertPlanGraph(graph);
+
+  const outputs = {};
+  const results = new Map();
+  const passed = (id) => ["done", "quoted"].includes(results.get(id)?.status);
+  const stepOpts = { pickToken, confirmFn, autoApprove, onStage, resolveTokenFn };
+
+  for (const step of graph.steps) {
+    const r = { id: step.id, kind: step.kind, status: null, amount: null, preview: null, result: null, error: null };
+    results.set(step.id, r);
+
+    const blocker = step.dependsOn.find((d) => !passed(d));
+    if (blocker) {
+      r.status = "skipped";
+      r.error = `${blocker} ${results.get(blocker).status}`;
+      onStep("skipped", step, r);
+      continue;
+    }
+
+    let stage = "quote";
+    try {
+      const resolved = await resolveStep(step, { outputs, balanceFn, resolveTokenFn, pickToken });
+      r.amount = resolved.amount;
+
+      const preview = await executeStep(step, resolved, { ...stepOpts, dryRun: true });
+      r.preview = preview.summary;
+      onStep("preview", step, { resolved, preview });
+
+      if (dryRun) {
+        r.status = "quoted";
+        outputs[step.id] = preview.output;
+        continue;
+      }
+
+      if (!(await approveStep(step, { resolved, preview }))) {
+        r.status = "declined";
+        onStep("declined", step, r);
+        continue;
+      }
+
+      stage = "execute";
+      const res = await executeStep(step, resolved, { ...stepOpts, dryRun: false });
+      r.result = res.summary;
+      r.status = res.ok ? "done" : "failed";
+      r.stage = stage;
+      r.error = res.error;
+      if (res.ok) outputs[step.id] = res.output;
+      onStep(r.status, step, r);
+    } catch (e) {
+      r.status = "failed";
+      r.stage = stage;
+      r.error = e?.message || String(e);
+      r.code = e?.code || null;
+      r.risk = e?.risk || null;
+      onStep("failed", step, r);
+    }
+  }
+
+  const steps = [...results.values()];
+  return { ok: steps.every((s) => s.status === (dryRun ? "quoted" : "done")), steps };
+}
@@ -0,0 +1,24 @@
+import { step, info } from "../core/logger.js";
+import { fetchQuote } from "../core/quotes.js";
+import { resolveSwapTokens } from "../core/tokenRegistry.js";
+import { applyQuoteRisk } from "./riskgate.js";
+
+/**
+ * Quote agent (between RiskGate and Executor):
+ * - Solana: Jupiter quote
+ * - Base: 0x price
+ * Attaches a normalized `quote` and re-scores risk with price impact.
+ */
+export async function agentQuote(input) {
+  step("QUOTE");
+
+  const plan = input.amountAtomic ? input : { ...input, ...(await resolveSwapTokens(input)) };
+
+  const quote = await fetchQuote(plan);
+  info(
+    `Quote(${quote.source}): out=${quote.outAmountHuman ?? quote.outAmount} minOut=${quote.minOutHuman ?? quote.minOut} ` +
+      `impact=${quote.priceImpactPct == null ? "n/a" : `${quote.priceImpactPct.toFixed(3)}%`} hops=${quote.route.length}`
+  );
+
+  return applyQuoteRisk({ ...plan, quote });
+}
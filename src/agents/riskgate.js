@@ -1,37 +1,25 @@
 import { step, info } from "../core/logger.js";
+import { codedError } from "../core/errors.js";
 import { validateAmount, validateSlippage } from "../core/validation.js";
-
-function now() {
-  return Date.now();
-}
-
-function fmtAge(ms) {
-  if (ms == null) return "unknown";
-  const s = Math.floor(ms / 1000);
-  if (s < 60) return `${s}s`;
-  const m = Math.floor(s / 60);
-  if (m < 60) return `${m}m`;
-  const h = Math.floor(m / 60);
-  if (h < 48) return `${h}h`;
-  const d = Math.floor(h / 24);
-  return `${d}d`;
-}
+import { evaluateRules, riskLevel, policyThresholds } from "../risk/engine.js";
+import { loadRiskPolicy } from "../risk/policy.js";
+import { fmtAge } from "../risk/rules/util.js";
 
 /**
  * RiskGate:
  * - Basic checks: amount/slippage, chain supported
- * - Dexscreener heuristic risk scoring:
- *   - liquidity too low
- *   - token too new
- *   - 24h volume too low
- *   - sells=0 (potential honeypot indicator; not definitive)
- *   - insane price change (pump/dump)
+ * - Rule engine (src/risk): each check is a module with its own weight,
+ *   weights/thresholds come from the active policy (RISK_PROFILE / RISK_POLICY_FILE)
+ *   - market phase: liquidity, age, volume, sells, pump, slippage, source disagreement, ...
+ *     + Solana mint safety from the Analyst's on-chain read (authorities, Token-2022 extensions, holders)
+ *     + Base buy/sell simulation (HIGH_SELL_TAX, UNSELLABLE)
+ *   - quote phase (see applyQuoteRisk): price impact, approvals, zero output
  *
  * Output:
- * - attaches `risk` object: score, level, flags
+ * - attaches `risk` object: score, level, flags, explanations (per rule)
  * - can BLOCK if too risky (configurable)
  */
-export function agentRiskGate(input) {
+export function agentRiskGate(input, { policy = null } = {}) {
   step("RISK");
 
   validateAmount(input.amount);
@@ -42,98 +30,111 @@ export function agentRiskGate(input) {
     throw new Error(`Unsupported chain: ${input.chain} (supported: sol, base)`);
   }
 
-  // ---- configurable thresholds (env optional) ----
-  const MIN_LIQ_USD = Number(process.env.RISK_MIN_LIQ_USD || "15000");     // $15k
-  const MIN_VOL24_USD = Number(process.env.RISK_MIN_VOL24_USD || "5000");  // $5k
-  const MIN_AGE_MIN = Number(process.env.RISK_MIN_AGE_MIN || "60");        // 60 minutes
-  const MAX_PUMP_PCT = Number(process.env.RISK_MAX_PUMP_PCT || "250");     // 250% 24h change
-  const BLOCK_SCORE = Number(process.env.RISK_BLOCK_SCORE || "75");        // >=75 block
-
-  const flags = [];
-  let score = 0;
+  const pol = policy || loadRiskPolicy();
 
   // ---- market snapshot from analyst (optional) ----
   const snap = input.market?.bestPair || null;
 
-  if (!snap) {
-    flags.push("NO_MARKET_SNAPSHOT");
-    score += 10; // mild
-  } else {
-    // liquidity
-    if (snap.liquidityUsd < MIN_LIQ_USD) {
-      flags.push(`LOW_LIQUIDITY_$${Math.round(snap.liquidityUsd)}`);
-      score += 35;
-    }
-
-    // age
-    const ageMin = snap.ageMs != null ? Math.floor(snap.ageMs / 60000) : null;
-    if (ageMin != null && ageMin < MIN_AGE_MIN) {
-      flags.push(`TOO_NEW_${fmtAge(snap.ageMs)}`);
-      score += 25;
-    }
-
-    // volume
-    if (snap.volume24hUsd < MIN_VOL24_USD) {
-      flags.push(`LOW_VOLUME24H_$${Math.round(snap.volume24hUsd)}`);
-      score += 20;
-    }
-
-    // suspicious sells
-    if (snap.buys24h > 0 && snap.sells24h === 0) {
-      flags.push("NO_SELLS_24H (possible honeypot/illiquid)");
-      score += 30;
-    }
-
-    // huge pump/dump
-    if (snap.priceChange24hPct != null && Math.abs(snap.priceChange24hPct) > MAX_PUMP_PCT) {
-      flags.push(`EXTREME_PRICE_CHANGE_24H_${snap.priceChange24hPct}%`);
-      score += 25;
-    }
-  }
+  // ---- on-chain checks from analyst (optional): sol mint report / base buy-sell simulation ----
+  const onchainError = input.onchain?.error || null;
+  const mint = input.onchain?.mint || null;
+  const tax = input.onchain?.tax || null;
+  const mintError = chain === "sol" ? onchainError : null;
+  const taxError = chain === "base" ? onchainError : null;
+
+  const { score, hits } = evaluateRules({
+    phase: "market",
+    ctx: { input: { ...input, chain }, snap, market: input.market || null, mint, mintError, tax, taxError },
+    policy: pol
+  });
+
+  const risk = buildRisk({ score, hits, policy: pol });
+  risk.marketSummary = snap
+    ? {
+        dex: snap.dex,
+        pair: snap.pairAddress,
+        liquidityUsd: snap.liquidityUsd,
+        volume24hUsd: snap.volume24hUsd,
+        buys24h: snap.buys24h,
+        sells24h: snap.sells24h,
+        age: fmtAge(snap.ageMs),
+        priceChange24hPct: snap.priceChange24hPct,
+        sources: (input.market.sources || []).filter((s) => s.ok).map((s) => s.id)
+      }
+    : null;
+
+  info(`RiskGate[${pol.name}]: level=${risk.level} score=${risk.score}`);
+  if (risk.flags.length) info(`Flags: ${risk.flags.join(" | ")}`);
 
-  // slippage safety
-  if (Number(input.slippageBps) > 200) {
-    flags.push("HIGH_SLIPPAGE_BPS");
-    score += 15;
-  }
+  enforceBlock(risk);
 
-  // Normalize score
-  if (score > 100) score = 100;
-
-  const level = score >= BLOCK_SCORE ? "BLOCK" : (score >= 45 ? "CAUTION" : "SAFE");
-
-  const risk = {
-    score,
-    level,
-    flags,
-    thresholds: {
-      MIN_LIQ_USD,
-      MIN_VOL24_USD,
-      MIN_AGE_MIN,
-      MAX_PUMP_PCT,
-      BLOCK_SCORE
-    },
-    marketSummary: snap
-      ? {
-          dex: snap.dex,
-          pair: snap.pairAddress,
-          liquidityUsd: snap.liquidityUsd,
-          volume24hUsd: snap.volume24hUsd,
-          buys24h: snap.buys24h,
-          sells24h: snap.sells24h,
-          age: fmtAge(snap.ageMs),
-          priceChange24hPct: snap.priceChange24hPct
-        }
-      : null
-  };
+  return { ...input, chain, risk };
+}
 
-  info(`RiskGate: level=${risk.level} score=${risk.score}`);
-  if (risk.flags.length) info(`Flags: ${risk.flags.join(" | ")}`);
+function buildRisk({ score, hits, policy }) {
+  const capped = Math.min(100, score);
+  return {
+    score: capped,
+    level: riskLevel(capped, policy),
+    flags: hits.map((h) => h.flag),
+    explanations: hits,
+    policy: policy.name,
+    thresholds: policyThresholds(policy)
+  };
+}
 
+function enforceBlock(risk) {
   // Default: block risky token BEFORE execute
   if (risk.level === "BLOCK" && !process.env.RISK_ALLOW_BLOCKED) {
-    throw new Error(`RiskGate BLOCKED swap: score=${risk.score} flags=${risk.flags.join(", ")}`);
+    throw codedError("RISK_BLOCKED", `RiskGate BLOCKED swap: score=${risk.score} flags=${risk.flags.join(", ")}`, { risk });
   }
+}
 
-  return { ...input, chain, risk };
+/**
+ * Second RiskGate pass once the Quote agent has a real route (quote-phase rules):
+ * - price impact above warn/max thresholds
+ * - unlimited ERC-20 approval to an unverified spender (Base)
+ * - quote returned no output
+ *
+ * Adds to the existing `risk` (score, flags, explanations) and re-applies the BLOCK rule.
+ */
+export function applyQuoteRisk(input, { policy = null } = {}) {
+  const quote = input.quote;
+  if (!quote || !input.risk) return input;
+
+  const pol = policy || loadRiskPolicy();
+  const { score, hits } = evaluateRules({ phase: "quote", ctx: { input, quote }, policy: pol });
+
+  const prevHits = input.risk.explanations || [];
+  const merged = buildRisk({ score: input.risk.score + score, hits: [...prevHits, ...hits], policy: pol });
+  // keep flags from earlier passes even if they had no explanation attached
+  merged.flags = [...input.risk.flags, ...hits.map((h) => h.flag)];
+
+  const risk = { ...input.risk, ...merged, priceImpactPct: quote.priceImpactPct ?? null };
+
+  const impact = quote.priceImpactPct;
+  info(`RiskGate(quote): level=${risk.level} score=${risk.score} impact=${impact == null ? "n/a" : `${impact.toFixed(3)}%`}`);
+
+  enforceBlock(risk);
+
+  return { ...input, risk };
+}
+
+/**
+ * RiskGate for a LI.FI bridge route (bridge-phase rules: value lost on the way, zero output).
+ * The plan runner's bridge steps have no token market to score, so only the route is checked.
+ *
+ * Returns the risk object; throws RISK_BLOCKED like the swap gate.
+ */
+export function agentBridgeRiskGate(input, quote, { policy = null } = {}) {
+  const pol = policy || loadRiskPolicy();
+  const { score, hits } = evaluateRules({ phase: "bridge", ctx: { input, quote }, policy: pol });
+  const risk = buildRisk({ score, hits, policy: pol });
+
+  info(`RiskGate(bridge)[${pol.name}]: level=${risk.level} score=${risk.score}`);
+  if (risk.flags.length) info(`Flags: ${risk.flags.join(" | ")}`);
+
+  enforceBlock(risk);
+
+  return risk;
 }
@@ -3,20 +3,32 @@ import chalk from "chalk";
 import ora from "ora";
 import boxen from "boxen";
 import dotenv from "dotenv";
+import yargs from "yargs";
+import { hideBin } from "yargs/helpers";
 
-import { agentScout } from "../agents/scout.js";
-import { agentAnalyst } from "../agents/analyst.js";
-import { agentRiskGate } from "../agents/riskgate.js";
-import { agentExecutor } from "../agents/executor.js";
+import { logToStderr } from "../core/logger.js";
+import { fromAtomic } from "../core/units.js";
+import { runPipeline, openHistory, exitCodeFor, EXIT } from "./pipeline.js";
+import { createPipelineUI } from "./pipelineUI.js";
+import { describeCandidate } from "../core/symbolResolver.js";
+import { createOrderWatcher } from "../core/orderWatcher.js";
+import { prepareOrder, executeOrder, describeOrder, openOrders } from "../agents/orders.js";
+import { createDcaScheduler, dcaReport } from "../core/dcaScheduler.js";
+import { prepareDca, executeDcaSlice, describeDca, openDca } from "../agents/dca.js";
+import { agentScoutPlan } from "../agents/agentScout.js";
+import { describeStep, singleSwapInput } from "../agents/planGraph.js";
+import { runPlanGraph } from "../agents/planRunner.js";
 
 dotenv.config();
 
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
+// readline is opened lazily: scripted commands must not hold stdin open
+let rl = null;
 
-const ask = (q) => new Promise((res) => rl.question(q, res));
+const ask = (q) =>
+  new Promise((res) => {
+    if (!rl) rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    rl.question(q, res);
+  });
 
 // ================= HEADER =================
 
@@ -44,7 +56,10 @@ function menuUI() {
 1. Quote (Preview)
 2. Swap (Execute)
 3. Agent (AI)
-4. Exit
+4. History
+5. Orders (limit / stop-loss)
+6. DCA schedules
+7. Exit
 `)
   );
 }
@@ -54,12 +69,17 @@ function menuUI() {
 function renderMarket(r) {
   const snap = r?.market?.bestPair;
   if (!snap) {
-    return chalk.gray("Market: (no Dexscreener snapshot)\n");
+    return chalk.gray("Market: (no market snapshot)\n");
   }
 
   const age = snap.ageMs != null ? `${Math.floor(snap.ageMs / 60000)}m` : "unknown";
+  const outliers = new Set((r.market.consensus?.price?.outliers || []).map((o) => o.id));
+  const sources = (r.market.sources || [])
+    .map((s) => (!s.ok ? chalk.gray(`${s.id} ✗`) : outliers.has(s.id) ? chalk.yellow(`${s.id} ≠`) : `${s.id} ✓`))
+    .join(", ");
   return (
-    chalk.whiteBright("Market snapshot (Dexscreener)\n") +
+    chalk.whiteBright(`Market snapshot (${r.market.source})\n`) +
+    (sources ? `- Sources: ${sources}\n` : "") +
     `- Chain: ${snap.chainId}\n` +
     `- DEX: ${snap.dex}\n` +
     `- Pair: ${snap.pairAddress}\n` +
@@ -71,6 +91,36 @@ function renderMarket(r) {
   );
 }
 
+function renderMint(r) {
+  if (r?.chain !== "sol") return "";
+  const m = r?.onchain?.mint;
+  if (!m) return r?.onchain?.error ? chalk.gray(`Mint: (on-chain check failed: ${r.onchain.error})\n`) : "";
+
+  const holders = m.holders ? `top1 ${m.holders.top1Pct ?? "n/a"}% / top10 ${m.holders.top10Pct ?? "n/a"}%` : "n/a";
+  return (
+    chalk.whiteBright(`Mint (on-chain, ${m.program})\n`) +
+    `- Mint authority: ${m.mintAuthority || "none"}\n` +
+    `- Freeze authority: ${m.freezeAuthority || "none"}\n` +
+    `- Extensions: ${m.extensions.length ? m.extensions.join(", ") : "none"}\n` +
+    `- Holders: ${holders}\n`
+  );
+}
+
+function renderTaxSim(r) {
+  if (r?.chain !== "base") return "";
+  const t = r?.onchain?.tax;
+  if (!t) return r?.onchain?.error ? chalk.gray(`Simulation: (buy/sell simulation failed: ${r.onchain.error})\n`) : "";
+
+  const pct = (v) => (v == null ? "n/a" : `${v}%`);
+  const sellable = t.sellReverted ? chalk.red(`NO (${t.revertReason})`) : t.buyReverted ? chalk.red(`buy reverts (${t.revertReason})`) : t.sellTaxPct == null ? "unknown" : "yes";
+  return (
+    chalk.whiteBright("Buy/sell simulation (Base)\n") +
+    `- Buy tax: ${pct(t.buyTaxPct)}\n` +
+    `- Sell tax: ${pct(t.sellTaxPct)}\n` +
+    `- Sellable: ${sellable}\n`
+  );
+}
+
 function renderRisk(r) {
   const risk = r?.risk;
   if (!risk) return chalk.gray("Risk: (no risk object)\n");
@@ -82,82 +132,328 @@ function renderRisk(r) {
       ? chalk.yellow
       : chalk.red;
 
-  const flags = risk.flags?.length ? risk.flags.join(" | ") : "none";
+  // one line per rule that fired, so a BLOCK says exactly why
+  const why = risk.explanations?.length
+    ? risk.explanations.map((h) => `  [+${h.weight}] ${h.rule}: ${h.message}\n`).join("")
+    : "  none\n";
 
   return (
-    chalk.whiteBright("RiskGate\n") +
+    chalk.whiteBright(`RiskGate (policy: ${risk.policy || "default"})\n`) +
     `- Level: ${color(risk.level)}\n` +
-    `- Score: ${color(String(risk.score))}\n` +
-    `- Flags: ${flags}\n`
+    `- Score: ${color(String(risk.score))} (block >= ${risk.thresholds?.blockScore ?? "?"})\n` +
+    `- Rules:\n${why}`
   );
 }
 
-// ================= PIPELINE =================
+function renderQuote(r) {
+  const q = r?.quote;
+  if (!q) return chalk.gray("Quote: (none)\n");
 
-async function runPipeline(input, opts = {}) {
-  const spinner = ora("Running pipeline...").start();
+  const impact = q.priceImpactPct == null ? "n/a" : `${q.priceImpactPct.toFixed(3)}%`;
+  const route = q.route?.length ? q.route.map((h) => h.label || "?").join(" -> ") : "-";
+  const fees = q.fees?.length ? q.fees.map((f) => `${f.label}=${f.amount}`).join(", ") : "none";
 
+  return (
+    chalk.whiteBright(`Quote (${q.source})\n`) +
+    `- Out: ${q.outAmountHuman ?? q.outAmount}\n` +
+    `- MinOut: ${q.minOutHuman ?? q.minOut}\n` +
+    `- Price impact: ${impact}\n` +
+    `- Route: ${route}\n` +
+    `- Fees: ${fees}\n`
+  );
+}
+
+// ================= HISTORY =================
+
+async function showHistory() {
+  let store;
   try {
-    // Scout can be async (Groq)
-    const s = await agentScout(input);
-
-    // ✅ Analyst is async now (Dexscreener fetch)
-    spinner.text = "Analyst: fetching market data...";
-    const a = await agentAnalyst(s);
-
-    spinner.text = "RiskGate: evaluating...";
-    const r = agentRiskGate(a);
-
-    spinner.stop();
-
-    // Show pre-execution intelligence
-    console.log(
-      boxen(
-        chalk.whiteBright(
-          `Plan\n- chain: ${r.chain}\n- in: ${r.tokenIn}\n- out: ${r.tokenOut}\n- amount: ${r.amount}\n- slippageBps: ${r.slippageBps}\n\n` +
-            renderMarket(r) +
-            "\n" +
-            renderRisk(r)
-        ),
-        { padding: 1, borderColor: r?.risk?.level === "BLOCK" ? "red" : "green" }
-      )
-    );
+    store = openHistory();
+  } catch (e) {
+    console.log(chalk.red(`History unavailable: ${e?.message || e}`));
+    return;
+  }
 
-    // Re-start spinner for execution
-    const execSpin = ora(opts.dryRun ? "Quote mode..." : "Executing swap on-chain...").start();
+  try {
+    const rows = store.listSwaps({ limit: 20 });
+    if (!rows.length) {
+      console.log(chalk.gray("No swaps recorded yet."));
+      return;
+    }
 
-    const ex = await agentExecutor(r, opts);
+    rows.forEach((h, i) => {
+      const color = h.status === "confirmed" || h.status === "finalized" ? chalk.green : chalk.red;
+      console.log(
+        `${String(i + 1).padStart(2)}. ${new Date(h.created_at).toISOString()}  ${h.chain}  ` +
+          `${h.amount_in} ${h.token_in} -> ${h.token_out}  ${color(h.status)}  ${h.txid || "-"}`
+      );
+    });
 
-    execSpin.succeed(opts.dryRun ? "Quote OK ✅" : "Execute OK ✅");
+    const pick = (await ask("\nDetail swap # (Enter untuk kembali): ")).trim();
+    const row = rows[Number(pick) - 1];
+    if (!pick) return;
+    if (!row) {
+      console.log(chalk.red("Invalid choice"));
+      return;
+    }
 
-    const summary = {
-      chain: r.chain,
-      mode: opts.dryRun ? "dry-run" : "execute",
-      tokenIn: r.tokenIn,
-      tokenOut: r.tokenOut,
-      amountIn: String(r.amount),
-      slippageBps: Number(r.slippageBps),
-      quote: ex.quote || null,
-      txid: ex.txid || null,
-      risk: r.risk || null,
-      status: "success"
-    };
+    console.log(boxen(chalk.whiteBright(JSON.stringify(store.getSwap(row.swap_id), null, 2)), { padding: 1, borderColor: "cyan" }));
+  } finally {
+    store.close();
+  }
+}
 
-    console.log(
-      boxen(chalk.greenBright(JSON.stringify(summary, null, 2)), {
-        padding: 1,
-        borderColor: "green"
-      })
-    );
+// ================= ORDERS =================
 
-    return ex;
+const ORDER_COLORS = { open: chalk.cyan, triggered: chalk.yellow, filled: chalk.green };
+
+function renderOrder(o, i) {
+  const color = ORDER_COLORS[o.status] || chalk.red;
+  const last = o.last_price_usd != null ? `  last $${o.last_price_usd}` : "";
+  const err = o.last_error && o.status !== "filled" ? chalk.gray(`  (${o.last_error})`) : "";
+  return `${String(i + 1).padStart(2)}. ${color(o.status.padEnd(9))} ${describeOrder(o)}${last}  ${chalk.gray(o.order_id)}${err}`;
+}
+
+async function showOrders() {
+  let store;
+  try {
+    store = openOrders();
+  } catch (e) {
+    console.log(chalk.red(`Orders unavailable: ${e?.message || e}`));
+    return;
+  }
+
+  try {
+    const rows = store.listOrders({ limit: 20 });
+    if (!rows.length) {
+      console.log(chalk.gray("No orders yet. Add one with: orders add --in BONK --out USDC --amount 1000000 --below 0.00001"));
+      return;
+    }
+    rows.forEach((o, i) => console.log(renderOrder(o, i)));
+    console.log(chalk.gray("\nOrders fire only while `orders watch` is running."));
+
+    const pick = (await ask("\nCancel order # (Enter untuk kembali): ")).trim();
+    const row = rows[Number(pick) - 1];
+    if (!pick) return;
+    if (!row) {
+      console.log(chalk.red("Invalid choice"));
+      return;
+    }
+    const o = store.cancelOrder(row.order_id);
+    console.log(o.status === "cancelled" ? chalk.green("Order cancelled.") : chalk.yellow(`Order is ${o.status}, nothing to cancel.`));
   } catch (e) {
-    spinner.fail("Error ❌");
     console.log(chalk.red(e?.message || String(e)));
-    return null;
+  } finally {
+    store.close();
   }
 }
 
+// ================= DCA =================
+
+const DCA_COLORS = { active: chalk.cyan, completed: chalk.green, filled: chalk.green, pending: chalk.gray, running: chalk.yellow };
+
+function renderDca(s, i) {
+  const color = DCA_COLORS[s.status] || chalk.red;
+  return `${String(i + 1).padStart(2)}. ${color(s.status.padEnd(9))} ${describeDca(s)}  ${chalk.gray(s.schedule_id)}`;
+}
+
+function renderDcaReport(s, slices) {
+  const r = dcaReport(s, slices);
+  const usd = (v) => (v == null ? "n/a" : `$${v.toPrecision(6)}`);
+  const vs = r.vsStartBps == null ? "n/a" : `${r.vsStartBps > 0 ? "+" : ""}${(r.vsStartBps / 100).toFixed(2)}%`;
+  const rows = slices
+    .map((x) => {
+      const color = DCA_COLORS[x.status] || chalk.red;
+      const due = x.status === "pending" ? `due ${new Date(x.due_at).toISOString()}` : x.txid || "";
+      return `  #${String(x.idx + 1).padStart(3)} ${color(x.status.padEnd(9))} ${fromAtomic(x.amount_atomic, s.decimals_in)} ${due}${x.reason ? chalk.gray(`  (${x.reason})`) : ""}`;
+    })
+    .join("\n");
+  return (
+    `${describeDca(s)}\n${rows}\n\n` +
+    `- Slices: ${r.filled} filled, ${r.skipped} skipped, ${r.failed} failed, ${r.pending} pending${r.cancelled ? `, ${r.cancelled} cancelled` : ""}\n` +
+    `- Spent: ${r.spent} ${s.symbol_in || ""}  Received: ${r.received} ${s.symbol_out || ""}${r.estimatedFills ? chalk.gray(` (${r.estimatedFills} from quotes)`) : ""}\n` +
+    `- Avg fill: ${usd(r.avgPriceUsd)} per ${s.symbol_out || "token"} vs ${usd(r.startPriceUsd)} at start (Dexscreener): ${vs}`
+  );
+}
+
+async function showDca() {
+  let store;
+  try {
+    store = openDca();
+  } catch (e) {
+    console.log(chalk.red(`DCA unavailable: ${e?.message || e}`));
+    return;
+  }
+
+  try {
+    const rows = store.listSchedules({ limit: 20 });
+    if (!rows.length) {
+      console.log(chalk.gray("No DCA schedules yet. Add one with: dca add --in USDC --out SOL --amount 100 --slices 10 --every 1h"));
+      return;
+    }
+    rows.forEach((s, i) => console.log(renderDca(s, i)));
+    console.log(chalk.gray("\nSlices run only while `dca run` is running."));
+
+    const pick = (await ask("\nDetail schedule # (Enter untuk kembali): ")).trim();
+    const row = rows[Number(pick) - 1];
+    if (!pick) return;
+    if (!row) {
+      console.log(chalk.red("Invalid choice"));
+      return;
+    }
+    console.log(boxen(chalk.whiteBright(renderDcaReport(row, store.listSlices(row.schedule_id))), { padding: 1, borderColor: "cyan" }));
+
+    if (row.status === "active" && (await ask(chalk.red("Cancel this schedule? (y/n): "))).trim().toLowerCase() === "y") {
+      store.cancelSchedule(row.schedule_id);
+      console.log(chalk.green("Schedule cancelled."));
+    }
+  } catch (e) {
+    console.log(chalk.red(e?.message || String(e)));
+  } finally {
+    store.close();
+  }
+}
+
+// ================= PIPELINE =================
+
+function renderPlan(r) {
+  return boxen(
+    chalk.whiteBright(
+      `Plan\n- chain: ${r.chain}\n- in: ${r.tokenIn}\n- out: ${r.tokenOut}\n- amount: ${r.amount}\n- slippageBps: ${r.slippageBps}\n\n` +
+        renderMarket(r) +
+        renderMint(r) +
+        renderTaxSim(r) +
+        "\n" +
+        renderQuote(r) +
+        "\n" +
+        renderRisk(r)
+    ),
+    { padding: 1, borderColor: r?.risk?.level === "BLOCK" ? "red" : "green" }
+  );
+}
+
+// ambiguous symbol -> numbered list; picks are remembered for the session (preview + execute)
+const tokenPicks = new Map();
+
+async function pickToken(candidates, { symbol, chain, reason }) {
+  const key = `${chain}:${symbol.toUpperCase()}`;
+  if (tokenPicks.has(key)) return tokenPicks.get(key);
+
+  console.log(chalk.yellow(`\n⚠️  ${symbol} on ${chain} is ambiguous: ${reason}`));
+  candidates.forEach((c, i) => console.log(describeCandidate(c, i)));
+  const answer = (await ask(chalk.yellow(`Pick token [1-${candidates.length}] (Enter = cancel): `))).trim();
+  const chosen = candidates[Number(answer) - 1] || null;
+  if (chosen) tokenPicks.set(key, chosen);
+  return chosen;
+}
+
+const runPipelineUI = createPipelineUI({ renderPlan, pickToken, ask });
+
+// ================= PLAN GRAPH =================
+
+function renderPlanGraph(graph) {
+  const steps = graph.steps.map((s) => `- ${describeStep(s)}`).join("\n");
+  const notes = graph.notes.length ? `\n\nNotes\n${graph.notes.map((n) => `- ${n}`).join("\n")}` : "";
+  return boxen(chalk.whiteBright(`Plan (${graph.steps.length} steps)\n${steps}${notes}`), { padding: 1, borderColor: "cyan" });
+}
+
+function renderStepPreview(step, { resolved, preview }) {
+  const sym = (info, fallback) => info?.symbol || fallback;
+  const out = preview.output;
+  const got = out?.amountAtomic != null ? `~${fromAtomic(out.amountAtomic, out.info.decimals)} ${sym(out.info, step.tokenOut || step.tokenIn)}` : "?";
+  const basis =
+    resolved.balanceAtomic != null
+      ? ` (of balance ${fromAtomic(resolved.balanceAtomic, resolved.tokenInInfo.decimals)})`
+      : resolved.estimated
+      ? " (estimated from the previous quote)"
+      : "";
+  const where = step.kind === "bridge" ? ` on ${step.toChain}` : "";
+  const risk = preview.summary?.risk ? ` | risk ${preview.summary.risk.level} (${preview.summary.risk.score})` : "";
+  return `${step.id}: ${resolved.amount} ${sym(resolved.tokenInInfo, step.tokenIn)}${basis} -> ${got}${where}${risk}`;
+}
+
+function planExitCode(res) {
+  if (res.ok) return EXIT.OK;
+  const failed = res.steps.find((s) => s.status === "failed");
+  if (failed?.code === "RISK_BLOCKED") return EXIT.BLOCKED;
+  if (failed) return failed.stage === "execute" ? EXIT.EXEC_FAILED : EXIT.ERROR;
+  return EXIT.ABORTED;
+}
+
+/**
+ * Show the whole plan, then quote and approve it step by step.
+ * - dryRun: quote every step, execute nothing
+ * - approveAll: --yes (no per-step prompt)
+ * - log: where progress goes (stderr under --json)
+ * Returns { code, res }.
+ */
+async function runPlanUI(graph, { dryRun = false, approveAll = false, interactive = true, log = console.log } = {}) {
+  log(renderPlanGraph(graph));
+
+  const spinner = ora(dryRun ? "Quoting plan..." : "Running plan...").start();
+  let quit = false;
+
+  const res = await runPlanGraph(graph, {
+    dryRun,
+    autoApprove: approveAll,
+    confirmFn:
+      interactive && !approveAll
+        ? (q) => {
+            spinner.stop();
+            return ask(chalk.red(q));
+          }
+        : null,
+    pickToken: interactive
+      ? (candidates, ctx) => {
+          spinner.stop();
+          return pickToken(candidates, ctx).finally(() => spinner.start());
+        }
+      : null,
+    onStage: (text) => (spinner.text = text),
+    onStep: (type, step, data) => {
+      spinner.stop();
+      if (type === "preview") log(chalk.cyan(`Preview ${renderStepPreview(step, data)}`));
+      else if (type === "done") log(chalk.green(`✅ ${step.id} done${data.result?.txid ? ` (${data.result.txid})` : ""}`));
+      else log((type === "failed" ? chalk.red : chalk.yellow)(`${step.id} ${type}${data.error ? `: ${data.error}` : ""}`));
+      spinner.start();
+    },
+    approveStep: async (step) => {
+      if (approveAll) return true;
+      if (quit || !interactive) return false;
+      spinner.stop();
+      const a = (await ask(chalk.red(`Execute ${describeStep(step)} on MAINNET? (y/n, q = stop here): `))).trim().toLowerCase();
+      if (a === "q") quit = true;
+      spinner.start(a === "y" ? `Executing ${step.id}...` : "Running plan...");
+      return a === "y";
+    }
+  });
+  spinner.stop();
+
+  const code = planExitCode(res);
+  log(
+    boxen(res.steps.map((s) => `${s.id}: ${s.status}${s.error ? ` - ${s.error}` : ""}`).join("\n"), {
+      padding: 1,
+      borderColor: code === EXIT.OK ? "green" : "red"
+    })
+  );
+  return { code, res };
+}
+
+// Agent prompt: one exact swap keeps the classic pipeline view, anything else runs as a plan
+async function runAgentUI(prompt) {
+  let graph;
+  try {
+    ({ graph } = await agentScoutPlan(prompt));
+  } catch (e) {
+    console.log(chalk.red(e?.message || String(e)));
+    return;
+  }
+
+  const single = singleSwapInput(graph);
+  if (single) await runPipelineUI(single);
+  else await runPlanUI(graph);
+}
+
 // ================= MENU FLOW =================
 
 async function menu() {
@@ -176,7 +472,7 @@ async function menu() {
 
     console.log(chalk.blue("\n📊 Getting quote...\n"));
 
-    await runPipeline(
+    await runPipelineUI(
       {
         chain: "sol",
         tokenIn,
@@ -201,7 +497,7 @@ async function menu() {
 
     console.log(chalk.blue("\n📊 Preview first (dry-run)...\n"));
 
-    await runPipeline(
+    await runPipelineUI(
       {
         chain,
         tokenIn,
@@ -217,7 +513,7 @@ async function menu() {
     if (confirm.toLowerCase() === "y") {
       console.log(chalk.green("\n💸 Executing real swap...\n"));
 
-      await runPipeline({
+      await runPipelineUI({
         chain,
         tokenIn,
         tokenOut,
@@ -235,15 +531,36 @@ async function menu() {
   if (choice === "3") {
     const prompt = await ask("AI Command (boleh pakai CA): ");
 
-    await runPipeline({ prompt });
+    await runAgentUI(prompt);
 
     return back();
   }
 
-  // ===== EXIT =====
+  // ===== HISTORY =====
   if (choice === "4") {
+    await showHistory();
+
+    return back();
+  }
+
+  // ===== ORDERS =====
+  if (choice === "5") {
+    await showOrders();
+
+    return back();
+  }
+
+  // ===== DCA =====
+  if (choice === "6") {
+    await showDca();
+
+    return back();
+  }
+
+  // ===== EXIT =====
+  if (choice === "7") {
     console.log(chalk.green("Bye 🚀"));
-    rl.close();
+    rl?.close();
     process.exit(0);
   }
 
@@ -258,5 +575,456 @@ async function back() {
   return menu();
 }
 
+// ================= COMMANDS =================
+// Non-interactive mode for cron/CI:
+//   quote --in USDC --out SOL --amount 1 --slippage 50 [--chain sol] [--json]
+//   swap  --in USDC --out SOL --amount 1 --yes [--json]
+//   agent "swap 1 USDC to SOL" [--yes] [--json]
+//   agent "swap 1 SOL to USDC then bridge to base"   (multi-step: y/n per step on a TTY)
+// Exit codes: see EXIT in ./pipeline.js
+
+function withSwapOptions(y) {
+  return y
+    .option("in", { type: "string", demandOption: true, describe: "Token in (symbol/mint/CA)" })
+    .option("out", { type: "string", demandOption: true, describe: "Token out (symbol/mint/CA)" })
+    .option("amount", { type: "string", demandOption: true, describe: "Human amount of token in" })
+    .option("slippage", { type: "number", default: 50, describe: "Slippage in bps" })
+    .option("chain", { type: "string", default: "sol", choices: ["sol", "base"] });
+}
+
+function swapInput(argv) {
+  return {
+    chain: argv.chain,
+    tokenIn: argv.in,
+    tokenOut: argv.out,
+    amount: String(argv.amount),
+    slippageBps: Number(argv.slippage)
+  };
+}
+
+function printResult(argv, payload) {
+  if (argv.json) {
+    process.stdout.write(`${JSON.stringify(payload, null, 2)}\n`);
+    return;
+  }
+  if (payload.ok) {
+    if (payload.plan) console.log(renderPlan(payload.plan));
+    console.log(JSON.stringify(payload.summary, null, 2));
+  } else {
+    console.error(chalk.red(payload.error));
+  }
+}
+
+async function runCommand(argv, input, { execute }) {
+  if (argv.json) logToStderr();
+  if (argv.riskProfile) process.env.RISK_PROFILE = argv.riskProfile;
+
+  // execute only with --yes, or after a preview + explicit y on a TTY
+  if (execute && !argv.yes) {
+    if (argv.json || !process.stdin.isTTY) {
+      printResult(argv, { ok: false, code: EXIT.ABORTED, error: "Refusing to execute without --yes (non-interactive)" });
+      return EXIT.ABORTED;
+    }
+    const preview = await runCommand(argv, input, { execute: false });
+    if (preview !== EXIT.OK) return preview;
+
+    const confirm = await ask(chalk.red("Execute swap REAL MAINNET? (y/n): "));
+    if (confirm.trim().toLowerCase() !== "y") {
+      printResult(argv, { ok: false, code: EXIT.ABORTED, error: "Cancelled" });
+      return EXIT.ABORTED;
+    }
+  }
+
+  try {
+    const res = await runPipeline(input, {
+      dryRun: !execute,
+      autoApprove: !!argv.yes,
+      confirmFn: argv.yes ? null : (q) => ask(chalk.red(q)),
+      // scripted runs never prompt: ambiguous symbols fail with the candidate list
+      pickToken: argv.json || !process.stdin.isTTY ? null : pickToken
+    });
+    const code = res.confirmed ? EXIT.OK : EXIT.EXEC_FAILED;
+    printResult(argv, { ok: res.confirmed, code, summary: res.summary, plan: argv.json ? undefined : res.plan, error: res.ex.error || undefined });
+    return code;
+  } catch (e) {
+    const code = exitCodeFor(e);
+    printResult(argv, {
+      ok: false,
+      code,
+      error: e?.message || String(e),
+      risk: e?.risk || undefined,
+      candidates: e?.candidates || undefined,
+      historyId: e?.historyId || undefined
+    });
+    return code;
+  }
+}
+
+// Multi-step prompts run as a plan graph: without --yes each step is quoted and asked for on a
+// TTY, and only quoted when non-interactive (same "dry-run unless --yes" rule as single swaps).
+async function runAgentCommand(argv) {
+  if (argv.json) logToStderr();
+  if (argv.riskProfile) process.env.RISK_PROFILE = argv.riskProfile;
+
+  let graph;
+  try {
+    ({ graph } = await agentScoutPlan(argv.prompt));
+  } catch (e) {
+    const code = exitCodeFor(e);
+    printResult(argv, { ok: false, code, error: e?.message || String(e), errors: e?.errors || undefined });
+    return code;
+  }
+
+  const single = singleSwapInput(graph);
+  if (single) return runCommand(argv, single, { execute: !!argv.yes });
+
+  const interactive = !argv.json && !!process.stdin.isTTY;
+  const { code, res } = await runPlanUI(graph, {
+    dryRun: !argv.yes && !interactive,
+    approveAll: !!argv.yes,
+    interactive,
+    log: argv.json ? console.error : console.log
+  });
+  if (argv.json) process.stdout.write(`${JSON.stringify({ ok: res.ok, code, plan: graph, steps: res.steps }, null, 2)}\n`);
+  return code;
+}
+
+// ----- orders: add / list / cancel / watch -----
+//   orders add --in BONK --out USDC --amount 1000000 --below 0.00001 [--watch in|out] [--expires 86400]
+//   orders list [--status open]
+//   orders cancel <id>
+//   orders watch [--once]   (the loop that fires them; runs until Ctrl+C)
+
+async function withOrders(fn) {
+  const store = openOrders();
+  try {
+    return await fn(store);
+  } finally {
+    store.close();
+  }
+}
+
+async function addOrderCommand(argv) {
+  if (argv.json) logToStderr();
+  if (argv.riskProfile) process.env.RISK_PROFILE = argv.riskProfile;
+  if ((argv.below == null) === (argv.above == null)) {
+    printResult(argv, { ok: false, code: EXIT.ERROR, error: "Pass exactly one of --below / --above" });
+    return EXIT.ERROR;
+  }
+
+  try {
+    const { order, summary } = await prepareOrder(
+      {
+        ...swapInput(argv),
+        condition: argv.below != null ? "below" : "above",
+        triggerPriceUsd: argv.below ?? argv.above,
+        watch: argv.watch,
+        expiresInSec: argv.expires
+      },
+      { source: "cli", pickToken: argv.json || !process.stdin.isTTY ? null : pickToken }
+    );
+    const saved = await withOrders((store) => store.createOrder(order));
+    if (argv.json) process.stdout.write(`${JSON.stringify({ ok: true, order: saved, summary }, null, 2)}\n`);
+    else console.log(chalk.green(`Order ${saved.order_id} placed: ${describeOrder(saved)}`));
+    return EXIT.OK;
+  } catch (e) {
+    const code = exitCodeFor(e);
+    printResult(argv, { ok: false, code, error: e?.message || String(e), risk: e?.risk || undefined, candidates: e?.candidates || undefined });
+    return code;
+  }
+}
+
+async function listOrdersCommand(argv) {
+  const rows = await withOrders((store) => store.listOrders({ status: argv.status || null, limit: argv.limit }));
+  if (argv.json) process.stdout.write(`${JSON.stringify({ ok: true, orders: rows }, null, 2)}\n`);
+  else if (!rows.length) console.log(chalk.gray("No orders."));
+  else rows.forEach((o, i) => console.log(renderOrder(o, i)));
+  return EXIT.OK;
+}
+
+async function cancelOrderCommand(argv) {
+  try {
+    const o = await withOrders((store) => store.cancelOrder(argv.id));
+    if (!o) {
+      printResult(argv, { ok: false, code: EXIT.ERROR, error: `Order not found: ${argv.id}` });
+      return EXIT.ERROR;
+    }
+    if (argv.json) process.stdout.write(`${JSON.stringify({ ok: true, order: o }, null, 2)}\n`);
+    else console.log(o.status === "cancelled" ? chalk.green(`Order ${o.order_id} cancelled.`) : chalk.yellow(`Order ${o.order_id} is ${o.status}, nothing to cancel.`));
+    return EXIT.OK;
+  } catch (e) {
+    printResult(argv, { ok: false, code: EXIT.ERROR, error: e?.message || String(e) });
+    return EXIT.ERROR;
+  }
+}
+
+async function watchOrdersCommand(argv) {
+  logToStderr();
+  const store = openOrders();
+  const watcher = createOrderWatcher({
+    store,
+    executeFn: (order) => executeOrder(order),
+    intervalMs: Number(process.env.ORDER_POLL_MS || 30_000),
+    maxAttempts: Number(process.env.ORDER_MAX_ATTEMPTS || 3),
+    onEvent: (type, o, data) => {
+      if (type === "price" && !argv.verbose) return;
+      if (argv.json) {
+        process.stdout.write(`${JSON.stringify({ event: type, orderId: o?.order_id || null, status: o?.status || null, ...data })}\n`);
+        return;
+      }
+      const what = o ? `${o.order_id.slice(0, 8)} ${describeOrder(o)}` : "";
+      const extra = data ? ` ${JSON.stringify(data)}` : "";
+      const color = type === "filled" ? chalk.green : type === "price" || type === "retry" ? chalk.gray : chalk.yellow;
+      console.log(color(`[${new Date().toISOString()}] ${type} ${what}${extra}`));
+    }
+  });
+
+  try {
+    if (argv.once) {
+      const failed = store.recoverInterrupted();
+      if (failed.length) console.error(chalk.red(`Orders interrupted mid-execution, marked failed: ${failed.join(", ")}`));
+      const { checked, fired } = await watcher.tick();
+      if (!argv.json) console.log(chalk.gray(`Checked ${checked} open order(s), fired ${fired.length}.`));
+      return fired.some((o) => o.status !== "filled" && o.status !== "open") ? EXIT.EXEC_FAILED : EXIT.OK;
+    }
+
+    const failed = watcher.start();
+    if (failed.length) console.error(chalk.red(`Orders interrupted mid-execution, marked failed: ${failed.join(", ")}`));
+    console.error(chalk.cyan(`Watching orders every ${Math.round(Number(process.env.ORDER_POLL_MS || 30_000) / 1000)}s (Ctrl+C to stop)...`));
+    await new Promise((resolve) => {
+      process.once("SIGINT", resolve);
+      process.once("SIGTERM", resolve);
+    });
+    await watcher.stop();
+    return EXIT.OK;
+  } finally {
+    store.close();
+  }
+}
+
+// ----- dca: add / list / show / cancel / run -----
+//   dca add --in USDC --out SOL --amount 100 --slices 10 --every 1h
+//   dca list [--status active]
+//   dca show <id>     slices + average fill vs the start price
+//   dca cancel <id>
+//   dca run [--once]  (executes due slices; runs until Ctrl+C)
+
+async function withDca(fn) {
+  const store = openDca();
+  try {
+    return await fn(store);
+  } finally {
+    store.close();
+  }
+}
+
+async function addDcaCommand(argv) {
+  if (argv.json) logToStderr();
+  if (argv.riskProfile) process.env.RISK_PROFILE = argv.riskProfile;
+
+  try {
+    const { schedule, summary } = await prepareDca(
+      { ...swapInput(argv), slices: argv.slices, interval: argv.every },
+      { pickToken: argv.json || !process.stdin.isTTY ? null : pickToken }
+    );
+    const saved = await withDca((store) => store.createSchedule(schedule));
+    if (argv.json) process.stdout.write(`${JSON.stringify({ ok: true, schedule: saved, firstSlice: summary }, null, 2)}\n`);
+    else {
+      console.log(chalk.green(`DCA ${saved.schedule_id} scheduled: ${describeDca(saved)}`));
+      console.log(chalk.gray(`RiskGate baseline: ${saved.baseline_risk_level || "n/a"}; start price: ${saved.start_price_usd != null ? `$${saved.start_price_usd}` : "n/a"}`));
+    }
+    return EXIT.OK;
+  } catch (e) {
+    const code = exitCodeFor(e);
+    printResult(argv, { ok: false, code, error: e?.message || String(e), risk: e?.risk || undefined, candidates: e?.candidates || undefined });
+    return code;
+  }
+}
+
+async function listDcaCommand(argv) {
+  const rows = await withDca((store) => store.listSchedules({ status: argv.status || null, limit: argv.limit }));
+  if (argv.json) process.stdout.write(`${JSON.stringify({ ok: true, schedules: rows }, null, 2)}\n`);
+  else if (!rows.length) console.log(chalk.gray("No DCA schedules."));
+  else rows.forEach((s, i) => console.log(renderDca(s, i)));
+  return EXIT.OK;
+}
+
+async function showDcaCommand(argv) {
+  return withDca((store) => {
+    const s = store.getSchedule(argv.id);
+    if (!s) {
+      printResult(argv, { ok: false, code: EXIT.ERROR, error: `DCA schedule not found: ${argv.id}` });
+      return EXIT.ERROR;
+    }
+    const slices = store.listSlices(s.schedule_id);
+    if (argv.json) process.stdout.write(`${JSON.stringify({ ok: true, schedule: s, slices, report: dcaReport(s, slices) }, null, 2)}\n`);
+    else console.log(renderDcaReport(s, slices));
+    return EXIT.OK;
+  });
+}
+
+async function cancelDcaCommand(argv) {
+  const s = await withDca((store) => store.cancelSchedule(argv.id));
+  if (!s) {
+    printResult(argv, { ok: false, code: EXIT.ERROR, error: `DCA schedule not found: ${argv.id}` });
+    return EXIT.ERROR;
+  }
+  if (argv.json) process.stdout.write(`${JSON.stringify({ ok: true, schedule: s }, null, 2)}\n`);
+  else console.log(s.status === "cancelled" ? chalk.green(`DCA ${s.schedule_id} cancelled.`) : chalk.yellow(`DCA ${s.schedule_id} is ${s.status}, nothing to cancel.`));
+  return EXIT.OK;
+}
+
+async function runDcaCommand(argv) {
+  logToStderr();
+  const store = openDca();
+  const pollMs = Number(process.env.DCA_POLL_MS || 15_000);
+  const scheduler = createDcaScheduler({
+    store,
+    executeFn: (schedule, slice) => executeDcaSlice(schedule, slice),
+    intervalMs: pollMs,
+    onEvent: (type, s, data) => {
+      if (argv.json) {
+        process.stdout.write(`${JSON.stringify({ event: type, scheduleId: s?.schedule_id || null, ...data })}\n`);
+        return;
+      }
+      const what = s ? `${s.schedule_id.slice(0, 8)} ${describeDca(s)}` : "";
+      const slice = data?.idx != null ? ` slice ${data.idx + 1}` : "";
+      const why = data?.reason ? ` (${data.reason})` : data?.txid ? ` ${data.txid}` : data?.error ? ` (${data.error})` : "";
+      const color = type === "filled" || type === "completed" ? chalk.green : type === "slice" ? chalk.cyan : chalk.yellow;
+      console.log(color(`[${new Date().toISOString()}] ${type}${slice} ${what}${why}`));
+      if (type === "completed") console.log(renderDcaReport(s, store.listSlices(s.schedule_id)));
+    }
+  });
+
+  try {
+    if (argv.once) {
+      const failed = store.recoverInterrupted();
+      if (failed.length) console.error(chalk.red(`Slices interrupted mid-execution, marked failed: ${failed.length}`));
+      const { ran } = await scheduler.tick();
+      if (!argv.json) console.log(chalk.gray(`Ran ${ran.length} due slice(s).`));
+      return ran.some((x) => x.status === "failed") ? EXIT.EXEC_FAILED : EXIT.OK;
+    }
+
+    const failed = scheduler.start();
+    if (failed.length) console.error(chalk.red(`Slices interrupted mid-execution, marked failed: ${failed.length}`));
+    console.error(chalk.cyan(`Running DCA schedules, checking every ${Math.round(pollMs / 1000)}s (Ctrl+C to stop)...`));
+    await new Promise((resolve) => {
+      process.once("SIGINT", resolve);
+      process.once("SIGTERM", resolve);
+    });
+    await scheduler.stop();
+    return EXIT.OK;
+  } finally {
+    store.close();
+  }
+}
+
+function finish(code) {
+  rl?.close();
+  process.exitCode = code;
+}
+
 // START
-menu();
+const cli = yargs(hideBin(process.argv))
+  .scriptName("intercom")
+  .option("json", { type: "boolean", default: false, describe: "Machine-readable output on stdout" })
+  .option("risk-profile", { type: "string", describe: "RiskGate policy profile (default, conservative, degen)" })
+  .command(
+    "quote",
+    "Quote a swap (dry-run)",
+    (y) => withSwapOptions(y),
+    async (argv) => finish(await runCommand(argv, swapInput(argv), { execute: false }))
+  )
+  .command(
+    "swap",
+    "Quote then execute a swap",
+    (y) => withSwapOptions(y).option("yes", { type: "boolean", default: false, describe: "Skip confirmations" }),
+    async (argv) => finish(await runCommand(argv, swapInput(argv), { execute: true }))
+  )
+  .command(
+    "agent <prompt>",
+    "Natural-language swap or multi-step plan (dry-run unless --yes)",
+    (y) =>
+      y
+        .positional("prompt", { type: "string", describe: 'e.g. "swap 1 USDC to SOL"' })
+        .option("yes", { type: "boolean", default: false, describe: "Execute without confirmation" }),
+    async (argv) => finish(await runAgentCommand(argv))
+  )
+  .command("orders", "Limit / stop-loss orders", (y) =>
+    y
+      .command(
+        "add",
+        "Place an order (checked now, executed by `orders watch` when the price hits)",
+        (o) =>
+          withSwapOptions(o)
+            .option("below", { type: "number", describe: "Fire when the watched token is at or below this USD price" })
+            .option("above", { type: "number", describe: "Fire when the watched token is at or above this USD price" })
+            .option("watch", { type: "string", choices: ["in", "out"], describe: "Token whose price is watched (default: the non-stable leg)" })
+            .option("expires", { type: "number", describe: "Expire after this many seconds" }),
+        async (argv) => finish(await addOrderCommand(argv))
+      )
+      .command(
+        "list",
+        "List orders",
+        (o) => o.option("status", { type: "string", describe: "open, triggered, filled, failed, blocked, cancelled, expired" }).option("limit", { type: "number", default: 50 }),
+        async (argv) => finish(await listOrdersCommand(argv))
+      )
+      .command(
+        "cancel <id>",
+        "Cancel an open order",
+        (o) => o.positional("id", { type: "string" }),
+        async (argv) => finish(await cancelOrderCommand(argv))
+      )
+      .command(
+        "watch",
+        "Poll prices and execute triggered orders (RiskGate runs again at trigger time)",
+        (o) =>
+          o
+            .option("once", { type: "boolean", default: false, describe: "One pass, then exit (cron)" })
+            .option("verbose", { type: "boolean", default: false, describe: "Log every price check" }),
+        async (argv) => finish(await watchOrdersCommand(argv))
+      )
+      .demandCommand(1)
+  )
+  .command("dca", "Recurring (DCA) swaps", (y) =>
+    y
+      .command(
+        "add",
+        "Split a swap into equal slices over time (run by `dca run`)",
+        (o) =>
+          withSwapOptions(o)
+            .option("slices", { type: "number", demandOption: true, describe: "Number of slices" })
+            .option("every", { type: "string", demandOption: true, describe: "Interval between slices (30m, 2h, 1d)" }),
+        async (argv) => finish(await addDcaCommand(argv))
+      )
+      .command(
+        "list",
+        "List DCA schedules",
+        (o) => o.option("status", { type: "string", describe: "active, completed, cancelled" }).option("limit", { type: "number", default: 50 }),
+        async (argv) => finish(await listDcaCommand(argv))
+      )
+      .command(
+        "show <id>",
+        "Slices and average fill price vs the start price",
+        (o) => o.positional("id", { type: "string" }),
+        async (argv) => finish(await showDcaCommand(argv))
+      )
+      .command(
+        "cancel <id>",
+        "Cancel the remaining slices",
+        (o) => o.positional("id", { type: "string" }),
+        async (argv) => finish(await cancelDcaCommand(argv))
+      )
+      .command(
+        "run",
+        "Execute due slices through the full pipeline (skipped when RiskGate escalates)",
+        (o) => o.option("once", { type: "boolean", default: false, describe: "Run what is due now, then exit (cron)" }),
+        async (argv) => finish(await runDcaCommand(argv))
+      )
+      .demandCommand(1)
+  )
+  .strict()
+  .help();
+
+const argv = await cli.parseAsync();
+if (!argv._.length) menu();
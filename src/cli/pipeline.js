@@ -0,0 +1,156 @@
+import { info } from "../core/logger.js";
+import { agentScout } from "../agents/agentScout.js";
+import { agentAnalyst } from "../agents/analyst.js";
+import { agentRiskGate } from "../agents/riskgate.js";
+import { agentQuote } from "../agents/quote.js";
+import { agentExecutor } from "../agents/executor.js";
+import { summarizeQuote } from "../core/quotes.js";
+import { SwapHistoryStore } from "../receipts/swapHistory.js";
+
+// Scout -> Analyst -> RiskGate -> Quote -> Executor, without any UI.
+// Used by the interactive menu and by the scripted commands (quote/swap/agent).
+
+export const EXIT = Object.freeze({
+  OK: 0,
+  ERROR: 1,
+  BLOCKED: 2, // RiskGate BLOCK
+  EXEC_FAILED: 3, // tx failed/reverted/expired or executor threw
+  ABORTED: 4 // not confirmed by the user / missing --yes
+});
+
+export function exitCodeFor(err) {
+  if (err?.code === "RISK_BLOCKED") return EXIT.BLOCKED;
+  if (err?.code === "ABORTED") return EXIT.ABORTED;
+  if (err?.stage === "execute") return EXIT.EXEC_FAILED;
+  return EXIT.ERROR;
+}
+
+// ================= HISTORY =================
+
+function planForHistory(r) {
+  return {
+    chain: r.chain,
+    tokenIn: r.tokenIn,
+    tokenOut: r.tokenOut,
+    tokenInInfo: r.tokenInInfo,
+    tokenOutInfo: r.tokenOutInfo,
+    amount: r.amount,
+    amountAtomic: r.amountAtomic,
+    slippageBps: r.slippageBps,
+    prompt: r.prompt || null,
+    symbolResolution: r.symbolResolution
+      ? Object.fromEntries(Object.entries(r.symbolResolution).map(([leg, x]) => [leg, { symbol: x.symbol, address: x.address, picked: x.picked }]))
+      : null
+  };
+}
+
+export function openHistory() {
+  return SwapHistoryStore.open({ dbPath: process.env.SWAP_HISTORY_DB || undefined });
+}
+
+function recordHistory(swapId, patch) {
+  let store = null;
+  try {
+    store = openHistory();
+    store.upsertSwap(swapId, patch);
+  } catch (e) {
+    info(`History not saved: ${e?.message || e}`);
+  } finally {
+    store?.close();
+  }
+}
+
+// ================= PIPELINE =================
+
+function buildSummary(r, ex, { dryRun, swapId }) {
+  return {
+    chain: r.chain,
+    mode: dryRun ? "dry-run" : "execute",
+    tokenIn: r.tokenIn,
+    tokenOut: r.tokenOut,
+    amountIn: String(r.amount),
+    amountAtomic: r.amountAtomic || null,
+    slippageBps: Number(r.slippageBps),
+    quote: summarizeQuote(ex.quote),
+    txid: ex.txid || null,
+    received: ex.received ?? null,
+    approval: ex.approval ?? null,
+    historyId: swapId,
+    risk: r.risk || null,
+    status: dryRun ? "success" : ex.status
+  };
+}
+
+/**
+ * opts:
+ * - dryRun: stop after the quote
+ * - onStage(text): progress hook (spinner text)
+ * - onPlan(plan): called with the quoted + risk-scored plan before execution
+ * - confirmFn(question): y/n prompt for approvals; autoApprove skips it
+ * - pickToken(candidates, ctx): interactive pick for ambiguous symbols (else they throw AMBIGUOUS_SYMBOL)
+ *
+ * Returns { plan, ex, summary, swapId, confirmed }.
+ * Errors carry `code` (RISK_BLOCKED) or `stage` ("execute") for exit codes.
+ */
+export async function runPipeline(input, opts = {}) {
+  const { dryRun = false, onStage = () => {}, onPlan = async () => {}, confirmFn = null, autoApprove = false, pickToken = null } = opts;
+
+  onStage("Scout: parsing...");
+  const s = await agentScout(input);
+
+  onStage("Analyst: fetching market data...");
+  const a = await agentAnalyst(s, { pickToken });
+
+  onStage("RiskGate: evaluating...");
+  const g = agentRiskGate(a);
+
+  onStage("Quote: fetching route...");
+  const r = await agentQuote(g);
+
+  await onPlan(r);
+
+  onStage(dryRun ? "Quote mode..." : "Executing swap on-chain...");
+
+  let swapId = null;
+  if (!dryRun) {
+    swapId = SwapHistoryStore.newSwapId();
+    recordHistory(swapId, {
+      chain: r.chain,
+      mode: "execute",
+      token_in: r.tokenIn,
+      token_out: r.tokenOut,
+      amount_in: String(r.amount),
+      amount_in_atomic: r.amountAtomic,
+      slippage_bps: Number(r.slippageBps),
+      status: "sending",
+      plan: planForHistory(r),
+      risk: r.risk,
+      quote: summarizeQuote(r.quote)
+    });
+  }
+
+  let ex;
+  try {
+    ex = await agentExecutor(r, { dryRun, confirmFn, autoApprove });
+  } catch (e) {
+    if (swapId) recordHistory(swapId, { status: "error", last_error: e?.message || String(e) });
+    e.stage = "execute";
+    e.historyId = swapId;
+    throw e;
+  }
+
+  const confirmed = dryRun || ex.status === "confirmed" || ex.status === "finalized";
+
+  if (swapId) {
+    recordHistory(swapId, {
+      txid: ex.txid,
+      status: ex.status,
+      amount_out_atomic: ex.received,
+      quote: summarizeQuote(ex.quote),
+      result: { confirmation: ex.confirmation, received: ex.received, approval: ex.approval ?? null },
+      last_error: ex.error
+    });
+  }
+
+  return { plan: r, ex, swapId, confirmed, summary: buildSummary(r, ex, { dryRun, swapId }) };
+}
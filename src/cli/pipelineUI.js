@@ -0,0 +1,57 @@
+import chalk from "chalk";
+import ora from "ora";
+import boxen from "boxen";
+
+import { runPipeline } from "./pipeline.js";
+
+// Interactive wrapper around runPipeline(): spinners, plan preview, y/n prompts, result box.
+// The pipeline, prompts and renderers are injected so the menu (and tests) can swap them.
+export function createPipelineUI({ pipeline = runPipeline, renderPlan, pickToken, ask, spinner = ora, log = console.log } = {}) {
+  return async function runPipelineUI(input, opts = {}) {
+    const spin = spinner("Running pipeline...").start();
+    let execSpin = null;
+
+    try {
+      const res = await pipeline(input, {
+        ...opts,
+        pickToken: (candidates, ctx) => {
+          spin.stop();
+          return Promise.resolve(pickToken(candidates, ctx)).finally(() => spin.start());
+        },
+        onStage: (text) => {
+          if (execSpin) execSpin.text = text;
+          else spin.text = text;
+        },
+        onPlan: (r) => {
+          spin.stop();
+          // Show pre-execution intelligence
+          log(renderPlan(r));
+          // Re-start spinner for execution
+          execSpin = spinner(opts.dryRun ? "Quote mode..." : "Executing swap on-chain...").start();
+        },
+        // approvals (Base ERC-20 sells) need their own y/n
+        confirmFn: (q) => {
+          execSpin?.stop();
+          return ask(chalk.red(q));
+        }
+      });
+
+      const { ex, summary, confirmed } = res;
+      if (confirmed) execSpin.succeed(opts.dryRun ? "Quote OK ✅" : `Execute OK ✅ (${ex.status})`);
+      else execSpin.fail(`Execute ${ex.status} ❌ ${ex.error || ""}`);
+
+      log(
+        boxen((confirmed ? chalk.greenBright : chalk.redBright)(JSON.stringify(summary, null, 2)), {
+          padding: 1,
+          borderColor: confirmed ? "green" : "red"
+        })
+      );
+
+      return ex;
+    } catch (e) {
+      (execSpin || spin).fail(e?.stage === "execute" ? "Execute failed ❌" : "Error ❌");
+      log(chalk.red(e?.message || String(e)));
+      return null;
+    }
+  };
+}
@@ -0,0 +1,116 @@
+import { ethers } from "ethers";
+import { codedError } from "./errors.js";
+import { trackEvmTx } from "./txTracker.js";
+
+// ERC-20 allowance handling for the Base swap path.
+// - read allowance(owner, spender)
+// - approve exact amount or unlimited (MaxUint256) after a confirm prompt
+// - Permit2: sign the EIP-712 payload 0x returns and append it to the calldata
+
+export const PERMIT2_ADDRESS = "0x000000000022D473030F116dDEE9F6B43aC78BA3";
+
+// Spenders we consider safe to approve (lowercase).
+// 0x Exchange Proxy, 0x AllowanceHolder, Uniswap Permit2.
+const VERIFIED_SPENDERS = new Set([
+  "0xdef1c0ded9bec7f1a1670819833240f027b25eff",
+  "0x0000000000001ff3684f28c67538d4d072c22734",
+  PERMIT2_ADDRESS.toLowerCase()
+]);
+
+const ERC20_ALLOWANCE_ABI = [
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)"
+];
+
+function extraVerifiedSpenders() {
+  return String(process.env.EVM_VERIFIED_SPENDERS || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+export function isVerifiedSpender(spender) {
+  if (!spender) return false;
+  const s = String(spender).toLowerCase();
+  return VERIFIED_SPENDERS.has(s) || extraVerifiedSpenders().includes(s);
+}
+
+export function approvalModeFromEnv() {
+  return String(process.env.EVM_APPROVAL_MODE || "exact").toLowerCase() === "unlimited" ? "unlimited" : "exact";
+}
+
+function yn(input) {
+  const s = String(input || "").trim().toLowerCase();
+  return s === "y" || s === "yes";
+}
+
+export async function readAllowance({ provider, token, owner, spender }) {
+  const c = new ethers.Contract(token, ERC20_ALLOWANCE_ABI, provider);
+  return BigInt(await c.allowance(owner, spender));
+}
+
+/**
+ * Make sure `spender` may pull `amount` of `token` from the wallet.
+ *
+ * opts:
+ * - mode: "exact" | "unlimited"
+ * - confirmFn(question) -> "y"/"n" (interactive); without it, autoApprove must be set
+ * - autoApprove: approve without asking (non-interactive --yes, orders, DCA); verified spenders only
+ *
+ * `spender` must come from the quote that is executed, not from an earlier preview quote.
+ *
+ * Returns { status: "sufficient" | "approved", allowance, txid?, mode? }.
+ * Throws when the user declines, the spender is unverified under autoApprove (code UNVERIFIED_SPENDER)
+ * or the approve tx does not confirm.
+ */
+export async function ensureAllowance({ wallet, token, spender, amount, mode = "exact", confirmFn = null, autoApprove = false }) {
+  if (!spender) throw new Error("Allowance: spender missing from quote");
+  const verified = isVerifiedSpender(spender);
+  if (autoApprove && !verified) {
+    throw codedError("UNVERIFIED_SPENDER", `Allowance: spender ${spender} is not verified; approve it interactively or add it to EVM_VERIFIED_SPENDERS`);
+  }
+
+  const owner = await wallet.getAddress();
+  const need = BigInt(amount);
+  const current = await readAllowance({ provider: wallet.provider, token, owner, spender });
+  if (current >= need) return { status: "sufficient", allowance: current.toString() };
+
+  const value = mode === "unlimited" ? ethers.MaxUint256 : need;
+  const label = mode === "unlimited" ? "UNLIMITED" : need.toString();
+
+  if (!autoApprove) {
+    if (!confirmFn) throw new Error(`Allowance: approval needed for ${spender} (run interactively or pass --yes)`);
+    const warn = verified ? "" : " ⚠️ spender NOT verified";
+    const answer = await confirmFn(`Approve ${label} of ${token} to ${spender}${warn}? (y/n) `);
+    if (!yn(answer)) {
+      throw codedError("ABORTED", "Allowance: approval rejected by user");
+    }
+  }
+
+  const c = new ethers.Contract(token, ERC20_ALLOWANCE_ABI, wallet);
+  const tx = await c.approve(spender, value);
+  const confirmation = await trackEvmTx({ provider: wallet.provider, txHash: tx.hash });
+  if (confirmation.status !== "confirmed") {
+    throw new Error(`Allowance: approve ${confirmation.status}${confirmation.revertReason ? `: ${confirmation.revertReason}` : ""} (${tx.hash})`);
+  }
+
+  return { status: "approved", allowance: value.toString(), txid: tx.hash, mode };
+}
+
+/**
+ * Sign a 0x Permit2 EIP-712 payload ({ domain, types, message, primaryType }).
+ */
+export async function signPermit2(wallet, eip712) {
+  if (!eip712?.domain || !eip712?.types || !eip712?.message) throw new Error("Permit2: invalid eip712 payload");
+  // ethers derives the domain type itself
+  const { EIP712Domain, ...types } = eip712.types;
+  return await wallet.signTypedData(eip712.domain, types, eip712.message);
+}
+
+/**
+ * 0x Permit2 calldata convention: data ++ uint256(sig.length) ++ sig.
+ */
+export function appendPermit2Signature(data, signature) {
+  const sig = ethers.getBytes(signature);
+  return ethers.hexlify(ethers.concat([data, ethers.toBeHex(sig.length, 32), sig]));
+}
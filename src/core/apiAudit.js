@@ -0,0 +1,38 @@
+import { AuditLog } from "../prompt/audit.js";
+
+// Append-only audit of mutating server.js calls, same format as the prompt audit log
+// (src/prompt/audit.js: JSONL, payloads redacted by src/prompt/redact.js).
+// One file per UTC day: <dir>/api-YYYY-MM-DD.jsonl
+// "spend" entries record what was booked against a key; the ledger that enforces the caps is
+// the spend table of the job store (src/receipts/jobStore.js).
+
+export const DEFAULT_API_AUDIT_DIR = "onchain/server/audit";
+
+function utcDay(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+/**
+ * opts:
+ * - dir: audit directory (default onchain/server/audit)
+ * - nowFn: clock (tests)
+ */
+export function createApiAudit({ dir = DEFAULT_API_AUDIT_DIR, nowFn = Date.now } = {}) {
+  let day = null;
+  let log = null;
+
+  // new UTC day -> new file
+  function roll() {
+    const d = utcDay(nowFn());
+    if (d === day) return;
+    day = d;
+    log = new AuditLog({ dir, sessionId: `api-${d}` });
+  }
+
+  function write(event, payload) {
+    roll();
+    log.write(event, payload);
+  }
+
+  return { write, file: () => (roll(), log.filePath) };
+}
@@ -0,0 +1,152 @@
+import fs from "fs";
+import { createHash } from "crypto";
+
+// API keys for server.js (x-api-key header).
+// Key entry: { id, key | keySha256, scopes, dailySpendUsd?, ratePerMin? }
+// Scopes:
+// - read: balances, health, bridge / job status
+// - quote: /api/agent (quotes + risk, never sends)
+// - execute: swaps, bridges, jobs, agent confirmations (implies quote + read)
+// - wallet-admin: vault, burner generation, RAM wallets (implies read)
+// Keys come from API_KEYS_FILE / API_KEYS (JSON array); the legacy single API_KEY still works
+// and gets every scope. No keys at all = auth disabled (local dev default, as before).
+
+export const API_SCOPES = ["read", "quote", "execute", "wallet-admin"];
+
+const IMPLIED = {
+  read: [],
+  quote: ["read"],
+  execute: ["quote", "read"],
+  "wallet-admin": ["read"]
+};
+
+function sha256Hex(s) {
+  return createHash("sha256").update(String(s)).digest("hex");
+}
+
+function optionalNumber(v, what) {
+  if (v === undefined || v === null || v === "") return null;
+  const n = Number(v);
+  if (!Number.isFinite(n) || n < 0) throw new Error(`${what} must be a number >= 0`);
+  return n;
+}
+
+export function expandScopes(scopes) {
+  const out = new Set();
+  for (const s of scopes || []) {
+    if (!IMPLIED[s]) throw new Error(`Unknown API scope: ${s} (use ${API_SCOPES.join(", ")})`);
+    out.add(s);
+    for (const x of IMPLIED[s]) out.add(x);
+  }
+  return out;
+}
+
+/**
+ * Validate one configured key. Keys are kept only as sha256 hashes in memory.
+ */
+export function normalizeApiKey(entry, i = 0) {
+  const id = String(entry?.id || `key${i + 1}`).trim();
+  const hash = entry?.keySha256 ? String(entry.keySha256).trim().toLowerCase() : entry?.key ? sha256Hex(entry.key) : null;
+  if (!hash || !/^[0-9a-f]{64}$/.test(hash)) throw new Error(`API key ${id}: set key or keySha256`);
+  const scopes = expandScopes(entry.scopes);
+  if (!scopes.size) throw new Error(`API key ${id}: scopes required`);
+  return {
+    id,
+    hash,
+    scopes,
+    dailySpendUsd: optionalNumber(entry.dailySpendUsd, `API key ${id}: dailySpendUsd`),
+    ratePerMin: optionalNumber(entry.ratePerMin, `API key ${id}: ratePerMin`)
+  };
+}
+
+/**
+ * API_KEYS_FILE (JSON array file) > API_KEYS (inline JSON array) > API_KEY (legacy, all scopes).
+ */
+export function loadApiKeys(env = process.env) {
+  let list = null;
+  if (env.API_KEYS_FILE) list = JSON.parse(fs.readFileSync(env.API_KEYS_FILE, "utf8"));
+  else if (env.API_KEYS) list = JSON.parse(env.API_KEYS);
+  else if (env.API_KEY) list = [{ id: "default", key: env.API_KEY, scopes: API_SCOPES }];
+  if (!list) return [];
+  if (!Array.isArray(list)) throw new Error("API keys config must be a JSON array");
+
+  const keys = list.map(normalizeApiKey);
+  const ids = new Set();
+  for (const k of keys) {
+    if (ids.has(k.id)) throw new Error(`Duplicate API key id: ${k.id}`);
+    ids.add(k.id);
+  }
+  return keys;
+}
+
+/**
+ * Token bucket per key id: `perMin` requests per minute, bursts up to `perMin`.
+ * take(id, perMin) -> { ok, retryAfterSec }
+ */
+export function createRateLimiter({ nowFn = Date.now } = {}) {
+  const buckets = new Map();
+
+  function take(id, perMin) {
+    if (!perMin) return { ok: true, retryAfterSec: 0 };
+    const now = nowFn();
+    const b = buckets.get(id) || { tokens: perMin, at: now };
+    b.tokens = Math.min(perMin, b.tokens + ((now - b.at) / 60_000) * perMin);
+    b.at = now;
+    buckets.set(id, b);
+    if (b.tokens >= 1) {
+      b.tokens -= 1;
+      return { ok: true, retryAfterSec: 0 };
+    }
+    return { ok: false, retryAfterSec: Math.ceil(((1 - b.tokens) * 60) / perMin) };
+  }
+
+  return { take };
+}
+
+/**
+ * opts:
+ * - keys: loadApiKeys()
+ * - defaultRatePerMin: limit for keys without ratePerMin (0 = unlimited)
+ * - nowFn: clock (tests)
+ */
+export function createApiAuth({ keys = [], defaultRatePerMin = 120, nowFn = Date.now } = {}) {
+  const byHash = new Map(keys.map((k) => [k.hash, k]));
+  const limiter = createRateLimiter({ nowFn });
+  // auth disabled: every request acts as this key (no caps, no limits)
+  const open = { id: "open", scopes: new Set(API_SCOPES), dailySpendUsd: null, ratePerMin: 0 };
+
+  // hashing first keeps the lookup from leaking key prefixes through timing
+  function authenticate(presented) {
+    if (!keys.length) return open;
+    if (!presented) return null;
+    return byHash.get(sha256Hex(presented)) || null;
+  }
+
+  /**
+   * Express middleware: 401 unknown key, 403 missing scope, 429 over the rate limit.
+   * Sets req.apiKey for the handlers (spend caps, audit).
+   */
+  function requireScope(scope) {
+    if (!IMPLIED[scope]) throw new Error(`Unknown API scope: ${scope}`);
+    return (req, res, next) => {
+      const key = authenticate(req.headers["x-api-key"]);
+      if (!key) return res.status(401).json({ ok: false, error: "Unauthorized (x-api-key)" });
+      req.apiKey = key;
+      if (!key.scopes.has(scope)) return res.status(403).json({ ok: false, error: "forbidden", scope, key: key.id });
+
+      const rl = limiter.take(key.id, key.ratePerMin ?? defaultRatePerMin);
+      if (!rl.ok) {
+        res.set("Retry-After", String(rl.retryAfterSec));
+        return res.status(429).json({ ok: false, error: "rate_limited", retryAfterSec: rl.retryAfterSec });
+      }
+      next();
+    };
+  }
+
+  // config view without secrets (health)
+  function describe() {
+    return keys.map((k) => ({ id: k.id, scopes: [...k.scopes], dailySpendUsd: k.dailySpendUsd, ratePerMin: k.ratePerMin ?? defaultRatePerMin }));
+  }
+
+  return { enabled: keys.length > 0, authenticate, requireScope, describe };
+}
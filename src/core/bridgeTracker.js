@@ -0,0 +1,122 @@
+import { httpJson } from "./http.js";
+
+// Cross-chain bridge tracking for /api/bridge/evm.
+// After the source-chain tx confirms, a status provider is polled until the destination leg
+// lands (done) or the bridge reports failure. Every poll is written to the bridge store, so a
+// restarted server picks the open rows back up (resume).
+//
+// Status provider: { id, getStatus({ txHash, bridge, fromChainId, toChainId }) ->
+//   { status: "pending" | "done" | "failed", substatus, receivingTxHash, receivedAmount, raw } }
+
+const LIFI_STATUS = "https://li.quest/v1/status";
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+/**
+ * LI.FI /v1/status -> provider status.
+ * NOT_FOUND / INVALID right after broadcast just mean "not indexed yet", so they stay pending.
+ */
+export function normalizeLifiStatus(j) {
+  const s = String(j?.status || "").toUpperCase();
+  const status = s === "DONE" ? "done" : s === "FAILED" ? "failed" : "pending";
+  return {
+    status,
+    // DONE: COMPLETED | PARTIAL (other token delivered) | REFUNDED (funds back on the source chain)
+    substatus: j?.substatus || (s === "NOT_FOUND" || s === "INVALID" ? s : null),
+    receivingTxHash: j?.receiving?.txHash || null,
+    receivedAmount: j?.receiving?.amount != null ? String(j.receiving.amount) : null,
+    raw: j || null
+  };
+}
+
+export const lifiStatusProvider = {
+  id: "lifi",
+  async getStatus({ txHash, bridge = null, fromChainId = null, toChainId = null }) {
+    const q = new URLSearchParams({ txHash });
+    if (bridge) q.set("bridge", bridge);
+    if (fromChainId) q.set("fromChain", String(fromChainId));
+    if (toChainId) q.set("toChain", String(toChainId));
+    try {
+      return normalizeLifiStatus(await httpJson(`${LIFI_STATUS}?${q}`, { method: "GET", signal: AbortSignal.timeout(10000) }));
+    } catch (e) {
+      // LI.FI answers 404 ("not found") until it has indexed the source tx
+      if (/not[ _]?found/i.test(String(e?.message || ""))) return normalizeLifiStatus({ status: "NOT_FOUND" });
+      throw e;
+    }
+  }
+};
+
+/**
+ * opts:
+ * - store: BridgeStore
+ * - statusProvider: see above (default LI.FI)
+ * - pollMs: delay between status polls (default 15s)
+ * - timeoutMs: stop polling after this long; the row stays open and resumes on restart (default 24h)
+ * - sleepFn: injectable for tests
+ */
+export function createBridgeTracker({ store, statusProvider = lifiStatusProvider, pollMs = 15000, timeoutMs = 24 * 3600_000, sleepFn = sleep }) {
+  const active = new Map();
+
+  async function run(bridgeId) {
+    const start = Date.now();
+
+    for (;;) {
+      const b = store.getBridge(bridgeId);
+      if (!b) throw new Error(`Unknown bridge ${bridgeId}`);
+      if (b.status === "done" || b.status === "failed") return b;
+      if (!b.tx_hash) throw new Error(`Bridge ${bridgeId} has no source tx to track`);
+
+      try {
+        const st = await statusProvider.getStatus({ txHash: b.tx_hash, bridge: b.tool, fromChainId: b.from_chain_id, toChainId: b.to_chain_id });
+        const next = store.upsertBridge(bridgeId, {
+          status: st.status,
+          substatus: st.substatus,
+          receiving_tx_hash: st.receivingTxHash,
+          received_amount: st.receivedAmount,
+          status_detail: st.raw,
+          last_error: null
+        });
+        if (next.status === "done" || next.status === "failed") return next;
+      } catch (e) {
+        // provider hiccups never end tracking; the next poll retries
+        store.upsertBridge(bridgeId, { last_error: `status ${statusProvider.id}: ${e?.message || e}` });
+      }
+
+      if (Date.now() - start > timeoutMs) {
+        return store.upsertBridge(bridgeId, { last_error: `tracking stopped after ${timeoutMs}ms (resumes on restart)` });
+      }
+      await sleepFn(pollMs);
+    }
+  }
+
+  /**
+   * Poll one bridge until it is done / failed. Concurrent calls share the same loop.
+   */
+  function track(bridgeId) {
+    if (active.has(bridgeId)) return active.get(bridgeId);
+    const p = run(bridgeId).finally(() => active.delete(bridgeId));
+    active.set(bridgeId, p);
+    return p;
+  }
+
+  /**
+   * Resume open bridges after a restart. Rows that never got a source tx hash cannot be
+   * tracked and are closed as failed. Returns the ids being tracked.
+   */
+  function resume() {
+    const ids = [];
+    for (const b of store.listOpenBridges()) {
+      if (!b.tx_hash) {
+        store.upsertBridge(b.bridge_id, { status: "failed", last_error: `interrupted while ${b.status} (no source tx hash)` });
+        continue;
+      }
+      track(b.bridge_id).catch(() => {});
+      ids.push(b.bridge_id);
+    }
+    return ids;
+  }
+
+  return { track, resume, isTracking: (id) => active.has(id) };
+}
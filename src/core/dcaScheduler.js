@@ -0,0 +1,150 @@
+import { randomUUID } from "crypto";
+
+import { createPoller, holdLease } from "./poller.js";
+import { fromAtomic } from "./units.js";
+
+// DCA loop over src/receipts/dcaStore.js:
+// - every tick runs at most one due slice per active schedule (slices never bunch up: the store
+//   pushes the rest one interval out after a late slice)
+// - a slice goes through executeFn = the full Scout -> Analyst -> RiskGate -> Quote -> Executor
+//   pipeline; RiskGate BLOCK, or a level above the schedule's baseline, skips the slice
+// - every outcome is final (a failed slice is not retried: the next one keeps the cadence)
+// - the claim is leased to this scheduler and renewed while the slice runs, so a second `dca run`
+//   (or a restart elsewhere) doesn't fail it as interrupted; if the lease was lost anyway, the
+//   outcome is reported as an error instead of overwriting the recovered slice
+//
+// executeFn: async (schedule, slice) -> { confirmed, swapId, ex, plan } (src/cli/pipeline.js runPipeline)
+// Risk errors carry code RISK_BLOCKED / RISK_ESCALATED and `risk`.
+
+const SKIP_CODES = new Set(["RISK_BLOCKED", "RISK_ESCALATED"]);
+
+/**
+ * Average fill vs the Dexscreener price at schedule start.
+ * - avgPrice: tokenIn paid per tokenOut over the filled slices
+ * - avgPriceUsd: the same in USD (tokenIn valued at its start price)
+ * - vsStartBps: avgPriceUsd against start_price_usd (positive = paid more than at start)
+ */
+export function dcaReport(schedule, slices) {
+  const count = (st) => slices.filter((s) => s.status === st).length;
+  const filled = slices.filter((s) => s.status === "filled" && s.received_atomic != null);
+
+  let spentAtomic = 0n;
+  let receivedAtomic = 0n;
+  for (const s of filled) {
+    spentAtomic += BigInt(s.amount_atomic);
+    receivedAtomic += BigInt(s.received_atomic);
+  }
+  const spent = Number(fromAtomic(spentAtomic.toString(), schedule.decimals_in));
+  const received = Number(fromAtomic(receivedAtomic.toString(), schedule.decimals_out));
+
+  const avgPrice = received > 0 ? spent / received : null;
+  const avgPriceUsd = avgPrice != null && schedule.start_price_in_usd > 0 ? avgPrice * schedule.start_price_in_usd : null;
+  const vsStartBps = avgPriceUsd != null && schedule.start_price_usd > 0 ? Math.round((avgPriceUsd / schedule.start_price_usd - 1) * 10_000) : null;
+
+  return {
+    slices: slices.length,
+    filled: count("filled"),
+    skipped: count("skipped"),
+    failed: count("failed"),
+    pending: count("pending") + count("running"),
+    cancelled: count("cancelled"),
+    spent: fromAtomic(spentAtomic.toString(), schedule.decimals_in),
+    received: fromAtomic(receivedAtomic.toString(), schedule.decimals_out),
+    estimatedFills: filled.filter((s) => s.received_estimated).length,
+    avgPrice,
+    avgPriceUsd,
+    startPriceUsd: schedule.start_price_usd,
+    vsStartBps
+  };
+}
+
+/**
+ * opts:
+ * - store: DcaStore
+ * - executeFn: see above
+ * - intervalMs: how often due slices are looked for (default 15000)
+ * - onEvent(type, schedule, data): progress hook (slice, filled, skipped, failed, completed, error)
+ * - owner: lease owner id of this scheduler (default: random)
+ * - leaseMs: slice claim lease, renewed every leaseMs / 3 while a slice runs
+ * - nowFn: clock (tests)
+ */
+export function createDcaScheduler({ store, executeFn, intervalMs = 15_000, onEvent = () => {}, owner = randomUUID(), leaseMs = 60_000, nowFn = Date.now }) {
+  async function runSlice(schedule, slice) {
+    onEvent("slice", schedule, { idx: slice.idx, amountAtomic: slice.amount_atomic });
+    const release = holdLease({
+      renew: () => store.renewLease(schedule.schedule_id, slice.idx, owner, { leaseMs }),
+      leaseMs,
+      onError: (e) => onEvent("error", schedule, { idx: slice.idx, error: `lease: ${e?.message || e}` })
+    });
+    let outcome;
+    try {
+      const res = await executeFn(schedule, slice);
+      const risk = res.plan?.risk || null;
+      if (res.confirmed) {
+        // the exact amount comes from the tx; the quote is the fallback when it could not be read
+        const exact = res.ex?.received ?? null;
+        outcome = {
+          status: "filled",
+          receivedAtomic: exact ?? res.ex?.quote?.outAmount ?? null,
+          receivedEstimated: exact == null,
+          swapId: res.swapId || null,
+          txid: res.ex?.txid || null,
+          riskLevel: risk?.level || null,
+          riskScore: risk?.score ?? null,
+          result: res.summary || null
+        };
+      } else {
+        outcome = {
+          status: "failed",
+          swapId: res.swapId || null,
+          txid: res.ex?.txid || null,
+          riskLevel: risk?.level || null,
+          riskScore: risk?.score ?? null,
+          reason: res.ex?.error || `swap ${res.ex?.status || "not confirmed"}`
+        };
+      }
+    } catch (e) {
+      outcome = {
+        status: SKIP_CODES.has(e?.code) ? "skipped" : "failed",
+        swapId: e?.historyId || null,
+        riskLevel: e?.risk?.level || null,
+        riskScore: e?.risk?.score ?? null,
+        reason: e?.message || String(e)
+      };
+    } finally {
+      release();
+    }
+
+    let done;
+    try {
+      done = store.finishSlice(schedule.schedule_id, slice.idx, outcome, nowFn(), { owner });
+    } catch (e) {
+      if (e?.code !== "LEASE_LOST") throw e;
+      onEvent("error", schedule, { idx: slice.idx, error: e.message, outcome });
+      return store.listSlices(schedule.schedule_id).find((x) => x.idx === slice.idx);
+    }
+    onEvent(outcome.status, done.schedule, { idx: slice.idx, reason: outcome.reason || null, txid: outcome.txid || null });
+    if (done.schedule.status === "completed") onEvent("completed", done.schedule, { report: dcaReport(done.schedule, store.listSlices(schedule.schedule_id)) });
+    return done.slice;
+  }
+
+  async function runTick() {
+    const ran = [];
+    for (const s of store.listSchedules({ status: "active", limit: 1000 })) {
+      const due = store.nextDueSlice(s.schedule_id, nowFn());
+      if (!due) continue;
+      const claimed = store.claimSlice(s.schedule_id, due.idx, { owner, leaseMs });
+      if (claimed) ran.push(await runSlice(s, claimed));
+    }
+    return { ran };
+  }
+
+  // tick(): runs every slice that is due now (one per schedule) -> { ran: [slice] }
+  // start(): fails slices interrupted by a restart (returns them), then looks for due slices every intervalMs
+  return createPoller({
+    runTick,
+    recover: () => store.recoverInterrupted(),
+    intervalMs,
+    onError: (e) => onEvent("error", null, { error: e?.message || String(e) })
+  });
+}
@@ -6,11 +6,13 @@ const DEX_BASE = "https://api.dexscreener.com/latest/dex/tokens";
  * Dexscreener chains that are commonly used in pair objects:
  * - Solana: "solana"
  * - Base: "base"
+ * - Ethereum: "ethereum" (server.js chains; BSC is already "bsc")
  */
 export function toDexChain(chain) {
   const c = (chain || "").toLowerCase();
   if (c === "sol") return "solana";
   if (c === "base") return "base";
+  if (c === "eth") return "ethereum";
   return c;
 }
 
@@ -18,10 +20,10 @@ export function toDexChain(chain) {
  * Fetch all pairs for a token address (CA / mint / 0x address).
  * Returns array of pair objects (can be empty).
  */
-export async function fetchDexTokenPairs(tokenAddress) {
+export async function fetchDexTokenPairs(tokenAddress, { timeoutMs = null } = {}) {
   if (!tokenAddress) throw new Error("Dexscreener: token address missing");
   const url = `${DEX_BASE}/${encodeURIComponent(tokenAddress.trim())}`;
-  const data = await httpJson(url, { method: "GET" });
+  const data = await httpJson(url, { method: "GET", ...(timeoutMs ? { signal: AbortSignal.timeout(timeoutMs) } : {}) });
   return Array.isArray(data?.pairs) ? data.pairs : [];
 }
 
@@ -72,6 +74,8 @@ export function normalizePair(pair) {
     },
 
     priceUsd: pair.priceUsd ? Number(pair.priceUsd) : null,
+    // price in quote token units (priceUsd / priceNative = quote token USD price)
+    priceNative: pair.priceNative ? Number(pair.priceNative) : null,
     liquidityUsd: pair.liquidity?.usd ? Number(pair.liquidity.usd) : 0,
     fdvUsd: pair.fdv ? Number(pair.fdv) : null,
 
@@ -0,0 +1,5 @@
+// Errors carry a machine-readable `code` (plus fields such as `risk` or `candidates`) so callers
+// branch on err.code, never on the message.
+export function codedError(code, message, fields = {}) {
+  return Object.assign(new Error(message), fields, { code });
+}
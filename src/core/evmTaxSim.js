@@ -0,0 +1,148 @@
+import { ethers } from "ethers";
+import dotenv from "dotenv";
+
+import { KNOWN_TOKENS } from "./tokens.js";
+import { fetchZeroxQuoteTx } from "./quotes.js";
+import { decodeRevertReason } from "./txTracker.js";
+
+dotenv.config();
+
+// Honeypot / tax simulation for Base tokens.
+// A throwaway taker (ETH balance via state override) buys a small probe of the token
+// through the 0x route, approves and sells it back to WETH, all inside eth_simulateV1:
+// - buy tax  = 1 - tokens received / 0x buyAmount
+// - sell tax = 1 - WETH received / 0x buyAmount of the sell quote
+// - a reverting buy, approve or sell marks the token unbuyable / unsellable
+// RPCs without eth_simulateV1 fall back to a single eth_call of the buy (sell unknown).
+
+const ETH = KNOWN_TOKENS.base.ETH.address;
+const WETH = KNOWN_TOKENS.base.WETH.address;
+
+const ERC20 = new ethers.Interface([
+  "function balanceOf(address owner) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)"
+]);
+
+const TAKER_BALANCE = ethers.parseEther("1000");
+
+export function probeAmountFromEnv() {
+  return ethers.parseEther(String(process.env.EVM_SIM_PROBE_ETH || "0.01")).toString();
+}
+
+function callFromQuote(q, from) {
+  return { from, to: q.to, data: q.data, value: ethers.toQuantity(BigInt(q.value || 0)) };
+}
+
+function balanceCall(token, owner) {
+  return { from: owner, to: token, data: ERC20.encodeFunctionData("balanceOf", [owner]) };
+}
+
+function callFailed(r) {
+  return !r || r.status === "0x0" || r.status === 0 || !!r.error;
+}
+
+function callError(r) {
+  return decodeRevertReason(r?.error?.data) || r?.error?.message || decodeRevertReason(r?.returnData) || "reverted";
+}
+
+function decodeUint(returnData) {
+  return BigInt(ethers.AbiCoder.defaultAbiCoder().decode(["uint256"], returnData)[0]);
+}
+
+// tax in percent, 2 decimals; never negative (positive slippage is not a tax)
+function taxPct(got, expected) {
+  const exp = BigInt(expected);
+  if (exp === 0n) return null;
+  const g = BigInt(got);
+  if (g >= exp) return 0;
+  return Number(((exp - g) * 10000n) / exp) / 100;
+}
+
+function isUnsupported(e) {
+  const code = e?.error?.code ?? e?.info?.error?.code ?? e?.code;
+  return code === -32601 || /method not found|not supported|does not exist|not available/i.test(String(e?.message || ""));
+}
+
+/**
+ * Run calls in one simulated block; returns the per-call results.
+ */
+async function simulateCalls(provider, taker, calls) {
+  const res = await provider.send("eth_simulateV1", [
+    {
+      blockStateCalls: [{ stateOverrides: { [taker]: { balance: ethers.toQuantity(TAKER_BALANCE) } }, calls }],
+      validation: false
+    },
+    "latest"
+  ]);
+  return res?.[0]?.calls || [];
+}
+
+async function buyOnlyFallback(provider, taker, buyQ, out) {
+  try {
+    await provider.send("eth_call", [callFromQuote(buyQ, taker), "latest", { [taker]: { balance: ethers.toQuantity(TAKER_BALANCE) } }]);
+    return { ...out, status: "partial", error: "RPC has no eth_simulateV1: only the buy was simulated" };
+  } catch (e) {
+    return { ...out, status: "unbuyable", buyReverted: true, revertReason: e?.shortMessage || e?.message || String(e) };
+  }
+}
+
+/**
+ * Simulate buy + sell of `token` on Base.
+ *
+ * opts:
+ * - provider: ethers JsonRpcProvider (EVM_RPC)
+ * - probeWei: ETH spent on the simulated buy (default EVM_SIM_PROBE_ETH, 0.01)
+ * - quoteFn: 0x quote fetcher (tests inject a fake)
+ *
+ * Returns { status: "ok" | "unbuyable" | "unsellable" | "partial", buyTaxPct, sellTaxPct, ... }.
+ * Throws when quotes cannot be fetched (caller treats that as "unchecked").
+ */
+export async function simulateEvmTokenTax({ provider, token, probeWei = probeAmountFromEnv(), slippageBps = 100, quoteFn = fetchZeroxQuoteTx }) {
+  const taker = ethers.Wallet.createRandom().address;
+
+  const out = {
+    token,
+    probeWei: String(probeWei),
+    status: "ok",
+    buyTaxPct: null,
+    sellTaxPct: null,
+    buyReverted: false,
+    sellReverted: false,
+    revertReason: null,
+    error: null
+  };
+
+  const buyQ = await quoteFn({ sellToken: ETH, buyToken: token, sellAmount: String(probeWei), slippageBps, takerAddress: taker });
+  const buy = callFromQuote(buyQ, taker);
+
+  // 1) buy + balanceOf -> tokens actually received
+  let first;
+  try {
+    first = await simulateCalls(provider, taker, [buy, balanceCall(token, taker)]);
+  } catch (e) {
+    if (isUnsupported(e)) return await buyOnlyFallback(provider, taker, buyQ, out);
+    throw e;
+  }
+
+  if (callFailed(first[0])) return { ...out, status: "unbuyable", buyReverted: true, revertReason: callError(first[0]) };
+
+  const received = decodeUint(first[1].returnData);
+  out.buyTaxPct = taxPct(received, buyQ.buyAmount);
+  if (received === 0n) return { ...out, status: "unsellable", sellReverted: true, revertReason: "buy delivered 0 tokens" };
+
+  // 2) same buy, then approve + sell everything we got back to WETH
+  const sellQ = await quoteFn({ sellToken: token, buyToken: WETH, sellAmount: received.toString(), slippageBps, takerAddress: taker });
+  const approve = { from: taker, to: token, data: ERC20.encodeFunctionData("approve", [sellQ.allowanceTarget || sellQ.to, received]) };
+
+  const second = await simulateCalls(provider, taker, [buy, approve, callFromQuote(sellQ, taker), balanceCall(WETH, taker)]);
+
+  for (const r of [second[1], second[2]]) {
+    if (callFailed(r)) return { ...out, status: "unsellable", sellReverted: true, revertReason: callError(r) };
+  }
+
+  const wethOut = decodeUint(second[3].returnData);
+  out.sellTaxPct = taxPct(wethOut, sellQ.buyAmount);
+  if (wethOut === 0n) return { ...out, status: "unsellable", sellReverted: true, revertReason: "sell returned 0 WETH" };
+
+  return out;
+}
@@ -1,33 +1,116 @@
 import { request } from "undici";
 import dotenv from "dotenv";
+import { validateSchema } from "./jsonSchema.js";
 
 dotenv.config();
 
-export async function groqParse(prompt) {
+// Groq chat completions with structured output:
+// - response_format json_schema (models without it answer 400 -> json_object + schema in the prompt)
+// - every answer is validated locally against the schema (plus an optional semantic check);
+//   a bad answer is sent back with the errors for another attempt
+// - 429 / 5xx / network errors are retried with backoff
+// Returns null without GROQ_API_KEY or when every attempt failed: callers keep a regex fallback.
+
+const GROQ_URL = "https://api.groq.com/openai/v1/chat/completions";
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+function unsupportedFormat(status, text) {
+  return status === 400 && /response_format|json_schema/i.test(text);
+}
+
+/**
+ * opts:
+ * - system, prompt: messages
+ * - schema: JSON schema of the answer; name: its name for the provider
+ * - validate(value) -> [error]: checks the schema cannot express
+ * - retries: extra attempts (default GROQ_RETRIES or 2)
+ * - requestFn / sleepFn: injectable for tests
+ */
+export async function groqStructured({ system, prompt, schema, name = "result", validate = null, retries = Number(process.env.GROQ_RETRIES ?? 2), requestFn = request, sleepFn = sleep }) {
   if (!process.env.GROQ_API_KEY) return null;
 
-  try {
-    const res = await request("https://api.groq.com/openai/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${process.env.GROQ_API_KEY}`,
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify({
-        model: process.env.GROQ_MODEL,
-        messages: [
-          {
-            role: "system",
-            content: "Return ONLY JSON swap params"
-          },
-          { role: "user", content: prompt }
-        ]
-      })
-    });
-
-    const data = await res.body.json();
-    return JSON.parse(data.choices[0].message.content);
-  } catch {
-    return null;
+  const messages = [
+    { role: "system", content: system },
+    { role: "user", content: prompt }
+  ];
+  let format = "json_schema";
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt > 0) await sleepFn(Math.min(500 * 2 ** (attempt - 1), 4000));
+
+    const response_format =
+      format === "json_schema" ? { type: "json_schema", json_schema: { name, schema, strict: true } } : { type: "json_object" };
+    const sent =
+      format === "json_schema" ? messages : [{ role: "system", content: `${system}\nAnswer with JSON matching this schema:\n${JSON.stringify(schema)}` }, ...messages.slice(1)];
+
+    let content;
+    try {
+      const res = await requestFn(GROQ_URL, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${process.env.GROQ_API_KEY}`,
+          "Content-Type": "application/json"
+        },
+        body: JSON.stringify({
+          model: process.env.GROQ_MODEL || "llama-3.3-70b-versatile",
+          temperature: 0,
+          messages: sent,
+          response_format
+        })
+      });
+      const text = await res.body.text();
+      if (unsupportedFormat(res.statusCode, text) && format === "json_schema") {
+        format = "json_object";
+        continue;
+      }
+      if (res.statusCode >= 400) continue;
+      content = JSON.parse(text)?.choices?.[0]?.message?.content;
+    } catch {
+      continue;
+    }
+
+    let value;
+    try {
+      value = JSON.parse(content);
+    } catch {
+      messages.push({ role: "assistant", content: String(content ?? "") }, { role: "user", content: "That was not valid JSON. Answer again with JSON only." });
+      continue;
+    }
+
+    const errors = validateSchema(schema, value);
+    if (!errors.length && validate) errors.push(...validate(value));
+    if (!errors.length) return value;
+
+    messages.push({ role: "assistant", content }, { role: "user", content: `The JSON is invalid:\n- ${errors.slice(0, 10).join("\n- ")}\nAnswer again with corrected JSON only.` });
   }
+
+  return null;
+}
+
+// one swap, fields the prompt does not mention are null
+const INTENT_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["chain", "tokenIn", "tokenOut", "amount", "slippageBps"],
+  properties: {
+    chain: { type: ["string", "null"], enum: ["sol", "base", null] },
+    tokenIn: { type: ["string", "null"] },
+    tokenOut: { type: ["string", "null"] },
+    amount: { type: ["string", "null"], pattern: "^[0-9]+(\\.[0-9]+)?$" },
+    slippageBps: { type: ["integer", "null"], minimum: 1, maximum: 500 }
+  }
+};
+
+export async function groqParse(prompt) {
+  return groqStructured({
+    system:
+      "Extract the swap parameters from the user's message. tokenIn/tokenOut: symbol (uppercase) or the exact address given. " +
+      "amount: human amount of tokenIn as a decimal string. Use null for anything the message does not say.",
+    prompt,
+    schema: INTENT_SCHEMA,
+    name: "swap_intent"
+  });
 }
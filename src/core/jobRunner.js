@@ -0,0 +1,140 @@
+import { EventEmitter } from "events";
+import { codedError } from "./errors.js";
+
+// In-process worker for the server job queue (src/receipts/jobStore.js).
+// - jobs run one at a time by default (one wallet nonce / blockhash stream)
+// - executors get hooks: stage(name, data) records progress and is where a pending cancel
+//   takes effect; beforeBroadcast() is the point of no return
+// - every transition is persisted as a job event and pushed to subscribers (SSE)
+// - a job's spend reservation (spendId) is refunded by the store when the job ends without
+//   broadcasting, as part of that persisted transition (so also after a restart)
+//
+// Executor: async (request, { stage, beforeBroadcast }) -> result body.
+// Errors may carry `body` (the HTTP error body) which is kept as the job result.
+
+function cancelledError() {
+  return codedError("CANCELLED", "Job cancelled");
+}
+
+/**
+ * opts:
+ * - store: JobStore
+ * - executors: { [kind]: executor }
+ * - concurrency: parallel jobs (default 1)
+ */
+export function createJobRunner({ store, executors, concurrency = 1 }) {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+  let running = 0;
+  let started = false;
+
+  function transition(jobId, patch, { stage = null, data = null } = {}) {
+    const job = store.updateJob(jobId, patch);
+    const event = store.addEvent(jobId, { status: job.status, stage: stage ?? job.stage, data });
+    emitter.emit(jobId, event, job);
+    return job;
+  }
+
+  function hooksFor(jobId) {
+    return {
+      stage(name, data = null) {
+        const job = store.getJob(jobId);
+        if (job.cancel_requested && !job.broadcast) throw cancelledError();
+        transition(jobId, { stage: name }, { stage: name, data });
+      },
+      beforeBroadcast() {
+        const job = store.getJob(jobId);
+        if (job.broadcast) return;
+        if (!store.markBroadcast(jobId)) throw cancelledError();
+        transition(jobId, { stage: "broadcasting" }, { stage: "broadcasting" });
+      }
+    };
+  }
+
+  async function runJob(job) {
+    const exec = executors[job.kind];
+    emitter.emit(job.job_id, store.addEvent(job.job_id, { status: "running" }), job);
+
+    try {
+      if (!exec) throw new Error(`Unknown job kind: ${job.kind}`);
+      const result = await exec(job.request || {}, hooksFor(job.job_id));
+      // cancel landed after the last stage but nothing was sent: honour it
+      const after = store.getJob(job.job_id);
+      if (after.cancel_requested && !after.broadcast) throw cancelledError();
+      transition(job.job_id, { status: "succeeded", stage: "done", result, last_error: null });
+    } catch (e) {
+      if (e?.code === "CANCELLED") {
+        transition(job.job_id, { status: "cancelled", last_error: "cancelled" });
+      } else {
+        transition(job.job_id, { status: "failed", result: e?.body ?? null, last_error: e?.message || String(e) }, { data: { error: e?.message || String(e) } });
+      }
+    }
+  }
+
+  function kick() {
+    if (!started) return;
+    while (running < concurrency) {
+      const job = store.claimNextJob();
+      if (!job) return;
+      running += 1;
+      runJob(job).finally(() => {
+        running -= 1;
+        kick();
+        if (running === 0) emitter.emit("idle");
+      });
+    }
+  }
+
+  /**
+   * Queue a job (or return the one `owner` already stored under this Idempotency-Key).
+   * spendId: spend reservation the new job owns (see JobStore.reserveSpend).
+   * Returns { job, created }.
+   */
+  function submit({ owner = "", idempotencyKey, kind, request, spendId = null }) {
+    if (!executors[kind]) throw new Error(`Unknown job kind: ${kind} (use ${Object.keys(executors).join(", ")})`);
+    const out = store.createJob({ owner, idempotencyKey, kind, request, spendId });
+    if (out.created) kick();
+    return out;
+  }
+
+  /**
+   * Cancel a job that has not broadcast yet. Queued jobs stop at once; running ones stop at
+   * their next stage. Throws code CANNOT_CANCEL once something was sent on-chain.
+   */
+  function cancel(jobId) {
+    const job = store.getJob(jobId);
+    if (!job) return null;
+    if (["succeeded", "failed", "cancelled"].includes(job.status)) return job;
+    if (job.broadcast) {
+      throw codedError("CANNOT_CANCEL", "Job already broadcast a transaction; it can no longer be cancelled");
+    }
+    if (job.status === "queued") return transition(jobId, { status: "cancelled", cancel_requested: true, last_error: "cancelled" });
+    return transition(jobId, { cancel_requested: true }, { data: { cancelRequested: true } });
+  }
+
+  /**
+   * Push every new event of `jobId` to fn(event, job). Returns an unsubscribe function.
+   */
+  function subscribe(jobId, fn) {
+    emitter.on(jobId, fn);
+    return () => emitter.off(jobId, fn);
+  }
+
+  /**
+   * Recover jobs interrupted by a restart, then start draining the queue.
+   */
+  function start() {
+    const recovered = store.recoverInterrupted();
+    started = true;
+    kick();
+    return recovered;
+  }
+
+  // resolves when nothing is running (tests)
+  function idle() {
+    if (running === 0) return Promise.resolve();
+    return new Promise((resolve) => emitter.once("idle", resolve));
+  }
+
+  return { submit, cancel, subscribe, start, idle };
+}
@@ -0,0 +1,66 @@
+// Minimal JSON Schema validator for the schemas this repo hands to LLMs (structured output).
+// Supported keywords: type (string or list), enum, required, properties, additionalProperties,
+// items, minItems, maxItems, minLength, maxLength, pattern, minimum, maximum.
+// Anything else is ignored, so schemas stay valid for the provider as well.
+
+function typeOf(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (typeof v === "number") return Number.isInteger(v) ? "integer" : "number";
+  return typeof v;
+}
+
+function typeMatches(expected, actual) {
+  return expected === actual || (expected === "number" && actual === "integer");
+}
+
+/**
+ * Validate `value` against `schema`. Returns a list of "<path>: <problem>" strings (empty = valid).
+ */
+export function validateSchema(schema, value, path = "$") {
+  const errors = [];
+  if (!schema || typeof schema !== "object") return errors;
+
+  const actual = typeOf(value);
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => typeMatches(t, actual))) {
+      errors.push(`${path}: expected ${types.join(" or ")}, got ${actual}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some((x) => x === value)) {
+    errors.push(`${path}: must be one of ${schema.enum.map((x) => JSON.stringify(x)).join(", ")}`);
+  }
+
+  if (actual === "string") {
+    if (schema.minLength != null && value.length < schema.minLength) errors.push(`${path}: shorter than ${schema.minLength}`);
+    if (schema.maxLength != null && value.length > schema.maxLength) errors.push(`${path}: longer than ${schema.maxLength}`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${path}: does not match ${schema.pattern}`);
+  }
+
+  if (actual === "number" || actual === "integer") {
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${path}: below ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${path}: above ${schema.maximum}`);
+  }
+
+  if (actual === "array") {
+    if (schema.minItems != null && value.length < schema.minItems) errors.push(`${path}: fewer than ${schema.minItems} items`);
+    if (schema.maxItems != null && value.length > schema.maxItems) errors.push(`${path}: more than ${schema.maxItems} items`);
+    if (schema.items) value.forEach((x, i) => errors.push(...validateSchema(schema.items, x, `${path}[${i}]`)));
+  }
+
+  if (actual === "object") {
+    const props = schema.properties || {};
+    for (const k of schema.required || []) {
+      if (!(k in value)) errors.push(`${path}.${k}: required`);
+    }
+    for (const [k, v] of Object.entries(value)) {
+      if (props[k]) errors.push(...validateSchema(props[k], v, `${path}.${k}`));
+      else if (schema.additionalProperties === false) errors.push(`${path}.${k}: unexpected property`);
+    }
+  }
+
+  return errors;
+}
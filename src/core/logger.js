@@ -1,8 +1,28 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+// Agent logs go to stdout by default; machine-readable modes (--json)
+// move them to stderr so stdout carries only the result.
+let out = (msg) => console.log(msg);
+
+// set inside quietly(): server-side pipeline runs would otherwise log every request
+const quiet = new AsyncLocalStorage();
+
+export function logToStderr() {
+  out = (msg) => console.error(msg);
+}
+
+// Runs fn with step/info muted for everything it awaits (other concurrent calls still log).
+export function quietly(fn) {
+  return quiet.run(true, fn);
+}
+
 export function step(msg) {
-  console.log(`\n=== ${msg} ===`);
+  if (quiet.getStore()) return;
+  out(`\n=== ${msg} ===`);
 }
 export function info(msg) {
-  console.log(msg);
+  if (quiet.getStore()) return;
+  out(msg);
 }
 export function error(msg) {
   console.error("❌", msg);
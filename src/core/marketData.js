@@ -0,0 +1,119 @@
+import { evaluateConsensus } from "../price/consensus.js";
+import { marketProvidersFromEnv } from "./marketProviders.js";
+
+// Multi-source market snapshot for the Analyst:
+// - every provider runs with its own timeout; failures fall through to the next source
+// - the first source with data (priority order) is the primary snapshot, gaps are filled from the others
+// - price / liquidity are cross-checked across sources (median + deviation, like src/price/consensus.js)
+// - results are cached per chain:token for MARKET_CACHE_TTL_MS
+
+const cache = new Map();
+
+const SNAPSHOT_FIELDS = ["priceUsd", "liquidityUsd", "fdvUsd", "volume24hUsd", "buys24h", "sells24h", "priceChange24hPct", "createdAt", "ageMs", "dex", "pairAddress"];
+
+function envNum(name, def) {
+  const n = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== "" && Number.isFinite(n) ? n : def;
+}
+
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((_resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label}: timeout after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function runProvider(p, chain, tokenAddress, { timeoutMs, hint }) {
+  const t0 = Date.now();
+  try {
+    const snap = await withTimeout(p.fetchSnapshot(chain, tokenAddress, { timeoutMs, hint }), timeoutMs, p.id);
+    return { id: p.id, ok: !!snap, snap: snap || null, error: snap ? null : "no data", ms: Date.now() - t0 };
+  } catch (e) {
+    return { id: p.id, ok: false, snap: null, error: e?.message || String(e), ms: Date.now() - t0 };
+  }
+}
+
+function mergeSnapshots(results) {
+  const ok = results.filter((r) => r.ok);
+  if (!ok.length) return null;
+
+  const merged = { ...ok[0].snap };
+  for (const r of ok.slice(1)) {
+    for (const f of SNAPSHOT_FIELDS) {
+      if (merged[f] == null && r.snap[f] != null) merged[f] = r.snap[f];
+    }
+  }
+  return merged;
+}
+
+function consensusFor(results, field, maxDeviationBps) {
+  const points = results.filter((r) => r.ok && r.snap[field] > 0).map((r) => ({ id: r.id, price: r.snap[field] }));
+  if (points.length < 2) return { checked: false, sources: points.map((p) => p.id) };
+
+  const c = evaluateConsensus({ points, maxDeviationBps, minAgree: 2 });
+  return {
+    checked: true,
+    ok: c.ok && c.outliers.length === 0,
+    median: c.median,
+    agreeing: c.agreeing.map((p) => p.id),
+    outliers: c.outliers.map((p) => ({ id: p.id, deviationBps: Math.round(p.deviation_bps) })),
+    spreadBps: c.spread_bps != null ? Math.round(c.spread_bps) : null,
+    error: c.error
+  };
+}
+
+/**
+ * Aggregated market snapshot for a token.
+ *
+ * opts:
+ * - providers: provider list (default MARKET_PROVIDERS env)
+ * - timeoutMs: per provider (MARKET_TIMEOUT_MS, default 4000)
+ * - cacheTtlMs: MARKET_CACHE_TTL_MS (default 30000, 0 = off)
+ * - maxPriceDeviationBps / maxLiquidityDeviationBps: agreement bands around the median
+ *
+ * Returns { source, tokenAddress, bestPair, sources, consensus } (bestPair null when every source failed).
+ */
+export async function fetchMarketSnapshot({ chain, tokenAddress, providers = null, timeoutMs = null, cacheTtlMs = null, maxPriceDeviationBps = null, maxLiquidityDeviationBps = null }) {
+  const ttl = cacheTtlMs ?? envNum("MARKET_CACHE_TTL_MS", 30_000);
+  const key = `${chain}:${String(tokenAddress).toLowerCase()}`;
+  const hit = cache.get(key);
+  if (ttl > 0 && hit && Date.now() - hit.at < ttl) return { ...hit.value, cached: true };
+
+  const list = (providers || marketProvidersFromEnv()).filter((p) => p.chains.has(chain));
+  const ms = timeoutMs ?? envNum("MARKET_TIMEOUT_MS", 4000);
+
+  // independent sources in parallel, then the ones that read the pool another source found
+  const primary = await Promise.all(list.filter((p) => !p.needsHint).map((p) => runProvider(p, chain, tokenAddress, { timeoutMs: ms })));
+  const hint = primary.find((r) => r.ok && r.snap.pairAddress)?.snap || null;
+  const hinted = await Promise.all(list.filter((p) => p.needsHint).map((p) => runProvider(p, chain, tokenAddress, { timeoutMs: ms, hint })));
+
+  // keep the configured priority order
+  const results = list.map((p) => [...primary, ...hinted].find((r) => r.id === p.id));
+
+  const value = {
+    source: results.find((r) => r.ok)?.id || null,
+    tokenAddress,
+    bestPair: mergeSnapshots(results),
+    sources: results.map((r) => ({
+      id: r.id,
+      ok: r.ok,
+      error: r.error,
+      ms: r.ms,
+      priceUsd: r.snap?.priceUsd ?? null,
+      liquidityUsd: r.snap?.liquidityUsd ?? null
+    })),
+    consensus: {
+      sourcesOk: results.filter((r) => r.ok).length,
+      price: consensusFor(results, "priceUsd", maxPriceDeviationBps ?? envNum("MARKET_MAX_PRICE_DEVIATION_BPS", 300)),
+      liquidity: consensusFor(results, "liquidityUsd", maxLiquidityDeviationBps ?? envNum("MARKET_MAX_LIQ_DEVIATION_BPS", 5000))
+    }
+  };
+
+  if (ttl > 0 && value.bestPair) cache.set(key, { at: Date.now(), value });
+  return value;
+}
+
+export function clearMarketCache() {
+  cache.clear();
+}
@@ -0,0 +1,273 @@
+import { ethers } from "ethers";
+import dotenv from "dotenv";
+
+import { httpJson } from "./http.js";
+import { fetchDexTokenPairs, pickBestPair, normalizePair, toDexChain } from "./dexscreener.js";
+
+dotenv.config();
+
+// Market-data providers for the Analyst.
+// Provider: { id, chains: Set, needsHint?, fetchSnapshot(chain, tokenAddress, { timeoutMs, hint }) -> snapshot | null }
+// Snapshots use the Dexscreener shape (normalizePair); unknown fields are null.
+
+const USD_QUOTES = new Set(["USDC", "USDT", "USDBC", "DAI"]);
+
+function num(v) {
+  if (v === undefined || v === null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function emptySnapshot(chain) {
+  return {
+    dex: null,
+    chainId: toDexChain(chain),
+    pairAddress: null,
+    base: { symbol: null, name: null, address: null },
+    quote: { symbol: null, name: null, address: null },
+    priceUsd: null,
+    priceNative: null,
+    liquidityUsd: null,
+    fdvUsd: null,
+    volume24hUsd: null,
+    buys24h: null,
+    sells24h: null,
+    priceChange24hPct: null,
+    createdAt: null,
+    ageMs: null
+  };
+}
+
+function timeoutSignal(timeoutMs) {
+  return AbortSignal.timeout(Math.max(1, Math.trunc(timeoutMs || 4000)));
+}
+
+// ================= DEXSCREENER =================
+
+// Dexscreener prices the pair's base token: use pairs where the token is the base side, and
+// only fall back to quote-side pairs (stables, WETH) with the price inverted.
+export function dexSnapshotForToken(pairs, { chain, tokenAddress }) {
+  const key = String(tokenAddress).toLowerCase();
+  const own = pickBestPair(pairs.filter((p) => String(p.baseToken?.address || "").toLowerCase() === key), { chain });
+  if (own) return normalizePair(own);
+
+  const snap = normalizePair(pickBestPair(pairs, { chain }));
+  if (!snap) return null;
+  return {
+    ...snap,
+    priceUsd: snap.priceUsd && snap.priceNative ? snap.priceUsd / snap.priceNative : null,
+    priceNative: null,
+    priceChange24hPct: null
+  };
+}
+
+export const dexscreenerProvider = {
+  id: "dexscreener",
+  // eth / bsc: server.js portfolio valuation (the Analyst only runs on sol / base)
+  chains: new Set(["sol", "base", "eth", "bsc"]),
+  async fetchSnapshot(chain, tokenAddress, { timeoutMs } = {}) {
+    const pairs = await fetchDexTokenPairs(tokenAddress, { timeoutMs });
+    return dexSnapshotForToken(pairs, { chain, tokenAddress });
+  }
+};
+
+// ================= GECKOTERMINAL =================
+
+const GECKO_BASE = "https://api.geckoterminal.com/api/v2/networks";
+
+export function normalizeGeckoPool(pool, { chain, tokenAddress }) {
+  const a = pool?.attributes;
+  if (!a) return null;
+
+  const baseId = String(pool.relationships?.base_token?.data?.id || "");
+  const isBase = baseId.toLowerCase().endsWith(String(tokenAddress).toLowerCase());
+  const createdAt = a.pool_created_at ? Date.parse(a.pool_created_at) : null;
+
+  return {
+    ...emptySnapshot(chain),
+    dex: pool.relationships?.dex?.data?.id || null,
+    pairAddress: a.address || null,
+    priceUsd: num(isBase ? a.base_token_price_usd : a.quote_token_price_usd),
+    liquidityUsd: num(a.reserve_in_usd),
+    fdvUsd: num(a.fdv_usd),
+    volume24hUsd: num(a.volume_usd?.h24),
+    buys24h: num(a.transactions?.h24?.buys),
+    sells24h: num(a.transactions?.h24?.sells),
+    priceChange24hPct: isBase ? num(a.price_change_percentage?.h24) : null,
+    createdAt: Number.isFinite(createdAt) ? createdAt : null,
+    ageMs: Number.isFinite(createdAt) ? Date.now() - createdAt : null
+  };
+}
+
+export const geckoTerminalProvider = {
+  id: "geckoterminal",
+  chains: new Set(["sol", "base"]),
+  async fetchSnapshot(chain, tokenAddress, { timeoutMs } = {}) {
+    const url = `${GECKO_BASE}/${toDexChain(chain)}/tokens/${encodeURIComponent(tokenAddress)}/pools?page=1`;
+    const j = await httpJson(url, { method: "GET", headers: { accept: "application/json" }, signal: timeoutSignal(timeoutMs) });
+    const pools = Array.isArray(j?.data) ? j.data : [];
+    const best = pools.sort((x, y) => (num(y.attributes?.reserve_in_usd) || 0) - (num(x.attributes?.reserve_in_usd) || 0))[0];
+    return best ? normalizeGeckoPool(best, { chain, tokenAddress }) : null;
+  }
+};
+
+// ================= BIRDEYE =================
+
+const BIRDEYE_OVERVIEW = "https://public-api.birdeye.so/defi/token_overview";
+
+export function normalizeBirdeyeOverview(d, { chain }) {
+  if (!d) return null;
+  return {
+    ...emptySnapshot(chain),
+    dex: "birdeye",
+    priceUsd: num(d.price),
+    liquidityUsd: num(d.liquidity),
+    fdvUsd: num(d.fdv ?? d.mc),
+    volume24hUsd: num(d.v24hUSD),
+    buys24h: num(d.buy24h),
+    sells24h: num(d.sell24h),
+    priceChange24hPct: num(d.priceChange24hPercent)
+  };
+}
+
+export const birdeyeProvider = {
+  id: "birdeye",
+  chains: new Set(["sol", "base"]),
+  async fetchSnapshot(chain, tokenAddress, { timeoutMs } = {}) {
+    if (!process.env.BIRDEYE_API_KEY) return null;
+    const j = await httpJson(`${BIRDEYE_OVERVIEW}?address=${encodeURIComponent(tokenAddress)}`, {
+      method: "GET",
+      headers: { "X-API-KEY": process.env.BIRDEYE_API_KEY, "x-chain": toDexChain(chain), accept: "application/json" },
+      signal: timeoutSignal(timeoutMs)
+    });
+    if (j?.success === false) throw new Error(j?.message || "birdeye error");
+    return normalizeBirdeyeOverview(j?.data, { chain });
+  }
+};
+
+// ================= ON-CHAIN POOL (Base) =================
+
+// Reads the pool another source found (hint.pairAddress):
+// - Uniswap v3 / Slipstream: slot0().sqrtPriceX96
+// - Uniswap v2 / Aerodrome: getReserves()
+// USD via the quote token: stables = $1, otherwise hint.priceUsd / hint.priceNative.
+
+const SEL = {
+  slot0: "0x3850c7bd",
+  getReserves: "0x0902f1ac",
+  token0: "0x0dfe1681",
+  token1: "0xd21220a7"
+};
+
+const ERC20 = new ethers.Interface([
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address owner) view returns (uint256)"
+]);
+
+function word(data, i) {
+  return BigInt(ethers.dataSlice(data, i * 32, (i + 1) * 32));
+}
+
+async function tryCall(provider, to, data) {
+  try {
+    const res = await provider.call({ to, data });
+    return res && res !== "0x" ? res : null;
+  } catch {
+    return null;
+  }
+}
+
+function quoteUsd(hint) {
+  if (USD_QUOTES.has(String(hint?.quote?.symbol || "").toUpperCase())) return 1;
+  if (hint?.priceUsd && hint?.priceNative) return hint.priceUsd / hint.priceNative;
+  return null;
+}
+
+/**
+ * Price of `tokenAddress` in the other pool token + quote-side balance, from raw pool reads.
+ */
+export async function readPoolPrice(provider, pool, tokenAddress) {
+  const t0 = await tryCall(provider, pool, SEL.token0);
+  const t1 = await tryCall(provider, pool, SEL.token1);
+  if (!t0 || !t1) throw new Error(`Not a v2/v3 pool: ${pool}`);
+
+  const token0 = ethers.getAddress(ethers.dataSlice(t0, 12, 32));
+  const token1 = ethers.getAddress(ethers.dataSlice(t1, 12, 32));
+  const tokenIs0 = token0.toLowerCase() === String(tokenAddress).toLowerCase();
+  if (!tokenIs0 && token1.toLowerCase() !== String(tokenAddress).toLowerCase()) throw new Error("Pool does not contain the token");
+
+  const dec = async (t) => Number(ERC20.decodeFunctionResult("decimals", await provider.call({ to: t, data: ERC20.encodeFunctionData("decimals") }))[0]);
+  const d0 = await dec(token0);
+  const d1 = await dec(token1);
+
+  // price of token0 in token1 units
+  let price01;
+  const slot0 = await tryCall(provider, pool, SEL.slot0);
+  if (slot0) {
+    const sqrt = Number(word(slot0, 0)) / 2 ** 96;
+    price01 = sqrt * sqrt * 10 ** (d0 - d1);
+  } else {
+    const reserves = await tryCall(provider, pool, SEL.getReserves);
+    if (!reserves) throw new Error(`Pool has neither slot0 nor getReserves: ${pool}`);
+    const r0 = Number(word(reserves, 0)) / 10 ** d0;
+    const r1 = Number(word(reserves, 1)) / 10 ** d1;
+    if (!r0) throw new Error("Empty pool");
+    price01 = r1 / r0;
+  }
+
+  const quoteToken = tokenIs0 ? token1 : token0;
+  const quoteDecimals = tokenIs0 ? d1 : d0;
+  const bal = ERC20.decodeFunctionResult(
+    "balanceOf",
+    await provider.call({ to: quoteToken, data: ERC20.encodeFunctionData("balanceOf", [pool]) })
+  )[0];
+
+  return {
+    priceInQuote: tokenIs0 ? price01 : price01 ? 1 / price01 : null,
+    quoteToken,
+    quoteBalance: Number(bal) / 10 ** quoteDecimals
+  };
+}
+
+export const onchainPoolProvider = {
+  id: "onchain",
+  chains: new Set(["base"]),
+  needsHint: true,
+  async fetchSnapshot(chain, tokenAddress, { hint } = {}) {
+    if (!hint?.pairAddress || !ethers.isAddress(hint.pairAddress)) return null;
+    if (!process.env.EVM_RPC) return null;
+
+    const provider = new ethers.JsonRpcProvider(process.env.EVM_RPC);
+    const { priceInQuote, quoteBalance } = await readPoolPrice(provider, hint.pairAddress, tokenAddress);
+    const usd = quoteUsd(hint);
+
+    return {
+      ...emptySnapshot(chain),
+      dex: hint.dex || null,
+      pairAddress: hint.pairAddress,
+      quote: hint.quote || emptySnapshot(chain).quote,
+      priceNative: priceInQuote,
+      priceUsd: usd != null && priceInQuote != null ? priceInQuote * usd : null,
+      // both sides of the pool, valued from the quote side
+      liquidityUsd: usd != null ? 2 * quoteBalance * usd : null
+    };
+  }
+};
+
+export const DEFAULT_MARKET_PROVIDERS = [dexscreenerProvider, geckoTerminalProvider, birdeyeProvider, onchainPoolProvider];
+
+/**
+ * Providers enabled by MARKET_PROVIDERS (comma list, in priority order).
+ */
+export function marketProvidersFromEnv(env = process.env) {
+  const ids = String(env.MARKET_PROVIDERS || DEFAULT_MARKET_PROVIDERS.map((p) => p.id).join(","))
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+
+  return ids.map((id) => {
+    const p = DEFAULT_MARKET_PROVIDERS.find((x) => x.id === id);
+    if (!p) throw new Error(`Unknown market provider: ${id} (available: ${DEFAULT_MARKET_PROVIDERS.map((x) => x.id).join(", ")})`);
+    return p;
+  });
+}
@@ -0,0 +1,168 @@
+import { Connection, PublicKey } from "@solana/web3.js";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// On-chain safety read of an SPL mint (Token or Token-2022), decoded from raw account bytes:
+// - mint / freeze authority
+// - Token-2022 extensions (transfer fee, permanent delegate, transfer hook, non-transferable, ...)
+// - top-holder concentration via getTokenLargestAccounts
+// Works against any RPC (mainnet or a local solana-test-validator with fabricated mints).
+
+const SPL_TOKEN_PROGRAM = "TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA";
+const SPL_TOKEN_2022_PROGRAM = "TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb";
+
+// Mint layout (both programs): 82 bytes; Token-2022 pads to the account size (165),
+// then 1 byte account type (1 = mint) and TLV extensions (u16 type, u16 length, value).
+const MINT_SIZE = 82;
+const ACCOUNT_SIZE = 165;
+const ACCOUNT_TYPE_MINT = 1;
+
+// spl-token-2022 ExtensionType (mint-side ones we care about, plus names for display)
+const EXTENSION_NAMES = {
+  1: "transferFeeConfig",
+  3: "mintCloseAuthority",
+  4: "confidentialTransferMint",
+  6: "defaultAccountState",
+  9: "nonTransferable",
+  10: "interestBearingConfig",
+  12: "permanentDelegate",
+  14: "transferHook",
+  16: "confidentialTransferFeeConfig",
+  18: "metadataPointer",
+  19: "tokenMetadata",
+  20: "groupPointer",
+  21: "tokenGroup",
+  22: "groupMemberPointer",
+  23: "tokenGroupMember",
+  24: "confidentialMintBurn",
+  25: "scaledUiAmount",
+  26: "pausable"
+};
+
+const ACCOUNT_STATES = { 0: "uninitialized", 1: "initialized", 2: "frozen" };
+
+function pubkeyAt(buf, offset) {
+  const bytes = buf.subarray(offset, offset + 32);
+  // Token-2022 extensions use an all-zero key for "none"
+  if (bytes.every((b) => b === 0)) return null;
+  return new PublicKey(bytes).toBase58();
+}
+
+function optionPubkeyAt(buf, offset) {
+  return buf.readUInt32LE(offset) === 1 ? pubkeyAt(buf, offset + 4) : null;
+}
+
+function decodeTransferFee(v) {
+  // authority(32) withdrawAuthority(32) withheld(u64) older{epoch u64, maxFee u64, bps u16} newer{...}
+  const older = { epoch: v.readBigUInt64LE(72).toString(), maxFee: v.readBigUInt64LE(80).toString(), bps: v.readUInt16LE(88) };
+  const newer = { epoch: v.readBigUInt64LE(90).toString(), maxFee: v.readBigUInt64LE(98).toString(), bps: v.readUInt16LE(106) };
+  // which one applies depends on the current epoch; report the higher one
+  const active = newer.bps >= older.bps ? newer : older;
+  return { authority: pubkeyAt(v, 0), bps: active.bps, maxFee: active.maxFee, older, newer };
+}
+
+function decodeExtensions(data) {
+  const out = { names: [], transferFee: null, permanentDelegate: null, transferHook: null, defaultAccountState: null, nonTransferable: false };
+  if (data.length <= ACCOUNT_SIZE || data[ACCOUNT_SIZE] !== ACCOUNT_TYPE_MINT) return out;
+
+  let off = ACCOUNT_SIZE + 1;
+  while (off + 4 <= data.length) {
+    const type = data.readUInt16LE(off);
+    const len = data.readUInt16LE(off + 2);
+    if (type === 0) break;
+    const v = data.subarray(off + 4, off + 4 + len);
+    if (v.length < len) throw new Error("Mint extension data truncated");
+
+    out.names.push(EXTENSION_NAMES[type] || `unknown(${type})`);
+    if (type === 1) out.transferFee = decodeTransferFee(v);
+    else if (type === 6) out.defaultAccountState = ACCOUNT_STATES[v[0]] || String(v[0]);
+    else if (type === 9) out.nonTransferable = true;
+    else if (type === 12) out.permanentDelegate = pubkeyAt(v, 0);
+    else if (type === 14) out.transferHook = { authority: pubkeyAt(v, 0), programId: pubkeyAt(v, 32) };
+
+    off += 4 + len;
+  }
+  return out;
+}
+
+/**
+ * Decode a mint account ({ owner, data }) into authorities + extensions.
+ */
+export function decodeMintAccount(acc) {
+  const owner = acc?.owner?.toBase58?.() || String(acc?.owner || "");
+  if (owner !== SPL_TOKEN_PROGRAM && owner !== SPL_TOKEN_2022_PROGRAM) {
+    throw new Error(`Not an SPL mint (owner=${owner})`);
+  }
+
+  const data = Buffer.from(acc.data);
+  if (data.length < MINT_SIZE || data[45] !== 1) throw new Error("Account is not an initialized mint");
+
+  // legacy Token mints are exactly 82 bytes, so this only finds Token-2022 extensions
+  const ext = decodeExtensions(data);
+
+  return {
+    program: owner === SPL_TOKEN_2022_PROGRAM ? "token-2022" : "token",
+    mintAuthority: optionPubkeyAt(data, 0),
+    supply: data.readBigUInt64LE(36).toString(),
+    decimals: data[44],
+    freezeAuthority: optionPubkeyAt(data, 46),
+    extensions: ext.names,
+    transferFee: ext.transferFee,
+    permanentDelegate: ext.permanentDelegate,
+    transferHook: ext.transferHook,
+    defaultAccountState: ext.defaultAccountState,
+    nonTransferable: ext.nonTransferable
+  };
+}
+
+// share of supply in percent, 2 decimals
+function pctOf(amount, supply) {
+  if (supply === 0n) return null;
+  return Number((BigInt(amount) * 10000n) / supply) / 100;
+}
+
+/**
+ * Top holders of a mint (getTokenLargestAccounts returns up to 20 accounts).
+ * Note: pool vaults are token accounts too, so an AMM vault can be the top holder.
+ */
+export async function fetchHolderConcentration(connection, mint, supply) {
+  const res = await connection.getTokenLargestAccounts(new PublicKey(mint));
+  const total = BigInt(supply);
+  const largest = (res?.value || []).map((a) => ({
+    address: a.address?.toBase58?.() || String(a.address),
+    amount: String(a.amount),
+    pct: pctOf(a.amount, total)
+  }));
+
+  const top10 = largest.slice(0, 10).reduce((acc, a) => acc + BigInt(a.amount), 0n);
+  return {
+    top1Pct: largest.length ? largest[0].pct : null,
+    top10Pct: largest.length ? pctOf(top10, total) : null,
+    largest: largest.slice(0, 10)
+  };
+}
+
+function defaultSolConnection() {
+  return new Connection(process.env.SOL_RPC || "https://api.mainnet-beta.solana.com", "confirmed");
+}
+
+/**
+ * Full safety report for a mint.
+ * Holder lookup failures are non-fatal (some RPCs rate-limit getTokenLargestAccounts).
+ */
+export async function inspectSolanaMint(mint, { connection = null } = {}) {
+  const conn = connection || defaultSolConnection();
+  const acc = await conn.getAccountInfo(new PublicKey(mint));
+  if (!acc) throw new Error(`Mint account not found: ${mint}`);
+
+  const report = { mint: String(mint), ...decodeMintAccount(acc), holders: null, holdersError: null };
+
+  try {
+    report.holders = await fetchHolderConcentration(conn, mint, report.supply);
+  } catch (e) {
+    report.holdersError = e?.message || String(e);
+  }
+
+  return report;
+}
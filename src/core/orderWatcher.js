@@ -0,0 +1,133 @@
+import { randomUUID } from "crypto";
+
+import { marketPriceUsd } from "./portfolio.js";
+import { createPoller, holdLease } from "./poller.js";
+
+// Trigger loop for limit / stop-loss orders (src/receipts/orderStore.js):
+// - every tick expires stale orders, prices each watched token once (market data layer) and
+//   compares it with the open orders on that token
+// - a hit claims the order (open -> triggered) and hands it to executeFn, which re-runs
+//   Analyst -> RiskGate -> Quote -> Executor with the order's slippage, so risk is judged on the
+//   market at trigger time, not at creation
+// - RiskGate BLOCK -> blocked; errors before the executor started -> open again (retried up to
+//   maxAttempts); once the executor ran the order is final (filled / failed), never fired twice
+// - the claim is leased to this watcher and renewed while executeFn runs, so another watcher (a
+//   second `orders watch`, or server.js) starting meanwhile doesn't fail the order as interrupted
+//
+// executeFn: async (order) -> { confirmed, swapId, summary, ex } (src/cli/pipeline.js runPipeline)
+
+/**
+ * below: fires at or under the trigger (stop-loss, buy the dip); above: at or over it
+ * (take-profit, breakout buy).
+ */
+export function priceHits(order, priceUsd) {
+  if (!(priceUsd > 0)) return false;
+  if (order.condition === "below") return priceUsd <= order.trigger_price_usd;
+  if (order.condition === "above") return priceUsd >= order.trigger_price_usd;
+  return false;
+}
+
+/**
+ * opts:
+ * - store: OrderStore
+ * - executeFn: see above
+ * - priceFn(chain, address) -> USD price | null (default: market data consensus)
+ * - intervalMs: poll interval (default 30000)
+ * - maxAttempts: executions that failed before sending anything, before the order gives up
+ * - onEvent(type, order, data): progress hook (price, triggered, filled, failed, blocked, retry, expired, error)
+ * - owner: lease owner id of this watcher (default: random)
+ * - leaseMs: claim lease, renewed every leaseMs / 3 while an order executes
+ * - nowFn: clock (tests)
+ */
+export function createOrderWatcher({
+  store,
+  executeFn,
+  priceFn = marketPriceUsd,
+  intervalMs = 30_000,
+  maxAttempts = 3,
+  onEvent = () => {},
+  owner = randomUUID(),
+  leaseMs = 60_000,
+  nowFn = Date.now
+}) {
+  async function fire(order) {
+    onEvent("triggered", order, { priceUsd: order.triggered_price_usd });
+    const release = holdLease({
+      renew: () => store.renewLease(order.order_id, owner, { leaseMs }),
+      leaseMs,
+      onError: (e) => onEvent("error", order, { error: `lease: ${e?.message || e}` })
+    });
+    try {
+      const res = await executeFn(order);
+      const status = res.confirmed ? "filled" : "failed";
+      const done = store.finishOrder(order.order_id, {
+        status,
+        swapId: res.swapId || null,
+        result: res.summary || null,
+        lastError: res.confirmed ? null : res.ex?.error || `swap ${res.ex?.status || "not confirmed"}`
+      });
+      onEvent(status, done, { txid: res.ex?.txid || null });
+      return done;
+    } catch (e) {
+      const msg = e?.message || String(e);
+      if (e?.code === "RISK_BLOCKED") {
+        const done = store.finishOrder(order.order_id, { status: "blocked", result: { risk: e.risk || null }, lastError: msg });
+        onEvent("blocked", done, { error: msg });
+        return done;
+      }
+      // the executor may have sent something: never fire again
+      if (e?.stage === "execute" || order.attempts >= maxAttempts) {
+        const done = store.finishOrder(order.order_id, { status: "failed", swapId: e?.historyId || null, lastError: msg });
+        onEvent("failed", done, { error: msg });
+        return done;
+      }
+      const again = store.reopenOrder(order.order_id, msg);
+      onEvent("retry", again, { error: msg, attempts: order.attempts });
+      return again;
+    } finally {
+      release();
+    }
+  }
+
+  async function runTick() {
+    for (const o of store.expireOrders(nowFn())) onEvent("expired", o, null);
+
+    const open = store.listOrders({ status: "open", limit: 1000 });
+    const prices = new Map();
+    const fired = [];
+
+    for (const o of open) {
+      const key = `${o.chain}:${o.watch_token}`;
+      if (!prices.has(key)) {
+        let p = null;
+        try {
+          p = await priceFn(o.chain, o.watch_token);
+        } catch (e) {
+          onEvent("error", o, { error: `price: ${e?.message || e}` });
+        }
+        prices.set(key, p);
+      }
+      const priceUsd = prices.get(key);
+      if (priceUsd == null) continue;
+
+      store.recordPrice(o.order_id, priceUsd);
+      onEvent("price", o, { priceUsd });
+      if (!priceHits(o, priceUsd)) continue;
+
+      // cancelled (or claimed elsewhere) since the list was read -> skip
+      const claimed = store.claimOrder(o.order_id, priceUsd, { owner, leaseMs });
+      if (claimed) fired.push(await fire(claimed));
+    }
+
+    return { checked: open.length, fired };
+  }
+
+  // tick(): one pass over the open orders -> { checked, fired }
+  // start(): fails orders interrupted by a restart (returns their ids), then polls every intervalMs
+  return createPoller({
+    runTick,
+    recover: () => store.recoverInterrupted(),
+    intervalMs,
+    onError: (e) => onEvent("error", null, { error: e?.message || String(e) })
+  });
+}
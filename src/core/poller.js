@@ -0,0 +1,69 @@
+// Poll loop shared by the background workers (order watcher, DCA scheduler):
+// - tick() runs one pass of runTick(); concurrent calls share the pass in flight
+// - start() runs recover() once (work interrupted by a restart), then a pass right away and the
+//   next one intervalMs after the previous pass ended, so passes never overlap
+// - stop() ends the loop and resolves when the pass in flight is done
+// A pass that throws goes to onError and the loop keeps going.
+// holdLease() keeps a claimed order / slice leased to its worker while it executes, so another
+// process's recover() leaves it alone.
+
+/**
+ * opts:
+ * - runTick(): one pass (async)
+ * - recover(): called by start() before the first pass; its return value is start()'s
+ * - intervalMs: pause between passes
+ * - onError(err): a pass threw
+ */
+export function createPoller({ runTick, recover = () => [], intervalMs, onError = () => {} }) {
+  let timer = null;
+  let running = false;
+  let ticking = null;
+
+  function tick() {
+    if (!ticking) ticking = runTick().finally(() => (ticking = null));
+    return ticking;
+  }
+
+  function schedule(ms) {
+    timer = setTimeout(async () => {
+      try {
+        await tick();
+      } catch (e) {
+        onError(e);
+      }
+      if (running) schedule(intervalMs);
+    }, ms);
+  }
+
+  function start() {
+    if (running) return [];
+    const recovered = recover();
+    running = true;
+    schedule(0);
+    return recovered;
+  }
+
+  function stop() {
+    running = false;
+    clearTimeout(timer);
+    return ticking || Promise.resolve();
+  }
+
+  return { tick, start, stop };
+}
+
+/**
+ * Renew a lease every leaseMs / 3 until the returned release() is called; a renewal that throws
+ * goes to onError.
+ */
+export function holdLease({ renew, leaseMs, onError = () => {} }) {
+  const timer = setInterval(() => {
+    try {
+      renew();
+    } catch (e) {
+      onError(e);
+    }
+  }, Math.max(1, Math.floor(leaseMs / 3)));
+  timer.unref?.();
+  return () => clearInterval(timer);
+}
@@ -0,0 +1,165 @@
+import { ethers } from "ethers";
+import { PublicKey } from "@solana/web3.js";
+import { fetchMarketSnapshot } from "./marketData.js";
+import { KNOWN_TOKENS, findKnownToken } from "./tokens.js";
+
+// Portfolio snapshot for GET /api/portfolio:
+// - Solana: native SOL + every SPL token account of the owner (Token and Token-2022)
+// - EVM: native coin + an ERC-20 watchlist per chain (there is no cheap "all tokens" call)
+// - USD via the market data layer (multi-source snapshot, cached); unpriced holdings stay listed
+//   with valueUsd null and are left out of the totals
+
+const SPL_TOKEN_PROGRAM = "TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA";
+const SPL_TOKEN_2022_PROGRAM = "TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb";
+const WSOL_MINT = "So11111111111111111111111111111111111111112";
+
+const EVM_NATIVE = {
+  eth: { symbol: "ETH", wrapped: "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2" },
+  bsc: { symbol: "BNB", wrapped: "0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c" },
+  base: { symbol: "ETH", wrapped: "0x4200000000000000000000000000000000000006" }
+};
+
+const ERC20_ABI = [
+  "function balanceOf(address) view returns (uint256)",
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)"
+];
+
+/**
+ * ERC-20 watchlist per chain: PORTFOLIO_TOKENS_<CHAIN> (comma list of 0x addresses) plus the
+ * built-in non-native tokens of that chain (src/core/tokens.js).
+ */
+export function portfolioWatchlist(chain, env = process.env) {
+  const fromEnv = String(env[`PORTFOLIO_TOKENS_${chain.toUpperCase()}`] || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  for (const a of fromEnv) if (!ethers.isAddress(a)) throw new Error(`PORTFOLIO_TOKENS_${chain.toUpperCase()}: not an address: ${a}`);
+  const builtin = Object.values(KNOWN_TOKENS[chain] || {})
+    .filter((t) => !t.native)
+    .map((t) => t.address);
+
+  const seen = new Set();
+  return [...fromEnv, ...builtin].filter((a) => {
+    const k = a.toLowerCase();
+    if (seen.has(k)) return false;
+    seen.add(k);
+    return true;
+  });
+}
+
+/**
+ * Native SOL + SPL balances (both token programs), one row per mint, zero balances skipped.
+ */
+export async function fetchSolHoldings(connection, owner) {
+  const pk = new PublicKey(owner);
+  const lamports = await connection.getBalance(pk, "confirmed");
+  const rows = [{ symbol: "SOL", address: WSOL_MINT, native: true, decimals: 9, amountAtomic: String(lamports), program: null }];
+
+  const byMint = new Map();
+  for (const programId of [SPL_TOKEN_PROGRAM, SPL_TOKEN_2022_PROGRAM]) {
+    const res = await connection.getParsedTokenAccountsByOwner(pk, { programId: new PublicKey(programId) }, "confirmed");
+    for (const { account } of res?.value || []) {
+      const info = account?.data?.parsed?.info;
+      const amount = info?.tokenAmount;
+      if (!info?.mint || !amount || BigInt(amount.amount || 0) === 0n) continue;
+      const prev = byMint.get(info.mint);
+      byMint.set(info.mint, {
+        symbol: findKnownToken("sol", info.mint)?.symbol || null,
+        address: info.mint,
+        native: false,
+        decimals: Number(amount.decimals),
+        amountAtomic: String((prev ? BigInt(prev.amountAtomic) : 0n) + BigInt(amount.amount)),
+        program: programId === SPL_TOKEN_2022_PROGRAM ? "token-2022" : "token"
+      });
+    }
+  }
+  return [...rows, ...byMint.values()];
+}
+
+/**
+ * Native coin + watchlist ERC-20 balances on one EVM chain, zero balances skipped.
+ * A token whose calls revert is reported with `error` instead of failing the chain.
+ */
+export async function fetchEvmHoldings(provider, chain, owner, tokens) {
+  const native = EVM_NATIVE[chain] || { symbol: "NATIVE", wrapped: null };
+  const wei = await provider.getBalance(owner);
+  const rows = [{ symbol: native.symbol, address: null, native: true, decimals: 18, amountAtomic: wei.toString() }];
+
+  for (const address of tokens) {
+    try {
+      const c = new ethers.Contract(address, ERC20_ABI, provider);
+      const bal = await c.balanceOf(owner);
+      if (bal === 0n) continue;
+      const decimals = Number(await c.decimals());
+      let symbol = findKnownToken(chain, address)?.symbol || null;
+      if (!symbol) symbol = await c.symbol().catch(() => null);
+      rows.push({ symbol, address, native: false, decimals, amountAtomic: bal.toString() });
+    } catch (e) {
+      rows.push({ symbol: null, address, native: false, decimals: null, amountAtomic: null, error: e?.shortMessage || e?.message || String(e) });
+    }
+  }
+  return rows;
+}
+
+/**
+ * USD price of a token via the market data layer: consensus median when several sources
+ * agree, else the primary snapshot. null when no source knows the token.
+ */
+export async function marketPriceUsd(chain, address) {
+  const m = await fetchMarketSnapshot({ chain, tokenAddress: address });
+  if (m.consensus?.price?.checked && m.consensus.price.median > 0) return m.consensus.price.median;
+  return m.bestPair?.priceUsd ?? null;
+}
+
+/**
+ * Attach priceUsd / valueUsd to holdings and total them.
+ * priceFn(chain, address) -> number | null (default marketPriceUsd)
+ */
+export async function valueHoldings(chain, holdings, { priceFn = marketPriceUsd } = {}) {
+  const rows = [];
+  let totalUsd = 0;
+  const unpriced = [];
+
+  for (const h of holdings) {
+    const amount = h.amountAtomic != null && h.decimals != null ? Number(ethers.formatUnits(BigInt(h.amountAtomic), h.decimals)) : null;
+    const priceAddr = h.native && chain !== "sol" ? EVM_NATIVE[chain]?.wrapped : h.address;
+    let priceUsd = null;
+    if (amount && priceAddr) {
+      try {
+        priceUsd = await priceFn(chain, priceAddr);
+      } catch {
+        priceUsd = null;
+      }
+    }
+    const valueUsd = priceUsd != null && amount != null ? amount * priceUsd : null;
+    if (valueUsd != null) totalUsd += valueUsd;
+    else if (amount) unpriced.push(h.symbol || h.address);
+    rows.push({ ...h, amount, priceUsd, valueUsd });
+  }
+
+  rows.sort((a, b) => (b.valueUsd ?? -1) - (a.valueUsd ?? -1));
+  return { holdings: rows, totalUsd, unpriced };
+}
+
+/**
+ * accounts: [{ chain, address, load: () => holdings }]
+ * Chains are loaded one by one; a failing chain is reported with `error`, the rest still count.
+ * Returns { chains: [{ chain, address, holdings, totalUsd, unpriced, error }], totalUsd, at }.
+ */
+export async function buildPortfolio(accounts, { priceFn = marketPriceUsd, nowFn = Date.now } = {}) {
+  const chains = [];
+  let totalUsd = 0;
+
+  for (const a of accounts) {
+    try {
+      const v = await valueHoldings(a.chain, await a.load(), { priceFn });
+      chains.push({ chain: a.chain, address: a.address, ...v, error: null });
+      totalUsd += v.totalUsd;
+    } catch (e) {
+      chains.push({ chain: a.chain, address: a.address, holdings: [], totalUsd: 0, unpriced: [], error: e?.message || String(e) });
+    }
+  }
+
+  return { chains, totalUsd, at: nowFn() };
+}
@@ -0,0 +1,200 @@
+import { httpJson } from "./http.js";
+import { fromAtomic } from "./units.js";
+
+const JUP_QUOTE = "https://api.jup.ag/swap/v1/quote";
+const ZEROX_PRICE = "https://api.0x.org/swap/v1/price";
+const ZEROX_QUOTE = "https://api.0x.org/swap/v1/quote";
+
+function jupHeaders() {
+  return process.env.JUP_API_KEY ? { "x-api-key": process.env.JUP_API_KEY } : {};
+}
+
+function zeroxHeaders() {
+  return process.env.OX_API_KEY ? { "0x-api-key": process.env.OX_API_KEY } : {};
+}
+
+function numOrNull(v) {
+  if (v === undefined || v === null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+// minOut = outAmount * (10000 - slippageBps) / 10000, rounded down
+function applySlippage(outAmount, slippageBps) {
+  const bps = BigInt(Math.max(0, Math.min(10000, Math.round(Number(slippageBps) || 0))));
+  return ((BigInt(outAmount) * (10000n - bps)) / 10000n).toString();
+}
+
+/**
+ * Jupiter quote response -> normalized quote.
+ * Jupiter reports priceImpactPct as a fraction ("0.0012" = 0.12%).
+ */
+export function normalizeJupiterQuote(q, { tokenOutDecimals = null } = {}) {
+  if (!q?.outAmount) throw new Error("Jupiter quote missing outAmount");
+
+  const route = (q.routePlan || []).map((h) => ({
+    label: h.swapInfo?.label || null,
+    pool: h.swapInfo?.ammKey || null,
+    tokenIn: h.swapInfo?.inputMint || null,
+    tokenOut: h.swapInfo?.outputMint || null,
+    percent: numOrNull(h.percent)
+  }));
+
+  const fees = (q.routePlan || [])
+    .filter((h) => h.swapInfo?.feeAmount && h.swapInfo.feeAmount !== "0")
+    .map((h) => ({ label: h.swapInfo.label || "amm", amount: String(h.swapInfo.feeAmount), token: h.swapInfo.feeMint || null }));
+  if (q.platformFee?.amount && q.platformFee.amount !== "0") {
+    fees.push({ label: "platform", amount: String(q.platformFee.amount), token: null, bps: numOrNull(q.platformFee.feeBps) });
+  }
+
+  const impact = numOrNull(q.priceImpactPct);
+  const outAmount = String(q.outAmount);
+  const minOut = String(q.otherAmountThreshold || outAmount);
+
+  return {
+    source: "jupiter",
+    chain: "sol",
+    inAmount: String(q.inAmount),
+    outAmount,
+    minOut,
+    outAmountHuman: tokenOutDecimals != null ? fromAtomic(outAmount, tokenOutDecimals) : null,
+    minOutHuman: tokenOutDecimals != null ? fromAtomic(minOut, tokenOutDecimals) : null,
+    priceImpactPct: impact != null ? impact * 100 : null,
+    slippageBps: numOrNull(q.slippageBps),
+    route,
+    fees,
+    raw: q
+  };
+}
+
+/**
+ * 0x price/quote response (v1 or permit2) -> normalized quote.
+ * 0x reports estimatedPriceImpact already in percent ("0.12" = 0.12%).
+ * v1 /price has no guaranteed amount, so minOut is derived from slippageBps
+ * unless the response carries minBuyAmount.
+ */
+export function normalizeZeroxPrice(p, { slippageBps = 50, tokenOutDecimals = null } = {}) {
+  if (!p?.buyAmount) throw new Error("0x price missing buyAmount");
+
+  // v1: sources[{ name, proportion }], v2 (permit2): route.fills[{ source, from, to, proportionBps }]
+  const route = p.route?.fills
+    ? p.route.fills.map((f) => ({
+        label: f.source,
+        pool: null,
+        tokenIn: f.from || null,
+        tokenOut: f.to || null,
+        percent: Number(f.proportionBps) / 100
+      }))
+    : (p.sources || [])
+        .filter((s) => Number(s.proportion) > 0)
+        .map((s) => ({
+          label: s.name,
+          pool: null,
+          tokenIn: p.sellTokenAddress || null,
+          tokenOut: p.buyTokenAddress || null,
+          percent: Number(s.proportion) * 100
+        }));
+
+  const fees = [];
+  const zx = p.fees?.zeroExFee;
+  const zxAmount = zx?.feeAmount ?? zx?.amount;
+  if (zxAmount && zxAmount !== "0") {
+    fees.push({ label: "0x", amount: String(zxAmount), token: zx.feeToken || zx.token || null });
+  }
+  const gas = numOrNull(p.estimatedGas ?? p.gas);
+  const gasPrice = numOrNull(p.gasPrice);
+  if (gas != null && gasPrice != null) {
+    fees.push({ label: "gas", amount: (BigInt(Math.round(gas)) * BigInt(Math.round(gasPrice))).toString(), token: "native" });
+  }
+
+  const outAmount = String(p.buyAmount);
+  const minOut = p.minBuyAmount ? String(p.minBuyAmount) : applySlippage(outAmount, slippageBps);
+
+  return {
+    source: "0x",
+    chain: "base",
+    inAmount: String(p.sellAmount),
+    outAmount,
+    minOut,
+    outAmountHuman: tokenOutDecimals != null ? fromAtomic(outAmount, tokenOutDecimals) : null,
+    minOutHuman: tokenOutDecimals != null ? fromAtomic(minOut, tokenOutDecimals) : null,
+    priceImpactPct: numOrNull(p.estimatedPriceImpact),
+    slippageBps: Number(slippageBps),
+    route,
+    fees,
+    allowanceTarget: p.allowanceTarget || p.issues?.allowance?.spender || null,
+    raw: p
+  };
+}
+
+export async function fetchJupiterQuote({ inputMint, outputMint, amountAtomic, slippageBps }) {
+  const url =
+    `${JUP_QUOTE}?inputMint=${encodeURIComponent(inputMint)}` +
+    `&outputMint=${encodeURIComponent(outputMint)}` +
+    `&amount=${encodeURIComponent(amountAtomic)}` +
+    `&slippageBps=${encodeURIComponent(String(slippageBps))}`;
+  return await httpJson(url, { method: "GET", headers: jupHeaders() });
+}
+
+export async function fetchZeroxPrice({ sellToken, buyToken, sellAmount, slippageBps, takerAddress = null }) {
+  let url =
+    `${ZEROX_PRICE}?sellToken=${encodeURIComponent(sellToken)}` +
+    `&buyToken=${encodeURIComponent(buyToken)}` +
+    `&sellAmount=${encodeURIComponent(sellAmount)}` +
+    `&slippagePercentage=${encodeURIComponent(String(Number(slippageBps) / 10000))}`;
+  if (takerAddress) url += `&takerAddress=${encodeURIComponent(takerAddress)}`;
+  return await httpJson(url, { method: "GET", headers: zeroxHeaders() });
+}
+
+/**
+ * 0x v1 firm quote (with tx calldata) for an arbitrary taker.
+ * skipValidation: the taker does not need balances/allowances (used for simulations).
+ */
+export async function fetchZeroxQuoteTx({ sellToken, buyToken, sellAmount, slippageBps, takerAddress }) {
+  const url =
+    `${ZEROX_QUOTE}?sellToken=${encodeURIComponent(sellToken)}` +
+    `&buyToken=${encodeURIComponent(buyToken)}` +
+    `&sellAmount=${encodeURIComponent(sellAmount)}` +
+    `&slippagePercentage=${encodeURIComponent(String(Number(slippageBps) / 10000))}` +
+    `&takerAddress=${encodeURIComponent(takerAddress)}&skipValidation=true`;
+  return await httpJson(url, { method: "GET", headers: zeroxHeaders() });
+}
+
+/**
+ * Fetch + normalize a quote for a resolved plan
+ * (needs tokenInInfo/tokenOutInfo/amountAtomic from the token registry).
+ */
+export async function fetchQuote(plan) {
+  const decimals = plan.tokenOutInfo?.decimals ?? null;
+
+  if (plan.chain === "sol") {
+    const raw = await fetchJupiterQuote({
+      inputMint: plan.tokenInInfo.address,
+      outputMint: plan.tokenOutInfo.address,
+      amountAtomic: plan.amountAtomic,
+      slippageBps: plan.slippageBps
+    });
+    return normalizeJupiterQuote(raw, { tokenOutDecimals: decimals });
+  }
+
+  if (plan.chain === "base") {
+    const raw = await fetchZeroxPrice({
+      sellToken: plan.tokenInInfo.address,
+      buyToken: plan.tokenOutInfo.address,
+      sellAmount: plan.amountAtomic,
+      slippageBps: plan.slippageBps
+    });
+    return normalizeZeroxPrice(raw, { slippageBps: plan.slippageBps, tokenOutDecimals: decimals });
+  }
+
+  throw new Error(`Unsupported chain for quote: ${plan.chain}`);
+}
+
+/**
+ * Quote without the raw provider payload (for display / JSON output).
+ */
+export function summarizeQuote(q) {
+  if (!q) return null;
+  const { raw, ...rest } = q;
+  return rest;
+}
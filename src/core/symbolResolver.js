@@ -0,0 +1,157 @@
+import { httpJson } from "./http.js";
+import { toDexChain } from "./dexscreener.js";
+import { codedError } from "./errors.js";
+import { KNOWN_TOKENS } from "./tokens.js";
+import { loadTokenCache, defaultTokenCachePath } from "./tokenRegistry.js";
+
+// Symbol -> address for tokens outside the built-in list (e.g. "BONK").
+// Candidates come from Dexscreener search + the local token registry cache, merged per address
+// and ranked by liquidity (then age). Same-symbol tokens are the classic impersonator trap, so
+// when the top candidate does not clearly dominate, the caller must pick (or pass the address).
+
+const DEX_SEARCH = "https://api.dexscreener.com/latest/dex/search";
+
+// top candidate must have this many times the liquidity of the runner-up
+const DOMINANCE = 10;
+// a top candidate younger than this, with an older same-symbol token around, is suspicious
+const MIN_TOP_AGE_MS = 24 * 3600_000;
+
+export function isKnownSymbol(chain, v) {
+  return !!KNOWN_TOKENS[String(chain || "").toLowerCase()]?.[String(v || "").trim().toUpperCase()];
+}
+
+export async function searchDexPairs(query, { timeoutMs = 5000 } = {}) {
+  const data = await httpJson(`${DEX_SEARCH}?q=${encodeURIComponent(query)}`, { method: "GET", signal: AbortSignal.timeout(timeoutMs) });
+  return Array.isArray(data?.pairs) ? data.pairs : [];
+}
+
+/**
+ * Merge search pairs + registry cache entries into per-address candidates, best first.
+ */
+export function rankSymbolCandidates(pairs, { chain, symbol, cache = {} }) {
+  const sym = String(symbol).trim().toUpperCase();
+  const dexChain = toDexChain(chain);
+  const byAddr = new Map();
+
+  const get = (address, name) => {
+    const key = chain === "base" ? address.toLowerCase() : address;
+    if (!byAddr.has(key)) {
+      byAddr.set(key, { address, symbol: sym, name: name || null, liquidityUsd: 0, volume24hUsd: 0, pairs: 0, createdAt: null, ageMs: null, sources: [] });
+    }
+    return byAddr.get(key);
+  };
+
+  for (const p of pairs) {
+    if (String(p.chainId || "").toLowerCase() !== dexChain) continue;
+    for (const side of [p.baseToken, p.quoteToken]) {
+      if (!side?.address || String(side.symbol || "").toUpperCase() !== sym) continue;
+      const c = get(side.address, side.name);
+      c.liquidityUsd += Number(p.liquidity?.usd) || 0;
+      c.volume24hUsd += Number(p.volume?.h24) || 0;
+      c.pairs += 1;
+      const created = Number(p.pairCreatedAt) || null;
+      if (created && (!c.createdAt || created < c.createdAt)) c.createdAt = created;
+      if (!c.sources.includes("dexscreener")) c.sources.push("dexscreener");
+    }
+  }
+
+  for (const [key, entry] of Object.entries(cache)) {
+    const [c0, address] = key.split(":");
+    if (c0 !== chain || String(entry?.symbol || "").toUpperCase() !== sym) continue;
+    const c = get(address, null);
+    if (!c.sources.includes("registry")) c.sources.push("registry");
+  }
+
+  const now = Date.now();
+  return [...byAddr.values()]
+    .map((c) => ({ ...c, ageMs: c.createdAt ? now - c.createdAt : null }))
+    .sort((a, b) => b.liquidityUsd - a.liquidityUsd || (a.createdAt ?? Number.MAX_SAFE_INTEGER) - (b.createdAt ?? Number.MAX_SAFE_INTEGER));
+}
+
+/**
+ * Decide whether the ranking is safe to auto-pick.
+ * Returns { best, ambiguous, reason, impersonators }.
+ */
+export function assessCandidates(candidates, { dominance = DOMINANCE, minTopAgeMs = MIN_TOP_AGE_MS } = {}) {
+  if (!candidates.length) return { best: null, ambiguous: false, reason: "no candidates", impersonators: [] };
+
+  const [best, ...others] = candidates;
+  if (!others.length) return { best, ambiguous: false, reason: null, impersonators: [] };
+
+  const runnerUp = others[0];
+  if (runnerUp.liquidityUsd * dominance > best.liquidityUsd) {
+    return { best, ambiguous: true, reason: `no clear leader (liquidity within ${dominance}x)`, impersonators: [] };
+  }
+
+  const olderExists = others.some((c) => c.createdAt && best.createdAt && c.createdAt < best.createdAt);
+  if (best.ageMs != null && best.ageMs < minTopAgeMs && olderExists) {
+    return { best, ambiguous: true, reason: "top candidate is newer than another token with the same symbol", impersonators: [] };
+  }
+
+  return { best, ambiguous: false, reason: null, impersonators: others };
+}
+
+function fmtUsd(n) {
+  return `$${Math.round(n || 0).toLocaleString("en-US")}`;
+}
+
+function fmtAgeShort(ms) {
+  if (ms == null) return "age ?";
+  const h = ms / 3600_000;
+  return h < 48 ? `${Math.floor(h)}h` : `${Math.floor(h / 24)}d`;
+}
+
+export function describeCandidate(c, i) {
+  return `${i + 1}) ${c.address} ${c.symbol}${c.name ? ` (${c.name})` : ""} liq ${fmtUsd(c.liquidityUsd)} vol24 ${fmtUsd(c.volume24hUsd)} ${fmtAgeShort(c.ageMs)}`;
+}
+
+/**
+ * Resolve a non-builtin symbol on a chain.
+ *
+ * opts:
+ * - pickFn(candidates, { symbol, chain, reason }) -> candidate | null (interactive); without it
+ *   an ambiguous symbol throws code "AMBIGUOUS_SYMBOL" with err.candidates
+ * - searchFn(query) -> Dexscreener pairs (tests inject a fake)
+ * - cachePath: token registry cache
+ *
+ * Returns { address, symbol, name, picked: "auto" | "user", ambiguous, candidates, impersonators }.
+ */
+export async function resolveSymbol(chain, symbol, { pickFn = null, searchFn = searchDexPairs, cachePath = defaultTokenCachePath() } = {}) {
+  const c = String(chain || "").toLowerCase();
+  const sym = String(symbol || "").trim();
+  if (!sym) throw new Error("Missing token");
+
+  const pairs = await searchFn(sym);
+  const candidates = rankSymbolCandidates(pairs, { chain: c, symbol: sym, cache: loadTokenCache(cachePath) });
+  const verdict = assessCandidates(candidates);
+
+  if (!verdict.best) throw new Error(`No ${c} token found for symbol ${sym} (use the mint/contract address)`);
+
+  const result = (cand, picked) => ({
+    address: cand.address,
+    symbol: cand.symbol,
+    name: cand.name,
+    picked,
+    ambiguous: verdict.ambiguous,
+    reason: verdict.reason,
+    candidates: candidates.slice(0, 10),
+    impersonators: verdict.impersonators.length
+  });
+
+  if (!verdict.ambiguous) return result(verdict.best, "auto");
+
+  const top = candidates.slice(0, 10);
+  if (pickFn) {
+    const chosen = await pickFn(top, { symbol: sym, chain: c, reason: verdict.reason });
+    if (!chosen) {
+      throw codedError("ABORTED", `Token pick cancelled for ${sym}`);
+    }
+    return result(chosen, "user");
+  }
+
+  throw codedError(
+    "AMBIGUOUS_SYMBOL",
+    `Ambiguous symbol ${sym} on ${c}: ${verdict.reason}. Use the address of one of:\n` + top.map(describeCandidate).join("\n"),
+    { candidates: top }
+  );
+}
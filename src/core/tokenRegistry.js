@@ -0,0 +1,159 @@
+import fs from "fs";
+import path from "path";
+import { Connection, PublicKey } from "@solana/web3.js";
+import { ethers } from "ethers";
+import dotenv from "dotenv";
+
+import { KNOWN_TOKENS, findKnownToken, isEvmAddressLike, isSolanaMintLike } from "./tokens.js";
+import { toAtomic } from "./units.js";
+
+dotenv.config();
+
+// Token registry:
+// symbol -> address -> decimals, per chain.
+// Order: built-in list (tokens.js) -> local JSON cache -> on-chain lookup (then cached).
+
+const SPL_TOKEN_PROGRAM = "TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA";
+const SPL_TOKEN_2022_PROGRAM = "TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb";
+
+const ERC20_META_ABI = [
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)"
+];
+
+export function defaultTokenCachePath() {
+  return path.resolve(process.env.TOKEN_CACHE_PATH || "onchain/agent/tokens.json");
+}
+
+export function loadTokenCache(cachePath = defaultTokenCachePath()) {
+  try {
+    const j = JSON.parse(fs.readFileSync(cachePath, "utf8"));
+    return j && typeof j === "object" ? j : {};
+  } catch {
+    return {};
+  }
+}
+
+export function saveTokenCache(cache, cachePath = defaultTokenCachePath()) {
+  fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+  fs.writeFileSync(cachePath, JSON.stringify(cache, null, 2));
+}
+
+function cacheKey(chain, address) {
+  return `${chain}:${isEvmAddressLike(address) ? address.toLowerCase() : address}`;
+}
+
+/**
+ * Read decimals from an SPL mint account (Token or Token-2022).
+ */
+export async function fetchSolanaMintMeta(connection, mint) {
+  const info = await connection.getParsedAccountInfo(new PublicKey(mint));
+  const acc = info?.value;
+  if (!acc) throw new Error(`Mint account not found: ${mint}`);
+
+  const owner = acc.owner?.toBase58?.() || String(acc.owner || "");
+  if (owner !== SPL_TOKEN_PROGRAM && owner !== SPL_TOKEN_2022_PROGRAM) {
+    throw new Error(`Not an SPL mint (owner=${owner}): ${mint}`);
+  }
+
+  const parsed = acc.data?.parsed;
+  if (parsed?.type !== "mint" || parsed.info?.decimals == null) {
+    throw new Error(`Account is not a mint: ${mint}`);
+  }
+
+  return {
+    decimals: Number(parsed.info.decimals),
+    program: owner === SPL_TOKEN_2022_PROGRAM ? "token-2022" : "token"
+  };
+}
+
+/**
+ * Read decimals()/symbol() from an ERC-20 contract.
+ */
+export async function fetchErc20Meta(provider, address) {
+  const c = new ethers.Contract(address, ERC20_META_ABI, provider);
+  const decimals = Number(await c.decimals());
+
+  let symbol = null;
+  try {
+    symbol = await c.symbol();
+  } catch {
+    // some tokens return bytes32 or nothing; symbol is informational only
+  }
+
+  return { decimals, symbol };
+}
+
+function defaultSolConnection() {
+  return new Connection(process.env.SOL_RPC || "https://api.mainnet-beta.solana.com", "confirmed");
+}
+
+function defaultEvmProvider() {
+  if (!process.env.EVM_RPC) throw new Error("EVM_RPC missing (needed for ERC-20 decimals lookup)");
+  return new ethers.JsonRpcProvider(process.env.EVM_RPC);
+}
+
+/**
+ * Resolve SYMBOL or ADDRESS on a chain to { chain, symbol, address, decimals, source }.
+ *
+ * opts:
+ * - connection: Solana Connection (default from SOL_RPC)
+ * - provider: ethers provider (default from EVM_RPC)
+ * - cachePath: JSON cache file (default onchain/agent/tokens.json)
+ */
+export async function resolveToken(chain, symOrAddr, opts = {}) {
+  const c = String(chain || "").toLowerCase();
+  if (!KNOWN_TOKENS[c]) throw new Error(`Unsupported chain: ${chain}`);
+  if (!symOrAddr) throw new Error("Missing token");
+
+  const v = String(symOrAddr).trim();
+  const isAddr = c === "sol" ? isSolanaMintLike(v) : isEvmAddressLike(v);
+
+  if (!isAddr) {
+    const k = v.toUpperCase();
+    const t = KNOWN_TOKENS[c][k];
+    if (t) return { chain: c, symbol: k, ...t, source: "builtin" };
+    throw new Error(`Unknown token symbol on ${c}: ${v} (use the mint/contract address)`);
+  }
+
+  const known = findKnownToken(c, v);
+  if (known) return { chain: c, ...known, source: "builtin" };
+
+  const cachePath = opts.cachePath || defaultTokenCachePath();
+  const cache = loadTokenCache(cachePath);
+  const key = cacheKey(c, v);
+  if (cache[key]?.decimals != null) {
+    return { chain: c, address: v, ...cache[key], source: "cache" };
+  }
+
+  let meta;
+  if (c === "sol") {
+    meta = await fetchSolanaMintMeta(opts.connection || defaultSolConnection(), v);
+  } else {
+    meta = await fetchErc20Meta(opts.provider || defaultEvmProvider(), v);
+  }
+
+  const entry = { symbol: meta.symbol || null, decimals: meta.decimals };
+  if (meta.program) entry.program = meta.program;
+
+  cache[key] = { ...entry, updatedAt: Date.now() };
+  try {
+    saveTokenCache(cache, cachePath);
+  } catch {
+    // cache is best-effort
+  }
+
+  return { chain: c, address: v, ...entry, source: "onchain" };
+}
+
+/**
+ * Resolve both legs of a swap plan and convert the human amount to atomic units
+ * of tokenIn. Returns { tokenInInfo, tokenOutInfo, amountAtomic }.
+ */
+export async function resolveSwapTokens(input, opts = {}) {
+  const chain = String(input.chain || "").toLowerCase();
+  const tokenInInfo = await resolveToken(chain, input.tokenIn, opts);
+  const tokenOutInfo = await resolveToken(chain, input.tokenOut, opts);
+  const amountAtomic = toAtomic(input.amount, tokenInInfo.decimals);
+  return { tokenInInfo, tokenOutInfo, amountAtomic };
+}
@@ -2,22 +2,38 @@
 // - Solana: mint base58 32..44 chars
 // - EVM: 0x address
 
-export const SOLANA_MINTS = {
-  SOL: "So11111111111111111111111111111111111111112",
-  // USDC mainnet
-  USDC: "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v",
-  // USDT mainnet
-  USDT: "Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB"
-};
-
-export const EVM_TOKENS = {
+// Well-known tokens per chain (symbol -> { address, decimals }).
+// Anything not listed here is resolved on-chain by the token registry.
+export const KNOWN_TOKENS = {
+  sol: {
+    // wrapped SOL mint (Jupiter treats it as native SOL)
+    SOL: { address: "So11111111111111111111111111111111111111112", decimals: 9, native: true },
+    // USDC mainnet
+    USDC: { address: "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v", decimals: 6 },
+    // USDT mainnet
+    USDT: { address: "Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB", decimals: 6 }
+  },
   base: {
+    // native ETH (0x convention)
+    ETH: { address: "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE", decimals: 18, native: true },
     // Base mainnet
-    USDC: "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913",
-    WETH: "0x4200000000000000000000000000000000000006"
+    USDC: { address: "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913", decimals: 6 },
+    WETH: { address: "0x4200000000000000000000000000000000000006", decimals: 18 }
   }
 };
 
+function addressMap(tokens) {
+  const out = {};
+  for (const [sym, t] of Object.entries(tokens)) out[sym] = t.address;
+  return out;
+}
+
+export const SOLANA_MINTS = addressMap(KNOWN_TOKENS.sol);
+
+export const EVM_TOKENS = {
+  base: addressMap(KNOWN_TOKENS.base)
+};
+
 export function isSolanaMintLike(s) {
   return typeof s === "string" && /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(s.trim());
 }
@@ -52,3 +68,28 @@ export function resolveEvmToken(chain, symOrAddr) {
 
   throw new Error(`Unsupported EVM token: ${symOrAddr} (chain=${chain})`);
 }
+
+/**
+ * Find a well-known token by address (case-insensitive for EVM).
+ * Returns { symbol, address, decimals, native? } or null.
+ */
+export function findKnownToken(chain, address) {
+  const map = KNOWN_TOKENS[chain];
+  if (!map || !address) return null;
+  const evm = isEvmAddressLike(address);
+  const a = evm ? address.toLowerCase() : address;
+  for (const [symbol, t] of Object.entries(map)) {
+    const b = evm ? t.address.toLowerCase() : t.address;
+    if (a === b) return { symbol, ...t };
+  }
+  return null;
+}
+
+/**
+ * Address to price a resolved token by: native coins have no pool of their own, so Base ETH is
+ * priced as WETH (wrapped SOL already is the SOL mint).
+ */
+export function priceAddress(chain, info) {
+  if (info?.native && chain === "base") return KNOWN_TOKENS.base.WETH.address;
+  return info?.address || null;
+}
@@ -0,0 +1,258 @@
+import { PublicKey } from "@solana/web3.js";
+import { ethers } from "ethers";
+
+import { decodeRevertReason } from "./txTracker.js";
+
+// Pre-broadcast simulation for server swaps.
+// - Solana: simulateTransaction on the signed tx, with the wallet + the token accounts the tx
+//   touches returned post-state, diffed against their current state (balance deltas); logs, CUs,
+//   decoded error.
+// - EVM: eth_call + estimateGas of the tx from the wallet; ERC-20 balance deltas through
+//   eth_simulateV1 (balanceOf before/after in one block) when the RPC supports it.
+
+const SPL_TOKEN_PROGRAM = "TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA";
+const SPL_TOKEN_2022_PROGRAM = "TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb";
+const ASSOCIATED_TOKEN_PROGRAM = "ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL";
+
+const NATIVE_SOL = "SOL";
+
+// Token account layout: mint (32) | owner (32) | amount (u64 LE) | ...
+const TOKEN_ACCOUNT_MIN_SIZE = 165;
+
+// getMultipleAccountsInfo takes at most 100 keys per call
+const MAX_ACCOUNTS_PER_CALL = 100;
+
+function dataBytes(data) {
+  if (!data) return null;
+  if (Buffer.isBuffer(data) || data instanceof Uint8Array) return Buffer.from(data);
+  if (Array.isArray(data) && data[1] === "base64") return Buffer.from(data[0], "base64");
+  return null;
+}
+
+/**
+ * Decode { mint, owner, amount } from a raw SPL token account (Token or Token-2022).
+ * Returns null for anything else.
+ */
+export function decodeTokenAccount(acc) {
+  if (!acc) return null;
+  const owner = typeof acc.owner === "string" ? acc.owner : acc.owner?.toBase58?.();
+  if (owner !== SPL_TOKEN_PROGRAM && owner !== SPL_TOKEN_2022_PROGRAM) return null;
+
+  const b = dataBytes(acc.data);
+  if (!b || b.length < TOKEN_ACCOUNT_MIN_SIZE) return null;
+  return {
+    mint: new PublicKey(b.subarray(0, 32)).toBase58(),
+    owner: new PublicKey(b.subarray(32, 64)).toBase58(),
+    amount: b.readBigUInt64LE(64).toString()
+  };
+}
+
+function associatedTokenAddress(owner, mint, tokenProgram) {
+  return PublicKey.findProgramAddressSync(
+    [new PublicKey(owner).toBuffer(), new PublicKey(tokenProgram).toBuffer(), new PublicKey(mint).toBuffer()],
+    new PublicKey(ASSOCIATED_TOKEN_PROGRAM)
+  )[0].toBase58();
+}
+
+/**
+ * Readable reason for a simulation error: program log message first, then the
+ * InstructionError shape ({ InstructionError: [idx, { Custom: n }] }).
+ */
+export function decodeSolanaSimError(err, logs = []) {
+  if (!err) return null;
+
+  for (const line of logs || []) {
+    const anchor = /Error Message: (.+?)\.?$/.exec(line);
+    if (anchor) return anchor[1];
+  }
+  for (const line of logs || []) {
+    const m = /Program log: (?:Error: )?(.*(?:error|insufficient|slippage|exceeds).*)$/i.exec(line);
+    if (m) return m[1];
+  }
+
+  if (typeof err === "string") return err;
+  const ie = err.InstructionError;
+  if (Array.isArray(ie)) {
+    const [idx, detail] = ie;
+    if (detail && typeof detail === "object" && "Custom" in detail) {
+      return `instruction ${idx}: custom program error 0x${Number(detail.Custom).toString(16)}`;
+    }
+    return `instruction ${idx}: ${typeof detail === "string" ? detail : JSON.stringify(detail)}`;
+  }
+  return JSON.stringify(err);
+}
+
+// Static account keys of a VersionedTransaction (or legacy Transaction) as base58; null when unknown.
+function txAccountKeys(tx) {
+  const keys = tx?.message?.staticAccountKeys || tx?.message?.accountKeys;
+  if (!Array.isArray(keys)) return null;
+  return new Set(keys.map((k) => (typeof k === "string" ? k : k.toBase58())));
+}
+
+async function getAccountsInfo(connection, addresses) {
+  const out = [];
+  for (let i = 0; i < addresses.length; i += MAX_ACCOUNTS_PER_CALL) {
+    const chunk = addresses.slice(i, i + MAX_ACCOUNTS_PER_CALL).map((a) => new PublicKey(a));
+    out.push(...(await connection.getMultipleAccountsInfo(chunk)));
+  }
+  return out;
+}
+
+function delta(pre, post) {
+  return (BigInt(post) - BigInt(pre)).toString();
+}
+
+/**
+ * Simulate a signed Solana VersionedTransaction for `owner`.
+ *
+ * opts:
+ * - mints: mints the swap touches; their ATAs are watched even when they do not exist yet
+ *
+ * Only the wallet's token accounts that appear in the tx's static account keys are watched (the
+ * RPC rejects more returned accounts than the tx has, and a busy wallet holds hundreds).
+ *
+ * Returns { ok, error, err, logs, unitsConsumed, balanceDeltas: [{ account, mint, pre, post, delta }] }
+ * (mint "SOL" = the wallet's lamports). Pre-state is read just before the simulation, so deltas
+ * can include unrelated transfers landing in between.
+ */
+export async function simulateSolanaTx({ connection, tx, owner, mints = [] }) {
+  const ownerKey = new PublicKey(owner);
+  const ownerStr = ownerKey.toBase58();
+
+  const txKeys = txAccountKeys(tx);
+  const held = [];
+  for (const programId of [SPL_TOKEN_PROGRAM, SPL_TOKEN_2022_PROGRAM]) {
+    const { value } = await connection.getTokenAccountsByOwner(ownerKey, { programId: new PublicKey(programId) });
+    for (const a of value || []) {
+      const pubkey = a.pubkey.toBase58();
+      if (!txKeys || txKeys.has(pubkey)) held.push(pubkey);
+    }
+  }
+
+  const derived = [];
+  for (const mint of mints) {
+    if (!mint || mint === NATIVE_SOL) continue;
+    for (const program of [SPL_TOKEN_PROGRAM, SPL_TOKEN_2022_PROGRAM]) derived.push(associatedTokenAddress(ownerStr, mint, program));
+  }
+
+  const addresses = [...new Set([ownerStr, ...held, ...derived])];
+  const preInfos = await getAccountsInfo(connection, addresses);
+
+  const sim = await connection.simulateTransaction(tx, {
+    sigVerify: false,
+    commitment: "confirmed",
+    accounts: { encoding: "base64", addresses }
+  });
+  const v = sim?.value || {};
+  const logs = v.logs || [];
+
+  const balanceDeltas = [];
+  if (!v.err) {
+    addresses.forEach((account, i) => {
+      const pre = preInfos[i];
+      const post = v.accounts?.[i] || null;
+
+      if (account === ownerStr) {
+        const a = String(pre?.lamports ?? 0);
+        const b = String(post?.lamports ?? 0);
+        if (a !== b) balanceDeltas.push({ account, mint: NATIVE_SOL, pre: a, post: b, delta: delta(a, b) });
+        return;
+      }
+
+      const before = decodeTokenAccount(pre);
+      const after = decodeTokenAccount(post);
+      const mint = after?.mint || before?.mint;
+      if (!mint) return;
+      const a = before?.amount || "0";
+      const b = after?.amount || "0";
+      if (a !== b) balanceDeltas.push({ account, mint, pre: a, post: b, delta: delta(a, b) });
+    });
+  }
+
+  return {
+    ok: !v.err,
+    error: decodeSolanaSimError(v.err, logs),
+    err: v.err || null,
+    logs,
+    unitsConsumed: v.unitsConsumed ?? null,
+    balanceDeltas
+  };
+}
+
+const ERC20 = new ethers.Interface(["function balanceOf(address owner) view returns (uint256)"]);
+
+function isUnsupported(e) {
+  const code = e?.error?.code ?? e?.info?.error?.code ?? e?.code;
+  return code === -32601 || /method not found|not supported|does not exist|not available/i.test(String(e?.message || ""));
+}
+
+function evmRevert(e) {
+  if (e?.reason) return e.reason;
+  return decodeRevertReason(e?.data ?? e?.info?.error?.data ?? null) || e?.shortMessage || e?.message || String(e);
+}
+
+async function erc20Deltas(provider, from, tx, tokens) {
+  const balanceCalls = tokens.map((t) => ({ from, to: t, data: ERC20.encodeFunctionData("balanceOf", [from]) }));
+  const call = { from, to: tx.to, data: tx.data, value: ethers.toQuantity(BigInt(tx.value || 0)) };
+
+  let res;
+  try {
+    res = await provider.send("eth_simulateV1", [{ blockStateCalls: [{ calls: [...balanceCalls, call, ...balanceCalls] }], validation: false }, "latest"]);
+  } catch (e) {
+    if (isUnsupported(e)) return null;
+    throw e;
+  }
+
+  const calls = res?.[0]?.calls || [];
+  const n = tokens.length;
+  const uint = (r) => BigInt(ethers.AbiCoder.defaultAbiCoder().decode(["uint256"], r.returnData)[0]).toString();
+
+  return tokens
+    .map((token, i) => {
+      const pre = calls[i];
+      const post = calls[n + 1 + i];
+      if (!pre?.returnData || !post?.returnData || pre.returnData === "0x" || post.returnData === "0x") return null;
+      const a = uint(pre);
+      const b = uint(post);
+      return a === b ? null : { token, pre: a, post: b, delta: delta(a, b) };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Simulate an EVM tx ({ to, data, value }) from `from`.
+ *
+ * opts:
+ * - tokens: ERC-20 addresses whose balance of `from` is diffed (non-address entries such as "ETH" are skipped)
+ *
+ * Returns { ok, error, returnData, gasEstimate, balanceDeltas } where balanceDeltas is null when the
+ * RPC has no eth_simulateV1.
+ */
+export async function simulateEvmTx({ provider, tx, from, tokens = [] }) {
+  const req = { from, to: tx.to, data: tx.data, value: BigInt(tx.value || 0) };
+  const out = { ok: true, error: null, returnData: null, gasEstimate: null, balanceDeltas: null };
+
+  try {
+    out.returnData = await provider.call(req);
+  } catch (e) {
+    return { ...out, ok: false, error: evmRevert(e) };
+  }
+
+  try {
+    out.gasEstimate = (await provider.estimateGas(req)).toString();
+  } catch (e) {
+    return { ...out, ok: false, error: evmRevert(e) };
+  }
+
+  const erc20 = [...new Set(tokens.filter((t) => ethers.isAddress(t)).map((t) => ethers.getAddress(t)))];
+  if (erc20.length) {
+    try {
+      out.balanceDeltas = await erc20Deltas(provider, from, tx, erc20);
+    } catch {
+      // deltas are informational; the eth_call above decides ok / error
+      out.balanceDeltas = null;
+    }
+  }
+
+  return out;
+}
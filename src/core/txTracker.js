@@ -0,0 +1,200 @@
+import { ethers } from "ethers";
+
+// Transaction confirmation tracking for agent swaps.
+// - Solana: poll signature status until the wanted commitment, rebroadcast the
+//   signed tx while it is pending, and stop once the blockhash has expired.
+// - EVM: wait for the receipt and decode the revert reason when status=0.
+
+const SOL_COMMITMENT_RANK = { processed: 0, confirmed: 1, finalized: 2 };
+
+const ERROR_STRING_SELECTOR = "0x08c379a0"; // Error(string)
+const PANIC_SELECTOR = "0x4e487b71"; // Panic(uint256)
+const TRANSFER_TOPIC = ethers.id("Transfer(address,address,uint256)");
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+function reached(status, commitment) {
+  const have = SOL_COMMITMENT_RANK[status];
+  const want = SOL_COMMITMENT_RANK[commitment] ?? SOL_COMMITMENT_RANK.confirmed;
+  return have != null && have >= want;
+}
+
+/**
+ * Track a broadcast Solana tx.
+ * Returns { status, slot, err, rebroadcasts } where status is one of
+ * "confirmed" | "finalized" | "failed" | "expired" | "timeout".
+ */
+export async function trackSolanaTx({
+  connection,
+  signature,
+  rawTx = null,
+  lastValidBlockHeight = null,
+  commitment = "confirmed",
+  pollMs = 1500,
+  rebroadcastMs = 3000,
+  timeoutMs = 120000,
+  sleepFn = sleep
+}) {
+  const start = Date.now();
+  let lastSend = start;
+  let rebroadcasts = 0;
+
+  const check = async (searchTransactionHistory) => {
+    const { value } = await connection.getSignatureStatuses([signature], { searchTransactionHistory });
+    const st = value?.[0] || null;
+    if (st?.err) return { status: "failed", slot: st.slot ?? null, err: st.err, rebroadcasts };
+    if (st && reached(st.confirmationStatus, commitment)) {
+      return { status: st.confirmationStatus, slot: st.slot ?? null, err: null, rebroadcasts };
+    }
+    return null;
+  };
+
+  for (;;) {
+    const done = await check(false);
+    if (done) return done;
+
+    if (lastValidBlockHeight != null) {
+      const height = await connection.getBlockHeight("confirmed");
+      if (height > lastValidBlockHeight) {
+        // blockhash expired: the tx can no longer land, but it may already have
+        const late = await check(true);
+        if (late) return late;
+        return { status: "expired", slot: null, err: `blockhash expired at height ${height}`, rebroadcasts };
+      }
+    }
+
+    if (Date.now() - start > timeoutMs) {
+      return { status: "timeout", slot: null, err: `not confirmed after ${timeoutMs}ms`, rebroadcasts };
+    }
+
+    if (rawTx && Date.now() - lastSend >= rebroadcastMs) {
+      lastSend = Date.now();
+      try {
+        await connection.sendRawTransaction(rawTx, { skipPreflight: true, maxRetries: 0 });
+        rebroadcasts += 1;
+      } catch {
+        // rebroadcast is best-effort; the status poll decides the outcome
+      }
+    }
+
+    await sleepFn(pollMs);
+  }
+}
+
+/**
+ * Amount of `mint` the owner received in a confirmed Solana tx (atomic units, string).
+ * Native SOL (wSOL mint with native=true) uses the fee payer's lamport delta plus the fee.
+ */
+export async function solanaReceivedAmount({ connection, signature, owner, mint, native = false }) {
+  const tx = await connection.getTransaction(signature, {
+    commitment: "confirmed",
+    maxSupportedTransactionVersion: 0
+  });
+  const meta = tx?.meta;
+  if (!meta) return null;
+
+  if (native) {
+    const delta = BigInt(meta.postBalances[0]) - BigInt(meta.preBalances[0]) + BigInt(meta.fee || 0);
+    return delta.toString();
+  }
+
+  const sum = (list) =>
+    (list || [])
+      .filter((b) => b.owner === owner && b.mint === mint)
+      .reduce((acc, b) => acc + BigInt(b.uiTokenAmount?.amount || "0"), 0n);
+
+  return (sum(meta.postTokenBalances) - sum(meta.preTokenBalances)).toString();
+}
+
+/**
+ * Decode revert data from eth_call into a readable reason.
+ */
+export function decodeRevertReason(data) {
+  if (!data || typeof data !== "string" || data === "0x") return null;
+
+  const selector = data.slice(0, 10).toLowerCase();
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+
+  try {
+    if (selector === ERROR_STRING_SELECTOR) {
+      return coder.decode(["string"], `0x${data.slice(10)}`)[0];
+    }
+    if (selector === PANIC_SELECTOR) {
+      const code = coder.decode(["uint256"], `0x${data.slice(10)}`)[0];
+      return `Panic(0x${code.toString(16)})`;
+    }
+  } catch {
+    // malformed payload: fall through to the raw selector
+  }
+
+  return `custom error ${selector}`;
+}
+
+async function replayRevert(provider, tx, blockTag) {
+  try {
+    await provider.call({ ...tx, blockTag });
+    return null;
+  } catch (e) {
+    if (e?.reason) return e.reason;
+    return decodeRevertReason(e?.data ?? e?.info?.error?.data ?? null) || e?.shortMessage || e?.message || null;
+  }
+}
+
+/**
+ * Wait for an EVM receipt.
+ * Returns { status, blockNumber, gasUsed, fee, receipt, revertReason } where status is
+ * "confirmed" | "reverted" | "timeout".
+ */
+export async function trackEvmTx({ provider, txHash, tx = null, confirmations = 1, timeoutMs = 180000 }) {
+  let receipt;
+  try {
+    receipt = await provider.waitForTransaction(txHash, confirmations, timeoutMs);
+  } catch (e) {
+    return { status: "timeout", blockNumber: null, gasUsed: null, fee: null, receipt: null, revertReason: e?.shortMessage || e?.message || null };
+  }
+  if (!receipt) {
+    return { status: "timeout", blockNumber: null, gasUsed: null, fee: null, receipt: null, revertReason: null };
+  }
+
+  const gasPrice = receipt.gasPrice ?? receipt.effectiveGasPrice ?? 0n;
+  const fee = (BigInt(receipt.gasUsed ?? 0n) * BigInt(gasPrice)).toString();
+  const base = {
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed != null ? receipt.gasUsed.toString() : null,
+    fee,
+    receipt
+  };
+
+  if (receipt.status === 1) return { status: "confirmed", ...base, revertReason: null };
+
+  const revertReason = tx ? await replayRevert(provider, tx, receipt.blockNumber) : null;
+  return { status: "reverted", ...base, revertReason };
+}
+
+/**
+ * Sum of ERC-20 Transfer(to=owner) amounts for `token` in a receipt (atomic units, string).
+ */
+export function erc20ReceivedFromReceipt(receipt, { token, owner }) {
+  if (!receipt?.logs) return null;
+  const topicTo = ethers.zeroPadValue(owner, 32).toLowerCase();
+  let total = 0n;
+  for (const log of receipt.logs) {
+    if (String(log.address).toLowerCase() !== String(token).toLowerCase()) continue;
+    if (log.topics?.[0] !== TRANSFER_TOPIC) continue;
+    if (String(log.topics?.[2]).toLowerCase() !== topicTo) continue;
+    total += BigInt(log.data);
+  }
+  return total.toString();
+}
+
+/**
+ * Native balance received by `owner` in block `blockNumber`, net of what the tx spent
+ * (value + fee). Assumes a single swap tx from owner in that block.
+ */
+export async function evmNativeReceived({ provider, owner, blockNumber, value = 0n, fee = "0" }) {
+  const before = await provider.getBalance(owner, blockNumber - 1);
+  const after = await provider.getBalance(owner, blockNumber);
+  return (after - before + BigInt(value) + BigInt(fee)).toString();
+}
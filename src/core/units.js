@@ -0,0 +1,50 @@
+// Decimal-string <-> atomic-unit conversion.
+// Works on strings/BigInt only, so 1 SOL is exactly 1000000000 lamports
+// and 18-decimal ERC-20 amounts never go through floating point.
+
+function normalizeHuman(v) {
+  const s = String(v ?? "").trim().replace(/_/g, "");
+  if (!/^[0-9]*\.?[0-9]*$/.test(s) || s === "" || s === ".") {
+    throw new Error(`Invalid amount: ${v}`);
+  }
+  return s;
+}
+
+function checkDecimals(decimals) {
+  const d = Number(decimals);
+  if (!Number.isInteger(d) || d < 0 || d > 36) throw new Error(`Invalid decimals: ${decimals}`);
+  return d;
+}
+
+/**
+ * "1.5" + 6 decimals -> "1500000".
+ * Throws if the amount has more fractional digits than the token supports.
+ */
+export function toAtomic(amount, decimals) {
+  const d = checkDecimals(decimals);
+  const s = normalizeHuman(amount);
+  const [whole = "", frac = ""] = s.split(".");
+
+  const trimmedFrac = frac.replace(/0+$/, "");
+  if (trimmedFrac.length > d) {
+    throw new Error(`Amount ${amount} has more than ${d} decimal places`);
+  }
+
+  const atomic = BigInt(whole || "0") * 10n ** BigInt(d) + BigInt((trimmedFrac.padEnd(d, "0") || "0"));
+  return atomic.toString();
+}
+
+/**
+ * "1500000" + 6 decimals -> "1.5".
+ */
+export function fromAtomic(atomic, decimals) {
+  const d = checkDecimals(decimals);
+  const s = String(atomic ?? "").trim();
+  if (!/^[0-9]+$/.test(s)) throw new Error(`Invalid atomic amount: ${atomic}`);
+
+  const n = BigInt(s);
+  const base = 10n ** BigInt(d);
+  const whole = n / base;
+  const frac = (n % base).toString().padStart(d, "0").replace(/0+$/, "");
+  return frac ? `${whole}.${frac}` : whole.toString();
+}
@@ -0,0 +1,266 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { promisify } from "util";
+import bs58 from "bs58";
+import { Keypair } from "@solana/web3.js";
+import { ethers } from "ethers";
+
+// Passphrase-encrypted wallet vault (server.js keystore).
+// - one JSON file: scrypt KDF params + AES-256-GCM ciphertext of { wallets: { name: { type, secret } } }
+// - public index (name/type/address) stays readable while locked
+// - unlocked state lives in RAM only and auto-locks after `autoLockMs` without use
+// - scrypt runs on the libuv pool (async), so an unlock does not stall the server
+
+const VERSION = 1;
+const DEFAULT_KDF = { N: 32768, r: 8, p: 1 };
+const MIN_PASSPHRASE = 12;
+const NAME_RE = /^[a-zA-Z0-9_-]{1,32}$/;
+
+export const DEFAULT_VAULT_PATH = "onchain/vault/wallets.json";
+
+// API bounds of the idle timeout; 0 = never lock
+export const AUTO_LOCK_SEC = Object.freeze({ min: 60, max: 86_400 });
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * autoLockSec from a request/env -> ms. Accepts 0 (never lock) or an integer in AUTO_LOCK_SEC,
+ * throws on anything else.
+ */
+export function autoLockSecToMs(sec) {
+  const n = typeof sec === "string" && /^[0-9]+$/.test(sec.trim()) ? Number(sec) : sec;
+  if (n === 0) return 0;
+  if (!Number.isInteger(n) || n < AUTO_LOCK_SEC.min || n > AUTO_LOCK_SEC.max) {
+    throw new Error(`Vault: autoLockSec must be 0 (never lock) or an integer between ${AUTO_LOCK_SEC.min} and ${AUTO_LOCK_SEC.max}`);
+  }
+  return n * 1000;
+}
+
+function checkAutoLockMs(ms) {
+  if (!Number.isSafeInteger(ms) || ms < 0) throw new Error("Vault: autoLockMs must be a non-negative integer (0 = never lock)");
+  return ms;
+}
+
+async function deriveKey(passphrase, kdf) {
+  const salt = Buffer.from(kdf.salt, "base64");
+  // scrypt needs 128 * N * r bytes; leave headroom over Node's 32MB default
+  return await scrypt(String(passphrase), salt, 32, { N: kdf.N, r: kdf.r, p: kdf.p, maxmem: 256 * kdf.N * kdf.r });
+}
+
+function headerAad(doc) {
+  return Buffer.from(JSON.stringify({ version: doc.version, kdf: doc.kdf, cipher: doc.cipher }));
+}
+
+function encrypt(key, doc, payload) {
+  const iv = crypto.randomBytes(12);
+  const c = crypto.createCipheriv("aes-256-gcm", key, iv);
+  c.setAAD(headerAad(doc));
+  const ct = Buffer.concat([c.update(JSON.stringify(payload), "utf8"), c.final()]);
+  return { iv: iv.toString("base64"), tag: c.getAuthTag().toString("base64"), ciphertext: ct.toString("base64") };
+}
+
+function decrypt(key, doc) {
+  const d = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(doc.iv, "base64"));
+  d.setAAD(headerAad(doc));
+  d.setAuthTag(Buffer.from(doc.tag, "base64"));
+  try {
+    const pt = Buffer.concat([d.update(Buffer.from(doc.ciphertext, "base64")), d.final()]);
+    return JSON.parse(pt.toString("utf8"));
+  } catch {
+    throw new Error("Vault: wrong passphrase or corrupted vault file");
+  }
+}
+
+/**
+ * Normalize a raw secret and derive its address.
+ * sol: base58 or JSON array secret key; evm: 0x private key.
+ */
+export function parseWalletSecret(type, secret) {
+  const s = String(secret || "").trim();
+  if (!s) throw new Error("Vault: empty secret");
+
+  if (type === "sol") {
+    const bytes = s.startsWith("[") ? Uint8Array.from(JSON.parse(s)) : bs58.decode(s);
+    const kp = Keypair.fromSecretKey(bytes);
+    return { secret: bs58.encode(kp.secretKey), address: kp.publicKey.toBase58() };
+  }
+  if (type === "evm") {
+    const pk = s.startsWith("0x") ? s : `0x${s}`;
+    if (!/^0x[a-fA-F0-9]{64}$/.test(pk)) throw new Error("Vault: invalid EVM private key format");
+    return { secret: pk, address: new ethers.Wallet(pk).address };
+  }
+  throw new Error(`Vault: unknown wallet type ${type} (sol|evm)`);
+}
+
+/**
+ * opts:
+ * - filePath: vault file (default onchain/vault/wallets.json)
+ * - autoLockMs: idle time before the vault locks itself (0 = never)
+ * - kdf: scrypt params for new vaults ({ N, r, p })
+ *
+ * init() and unlock() are async (scrypt); everything else is sync.
+ */
+export function createWalletVault({ filePath = DEFAULT_VAULT_PATH, autoLockMs = 15 * 60_000, kdf = DEFAULT_KDF } = {}) {
+  const file = path.resolve(filePath);
+  checkAutoLockMs(autoLockMs);
+
+  // unlocked state (RAM only); a Map, so names like __proto__ are plain keys
+  let key = null;
+  let wallets = null;
+  let timer = null;
+  let lockAt = null;
+  let idleMs = autoLockMs;
+
+  function readDoc() {
+    if (!fs.existsSync(file)) throw new Error("Vault: not initialized");
+    const doc = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (doc?.version !== VERSION || doc?.cipher !== "aes-256-gcm" || doc?.kdf?.name !== "scrypt") {
+      throw new Error("Vault: unsupported vault file");
+    }
+    return doc;
+  }
+
+  function writeDoc(doc) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(doc, null, 2), { mode: 0o600 });
+    fs.renameSync(tmp, file);
+  }
+
+  function index() {
+    return [...(wallets || new Map())].map(([name, w]) => ({ name, type: w.type, address: w.address, createdAt: w.createdAt }));
+  }
+
+  function persist() {
+    const doc = readDoc();
+    const payload = { wallets: Object.fromEntries([...wallets].map(([n, w]) => [n, { type: w.type, secret: w.secret, createdAt: w.createdAt }])) };
+    writeDoc({ ...doc, ...encrypt(key, doc, payload), wallets: index() });
+  }
+
+  function touch() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    lockAt = null;
+    if (idleMs > 0) {
+      lockAt = Date.now() + idleMs;
+      timer = setTimeout(lock, idleMs);
+      timer.unref?.();
+    }
+  }
+
+  function requireUnlocked() {
+    if (!key) throw new Error("Vault: locked (POST /api/vault/unlock)");
+    touch();
+  }
+
+  function lock() {
+    if (timer) clearTimeout(timer);
+    key?.fill(0);
+    key = null;
+    wallets = null;
+    timer = null;
+    lockAt = null;
+  }
+
+  function exists() {
+    return fs.existsSync(file);
+  }
+
+  function isUnlocked() {
+    return !!key;
+  }
+
+  async function init(passphrase) {
+    if (exists()) throw new Error("Vault: already initialized");
+    if (String(passphrase || "").length < MIN_PASSPHRASE) throw new Error(`Vault: passphrase must be at least ${MIN_PASSPHRASE} characters`);
+
+    const doc = {
+      version: VERSION,
+      kdf: { name: "scrypt", N: kdf.N, r: kdf.r, p: kdf.p, salt: crypto.randomBytes(16).toString("base64") },
+      cipher: "aes-256-gcm"
+    };
+    const k = await deriveKey(passphrase, doc.kdf);
+    try {
+      // a concurrent init may have finished while scrypt ran
+      if (exists()) throw new Error("Vault: already initialized");
+      writeDoc({ ...doc, ...encrypt(k, doc, { wallets: {} }), wallets: [] });
+    } finally {
+      k.fill(0);
+    }
+  }
+
+  async function unlock(passphrase, { autoLockMs: ms = null } = {}) {
+    if (ms != null) checkAutoLockMs(ms);
+    const doc = readDoc();
+    const k = await deriveKey(passphrase, doc.kdf);
+    let payload;
+    try {
+      payload = decrypt(k, doc);
+    } catch (e) {
+      k.fill(0);
+      throw e;
+    }
+
+    lock();
+    key = k;
+    // addresses are re-derived from the secrets; the public index is never trusted
+    wallets = new Map();
+    for (const [name, w] of Object.entries(payload.wallets || {})) {
+      wallets.set(name, { type: w.type, secret: w.secret, address: parseWalletSecret(w.type, w.secret).address, createdAt: w.createdAt || null });
+    }
+    idleMs = ms != null ? ms : autoLockMs;
+    touch();
+    return status();
+  }
+
+  function status() {
+    let listed = [];
+    if (wallets) listed = index();
+    else if (exists()) {
+      try {
+        listed = readDoc().wallets || [];
+      } catch {
+        listed = [];
+      }
+    }
+    return { exists: exists(), unlocked: !!key, autoLockAt: lockAt, wallets: listed };
+  }
+
+  function addWallet({ name, type, secret }) {
+    requireUnlocked();
+    if (!NAME_RE.test(String(name || ""))) throw new Error("Vault: wallet name must be 1-32 chars [a-zA-Z0-9_-]");
+    if (wallets.has(name)) throw new Error(`Vault: wallet ${name} already exists`);
+
+    const parsed = parseWalletSecret(type, secret);
+    wallets.set(name, { type, secret: parsed.secret, address: parsed.address, createdAt: Date.now() });
+    persist();
+    return { name, type, address: parsed.address };
+  }
+
+  function removeWallet(name) {
+    requireUnlocked();
+    if (!wallets.has(name)) throw new Error(`Vault: no wallet named ${name}`);
+    wallets.delete(name);
+    persist();
+  }
+
+  // explicit name, else the first wallet of that type
+  function pick(type, name) {
+    requireUnlocked();
+    const entry = name ? wallets.get(name) : [...wallets.values()].find((w) => w.type === type);
+    if (!entry) throw new Error(name ? `Vault: no wallet named ${name}` : `Vault: no ${type} wallet`);
+    if (entry.type !== type) throw new Error(`Vault: wallet ${name} is not a ${type} wallet`);
+    return entry;
+  }
+
+  function solKeypair(name = null) {
+    return Keypair.fromSecretKey(bs58.decode(pick("sol", name).secret));
+  }
+
+  function evmWallet(name = null, provider = null) {
+    return new ethers.Wallet(pick("evm", name).secret, provider);
+  }
+
+  return { file, exists, isUnlocked, init, unlock, lock, status, addWallet, removeWallet, solKeypair, evmWallet };
+}
@@ -41,7 +41,7 @@ export class PriceOracle {
     minAgree = 2,
     maxDeviationBps = 50,
     timeoutMs = 4000,
-    staticPrices = null, // { BTC_USDT: number, USDT_USD: number }
+    staticPrices = null, // { BTC_USDT: number, BTC_USDC: number, USDT_USD: number }
     staticCount = 5,
   } = {}) {
     this.pairs = Array.isArray(pairs) ? pairs.slice() : [PAIR.BTC_USDT, PAIR.USDT_USD];
@@ -74,11 +74,11 @@ export class PriceOracle {
       if (!id) continue;
       if (id === 'static') {
         const prices = staticPrices && typeof staticPrices === 'object' ? staticPrices : {};
-        const btcUsdt = Number(prices[PAIR.BTC_USDT]);
-        const usdtUsd = Number(prices[PAIR.USDT_USD]);
         const priceMap = {};
-        if (Number.isFinite(btcUsdt) && btcUsdt > 0) priceMap[PAIR.BTC_USDT] = btcUsdt;
-        if (Number.isFinite(usdtUsd) && usdtUsd > 0) priceMap[PAIR.USDT_USD] = usdtUsd;
+        for (const pair of Object.values(PAIR)) {
+          const price = Number(prices[pair]);
+          if (Number.isFinite(price) && price > 0) priceMap[pair] = price;
+        }
         const n = Number.isFinite(staticCount) ? Math.max(1, Math.trunc(staticCount)) : 5;
         for (let i = 0; i < n; i += 1) out.push(staticProvider(`static${i + 1}`, priceMap));
         continue;
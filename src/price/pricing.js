@@ -0,0 +1,102 @@
+import { deviationBps } from './consensus.js';
+
+// Maker pricing pegged to the PriceOracle consensus (the `price_snapshot` served by the price
+// feature). A quote is the consensus median moved by a spread in the maker's favour:
+// - maker buys BTC (taker sells BTC for the token): pays median * (1 - spread)
+// - maker sells BTC (taker pays the token): asks median * (1 + spread)
+// The spread can be tiered by trade size (larger trades usually get a tighter spread).
+//
+// Config shape (prompt setup `pricing`, autopost_start `pricing`):
+//   { spread_bps, tiers: [{ min_btc_sats, spread_bps }], max_age_ms, reprice_threshold_bps }
+
+export const DEFAULT_MAKER_PRICING = Object.freeze({
+  spread_bps: 50,
+  tiers: Object.freeze([]),
+  max_age_ms: 30_000,
+  reprice_threshold_bps: 25,
+});
+
+const MAX_SPREAD_BPS = 5000;
+
+function intIn(value, { min, max, label }) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) throw new Error(`${label} must be an integer within ${min}..${max}`);
+  return n;
+}
+
+// Validates a pricing config (missing fields fall back to DEFAULT_MAKER_PRICING). Throws on bad input.
+export function normalizeMakerPricing(raw = {}, { label = 'pricing' } = {}) {
+  const cfg = raw && typeof raw === 'object' && !Array.isArray(raw) ? raw : {};
+  const d = DEFAULT_MAKER_PRICING;
+  const tiersRaw = cfg.tiers ?? [];
+  if (!Array.isArray(tiersRaw)) throw new Error(`${label}.tiers must be an array`);
+  const tiers = tiersRaw
+    .map((t, i) => ({
+      min_btc_sats: intIn(t?.min_btc_sats, { min: 1, max: 21e14, label: `${label}.tiers[${i}].min_btc_sats` }),
+      spread_bps: intIn(t?.spread_bps, { min: 0, max: MAX_SPREAD_BPS, label: `${label}.tiers[${i}].spread_bps` }),
+    }))
+    .sort((a, b) => a.min_btc_sats - b.min_btc_sats);
+  return {
+    spread_bps: intIn(cfg.spread_bps ?? d.spread_bps, { min: 0, max: MAX_SPREAD_BPS, label: `${label}.spread_bps` }),
+    tiers,
+    max_age_ms: intIn(cfg.max_age_ms ?? d.max_age_ms, { min: 1000, max: 3_600_000, label: `${label}.max_age_ms` }),
+    reprice_threshold_bps: intIn(cfg.reprice_threshold_bps ?? d.reprice_threshold_bps, {
+      min: 0,
+      max: MAX_SPREAD_BPS,
+      label: `${label}.reprice_threshold_bps`,
+    }),
+  };
+}
+
+// Spread of the largest tier the trade reaches (base spread below the first tier).
+export function spreadBpsForSize(pricing, btcSats) {
+  let bps = pricing.spread_bps;
+  for (const t of pricing.tiers) if (btcSats >= t.min_btc_sats) bps = t.spread_bps;
+  return bps;
+}
+
+// Consensus median for `pair` from a price snapshot -> { ok, error, median, ts }.
+// Refuses a pair without consensus and a snapshot older than maxAgeMs.
+export function consensusPrice(snapshot, pair, { maxAgeMs = DEFAULT_MAKER_PRICING.max_age_ms, nowMs = Date.now() } = {}) {
+  if (!snapshot || snapshot.type !== 'price_snapshot') return { ok: false, error: 'no price snapshot', median: null, ts: null };
+  const row = snapshot.pairs?.[pair];
+  if (!row) return { ok: false, error: `${pair} not in price snapshot`, median: null, ts: null };
+  if (!row.ok) return { ok: false, error: `${pair} consensus not ok: ${row.error || 'unknown'}`, median: null, ts: null };
+  const median = Number(row.median);
+  if (!Number.isFinite(median) || median <= 0) return { ok: false, error: `${pair} median invalid`, median: null, ts: null };
+  const ts = Number(snapshot.ts);
+  const ageMs = Number.isFinite(ts) ? nowMs - ts : Infinity;
+  if (ageMs > maxAgeMs) return { ok: false, error: `${pair} price stale (age_ms=${ageMs}, max_age_ms=${maxAgeMs})`, median, ts };
+  return { ok: true, error: null, median, ts };
+}
+
+// Token amount (atomic, decimal string) for btcSats at `median` (token per BTC) moved by the spread.
+export function peggedAmount({ btcSats, median, decimals = 6, spreadBps = 0, makerBuysBtc = true }) {
+  const pricePerBtc = BigInt(Math.round(Number(median) * 10 ** decimals));
+  const factor = BigInt(makerBuysBtc ? 10_000 - spreadBps : 10_000 + spreadBps);
+  const num = pricePerBtc * BigInt(btcSats) * factor;
+  const den = 100_000_000n * 10_000n;
+  // Round in the maker's favour.
+  return (makerBuysBtc ? num / den : (num + den - 1n) / den).toString();
+}
+
+// Full maker quote -> { ok, error, usdt_amount, price_ref }. price_ref ({ pair, median, ts, spread_bps })
+// goes into QUOTE/TERMS bodies and receipts so fills can be compared with the reference later.
+export function priceMaker({ snapshot, pricing, pair, btcSats, decimals = 6, makerBuysBtc = true, nowMs = Date.now() }) {
+  const px = consensusPrice(snapshot, pair, { maxAgeMs: pricing.max_age_ms, nowMs });
+  if (!px.ok) return { ok: false, error: px.error, usdt_amount: null, price_ref: null };
+  const spreadBps = spreadBpsForSize(pricing, btcSats);
+  return {
+    ok: true,
+    error: null,
+    usdt_amount: peggedAmount({ btcSats, median: px.median, decimals, spreadBps, makerBuysBtc }),
+    price_ref: { pair, median: String(px.median), ts: px.ts, spread_bps: spreadBps },
+  };
+}
+
+// True when the price moved far enough from the last posted reference to re-price.
+export function shouldReprice(pricing, lastMedian, median) {
+  if (lastMedian === null || lastMedian === undefined) return true;
+  const moved = deviationBps(median, lastMedian);
+  return moved === null || moved >= pricing.reprice_threshold_bps;
+}
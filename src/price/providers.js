@@ -43,6 +43,7 @@ function provider(id, { supports, fetcher }) {
 
 export const PAIR = Object.freeze({
   BTC_USDT: 'BTC_USDT',
+  BTC_USDC: 'BTC_USDC',
   USDT_USD: 'USDT_USD',
 });
 
@@ -52,9 +53,10 @@ export function createDefaultProviders() {
   providers.set(
     'binance',
     provider('binance', {
-      supports: [PAIR.BTC_USDT],
-      fetcher: async (_pair, { timeoutMs }) => {
-        const j = await fetchJson('https://api.binance.com/api/v3/ticker/bookTicker?symbol=BTCUSDT', { timeoutMs });
+      supports: [PAIR.BTC_USDT, PAIR.BTC_USDC],
+      fetcher: async (pair, { timeoutMs }) => {
+        const symbol = pair === PAIR.BTC_USDC ? 'BTCUSDC' : 'BTCUSDT';
+        const j = await fetchJson(`https://api.binance.com/api/v3/ticker/bookTicker?symbol=${symbol}`, { timeoutMs });
         const p = mid(j?.bidPrice, j?.askPrice, j?.lastPrice);
         if (p === null) throw new Error('missing bid/ask');
         return p;
@@ -65,13 +67,10 @@ export function createDefaultProviders() {
   providers.set(
     'coinbase',
     provider('coinbase', {
-      supports: [PAIR.BTC_USDT, PAIR.USDT_USD],
+      supports: [PAIR.BTC_USDT, PAIR.BTC_USDC, PAIR.USDT_USD],
       fetcher: async (pair, { timeoutMs }) => {
-        const url =
-          pair === PAIR.BTC_USDT
-            ? 'https://api.exchange.coinbase.com/products/BTC-USDT/ticker'
-            : 'https://api.exchange.coinbase.com/products/USDT-USD/ticker';
-        const j = await fetchJson(url, { timeoutMs });
+        const product = { [PAIR.BTC_USDT]: 'BTC-USDT', [PAIR.BTC_USDC]: 'BTC-USDC', [PAIR.USDT_USD]: 'USDT-USD' }[pair];
+        const j = await fetchJson(`https://api.exchange.coinbase.com/products/${product}/ticker`, { timeoutMs });
         const p = mid(j?.bid, j?.ask, j?.price);
         if (p === null) throw new Error('missing bid/ask');
         return p;
@@ -82,9 +81,10 @@ export function createDefaultProviders() {
   providers.set(
     'gate',
     provider('gate', {
-      supports: [PAIR.BTC_USDT, PAIR.USDT_USD],
+      supports: [PAIR.BTC_USDT, PAIR.BTC_USDC, PAIR.USDT_USD],
       fetcher: async (pair, { timeoutMs }) => {
-        const currencyPair = pair === PAIR.BTC_USDT ? 'BTC_USDT' : 'USDT_USD';
+        // Gate's currency pairs are spelled like ours.
+        const currencyPair = pair;
         const url = `https://api.gateio.ws/api/v4/spot/tickers?currency_pair=${encodeURIComponent(currencyPair)}`;
         const j = await fetchJson(url, { timeoutMs });
         const row = Array.isArray(j) ? j[0] : null;
@@ -98,9 +98,10 @@ export function createDefaultProviders() {
   providers.set(
     'kucoin',
     provider('kucoin', {
-      supports: [PAIR.BTC_USDT],
-      fetcher: async (_pair, { timeoutMs }) => {
-        const j = await fetchJson('https://api.kucoin.com/api/v1/market/orderbook/level1?symbol=BTC-USDT', { timeoutMs });
+      supports: [PAIR.BTC_USDT, PAIR.BTC_USDC],
+      fetcher: async (pair, { timeoutMs }) => {
+        const symbol = pair === PAIR.BTC_USDC ? 'BTC-USDC' : 'BTC-USDT';
+        const j = await fetchJson(`https://api.kucoin.com/api/v1/market/orderbook/level1?symbol=${symbol}`, { timeoutMs });
         const p = mid(j?.data?.bestBid, j?.data?.bestAsk, j?.data?.price);
         if (p === null) throw new Error('missing bid/ask');
         return p;
@@ -111,9 +112,9 @@ export function createDefaultProviders() {
   providers.set(
     'okx',
     provider('okx', {
-      supports: [PAIR.BTC_USDT, PAIR.USDT_USD],
+      supports: [PAIR.BTC_USDT, PAIR.BTC_USDC, PAIR.USDT_USD],
       fetcher: async (pair, { timeoutMs }) => {
-        const instId = pair === PAIR.BTC_USDT ? 'BTC-USDT' : 'USDT-USD';
+        const instId = { [PAIR.BTC_USDT]: 'BTC-USDT', [PAIR.BTC_USDC]: 'BTC-USDC', [PAIR.USDT_USD]: 'USDT-USD' }[pair];
         const j = await fetchJson(`https://www.okx.com/api/v5/market/ticker?instId=${encodeURIComponent(instId)}`, { timeoutMs });
         const row = Array.isArray(j?.data) ? j.data[0] : null;
         const p = mid(row?.bidPx, row?.askPx, row?.last);
@@ -126,9 +127,9 @@ export function createDefaultProviders() {
   providers.set(
     'bitstamp',
     provider('bitstamp', {
-      supports: [PAIR.BTC_USDT, PAIR.USDT_USD],
+      supports: [PAIR.BTC_USDT, PAIR.BTC_USDC, PAIR.USDT_USD],
       fetcher: async (pair, { timeoutMs }) => {
-        const path = pair === PAIR.BTC_USDT ? 'btcusdt' : 'usdtusd';
+        const path = { [PAIR.BTC_USDT]: 'btcusdt', [PAIR.BTC_USDC]: 'btcusdc', [PAIR.USDT_USD]: 'usdtusd' }[pair];
         const j = await fetchJson(`https://www.bitstamp.net/api/v2/ticker/${path}/`, { timeoutMs });
         const p = mid(j?.bid, j?.ask, j?.last);
         if (p === null) throw new Error('missing bid/ask');
@@ -140,10 +141,10 @@ export function createDefaultProviders() {
   providers.set(
     'kraken',
     provider('kraken', {
-      supports: [PAIR.BTC_USDT, PAIR.USDT_USD],
+      supports: [PAIR.BTC_USDT, PAIR.BTC_USDC, PAIR.USDT_USD],
       fetcher: async (pair, { timeoutMs }) => {
         // Kraken uses XBT for BTC.
-        const pairCode = pair === PAIR.BTC_USDT ? 'XBTUSDT' : 'USDTUSD';
+        const pairCode = { [PAIR.BTC_USDT]: 'XBTUSDT', [PAIR.BTC_USDC]: 'XBTUSDC', [PAIR.USDT_USD]: 'USDTUSD' }[pair];
         const j = await fetchJson(`https://api.kraken.com/0/public/Ticker?pair=${encodeURIComponent(pairCode)}`, { timeoutMs });
         const result = j?.result && typeof j.result === 'object' ? j.result : null;
         const key = result ? Object.keys(result)[0] : null;
@@ -158,9 +159,10 @@ export function createDefaultProviders() {
   providers.set(
     'bybit',
     provider('bybit', {
-      supports: [PAIR.BTC_USDT],
-      fetcher: async (_pair, { timeoutMs }) => {
-        const j = await fetchJson('https://api.bybit.com/v5/market/tickers?category=spot&symbol=BTCUSDT', { timeoutMs });
+      supports: [PAIR.BTC_USDT, PAIR.BTC_USDC],
+      fetcher: async (pair, { timeoutMs }) => {
+        const symbol = pair === PAIR.BTC_USDC ? 'BTCUSDC' : 'BTCUSDT';
+        const j = await fetchJson(`https://api.bybit.com/v5/market/tickers?category=spot&symbol=${symbol}`, { timeoutMs });
         const row = Array.isArray(j?.result?.list) ? j.result.list[0] : null;
         const p = mid(row?.bid1Price, row?.ask1Price, row?.lastPrice);
         if (p === null) throw new Error('missing bid/ask');
@@ -172,9 +174,10 @@ export function createDefaultProviders() {
   providers.set(
     'mexc',
     provider('mexc', {
-      supports: [PAIR.BTC_USDT],
-      fetcher: async (_pair, { timeoutMs }) => {
-        const j = await fetchJson('https://api.mexc.com/api/v3/ticker/bookTicker?symbol=BTCUSDT', { timeoutMs });
+      supports: [PAIR.BTC_USDT, PAIR.BTC_USDC],
+      fetcher: async (pair, { timeoutMs }) => {
+        const symbol = pair === PAIR.BTC_USDC ? 'BTCUSDC' : 'BTCUSDT';
+        const j = await fetchJson(`https://api.mexc.com/api/v3/ticker/bookTicker?symbol=${symbol}`, { timeoutMs });
         const p = mid(j?.bidPrice, j?.askPrice, j?.lastPrice);
         if (p === null) throw new Error('missing bid/ask');
         return p;
@@ -1,5 +1,8 @@
 import { randomBytes } from 'node:crypto';
 
+import { consensusPrice, normalizeMakerPricing, priceMaker, shouldReprice } from '../price/pricing.js';
+import { isRangeOfferLine, offerLinePricePair } from '../swap/offerLines.js';
+
 function isObject(v) {
   return v && typeof v === 'object' && !Array.isArray(v);
 }
@@ -48,15 +51,49 @@ function shouldStopForInsufficientFundsError(msg) {
   );
 }
 
+// Re-pegs the fixed offer lines of a priced job to the oracle consensus (maker buys BTC with the
+// token). Lines are only rewritten once the median moved past reprice_threshold_bps since the last
+// posting, so offers stay stable between small ticks. -> { ok, error }; on error nothing is changed.
+function repriceOfferLines(job, snapshot) {
+  const offers = Array.isArray(job.args?.offers) ? job.args.offers : [];
+  const next = new Map(); // offer index -> usdt_amount
+  const refs = {};
+  for (let i = 0; i < offers.length; i += 1) {
+    const o = isObject(offers[i]) ? offers[i] : null;
+    if (!o || isRangeOfferLine(o)) continue;
+    const pair = offerLinePricePair(o);
+    if (!pair) continue;
+    const px = consensusPrice(snapshot, pair, { maxAgeMs: job.pricing.max_age_ms });
+    if (!px.ok) return { ok: false, error: px.error };
+    const last = job.priceRefs[pair];
+    if (last && !shouldReprice(job.pricing, Number(last.median), px.median)) continue;
+    const priced = priceMaker({
+      snapshot,
+      pricing: job.pricing,
+      pair,
+      btcSats: Number(o.btc_sats),
+      decimals: Number.isInteger(o.sol_asset?.decimals) ? o.sol_asset.decimals : 6,
+      makerBuysBtc: true,
+    });
+    if (!priced.ok) return { ok: false, error: priced.error };
+    next.set(i, priced.usdt_amount);
+    refs[pair] = priced.price_ref;
+  }
+  for (const [i, amount] of next) offers[i].usdt_amount = amount;
+  Object.assign(job.priceRefs, refs);
+  return { ok: true, error: null };
+}
+
 // Simple in-process scheduler for periodic postings (offer/rfq).
 // Intentionally *not* a general job runner: it only supports a small allowlist
 // of tools and strictly controlled argument shaping.
 export class AutopostManager {
-  constructor({ runTool, getTrade = null, listTrades = null }) {
+  constructor({ runTool, getTrade = null, listTrades = null, getPriceSnapshot = null }) {
     if (typeof runTool !== 'function') throw new Error('AutopostManager: runTool function required');
     this.runTool = runTool;
     this.getTrade = typeof getTrade === 'function' ? getTrade : null;
     this.listTrades = typeof listTrades === 'function' ? listTrades : null;
+    this.getPriceSnapshot = typeof getPriceSnapshot === 'function' ? getPriceSnapshot : null;
     this.jobs = new Map(); // name -> job
   }
 
@@ -77,6 +114,7 @@ export class AutopostManager {
         last_run_at: j.lastRunAt,
         last_ok: j.lastOk,
         last_error: j.lastError,
+        ...(j.pricing ? { pricing: j.pricing, price_refs: j.priceRefs } : {}),
       });
     }
     // newest first
@@ -84,7 +122,7 @@ export class AutopostManager {
     return { type: 'autopost_status', jobs: out };
   }
 
-  async start({ name, tool, interval_sec, ttl_sec, valid_until_unix, args }) {
+  async start({ name, tool, interval_sec, ttl_sec, valid_until_unix, args, pricing = null }) {
     let n = String(name || '').trim();
     if (!n) throw new Error('autopost_start: name is required');
     const requestedName = n;
@@ -112,6 +150,14 @@ export class AutopostManager {
     const baseArgs = safeCloneArgs(args);
     if (!isObject(baseArgs)) throw new Error('autopost_start: args must be an object');
 
+    // Oracle-pegged offers: fixed lines follow the price consensus (src/price/pricing.js).
+    let jobPricing = null;
+    if (pricing !== null && pricing !== undefined) {
+      if (t !== 'intercomswap_offer_post') throw new Error('autopost_start: pricing is only supported for offer_post');
+      if (!this.getPriceSnapshot) throw new Error('autopost_start: pricing requires a price feed');
+      jobPricing = normalizeMakerPricing(pricing, { label: 'autopost_start: pricing' });
+    }
+
     const nowSec = Math.floor(Date.now() / 1000);
     // Autopost MUST NOT extend validity. It runs until an absolute expiry and then stops.
     const validUntilUnixRaw = valid_until_unix === null || valid_until_unix === undefined ? null : clampInt(valid_until_unix, { min: 1 });
@@ -131,6 +177,8 @@ export class AutopostManager {
       args: baseArgs,
       tradeId: t === 'intercomswap_rfq_post' && typeof baseArgs?.trade_id === 'string' ? String(baseArgs.trade_id).trim() : null,
       peerSignerHex: null,
+      pricing: jobPricing,
+      priceRefs: {}, // pair -> price_ref of the last re-pricing
       runs: 0,
       startedAt: Date.now(),
       lastRunAt: null,
@@ -197,16 +245,22 @@ export class AutopostManager {
               const usdtAmount = String(tr.usdt_amount || '').trim();
               if (!Number.isInteger(btcSats) || btcSats < 1) continue;
               if (!/^[0-9]+$/.test(usdtAmount)) continue;
-              const key = `${btcSats}:${usdtAmount}`;
+              // Priced lines change usdt_amount between postings, so they match by size only.
+              const key = job.pricing ? `${btcSats}` : `${btcSats}:${usdtAmount}`;
               removeCounts.set(key, (removeCounts.get(key) || 0) + 1);
             }
             if (removeCounts.size > 0) {
               const nextOffers = [];
               for (const o of offers) {
                 if (!isObject(o)) continue;
+                // Range lines take many trades; offer_post retires them once their capacity is used up.
+                if (isRangeOfferLine(o)) {
+                  nextOffers.push(o);
+                  continue;
+                }
                 const btcSats = Number(o.btc_sats);
                 const usdtAmount = String(o.usdt_amount || '').trim();
-                const key = `${btcSats}:${usdtAmount}`;
+                const key = job.pricing ? `${btcSats}` : `${btcSats}:${usdtAmount}`;
                 const n = removeCounts.get(key) || 0;
                 if (n > 0) {
                   removeCounts.set(key, n - 1);
@@ -241,6 +295,23 @@ export class AutopostManager {
         }
       }
 
+      // Priced offers pause (no repost) while the price feed is missing or stale, so stale prices are
+      // never re-advertised. The last posting still expires on its own valid_until_unix.
+      if (job.pricing) {
+        let repriced = null;
+        try {
+          repriced = repriceOfferLines(job, await this.getPriceSnapshot());
+        } catch (err) {
+          repriced = { ok: false, error: err?.message ?? String(err) };
+        }
+        if (!repriced.ok) {
+          job.lastRunAt = Date.now();
+          job.lastOk = false;
+          job.lastError = `price_unavailable: ${repriced.error}`;
+          return { type: 'autopost_skipped', name: job.name, reason: 'price_unavailable', error: repriced.error };
+        }
+      }
+
       const runArgs = safeCloneArgs(job.args);
       if (t === 'intercomswap_offer_post') {
         // Keep discoverability via periodic repost, but do NOT extend expiry.
@@ -268,6 +339,10 @@ export class AutopostManager {
         job.lastOk = false;
         const msg = err?.message ?? String(err);
         job.lastError = msg;
+        if (/offer_depleted/i.test(msg)) {
+          stopJob('filled');
+          return { type: 'autopost_stopped', name: job.name, ok: true, reason: 'filled', error: msg };
+        }
         if (shouldStopForInsufficientFundsError(msg)) {
           stopJob('insufficient_funds');
           return { type: 'autopost_stopped', name: job.name, ok: true, reason: 'insufficient_funds', error: msg };
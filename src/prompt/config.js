@@ -1,6 +1,8 @@
 import fs from 'node:fs';
 import path from 'node:path';
 
+import { normalizeMakerPricing } from '../price/pricing.js';
+
 function isObject(v) {
   return v && typeof v === 'object' && !Array.isArray(v);
 }
@@ -117,7 +119,8 @@ export const DEFAULT_PROMPT_SETUP_PATH = 'onchain/prompt/setup.json';
   //   "sc_bridge": { "url": "ws://127.0.0.1:49222", "token": "...", "token_file": "onchain/sc-bridge/peer.token" },
   //   "receipts": { "db": "onchain/receipts/maker.sqlite" },
   //   "ln": { "wallet_password_file": "onchain/lnd/<network>/wallet.pw", ... },
-  //   "solana": { ... }
+  //   "solana": { ... },
+  //   "pricing": { "spread_bps": 50, "tiers": [{ "min_btc_sats": 1000000, "spread_bps": 30 }], "max_age_ms": 30000 }
   // }
   export function loadPromptSetupFromFile({ configPath = DEFAULT_PROMPT_SETUP_PATH, cwd = process.cwd() } = {}) {
   const baseDir = path.resolve(cwd);
@@ -261,11 +264,16 @@ export const DEFAULT_PROMPT_SETUP_PATH = 'onchain/prompt/setup.json';
     commitment: normalizeString(solRaw.commitment, { allowEmpty: true }) || 'confirmed',
     programId: normalizeString(solRaw.program_id, { allowEmpty: true }) || '',
     usdtMint: normalizeString(solRaw.usdt_mint, { allowEmpty: true }) || '',
+    // Extra settlement assets: [{ asset: 'USDC_SOL', mint, decimals, price_pair? }] (src/swap/assets.js).
+    assets: Array.isArray(solRaw.assets) ? solRaw.assets.filter(isObject) : [],
     keypairPath: resolvePath(baseDir, solRaw.keypair || ''),
     computeUnitLimit: parseIntLike(solRaw.cu_limit, null),
     computeUnitPriceMicroLamports: parseIntLike(solRaw.cu_price, null),
   };
 
+  // Oracle-pegged maker pricing (src/price/pricing.js); defaults apply when the section is missing.
+  const pricing = normalizeMakerPricing(isObject(raw.pricing) ? raw.pricing : {}, { label: `pricing (${resolved})` });
+
   return {
     configPath: resolved,
     agent,
@@ -276,5 +284,6 @@ export const DEFAULT_PROMPT_SETUP_PATH = 'onchain/prompt/setup.json';
     receipts,
     ln,
     solana,
+    pricing,
   };
 }
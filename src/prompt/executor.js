@@ -22,11 +22,29 @@ import {
 import { ScBridgeClient } from '../sc-bridge/client.js';
 import { createUnsignedEnvelope, attachSignature, signUnsignedEnvelopeHex, verifySignedEnvelope } from '../protocol/signedMessage.js';
 import { validateSwapEnvelope } from '../swap/schema.js';
-import { ASSET, KIND, PAIR } from '../swap/constants.js';
+import { ASSET, DIRECTION, KIND, PAIR, SWAP_DIRECTIONS } from '../swap/constants.js';
+import { swapRoles } from '../swap/roles.js';
+import {
+  registerConfiguredSwapAssets,
+  settlementAsset,
+  swapAssets,
+  swapDirectionsFor,
+  swapPairFor,
+} from '../swap/assets.js';
 import { INTERCOMSWAP_APP_TAG, deriveIntercomswapAppHash } from '../swap/app.js';
 import { hashUnsignedEnvelope, sha256Hex } from '../swap/hash.js';
 import { deriveOfferListingId } from '../swap/listings.js';
-import { hashTermsEnvelope } from '../swap/terms.js';
+import {
+  checkOfferLineCapacity,
+  isRangeOfferLine,
+  matchRfqToOfferLine,
+  offerLinePricePair,
+  offerLineRemaining,
+  validateOfferLineTerms,
+} from '../swap/offerLines.js';
+import { checkBodyAgainstRfq, hashTermsEnvelope } from '../swap/terms.js';
+import { rankQuotes } from '../swap/quoteSelection.js';
+import { consensusPrice, normalizeMakerPricing, priceMaker } from '../price/pricing.js';
 import { verifySwapPrePayOnchain } from '../swap/verify.js';
 import { AutopostManager } from './autopost.js';
 import { TradeAutoManager } from './tradeAuto.js';
@@ -156,6 +174,25 @@ function normalizeHex32(hex, label = 'hex32') {
   return s;
 }
 
+// quote_accept `rejected_quotes`: the other quotes considered for the same RFQ (logged to receipts).
+function parseRejectedQuotes(value, toolName) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) throw new Error(`${toolName}: rejected_quotes must be an array`);
+  if (value.length > 50) throw new Error(`${toolName}: rejected_quotes too long (max 50)`);
+  return value.map((r, i) => {
+    if (!isObject(r)) throw new Error(`${toolName}: rejected_quotes[${i}] must be an object`);
+    const scoreBps = r.score_bps === undefined || r.score_bps === null ? null : Number(r.score_bps);
+    if (scoreBps !== null && !Number.isFinite(scoreBps)) throw new Error(`${toolName}: rejected_quotes[${i}].score_bps must be a number`);
+    const signer = String(r.signer || '').trim().toLowerCase();
+    return {
+      quote_id: normalizeHex32(r.quote_id, `${toolName}: rejected_quotes[${i}].quote_id`),
+      signer: /^[0-9a-f]{64}$/.test(signer) ? signer : null,
+      reason: String(r.reason || '').trim().slice(0, 200) || 'unspecified',
+      ...(scoreBps !== null ? { score_bps: scoreBps } : {}),
+    };
+  });
+}
+
 function normalizeHex33(hex, label = 'hex33') {
   const s = String(hex || '').trim().toLowerCase();
   if (!/^[0-9a-f]{66}$/.test(s)) throw new Error(`${label} must be 33-byte hex`);
@@ -542,6 +579,50 @@ function extractOfferLineListingLockFromQuote(quoteEnvelope, { toolName = 'tool'
   });
 }
 
+// Range offer lines are consumed by one `offer_fill` lock per trade (instead of a single
+// offer_line lock), so several trades can fill the same line while capacity lasts.
+function buildOfferFillListingLock(offerLineListing, tradeId) {
+  const id = String(tradeId || '').trim();
+  if (!id) throw new Error('trade_id is required');
+  return {
+    listingKey: `offer_fill:${offerLineListing.listingId}:${id}`,
+    listingType: 'offer_fill',
+    listingId: offerLineListing.listingId,
+    offerId: offerLineListing.offerId,
+    offerLineIndex: offerLineListing.offerLineIndex,
+  };
+}
+
+function listOfferLineFills(store, offerLineListing, { excludeTradeId = '' } = {}) {
+  const skip = String(excludeTradeId || '').trim();
+  const rows = store.listListingLocksByListing('offer_fill', offerLineListing.listingId, { limit: 2000 });
+  return rows
+    .filter((row) => !skip || String(row?.trade_id || '').trim() !== skip)
+    .map((row) => {
+      let meta = null;
+      try {
+        meta = row?.meta_json ? JSON.parse(row.meta_json) : null;
+      } catch (_e) {
+        meta = null;
+      }
+      return { state: row.state, btc_sats: meta?.btc_sats || 0, usdt_amount: String(meta?.usdt_amount || '0') };
+    });
+}
+
+// Throws listing_filled / listing_in_progress (like ensureListingLockAvailable) when the range line
+// cannot take `want` ({ btc_sats, usdt_amount }) next to the fills of other trades.
+function ensureOfferLineCapacity({ store, listing, line, want, tradeId = '', toolName = 'tool' } = {}) {
+  if (!store || !listing || !line) return null;
+  const fills = listOfferLineFills(store, listing, { excludeTradeId: tradeId });
+  const cap = checkOfferLineCapacity(line, fills, want);
+  if (!cap.ok) {
+    throw new Error(
+      `${toolName}: ${cap.error} (${listing.listingType}:${listing.listingId}, remaining_btc_sats=${cap.remaining.btc_sats})`
+    );
+  }
+  return cap.remaining;
+}
+
 function ensureListingLockAvailable({
   store,
   listing,
@@ -718,6 +799,15 @@ async function assertLnInboundLiquidity({ ln, requiredSats, mode, toolName }) {
   };
 }
 
+// Lightning leg of the local side ('maker' | 'taker') for a swap direction: the LN payer needs
+// outbound liquidity, the LN receiver inbound (src/swap/roles.js).
+async function assertLnLiquidityForSide({ ln, direction, side, requiredSats, mode, toolName }) {
+  const roles = swapRoles(direction);
+  if (!roles) throw new Error(`${toolName}: unsupported direction ${direction}`);
+  const assertFn = roles.ln_payer === side ? assertLnOutboundLiquidity : assertLnInboundLiquidity;
+  return assertFn({ ln, requiredSats, mode, toolName });
+}
+
 function normalizeTraceText(value, { max = 320 } = {}) {
   const s = String(value || '')
     .replace(/\s+/g, ' ')
@@ -948,8 +1038,9 @@ async function maybeAssertLocalUsdtFunding({
   requiredAtomic,
   totalFeeBps,
   context = 'line',
+  mint: mintOverride = null,
 }) {
-  const mintStr = String(executor?.solana?.usdtMint || '').trim();
+  const mintStr = String(mintOverride || executor?.solana?.usdtMint || '').trim();
   if (!mintStr) {
     return { ok: true, skipped: true, reason: 'solana.usdt_mint not configured' };
   }
@@ -981,7 +1072,7 @@ async function maybeAssertLocalUsdtFunding({
   }
   if (haveUsdt < requiredWithFees) {
     throw new Error(
-      `${toolName}: insufficient USDT balance (${context}; need_atomic=${requiredWithFees.toString()}, have_atomic=${haveUsdt.toString()}, mint=${mint.toBase58()})`
+      `${toolName}: insufficient ${mintOverride ? 'token' : 'USDT'} balance (${context}; need_atomic=${requiredWithFees.toString()}, have_atomic=${haveUsdt.toString()}, mint=${mint.toBase58()})`
     );
   }
   return {
@@ -994,6 +1085,50 @@ async function maybeAssertLocalUsdtFunding({
   };
 }
 
+// Settlement asset named by a tool's `asset` arg. Without the arg the envelopes stay legacy
+// USDT_SOL (no sol_asset) so older peers keep parsing them. The mint is the one this node is
+// configured with (solana.usdt_mint / solana.assets), else the registry default; `mint` pins
+// another allow-listed mint (e.g. terms_post sol_mint).
+function resolveToolAsset(executor, toolName, asset, { mint = null } = {}) {
+  if (asset === null || asset === undefined) {
+    return { asset: ASSET.USDT_SOL, ref: null, pair: PAIR.BTC_LN__USDT_SOL, directions: SWAP_DIRECTIONS };
+  }
+  if (!swapAssets.has(asset)) {
+    const known = swapAssets.list().map((a) => a.asset).join(', ');
+    throw new Error(`${toolName}: asset ${asset} is not allow-listed (${known})`);
+  }
+  const configured = (Array.isArray(executor?.solana?.assets) ? executor.solana.assets : []).find((a) => a?.asset === asset);
+  const localMint =
+    mint ||
+    String(configured?.mint || '').trim() ||
+    (asset === ASSET.USDT_SOL ? String(executor?.solana?.usdtMint || '').trim() : '') ||
+    null;
+  let ref;
+  try {
+    ref = swapAssets.ref(asset, { mint: localMint });
+  } catch (err) {
+    throw new Error(`${toolName}: ${err?.message ?? String(err)}`);
+  }
+  return { asset, ref, pair: swapPairFor(asset), directions: swapDirectionsFor(asset) };
+}
+
+// pair + sol_asset a QUOTE / TERMS copies from the envelope it answers.
+function settlementFieldsOf(body) {
+  const ref = isObject(body?.sol_asset) ? body.sol_asset : null;
+  return {
+    pair: swapPairFor(settlementAsset(body)),
+    ...(ref ? { sol_asset: { asset: ref.asset, mint: ref.mint, decimals: ref.decimals } } : {}),
+  };
+}
+
+// { asset, symbol, decimals } an envelope settles in, for showing its amounts. Validated envelopes
+// only name registered assets.
+function settlementAssetInfo(body) {
+  const asset = settlementAsset(body);
+  const entry = swapAssets.get(asset);
+  return { asset, symbol: entry?.symbol || asset, decimals: entry?.decimals ?? null };
+}
+
 function assertRefundAfterUnixWindow(refundAfterUnix, toolName) {
   const now = Math.floor(Date.now() / 1000);
   const delta = Number(refundAfterUnix) - now;
@@ -1365,12 +1500,17 @@ export class ToolExecutor {
     ln,
     solana,
     receipts,
+    pricing = null,
   }) {
     this.scBridge = scBridge; // { url, token }
     this.peer = peer; // { keypairPath }
     this.ln = ln; // config object passed to src/ln/client.js
-    this.solana = solana; // { rpcUrls, commitment, programId, keypairPath, computeUnitLimit, computeUnitPriceMicroLamports }
+    this.solana = solana; // { rpcUrls, commitment, programId, usdtMint, assets, keypairPath, computeUnitLimit, computeUnitPriceMicroLamports }
     this.receipts = receipts; // { dbPath }
+    this.pricing = normalizeMakerPricing(pricing || {}); // oracle-pegged quotes (src/price/pricing.js)
+
+    // Configured mints join the settlement asset registry used by envelope validation.
+    registerConfiguredSwapAssets(solana || {});
 
     // Persistent SC-Bridge session for subscriptions + event polling.
     this._sc = null;
@@ -1465,6 +1605,7 @@ export class ToolExecutor {
 	        });
 	        return out.slice(0, n);
 	      },
+	      getPriceSnapshot: async () => withScBridge(this.scBridge, (sc) => sc.priceGet()),
 	    });
 
     this._tradeAuto = new TradeAutoManager({
@@ -1476,6 +1617,9 @@ export class ToolExecutor {
           process.stderr.write(`${String(msg || '').trim()}\n`);
         } catch (_e) {}
       },
+      makerStats: (signers) => this._makerStatsFor(signers),
+      recordQuoteRejections: (tradeId, rejected) => this._recordQuoteRejections(tradeId, rejected),
+      priceMaxAgeMs: this.pricing.max_age_ms,
     });
 
     // Serialize terminal-receipt writes triggered from sidechannel event handlers.
@@ -1966,6 +2110,143 @@ export class ToolExecutor {
     return null;
   }
 
+  // signer -> { completed, failed, open, other } from local receipts (empty when receipts are not configured).
+  async _makerStatsFor(signers) {
+    const out = new Map();
+    const store = await this._openReceiptsStore({ required: false });
+    if (!store) return out;
+    try {
+      for (const signer of signers) out.set(signer, store.getMakerStats(signer));
+    } finally {
+      try {
+        store.close();
+      } catch (_e) {}
+    }
+    return out;
+  }
+
+  // Latest RFQ this node posted for a trade (the taker's own terms: direction, size, asset).
+  _findLocalRfqEnvelope(tradeId = '') {
+    const needTradeId = String(tradeId || '').trim();
+    if (!needTradeId) return null;
+    for (let i = this._scLog.length - 1; i >= 0; i -= 1) {
+      const evt = this._scLog[i];
+      const msg = evt?.message;
+      if (!isObject(msg) || String(msg.kind || '').trim() !== KIND.RFQ) continue;
+      if (String(msg.trade_id || '').trim() !== needTradeId) continue;
+      if (evt?.local || String(evt?.dir || '') === 'out') return msg;
+    }
+    return null;
+  }
+
+  // quote_rejected receipts events for quotes dropped without an accept (errors reach the caller).
+  async _recordQuoteRejections(tradeId, rejected) {
+    const store = await this._openReceiptsStore({ required: false });
+    if (!store) return 0;
+    try {
+      for (const r of rejected) store.appendEvent(tradeId, 'quote_rejected', r);
+      return rejected.length;
+    } finally {
+      try {
+        store.close();
+      } catch (_e) {}
+    }
+  }
+
+  _findTermsEnvelopeByHash({ termsHash = '', tradeId = '' } = {}) {
+    const needHash = String(termsHash || '').trim().toLowerCase();
+    const needTradeId = String(tradeId || '').trim();
+    if (!needHash) return null;
+    for (let i = this._scLog.length - 1; i >= 0; i -= 1) {
+      const msg = this._scLog[i]?.message;
+      if (!isObject(msg) || String(msg.kind || '').trim() !== KIND.TERMS) continue;
+      if (needTradeId && String(msg.trade_id || '').trim() !== needTradeId) continue;
+      try {
+        if (String(hashTermsEnvelope(msg) || '').trim().toLowerCase() === needHash) return msg;
+      } catch (_e) {}
+    }
+    return null;
+  }
+
+  // Line `offerLineIndex` of our latest local svc_announce whose listing id is `offerId`, or null.
+  _findLocalOfferLine({ offerId = '', offerLineIndex = null } = {}) {
+    const needOfferId = String(offerId || '').trim().toLowerCase();
+    if (!needOfferId || offerLineIndex === null) return null;
+    for (let i = this._scLog.length - 1; i >= 0; i -= 1) {
+      const evt = this._scLog[i];
+      const localEvt =
+        Boolean(evt?.local) ||
+        String(evt?.dir || '').trim().toLowerCase() === 'out' ||
+        String(evt?.origin || '').trim().toLowerCase() === 'local';
+      if (!localEvt) continue;
+      const msg = evt?.message;
+      if (!isObject(msg) || String(msg.kind || '').trim() !== KIND.SVC_ANNOUNCE) continue;
+      let id = '';
+      try {
+        id = deriveStableOfferListingIdFromEnvelope(msg);
+      } catch (_e) {
+        continue;
+      }
+      if (id !== needOfferId) continue;
+      const lines = Array.isArray(msg?.body?.offers) ? msg.body.offers : [];
+      const anyStableIndex = lines.some((o) => isObject(o) && o.line_index !== undefined && o.line_index !== null);
+      const line = anyStableIndex
+        ? lines.find((o) => isObject(o) && toNonNegativeIntOrNull(o.line_index) === offerLineIndex)
+        : lines[offerLineIndex];
+      return isObject(line) ? line : null;
+    }
+    return null;
+  }
+
+  // Oracle median for an oracle-priced offer line (null for other lines, or when the price consensus
+  // is missing or stale, in which case the line does not match). `cache` maps price pair -> median.
+  async _offerLineOraclePrice(line, cache = new Map()) {
+    if (line?.oracle_spread_bps === undefined || line?.oracle_spread_bps === null) return null;
+    const pair = offerLinePricePair(line);
+    if (!pair) return null;
+    if (!cache.has(pair)) {
+      let median = null;
+      try {
+        const snap = await withScBridge(this.scBridge, (sc) => sc.priceGet());
+        const px = consensusPrice(snap, pair, { maxAgeMs: this.pricing.max_age_ms });
+        median = px.ok ? px.median : null;
+      } catch (_e) {
+        median = null;
+      }
+      cache.set(pair, median);
+    }
+    return cache.get(pair);
+  }
+
+  // Oracle-pegged quote amount for an RFQ (price_mode=oracle) -> { usdt_amount, price_ref }.
+  // Refuses to quote when the price consensus is missing or stale. RFQs that name an amount keep it
+  // when it already beats the pegged price; open RFQs (usdt_amount '0') take the pegged amount.
+  async _oracleQuoteAmount({ rfqBody, btcSats, rfqAmount, toolName }) {
+    const entry = swapAssets.get(settlementAsset(rfqBody));
+    if (!entry?.price_pair) throw new Error(`${toolName}: oracle_price_unavailable (no price pair for ${settlementAsset(rfqBody)})`);
+    let snapshot = null;
+    try {
+      snapshot = await withScBridge(this.scBridge, (sc) => sc.priceGet());
+    } catch (err) {
+      throw new Error(`${toolName}: oracle_price_unavailable (${err?.message || String(err)})`);
+    }
+    const makerBuysBtc = swapRoles(String(rfqBody.direction))?.ln_receiver === 'maker';
+    const priced = priceMaker({
+      snapshot,
+      pricing: this.pricing,
+      pair: entry.price_pair,
+      btcSats,
+      decimals: entry.decimals,
+      makerBuysBtc,
+    });
+    if (!priced.ok) throw new Error(`${toolName}: oracle_price_unavailable (${priced.error})`);
+    const pegged = BigInt(priced.usdt_amount);
+    const asked = BigInt(rfqAmount);
+    let amount = pegged;
+    if (asked > 0n) amount = makerBuysBtc ? (asked < pegged ? asked : pegged) : asked > pegged ? asked : pegged;
+    return { usdt_amount: amount.toString(), price_ref: priced.price_ref };
+  }
+
   async _scWaitFor(filterFn, { timeoutMs = 10_000 } = {}) {
     // First, drain from queue.
     for (let i = 0; i < this._scQueue.length; i += 1) {
@@ -2010,7 +2291,7 @@ export class ToolExecutor {
       // Apply prompt-mode repairs even when this tool is called directly (without /v1/run).
       // Common issue: models use "arguments" instead of "args" for the nested sub-tool args.
       const repairedArgs = repairToolArguments(toolName, args);
-      assertAllowedKeys(repairedArgs, toolName, ['name', 'tool', 'interval_sec', 'ttl_sec', 'valid_until_unix', 'args']);
+      assertAllowedKeys(repairedArgs, toolName, ['name', 'tool', 'interval_sec', 'ttl_sec', 'valid_until_unix', 'args', 'pricing']);
       requireApproval(toolName, autoApprove);
       const name = expectString(repairedArgs, toolName, 'name', { min: 1, max: 64, pattern: /^[A-Za-z0-9._-]+$/ });
       const tool = expectString(repairedArgs, toolName, 'tool', { min: 1, max: 128 });
@@ -2019,6 +2300,12 @@ export class ToolExecutor {
       const validUntil = expectOptionalInt(repairedArgs, toolName, 'valid_until_unix', { min: 1 });
       const subArgsRaw = repairedArgs.args;
       if (!isObject(subArgsRaw)) throw new Error(`${toolName}: args must be an object`);
+      // Optional oracle pegging: overrides on top of the configured maker pricing.
+      const pricingRaw = repairedArgs.pricing;
+      if (pricingRaw !== undefined && pricingRaw !== null && !isObject(pricingRaw)) {
+        throw new Error(`${toolName}: pricing must be an object`);
+      }
+      const pricing = isObject(pricingRaw) ? normalizeMakerPricing({ ...this.pricing, ...pricingRaw }, { label: `${toolName}: pricing` }) : null;
       // Repair nested args for the scheduled sub-tool (common LLM mistake: flattening offer fields).
       const subArgs = repairToolArguments(tool, subArgsRaw);
       if (dryRun)
@@ -2031,8 +2318,17 @@ export class ToolExecutor {
           ttl_sec: ttlSec,
           ...(validUntil ? { valid_until_unix: validUntil } : {}),
           args: subArgs,
+          ...(pricing ? { pricing } : {}),
         };
-      return await this._autopost.start({ name, tool, interval_sec: intervalSec, ttl_sec: ttlSec, valid_until_unix: validUntil, args: subArgs });
+      return await this._autopost.start({
+        name,
+        tool,
+        interval_sec: intervalSec,
+        ttl_sec: ttlSec,
+        valid_until_unix: validUntil,
+        args: subArgs,
+        pricing,
+      });
     }
     if (toolName === 'intercomswap_autopost_stop') {
       assertAllowedKeys(args, toolName, ['name']);
@@ -2084,7 +2380,9 @@ export class ToolExecutor {
         'usdt_mint',
         'enable_quote_from_offers',
         'enable_quote_from_rfqs',
+        'quote_price_mode',
         'enable_accept_quotes',
+        'quote_window_ms',
         'enable_invite_from_accepts',
         'enable_join_invites',
         'enable_settlement',
@@ -2138,7 +2436,9 @@ export class ToolExecutor {
       const effectiveUsdtMint = usdtMint || defaultUsdtMint;
       const enableQuote = 'enable_quote_from_offers' in args ? expectBool(args, toolName, 'enable_quote_from_offers') : undefined;
       const enableQuoteFromRfqs = 'enable_quote_from_rfqs' in args ? expectBool(args, toolName, 'enable_quote_from_rfqs') : undefined;
+      const quotePriceMode = expectOptionalString(args, toolName, 'quote_price_mode', { min: 1, max: 16, pattern: /^(rfq|oracle)$/ });
       const enableAccept = 'enable_accept_quotes' in args ? expectBool(args, toolName, 'enable_accept_quotes') : undefined;
+      const quoteWindowMs = expectOptionalInt(args, toolName, 'quote_window_ms', { min: 0, max: 120_000 });
       const enableInvite = 'enable_invite_from_accepts' in args ? expectBool(args, toolName, 'enable_invite_from_accepts') : undefined;
       const enableJoin = 'enable_join_invites' in args ? expectBool(args, toolName, 'enable_join_invites') : undefined;
       const enableSettlement = 'enable_settlement' in args ? expectBool(args, toolName, 'enable_settlement') : undefined;
@@ -2175,7 +2475,9 @@ export class ToolExecutor {
         ...(effectiveUsdtMint ? { usdt_mint: effectiveUsdtMint } : {}),
         ...(enableQuote !== undefined ? { enable_quote_from_offers: enableQuote } : {}),
         ...(enableQuoteFromRfqs !== undefined ? { enable_quote_from_rfqs: enableQuoteFromRfqs } : {}),
+        ...(quotePriceMode ? { quote_price_mode: quotePriceMode } : {}),
         ...(enableAccept !== undefined ? { enable_accept_quotes: enableAccept } : {}),
+        ...(quoteWindowMs !== null ? { quote_window_ms: quoteWindowMs } : {}),
         ...(enableInvite !== undefined ? { enable_invite_from_accepts: enableInvite } : {}),
         ...(enableJoin !== undefined ? { enable_join_invites: enableJoin } : {}),
         ...(enableSettlement !== undefined ? { enable_settlement: enableSettlement } : {}),
@@ -3209,6 +3511,7 @@ export class ToolExecutor {
         if (!isObject(offer)) throw new Error(`${toolName}: offers[${i}] must be an object`);
         const allowed = [
           'pair',
+          'asset',
           'have',
           'want',
           'line_index',
@@ -3219,16 +3522,21 @@ export class ToolExecutor {
           'max_total_fee_bps',
           'min_sol_refund_window_sec',
           'max_sol_refund_window_sec',
+          'min_btc_sats',
+          'max_btc_sats',
+          'price_usdt_per_btc',
+          'oracle_spread_bps',
         ];
         for (const k of Object.keys(offer)) {
           if (!allowed.includes(k)) throw new Error(`${toolName}: offers[${i}].${k} unexpected`);
         }
 
-        const pair = expectOptionalString(offer, toolName, 'pair', { min: 1, max: 64 }) ?? PAIR.BTC_LN__USDT_SOL;
-        if (pair !== PAIR.BTC_LN__USDT_SOL) throw new Error(`${toolName}: offers[${i}].pair unsupported`);
-        const have = expectOptionalString(offer, toolName, 'have', { min: 1, max: 32 }) ?? ASSET.USDT_SOL;
+        const lineAsset = resolveToolAsset(this, toolName, expectOptionalString(offer, toolName, 'asset', { min: 1, max: 32 }));
+        const pair = expectOptionalString(offer, toolName, 'pair', { min: 1, max: 64 }) ?? lineAsset.pair;
+        if (pair !== lineAsset.pair) throw new Error(`${toolName}: offers[${i}].pair unsupported`);
+        const have = expectOptionalString(offer, toolName, 'have', { min: 1, max: 32 }) ?? lineAsset.asset;
         const want = expectOptionalString(offer, toolName, 'want', { min: 1, max: 32 }) ?? ASSET.BTC_LN;
-        if (have !== ASSET.USDT_SOL) throw new Error(`${toolName}: offers[${i}].have must be ${ASSET.USDT_SOL}`);
+        if (have !== lineAsset.asset) throw new Error(`${toolName}: offers[${i}].have must be ${lineAsset.asset}`);
         if (want !== ASSET.BTC_LN) throw new Error(`${toolName}: offers[${i}].want must be ${ASSET.BTC_LN}`);
 
         const lineIndex = expectOptionalInt(offer, toolName, 'line_index', { min: 0, max: 1_000_000 }) ?? i;
@@ -3255,34 +3563,86 @@ export class ToolExecutor {
           SOL_REFUND_MAX_SEC;
         if (minWin > maxWin) throw new Error(`${toolName}: offers[${i}] min_sol_refund_window_sec must be <= max_sol_refund_window_sec`);
 
-        maxOffers.push({
+        // Range line: btc_sats/usdt_amount become the line capacity/budget, filled by any RFQ sized
+        // within [min_btc_sats, max_btc_sats] at or below the line price.
+        const minBtcSats = expectOptionalInt(offer, toolName, 'min_btc_sats', { min: 1 });
+        const maxBtcSats = expectOptionalInt(offer, toolName, 'max_btc_sats', { min: 1 });
+        const priceRaw = expectOptionalString(offer, toolName, 'price_usdt_per_btc', { min: 1, max: 64 });
+        const priceUsdtPerBtc = priceRaw !== null ? normalizeAtomicAmount(priceRaw, `offers[${i}].price_usdt_per_btc`) : null;
+        const oracleSpreadBps = expectOptionalInt(offer, toolName, 'oracle_spread_bps', { min: -5000, max: 5000 });
+
+        const line = {
           pair,
+          ...(lineAsset.ref ? { sol_asset: lineAsset.ref } : {}),
           have,
           want,
           line_index: lineIndex,
           btc_sats: btcSats,
           usdt_amount: usdtAmount,
+          ...(minBtcSats !== null ? { min_btc_sats: minBtcSats } : {}),
+          ...(maxBtcSats !== null ? { max_btc_sats: maxBtcSats } : {}),
+          ...(priceUsdtPerBtc !== null ? { price_usdt_per_btc: priceUsdtPerBtc } : {}),
+          ...(oracleSpreadBps !== null ? { oracle_spread_bps: oracleSpreadBps } : {}),
           max_platform_fee_bps: maxPlatformFeeBps,
           max_trade_fee_bps: maxTradeFeeBps,
           max_total_fee_bps: maxTotalFeeBps,
           min_sol_refund_window_sec: minWin,
           max_sol_refund_window_sec: maxWin,
-        });
+        };
+        const lineTerms = validateOfferLineTerms(line);
+        if (!lineTerms.ok) throw new Error(`${toolName}: offers[${i}] ${lineTerms.error}`);
+        maxOffers.push(line);
       }
 
-      const maxOfferBtcSats = maxOffers.reduce((max, row) => Math.max(max, Number(row?.btc_sats || 0)), 0);
+      const programId = this._programId().toBase58();
+      const appHash = deriveIntercomswapAppHash({ solanaProgramId: programId, appTag: INTERCOMSWAP_APP_TAG });
+
+      // Retire range lines whose fills (in flight or settled) left less than one min-sized trade.
+      // Fills are keyed by the stable offer listing id, so this needs the peer signing key.
+      const retiredLines = [];
+      if (maxOffers.some(isRangeOfferLine)) {
+        let signerHex = '';
+        try {
+          signerHex = (await this._requirePeerSigning()).pubHex;
+        } catch (_e) {
+          signerHex = '';
+        }
+        const store = signerHex ? await this._openReceiptsStore({ required: false }) : null;
+        try {
+          if (store) {
+            const offerId = deriveOfferListingId({ signerHex, offerTradeId: tradeId, appHash, solanaProgramId: programId });
+            for (let i = maxOffers.length - 1; i >= 0; i -= 1) {
+              const o = maxOffers[i];
+              if (!isRangeOfferLine(o)) continue;
+              const listing = buildOfferLineListingLock({ offerId, offerLineIndex: o.line_index });
+              if (!offerLineRemaining(o, listOfferLineFills(store, listing)).depleted) continue;
+              retiredLines.unshift(o.line_index);
+              maxOffers.splice(i, 1);
+            }
+          }
+        } finally {
+          try {
+            store?.close?.();
+          } catch (_e) {}
+        }
+      }
+      if (maxOffers.length < 1) {
+        throw new Error(`${toolName}: offer_depleted (all offer lines are used up, line_index=${retiredLines.join(',')})`);
+      }
+
+      // Range lines need inbound liquidity for their largest single fill, not the whole capacity.
+      const maxOfferBtcSats = maxOffers.reduce((max, row) => Math.max(max, Number(row?.max_btc_sats ?? row?.btc_sats ?? 0)), 0);
       const lnInboundCheck = await assertLnInboundLiquidity({
         ln: this.ln,
         requiredSats: Math.max(0, Math.trunc(maxOfferBtcSats)),
         mode: 'aggregate',
         toolName,
       });
-
-      const programId = this._programId().toBase58();
-      const appHash = deriveIntercomswapAppHash({ solanaProgramId: programId, appTag: INTERCOMSWAP_APP_TAG });
       let fundingCheck = { ok: true, skipped: true, reason: 'solana.usdt_mint not configured' };
       const usdtMintStr = String(this.solana?.usdtMint || '').trim();
-      if (usdtMintStr) {
+      // Legacy lines are funded from solana.usdt_mint, lines with sol_asset from their own mint.
+      const lineMint = (o) => o.sol_asset?.mint || usdtMintStr;
+      if (maxOffers.some(lineMint)) {
         let signer = null;
         try {
           signer = this._requireSolanaSigner();
@@ -3290,35 +3650,44 @@ export class ToolExecutor {
           signer = null;
         }
         if (signer) {
-          const mint = new PublicKey(usdtMintStr);
-          const snap = await fetchSolUsdtFundingSnapshot({
-            pool: this._pool(),
-            signer,
-            mint,
-            commitment: this._commitment(),
-          });
-          const haveUsdt = BigInt(String(snap.usdt_atomic || '0'));
-          const haveLamports = BigInt(String(snap.sol_lamports || 0));
-          if (haveLamports < BigInt(SOL_TX_FEE_BUFFER_LAMPORTS)) {
-            throw new Error(
-              `${toolName}: insufficient SOL for tx fees (need_lamports>=${SOL_TX_FEE_BUFFER_LAMPORTS}, have_lamports=${snap.sol_lamports})`
-            );
-          }
+          const snaps = new Map();
           for (let i = 0; i < maxOffers.length; i += 1) {
             const o = maxOffers[i];
+            const mintStr = lineMint(o);
+            if (!mintStr) continue;
+            if (!snaps.has(mintStr)) {
+              const snap = await fetchSolUsdtFundingSnapshot({
+                pool: this._pool(),
+                signer,
+                mint: new PublicKey(mintStr),
+                commitment: this._commitment(),
+              });
+              if (BigInt(String(snap.sol_lamports || 0)) < BigInt(SOL_TX_FEE_BUFFER_LAMPORTS)) {
+                throw new Error(
+                  `${toolName}: insufficient SOL for tx fees (need_lamports>=${SOL_TX_FEE_BUFFER_LAMPORTS}, have_lamports=${snap.sol_lamports})`
+                );
+              }
+              snaps.set(mintStr, snap);
+            }
+            const snap = snaps.get(mintStr);
+            const haveUsdt = BigInt(String(snap.usdt_atomic || '0'));
             const need = computeAtomicWithFeeCeil(o.usdt_amount, o.max_total_fee_bps);
             if (haveUsdt < need) {
               throw new Error(
-                `${toolName}: offers[${i}] exceeds USDT balance (need_atomic=${need.toString()}, have_atomic=${haveUsdt.toString()}, mint=${mint.toBase58()})`
+                `${toolName}: offers[${i}] exceeds ${o.sol_asset ? o.sol_asset.asset : 'USDT'} balance (need_atomic=${need.toString()}, have_atomic=${haveUsdt.toString()}, mint=${mintStr})`
               );
             }
           }
+          const [mint, snap] = [...snaps.entries()][0];
           fundingCheck = {
             ok: true,
             skipped: false,
-            mint: mint.toBase58(),
-            have_atomic: haveUsdt.toString(),
+            mint,
+            have_atomic: String(snap.usdt_atomic || '0'),
             sol_lamports: snap.sol_lamports,
+            ...(snaps.size > 1
+              ? { mints: Object.fromEntries([...snaps.entries()].map(([m, sn]) => [m, String(sn.usdt_atomic || '0')])) }
+              : {}),
           };
         } else {
           fundingCheck = { ok: true, skipped: true, reason: 'solana signer not configured' };
@@ -3331,7 +3700,7 @@ export class ToolExecutor {
         tradeId,
         body: {
           name,
-          pairs: [PAIR.BTC_LN__USDT_SOL],
+          pairs: [...new Set(maxOffers.map((o) => o.pair))],
           rfq_channels: rfqChannels,
           app_tag: INTERCOMSWAP_APP_TAG,
           app_hash: appHash,
@@ -3367,6 +3736,7 @@ export class ToolExecutor {
           envelope: signed,
           funding_check: fundingCheck,
           ln_liquidity: lnInboundCheck,
+          ...(retiredLines.length > 0 ? { retired_line_indices: retiredLines } : {}),
         };
       });
     }
@@ -3376,7 +3746,10 @@ export class ToolExecutor {
         'trade_id',
         'btc_sats',
         'usdt_amount',
+        'asset',
+        'direction',
         'sol_recipient',
+        'sol_refund',
         'max_platform_fee_bps',
         'max_trade_fee_bps',
         'max_total_fee_bps',
@@ -3390,10 +3763,18 @@ export class ToolExecutor {
       const tradeId = expectString(args, toolName, 'trade_id', { min: 1, max: 128, pattern: /^[A-Za-z0-9_.:-]+$/ });
       const btcSats = expectInt(args, toolName, 'btc_sats', { min: 1 });
       const usdtAmount = normalizeAtomicAmount(expectString(args, toolName, 'usdt_amount', { max: 64 }), 'usdt_amount');
+      const settlement = resolveToolAsset(this, toolName, expectOptionalString(args, toolName, 'asset', { min: 1, max: 32 }));
+      const direction = expectOptionalString(args, toolName, 'direction', { min: 1, max: 48 }) ?? settlement.directions[0];
+      if (!settlement.directions.includes(direction)) {
+        throw new Error(`${toolName}: direction must be one of ${settlement.directions.join(', ')}`);
+      }
       const solRecipient =
         'sol_recipient' in args
           ? normalizeBase58(expectString(args, toolName, 'sol_recipient', { min: 32, max: 64 }), 'sol_recipient')
           : null;
+      // USDT_SOL->BTC_LN: the taker locks the escrow and gets a refund there if the maker never pays.
+      const solRefund =
+        'sol_refund' in args ? normalizeBase58(expectString(args, toolName, 'sol_refund', { min: 32, max: 64 }), 'sol_refund') : null;
       const maxPlatformFeeBps =
         expectOptionalInt(args, toolName, 'max_platform_fee_bps', { min: 0, max: 500 }) ?? FIXED_PLATFORM_FEE_BPS;
       const maxTradeFeeBps =
@@ -3423,12 +3804,14 @@ export class ToolExecutor {
         kind: KIND.RFQ,
         tradeId,
         body: {
-          pair: PAIR.BTC_LN__USDT_SOL,
-          direction: `${ASSET.BTC_LN}->${ASSET.USDT_SOL}`,
+          pair: settlement.pair,
+          direction,
           app_hash: appHash,
           btc_sats: btcSats,
           usdt_amount: usdtAmount,
+          ...(settlement.ref ? { sol_asset: settlement.ref } : {}),
           ...(solRecipient ? { sol_recipient: solRecipient } : {}),
+          ...(solRefund ? { sol_refund: solRefund } : {}),
           max_platform_fee_bps: maxPlatformFeeBps,
           max_trade_fee_bps: maxTradeFeeBps,
           max_total_fee_bps: maxTotalFeeBps,
@@ -3441,8 +3824,10 @@ export class ToolExecutor {
 
 	      if (dryRun) return { type: 'dry_run', tool: toolName, channel, rfq_id: rfqId, unsigned };
 
-        const liq = await assertLnOutboundLiquidity({
+        const liq = await assertLnLiquidityForSide({
           ln: this.ln,
+          direction,
+          side: 'taker',
           requiredSats: btcSats,
           mode: lnLiquidityMode,
           toolName,
@@ -3461,6 +3846,8 @@ export class ToolExecutor {
 	                rfq_channel: channel,
 	                btc_sats: btcSats,
 	                usdt_amount: usdtAmount,
+	                asset: settlement.asset,
+	                direction,
 	                state: 'rfq',
 	                last_error: null,
 	              });
@@ -3562,15 +3949,24 @@ export class ToolExecutor {
       const platformFeeBps = Number(fees.platformFeeBps || 0);
       const tradeFeeBps = Number(fees.tradeFeeBps || 0);
       if (platformFeeBps + tradeFeeBps > 1500) throw new Error(`${toolName}: on-chain total fee bps exceeds 1500 cap`);
-      const fundingCheck = await maybeAssertLocalUsdtFunding({
-        executor: this,
-        toolName,
-        requiredAtomic: usdtAmount,
-        totalFeeBps: platformFeeBps + tradeFeeBps,
-        context: 'quote',
-      });
-      const lnInboundCheck = await assertLnInboundLiquidity({
+      // The maker locks the USDT only for BTC_LN->USDT_SOL; for USDT_SOL->BTC_LN it pays the invoice.
+      const direction = String(rfqEnv?.body?.direction || DIRECTION.BTC_LN__USDT_SOL);
+      const makerDeposits = swapRoles(direction)?.ln_receiver === 'maker';
+      const settlement = settlementFieldsOf(rfqEnv?.body);
+      const fundingCheck = makerDeposits
+        ? await maybeAssertLocalUsdtFunding({
+            executor: this,
+            toolName,
+            requiredAtomic: usdtAmount,
+            totalFeeBps: platformFeeBps + tradeFeeBps,
+            context: 'quote',
+            mint: settlement.sol_asset?.mint || null,
+          })
+        : { ok: true, skipped: true, reason: `taker locks the USDT (${direction})` };
+      const lnLiquidityCheck = await assertLnLiquidityForSide({
         ln: this.ln,
+        direction,
+        side: 'maker',
         requiredSats: btcSats,
         mode: 'aggregate',
         toolName,
@@ -3584,8 +3980,8 @@ export class ToolExecutor {
         tradeId,
         body: {
           rfq_id: rfqId,
-          pair: PAIR.BTC_LN__USDT_SOL,
-          direction: `${ASSET.BTC_LN}->${ASSET.USDT_SOL}`,
+          ...settlement,
+          direction,
           app_hash: appHash,
           btc_sats: btcSats,
           usdt_amount: usdtAmount,
@@ -3609,7 +4005,7 @@ export class ToolExecutor {
           quote_id: quoteId,
           envelope: signed,
           funding_check: fundingCheck,
-          ln_liquidity: lnInboundCheck,
+          ln_liquidity: lnLiquidityCheck,
         };
       });
     }
@@ -3624,9 +4020,12 @@ export class ToolExecutor {
         'sol_refund_window_sec',
         'valid_until_unix',
         'valid_for_sec',
+        'price_mode',
       ]);
       requireApproval(toolName, autoApprove);
       const channel = normalizeChannelName(expectString(args, toolName, 'channel', { max: 128 }));
+      const priceMode =
+        expectOptionalString(args, toolName, 'price_mode', { min: 1, max: 16, pattern: /^(rfq|oracle)$/ }) || 'rfq';
       const rfq = resolveSecretArg(secrets, args.rfq_envelope, { label: 'rfq_envelope', expectType: 'object' });
       if (!isObject(rfq)) throw new Error(`${toolName}: rfq_envelope must be an object`);
       const v = validateSwapEnvelope(rfq);
@@ -3638,7 +4037,19 @@ export class ToolExecutor {
       const tradeId = String(rfq.trade_id);
       const btcSats = Number(rfq?.body?.btc_sats);
       if (!Number.isInteger(btcSats) || btcSats < 1) throw new Error(`${toolName}: rfq_envelope.body.btc_sats invalid`);
-      const usdtAmount = normalizeAtomicAmount(String(rfq?.body?.usdt_amount), 'rfq_envelope.body.usdt_amount');
+      let usdtAmount = normalizeAtomicAmount(String(rfq?.body?.usdt_amount), 'rfq_envelope.body.usdt_amount');
+      // Oracle-priced quotes: offer lines carry their own price, so they are not bound here.
+      let priceRef = null;
+      if (priceMode === 'oracle') {
+        if (args.offer_envelope !== undefined && args.offer_envelope !== null) {
+          throw new Error(`${toolName}: price_mode=oracle cannot be combined with offer_envelope`);
+        }
+        const priced = await this._oracleQuoteAmount({ rfqBody: rfq.body, btcSats, rfqAmount: usdtAmount, toolName });
+        usdtAmount = priced.usdt_amount;
+        priceRef = priced.price_ref;
+      } else if (BigInt(usdtAmount) === 0n) {
+        throw new Error(`${toolName}: rfq_envelope has no usdt_amount (open RFQ); quote it with price_mode=oracle`);
+      }
 
       const rfqId = hashUnsignedEnvelope(stripSignature(rfq));
 
@@ -3650,6 +4061,9 @@ export class ToolExecutor {
       const offerLineArgProvided = args.offer_line_index !== undefined && args.offer_line_index !== null;
       let offerEnvelope = null;
       let offerLineListing = null;
+      // Set when the bound line is a range line (capacity is then tracked by offer_fill locks).
+      let offerLineRange = null;
+      const oraclePrices = new Map();
       if (offerArgProvided || offerLineArgProvided) {
         if (!offerArgProvided || !offerLineArgProvided) {
           throw new Error(`${toolName}: offer_envelope and offer_line_index must be provided together`);
@@ -3699,9 +4113,20 @@ export class ToolExecutor {
         if (!Number.isFinite(offerLineBtc) || offerLineBtc < 1 || !/^[0-9]+$/.test(offerLineUsdt)) {
           throw new Error(`${toolName}: offer_envelope.offers[offer_line_index] missing btc_sats/usdt_amount`);
         }
-        if (offerLineBtc !== btcSats || offerLineUsdt !== usdtAmount) {
+        if (isRangeOfferLine(offerLine)) {
+          const fit = matchRfqToOfferLine({
+            rfqBody: rfq.body,
+            line: offerLine,
+            oraclePrice: await this._offerLineOraclePrice(offerLine, oraclePrices),
+          });
+          if (!fit.ok) throw new Error(`${toolName}: offer_envelope.offers[offer_line_index] does not fit RFQ: ${fit.error}`);
+          offerLineRange = offerLine;
+        } else if (offerLineBtc !== btcSats || offerLineUsdt !== usdtAmount) {
           throw new Error(`${toolName}: offer_envelope.offers[offer_line_index] does not match RFQ btc_sats/usdt_amount`);
         }
+        if (settlementAsset(offerLine) !== settlementAsset(rfq.body)) {
+          throw new Error(`${toolName}: offer_envelope.offers[offer_line_index] does not match RFQ asset`);
+        }
       }
 
       const rfqMinWindowRaw = rfq?.body?.min_sol_refund_window_sec;
@@ -3758,7 +4183,7 @@ export class ToolExecutor {
             // If the caller didn't explicitly bind this quote to a specific offer line, try to
             // auto-bind to one of our locally advertised offers that exactly matches the RFQ terms.
             // This makes offer-line consumption deterministic even for manual UI flows.
-            if (!offerLineListing) {
+            if (!offerLineListing && !priceRef) {
               const wantChannel = channel;
               const nowSec = Math.floor(Date.now() / 1000);
               for (let i = this._scLog.length - 1; i >= 0; i -= 1) {
@@ -3802,7 +4227,12 @@ export class ToolExecutor {
                   const lineBtc = Number.parseInt(String(line?.btc_sats || ''), 10);
                   const lineUsdt = String(line?.usdt_amount || '').trim();
                   if (!Number.isFinite(lineBtc) || lineBtc < 1 || !/^[0-9]+$/.test(lineUsdt)) continue;
-                  if (lineBtc !== btcSats || lineUsdt !== usdtAmount) continue;
+                  const fit = matchRfqToOfferLine({
+                    rfqBody: rfq.body,
+                    line,
+                    oraclePrice: await this._offerLineOraclePrice(line, oraclePrices),
+                  });
+                  if (!fit.ok) continue;
                   const stableLineIndex = toNonNegativeIntOrNull(line?.line_index);
                   const lineIndex = stableLineIndex !== null ? stableLineIndex : j;
                   let cand = null;
@@ -3813,13 +4243,24 @@ export class ToolExecutor {
                       offerIdLabel: 'offer.listing_id',
                       offerLineIndexLabel: 'offer.line_index',
                     });
-                    ensureListingLockAvailable({
-                      store,
-                      listing: cand,
-                      tradeId,
-                      toolName,
-                      allowSameTradeInFlight: false,
-                    });
+                    if (isRangeOfferLine(line)) {
+                      ensureOfferLineCapacity({
+                        store,
+                        listing: cand,
+                        line,
+                        want: { btc_sats: btcSats, usdt_amount: usdtAmount },
+                        tradeId,
+                        toolName,
+                      });
+                    } else {
+                      ensureListingLockAvailable({
+                        store,
+                        listing: cand,
+                        tradeId,
+                        toolName,
+                        allowSameTradeInFlight: false,
+                      });
+                    }
                   } catch (err) {
                     const msg = err?.message || String(err);
                     if (/listing_(filled|in_progress)/i.test(msg)) {
@@ -3828,13 +4269,23 @@ export class ToolExecutor {
                     throw err;
                   }
                   offerLineListing = cand;
+                  offerLineRange = isRangeOfferLine(line) ? line : null;
                   offerEnvelope = msg;
                   break;
                 }
                 if (offerLineListing) break;
               }
             }
-            if (offerLineListing) {
+            if (offerLineRange) {
+              ensureOfferLineCapacity({
+                store,
+                listing: offerLineListing,
+                line: offerLineRange,
+                want: { btc_sats: btcSats, usdt_amount: usdtAmount },
+                tradeId,
+                toolName,
+              });
+            } else if (offerLineListing) {
               ensureListingLockAvailable({
                 store,
                 listing: offerLineListing,
@@ -3903,15 +4354,24 @@ export class ToolExecutor {
             `(platform_plus_trade_fee_bps=${platformFeeBps + tradeFeeBps}, rfq_max_total_fee_bps=${rfqMaxTotalFeeBps}, trade_fee_collector=${tradeFeeCollector})`
         );
       }
-      const fundingCheck = await maybeAssertLocalUsdtFunding({
-        executor: this,
-        toolName,
-        requiredAtomic: usdtAmount,
-        totalFeeBps: platformFeeBps + tradeFeeBps,
-        context: `rfq:${rfqId}`,
-      });
-      const lnInboundCheck = await assertLnInboundLiquidity({
+      // The maker locks the USDT only for BTC_LN->USDT_SOL; for USDT_SOL->BTC_LN it pays the invoice.
+      const direction = String(rfq.body.direction);
+      const makerDeposits = swapRoles(direction)?.ln_receiver === 'maker';
+      const settlement = settlementFieldsOf(rfq.body);
+      const fundingCheck = makerDeposits
+        ? await maybeAssertLocalUsdtFunding({
+            executor: this,
+            toolName,
+            requiredAtomic: usdtAmount,
+            totalFeeBps: platformFeeBps + tradeFeeBps,
+            context: `rfq:${rfqId}`,
+            mint: settlement.sol_asset?.mint || null,
+          })
+        : { ok: true, skipped: true, reason: `taker locks the USDT (${direction})` };
+      const lnLiquidityCheck = await assertLnLiquidityForSide({
         ln: this.ln,
+        direction,
+        side: 'maker',
         requiredSats: btcSats,
         mode: 'aggregate',
         toolName,
@@ -3929,8 +4389,8 @@ export class ToolExecutor {
         tradeId,
         body: {
           rfq_id: rfqId,
-          pair: PAIR.BTC_LN__USDT_SOL,
-          direction: `${ASSET.BTC_LN}->${ASSET.USDT_SOL}`,
+          ...settlement,
+          direction,
           app_hash: appHash,
           btc_sats: btcSats,
           usdt_amount: usdtAmount,
@@ -3945,6 +4405,7 @@ export class ToolExecutor {
               }
             : {}),
           ...(fees.platformFeeCollector ? { platform_fee_collector: String(fees.platformFeeCollector) } : {}),
+          ...(priceRef ? { price_ref: priceRef } : {}),
           valid_until_unix: validUntil,
         },
       });
@@ -3961,15 +4422,63 @@ export class ToolExecutor {
           envelope: signed,
           rfq_id: rfqId,
           funding_check: fundingCheck,
-          ln_liquidity: lnInboundCheck,
+          ln_liquidity: lnLiquidityCheck,
         };
       });
     }
 
+    if (toolName === 'intercomswap_quotes_rank') {
+      assertAllowedKeys(args, toolName, ['trade_id', 'channel']);
+      const tradeId = expectString(args, toolName, 'trade_id', { min: 1, max: 128 });
+      const channel = args.channel ? normalizeChannelName(expectString(args, toolName, 'channel', { max: 128 })) : '';
+
+      // Latest local RFQ for the trade (reposts change the rfq_id; the body terms are what matter).
+      let rfqEnv = null;
+      const quotes = [];
+      const channelByQuoteId = new Map();
+      const assetByQuoteId = new Map();
+      for (let i = this._scLog.length - 1; i >= 0; i -= 1) {
+        const evt = this._scLog[i];
+        const msg = evt?.message;
+        if (!isObject(msg) || String(msg.trade_id || '').trim() !== tradeId) continue;
+        const evtChannel = String(evt?.channel || '').trim();
+        if (channel && evtChannel !== channel) continue;
+        const local = Boolean(evt?.local) || String(evt?.dir || '') === 'out';
+        if (msg.kind === KIND.RFQ && local && !rfqEnv) rfqEnv = msg;
+        if (msg.kind !== KIND.QUOTE || local) continue;
+        if (!validateSwapEnvelope(msg).ok || !verifySignedEnvelope(msg).ok) continue;
+        const quoteId = hashUnsignedEnvelope(stripSignature(msg));
+        if (channelByQuoteId.has(quoteId)) continue;
+        channelByQuoteId.set(quoteId, evtChannel);
+        assetByQuoteId.set(quoteId, settlementAssetInfo(msg.body));
+        quotes.push({ quote_id: quoteId, signer: String(msg.signer || '').trim().toLowerCase(), body: msg.body });
+      }
+      if (dryRun) return { type: 'dry_run', tool: toolName, trade_id: tradeId, quotes: quotes.length };
+
+      const makerStats = await this._makerStatsFor([...new Set(quotes.map((q) => q.signer))]);
+      const { ranked, rejected } = rankQuotes({ rfqBody: rfqEnv?.body || null, quotes, makerStats });
+      return {
+        type: 'quotes_ranked',
+        trade_id: tradeId,
+        rfq_found: Boolean(rfqEnv),
+        // usdt_amount is in the quote's settlement asset: `asset` carries its symbol and decimals
+        ranked: ranked.map((r) => ({
+          ...r,
+          asset: assetByQuoteId.get(r.quote_id) || null,
+          channel: channelByQuoteId.get(r.quote_id) || null,
+          maker_stats: makerStats.get(r.signer) || null,
+        })),
+        rejected,
+      };
+    }
+
     if (toolName === 'intercomswap_quote_accept') {
-      assertAllowedKeys(args, toolName, ['channel', 'quote_envelope', 'ln_liquidity_mode']);
+      assertAllowedKeys(args, toolName, ['channel', 'quote_envelope', 'ln_liquidity_mode', 'quote_score_bps', 'rejected_quotes']);
       requireApproval(toolName, autoApprove);
       const channel = normalizeChannelName(expectString(args, toolName, 'channel', { max: 128 }));
+      const rejectedQuotes = parseRejectedQuotes(args.rejected_quotes, toolName);
+      const quoteScoreBps = args.quote_score_bps === undefined || args.quote_score_bps === null ? null : Number(args.quote_score_bps);
+      if (quoteScoreBps !== null && !Number.isFinite(quoteScoreBps)) throw new Error(`${toolName}: quote_score_bps must be a number`);
       const quote = resolveSecretArg(secrets, args.quote_envelope, { label: 'quote_envelope', expectType: 'object' });
       if (!isObject(quote)) throw new Error(`${toolName}: quote_envelope must be an object`);
       const v = validateSwapEnvelope(quote);
@@ -4001,6 +4510,12 @@ export class ToolExecutor {
       if (rfqValidUntil && isExpiredUnixSec(rfqValidUntil, { nowSec })) {
         throw new Error(`${toolName}: referenced RFQ is expired`);
       }
+      // Our own RFQ fixes direction and size; a quote answering it with anything else is rejected.
+      const localRfq = this._findLocalRfqEnvelope(tradeId);
+      if (localRfq) {
+        const bound = checkBodyAgainstRfq(localRfq.body, quote.body, { label: 'quote' });
+        if (!bound.ok) throw new Error(`${toolName}: ${bound.error}`);
+      }
 
       const listingState = await this._inspectListingState({ tradeId, rfqId, quoteId });
       if (listingState.terminal) {
@@ -4020,8 +4535,10 @@ export class ToolExecutor {
 
       const liq = dryRun
         ? null
-        : await assertLnOutboundLiquidity({
+        : await assertLnLiquidityForSide({
             ln: this.ln,
+            direction: String(quote.body.direction),
+            side: 'taker',
             requiredSats: btcSats,
             mode: lnLiquidityMode,
             toolName,
@@ -4132,7 +4649,7 @@ export class ToolExecutor {
         }
 
         const signing = await this._requirePeerSigning();
-        const result = await withScBridge(this.scBridge, async (sc) => {
+        let result = await withScBridge(this.scBridge, async (sc) => {
           const signed = signSwapEnvelope(unsigned, signing);
           await this._sendEnvelopeLogged(sc, channel, signed);
           return { type: 'quote_accept_posted', channel, envelope: signed, rfq_id: rfqId, quote_id: quoteId, ln_liquidity: liq };
@@ -4145,6 +4662,23 @@ export class ToolExecutor {
             note: 'quote_accept_posted',
             meta: { quote_id: quoteId, rfq_id: rfqId },
           });
+          // Best-execution audit trail: the selected quote and every quote passed over for it.
+          if (rejectedQuotes.length > 0 || quoteScoreBps !== null) {
+            try {
+              store.appendEvent(tradeId, 'quote_selected', {
+                channel,
+                quote_id: quoteId,
+                maker_peer: String(quote.signer || '').trim().toLowerCase() || null,
+                usdt_amount: String(quote.body.usdt_amount),
+                score_bps: quoteScoreBps,
+                candidates: rejectedQuotes.length + 1,
+              });
+              for (const r of rejectedQuotes) store.appendEvent(tradeId, 'quote_rejected', { channel, ...r });
+            } catch (err) {
+              // The accept is already posted, so failing the tool would be wrong; report the gap instead.
+              result = { ...result, receipts_error: err?.message || String(err) };
+            }
+          }
         }
         return result;
       } catch (err) {
@@ -4236,13 +4770,24 @@ export class ToolExecutor {
         throw new Error(`${toolName}: listing already in-flight (swap channel pending)`);
       }
       const offerLineListing = extractOfferLineListingLockFromQuote(quoteEnv, { toolName });
+      // A range line takes one offer_fill lock per trade. If the line is no longer in the local log,
+      // fall back to locking the whole line (the fixed-line behaviour).
+      const offerLineLocal = offerLineListing ? this._findLocalOfferLine(offerLineListing) : null;
+      const offerLineRange = offerLineLocal && isRangeOfferLine(offerLineLocal) ? offerLineLocal : null;
+      const offerLock = offerLineRange ? buildOfferFillListingLock(offerLineListing, tradeId) : offerLineListing;
+      const offerFill = offerLineRange
+        ? { btc_sats: quoteBtcSats, usdt_amount: String(quoteEnv?.body?.usdt_amount || '').trim() }
+        : null;
       {
         const store = await this._openReceiptsStore({ required: false });
         try {
-          if (store && offerLineListing) {
+          if (store && offerLineRange) {
+            ensureOfferLineCapacity({ store, listing: offerLineListing, line: offerLineRange, want: offerFill, tradeId, toolName });
+          }
+          if (store && offerLock) {
             ensureListingLockAvailable({
               store,
-              listing: offerLineListing,
+              listing: offerLock,
               tradeId,
               toolName,
               allowSameTradeInFlight: true,
@@ -4306,10 +4851,13 @@ export class ToolExecutor {
       let offerLockCreated = false;
       let invitePosted = false;
       try {
-        if (store && offerLineListing) {
+        if (store && offerLineRange) {
+          ensureOfferLineCapacity({ store, listing: offerLineListing, line: offerLineRange, want: offerFill, tradeId, toolName });
+        }
+        if (store && offerLock) {
           const existing = ensureListingLockAvailable({
             store,
-            listing: offerLineListing,
+            listing: offerLock,
             tradeId,
             toolName,
             allowSameTradeInFlight: true,
@@ -4320,10 +4868,10 @@ export class ToolExecutor {
           if (!sameTradeInFlight) {
             upsertListingLockInFlight({
               store,
-              listing: offerLineListing,
+              listing: offerLock,
               tradeId,
               note: 'swap_invite_posting',
-              meta: { rfq_id: rfqId, quote_id: quoteId },
+              meta: { rfq_id: rfqId, quote_id: quoteId, ...offerFill },
             });
             offerLockCreated = true;
           }
@@ -4410,13 +4958,13 @@ export class ToolExecutor {
         if (joinRes?.type === 'error') throw new Error(joinRes.error || 'join failed');
         this._scSubscribed.add(swapChannel);
         await sc.subscribe([swapChannel]);
-        if (store && offerLineListing) {
+        if (store && offerLock) {
           upsertListingLockInFlight({
             store,
-            listing: offerLineListing,
+            listing: offerLock,
             tradeId,
             note: 'swap_invite_posted',
-            meta: { rfq_id: rfqId, quote_id: quoteId, swap_channel: swapChannel },
+            meta: { rfq_id: rfqId, quote_id: quoteId, swap_channel: swapChannel, ...offerFill },
           });
         }
 
@@ -4438,9 +4986,9 @@ export class ToolExecutor {
           counterparty_liquidity_check: counterpartyLiquidityCheck,
         };
       } catch (err) {
-        if (store && offerLineListing && offerLockCreated && !invitePosted) {
+        if (store && offerLock && offerLockCreated && !invitePosted) {
           try {
-            store.deleteListingLock(offerLineListing.listingKey);
+            store.deleteListingLock(offerLock.listingKey);
           } catch (_e) {}
         }
         throw err;
@@ -4821,6 +5369,9 @@ export class ToolExecutor {
         'ln_payer_peer',
         'trade_fee_collector',
         'terms_valid_until_unix',
+        'asset',
+        'direction',
+        'price_ref',
       ]);
       requireApproval(toolName, autoApprove);
       const channel = normalizeChannelName(expectString(args, toolName, 'channel', { max: 128 }));
@@ -4836,6 +5387,17 @@ export class ToolExecutor {
       const lnPayerPeer = normalizeHex32(expectString(args, toolName, 'ln_payer_peer', { min: 64, max: 64 }), 'ln_payer_peer');
       const tradeFeeCollector = normalizeBase58(expectString(args, toolName, 'trade_fee_collector', { max: 64 }), 'trade_fee_collector');
       const termsValidUntil = expectOptionalInt(args, toolName, 'terms_valid_until_unix', { min: 1 });
+      // sol_mint is what the escrow locks, so it must be one of the asset's allow-listed mints.
+      const settlement = resolveToolAsset(this, toolName, expectOptionalString(args, toolName, 'asset', { min: 1, max: 32 }), {
+        mint: solMint,
+      });
+      const solAsset = settlement.ref;
+      const direction = expectOptionalString(args, toolName, 'direction', { min: 1, max: 48 }) ?? settlement.directions[0];
+      const roles = settlement.directions.includes(direction) ? swapRoles(direction) : null;
+      if (!roles) throw new Error(`${toolName}: direction must be one of ${settlement.directions.join(', ')}`);
+      // Oracle reference of the quote these terms come from (quote.body.price_ref); shape-checked on signing.
+      const priceRef = args.price_ref === undefined || args.price_ref === null ? null : args.price_ref;
+      if (priceRef !== null && !isObject(priceRef)) throw new Error(`${toolName}: price_ref must be an object`);
 
       // Fees are not negotiated per-trade: they are read from on-chain config/trade-config.
       const programId = this._programId();
@@ -4856,12 +5418,13 @@ export class ToolExecutor {
         kind: KIND.TERMS,
         tradeId,
         body: {
-          pair: PAIR.BTC_LN__USDT_SOL,
-          direction: `${ASSET.BTC_LN}->${ASSET.USDT_SOL}`,
+          pair: settlement.pair,
+          direction,
           app_hash: appHash,
           btc_sats: btcSats,
           usdt_amount: usdtAmount,
-          usdt_decimals: 6,
+          usdt_decimals: solAsset ? solAsset.decimals : 6,
+          ...(solAsset ? { sol_asset: solAsset } : {}),
           sol_mint: solMint,
           sol_recipient: solRecipient,
           sol_refund: solRefund,
@@ -4873,6 +5436,7 @@ export class ToolExecutor {
           trade_fee_collector: tradeFeeCollector,
           ...(fees.platformFeeCollector ? { platform_fee_collector: String(fees.platformFeeCollector) } : {}),
           ...(termsValidUntil ? { terms_valid_until_unix: termsValidUntil } : {}),
+          ...(priceRef ? { price_ref: priceRef } : {}),
         },
       });
 
@@ -4889,10 +5453,13 @@ export class ToolExecutor {
         store.upsertTrade(tradeId, {
           role: 'maker',
           swap_channel: channel,
-          maker_peer: String(signed.signer || '').trim().toLowerCase() || lnReceiverPeer,
-          taker_peer: lnPayerPeer,
+          maker_peer: String(signed.signer || '').trim().toLowerCase() || unsigned.body[roles.maker_peer_field],
+          taker_peer: unsigned.body[roles.taker_peer_field],
           btc_sats: btcSats,
           usdt_amount: usdtAmount,
+          asset: settlement.asset,
+          direction: roles.direction,
+          ...(priceRef ? { price_ref_json: priceRef } : {}),
           sol_mint: solMint,
           sol_program_id: programId,
           sol_recipient: solRecipient,
@@ -4919,6 +5486,12 @@ export class ToolExecutor {
       const channel = normalizeChannelName(expectString(args, toolName, 'channel', { max: 128 }));
       const tradeId = expectString(args, toolName, 'trade_id', { min: 1, max: 128, pattern: /^[A-Za-z0-9_.:-]+$/ });
       const termsHash = normalizeHex32(expectString(args, toolName, 'terms_hash_hex', { min: 64, max: 64 }), 'terms_hash');
+      const termsEnv = this._findTermsEnvelopeByHash({ termsHash, tradeId });
+      const localRfq = this._findLocalRfqEnvelope(tradeId);
+      if (termsEnv && localRfq) {
+        const bound = checkBodyAgainstRfq(localRfq.body, termsEnv.body, { label: 'terms' });
+        if (!bound.ok) throw new Error(`${toolName}: ${bound.error}`);
+      }
 
       const unsigned = createUnsignedEnvelope({
         v: 1,
@@ -4933,9 +5506,11 @@ export class ToolExecutor {
         const sc = await this._scEnsureChannelSubscribed(channel, { timeoutMs: 10_000 });
         const signed = signSwapEnvelope(unsigned, signing);
         await this._sendEnvelopeLogged(sc, channel, signed);
+        const termsPriceRef = this._findTermsEnvelopeByHash({ termsHash, tradeId })?.body?.price_ref;
         store.upsertTrade(tradeId, {
           role: 'taker',
           swap_channel: channel,
+          ...(isObject(termsPriceRef) ? { price_ref_json: termsPriceRef } : {}),
           state: 'accepted',
           last_error: null,
         });
@@ -5062,6 +5637,11 @@ export class ToolExecutor {
       const tradeId = String(terms.trade_id || '').trim();
       if (!tradeId) throw new Error(`${toolName}: terms_envelope missing trade_id`);
       const termsHash = hashTermsEnvelope(terms);
+      const localRfq = this._findLocalRfqEnvelope(tradeId);
+      if (localRfq) {
+        const bound = checkBodyAgainstRfq(localRfq.body, terms.body, { label: 'terms' });
+        if (!bound.ok) throw new Error(`${toolName}: ${bound.error}`);
+      }
 
       const unsigned = createUnsignedEnvelope({
         v: 1,
@@ -5087,6 +5667,8 @@ export class ToolExecutor {
           taker_peer: String(signed.signer || '').trim().toLowerCase() || null,
           btc_sats: btcSats ?? undefined,
           usdt_amount: usdtAmount ?? undefined,
+          asset: settlementAsset(body),
+          direction: typeof body.direction === 'string' ? body.direction : undefined,
           sol_mint: typeof body.sol_mint === 'string' ? body.sol_mint : undefined,
           sol_program_id: programId,
           sol_recipient: typeof body.sol_recipient === 'string' ? body.sol_recipient : undefined,
@@ -5958,7 +6540,7 @@ export class ToolExecutor {
       });
 
       store.upsertTrade(tradeId, {
-        role: 'maker',
+        role: store.getTrade(tradeId)?.role || 'maker',
         swap_channel: channel,
         btc_sats: btcSats,
         ln_invoice_bolt11: bolt11,
@@ -6203,7 +6785,7 @@ export class ToolExecutor {
       }
 
       store.upsertTrade(tradeId, {
-        role: 'maker',
+        role: store.getTrade(tradeId)?.role || 'maker',
         swap_channel: channel,
         ln_payment_hash_hex: paymentHashHex,
         sol_mint: mint.toBase58(),
@@ -6431,7 +7013,7 @@ export class ToolExecutor {
         if (!/^[0-9a-f]{64}$/.test(preimageHex)) throw new Error(`${toolName}: missing payment_preimage`);
 
         store.upsertTrade(tradeId, {
-          role: 'taker',
+          role: store.getTrade(tradeId)?.role || 'taker',
           swap_channel: channel,
           ln_payment_hash_hex: paymentHashHex,
           ln_preimage_hex: preimageHex,
@@ -6498,7 +7080,7 @@ export class ToolExecutor {
         if (!/^[0-9a-f]{64}$/.test(preimageHex)) throw new Error(`${toolName}: missing payment_preimage`);
 
         store.upsertTrade(tradeId, {
-          role: 'taker',
+          role: store.getTrade(tradeId)?.role || 'taker',
           swap_channel: channel,
           ln_payment_hash_hex: paymentHashHex,
           ln_preimage_hex: preimageHex,
@@ -6577,6 +7159,11 @@ export class ToolExecutor {
       const paymentHashHex = normalizeHex32(String(invoice.body?.payment_hash_hex || ''), 'payment_hash_hex');
       if (dryRun) return { type: 'dry_run', tool: toolName, channel, trade_id: tradeId, payment_hash_hex: paymentHashHex };
 
+      // TERMS are signed by the maker; the pre-pay check refuses to pay when terms.direction makes
+      // the other side the LN payer.
+      const { pubHex: localPeerHex } = await this._requirePeerSigning();
+      const localRole = String(terms.signer || '').trim().toLowerCase() === localPeerHex ? 'maker' : 'taker';
+
       const store = await this._openReceiptsStore({ required: true });
       try {
         const commitment = this._commitment();
@@ -6588,6 +7175,7 @@ export class ToolExecutor {
             connection,
             commitment,
             now_unix: nowUnix,
+            role: localRole,
           });
           if (!res.ok) return res;
 
@@ -6690,7 +7278,7 @@ export class ToolExecutor {
         if (gotHash !== paymentHashHex) throw new Error(`${toolName}: preimage payment_hash mismatch`);
 
         store.upsertTrade(tradeId, {
-          role: 'taker',
+          role: localRole,
           swap_channel: channel,
           ln_payment_hash_hex: paymentHashHex,
           ln_preimage_hex: preimageHex,
@@ -6776,7 +7364,7 @@ export class ToolExecutor {
       const claimSig = await this._pool().call((connection) => sendAndConfirm(connection, claimBuild.tx, commitment), { label: 'swap_sol_claim_send' });
 
       store.upsertTrade(tradeId, {
-        role: 'taker',
+        role: store.getTrade(tradeId)?.role || 'taker',
         swap_channel: channel,
         ln_payment_hash_hex: paymentHashHex,
         ln_preimage_hex: preimageHex,
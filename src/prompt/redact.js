@@ -11,6 +11,8 @@ function shouldRedactKey(key) {
   if (k.includes('macaroon')) return true;
   if (k.includes('seed')) return true;
   if (k.includes('password')) return true;
+  if (k.includes('passphrase') || k.includes('secret') || k.includes('mnemonic')) return true;
+  if (k.includes('privatekey') || k.includes('private_key')) return true;
 
   // Swap-sensitive material.
   if (k.includes('preimage')) return true;
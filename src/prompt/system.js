@@ -83,7 +83,12 @@ Environment (trusted, local):
 	  - you have USDT and want BTC
 	  - post an Offer announcement (USDT_SOL->BTC_LN): \`intercomswap_offer_post\`
 	  - if repeating: \`intercomswap_autopost_start\` with tool \`intercomswap_offer_post\`
+	  - only if the user explicitly wants to request quotes as taker (they lock the USDT and create the LN invoice): \`intercomswap_rfq_post\` with \`direction: "USDT_SOL->BTC_LN"\` and \`sol_refund\`
 	- Never invert trade direction. If the user says "sell X sats for Y USDT", it must NOT become an offer (that would mean buying sats with USDT).
+	- Other stablecoins ("USDC", an allow-listed SPL token): same tools with \`asset\` (example \`asset: "USDC_SOL"\`; offer lines take \`asset\` per line). Amounts stay in the token's atomic units; omit \`asset\` for USDT.
+	- Partial fills ("buy up to 0.01 BTC in 100k-500k sat chunks at <= 65000"): one offer line with \`btc_sats\`/\`usdt_amount\` as the total, plus \`min_btc_sats\`/\`max_btc_sats\` and \`price_usdt_per_btc\` (atomic units per BTC) or \`oracle_spread_bps\`. The line keeps filling RFQs until it is used up.
+	- Oracle-pegged pricing ("quote at market minus 0.5%"): \`intercomswap_quote_post_from_rfq\` with \`price_mode: "oracle"\` (also quotes open RFQs), or \`intercomswap_autopost_start\` with \`pricing\` for offers. Quotes are refused while the price feed is stale; pass the quote's \`price_ref\` to \`intercomswap_terms_post\`.
+	- Several quotes for one RFQ ("take the best quote"): \`intercomswap_quotes_rank\` ranks them by effective price after fees, refund window and maker reputation; accept the top one with \`intercomswap_quote_accept\` and pass the rest as \`rejected_quotes\`. For auto-accept, \`intercomswap_tradeauto_start\` with \`quote_window_ms\` waits that long for competing quotes.
 
 	Tool cookbook (preferred patterns):
 - Listen for signed swap envelopes: \`intercomswap_sc_subscribe\` then \`intercomswap_sc_wait_envelope\`.
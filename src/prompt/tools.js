@@ -39,6 +39,19 @@ const base58Param = {
   pattern: '^[1-9A-HJ-NP-Za-km-z]+$',
 };
 
+// Settlement asset id from the swap asset registry (src/swap/assets.js), e.g. USDT_SOL, USDC_SOL.
+const swapAssetParam = {
+  type: 'string',
+  pattern: '^[A-Z0-9]{2,16}_SOL$',
+  description:
+    'Optional settlement asset (USDT_SOL, USDC_SOL or another allow-listed SPL asset). Omit for legacy USDT_SOL envelopes.',
+};
+
+const swapDirectionParam = {
+  type: 'string',
+  pattern: '^(BTC_LN->[A-Z0-9]{2,16}_SOL|[A-Z0-9]{2,16}_SOL->BTC_LN)$',
+};
+
 const unixSecParam = { type: 'integer', minimum: 1, description: 'Unix seconds timestamp' };
 
 const atomicAmountParam = {
@@ -65,6 +78,30 @@ const solCuPriceParam = {
   description: 'Optional Solana compute unit price override in micro-lamports (priority fee). 0/omit uses instance default.',
 };
 
+const makerPricingParam = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    spread_bps: { type: 'integer', minimum: 0, maximum: 5000, description: 'Spread off the oracle median, in the maker favour.' },
+    tiers: {
+      type: 'array',
+      maxItems: 16,
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          min_btc_sats: satsParam,
+          spread_bps: { type: 'integer', minimum: 0, maximum: 5000 },
+        },
+        required: ['min_btc_sats', 'spread_bps'],
+      },
+      description: 'Size tiers: trades of at least min_btc_sats use that spread_bps.',
+    },
+    max_age_ms: { type: 'integer', minimum: 1000, maximum: 3600000, description: 'Refuse to price on a snapshot older than this.' },
+    reprice_threshold_bps: { type: 'integer', minimum: 0, maximum: 5000, description: 'Re-price posted offers once the median moved this much.' },
+  },
+};
+
 // NOTE: This is a first, safe “tool surface” for prompting.
 // The executor (Phase 5B) must validate and *must not* allow arbitrary file paths or shell execution.
 export const INTERCOMSWAP_TOOLS = [
@@ -357,8 +394,9 @@ export const INTERCOMSWAP_TOOLS = [
             type: 'object',
             additionalProperties: false,
             properties: {
-              pair: { type: 'string', enum: ['BTC_LN/USDT_SOL'] },
-              have: { type: 'string', enum: ['USDT_SOL'] },
+              pair: { type: 'string', pattern: '^BTC_LN/[A-Z0-9]{2,16}_SOL$' },
+              asset: swapAssetParam,
+              have: { type: 'string', pattern: '^[A-Z0-9]{2,16}_SOL$' },
               want: { type: 'string', enum: ['BTC_LN'] },
               btc_sats: satsParam,
               usdt_amount: atomicAmountParam,
@@ -367,6 +405,21 @@ export const INTERCOMSWAP_TOOLS = [
               max_total_fee_bps: { type: 'integer', minimum: 0, maximum: 1500 },
               min_sol_refund_window_sec: { type: 'integer', minimum: 3600, maximum: 7 * 24 * 3600 },
               max_sol_refund_window_sec: { type: 'integer', minimum: 3600, maximum: 7 * 24 * 3600 },
+              min_btc_sats: {
+                ...satsParam,
+                description: 'Range line: smallest RFQ to fill. With a range, btc_sats/usdt_amount are the total line capacity/budget.',
+              },
+              max_btc_sats: { ...satsParam, description: 'Range line: largest RFQ to fill (<= btc_sats).' },
+              price_usdt_per_btc: {
+                ...atomicAmountParam,
+                description: 'Range line: max price paid, in atomic token units per 1 BTC (defaults to usdt_amount/btc_sats).',
+              },
+              oracle_spread_bps: {
+                type: 'integer',
+                minimum: -5000,
+                maximum: 5000,
+                description: 'Range line: price relative to the oracle median (e.g. -50 = 0.5% below). Exclusive with price_usdt_per_btc.',
+              },
             },
             required: [
               'btc_sats',
@@ -385,11 +438,21 @@ export const INTERCOMSWAP_TOOLS = [
       channel: channelParam,
       trade_id: { type: 'string', minLength: 1, maxLength: 128 },
       btc_sats: satsParam,
-      usdt_amount: atomicAmountParam,
+      usdt_amount: { ...atomicAmountParam, description: 'Settlement token amount in atomic units (USDT unless asset says otherwise).' },
+      asset: swapAssetParam,
+      direction: {
+        ...swapDirectionParam,
+        description:
+          'Optional. BTC_LN-><asset> (default): sell BTC, the maker locks the token. <asset>->BTC_LN: buy BTC, you create the LN invoice and lock the token.',
+      },
       sol_recipient: {
         ...base58Param,
         description: 'Optional Solana recipient pubkey for USDT settlement. Recommended/required for full auto swap settlement.',
       },
+      sol_refund: {
+        ...base58Param,
+        description: 'Optional Solana refund pubkey for the USDT you lock (USDT_SOL->BTC_LN only).',
+      },
       max_platform_fee_bps: { type: 'integer', minimum: 0, maximum: 500, description: 'Optional fee ceiling for platform fee (bps).' },
       max_trade_fee_bps: { type: 'integer', minimum: 0, maximum: 1000, description: 'Optional fee ceiling for trade fee (bps).' },
       max_total_fee_bps: { type: 'integer', minimum: 0, maximum: 1500, description: 'Optional ceiling for platform+trade fee (bps).' },
@@ -455,6 +518,12 @@ export const INTERCOMSWAP_TOOLS = [
         sol_refund_window_sec: { type: 'integer', minimum: 3600, maximum: 7 * 24 * 3600, description: 'Solana refund/claim window (seconds) that will be used in binding TERMS.' },
         valid_until_unix: unixSecParam,
         valid_for_sec: { type: 'integer', minimum: 10, maximum: 60 * 60 * 24 * 7 },
+        price_mode: {
+          type: 'string',
+          enum: ['rfq', 'oracle'],
+          description:
+            'rfq (default): quote the RFQ amount. oracle: price off the oracle consensus with the configured spread (required for open RFQs; refused when the price is stale).',
+        },
       },
       required: ['channel', 'rfq_envelope', 'trade_fee_collector'],
     }
@@ -476,9 +545,39 @@ export const INTERCOMSWAP_TOOLS = [
         description:
           'Lightning outbound liquidity guardrail mode before accepting the quote. single_channel (default) requires one active channel to cover btc_sats; aggregate allows sum across active channels.',
       },
+      quote_score_bps: { type: 'number', description: 'Best-execution score of this quote (from intercomswap_quotes_rank), logged to receipts.' },
+      rejected_quotes: {
+        type: 'array',
+        maxItems: 50,
+        description: 'Other quotes considered for this RFQ; each is logged to the receipts events table as quote_rejected.',
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            quote_id: hex32Param,
+            signer: hex32Param,
+            reason: { type: 'string', minLength: 1, maxLength: 200 },
+            score_bps: { type: 'number' },
+          },
+          required: ['quote_id', 'reason'],
+        },
+      },
     },
     required: ['channel', 'quote_envelope'],
   }),
+  tool(
+    'intercomswap_quotes_rank',
+    'Taker: rank the quotes received for one of your RFQs by effective price after fees, refund window and maker reputation (local receipts). Read-only; quotes that violate the RFQ are listed as rejected.',
+    {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        trade_id: { type: 'string', minLength: 1, maxLength: 128 },
+        channel: { ...channelParam, description: 'Only consider quotes seen on this channel.' },
+      },
+      required: ['trade_id'],
+    }
+  ),
   tool(
     'intercomswap_swap_invite_from_accept',
     'Maker: generate welcome+invite and post SWAP_INVITE into the RFQ channel, based on an accepted quote.',
@@ -568,7 +667,18 @@ export const INTERCOMSWAP_TOOLS = [
       usdt_mint: base58Param,
       enable_quote_from_offers: { type: 'boolean' },
       enable_quote_from_rfqs: { type: 'boolean', description: 'Quote actionable RFQs even when no local offer line matched.' },
+      quote_price_mode: {
+        type: 'string',
+        enum: ['rfq', 'oracle'],
+        description: 'How unmatched RFQs are priced: rfq (echo the RFQ amount) or oracle (pegged to the price consensus, open RFQs included).',
+      },
       enable_accept_quotes: { type: 'boolean' },
+      quote_window_ms: {
+        type: 'integer',
+        minimum: 0,
+        maximum: 120000,
+        description: 'Collect quotes for this long after the first one arrives, then auto-accept the best-ranked quote (0 = accept the first acceptable quote).',
+      },
       enable_invite_from_accepts: { type: 'boolean' },
       enable_join_invites: { type: 'boolean' },
       enable_settlement: { type: 'boolean' },
@@ -680,6 +790,11 @@ export const INTERCOMSWAP_TOOLS = [
           'Optional absolute expiry (unix seconds). If provided, autopost will stop at this time and all reposts will share the same valid_until_unix.',
       },
       args: { type: 'object', additionalProperties: true, description: 'Arguments for the selected tool.' },
+      pricing: {
+        ...makerPricingParam,
+        description:
+          'Optional (offer_post only): peg fixed offer lines to the oracle price. Overrides the configured pricing; reposts pause while the price is stale.',
+      },
     },
     required: ['name', 'tool', 'interval_sec', 'ttl_sec', 'args'],
   }),
@@ -708,6 +823,24 @@ export const INTERCOMSWAP_TOOLS = [
       ln_payer_peer: hex32Param,
       trade_fee_collector: { ...base58Param, description: 'Fee receiver pubkey. trade_fee_bps is read from the trade-config PDA for this address.' },
       terms_valid_until_unix: { ...unixSecParam, description: 'Optional expiry for terms acceptance.' },
+      asset: { ...swapAssetParam, description: 'Optional, from the RFQ sol_asset. sol_mint must be one of its allow-listed mints.' },
+      direction: {
+        ...swapDirectionParam,
+        description:
+          'Optional, from the RFQ (default BTC_LN->USDT_SOL). USDT_SOL->BTC_LN: ln_receiver_peer/sol_refund are the taker, ln_payer_peer/sol_recipient are you.',
+      },
+      price_ref: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          pair: { type: 'string', minLength: 5, maxLength: 33 },
+          median: { type: 'string', minLength: 1, maxLength: 32 },
+          ts: { type: 'integer', minimum: 1 },
+          spread_bps: { type: 'integer', minimum: 0 },
+        },
+        required: ['pair', 'median', 'ts', 'spread_bps'],
+        description: 'Optional, from an oracle-priced quote (quote.body.price_ref). Recorded in TERMS and receipts.',
+      },
     },
     required: [
       'channel',
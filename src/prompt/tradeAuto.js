@@ -1,4 +1,11 @@
+import { DIRECTION } from '../swap/constants.js';
+import { DEFAULT_MAKER_PRICING, consensusPrice } from '../price/pricing.js';
+import { settlementAsset, swapDirectionsFor } from '../swap/assets.js';
 import { hashUnsignedEnvelope } from '../swap/hash.js';
+import { matchRfqToOfferLine, offerLinePricePair } from '../swap/offerLines.js';
+import { rankQuotes } from '../swap/quoteSelection.js';
+import { swapRoles } from '../swap/roles.js';
+import { checkBodyAgainstRfq } from '../swap/terms.js';
 
 const FIXED_PLATFORM_FEE_BPS = 10; // 0.1%
 const DEFAULT_TRADE_FEE_BPS = 10; // 0.1%
@@ -78,6 +85,25 @@ function eventTs(evt) {
   return Number.isFinite(ts) && ts > 0 ? ts : Date.now();
 }
 
+// QUOTE id as referenced by QUOTE_ACCEPT (hash of the unsigned envelope); '' when unhashable.
+function quoteIdOf(envelope) {
+  try {
+    return String(hashUnsignedEnvelope(stripSignature(envelope)) || '').trim().toLowerCase();
+  } catch (_e) {
+    return '';
+  }
+}
+
+// quote_rejected receipts payload for a QUOTE event.
+function quoteRejection(evt, reason) {
+  return {
+    channel: String(evt?.channel || '').trim() || null,
+    quote_id: quoteIdOf(evt?.message) || null,
+    signer: envelopeSigner(evt) || null,
+    reason,
+  };
+}
+
 function isLocalEvent(evt) {
   return Boolean(evt?.local) || String(evt?.dir || '').trim().toLowerCase() === 'out' || String(evt?.origin || '').trim().toLowerCase() === 'local';
 }
@@ -161,10 +187,35 @@ function pruneMapByLimit(map, limit) {
   }
 }
 
-function matchOfferForRfq({ rfqEvt, myOfferEvents }) {
+// Pair -> median of a price_snapshot (intercomswap_sc_price_get), for oracle-priced offer lines.
+// Same freshness rule as maker quotes (consensusPrice): a stale snapshot prices no offer line.
+function oracleMediansFromSnapshot(snap, { maxAgeMs, nowMs = Date.now() } = {}) {
+  const out = {};
+  const pairs = isObject(snap?.pairs) ? snap.pairs : {};
+  for (const pair of Object.keys(pairs)) {
+    const px = consensusPrice(snap, pair, { maxAgeMs, nowMs });
+    if (px.ok) out[pair] = px.median;
+  }
+  return out;
+}
+
+function hasOracleOfferLine(myOfferEvents) {
+  return myOfferEvents.some((evt) => {
+    const offers = Array.isArray(evt?.message?.body?.offers) ? evt.message.body.offers : [];
+    return offers.some((o) => isObject(o) && o.oracle_spread_bps !== undefined && o.oracle_spread_bps !== null);
+  });
+}
+
+// Range lines take any RFQ sized within [min_btc_sats, max_btc_sats] at or below the line price;
+// capacity left on the line is enforced by quote_post_from_rfq against the listing locks.
+function matchOfferForRfq({ rfqEvt, myOfferEvents, oracleMedians = {} }) {
   const rfqMsg = rfqEvt?.message;
   const rfqBody = rfqMsg?.body && typeof rfqMsg.body === 'object' ? rfqMsg.body : null;
   if (!rfqBody) return null;
+  // Offer lines sell a settlement token for BTC, so they only fill RFQs selling BTC for that token.
+  const rfqAsset = settlementAsset(rfqBody);
+  if (String(rfqBody.direction || DIRECTION.BTC_LN__USDT_SOL) !== swapDirectionsFor(rfqAsset)[0]) return null;
+  const rfqMint = String(rfqBody.sol_asset?.mint || '').trim();
 
   const rfqBtc = toIntOrNull(rfqBody.btc_sats);
   const rfqUsdt = String(rfqBody.usdt_amount || '').trim();
@@ -207,7 +258,9 @@ function matchOfferForRfq({ rfqEvt, myOfferEvents }) {
       const lineBtc = toIntOrNull(line.btc_sats);
       const lineUsdt = String(line.usdt_amount || '').trim();
       if (lineBtc === null || lineBtc < 1 || !/^[0-9]+$/.test(lineUsdt)) continue;
-      if (lineBtc !== rfqBtc || lineUsdt !== rfqUsdt) continue;
+      const oraclePrice = oracleMedians[offerLinePricePair(line)] ?? null;
+      if (!matchRfqToOfferLine({ rfqBody, line, oraclePrice }).ok) continue;
+      if (rfqMint && line.sol_asset?.mint && line.sol_asset.mint !== rfqMint) continue;
 
       const lineMaxPlatform = Math.max(0, Math.min(500, toIntOrNull(line.max_platform_fee_bps) ?? FIXED_PLATFORM_FEE_BPS));
       const lineMaxTrade = Math.max(0, Math.min(1000, toIntOrNull(line.max_trade_fee_bps) ?? DEFAULT_TRADE_FEE_BPS));
@@ -293,6 +346,9 @@ export class TradeAutoManager {
     scLogInfo,
     scLogRead,
     logger = null,
+    makerStats = null,
+    recordQuoteRejections = null,
+    priceMaxAgeMs = DEFAULT_MAKER_PRICING.max_age_ms,
   }) {
     if (typeof runTool !== 'function') throw new Error('TradeAutoManager: runTool is required');
     if (typeof scLogInfo !== 'function') throw new Error('TradeAutoManager: scLogInfo is required');
@@ -302,6 +358,13 @@ export class TradeAutoManager {
     this.scLogInfo = scLogInfo;
     this.scLogRead = scLogRead;
     this.logger = typeof logger === 'function' ? logger : null;
+    // Optional (signers) -> Map signer -> { completed, failed } from local receipts (maker reputation).
+    this.makerStats = typeof makerStats === 'function' ? makerStats : null;
+    // Optional (trade_id, [{ channel, quote_id, signer, reason }]) -> receipts quote_rejected events for
+    // quotes dropped outside quote_accept (rule violations, expiry, failed accepts).
+    this.recordQuoteRejections = typeof recordQuoteRejections === 'function' ? recordQuoteRejections : null;
+    // Oracle-priced offer lines only match against a price consensus younger than this.
+    this.priceMaxAgeMs = priceMaxAgeMs;
 
     this.running = false;
     this.opts = null;
@@ -577,6 +640,7 @@ export class TradeAutoManager {
       max: 120_000,
       fallback: 4_000,
     });
+    const quoteWindowMs = clampInt(toIntOrNull(opts.quote_window_ms), { min: 0, max: 120_000, fallback: 0 });
     const traceEnabled = opts.trace_enabled === true;
 
     const lnLiquidityModeRaw = String(opts.ln_liquidity_mode || 'aggregate').trim().toLowerCase();
@@ -620,7 +684,10 @@ export class TradeAutoManager {
       usdt_mint: usdtMint || null,
       enable_quote_from_offers: opts.enable_quote_from_offers !== false,
       enable_quote_from_rfqs: opts.enable_quote_from_rfqs === true,
+      // Unmatched RFQs: echo the RFQ amount (rfq) or price them off the oracle consensus (oracle).
+      quote_price_mode: opts.quote_price_mode === 'oracle' ? 'oracle' : 'rfq',
       enable_accept_quotes: opts.enable_accept_quotes !== false,
+      quote_window_ms: quoteWindowMs,
       enable_invite_from_accepts: opts.enable_invite_from_accepts !== false,
       enable_join_invites: opts.enable_join_invites !== false,
       enable_settlement: opts.enable_settlement !== false,
@@ -916,6 +983,26 @@ export class TradeAutoManager {
     return { state, shouldAbort, elapsedMs };
   }
 
+  async _loadMakerStats(signers) {
+    if (!this.makerStats) return new Map();
+    try {
+      const out = await this.makerStats([...new Set(signers.filter(Boolean))]);
+      return out instanceof Map ? out : new Map();
+    } catch (err) {
+      this._log(`[tradeauto] maker stats unavailable: ${err?.message || String(err)}`);
+      return new Map();
+    }
+  }
+
+  async _recordQuoteRejections(tradeId, rejected) {
+    if (!this.recordQuoteRejections || rejected.length === 0) return;
+    try {
+      await this.recordQuoteRejections(tradeId, rejected);
+    } catch (err) {
+      this._log(`[tradeauto] quote_rejected receipts failed trade_id=${tradeId}: ${err?.message || String(err)}`);
+    }
+  }
+
   _eventRetryKey(flow, sig) {
     return `evt:${String(flow || '')}:${String(sig || '')}`;
   }
@@ -1092,17 +1179,7 @@ export class TradeAutoManager {
       if (kind === 'swap.rfq' && local && tradeId) myRfqTradeIds.add(tradeId);
 
       if (kind === 'swap.quote') {
-        const quoteId = (() => {
-          try {
-            const unsigned = stripSignature(msg);
-            const id = hashUnsignedEnvelope(unsigned);
-            return String(id || '').trim().toLowerCase();
-          } catch (_e) {
-            const s = String(msg?.body?.rfq_id || '').trim();
-            const t = String(msg?.trade_id || '').trim();
-            return `${t}:${s}:${eventTs(e)}`;
-          }
-        })();
+        const quoteId = quoteIdOf(msg) || `${String(msg?.trade_id || '').trim()}:${String(msg?.body?.rfq_id || '').trim()}:${eventTs(e)}`;
         if (local) {
           myQuoteById.set(quoteId, { event: e, envelope: msg, channel: String(e?.channel || '').trim() });
           if (tradeId) myQuoteTradeIds.add(tradeId);
@@ -1120,6 +1197,7 @@ export class TradeAutoManager {
           neg = {
             trade_id: tradeId,
             rfq: null,
+            my_rfq: null,
             quote: null,
             quote_accept: null,
             swap_invite: null,
@@ -1143,6 +1221,11 @@ export class TradeAutoManager {
             neg.rfq_ts = ts;
             if (evtChannel) neg.rfq_channel = evtChannel;
           }
+          // Anyone can post an RFQ under our trade_id; only our own one binds the taker side.
+          if (local && (!neg.my_rfq || ts >= Number(neg.my_rfq_ts || 0))) {
+            neg.my_rfq = msg;
+            neg.my_rfq_ts = ts;
+          }
         } else if (kind === 'swap.quote') {
           if (!neg.quote || ts >= Number(neg.quote_ts || 0)) {
             neg.quote = msg;
@@ -1429,6 +1512,8 @@ export class TradeAutoManager {
         const rfqQueue = [...activeEvents]
           .filter((e) => envelopeKind(e) === 'swap.rfq')
           .reverse();
+        // Fetched once per tick, and only when one of our offer lines is oracle-priced.
+        let oracleMedians = null;
         for (const rfqEvt of rfqQueue) {
           if (actionsLeft <= 0) break;
           if (isLocalEvent(rfqEvt)) continue;
@@ -1472,7 +1557,21 @@ export class TradeAutoManager {
           if (tradeBusy) {
             continue;
           }
-          const match = matchOfferForRfq({ rfqEvt, myOfferEvents: ctx.myOfferEvents });
+          if (oracleMedians === null) {
+            oracleMedians = {};
+            if (hasOracleOfferLine(ctx.myOfferEvents)) {
+              try {
+                const snap = await this._runToolWithTimeout(
+                  { tool: 'intercomswap_sc_price_get', args: {} },
+                  { timeoutMs: Math.min(this._toolTimeoutMs, 8_000), label: 'tradeauto_price_get' }
+                );
+                oracleMedians = oracleMediansFromSnapshot(snap, { maxAgeMs: this.priceMaxAgeMs });
+              } catch (err) {
+                this._trace('auto_quote_price_fail', { error: err?.message || String(err) });
+              }
+            }
+          }
+          const match = matchOfferForRfq({ rfqEvt, myOfferEvents: ctx.myOfferEvents, oracleMedians });
           if (!match && this.opts.enable_quote_from_rfqs !== true) continue;
           const refundWindowSec =
             match && Number.isFinite(Number(match.solRefundWindowSec))
@@ -1492,6 +1591,7 @@ export class TradeAutoManager {
                       offer_line_index: Number(match.offerLineIndex),
                     }
                   : {}),
+                ...(!match && this.opts.quote_price_mode === 'oracle' ? { price_mode: 'oracle' } : {}),
                 trade_fee_collector: localSolSigner,
                 sol_refund_window_sec: refundWindowSec,
                 valid_for_sec: 180,
@@ -1536,8 +1636,10 @@ export class TradeAutoManager {
       if (this.opts.enable_accept_quotes && actionsLeft > 0) {
         const nowSec = Math.floor(Date.now() / 1000);
         const quoteQueue = [...ctx.quoteEvents].reverse();
+        // Collect every pending quote per RFQ first, then accept the best-ranked one once the
+        // quote window (counted from the first quote) has passed.
+        const quotesByTrade = new Map(); // trade_id -> { rfqEnv, firstTs, quotes: [{ evt, sig, quote_id }] }
         for (const quoteEvt of quoteQueue) {
-          if (actionsLeft <= 0) break;
           if (isEventStale(quoteEvt, this.opts.event_max_age_ms)) continue;
           const sig = envelopeSig(quoteEvt);
           if (!sig || this._autoAcceptedQuoteSig.has(sig)) continue;
@@ -1550,6 +1652,9 @@ export class TradeAutoManager {
               channel: String(quoteEvt?.channel || '').trim(),
               quote_sig: sig.slice(0, 16),
             });
+            if (ctx.myRfqTradeIds.has(envelopeTradeId(quoteEvt))) {
+              await this._recordQuoteRejections(envelopeTradeId(quoteEvt), [quoteRejection(quoteEvt, 'quote_expired')]);
+            }
             continue;
           }
           const tradeId = envelopeTradeId(quoteEvt);
@@ -1560,7 +1665,7 @@ export class TradeAutoManager {
           const neg = ctx.swapNegotiationByTrade && typeof ctx.swapNegotiationByTrade.get === 'function'
             ? ctx.swapNegotiationByTrade.get(tradeId)
             : null;
-          const rfqEnv = isObject(neg?.rfq) ? neg.rfq : null;
+          const rfqEnv = isObject(neg?.my_rfq) ? neg.my_rfq : null;
           if (rfqEnv && isEnvelopeExpired({ message: rfqEnv }, nowSec)) {
             this._autoAcceptedQuoteSig.add(sig);
             this._clearEventRetry('accept_quote', sig);
@@ -1569,24 +1674,78 @@ export class TradeAutoManager {
               channel: String(quoteEvt?.channel || '').trim(),
               quote_sig: sig.slice(0, 16),
             });
+            await this._recordQuoteRejections(tradeId, [quoteRejection(quoteEvt, 'rfq_expired')]);
             continue;
           }
+          const quoteId = quoteIdOf(quoteEvt.message);
+          if (!quoteId) continue;
+          let group = quotesByTrade.get(tradeId);
+          if (!group) {
+            group = { rfqEnv, firstTs: eventTs(quoteEvt), quotes: [] };
+            quotesByTrade.set(tradeId, group);
+          }
+          group.firstTs = Math.min(group.firstTs, eventTs(quoteEvt));
+          group.quotes.push({ evt: quoteEvt, sig, quote_id: quoteId });
+        }
+
+        for (const [tradeId, group] of quotesByTrade) {
+          if (actionsLeft <= 0) break;
+          if (this.opts.quote_window_ms > 0 && Date.now() - group.firstTs < this.opts.quote_window_ms) continue;
+          const makerStats = await this._loadMakerStats(group.quotes.map((q) => envelopeSigner(q.evt)));
+          const { ranked, rejected } = rankQuotes({
+            rfqBody: isObject(group.rfqEnv?.body) ? group.rfqEnv.body : null,
+            quotes: group.quotes.map((q) => ({ quote_id: q.quote_id, signer: envelopeSigner(q.evt), body: q.evt?.message?.body })),
+            makerStats,
+            nowSec,
+          });
+          const byId = new Map(group.quotes.map((q) => [q.quote_id, q]));
+          // Quotes that break the RFQ are logged now (even when none is left to accept); the
+          // outranked ones go to receipts with the accept below.
+          const violations = [];
+          for (const r of rejected) {
+            const q = byId.get(r.quote_id);
+            if (!q) continue;
+            this._autoAcceptedQuoteSig.add(q.sig);
+            this._clearEventRetry('accept_quote', q.sig);
+            this._trace('auto_accept_reject_quote', {
+              trade_id: tradeId,
+              channel: String(q.evt?.channel || '').trim(),
+              quote_sig: q.sig.slice(0, 16),
+              reason: r.reason,
+            });
+            violations.push(quoteRejection(q.evt, r.reason));
+          }
+          await this._recordQuoteRejections(tradeId, violations);
+          if (ranked.length === 0) continue;
+          const best = byId.get(ranked[0].quote_id);
+          const quoteEvt = best.evt;
+          const sig = best.sig;
+          const rejectedQuotes = ranked
+            .slice(1)
+            .map((r) => ({ quote_id: r.quote_id, signer: r.signer, reason: 'outranked', score_bps: r.score_bps }));
           try {
-            await this._runToolWithTimeout({
+            const accepted = await this._runToolWithTimeout({
               tool: 'intercomswap_quote_accept',
               args: {
                 channel: String(quoteEvt?.channel || '').trim(),
                 quote_envelope: quoteEvt.message,
                 ln_liquidity_mode: this.opts.ln_liquidity_mode,
+                ...(rejectedQuotes.length > 0 ? { quote_score_bps: ranked[0].score_bps, rejected_quotes: rejectedQuotes } : {}),
               },
             });
             this._trace('auto_accept_ok', {
               trade_id: tradeId,
               channel: String(quoteEvt?.channel || '').trim(),
               quote_sig: sig.slice(0, 16),
+              ...(ranked.length > 1 ? { quotes_ranked: ranked.length, score_bps: ranked[0].score_bps } : {}),
             });
+            if (accepted?.receipts_error) this._log(`[tradeauto] quote receipts incomplete trade_id=${tradeId}: ${accepted.receipts_error}`);
             this._autoAcceptedQuoteSig.add(sig);
             this._clearEventRetry('accept_quote', sig);
+            for (const r of ranked.slice(1)) {
+              const q = byId.get(r.quote_id);
+              if (q) this._autoAcceptedQuoteSig.add(q.sig);
+            }
             this._autoAcceptedTradeLock.set(tradeId, Date.now());
             this._pruneCaches();
             actionsLeft -= 1;
@@ -1608,6 +1767,7 @@ export class TradeAutoManager {
                 quote_sig: sig.slice(0, 16),
                 error: errMsg,
               });
+              await this._recordQuoteRejections(tradeId, [quoteRejection(quoteEvt, `accept_failed: ${errMsg}`.slice(0, 200))]);
             } else {
               this._markEventRetry('accept_quote', sig, 5000);
             }
@@ -1782,6 +1942,7 @@ export class TradeAutoManager {
 
           const neg = ctx.swapNegotiationByTrade.get(tradeId) || {};
           const rfqEnv = isObject(neg?.rfq) ? neg.rfq : null;
+          const myRfqEnv = isObject(neg?.my_rfq) ? neg.my_rfq : null;
           const quoteEnv = isObject(neg?.quote) ? neg.quote : null;
           const quoteAcceptEnv = isObject(neg?.quote_accept) ? neg.quote_accept : null;
 
@@ -1803,6 +1964,21 @@ export class TradeAutoManager {
           const termsLnPayerPeer = String(termsBody?.ln_payer_peer || '').trim().toLowerCase();
           const termsSolRecipient = String(termsBody?.sol_recipient || '').trim();
 
+          // The direction decides whether the maker or the taker is the LN receiver (invoice + USDT escrow)
+          // and the LN payer (payment + claim), see src/swap/roles.js. The RFQ fixes it (our own RFQ
+          // first); a TERMS body that disagrees is refused at terms_accept.
+          const direction = String(
+            myRfqEnv?.body?.direction ||
+              rfqEnv?.body?.direction ||
+              quoteEnv?.body?.direction ||
+              termsBody?.direction ||
+              DIRECTION.BTC_LN__USDT_SOL
+          );
+          const roles = swapRoles(direction);
+          if (!roles) continue;
+          const termsTakerPeer = String(termsBody?.[roles.taker_peer_field] || '').trim().toLowerCase();
+          const termsTakerSol = String(termsBody?.[roles.taker_sol_field] || '').trim();
+
           const makerSigner = String(termsEnv?.signer || quoteEnv?.signer || '').trim().toLowerCase();
           const takerSigner = String(acceptEnv?.signer || quoteAcceptEnv?.signer || rfqEnv?.signer || '').trim().toLowerCase();
           const inviteePeer = String(neg?.swap_invite?.body?.invite?.payload?.inviteePubKey || '').trim().toLowerCase();
@@ -1815,8 +1991,8 @@ export class TradeAutoManager {
             (localPeer && takerSigner && takerSigner === localPeer) ||
               iAmInvitedTaker ||
               ctx.myRfqTradeIds.has(tradeId) ||
-              (localPeer && /^[0-9a-f]{64}$/i.test(termsLnPayerPeer) && termsLnPayerPeer === localPeer) ||
-              (localSolSigner && termsSolRecipient && termsSolRecipient === localSolSigner)
+              (localPeer && /^[0-9a-f]{64}$/i.test(termsTakerPeer) && termsTakerPeer === localPeer) ||
+              (localSolSigner && termsTakerSol && termsTakerSol === localSolSigner)
           );
           if (!iAmMaker && !iAmTaker) {
             const lastTrace = Number(this._notOwnerTraceAt.get(tradeId) || 0);
@@ -1841,6 +2017,10 @@ export class TradeAutoManager {
           if (!swapChannel.startsWith('swap:')) continue;
           const routePrecheckStatus = parseLnRoutePrecheckStatus(tradeCtx?.statuses, { payerPeer: termsLnPayerPeer });
 
+          const iAmLnReceiver = roles.ln_receiver === 'maker' ? iAmMaker : iAmTaker;
+          const iAmLnPayer = roles.ln_payer === 'maker' ? iAmMaker : iAmTaker;
+
+          // Payer-side bindings (ln_pay / claim): terms must name our LN peer and our Solana address.
           const termsBoundToLocalIdentity = (() => {
             if (!termsEnv) return true;
             if (!localPeer) return false;
@@ -1852,6 +2032,13 @@ export class TradeAutoManager {
             if (!localSolSigner) return false;
             return Boolean(termsSolRecipient && termsSolRecipient === localSolSigner);
           })();
+          // Taker-side bindings (accept): the same fields for BTC_LN->USDT_SOL, ln_receiver_peer / sol_refund otherwise.
+          const termsBoundToLocalTaker = (() => {
+            if (!termsEnv) return true;
+            if (!localPeer || !localSolSigner) return false;
+            if (!/^[0-9a-f]{64}$/i.test(termsTakerPeer)) return false;
+            return termsTakerPeer === localPeer && termsTakerSol === localSolSigner;
+          })();
 
           if (iAmMaker && !termsEnv && quoteEnv && rfqEnv && quoteAcceptEnv) {
             const stageKey = `${tradeId}:terms_post`;
@@ -1862,17 +2049,26 @@ export class TradeAutoManager {
                 const rfqBody = isObject(rfqEnv?.body) ? rfqEnv.body : {};
                 const btcSats = toIntOrNull(quoteBody?.btc_sats ?? rfqBody?.btc_sats);
                 const usdtAmount = String(quoteBody?.usdt_amount ?? rfqBody?.usdt_amount ?? '').trim();
-                const solRecipient = String(rfqBody?.sol_recipient || '').trim();
-                const solRefund = localSolSigner;
+                const takerPeer = String(quoteAcceptEnv?.signer || rfqEnv?.signer || '').trim().toLowerCase();
+                // We claim the USDT when the taker locks it (USDT_SOL->BTC_LN), else we lock it and get refunds.
+                const makerDeposits = roles.ln_receiver === 'maker';
+                const solRecipient = makerDeposits ? String(rfqBody?.sol_recipient || '').trim() : localSolSigner;
+                const solRefund = makerDeposits ? localSolSigner : String(rfqBody?.sol_refund || '').trim();
+                const lnReceiverPeer = makerDeposits ? localPeer : takerPeer;
+                const lnPayerPeer = makerDeposits ? takerPeer : localPeer;
                 const tradeFeeCollector = String(quoteBody?.trade_fee_collector || '').trim();
-                const lnPayerPeer = String(quoteAcceptEnv?.signer || rfqEnv?.signer || '').trim().toLowerCase();
-                const solMint = String(this.opts.usdt_mint || rfqBody?.sol_mint || quoteBody?.sol_mint || '').trim();
+                // An RFQ naming its asset pins the mint; legacy RFQs settle in the configured USDT mint.
+                const solAsset = isObject(rfqBody?.sol_asset) ? rfqBody.sol_asset : null;
+                const solMint = String(
+                  solAsset?.mint || this.opts.usdt_mint || rfqBody?.sol_mint || quoteBody?.sol_mint || ''
+                ).trim();
                 if (btcSats === null || btcSats < 1) throw new Error('terms_post: missing btc_sats');
                 if (!/^[0-9]+$/.test(usdtAmount)) throw new Error('terms_post: missing usdt_amount');
                 if (!solMint) throw new Error('terms_post: missing usdt_mint');
                 if (!solRecipient) throw new Error('terms_post: missing sol_recipient');
                 if (!solRefund) throw new Error('terms_post: missing sol_refund');
                 if (!tradeFeeCollector) throw new Error('terms_post: missing trade_fee_collector');
+                if (!lnReceiverPeer) throw new Error('terms_post: missing ln_receiver_peer');
                 if (!lnPayerPeer) throw new Error('terms_post: missing ln_payer_peer');
                 const quoteRefundWindowSec = clampInt(toIntOrNull(quoteBody?.sol_refund_window_sec), {
                   min: 3600,
@@ -1892,10 +2088,13 @@ export class TradeAutoManager {
                     sol_recipient: solRecipient,
                     sol_refund: solRefund,
                     sol_refund_after_unix: refundAfterUnix,
-                    ln_receiver_peer: localPeer,
+                    ln_receiver_peer: lnReceiverPeer,
                     ln_payer_peer: lnPayerPeer,
                     trade_fee_collector: tradeFeeCollector,
+                    ...(solAsset ? { asset: solAsset.asset } : {}),
+                    direction,
                     ...(termsValidUntilUnix && termsValidUntilUnix > 0 ? { terms_valid_until_unix: termsValidUntilUnix } : {}),
+                    ...(isObject(quoteBody?.price_ref) ? { price_ref: quoteBody.price_ref } : {}),
                   },
                 });
                 this._markStageSuccess(stageKey);
@@ -2156,8 +2355,12 @@ export class TradeAutoManager {
             if (this._canRunStage(stageKey)) {
               this._markStageInFlight(stageKey);
               try {
-                if (!termsBoundToLocalIdentity) throw new Error('terms_accept: terms.ln_payer_peer mismatch');
-                if (!termsBoundToLocalSolRecipient) throw new Error('terms_accept: terms.sol_recipient mismatch');
+                if (!termsBoundToLocalTaker) {
+                  throw new Error(`terms_accept: terms.${roles.taker_peer_field}/${roles.taker_sol_field} mismatch`);
+                }
+                if (!myRfqEnv) throw new Error('terms_accept: local RFQ not found');
+                const bound = checkBodyAgainstRfq(myRfqEnv.body, termsBody, { label: 'terms' });
+                if (!bound.ok) throw new Error(`terms_accept: ${bound.error}`);
                 await this._runToolWithTimeout({
                   tool: 'intercomswap_terms_accept_from_terms',
                   args: { channel: swapChannel, terms_envelope: termsEnv },
@@ -2183,7 +2386,7 @@ export class TradeAutoManager {
             continue;
           }
 
-          if (iAmMaker && termsEnv && acceptEnv && !invoiceEnv) {
+          if (iAmLnReceiver && termsEnv && acceptEnv && !invoiceEnv) {
             const stageKey = `${tradeId}:ln_invoice`;
             if (this._canRunStage(stageKey)) {
               this._markStageInFlight(stageKey);
@@ -2221,7 +2424,7 @@ export class TradeAutoManager {
             continue;
           }
 
-          if (iAmTaker && termsEnv && invoiceEnv && !escrowEnv) {
+          if (iAmLnPayer && termsEnv && invoiceEnv && !escrowEnv) {
             const stageKey = `${tradeId}:ln_route_precheck`;
             if (this._canRunStage(stageKey)) {
               this._markStageInFlight(stageKey);
@@ -2304,7 +2507,7 @@ export class TradeAutoManager {
             continue;
           }
 
-          if (iAmMaker && termsEnv && invoiceEnv && !escrowEnv) {
+          if (iAmLnReceiver && termsEnv && invoiceEnv && !escrowEnv) {
             const stageKey = `${tradeId}:sol_escrow`;
             if (this._canRunStage(stageKey)) {
               const okTs = Number(routePrecheckStatus?.ok_ts || 0);
@@ -2350,9 +2553,15 @@ export class TradeAutoManager {
               });
               this._markStageInFlight(stageKey);
               try {
+                // A depositing taker escrows what its own RFQ asked for, never a maker-chosen asset or mint.
+                if (!iAmMaker) {
+                  if (!myRfqEnv) throw new Error('sol_escrow: local RFQ not found');
+                  const bound = checkBodyAgainstRfq(myRfqEnv.body, termsBody, { label: 'terms' });
+                  if (!bound.ok) throw new Error(`sol_escrow: ${bound.error}`);
+                }
                 const invBody = isObject(invoiceEnv?.body) ? invoiceEnv.body : {};
                 const paymentHashHex = String(invBody?.payment_hash_hex || '').trim().toLowerCase();
-                const mint = String(termsBody?.sol_mint || this.opts.usdt_mint || '').trim();
+                const mint = String(termsBody?.sol_asset?.mint || termsBody?.sol_mint || this.opts.usdt_mint || '').trim();
                 const amount = String(termsBody?.usdt_amount || '').trim();
                 const recipient = String(termsBody?.sol_recipient || '').trim();
                 const refund = String(termsBody?.sol_refund || '').trim();
@@ -2403,7 +2612,7 @@ export class TradeAutoManager {
             continue;
           }
 
-          if (iAmTaker && termsEnv && invoiceEnv && escrowEnv && !lnPaidEnv) {
+          if (iAmLnPayer && termsEnv && invoiceEnv && escrowEnv && !lnPaidEnv) {
             const stageKey = `${tradeId}:ln_pay`;
             const lnPayFailState = this._lnPayFailByTrade.get(tradeId) || null;
             if (lnPayFailState && Number(lnPayFailState.abortedAt || 0) > 0) {
@@ -2497,13 +2706,13 @@ export class TradeAutoManager {
             continue;
           }
 
-          if (iAmTaker && termsEnv && lnPaidEnv && !tradeCtx?.claimed) {
+          if (iAmLnPayer && termsEnv && lnPaidEnv && !tradeCtx?.claimed) {
             const stageKey = `${tradeId}:sol_claim`;
             if (this._canRunStage(stageKey)) {
               this._markStageInFlight(stageKey);
               try {
                 if (!termsBoundToLocalSolRecipient) throw new Error('sol_claim: terms.sol_recipient mismatch');
-                const mint = String(termsBody?.sol_mint || this.opts.usdt_mint || '').trim();
+                const mint = String(termsBody?.sol_asset?.mint || termsBody?.sol_mint || this.opts.usdt_mint || '').trim();
                 if (!mint) throw new Error('sol_claim: missing mint');
                 let preimageHex = String(this._tradePreimage.get(tradeId) || '').trim().toLowerCase();
                 if (!/^[0-9a-f]{64}$/i.test(preimageHex)) {
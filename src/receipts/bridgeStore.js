@@ -0,0 +1,263 @@
+// Node-only local store of server bridges (/api/bridge/evm).
+//
+// Same rules as the swap history store:
+// - local-only, lives under `onchain/` (gitignored)
+// - Node's built-in SQLite module, no native deps
+// In-flight rows survive a restart so the server can resume status tracking.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { DatabaseSync } from 'node:sqlite';
+
+import { stableStringify } from '../util/stableStringify.js';
+
+const SCHEMA_VERSION = 1;
+
+export const DEFAULT_BRIDGE_DB = 'onchain/server/bridges.sqlite';
+
+// approving -> sending -> pending -> done | failed
+export const BRIDGE_TERMINAL_STATUSES = new Set(['done', 'failed']);
+
+function nowMs() {
+  return Date.now();
+}
+
+function isNonEmptyString(v) {
+  return typeof v === 'string' && v.trim().length > 0;
+}
+
+function resolveDbPath(dbPath) {
+  if (!isNonEmptyString(dbPath)) throw new Error('bridge store dbPath is required');
+  const p = dbPath.trim();
+  return path.isAbsolute(p) ? p : path.resolve(process.cwd(), p);
+}
+
+function coerceText(v) {
+  if (v === undefined) return undefined;
+  if (v === null) return null;
+  return String(v);
+}
+
+function coerceInt(v) {
+  if (v === undefined) return undefined;
+  if (v === null) return null;
+  const n = typeof v === 'bigint' ? Number(v) : Number(v);
+  if (!Number.isFinite(n)) throw new Error(`Invalid int: ${v}`);
+  return Math.trunc(n);
+}
+
+// BigInt-safe JSON (routes/txs can carry bigint values).
+function coerceJson(v) {
+  if (v === undefined) return undefined;
+  if (v === null) return null;
+  if (typeof v === 'string') return v;
+  return stableStringify(JSON.parse(JSON.stringify(v, (_k, x) => (typeof x === 'bigint' ? x.toString() : x))));
+}
+
+function parseJson(s) {
+  if (s === null || s === undefined) return null;
+  try {
+    return JSON.parse(s);
+  } catch (_e) {
+    return s;
+  }
+}
+
+const COLUMNS = [
+  'bridge_id',
+  'status',
+  'substatus',
+  'tool',
+  'from_chain',
+  'to_chain',
+  'from_chain_id',
+  'to_chain_id',
+  'from_token',
+  'to_token',
+  'from_amount',
+  'from_address',
+  'tx_hash',
+  'receiving_tx_hash',
+  'received_amount',
+  'route_json',
+  'status_json',
+  'last_error',
+  'created_at',
+  'updated_at',
+];
+
+const JSON_KEYS = new Set(['route', 'status_detail']);
+
+function mapRow(row) {
+  if (!row) return null;
+  return {
+    bridge_id: row.bridge_id,
+    status: row.status,
+    substatus: row.substatus,
+    tool: row.tool,
+    from_chain: row.from_chain,
+    to_chain: row.to_chain,
+    from_chain_id: row.from_chain_id,
+    to_chain_id: row.to_chain_id,
+    from_token: row.from_token,
+    to_token: row.to_token,
+    from_amount: row.from_amount,
+    from_address: row.from_address,
+    tx_hash: row.tx_hash,
+    receiving_tx_hash: row.receiving_tx_hash,
+    received_amount: row.received_amount,
+    route: parseJson(row.route_json),
+    status_detail: parseJson(row.status_json),
+    last_error: row.last_error,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
+
+export class BridgeStore {
+  constructor(db, dbPath) {
+    this.db = db;
+    this.dbPath = dbPath;
+
+    this._stmtGet = db.prepare('SELECT * FROM bridges WHERE bridge_id = ?');
+    this._stmtList = db.prepare('SELECT * FROM bridges ORDER BY created_at DESC LIMIT ? OFFSET ?');
+    this._stmtOpen = db.prepare(
+      `SELECT * FROM bridges WHERE status NOT IN (${[...BRIDGE_TERMINAL_STATUSES].map(() => '?').join(', ')}) ORDER BY created_at ASC`
+    );
+    this._stmtUpsert = db.prepare(`
+      INSERT INTO bridges(${COLUMNS.join(', ')})
+      VALUES(${COLUMNS.map(() => '?').join(', ')})
+      ON CONFLICT(bridge_id) DO UPDATE SET
+        ${COLUMNS.filter((c) => c !== 'bridge_id' && c !== 'created_at')
+          .map((c) => `${c}=excluded.${c}`)
+          .join(',\n        ')},
+        created_at=bridges.created_at
+    `);
+  }
+
+  static open({ dbPath = DEFAULT_BRIDGE_DB } = {}) {
+    const resolved = resolveDbPath(dbPath);
+    fs.mkdirSync(path.dirname(resolved), { recursive: true });
+
+    const db = new DatabaseSync(resolved);
+    db.exec('PRAGMA journal_mode=WAL;');
+    db.exec('PRAGMA synchronous=NORMAL;');
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS meta(
+        k TEXT PRIMARY KEY,
+        v TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS bridges(
+        bridge_id TEXT PRIMARY KEY,
+        status TEXT NOT NULL,
+        substatus TEXT,
+        tool TEXT,
+        from_chain TEXT,
+        to_chain TEXT,
+        from_chain_id INTEGER,
+        to_chain_id INTEGER,
+        from_token TEXT,
+        to_token TEXT,
+        from_amount TEXT,
+        from_address TEXT,
+        tx_hash TEXT,
+        receiving_tx_hash TEXT,
+        received_amount TEXT,
+        route_json TEXT,
+        status_json TEXT,
+        last_error TEXT,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_bridges_status ON bridges(status);
+      CREATE INDEX IF NOT EXISTS idx_bridges_tx ON bridges(tx_hash);
+    `);
+
+    const row = db.prepare('SELECT v FROM meta WHERE k = ?').get('schema_version');
+    if (!row) {
+      db.prepare('INSERT INTO meta(k, v) VALUES(?, ?)').run('schema_version', String(SCHEMA_VERSION));
+    } else if (Number.parseInt(String(row.v), 10) !== SCHEMA_VERSION) {
+      throw new Error(`Unsupported bridge store schema_version=${row.v} (expected ${SCHEMA_VERSION})`);
+    }
+
+    return new BridgeStore(db, resolved);
+  }
+
+  close() {
+    try {
+      this.db.close();
+    } catch (_e) {}
+  }
+
+  static newBridgeId() {
+    return randomUUID();
+  }
+
+  getBridge(bridgeId) {
+    const id = String(bridgeId || '').trim();
+    if (!id) throw new Error('bridgeId is required');
+    return mapRow(this._stmtGet.get(id));
+  }
+
+  listBridges({ limit = 50, offset = 0 } = {}) {
+    const n = Number.isFinite(limit) ? Math.max(1, Math.min(1000, Math.trunc(limit))) : 50;
+    const off = Number.isFinite(offset) ? Math.max(0, Math.trunc(offset)) : 0;
+    return this._stmtList.all(n, off).map(mapRow);
+  }
+
+  // Bridges that still need work (oldest first), e.g. to resume tracking after a restart.
+  listOpenBridges() {
+    return this._stmtOpen.all(...BRIDGE_TERMINAL_STATUSES).map(mapRow);
+  }
+
+  // Patch keys use the public (mapped) names: route/status_detail are objects.
+  upsertBridge(bridgeId, patch = {}) {
+    const id = String(bridgeId || '').trim();
+    if (!id) throw new Error('bridgeId is required');
+    const existing = this._stmtGet.get(id);
+    const base = existing || { bridge_id: id, created_at: nowMs() };
+
+    const next = { ...base, updated_at: nowMs() };
+    for (const [k, v] of Object.entries(patch || {})) {
+      if (v === undefined) continue;
+      if (JSON_KEYS.has(k)) next[k === 'route' ? 'route_json' : 'status_json'] = coerceJson(v);
+      else next[k] = v;
+    }
+    if (!isNonEmptyString(next.status)) throw new Error('bridge status is required');
+
+    const row = {
+      bridge_id: id,
+      status: coerceText(next.status),
+      substatus: coerceText(next.substatus),
+      tool: coerceText(next.tool),
+      from_chain: coerceText(next.from_chain),
+      to_chain: coerceText(next.to_chain),
+      from_chain_id: coerceInt(next.from_chain_id),
+      to_chain_id: coerceInt(next.to_chain_id),
+      from_token: coerceText(next.from_token),
+      to_token: coerceText(next.to_token),
+      from_amount: coerceText(next.from_amount),
+      from_address: coerceText(next.from_address),
+      tx_hash: coerceText(next.tx_hash),
+      receiving_tx_hash: coerceText(next.receiving_tx_hash),
+      received_amount: coerceText(next.received_amount),
+      route_json: coerceJson(next.route_json),
+      status_json: coerceJson(next.status_json),
+      last_error: coerceText(next.last_error),
+      created_at: coerceInt(next.created_at),
+      updated_at: coerceInt(next.updated_at),
+    };
+
+    // Node's SQLite bindings reject `undefined`. Store missing fields as NULL.
+    this._stmtUpsert.run(...COLUMNS.map((c) => (row[c] === undefined ? null : row[c])));
+    return this.getBridge(id);
+  }
+}
+
+export function openBridgeStore({ dbPath = DEFAULT_BRIDGE_DB } = {}) {
+  return BridgeStore.open({ dbPath });
+}
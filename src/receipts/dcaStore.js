@@ -0,0 +1,411 @@
+// Node-only persistent DCA schedules for the agent CLI (`dca add/list/cancel/run`).
+//
+// Same rules as the trade receipts store:
+// - local-only, lives under `onchain/` (gitignored)
+// - Node's built-in SQLite module, no native deps
+// A schedule is split into its slices up front (atomic amounts, the last slice takes the
+// remainder); each slice is claimed atomically (pending -> running) before it executes, so a
+// restart never runs a slice twice. Like orders, the claim is leased (lease_owner / lease_until)
+// and renewed by the running scheduler: recovery only fails slices whose lease ran out, and only
+// the lease holder can record the outcome.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { DatabaseSync } from 'node:sqlite';
+
+import { stableStringify } from '../util/stableStringify.js';
+import { codedError } from '../core/errors.js';
+
+const SCHEMA_VERSION = 1;
+
+export const DEFAULT_DCA_DB = 'onchain/agent/dca.sqlite';
+
+// schedule: active -> completed | cancelled
+// slice: pending -> running -> filled | skipped (RiskGate escalated) | failed; pending -> cancelled
+export const DCA_SLICE_DONE_STATUSES = new Set(['filled', 'skipped', 'failed', 'cancelled']);
+
+// How long a claimed slice stays owned without a renewal before another scheduler may fail it.
+export const DEFAULT_DCA_LEASE_MS = 60_000;
+
+function nowMs() {
+  return Date.now();
+}
+
+function isNonEmptyString(v) {
+  return typeof v === 'string' && v.trim().length > 0;
+}
+
+function resolveDbPath(dbPath) {
+  if (!isNonEmptyString(dbPath)) throw new Error('dca store dbPath is required');
+  const p = dbPath.trim();
+  return path.isAbsolute(p) ? p : path.resolve(process.cwd(), p);
+}
+
+// BigInt-safe JSON (results can carry bigint values).
+function toJson(v) {
+  if (v === undefined || v === null) return null;
+  return stableStringify(JSON.parse(JSON.stringify(v, (_k, x) => (typeof x === 'bigint' ? x.toString() : x))));
+}
+
+function parseJson(s) {
+  if (s === null || s === undefined) return null;
+  try {
+    return JSON.parse(s);
+  } catch (_e) {
+    return s;
+  }
+}
+
+/**
+ * Split an atomic amount into `n` slices; the remainder goes to the last one.
+ */
+export function splitAtomic(totalAtomic, n) {
+  const total = BigInt(totalAtomic);
+  const count = BigInt(n);
+  if (count <= 0n) throw new Error('slices must be >= 1');
+  const each = total / count;
+  if (each === 0n) throw new Error(`total ${totalAtomic} is too small for ${n} slices`);
+  const out = Array.from({ length: Number(count) }, () => each);
+  out[out.length - 1] += total - each * count;
+  return out.map(String);
+}
+
+function mapSchedule(row) {
+  if (!row) return null;
+  return {
+    schedule_id: row.schedule_id,
+    status: row.status,
+    chain: row.chain,
+    token_in: row.token_in,
+    token_out: row.token_out,
+    symbol_in: row.symbol_in,
+    symbol_out: row.symbol_out,
+    decimals_in: row.decimals_in,
+    decimals_out: row.decimals_out,
+    total_atomic: row.total_atomic,
+    slices: row.slices,
+    interval_ms: row.interval_ms,
+    slippage_bps: row.slippage_bps,
+    baseline_risk_level: row.baseline_risk_level,
+    baseline_risk_score: row.baseline_risk_score,
+    start_price_usd: row.start_price_usd,
+    start_price_in_usd: row.start_price_in_usd,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+    finished_at: row.finished_at,
+  };
+}
+
+function mapSlice(row) {
+  if (!row) return null;
+  return {
+    schedule_id: row.schedule_id,
+    idx: row.idx,
+    status: row.status,
+    due_at: row.due_at,
+    amount_atomic: row.amount_atomic,
+    received_atomic: row.received_atomic,
+    received_estimated: !!row.received_estimated,
+    swap_id: row.swap_id,
+    txid: row.txid,
+    risk_level: row.risk_level,
+    risk_score: row.risk_score,
+    reason: row.reason,
+    result: parseJson(row.result_json),
+    lease_owner: row.lease_owner,
+    lease_until: row.lease_until,
+    started_at: row.started_at,
+    finished_at: row.finished_at,
+  };
+}
+
+export class DcaStore {
+  constructor(db, dbPath) {
+    this.db = db;
+    this.dbPath = dbPath;
+
+    this._stmtGet = db.prepare('SELECT * FROM dca_schedules WHERE schedule_id = ?');
+    this._stmtList = db.prepare('SELECT * FROM dca_schedules ORDER BY created_at DESC, rowid DESC LIMIT ?');
+    this._stmtListByStatus = db.prepare('SELECT * FROM dca_schedules WHERE status = ? ORDER BY created_at ASC, rowid ASC LIMIT ?');
+    this._stmtInsert = db.prepare(`
+      INSERT INTO dca_schedules(schedule_id, status, chain, token_in, token_out, symbol_in, symbol_out, decimals_in, decimals_out,
+        total_atomic, slices, interval_ms, slippage_bps, baseline_risk_level, baseline_risk_score, start_price_usd, start_price_in_usd,
+        created_at, updated_at)
+      VALUES(?, 'active', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    this._stmtInsertSlice = db.prepare("INSERT INTO dca_slices(schedule_id, idx, status, due_at, amount_atomic) VALUES(?, ?, 'pending', ?, ?)");
+    this._stmtSlices = db.prepare('SELECT * FROM dca_slices WHERE schedule_id = ? ORDER BY idx ASC');
+    this._stmtNextDue = db.prepare(
+      "SELECT * FROM dca_slices WHERE schedule_id = ? AND status = 'pending' AND due_at <= ? ORDER BY idx ASC LIMIT 1"
+    );
+    this._stmtClaim = db.prepare(`
+      UPDATE dca_slices SET status = 'running', started_at = ?, lease_owner = ?, lease_until = ?
+      WHERE schedule_id = ? AND idx = ? AND status = 'pending'
+      RETURNING *
+    `);
+    this._stmtRenew = db.prepare("UPDATE dca_slices SET lease_until = ? WHERE schedule_id = ? AND idx = ? AND status = 'running' AND lease_owner = ?");
+    this._stmtFinishSlice = db.prepare(`
+      UPDATE dca_slices SET status = ?, received_atomic = ?, received_estimated = ?, swap_id = ?, txid = ?, risk_level = ?, risk_score = ?,
+        reason = ?, result_json = ?, finished_at = ?, lease_owner = NULL, lease_until = NULL
+      WHERE schedule_id = ? AND idx = ? AND status = 'running' AND lease_owner IS ?
+    `);
+    this._stmtRecover = db.prepare(`
+      UPDATE dca_slices SET status = 'failed', reason = ?, finished_at = ?, lease_owner = NULL, lease_until = NULL
+      WHERE status = 'running' AND (lease_until IS NULL OR lease_until <= ?)
+      RETURNING schedule_id, idx
+    `);
+    // keep the spacing after a late slice (downtime, slow confirmations): never bunch up
+    this._stmtRespace = db.prepare(
+      "UPDATE dca_slices SET due_at = MAX(due_at, ? + (idx - ?) * ?) WHERE schedule_id = ? AND status = 'pending' AND idx > ?"
+    );
+    this._stmtPendingCount = db.prepare("SELECT COUNT(*) AS n FROM dca_slices WHERE schedule_id = ? AND status IN ('pending', 'running')");
+    this._stmtSetStatus = db.prepare('UPDATE dca_schedules SET status = ?, finished_at = ?, updated_at = ? WHERE schedule_id = ? AND status = ?');
+    this._stmtCancelSlices = db.prepare("UPDATE dca_slices SET status = 'cancelled', finished_at = ? WHERE schedule_id = ? AND status = 'pending'");
+  }
+
+  static open({ dbPath = DEFAULT_DCA_DB } = {}) {
+    const resolved = resolveDbPath(dbPath);
+    fs.mkdirSync(path.dirname(resolved), { recursive: true });
+
+    const db = new DatabaseSync(resolved);
+    db.exec('PRAGMA journal_mode=WAL;');
+    db.exec('PRAGMA synchronous=NORMAL;');
+    db.exec('PRAGMA busy_timeout=5000;');
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS meta(
+        k TEXT PRIMARY KEY,
+        v TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS dca_schedules(
+        schedule_id TEXT PRIMARY KEY,
+        status TEXT NOT NULL,
+        chain TEXT NOT NULL,
+        token_in TEXT NOT NULL,
+        token_out TEXT NOT NULL,
+        symbol_in TEXT,
+        symbol_out TEXT,
+        decimals_in INTEGER NOT NULL,
+        decimals_out INTEGER NOT NULL,
+        total_atomic TEXT NOT NULL,
+        slices INTEGER NOT NULL,
+        interval_ms INTEGER NOT NULL,
+        slippage_bps INTEGER NOT NULL,
+        baseline_risk_level TEXT,
+        baseline_risk_score INTEGER,
+        start_price_usd REAL,
+        start_price_in_usd REAL,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL,
+        finished_at INTEGER
+      );
+
+      CREATE TABLE IF NOT EXISTS dca_slices(
+        schedule_id TEXT NOT NULL,
+        idx INTEGER NOT NULL,
+        status TEXT NOT NULL,
+        due_at INTEGER NOT NULL,
+        amount_atomic TEXT NOT NULL,
+        received_atomic TEXT,
+        received_estimated INTEGER NOT NULL DEFAULT 0,
+        swap_id TEXT,
+        txid TEXT,
+        risk_level TEXT,
+        risk_score INTEGER,
+        reason TEXT,
+        result_json TEXT,
+        lease_owner TEXT,
+        lease_until INTEGER,
+        started_at INTEGER,
+        finished_at INTEGER,
+        PRIMARY KEY(schedule_id, idx)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_dca_schedules_status ON dca_schedules(status, created_at);
+    `);
+
+    const row = db.prepare('SELECT v FROM meta WHERE k = ?').get('schema_version');
+    if (!row) {
+      db.prepare('INSERT INTO meta(k, v) VALUES(?, ?)').run('schema_version', String(SCHEMA_VERSION));
+    } else if (Number.parseInt(String(row.v), 10) !== SCHEMA_VERSION) {
+      throw new Error(`Unsupported dca store schema_version=${row.v} (expected ${SCHEMA_VERSION})`);
+    }
+
+    return new DcaStore(db, resolved);
+  }
+
+  close() {
+    try {
+      this.db.close();
+    } catch (_e) {}
+  }
+
+  static newScheduleId() {
+    return randomUUID();
+  }
+
+  /**
+   * Insert an active schedule and its slices; slice i is due at startAt + i * intervalMs.
+   */
+  createSchedule({
+    chain,
+    tokenIn,
+    tokenOut,
+    symbolIn = null,
+    symbolOut = null,
+    decimalsIn,
+    decimalsOut,
+    totalAtomic,
+    slices,
+    intervalMs,
+    slippageBps,
+    baselineRiskLevel = null,
+    baselineRiskScore = null,
+    startPriceUsd = null,
+    startPriceInUsd = null,
+    startAt = nowMs(),
+  }) {
+    for (const [k, v] of Object.entries({ chain, tokenIn, tokenOut })) {
+      if (!isNonEmptyString(v)) throw new Error(`dca ${k} is required`);
+    }
+    const n = Number(slices);
+    if (!Number.isInteger(n) || n < 1 || n > 1000) throw new Error('dca slices must be an integer 1..1000');
+    const interval = Number(intervalMs);
+    if (!Number.isFinite(interval) || interval < 1000) throw new Error('dca intervalMs must be >= 1000');
+    const amounts = splitAtomic(totalAtomic, n);
+
+    const id = DcaStore.newScheduleId();
+    const t = nowMs();
+    this.db.exec('BEGIN');
+    try {
+      this._stmtInsert.run(
+        id,
+        chain,
+        tokenIn,
+        tokenOut,
+        symbolIn,
+        symbolOut,
+        Number(decimalsIn),
+        Number(decimalsOut),
+        String(totalAtomic),
+        n,
+        Math.trunc(interval),
+        Number(slippageBps),
+        baselineRiskLevel,
+        baselineRiskScore,
+        startPriceUsd,
+        startPriceInUsd,
+        t,
+        t
+      );
+      amounts.forEach((a, i) => this._stmtInsertSlice.run(id, i, Math.trunc(startAt + i * interval), a));
+      this.db.exec('COMMIT');
+    } catch (e) {
+      this.db.exec('ROLLBACK');
+      throw e;
+    }
+    return this.getSchedule(id);
+  }
+
+  getSchedule(scheduleId) {
+    const id = String(scheduleId || '').trim();
+    if (!id) throw new Error('scheduleId is required');
+    return mapSchedule(this._stmtGet.get(id));
+  }
+
+  listSchedules({ status = null, limit = 50 } = {}) {
+    const n = Number.isFinite(limit) ? Math.max(1, Math.min(1000, Math.trunc(limit))) : 50;
+    return (status ? this._stmtListByStatus.all(status, n) : this._stmtList.all(n)).map(mapSchedule);
+  }
+
+  listSlices(scheduleId) {
+    return this._stmtSlices.all(scheduleId).map(mapSlice);
+  }
+
+  // Earliest pending slice that is due, or null.
+  nextDueSlice(scheduleId, at = nowMs()) {
+    return mapSlice(this._stmtNextDue.get(scheduleId, at));
+  }
+
+  // pending -> running (atomic), leased to `owner` for leaseMs. null when the slice was taken or cancelled meanwhile.
+  claimSlice(scheduleId, idx, { owner = null, leaseMs = DEFAULT_DCA_LEASE_MS } = {}) {
+    const t = nowMs();
+    return mapSlice(this._stmtClaim.get(t, owner, t + leaseMs, scheduleId, idx));
+  }
+
+  // Extend the lease of a slice `owner` is still running. false when it no longer holds it.
+  renewLease(scheduleId, idx, owner, { leaseMs = DEFAULT_DCA_LEASE_MS } = {}) {
+    return this._stmtRenew.run(nowMs() + leaseMs, scheduleId, idx, owner).changes === 1;
+  }
+
+  /**
+   * Record the outcome of a running slice held by `owner`, push the remaining slices at least one
+   * interval apart from now, and complete the schedule after its last slice. Returns
+   * { slice, schedule }. Throws code LEASE_LOST when the slice is no longer running under that
+   * owner (recovered as interrupted meanwhile): its recorded outcome is left alone.
+   */
+  finishSlice(scheduleId, idx, { status, receivedAtomic = null, receivedEstimated = false, swapId = null, txid = null, riskLevel = null, riskScore = null, reason = null, result = null }, at = nowMs(), { owner = null } = {}) {
+    if (!DCA_SLICE_DONE_STATUSES.has(status)) throw new Error(`Not a final slice status: ${status}`);
+    const s = this.getSchedule(scheduleId);
+    if (!s) throw new Error(`Unknown DCA schedule ${scheduleId}`);
+    const { changes } = this._stmtFinishSlice.run(
+      status,
+      receivedAtomic == null ? null : String(receivedAtomic),
+      receivedEstimated ? 1 : 0,
+      swapId,
+      txid,
+      riskLevel,
+      riskScore == null ? null : Math.trunc(riskScore),
+      reason,
+      toJson(result),
+      nowMs(),
+      scheduleId,
+      idx,
+      owner
+    );
+    if (changes !== 1) throw codedError('LEASE_LOST', `DCA slice ${scheduleId}#${idx} is no longer running under this scheduler`);
+    return this._afterSlice(s, idx, at);
+  }
+
+  _afterSlice(schedule, idx, at) {
+    const scheduleId = schedule.schedule_id;
+    this._stmtRespace.run(at, idx, schedule.interval_ms, scheduleId, idx);
+    if (this._stmtPendingCount.get(scheduleId).n === 0) {
+      const t = nowMs();
+      this._stmtSetStatus.run('completed', t, t, scheduleId, 'active');
+    }
+    return { slice: this.listSlices(scheduleId).find((x) => x.idx === idx), schedule: this.getSchedule(scheduleId) };
+  }
+
+  /**
+   * Cancel the pending slices of an active schedule (a running slice finishes on its own).
+   * Returns the schedule, or null when unknown.
+   */
+  cancelSchedule(scheduleId) {
+    const s = this.getSchedule(scheduleId);
+    if (!s) return null;
+    if (s.status !== 'active') return s;
+    const t = nowMs();
+    this._stmtCancelSlices.run(t, s.schedule_id);
+    this._stmtSetStatus.run('cancelled', t, t, s.schedule_id, 'active');
+    return this.getSchedule(s.schedule_id);
+  }
+
+  /**
+   * After a restart: slices left running may or may not have swapped, so they are failed
+   * (check the swap history) rather than run again. Only slices whose lease has run out are
+   * touched: a live scheduler keeps renewing the one it runs. Returns [{ scheduleId, idx }].
+   */
+  recoverInterrupted({ now = nowMs() } = {}) {
+    const t = nowMs();
+    const rows = this._stmtRecover.all('scheduler restarted while the slice was executing: outcome unknown, check the swap history', t, now);
+    for (const r of rows) this._afterSlice(this.getSchedule(r.schedule_id), r.idx, t);
+    return rows.map((r) => ({ scheduleId: r.schedule_id, idx: r.idx }));
+  }
+}
+
+export function openDcaStore({ dbPath = DEFAULT_DCA_DB } = {}) {
+  return DcaStore.open({ dbPath });
+}
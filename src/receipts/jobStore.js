@@ -0,0 +1,374 @@
+// Node-only persistent job queue for server swaps (POST /api/jobs).
+//
+// Same rules as the trade receipts store:
+// - local-only, lives under `onchain/` (gitignored)
+// - Node's built-in SQLite module, no native deps
+// Jobs belong to an owner (the API key id) and are keyed by the owner's Idempotency-Key, so two
+// keys never see or replay each other's jobs; every state transition is kept as an event
+// (replayed to SSE clients). `broadcast` flips to 1 right before anything is sent on-chain,
+// which is the point of no return for cancellation and for automatic retries after a crash.
+// The same file holds the per-key daily spend ledger (server.js spend caps): a reservation is
+// checked against the cap and inserted in one transaction, and a job's reservation is refunded in
+// the same transaction that persists its end without broadcast, so restarts cannot leak it.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { createHash, randomUUID } from 'node:crypto';
+import { DatabaseSync } from 'node:sqlite';
+
+import { stableStringify } from '../util/stableStringify.js';
+import { codedError } from '../core/errors.js';
+
+const SCHEMA_VERSION = 1;
+
+export const DEFAULT_JOB_DB = 'onchain/server/jobs.sqlite';
+
+// queued -> running -> succeeded | failed | cancelled
+export const JOB_TERMINAL_STATUSES = new Set(['succeeded', 'failed', 'cancelled']);
+
+function nowMs() {
+  return Date.now();
+}
+
+function utcDay(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+function isNonEmptyString(v) {
+  return typeof v === 'string' && v.trim().length > 0;
+}
+
+function resolveDbPath(dbPath) {
+  if (!isNonEmptyString(dbPath)) throw new Error('job store dbPath is required');
+  const p = dbPath.trim();
+  return path.isAbsolute(p) ? p : path.resolve(process.cwd(), p);
+}
+
+// BigInt-safe JSON (results can carry bigint values).
+function toJson(v) {
+  if (v === undefined || v === null) return null;
+  return stableStringify(JSON.parse(JSON.stringify(v, (_k, x) => (typeof x === 'bigint' ? x.toString() : x))));
+}
+
+function parseJson(s) {
+  if (s === null || s === undefined) return null;
+  try {
+    return JSON.parse(s);
+  } catch (_e) {
+    return s;
+  }
+}
+
+export function hashJobRequest(kind, request) {
+  return createHash('sha256').update(stableStringify({ kind, request: request ?? null })).digest('hex');
+}
+
+function mapJob(row) {
+  if (!row) return null;
+  return {
+    job_id: row.job_id,
+    owner: row.owner,
+    idempotency_key: row.idempotency_key,
+    kind: row.kind,
+    status: row.status,
+    stage: row.stage,
+    cancel_requested: !!row.cancel_requested,
+    broadcast: !!row.broadcast,
+    request: parseJson(row.request_json),
+    result: parseJson(row.result_json),
+    last_error: row.last_error,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+    started_at: row.started_at,
+    finished_at: row.finished_at,
+  };
+}
+
+function mapEvent(row) {
+  if (!row) return null;
+  return {
+    event_id: row.event_id,
+    job_id: row.job_id,
+    status: row.status,
+    stage: row.stage,
+    data: parseJson(row.data_json),
+    at: row.at,
+  };
+}
+
+export class JobStore {
+  constructor(db, dbPath) {
+    this.db = db;
+    this.dbPath = dbPath;
+
+    this._stmtGet = db.prepare('SELECT * FROM jobs WHERE job_id = ?');
+    this._stmtGetByKey = db.prepare('SELECT * FROM jobs WHERE owner = ? AND idempotency_key = ?');
+    this._stmtList = db.prepare('SELECT * FROM jobs ORDER BY created_at DESC LIMIT ? OFFSET ?');
+    this._stmtListByOwner = db.prepare('SELECT * FROM jobs WHERE owner = ? ORDER BY created_at DESC LIMIT ? OFFSET ?');
+    this._stmtInsert = db.prepare(`
+      INSERT INTO jobs(job_id, owner, idempotency_key, request_hash, kind, status, stage, cancel_requested, broadcast, request_json, created_at, updated_at)
+      VALUES(?, ?, ?, ?, ?, 'queued', NULL, 0, 0, ?, ?, ?)
+    `);
+    this._stmtClaim = db.prepare(`
+      UPDATE jobs SET status = 'running', started_at = ?, updated_at = ?
+      WHERE job_id = (SELECT job_id FROM jobs WHERE status = 'queued' ORDER BY created_at ASC, rowid ASC LIMIT 1)
+      RETURNING *
+    `);
+    this._stmtUpdate = db.prepare(
+      'UPDATE jobs SET status = ?, stage = ?, result_json = ?, last_error = ?, cancel_requested = ?, finished_at = ?, updated_at = ? WHERE job_id = ?'
+    );
+    this._stmtMarkBroadcast = db.prepare(
+      "UPDATE jobs SET broadcast = 1, updated_at = ? WHERE job_id = ? AND status = 'running' AND cancel_requested = 0"
+    );
+    this._stmtAddEvent = db.prepare('INSERT INTO job_events(job_id, status, stage, data_json, at) VALUES(?, ?, ?, ?, ?)');
+    this._stmtEvents = db.prepare('SELECT * FROM job_events WHERE job_id = ? AND event_id > ? ORDER BY event_id ASC');
+    this._stmtLastEvent = db.prepare('SELECT * FROM job_events WHERE event_id = ?');
+    this._stmtSpent = db.prepare('SELECT COALESCE(SUM(usd), 0) AS usd FROM spend WHERE key_id = ? AND day = ? AND refunded_at IS NULL');
+    this._stmtReserve = db.prepare('INSERT INTO spend(key_id, day, usd, kind, job_id, created_at) VALUES(?, ?, ?, ?, ?, ?)');
+    this._stmtAttachSpend = db.prepare('UPDATE spend SET job_id = ? WHERE spend_id = ?');
+    this._stmtRefund = db.prepare('UPDATE spend SET refunded_at = ? WHERE spend_id = ? AND refunded_at IS NULL RETURNING usd');
+    this._stmtRefundJob = db.prepare('UPDATE spend SET refunded_at = ? WHERE job_id = ? AND refunded_at IS NULL');
+  }
+
+  // BEGIN IMMEDIATE .. COMMIT around fn(); the write lock is taken up front, so a read inside
+  // fn cannot be invalidated by another connection before the write.
+  _transaction(fn) {
+    this.db.exec('BEGIN IMMEDIATE');
+    try {
+      const out = fn();
+      this.db.exec('COMMIT');
+      return out;
+    } catch (e) {
+      this.db.exec('ROLLBACK');
+      throw e;
+    }
+  }
+
+  static open({ dbPath = DEFAULT_JOB_DB } = {}) {
+    const resolved = resolveDbPath(dbPath);
+    fs.mkdirSync(path.dirname(resolved), { recursive: true });
+
+    const db = new DatabaseSync(resolved);
+    db.exec('PRAGMA journal_mode=WAL;');
+    db.exec('PRAGMA synchronous=NORMAL;');
+    db.exec('PRAGMA busy_timeout=5000;');
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS meta(
+        k TEXT PRIMARY KEY,
+        v TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS jobs(
+        job_id TEXT PRIMARY KEY,
+        owner TEXT NOT NULL DEFAULT '',
+        idempotency_key TEXT NOT NULL,
+        request_hash TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        status TEXT NOT NULL,
+        stage TEXT,
+        cancel_requested INTEGER NOT NULL DEFAULT 0,
+        broadcast INTEGER NOT NULL DEFAULT 0,
+        request_json TEXT,
+        result_json TEXT,
+        last_error TEXT,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL,
+        started_at INTEGER,
+        finished_at INTEGER,
+        UNIQUE(owner, idempotency_key)
+      );
+
+      CREATE TABLE IF NOT EXISTS job_events(
+        event_id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job_id TEXT NOT NULL,
+        status TEXT NOT NULL,
+        stage TEXT,
+        data_json TEXT,
+        at INTEGER NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS spend(
+        spend_id INTEGER PRIMARY KEY AUTOINCREMENT,
+        key_id TEXT NOT NULL,
+        day TEXT NOT NULL,
+        usd REAL NOT NULL,
+        kind TEXT,
+        job_id TEXT,
+        refunded_at INTEGER,
+        created_at INTEGER NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status, created_at);
+      CREATE INDEX IF NOT EXISTS idx_jobs_owner ON jobs(owner, created_at);
+      CREATE INDEX IF NOT EXISTS idx_job_events_job ON job_events(job_id, event_id);
+      CREATE INDEX IF NOT EXISTS idx_spend_key_day ON spend(key_id, day);
+      CREATE INDEX IF NOT EXISTS idx_spend_job ON spend(job_id);
+    `);
+
+    const row = db.prepare('SELECT v FROM meta WHERE k = ?').get('schema_version');
+    if (!row) {
+      db.prepare('INSERT INTO meta(k, v) VALUES(?, ?)').run('schema_version', String(SCHEMA_VERSION));
+    } else if (Number.parseInt(String(row.v), 10) !== SCHEMA_VERSION) {
+      throw new Error(`Unsupported job store schema_version=${row.v} (expected ${SCHEMA_VERSION})`);
+    }
+
+    return new JobStore(db, resolved);
+  }
+
+  close() {
+    try {
+      this.db.close();
+    } catch (_e) {}
+  }
+
+  static newJobId() {
+    return randomUUID();
+  }
+
+  getJob(jobId) {
+    const id = String(jobId || '').trim();
+    if (!id) throw new Error('jobId is required');
+    return mapJob(this._stmtGet.get(id));
+  }
+
+  getJobByKey(idempotencyKey, { owner = '' } = {}) {
+    return mapJob(this._stmtGetByKey.get(String(owner || ''), String(idempotencyKey || '').trim()));
+  }
+
+  // owner: only that owner's jobs (null = all)
+  listJobs({ limit = 50, offset = 0, owner = null } = {}) {
+    const n = Number.isFinite(limit) ? Math.max(1, Math.min(1000, Math.trunc(limit))) : 50;
+    const off = Number.isFinite(offset) ? Math.max(0, Math.trunc(offset)) : 0;
+    if (owner !== null) return this._stmtListByOwner.all(String(owner), n, off).map(mapJob);
+    return this._stmtList.all(n, off).map(mapJob);
+  }
+
+  /**
+   * Insert a queued job, or return the existing one for a replayed Idempotency-Key of the same owner.
+   * A replayed key with a different request throws code IDEMPOTENCY_CONFLICT.
+   * spendId: a spend reservation the new job takes over (refunded if it ends without broadcast).
+   * Returns { job, created }.
+   */
+  createJob({ owner = '', idempotencyKey, kind, request, spendId = null }) {
+    if (!isNonEmptyString(idempotencyKey)) throw codedError('IDEMPOTENCY_KEY_REQUIRED', 'Idempotency-Key is required');
+    if (!isNonEmptyString(kind)) throw new Error('job kind is required');
+    const key = idempotencyKey.trim();
+    const hash = hashJobRequest(kind, request);
+
+    const existing = this._stmtGetByKey.get(String(owner || ''), key);
+    if (existing) {
+      if (existing.request_hash !== hash) throw codedError('IDEMPOTENCY_CONFLICT', `Idempotency-Key ${key} was used for a different request`);
+      return { job: mapJob(existing), created: false };
+    }
+
+    const id = JobStore.newJobId();
+    const t = nowMs();
+    this._transaction(() => {
+      this._stmtInsert.run(id, String(owner || ''), key, hash, kind, toJson(request), t, t);
+      if (spendId != null) this._stmtAttachSpend.run(id, spendId);
+    });
+    this.addEvent(id, { status: 'queued' });
+    return { job: this.getJob(id), created: true };
+  }
+
+  // Oldest queued job -> running (atomic), or null.
+  claimNextJob() {
+    const t = nowMs();
+    return mapJob(this._stmtClaim.get(t, t));
+  }
+
+  updateJob(jobId, { status, stage, result, last_error, cancel_requested } = {}) {
+    const cur = this._stmtGet.get(jobId);
+    if (!cur) throw new Error(`Unknown job ${jobId}`);
+    const t = nowMs();
+    const next = {
+      status: status ?? cur.status,
+      stage: stage === undefined ? cur.stage : stage,
+      result_json: result === undefined ? cur.result_json : toJson(result),
+      last_error: last_error === undefined ? cur.last_error : last_error,
+      cancel_requested: cancel_requested === undefined ? cur.cancel_requested : cancel_requested ? 1 : 0,
+      finished_at: status && JOB_TERMINAL_STATUSES.has(status) ? t : cur.finished_at,
+    };
+    // ending without a broadcast gives the job's spend back, in the same write
+    const refund = JOB_TERMINAL_STATUSES.has(next.status) && !JOB_TERMINAL_STATUSES.has(cur.status) && !cur.broadcast;
+    this._transaction(() => {
+      this._stmtUpdate.run(next.status, next.stage, next.result_json, next.last_error, next.cancel_requested, next.finished_at, t, jobId);
+      if (refund) this._stmtRefundJob.run(t, jobId);
+    });
+    return this.getJob(jobId);
+  }
+
+  // Point of no return: only succeeds while no cancel was requested.
+  markBroadcast(jobId) {
+    return this._stmtMarkBroadcast.run(nowMs(), jobId).changes === 1;
+  }
+
+  addEvent(jobId, { status, stage = null, data = null }) {
+    const { lastInsertRowid } = this._stmtAddEvent.run(jobId, status, stage, toJson(data), nowMs());
+    return mapEvent(this._stmtLastEvent.get(lastInsertRowid));
+  }
+
+  listEvents(jobId, { afterEventId = 0 } = {}) {
+    return this._stmtEvents.all(jobId, Number(afterEventId) || 0).map(mapEvent);
+  }
+
+  // USD booked today (UTC) by keyId, refunds excluded.
+  spentToday(keyId, at = nowMs()) {
+    return this._stmtSpent.get(String(keyId), utcDay(at)).usd;
+  }
+
+  /**
+   * Book `usd` against keyId's daily cap: the check and the insert are one transaction, so
+   * concurrent calls (or processes) cannot both pass the cap. Throws code SPEND_CAP_EXCEEDED.
+   * Returns the reservation id.
+   */
+  reserveSpend({ keyId, capUsd, usd, kind = null, jobId = null, at = nowMs() }) {
+    const day = utcDay(at);
+    return this._transaction(() => {
+      const used = this._stmtSpent.get(String(keyId), day).usd;
+      if (capUsd != null && used + usd > capUsd) {
+        throw codedError(
+          'SPEND_CAP_EXCEEDED',
+          `Daily spend cap of $${capUsd} for key ${keyId} exceeded ($${used.toFixed(2)} used, this call $${usd.toFixed(2)})`,
+          { spentUsd: used, capUsd }
+        );
+      }
+      return Number(this._stmtReserve.run(String(keyId), day, usd, kind, jobId, nowMs()).lastInsertRowid);
+    });
+  }
+
+  // Give a reservation back (a direct call that never broadcast, a cancelled order). Returns the
+  // USD refunded, or null when it was refunded already.
+  refundSpend(spendId) {
+    return this._stmtRefund.get(nowMs(), spendId)?.usd ?? null;
+  }
+
+  /**
+   * After a restart: running jobs that never broadcast go back to the queue; the ones that
+   * did are failed (outcome unknown, check the tx in their events). Returns { requeued, failed }.
+   */
+  recoverInterrupted() {
+    const rows = this.db.prepare("SELECT * FROM jobs WHERE status = 'running'").all();
+    const out = { requeued: [], failed: [] };
+    for (const r of rows) {
+      if (r.broadcast) {
+        this.updateJob(r.job_id, { status: 'failed', last_error: 'server restarted after broadcast: outcome unknown, check the tx in the job events' });
+        this.addEvent(r.job_id, { status: 'failed', stage: r.stage, data: { error: 'interrupted after broadcast' } });
+        out.failed.push(r.job_id);
+      } else if (r.cancel_requested) {
+        this.updateJob(r.job_id, { status: 'cancelled', last_error: 'cancelled' });
+        this.addEvent(r.job_id, { status: 'cancelled', stage: r.stage });
+      } else {
+        this.updateJob(r.job_id, { status: 'queued', stage: null });
+        this.addEvent(r.job_id, { status: 'queued', data: { requeued: true } });
+        out.requeued.push(r.job_id);
+      }
+    }
+    return out;
+  }
+}
+
+export function openJobStore({ dbPath = DEFAULT_JOB_DB } = {}) {
+  return JobStore.open({ dbPath });
+}
@@ -0,0 +1,343 @@
+// Node-only persistent trigger orders for the agent engine (limit / stop-loss).
+//
+// Same rules as the trade receipts store:
+// - local-only, lives under `onchain/` (gitignored)
+// - Node's built-in SQLite module, no native deps
+// Shared by the CLI (orders add/list/cancel/watch) and server.js (/api/orders); the watcher
+// (src/core/orderWatcher.js) claims an order atomically (open -> triggered) before it executes,
+// so an order fires at most once even if it is cancelled from the other process meanwhile.
+// The claim also takes a lease (lease_owner / lease_until) that the executing watcher keeps
+// renewing, so a second watcher starting up only fails triggered orders whose owner is gone.
+// Orders placed through server.js carry the API key that placed them (`owner`) and the spend
+// reservation booked for them (`spend_id`, see src/receipts/jobStore.js); CLI orders have neither.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { DatabaseSync } from 'node:sqlite';
+
+import { stableStringify } from '../util/stableStringify.js';
+import { codedError } from '../core/errors.js';
+
+const SCHEMA_VERSION = 1;
+
+export const DEFAULT_ORDER_DB = 'onchain/agent/orders.sqlite';
+
+// open -> triggered -> filled | failed | blocked (RiskGate at trigger time)
+// open -> cancelled | expired
+export const ORDER_TERMINAL_STATUSES = new Set(['filled', 'failed', 'blocked', 'cancelled', 'expired']);
+
+export const ORDER_CONDITIONS = new Set(['below', 'above']);
+
+// How long a claim stays owned without a renewal before another watcher may fail the order.
+export const DEFAULT_ORDER_LEASE_MS = 60_000;
+
+function nowMs() {
+  return Date.now();
+}
+
+function isNonEmptyString(v) {
+  return typeof v === 'string' && v.trim().length > 0;
+}
+
+function resolveDbPath(dbPath) {
+  if (!isNonEmptyString(dbPath)) throw new Error('order store dbPath is required');
+  const p = dbPath.trim();
+  return path.isAbsolute(p) ? p : path.resolve(process.cwd(), p);
+}
+
+// BigInt-safe JSON (results can carry bigint values).
+function toJson(v) {
+  if (v === undefined || v === null) return null;
+  return stableStringify(JSON.parse(JSON.stringify(v, (_k, x) => (typeof x === 'bigint' ? x.toString() : x))));
+}
+
+function parseJson(s) {
+  if (s === null || s === undefined) return null;
+  try {
+    return JSON.parse(s);
+  } catch (_e) {
+    return s;
+  }
+}
+
+function mapOrder(row) {
+  if (!row) return null;
+  return {
+    order_id: row.order_id,
+    owner: row.owner,
+    spend_id: row.spend_id,
+    status: row.status,
+    chain: row.chain,
+    token_in: row.token_in,
+    token_out: row.token_out,
+    symbol_in: row.symbol_in,
+    symbol_out: row.symbol_out,
+    amount: row.amount,
+    slippage_bps: row.slippage_bps,
+    watch_token: row.watch_token,
+    watch_symbol: row.watch_symbol,
+    condition: row.condition,
+    trigger_price_usd: row.trigger_price_usd,
+    expires_at: row.expires_at,
+    source: row.source,
+    attempts: row.attempts,
+    last_price_usd: row.last_price_usd,
+    last_checked_at: row.last_checked_at,
+    triggered_at: row.triggered_at,
+    triggered_price_usd: row.triggered_price_usd,
+    lease_owner: row.lease_owner,
+    lease_until: row.lease_until,
+    swap_id: row.swap_id,
+    result: parseJson(row.result_json),
+    last_error: row.last_error,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+    finished_at: row.finished_at,
+  };
+}
+
+export class OrderStore {
+  constructor(db, dbPath) {
+    this.db = db;
+    this.dbPath = dbPath;
+
+    this._stmtGet = db.prepare('SELECT * FROM orders WHERE order_id = ?');
+    this._stmtList = db.prepare('SELECT * FROM orders ORDER BY created_at DESC, rowid DESC LIMIT ? OFFSET ?');
+    this._stmtListByStatus = db.prepare('SELECT * FROM orders WHERE status = ? ORDER BY created_at ASC, rowid ASC LIMIT ? OFFSET ?');
+    this._stmtListByOwner = db.prepare('SELECT * FROM orders WHERE owner = ? ORDER BY created_at DESC, rowid DESC LIMIT ? OFFSET ?');
+    this._stmtListByOwnerStatus = db.prepare(
+      'SELECT * FROM orders WHERE owner = ? AND status = ? ORDER BY created_at ASC, rowid ASC LIMIT ? OFFSET ?'
+    );
+    this._stmtInsert = db.prepare(`
+      INSERT INTO orders(order_id, owner, spend_id, status, chain, token_in, token_out, symbol_in, symbol_out, amount, slippage_bps,
+        watch_token, watch_symbol, condition, trigger_price_usd, expires_at, source, attempts, created_at, updated_at)
+      VALUES(?, ?, ?, 'open', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0, ?, ?)
+    `);
+    this._stmtPrice = db.prepare("UPDATE orders SET last_price_usd = ?, last_checked_at = ? WHERE order_id = ? AND status = 'open'");
+    this._stmtClaim = db.prepare(`
+      UPDATE orders SET status = 'triggered', triggered_at = ?, triggered_price_usd = ?, attempts = attempts + 1,
+        lease_owner = ?, lease_until = ?, updated_at = ?
+      WHERE order_id = ? AND status = 'open'
+      RETURNING *
+    `);
+    this._stmtRenew = db.prepare("UPDATE orders SET lease_until = ? WHERE order_id = ? AND status = 'triggered' AND lease_owner = ?");
+    this._stmtReopen = db.prepare(
+      "UPDATE orders SET status = 'open', lease_owner = NULL, lease_until = NULL, last_error = ?, updated_at = ? WHERE order_id = ? AND status = 'triggered'"
+    );
+    this._stmtFinish = db.prepare(
+      'UPDATE orders SET status = ?, swap_id = ?, result_json = ?, last_error = ?, lease_owner = NULL, lease_until = NULL, finished_at = ?, updated_at = ? WHERE order_id = ?'
+    );
+    this._stmtRecover = db.prepare(`
+      UPDATE orders SET status = 'failed', last_error = ?, lease_owner = NULL, lease_until = NULL, finished_at = ?, updated_at = ?
+      WHERE status = 'triggered' AND (lease_until IS NULL OR lease_until <= ?)
+      RETURNING order_id
+    `);
+    this._stmtCancel = db.prepare("UPDATE orders SET status = 'cancelled', finished_at = ?, updated_at = ? WHERE order_id = ? AND status = 'open'");
+    this._stmtExpire = db.prepare(`
+      UPDATE orders SET status = 'expired', finished_at = ?, updated_at = ?
+      WHERE status = 'open' AND expires_at IS NOT NULL AND expires_at <= ?
+      RETURNING *
+    `);
+  }
+
+  static open({ dbPath = DEFAULT_ORDER_DB } = {}) {
+    const resolved = resolveDbPath(dbPath);
+    fs.mkdirSync(path.dirname(resolved), { recursive: true });
+
+    const db = new DatabaseSync(resolved);
+    db.exec('PRAGMA journal_mode=WAL;');
+    db.exec('PRAGMA synchronous=NORMAL;');
+    // CLI watcher and server share the file
+    db.exec('PRAGMA busy_timeout=5000;');
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS meta(
+        k TEXT PRIMARY KEY,
+        v TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS orders(
+        order_id TEXT PRIMARY KEY,
+        owner TEXT,
+        spend_id INTEGER,
+        status TEXT NOT NULL,
+        chain TEXT NOT NULL,
+        token_in TEXT NOT NULL,
+        token_out TEXT NOT NULL,
+        symbol_in TEXT,
+        symbol_out TEXT,
+        amount TEXT NOT NULL,
+        slippage_bps INTEGER NOT NULL,
+        watch_token TEXT NOT NULL,
+        watch_symbol TEXT,
+        condition TEXT NOT NULL,
+        trigger_price_usd REAL NOT NULL,
+        expires_at INTEGER,
+        source TEXT,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_price_usd REAL,
+        last_checked_at INTEGER,
+        triggered_at INTEGER,
+        triggered_price_usd REAL,
+        lease_owner TEXT,
+        lease_until INTEGER,
+        swap_id TEXT,
+        result_json TEXT,
+        last_error TEXT,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL,
+        finished_at INTEGER
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status, created_at);
+      CREATE INDEX IF NOT EXISTS idx_orders_owner ON orders(owner, created_at);
+    `);
+
+    const row = db.prepare('SELECT v FROM meta WHERE k = ?').get('schema_version');
+    if (!row) {
+      db.prepare('INSERT INTO meta(k, v) VALUES(?, ?)').run('schema_version', String(SCHEMA_VERSION));
+    } else if (Number.parseInt(String(row.v), 10) !== SCHEMA_VERSION) {
+      throw new Error(`Unsupported order store schema_version=${row.v} (expected ${SCHEMA_VERSION})`);
+    }
+
+    return new OrderStore(db, resolved);
+  }
+
+  close() {
+    try {
+      this.db.close();
+    } catch (_e) {}
+  }
+
+  static newOrderId() {
+    return randomUUID();
+  }
+
+  /**
+   * Insert an open order. Tokens are resolved addresses (the watcher must never hit an
+   * ambiguous symbol); `watchToken` is the one whose USD price is compared with the trigger.
+   * owner / spendId: API key that placed it and the spend booked for it (server.js).
+   */
+  createOrder({ chain, tokenIn, tokenOut, symbolIn = null, symbolOut = null, amount, slippageBps, watchToken, watchSymbol = null, condition, triggerPriceUsd, expiresAt = null, source = null, owner = null, spendId = null }) {
+    for (const [k, v] of Object.entries({ chain, tokenIn, tokenOut, watchToken })) {
+      if (!isNonEmptyString(v)) throw new Error(`order ${k} is required`);
+    }
+    if (!ORDER_CONDITIONS.has(condition)) throw new Error(`order condition must be one of: ${[...ORDER_CONDITIONS].join(', ')}`);
+    const trigger = Number(triggerPriceUsd);
+    if (!Number.isFinite(trigger) || trigger <= 0) throw new Error('order triggerPriceUsd must be > 0');
+    const amt = String(amount ?? '').trim();
+    if (!(Number(amt) > 0)) throw new Error('order amount must be > 0');
+    const slippage = Number(slippageBps);
+    if (!Number.isInteger(slippage) || slippage < 0) throw new Error('order slippageBps must be an integer >= 0');
+
+    const id = OrderStore.newOrderId();
+    const t = nowMs();
+    this._stmtInsert.run(
+      id,
+      owner,
+      spendId,
+      chain,
+      tokenIn,
+      tokenOut,
+      symbolIn,
+      symbolOut,
+      amt,
+      slippage,
+      watchToken,
+      watchSymbol,
+      condition,
+      trigger,
+      expiresAt == null ? null : Math.trunc(Number(expiresAt)),
+      source,
+      t,
+      t
+    );
+    return this.getOrder(id);
+  }
+
+  getOrder(orderId) {
+    const id = String(orderId || '').trim();
+    if (!id) throw new Error('orderId is required');
+    return mapOrder(this._stmtGet.get(id));
+  }
+
+  // owner: only that API key's orders (null = all)
+  listOrders({ status = null, limit = 50, offset = 0, owner = null } = {}) {
+    const n = Number.isFinite(limit) ? Math.max(1, Math.min(1000, Math.trunc(limit))) : 50;
+    const off = Number.isFinite(offset) ? Math.max(0, Math.trunc(offset)) : 0;
+    let rows;
+    if (owner !== null) {
+      rows = status ? this._stmtListByOwnerStatus.all(String(owner), status, n, off) : this._stmtListByOwner.all(String(owner), n, off);
+    } else {
+      rows = status ? this._stmtListByStatus.all(status, n, off) : this._stmtList.all(n, off);
+    }
+    return rows.map(mapOrder);
+  }
+
+  // Last observed price of the watched token (open orders only).
+  recordPrice(orderId, priceUsd) {
+    this._stmtPrice.run(priceUsd, nowMs(), orderId);
+  }
+
+  // open -> triggered (atomic), leased to `owner` for leaseMs. null when the order is no longer open.
+  claimOrder(orderId, priceUsd, { owner = null, leaseMs = DEFAULT_ORDER_LEASE_MS } = {}) {
+    const t = nowMs();
+    return mapOrder(this._stmtClaim.get(t, priceUsd, owner, t + leaseMs, t, orderId));
+  }
+
+  // Extend the lease of an order `owner` is still executing. false when it no longer holds it.
+  renewLease(orderId, owner, { leaseMs = DEFAULT_ORDER_LEASE_MS } = {}) {
+    return this._stmtRenew.run(nowMs() + leaseMs, orderId, owner).changes === 1;
+  }
+
+  // triggered -> open again (failed before anything was sent; the watcher retries).
+  reopenOrder(orderId, lastError) {
+    this._stmtReopen.run(lastError ?? null, nowMs(), orderId);
+    return this.getOrder(orderId);
+  }
+
+  finishOrder(orderId, { status, swapId = null, result = null, lastError = null }) {
+    if (!ORDER_TERMINAL_STATUSES.has(status)) throw new Error(`Not a final order status: ${status}`);
+    const t = nowMs();
+    this._stmtFinish.run(status, swapId, toJson(result), lastError, t, t, orderId);
+    return this.getOrder(orderId);
+  }
+
+  /**
+   * Cancel an open order. Finished orders are returned as they are; a triggered one is
+   * executing right now and throws code CANNOT_CANCEL.
+   */
+  cancelOrder(orderId) {
+    const cur = this.getOrder(orderId);
+    if (!cur) return null;
+    if (cur.status === 'open') {
+      const t = nowMs();
+      if (this._stmtCancel.run(t, t, cur.order_id).changes === 1) return this.getOrder(cur.order_id);
+    }
+    const now = this.getOrder(cur.order_id);
+    if (now.status === 'triggered') throw codedError('CANNOT_CANCEL', 'Order already triggered and is executing; it can no longer be cancelled');
+    return now;
+  }
+
+  // open orders past expires_at -> expired. Returns them.
+  expireOrders(at = nowMs()) {
+    const t = nowMs();
+    return this._stmtExpire.all(t, t, at).map(mapOrder);
+  }
+
+  /**
+   * After a watcher restart: orders left in `triggered` may or may not have swapped, so they are
+   * failed (check the swap history) rather than fired again. Only orders whose lease has run out
+   * are touched: a live watcher keeps renewing the ones it is executing. Returns their ids.
+   */
+  recoverInterrupted({ now = nowMs() } = {}) {
+    const t = nowMs();
+    const rows = this._stmtRecover.all('watcher restarted while the order was executing: outcome unknown, check the swap history', t, t, now);
+    return rows.map((r) => r.order_id);
+  }
+}
+
+export function openOrderStore({ dbPath = DEFAULT_ORDER_DB } = {}) {
+  return OrderStore.open({ dbPath });
+}
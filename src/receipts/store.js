@@ -10,9 +10,10 @@ import fs from 'node:fs';
 import path from 'node:path';
 import { DatabaseSync } from 'node:sqlite';
 
+import { swapRoles } from '../swap/roles.js';
 import { stableStringify } from '../util/stableStringify.js';
 
-const SCHEMA_VERSION = 3;
+const SCHEMA_VERSION = 6;
 
 const LEGACY_RFV_CHANNEL_COL = ['o', 't', 'c'].join('') + '_channel';
 
@@ -73,6 +74,18 @@ function ensureListingLocksTable(db) {
   `);
 }
 
+function ensureTradeAssetColumn(db) {
+  if (!listTradeColumns(db).has('asset')) db.exec('ALTER TABLE trades ADD COLUMN asset TEXT;');
+}
+
+function ensureTradePriceRefColumn(db) {
+  if (!listTradeColumns(db).has('price_ref_json')) db.exec('ALTER TABLE trades ADD COLUMN price_ref_json TEXT;');
+}
+
+function ensureTradeDirectionColumn(db) {
+  if (!listTradeColumns(db).has('direction')) db.exec('ALTER TABLE trades ADD COLUMN direction TEXT;');
+}
+
 function migrateSchema(db) {
   let current = readSchemaVersion(db);
   if (current === null) {
@@ -97,10 +110,36 @@ function migrateSchema(db) {
     writeSchemaVersion(db, current);
   }
 
+  if (current === 3) {
+    // v3 -> v4: trades.asset records the settlement asset (USDT_SOL, USDC_SOL, ...).
+    // Rows written before v4 stay NULL, which readers treat as USDT_SOL.
+    ensureTradeAssetColumn(db);
+    current = 4;
+    writeSchemaVersion(db, current);
+  }
+
+  if (current === 4) {
+    // v4 -> v5: trades.price_ref_json records the oracle reference a quote was priced against.
+    ensureTradePriceRefColumn(db);
+    current = 5;
+    writeSchemaVersion(db, current);
+  }
+
+  if (current === 5) {
+    // v5 -> v6: trades.direction records the swap direction (which side pays LN / deposits tokens).
+    // Rows written before v6 stay NULL.
+    ensureTradeDirectionColumn(db);
+    current = 6;
+    writeSchemaVersion(db, current);
+  }
+
   if (current === SCHEMA_VERSION) {
     if (!listListingLockColumns(db).has('listing_key')) {
       ensureListingLocksTable(db);
     }
+    ensureTradeAssetColumn(db);
+    ensureTradePriceRefColumn(db);
+    ensureTradeDirectionColumn(db);
     return;
   }
 
@@ -166,6 +205,9 @@ function mapRow(row) {
 
     btc_sats: row.btc_sats,
     usdt_amount: row.usdt_amount,
+    asset: row.asset ?? null,
+    price_ref_json: row.price_ref_json ?? null,
+    direction: row.direction ?? null,
 
     sol_mint: row.sol_mint,
     sol_program_id: row.sol_program_id,
@@ -221,6 +263,10 @@ export class TradeReceiptsStore {
       'SELECT * FROM trades WHERE state = ? AND sol_refund_after_unix IS NOT NULL AND sol_refund_after_unix <= ? ORDER BY updated_at DESC LIMIT ? OFFSET ?'
     );
 
+    this._stmtMakerStateCounts = db.prepare(
+      'SELECT state, direction, COUNT(*) AS n FROM trades WHERE maker_peer = ? GROUP BY state, direction'
+    );
+
     this._stmtInsertEvent = db.prepare(
       'INSERT INTO events(trade_id, ts, kind, payload_json) VALUES(?, ?, ?, ?)'
     );
@@ -229,6 +275,9 @@ export class TradeReceiptsStore {
     this._stmtListListingLocksByTrade = db.prepare(
       'SELECT * FROM listing_locks WHERE trade_id = ? ORDER BY updated_at DESC LIMIT ?'
     );
+    this._stmtListListingLocksByListing = db.prepare(
+      'SELECT * FROM listing_locks WHERE listing_type = ? AND listing_id = ? ORDER BY updated_at DESC LIMIT ?'
+    );
     this._stmtDeleteListingLock = db.prepare('DELETE FROM listing_locks WHERE listing_key = ?');
     this._stmtDeleteListingLocksByTrade = db.prepare('DELETE FROM listing_locks WHERE trade_id = ?');
     this._stmtUpsertListingLock = db.prepare(`
@@ -251,14 +300,14 @@ export class TradeReceiptsStore {
     this._stmtUpsertTrade = db.prepare(`
       INSERT INTO trades(
         trade_id, role, rfq_channel, swap_channel, maker_peer, taker_peer,
-        btc_sats, usdt_amount,
+        btc_sats, usdt_amount, asset, price_ref_json, direction,
         sol_mint, sol_program_id, sol_recipient, sol_refund, sol_escrow_pda, sol_vault_ata, sol_refund_after_unix,
         ln_invoice_bolt11, ln_payment_hash_hex, ln_preimage_hex,
         state, created_at, updated_at, last_error
       )
       VALUES(
         ?, ?, ?, ?, ?, ?,
-        ?, ?,
+        ?, ?, ?, ?, ?,
         ?, ?, ?, ?, ?, ?, ?,
         ?, ?, ?,
         ?, ?, ?, ?
@@ -271,6 +320,9 @@ export class TradeReceiptsStore {
         taker_peer=excluded.taker_peer,
         btc_sats=excluded.btc_sats,
         usdt_amount=excluded.usdt_amount,
+        asset=excluded.asset,
+        price_ref_json=excluded.price_ref_json,
+        direction=excluded.direction,
         sol_mint=excluded.sol_mint,
         sol_program_id=excluded.sol_program_id,
         sol_recipient=excluded.sol_recipient,
@@ -312,6 +364,9 @@ export class TradeReceiptsStore {
 
         btc_sats INTEGER,
         usdt_amount TEXT,
+        asset TEXT,
+        price_ref_json TEXT,
+        direction TEXT,
 
         sol_mint TEXT,
         sol_program_id TEXT,
@@ -393,6 +448,24 @@ export class TradeReceiptsStore {
     return this._stmtListOpenRefunds.all(st, now, n, off).map(mapRow);
   }
 
+  // Settled vs failed trades with one maker peer (taker-side reputation for quote selection).
+  // A refund means the LN payer never paid or claimed, so it only counts against the maker when the
+  // maker was the LN payer (<asset>->BTC_LN). Cancels and the other refunds are not the maker's fault
+  // (or not provably so) and land in `other`.
+  getMakerStats(makerPeer) {
+    const peer = String(makerPeer || '').trim().toLowerCase();
+    const out = { maker_peer: peer, completed: 0, failed: 0, open: 0, other: 0 };
+    if (!peer) return out;
+    for (const row of this._stmtMakerStateCounts.all(peer)) {
+      const n = Number(row.n) || 0;
+      if (row.state === 'claimed') out.completed += n;
+      else if (row.state === 'refunded' && swapRoles(row.direction)?.ln_payer === 'maker') out.failed += n;
+      else if (row.state === 'refunded' || row.state === 'canceled') out.other += n;
+      else out.open += n;
+    }
+    return out;
+  }
+
   upsertTrade(tradeId, patch = {}) {
     const id = String(tradeId || '').trim();
     if (!id) throw new Error('tradeId is required');
@@ -416,6 +489,9 @@ export class TradeReceiptsStore {
       taker_peer: coerceText(next.taker_peer),
       btc_sats: next.btc_sats === undefined ? undefined : coerceInt(next.btc_sats),
       usdt_amount: coerceText(next.usdt_amount),
+      asset: coerceText(next.asset),
+      price_ref_json: coerceJson(next.price_ref_json),
+      direction: coerceText(next.direction),
       sol_mint: coerceText(next.sol_mint),
       sol_program_id: coerceText(next.sol_program_id),
       sol_recipient: coerceText(next.sol_recipient),
@@ -449,6 +525,9 @@ export class TradeReceiptsStore {
       row.taker_peer,
       row.btc_sats,
       row.usdt_amount,
+      row.asset,
+      row.price_ref_json,
+      row.direction,
       row.sol_mint,
       row.sol_program_id,
       row.sol_recipient,
@@ -491,6 +570,15 @@ export class TradeReceiptsStore {
     return this._stmtListListingLocksByTrade.all(id, n).map(mapListingLockRow);
   }
 
+  // All locks of one listing (e.g. the per-trade `offer_fill` locks of a range offer line).
+  listListingLocksByListing(listingType, listingId, { limit = 500 } = {}) {
+    const type = String(listingType || '').trim();
+    const id = String(listingId || '').trim();
+    if (!type || !id) throw new Error('listingType and listingId are required');
+    const n = Number.isFinite(limit) ? Math.max(1, Math.min(2000, Math.trunc(limit))) : 500;
+    return this._stmtListListingLocksByListing.all(type, id, n).map(mapListingLockRow);
+  }
+
   upsertListingLock(listingKey, patch = {}) {
     const key = String(listingKey || '').trim();
     if (!key) throw new Error('listingKey is required');
@@ -0,0 +1,240 @@
+// Node-only local history of agent swaps (CLI pipeline: Scout -> ... -> Executor).
+//
+// Same rules as the trade receipts store:
+// - local-only, lives under `onchain/` (gitignored)
+// - Node's built-in SQLite module, no native deps
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { DatabaseSync } from 'node:sqlite';
+
+import { stableStringify } from '../util/stableStringify.js';
+
+const SCHEMA_VERSION = 1;
+
+export const DEFAULT_SWAP_HISTORY_DB = 'onchain/agent/history.sqlite';
+
+function nowMs() {
+  return Date.now();
+}
+
+function isNonEmptyString(v) {
+  return typeof v === 'string' && v.trim().length > 0;
+}
+
+function resolveDbPath(dbPath) {
+  if (!isNonEmptyString(dbPath)) throw new Error('swap history dbPath is required');
+  const p = dbPath.trim();
+  return path.isAbsolute(p) ? p : path.resolve(process.cwd(), p);
+}
+
+function coerceText(v) {
+  if (v === undefined) return undefined;
+  if (v === null) return null;
+  return String(v);
+}
+
+function coerceInt(v) {
+  if (v === undefined) return undefined;
+  if (v === null) return null;
+  const n = typeof v === 'bigint' ? Number(v) : Number(v);
+  if (!Number.isFinite(n)) throw new Error(`Invalid int: ${v}`);
+  return Math.trunc(n);
+}
+
+// BigInt-safe JSON (quotes/receipts can carry bigint values).
+function coerceJson(v) {
+  if (v === undefined) return undefined;
+  if (v === null) return null;
+  if (typeof v === 'string') return v;
+  return stableStringify(JSON.parse(JSON.stringify(v, (_k, x) => (typeof x === 'bigint' ? x.toString() : x))));
+}
+
+function parseJson(s) {
+  if (s === null || s === undefined) return null;
+  try {
+    return JSON.parse(s);
+  } catch (_e) {
+    return s;
+  }
+}
+
+const COLUMNS = [
+  'swap_id',
+  'chain',
+  'mode',
+  'token_in',
+  'token_out',
+  'amount_in',
+  'amount_in_atomic',
+  'slippage_bps',
+  'txid',
+  'status',
+  'amount_out_atomic',
+  'plan_json',
+  'risk_json',
+  'quote_json',
+  'result_json',
+  'last_error',
+  'created_at',
+  'updated_at',
+];
+
+function mapRow(row) {
+  if (!row) return null;
+  return {
+    swap_id: row.swap_id,
+    chain: row.chain,
+    mode: row.mode,
+    token_in: row.token_in,
+    token_out: row.token_out,
+    amount_in: row.amount_in,
+    amount_in_atomic: row.amount_in_atomic,
+    slippage_bps: row.slippage_bps,
+    txid: row.txid,
+    status: row.status,
+    amount_out_atomic: row.amount_out_atomic,
+    plan: parseJson(row.plan_json),
+    risk: parseJson(row.risk_json),
+    quote: parseJson(row.quote_json),
+    result: parseJson(row.result_json),
+    last_error: row.last_error,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
+
+export class SwapHistoryStore {
+  constructor(db, dbPath) {
+    this.db = db;
+    this.dbPath = dbPath;
+
+    this._stmtGet = db.prepare('SELECT * FROM swaps WHERE swap_id = ?');
+    this._stmtList = db.prepare('SELECT * FROM swaps ORDER BY created_at DESC LIMIT ? OFFSET ?');
+    this._stmtUpsert = db.prepare(`
+      INSERT INTO swaps(${COLUMNS.join(', ')})
+      VALUES(${COLUMNS.map(() => '?').join(', ')})
+      ON CONFLICT(swap_id) DO UPDATE SET
+        ${COLUMNS.filter((c) => c !== 'swap_id' && c !== 'created_at')
+          .map((c) => `${c}=excluded.${c}`)
+          .join(',\n        ')},
+        created_at=swaps.created_at
+    `);
+  }
+
+  static open({ dbPath = DEFAULT_SWAP_HISTORY_DB } = {}) {
+    const resolved = resolveDbPath(dbPath);
+    fs.mkdirSync(path.dirname(resolved), { recursive: true });
+
+    const db = new DatabaseSync(resolved);
+    db.exec('PRAGMA journal_mode=WAL;');
+    db.exec('PRAGMA synchronous=NORMAL;');
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS meta(
+        k TEXT PRIMARY KEY,
+        v TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS swaps(
+        swap_id TEXT PRIMARY KEY,
+        chain TEXT,
+        mode TEXT,
+        token_in TEXT,
+        token_out TEXT,
+        amount_in TEXT,
+        amount_in_atomic TEXT,
+        slippage_bps INTEGER,
+        txid TEXT,
+        status TEXT,
+        amount_out_atomic TEXT,
+        plan_json TEXT,
+        risk_json TEXT,
+        quote_json TEXT,
+        result_json TEXT,
+        last_error TEXT,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_swaps_created ON swaps(created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_swaps_txid ON swaps(txid);
+    `);
+
+    const row = db.prepare('SELECT v FROM meta WHERE k = ?').get('schema_version');
+    if (!row) {
+      db.prepare('INSERT INTO meta(k, v) VALUES(?, ?)').run('schema_version', String(SCHEMA_VERSION));
+    } else if (Number.parseInt(String(row.v), 10) !== SCHEMA_VERSION) {
+      throw new Error(`Unsupported swap history schema_version=${row.v} (expected ${SCHEMA_VERSION})`);
+    }
+
+    return new SwapHistoryStore(db, resolved);
+  }
+
+  close() {
+    try {
+      this.db.close();
+    } catch (_e) {}
+  }
+
+  static newSwapId() {
+    return randomUUID();
+  }
+
+  getSwap(swapId) {
+    const id = String(swapId || '').trim();
+    if (!id) throw new Error('swapId is required');
+    return mapRow(this._stmtGet.get(id));
+  }
+
+  listSwaps({ limit = 50, offset = 0 } = {}) {
+    const n = Number.isFinite(limit) ? Math.max(1, Math.min(1000, Math.trunc(limit))) : 50;
+    const off = Number.isFinite(offset) ? Math.max(0, Math.trunc(offset)) : 0;
+    return this._stmtList.all(n, off).map(mapRow);
+  }
+
+  // Patch keys use the public (mapped) names: plan/risk/quote/result are objects.
+  upsertSwap(swapId, patch = {}) {
+    const id = String(swapId || '').trim();
+    if (!id) throw new Error('swapId is required');
+    const existing = this._stmtGet.get(id);
+    const base = existing || { swap_id: id, created_at: nowMs() };
+
+    const next = { ...base, updated_at: nowMs() };
+    for (const [k, v] of Object.entries(patch || {})) {
+      if (v === undefined) continue;
+      if (k === 'plan' || k === 'risk' || k === 'quote' || k === 'result') next[`${k}_json`] = coerceJson(v);
+      else next[k] = v;
+    }
+
+    const row = {
+      swap_id: id,
+      chain: coerceText(next.chain),
+      mode: coerceText(next.mode),
+      token_in: coerceText(next.token_in),
+      token_out: coerceText(next.token_out),
+      amount_in: coerceText(next.amount_in),
+      amount_in_atomic: coerceText(next.amount_in_atomic),
+      slippage_bps: coerceInt(next.slippage_bps),
+      txid: coerceText(next.txid),
+      status: coerceText(next.status),
+      amount_out_atomic: coerceText(next.amount_out_atomic),
+      plan_json: coerceJson(next.plan_json),
+      risk_json: coerceJson(next.risk_json),
+      quote_json: coerceJson(next.quote_json),
+      result_json: coerceJson(next.result_json),
+      last_error: coerceText(next.last_error),
+      created_at: coerceInt(next.created_at),
+      updated_at: coerceInt(next.updated_at),
+    };
+
+    // Node's SQLite bindings reject `undefined`. Store missing fields as NULL.
+    this._stmtUpsert.run(...COLUMNS.map((c) => (row[c] === undefined ? null : row[c])));
+    return this.getSwap(id);
+  }
+}
+
+export function openSwapHistoryStore({ dbPath = DEFAULT_SWAP_HISTORY_DB } = {}) {
+  return SwapHistoryStore.open({ dbPath });
+}
@@ -0,0 +1,60 @@
+import { BUILTIN_RULES } from "./rules/index.js";
+
+// RiskGate rule engine: runs every enabled rule of a phase against a context,
+// sums their weights and keeps a per-rule explanation.
+
+const extraRules = [];
+
+/**
+ * Plug in an additional rule ({ id, phase, defaults, evaluate }).
+ */
+export function registerRiskRule(rule) {
+  if (!rule?.id || typeof rule.evaluate !== "function") throw new Error("Risk rule needs id + evaluate()");
+  if (getRiskRules().some((r) => r.id === rule.id)) throw new Error(`Risk rule already registered: ${rule.id}`);
+  extraRules.push(rule);
+}
+
+export function getRiskRules() {
+  return [...BUILTIN_RULES, ...extraRules];
+}
+
+export function ruleParams(rule, policy) {
+  return { ...(rule.defaults || {}), ...(policy?.rules?.[rule.id] || {}) };
+}
+
+/**
+ * ctx: { input, snap, quote, ... } — whatever the phase's rules read.
+ * Returns { score, hits: [{ rule, flag, weight, message }] }.
+ */
+export function evaluateRules({ phase, ctx, policy }) {
+  const hits = [];
+  for (const rule of getRiskRules()) {
+    if (rule.phase !== phase) continue;
+    const params = ruleParams(rule, policy);
+    if (params.enabled === false) continue;
+
+    const hit = rule.evaluate(ctx, params);
+    if (!hit) continue;
+    hits.push({ rule: rule.id, flag: hit.flag, weight: Number(hit.weight) || 0, message: hit.message });
+  }
+  return { score: hits.reduce((acc, h) => acc + h.weight, 0), hits };
+}
+
+export function riskLevel(score, policy) {
+  if (score >= policy.blockScore) return "BLOCK";
+  if (score >= policy.cautionScore) return "CAUTION";
+  return "SAFE";
+}
+
+/**
+ * Params of every enabled rule (for the `thresholds` field of the risk object).
+ */
+export function policyThresholds(policy) {
+  const out = { blockScore: policy.blockScore, cautionScore: policy.cautionScore };
+  for (const rule of getRiskRules()) {
+    const params = ruleParams(rule, policy);
+    if (params.enabled === false) continue;
+    out[rule.id] = params;
+  }
+  return out;
+}
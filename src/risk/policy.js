@@ -0,0 +1,101 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import YAML from "yaml";
+
+import { getRiskRules } from "./engine.js";
+
+// Risk policies: per-profile weights/thresholds for the RiskGate rules.
+// - built-in profiles: ./policies/<profile>.json (default, conservative, degen)
+// - RISK_PROFILE=<name> picks a built-in profile
+// - RISK_POLICY_FILE=<path.json|.yaml|.yml> loads a custom policy
+// - legacy RISK_* env vars still override the matching rule params
+
+const POLICY_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "policies");
+
+export const DEFAULT_PROFILE = "default";
+
+// env var -> [rule id | null for top-level, param]
+const ENV_OVERRIDES = {
+  RISK_MIN_LIQ_USD: ["liquidity", "minUsd"],
+  RISK_MIN_VOL24_USD: ["volume", "minUsd"],
+  RISK_MIN_AGE_MIN: ["age", "minMinutes"],
+  RISK_MAX_PUMP_PCT: ["pump", "maxPct"],
+  RISK_WARN_PRICE_IMPACT_PCT: ["priceImpact", "warnPct"],
+  RISK_MAX_PRICE_IMPACT_PCT: ["priceImpact", "maxPct"],
+  RISK_BLOCK_SCORE: [null, "blockScore"]
+};
+
+export function listRiskProfiles() {
+  return fs
+    .readdirSync(POLICY_DIR)
+    .filter((f) => f.endsWith(".json"))
+    .map((f) => f.replace(/\.json$/, ""));
+}
+
+function readPolicyFile(file) {
+  const raw = fs.readFileSync(file, "utf8");
+  const ext = path.extname(file).toLowerCase();
+  return ext === ".yaml" || ext === ".yml" ? YAML.parse(raw) : JSON.parse(raw);
+}
+
+/**
+ * Validate + normalize a raw policy object.
+ * Unknown rule ids are rejected so typos don't silently disable a check.
+ */
+export function normalizeRiskPolicy(raw, { source = "inline" } = {}) {
+  if (!raw || typeof raw !== "object") throw new Error(`Invalid risk policy (${source})`);
+
+  const known = new Set(getRiskRules().map((r) => r.id));
+  const rules = {};
+  for (const [id, cfg] of Object.entries(raw.rules || {})) {
+    if (!known.has(id)) throw new Error(`Unknown risk rule "${id}" in policy (${source})`);
+    if (cfg !== null && typeof cfg !== "object") throw new Error(`Risk rule "${id}" config must be an object (${source})`);
+    for (const [k, v] of Object.entries(cfg || {})) {
+      if (k === "enabled") continue;
+      if (typeof v !== "number" || !Number.isFinite(v)) {
+        throw new Error(`Risk rule "${id}".${k} must be a number (${source})`);
+      }
+    }
+    rules[id] = { ...(cfg || {}) };
+  }
+
+  const blockScore = Number(raw.blockScore ?? 75);
+  const cautionScore = Number(raw.cautionScore ?? 45);
+  if (!Number.isFinite(blockScore) || !Number.isFinite(cautionScore) || cautionScore > blockScore) {
+    throw new Error(`Risk policy scores invalid: cautionScore must be <= blockScore (${source})`);
+  }
+
+  return { name: String(raw.name || path.basename(source).replace(/\.\w+$/, "")), blockScore, cautionScore, rules };
+}
+
+function applyEnvOverrides(policy, env) {
+  const out = { ...policy, rules: { ...policy.rules } };
+  for (const [key, [ruleId, param]] of Object.entries(ENV_OVERRIDES)) {
+    if (env[key] === undefined || env[key] === "") continue;
+    const v = Number(env[key]);
+    if (!Number.isFinite(v)) continue;
+    if (ruleId === null) out[param] = v;
+    else out.rules[ruleId] = { ...(out.rules[ruleId] || {}), [param]: v };
+  }
+  return out;
+}
+
+/**
+ * Load the active risk policy.
+ * opts.profile / opts.file win over RISK_PROFILE / RISK_POLICY_FILE.
+ */
+export function loadRiskPolicy({ profile = null, file = null, env = process.env } = {}) {
+  const policyFile = file || env.RISK_POLICY_FILE || null;
+  let policy;
+  if (policyFile) {
+    policy = normalizeRiskPolicy(readPolicyFile(path.resolve(policyFile)), { source: policyFile });
+  } else {
+    const name = String(profile || env.RISK_PROFILE || DEFAULT_PROFILE).trim().toLowerCase();
+    if (!/^[a-z0-9_-]+$/.test(name) || !listRiskProfiles().includes(name)) {
+      throw new Error(`Unknown risk profile: ${name} (available: ${listRiskProfiles().join(", ")})`);
+    }
+    policy = normalizeRiskPolicy(readPolicyFile(path.join(POLICY_DIR, `${name}.json`)), { source: `${name}.json` });
+  }
+  return applyEnvOverrides(policy, env);
+}
@@ -0,0 +1,17 @@
+import { fmtAge } from "./util.js";
+
+export default {
+  id: "age",
+  phase: "market",
+  defaults: { weight: 25, minMinutes: 60 },
+  evaluate(ctx, p) {
+    const ageMs = ctx.snap?.ageMs;
+    if (ageMs == null) return null;
+    if (Math.floor(ageMs / 60000) >= p.minMinutes) return null;
+    return {
+      flag: `TOO_NEW_${fmtAge(ageMs)}`,
+      weight: p.weight,
+      message: `Pair is ${fmtAge(ageMs)} old (minimum ${p.minMinutes}m)`
+    };
+  }
+};
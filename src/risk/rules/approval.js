@@ -0,0 +1,20 @@
+import { approvalModeFromEnv, isVerifiedSpender } from "../../core/allowance.js";
+
+// Base ERC-20 sells: unlimited approval to a spender we don't recognize.
+export default {
+  id: "approval",
+  phase: "quote",
+  defaults: { weight: 40 },
+  evaluate(ctx, p) {
+    const { input, quote } = ctx;
+    const needsApproval = input.chain === "base" && input.tokenInInfo && !input.tokenInInfo.native;
+    if (!needsApproval) return null;
+    const mode = input.approvalMode || approvalModeFromEnv();
+    if (mode !== "unlimited" || isVerifiedSpender(quote?.allowanceTarget)) return null;
+    return {
+      flag: `UNLIMITED_APPROVAL_UNVERIFIED_SPENDER_${quote?.allowanceTarget || "unknown"}`,
+      weight: p.weight,
+      message: `Unlimited approval to unverified spender ${quote?.allowanceTarget || "(unknown)"}`
+    };
+  }
+};
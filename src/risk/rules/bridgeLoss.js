@@ -0,0 +1,26 @@
+// LI.FI bridges: value lost between the source amount and the destination estimate (fees, gas,
+// bridge spread), from the route's USD estimates.
+export default {
+  id: "bridgeLoss",
+  phase: "bridge",
+  defaults: { warnPct: 2, warnWeight: 20, maxPct: 10, maxWeight: 80, unknownWeight: 5, zeroWeight: 100 },
+  evaluate(ctx, p) {
+    const q = ctx.quote || {};
+    if (q.outAmount === "0" || q.minOut === "0") {
+      return { flag: "ZERO_OUTPUT_BRIDGE", weight: p.zeroWeight, message: "Bridge route returns zero output" };
+    }
+    const from = Number(q.fromAmountUsd);
+    const to = Number(q.toAmountUsd);
+    if (!(from > 0) || !Number.isFinite(to)) {
+      return { flag: "BRIDGE_LOSS_UNKNOWN", weight: p.unknownWeight, message: "Bridge route did not report USD values" };
+    }
+    const loss = ((from - to) / from) * 100;
+    if (loss > p.maxPct) {
+      return { flag: `EXTREME_BRIDGE_LOSS_${loss.toFixed(2)}%`, weight: p.maxWeight, message: `Bridge loses ${loss.toFixed(2)}% of the value (above ${p.maxPct}%)` };
+    }
+    if (loss > p.warnPct) {
+      return { flag: `HIGH_BRIDGE_LOSS_${loss.toFixed(2)}%`, weight: p.warnWeight, message: `Bridge loses ${loss.toFixed(2)}% of the value (above ${p.warnPct}%)` };
+    }
+    return null;
+  }
+};
@@ -0,0 +1,18 @@
+// Lopsided buys vs sells (but sells > 0): sells may be taxed/throttled.
+export default {
+  id: "buyPressure",
+  phase: "market",
+  defaults: { weight: 15, maxRatio: 10, minTxns: 50 },
+  evaluate(ctx, p) {
+    const snap = ctx.snap;
+    if (!snap || !(snap.sells24h > 0)) return null;
+    if (snap.buys24h + snap.sells24h < p.minTxns) return null;
+    const ratio = snap.buys24h / snap.sells24h;
+    if (ratio <= p.maxRatio) return null;
+    return {
+      flag: `BUY_SELL_IMBALANCE_${ratio.toFixed(1)}x`,
+      weight: p.weight,
+      message: `${snap.buys24h} buys vs ${snap.sells24h} sells in 24h (max ${p.maxRatio}x)`
+    };
+  }
+};
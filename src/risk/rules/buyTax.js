@@ -0,0 +1,14 @@
+// Base buy/sell simulation: tokens received below the 0x quote on the buy.
+export default {
+  id: "buyTax",
+  phase: "market",
+  defaults: { warnPct: 3, warnWeight: 10, maxPct: 10, maxWeight: 30 },
+  evaluate(ctx, p) {
+    const pct = ctx.tax?.buyTaxPct;
+    if (pct == null || pct <= p.warnPct) return null;
+    if (pct > p.maxPct) {
+      return { flag: "HIGH_BUY_TAX", weight: p.maxWeight, message: `Simulated buy tax ${pct}% is above the max ${p.maxPct}%` };
+    }
+    return { flag: `BUY_TAX_${pct}PCT`, weight: p.warnWeight, message: `Simulated buy tax ${pct}%` };
+  }
+};
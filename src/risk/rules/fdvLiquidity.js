@@ -0,0 +1,19 @@
+import { usd } from "./util.js";
+
+// Valuation far above the liquidity backing it: price can collapse on modest sells.
+export default {
+  id: "fdvLiquidity",
+  phase: "market",
+  defaults: { weight: 15, maxRatio: 100 },
+  evaluate(ctx, p) {
+    const snap = ctx.snap;
+    if (!snap?.fdvUsd || !(snap.liquidityUsd > 0)) return null;
+    const ratio = snap.fdvUsd / snap.liquidityUsd;
+    if (ratio <= p.maxRatio) return null;
+    return {
+      flag: `THIN_LIQUIDITY_VS_FDV_${Math.round(ratio)}x`,
+      weight: p.weight,
+      message: `FDV ${usd(snap.fdvUsd)} is ${Math.round(ratio)}x liquidity (max ${p.maxRatio}x)`
+    };
+  }
+};
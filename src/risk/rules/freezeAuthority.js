@@ -0,0 +1,12 @@
+// Solana: freeze authority can freeze holder token accounts (including ours after the buy).
+export default {
+  id: "freezeAuthority",
+  phase: "market",
+  defaults: { weight: 30 },
+  evaluate(ctx, p) {
+    const m = ctx.mint;
+    if (!m?.freezeAuthority) return null;
+    const frozen = m.defaultAccountState === "frozen" ? ", new accounts start frozen" : "";
+    return { flag: "FREEZE_AUTHORITY_ACTIVE", weight: p.weight, message: `Freeze authority is active (${m.freezeAuthority})${frozen}` };
+  }
+};
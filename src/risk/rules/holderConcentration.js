@@ -0,0 +1,18 @@
+// Top-holder concentration from getTokenLargestAccounts.
+// The top account is often the AMM vault, hence the loose defaults.
+export default {
+  id: "holderConcentration",
+  phase: "market",
+  defaults: { weight: 25, maxTop1Pct: 50, maxTop10Pct: 80 },
+  evaluate(ctx, p) {
+    const h = ctx.mint?.holders;
+    if (!h) return null;
+    if (h.top1Pct != null && h.top1Pct > p.maxTop1Pct) {
+      return { flag: `TOP_HOLDER_${Math.round(h.top1Pct)}PCT`, weight: p.weight, message: `Largest holder owns ${h.top1Pct}% of supply (max ${p.maxTop1Pct}%)` };
+    }
+    if (h.top10Pct != null && h.top10Pct > p.maxTop10Pct) {
+      return { flag: `TOP10_HOLDERS_${Math.round(h.top10Pct)}PCT`, weight: p.weight, message: `Top 10 holders own ${h.top10Pct}% of supply (max ${p.maxTop10Pct}%)` };
+    }
+    return null;
+  }
+};
@@ -0,0 +1,16 @@
+// Base buy/sell simulation: the token cannot be bought or sold back.
+export default {
+  id: "honeypot",
+  phase: "market",
+  defaults: { weight: 100 },
+  evaluate(ctx, p) {
+    const t = ctx.tax;
+    if (t?.sellReverted) {
+      return { flag: "UNSELLABLE", weight: p.weight, message: `Simulated sell failed: ${t.revertReason || "reverted"}` };
+    }
+    if (t?.buyReverted) {
+      return { flag: "BUY_REVERTS", weight: p.weight, message: `Simulated buy failed: ${t.revertReason || "reverted"}` };
+    }
+    return null;
+  }
+};
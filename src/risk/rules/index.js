@@ -0,0 +1,64 @@
+import snapshot from "./snapshot.js";
+import liquidity from "./liquidity.js";
+import age from "./age.js";
+import volume from "./volume.js";
+import sells from "./sells.js";
+import pump from "./pump.js";
+import slippage from "./slippage.js";
+import fdvLiquidity from "./fdvLiquidity.js";
+import buyPressure from "./buyPressure.js";
+import priceConsensus from "./priceConsensus.js";
+import liquidityConsensus from "./liquidityConsensus.js";
+import singleSource from "./singleSource.js";
+import symbolPick from "./symbolPick.js";
+import mintAuthority from "./mintAuthority.js";
+import freezeAuthority from "./freezeAuthority.js";
+import transferFee from "./transferFee.js";
+import permanentDelegate from "./permanentDelegate.js";
+import transferHook from "./transferHook.js";
+import nonTransferable from "./nonTransferable.js";
+import holderConcentration from "./holderConcentration.js";
+import mintUnchecked from "./mintUnchecked.js";
+import honeypot from "./honeypot.js";
+import sellTax from "./sellTax.js";
+import buyTax from "./buyTax.js";
+import taxUnchecked from "./taxUnchecked.js";
+import priceImpact from "./priceImpact.js";
+import approval from "./approval.js";
+import zeroOutput from "./zeroOutput.js";
+import bridgeLoss from "./bridgeLoss.js";
+
+// Built-in RiskGate rules.
+// A rule: { id, phase: "market" | "quote" | "bridge", defaults: { weight, ...params }, evaluate(ctx, params) }
+// evaluate returns null (pass) or { flag, weight, message }.
+export const BUILTIN_RULES = [
+  snapshot,
+  liquidity,
+  age,
+  volume,
+  sells,
+  pump,
+  slippage,
+  fdvLiquidity,
+  buyPressure,
+  priceConsensus,
+  liquidityConsensus,
+  singleSource,
+  symbolPick,
+  mintAuthority,
+  freezeAuthority,
+  transferFee,
+  permanentDelegate,
+  transferHook,
+  nonTransferable,
+  holderConcentration,
+  mintUnchecked,
+  honeypot,
+  sellTax,
+  buyTax,
+  taxUnchecked,
+  priceImpact,
+  approval,
+  zeroOutput,
+  bridgeLoss
+];
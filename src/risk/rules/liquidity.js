@@ -0,0 +1,16 @@
+import { usd } from "./util.js";
+
+export default {
+  id: "liquidity",
+  phase: "market",
+  defaults: { weight: 35, minUsd: 15000 },
+  evaluate(ctx, p) {
+    const snap = ctx.snap;
+    if (!snap || snap.liquidityUsd >= p.minUsd) return null;
+    return {
+      flag: `LOW_LIQUIDITY_$${Math.round(snap.liquidityUsd)}`,
+      weight: p.weight,
+      message: `Liquidity ${usd(snap.liquidityUsd)} is below the minimum ${usd(p.minUsd)}`
+    };
+  }
+};
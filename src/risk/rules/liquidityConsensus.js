@@ -0,0 +1,12 @@
+// Market sources disagree on pool liquidity (e.g. one source sees a pulled pool).
+export default {
+  id: "liquidityConsensus",
+  phase: "market",
+  defaults: { weight: 10 },
+  evaluate(ctx, p) {
+    const c = ctx.market?.consensus?.liquidity;
+    if (!c?.checked || c.ok) return null;
+    const who = c.outliers.map((o) => `${o.id} ${o.deviationBps}bps`).join(", ") || c.error;
+    return { flag: "LIQUIDITY_DISAGREEMENT", weight: p.weight, message: `Market sources disagree on liquidity (off: ${who})` };
+  }
+};
@@ -0,0 +1,11 @@
+// Solana: mint authority still set -> supply can be inflated at any time.
+export default {
+  id: "mintAuthority",
+  phase: "market",
+  defaults: { weight: 30 },
+  evaluate(ctx, p) {
+    const m = ctx.mint;
+    if (!m?.mintAuthority) return null;
+    return { flag: "MINT_AUTHORITY_ACTIVE", weight: p.weight, message: `Mint authority is active (${m.mintAuthority})` };
+  }
+};
@@ -0,0 +1,10 @@
+// The on-chain mint inspection was attempted but failed (RPC error, not a mint, ...).
+export default {
+  id: "mintUnchecked",
+  phase: "market",
+  defaults: { weight: 10 },
+  evaluate(ctx, p) {
+    if (!ctx.mintError) return null;
+    return { flag: "MINT_UNCHECKED", weight: p.weight, message: `On-chain mint checks failed: ${ctx.mintError}` };
+  }
+};
@@ -0,0 +1,10 @@
+// Token-2022 non-transferable mint: bought tokens can never be moved or sold.
+export default {
+  id: "nonTransferable",
+  phase: "market",
+  defaults: { weight: 100 },
+  evaluate(ctx, p) {
+    if (!ctx.mint?.nonTransferable) return null;
+    return { flag: "NON_TRANSFERABLE", weight: p.weight, message: "Mint is non-transferable (cannot be sold)" };
+  }
+};
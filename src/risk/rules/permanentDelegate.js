@@ -0,0 +1,11 @@
+// Token-2022 permanent delegate: can transfer or burn tokens out of any holder account.
+export default {
+  id: "permanentDelegate",
+  phase: "market",
+  defaults: { weight: 60 },
+  evaluate(ctx, p) {
+    const d = ctx.mint?.permanentDelegate;
+    if (!d) return null;
+    return { flag: "PERMANENT_DELEGATE", weight: p.weight, message: `Permanent delegate can move holder funds (${d})` };
+  }
+};
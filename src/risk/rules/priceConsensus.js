@@ -0,0 +1,16 @@
+// Market sources disagree on the token price (outliers around the median).
+export default {
+  id: "priceConsensus",
+  phase: "market",
+  defaults: { weight: 20 },
+  evaluate(ctx, p) {
+    const c = ctx.market?.consensus?.price;
+    if (!c?.checked || c.ok) return null;
+    const who = c.outliers.map((o) => `${o.id} ${o.deviationBps}bps`).join(", ") || c.error;
+    return {
+      flag: `PRICE_DISAGREEMENT_${c.spreadBps ?? "?"}BPS`,
+      weight: p.weight,
+      message: `Market sources disagree on price (agree: ${c.agreeing.join(", ") || "none"}; off: ${who})`
+    };
+  }
+};
@@ -0,0 +1,26 @@
+export default {
+  id: "priceImpact",
+  phase: "quote",
+  defaults: { warnPct: 1, warnWeight: 15, maxPct: 5, maxWeight: 40, unknownWeight: 5 },
+  evaluate(ctx, p) {
+    const impact = ctx.quote?.priceImpactPct;
+    if (impact == null) {
+      return { flag: "PRICE_IMPACT_UNKNOWN", weight: p.unknownWeight, message: "Quote did not report price impact" };
+    }
+    if (impact > p.maxPct) {
+      return {
+        flag: `EXTREME_PRICE_IMPACT_${impact.toFixed(2)}%`,
+        weight: p.maxWeight,
+        message: `Price impact ${impact.toFixed(2)}% is above ${p.maxPct}%`
+      };
+    }
+    if (impact > p.warnPct) {
+      return {
+        flag: `HIGH_PRICE_IMPACT_${impact.toFixed(2)}%`,
+        weight: p.warnWeight,
+        message: `Price impact ${impact.toFixed(2)}% is above ${p.warnPct}%`
+      };
+    }
+    return null;
+  }
+};
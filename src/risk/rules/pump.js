@@ -0,0 +1,14 @@
+export default {
+  id: "pump",
+  phase: "market",
+  defaults: { weight: 25, maxPct: 250 },
+  evaluate(ctx, p) {
+    const chg = ctx.snap?.priceChange24hPct;
+    if (chg == null || Math.abs(chg) <= p.maxPct) return null;
+    return {
+      flag: `EXTREME_PRICE_CHANGE_24H_${chg}%`,
+      weight: p.weight,
+      message: `24h price change ${chg}% exceeds ±${p.maxPct}% (pump/dump)`
+    };
+  }
+};
@@ -0,0 +1,14 @@
+// Base buy/sell simulation: effective tax taken when selling the token back.
+export default {
+  id: "sellTax",
+  phase: "market",
+  defaults: { warnPct: 3, warnWeight: 15, maxPct: 10, maxWeight: 50 },
+  evaluate(ctx, p) {
+    const pct = ctx.tax?.sellTaxPct;
+    if (pct == null || pct <= p.warnPct) return null;
+    if (pct > p.maxPct) {
+      return { flag: "HIGH_SELL_TAX", weight: p.maxWeight, message: `Simulated sell tax ${pct}% is above the max ${p.maxPct}%` };
+    }
+    return { flag: `SELL_TAX_${pct}PCT`, weight: p.warnWeight, message: `Simulated sell tax ${pct}%` };
+  }
+};
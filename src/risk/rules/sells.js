@@ -0,0 +1,15 @@
+// Buys but zero sells in 24h: possible honeypot/illiquid (not definitive).
+export default {
+  id: "sells",
+  phase: "market",
+  defaults: { weight: 30 },
+  evaluate(ctx, p) {
+    const snap = ctx.snap;
+    if (!snap || !(snap.buys24h > 0) || snap.sells24h !== 0) return null;
+    return {
+      flag: "NO_SELLS_24H (possible honeypot/illiquid)",
+      weight: p.weight,
+      message: `${snap.buys24h} buys and no sells in 24h — sells may be blocked`
+    };
+  }
+};
@@ -0,0 +1,11 @@
+// Only one market source returned data: nothing to cross-check against.
+export default {
+  id: "singleSource",
+  phase: "market",
+  defaults: { weight: 5 },
+  evaluate(ctx, p) {
+    const c = ctx.market?.consensus;
+    if (!ctx.snap || !c || c.sourcesOk !== 1) return null;
+    return { flag: "SINGLE_MARKET_SOURCE", weight: p.weight, message: `Market data from ${ctx.market.source} only (no cross-check)` };
+  }
+};
@@ -0,0 +1,14 @@
+export default {
+  id: "slippage",
+  phase: "market",
+  defaults: { weight: 15, maxBps: 200 },
+  evaluate(ctx, p) {
+    const bps = Number(ctx.input.slippageBps);
+    if (!(bps > p.maxBps)) return null;
+    return {
+      flag: "HIGH_SLIPPAGE_BPS",
+      weight: p.weight,
+      message: `Slippage ${bps} bps is above ${p.maxBps} bps (MEV/sandwich exposure)`
+    };
+  }
+};
@@ -0,0 +1,10 @@
+// No market snapshot from the Analyst: we are flying blind.
+export default {
+  id: "snapshot",
+  phase: "market",
+  defaults: { weight: 10 },
+  evaluate(ctx, p) {
+    if (ctx.snap) return null;
+    return { flag: "NO_MARKET_SNAPSHOT", weight: p.weight, message: "No market snapshot for the target token" };
+  }
+};
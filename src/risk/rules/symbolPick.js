@@ -0,0 +1,15 @@
+// A token symbol matched several same-symbol tokens and the user had to pick one.
+export default {
+  id: "symbolPick",
+  phase: "market",
+  defaults: { weight: 15 },
+  evaluate(ctx, p) {
+    const picked = Object.values(ctx.input?.symbolResolution || {}).filter((r) => r.ambiguous);
+    if (!picked.length) return null;
+    return {
+      flag: `AMBIGUOUS_SYMBOL_${picked.map((r) => r.symbol).join("_")}`,
+      weight: p.weight,
+      message: `Picked ${picked.map((r) => `${r.symbol}=${r.address}`).join(", ")} out of several same-symbol tokens`
+    };
+  }
+};
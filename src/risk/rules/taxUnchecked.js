@@ -0,0 +1,11 @@
+// The Base buy/sell simulation failed or could only run the buy.
+export default {
+  id: "taxUnchecked",
+  phase: "market",
+  defaults: { weight: 10 },
+  evaluate(ctx, p) {
+    const reason = ctx.taxError || (ctx.tax?.status === "partial" ? ctx.tax.error : null);
+    if (!reason) return null;
+    return { flag: "SELL_UNCHECKED", weight: p.weight, message: `Sell simulation incomplete: ${reason}` };
+  }
+};
@@ -0,0 +1,16 @@
+// Token-2022 transfer fee: taken on every transfer, including the sell.
+export default {
+  id: "transferFee",
+  phase: "market",
+  defaults: { weight: 20, maxBps: 500, maxWeight: 60 },
+  evaluate(ctx, p) {
+    const bps = ctx.mint?.transferFee?.bps;
+    if (!bps) return null;
+    const high = bps > p.maxBps;
+    return {
+      flag: `TRANSFER_FEE_${bps}BPS`,
+      weight: high ? p.maxWeight : p.weight,
+      message: `Token-2022 transfer fee ${(bps / 100).toFixed(2)}%${high ? ` (above max ${(p.maxBps / 100).toFixed(2)}%)` : ""}`
+    };
+  }
+};
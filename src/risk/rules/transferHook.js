@@ -0,0 +1,11 @@
+// Token-2022 transfer hook: a custom program runs on every transfer and can make sells fail.
+export default {
+  id: "transferHook",
+  phase: "market",
+  defaults: { weight: 25 },
+  evaluate(ctx, p) {
+    const programId = ctx.mint?.transferHook?.programId;
+    if (!programId) return null;
+    return { flag: "TRANSFER_HOOK", weight: p.weight, message: `Transfer hook program ${programId} runs on every transfer` };
+  }
+};
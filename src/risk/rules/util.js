@@ -0,0 +1,15 @@
+export function fmtAge(ms) {
+  if (ms == null) return "unknown";
+  const s = Math.floor(ms / 1000);
+  if (s < 60) return `${s}s`;
+  const m = Math.floor(s / 60);
+  if (m < 60) return `${m}m`;
+  const h = Math.floor(m / 60);
+  if (h < 48) return `${h}h`;
+  const d = Math.floor(h / 24);
+  return `${d}d`;
+}
+
+export function usd(n) {
+  return `$${Math.round(Number(n) || 0).toLocaleString("en-US")}`;
+}
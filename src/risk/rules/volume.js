@@ -0,0 +1,16 @@
+import { usd } from "./util.js";
+
+export default {
+  id: "volume",
+  phase: "market",
+  defaults: { weight: 20, minUsd: 5000 },
+  evaluate(ctx, p) {
+    const snap = ctx.snap;
+    if (!snap || snap.volume24hUsd >= p.minUsd) return null;
+    return {
+      flag: `LOW_VOLUME24H_$${Math.round(snap.volume24hUsd)}`,
+      weight: p.weight,
+      message: `24h volume ${usd(snap.volume24hUsd)} is below the minimum ${usd(p.minUsd)}`
+    };
+  }
+};
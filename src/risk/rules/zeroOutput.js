@@ -0,0 +1,9 @@
+export default {
+  id: "zeroOutput",
+  phase: "quote",
+  defaults: { weight: 100 },
+  evaluate(ctx, p) {
+    if (ctx.quote?.outAmount !== "0") return null;
+    return { flag: "ZERO_OUTPUT_QUOTE", weight: p.weight, message: "Quote returns zero output" };
+  }
+};
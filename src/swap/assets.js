@@ -0,0 +1,140 @@
+import { ASSET } from './constants.js';
+
+// Settlement assets the escrow program may lock on Solana. The program is token-agnostic, so any
+// SPL mint works on-chain; the registry decides which mints this node accepts in the protocol.
+//
+// Envelopes (offer lines, RFQ, QUOTE, TERMS) name the asset as `sol_asset: { asset, mint, decimals }`.
+// An envelope without `sol_asset` is a legacy USDT_SOL envelope and keeps its old pair/direction.
+//
+// Built-ins carry the mainnet mints. Other mints (devnet/test mints, extra allow-listed tokens) are
+// added at startup with register(): the same asset id may list several mints, but only with the
+// decimals it was first registered with.
+
+const ASSET_ID_RE = /^[A-Z0-9]{2,16}_SOL$/;
+
+const isBase58 = (value) => typeof value === 'string' && /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(value.trim());
+
+export const BUILTIN_SWAP_ASSETS = Object.freeze([
+  Object.freeze({
+    asset: ASSET.USDT_SOL,
+    symbol: 'USDT',
+    mint: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB',
+    decimals: 6,
+    price_pair: 'BTC_USDT',
+  }),
+  Object.freeze({
+    asset: ASSET.USDC_SOL,
+    symbol: 'USDC',
+    mint: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
+    decimals: 6,
+    price_pair: 'BTC_USDC',
+  }),
+]);
+
+export function isSwapAssetId(asset) {
+  return typeof asset === 'string' && ASSET_ID_RE.test(asset);
+}
+
+export function swapPairFor(asset) {
+  return `${ASSET.BTC_LN}/${asset}`;
+}
+
+// Both directions for an asset, taker view (`give->get`): [sell BTC, buy BTC].
+export function swapDirectionsFor(asset) {
+  return [`${ASSET.BTC_LN}->${asset}`, `${asset}->${ASSET.BTC_LN}`];
+}
+
+// Settlement asset named by an envelope body (legacy bodies settle USDT_SOL).
+export function settlementAsset(body) {
+  const a = body?.sol_asset?.asset;
+  return typeof a === 'string' && a ? a : ASSET.USDT_SOL;
+}
+
+export class SwapAssetRegistry {
+  constructor(entries = BUILTIN_SWAP_ASSETS) {
+    this._byAsset = new Map();
+    for (const e of entries) this.register(e);
+  }
+
+  // Adds an asset, or one more mint of an already known asset. Throws on bad input or a
+  // decimals mismatch (the same asset id must mean the same unit everywhere).
+  register({ asset, mint, decimals, symbol = null, price_pair = null } = {}) {
+    const id = String(asset || '').trim().toUpperCase();
+    if (!isSwapAssetId(id)) throw new Error(`swap asset id must look like SYMBOL_SOL (got ${asset})`);
+    const m = String(mint || '').trim();
+    if (!isBase58(m)) throw new Error(`${id}: mint must be base58`);
+    const d = Number(decimals);
+    if (!Number.isInteger(d) || d < 0 || d > 18) throw new Error(`${id}: decimals must be an integer 0..18`);
+
+    const cur = this._byAsset.get(id);
+    if (cur) {
+      if (cur.decimals !== d) throw new Error(`${id}: decimals ${d} != registered ${cur.decimals}`);
+      if (!cur.mints.includes(m)) cur.mints.push(m);
+      if (!cur.price_pair && price_pair) cur.price_pair = String(price_pair);
+      return this.get(id);
+    }
+    this._byAsset.set(id, {
+      asset: id,
+      symbol: symbol ? String(symbol) : id.slice(0, -'_SOL'.length),
+      decimals: d,
+      mints: [m],
+      price_pair: price_pair ? String(price_pair) : null,
+    });
+    return this.get(id);
+  }
+
+  has(asset) {
+    return this._byAsset.has(String(asset || ''));
+  }
+
+  // -> { asset, symbol, decimals, mints, price_pair } | null. mints[0] is the default mint.
+  get(asset) {
+    const e = this._byAsset.get(String(asset || ''));
+    return e ? { ...e, mints: [...e.mints] } : null;
+  }
+
+  list() {
+    return [...this._byAsset.keys()].map((k) => this.get(k));
+  }
+
+  // Registered asset owning `mint`, or null.
+  byMint(mint) {
+    const m = String(mint || '').trim();
+    for (const e of this._byAsset.values()) if (e.mints.includes(m)) return this.get(e.asset);
+    return null;
+  }
+
+  // Envelope ref for an asset: { asset, mint, decimals }. `mint` picks one of the registered
+  // mints (defaults to the first one).
+  ref(asset, { mint = null } = {}) {
+    const e = this._byAsset.get(String(asset || ''));
+    if (!e) throw new Error(`unknown swap asset ${asset}`);
+    const m = mint ? String(mint).trim() : e.mints[0];
+    if (!e.mints.includes(m)) throw new Error(`${e.asset}: mint ${m} is not allow-listed`);
+    return { asset: e.asset, mint: m, decimals: e.decimals };
+  }
+
+  // Validates a `sol_asset` ref against the registry -> { ok, error }.
+  checkRef(ref) {
+    if (!ref || typeof ref !== 'object' || Array.isArray(ref)) return { ok: false, error: 'must be an object' };
+    if (!isSwapAssetId(ref.asset)) return { ok: false, error: 'asset must look like SYMBOL_SOL' };
+    const e = this._byAsset.get(ref.asset);
+    if (!e) return { ok: false, error: `asset ${ref.asset} is not supported` };
+    if (!isBase58(ref.mint)) return { ok: false, error: 'mint must be base58' };
+    if (!e.mints.includes(ref.mint)) return { ok: false, error: `mint is not allow-listed for ${ref.asset}` };
+    if (ref.decimals !== e.decimals) return { ok: false, error: `decimals must be ${e.decimals} for ${ref.asset}` };
+    return { ok: true, error: null };
+  }
+}
+
+// Process-wide registry used by schema validation. Nodes add their configured mints at startup
+// (see registerConfiguredSwapAssets).
+export const swapAssets = new SwapAssetRegistry();
+
+// Adds the configured USDT mint (solana.usdt_mint) and the `solana.assets` allow-list
+// ([{ asset, mint, decimals, price_pair? }]) to a registry.
+export function registerConfiguredSwapAssets({ usdtMint = null, assets = [] } = {}, registry = swapAssets) {
+  if (usdtMint) registry.register({ asset: ASSET.USDT_SOL, mint: usdtMint, decimals: 6 });
+  for (const a of Array.isArray(assets) ? assets : []) registry.register(a);
+  return registry;
+}
@@ -3,12 +3,24 @@ export const SWAP_PROTOCOL_VERSION = 1;
 export const ASSET = Object.freeze({
   BTC_LN: 'BTC_LN',
   USDT_SOL: 'USDT_SOL',
+  USDC_SOL: 'USDC_SOL',
 });
 
+// Settlement assets other than USDT_SOL come from the registry in ./assets.js
+// (pair `BTC_LN/<asset>`, directions `BTC_LN-><asset>` / `<asset>->BTC_LN`).
 export const PAIR = Object.freeze({
   BTC_LN__USDT_SOL: 'BTC_LN/USDT_SOL',
+  BTC_LN__USDC_SOL: 'BTC_LN/USDC_SOL',
 });
 
+// Direction is the asset flow seen from the taker (RFQ author): `give->get`.
+export const DIRECTION = Object.freeze({
+  BTC_LN__USDT_SOL: `${ASSET.BTC_LN}->${ASSET.USDT_SOL}`,
+  USDT_SOL__BTC_LN: `${ASSET.USDT_SOL}->${ASSET.BTC_LN}`,
+});
+
+export const SWAP_DIRECTIONS = Object.freeze(Object.values(DIRECTION));
+
 export const KIND = Object.freeze({
   SVC_ANNOUNCE: 'swap.svc_announce',
   RFQ: 'swap.rfq',
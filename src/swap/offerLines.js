@@ -0,0 +1,121 @@
+import { settlementAsset, swapAssets } from './assets.js';
+
+// Offer lines (swap.svc_announce offers[]) come in two shapes:
+// - fixed: fills exactly one RFQ with the same btc_sats + usdt_amount (one trade per line)
+// - range: has min_btc_sats and/or max_btc_sats. btc_sats is then the line capacity and usdt_amount
+//   the token budget; any RFQ sized within [min, max] at or better than the line price fills part of
+//   it, and the line retires once what is left cannot take another min-sized fill.
+//
+// The line price is the most the maker pays per BTC, in atomic units of the settlement token:
+// - price_usdt_per_btc: fixed (decimal string, e.g. '65000000000' = 65,000 USDT)
+// - oracle_spread_bps: oracle median for the asset's price pair, moved by the spread (-50 = 0.5% below)
+// - neither: the implied usdt_amount / btc_sats of the line itself
+
+const SATS_PER_BTC = 100_000_000n;
+export const ORACLE_SPREAD_BPS_MAX = 5000;
+
+const isSet = (v) => v !== undefined && v !== null;
+const isPosInt = (v) => Number.isInteger(v) && v > 0;
+const isAmountString = (v) => typeof v === 'string' && /^[0-9]+$/.test(v.trim());
+
+export function isRangeOfferLine(line) {
+  return isSet(line?.min_btc_sats) || isSet(line?.max_btc_sats);
+}
+
+// Shape checks for the range/price fields -> { ok, error }. Fixed lines pass untouched.
+export function validateOfferLineTerms(line) {
+  if (isSet(line.price_usdt_per_btc) && isSet(line.oracle_spread_bps)) {
+    return { ok: false, error: 'price_usdt_per_btc and oracle_spread_bps are exclusive' };
+  }
+  if (isSet(line.price_usdt_per_btc) && !(isAmountString(line.price_usdt_per_btc) && BigInt(line.price_usdt_per_btc) > 0n)) {
+    return { ok: false, error: 'price_usdt_per_btc must be a positive decimal string' };
+  }
+  if (isSet(line.oracle_spread_bps)) {
+    const s = line.oracle_spread_bps;
+    if (!Number.isInteger(s) || Math.abs(s) > ORACLE_SPREAD_BPS_MAX) {
+      return { ok: false, error: `oracle_spread_bps must be an integer within +-${ORACLE_SPREAD_BPS_MAX}` };
+    }
+  }
+  if (!isRangeOfferLine(line)) {
+    if (isSet(line.price_usdt_per_btc) || isSet(line.oracle_spread_bps)) {
+      return { ok: false, error: 'a priced line needs min_btc_sats or max_btc_sats' };
+    }
+    return { ok: true, error: null };
+  }
+  if (isSet(line.min_btc_sats) && !isPosInt(line.min_btc_sats)) return { ok: false, error: 'min_btc_sats must be a positive integer' };
+  if (isSet(line.max_btc_sats) && !isPosInt(line.max_btc_sats)) return { ok: false, error: 'max_btc_sats must be a positive integer' };
+  const min = line.min_btc_sats ?? 1;
+  const max = line.max_btc_sats ?? line.btc_sats;
+  if (min > max) return { ok: false, error: 'min_btc_sats must be <= max_btc_sats' };
+  if (isPosInt(line.btc_sats) && max > line.btc_sats) return { ok: false, error: 'max_btc_sats must be <= btc_sats' };
+  return { ok: true, error: null };
+}
+
+// Oracle pair quoting the line's settlement asset (BTC_USDT, BTC_USDC, ...), or null.
+export function offerLinePricePair(line) {
+  return swapAssets.get(settlementAsset(line))?.price_pair || null;
+}
+
+// Most the maker pays per BTC (atomic token units), or null when the line needs an oracle price
+// that is not available.
+export function offerLinePriceLimit(line, { oraclePrice = null } = {}) {
+  if (isSet(line.price_usdt_per_btc)) return BigInt(line.price_usdt_per_btc);
+  if (isSet(line.oracle_spread_bps)) {
+    const px = Number(oraclePrice);
+    if (!Number.isFinite(px) || px <= 0) return null;
+    const decimals = Number.isInteger(line.sol_asset?.decimals) ? line.sol_asset.decimals : 6;
+    const atomic = BigInt(Math.round(px * 10 ** decimals));
+    return (atomic * BigInt(10_000 + line.oracle_spread_bps)) / 10_000n;
+  }
+  return (BigInt(line.usdt_amount) * SATS_PER_BTC) / BigInt(line.btc_sats);
+}
+
+// What is left of a range line after its fills ([{ btc_sats, usdt_amount }]).
+export function offerLineRemaining(line, fills = []) {
+  let sats = BigInt(line.btc_sats);
+  let atomic = BigInt(line.usdt_amount);
+  for (const f of fills) {
+    sats -= BigInt(f?.btc_sats || 0);
+    atomic -= BigInt(String(f?.usdt_amount || '0'));
+  }
+  if (sats < 0n) sats = 0n;
+  if (atomic < 0n) atomic = 0n;
+  const min = BigInt(line.min_btc_sats ?? 1);
+  return { btc_sats: Number(sats), usdt_amount: atomic.toString(), depleted: sats < min || atomic === 0n };
+}
+
+// Can a range line still take a fill of `want` ({ btc_sats, usdt_amount })? fills carry the
+// listing lock state (in_flight | filled) -> { ok, error, remaining }. The error tells a line used
+// up by settled trades (listing_filled) from one held by trades still in flight (listing_in_progress).
+export function checkOfferLineCapacity(line, fills, want) {
+  const fits = (r) => Number(want.btc_sats) <= r.btc_sats && BigInt(String(want.usdt_amount)) <= BigInt(r.usdt_amount);
+  const remaining = offerLineRemaining(line, fills);
+  if (fits(remaining)) return { ok: true, error: null, remaining };
+  const settled = offerLineRemaining(line, fills.filter((f) => f?.state === 'filled'));
+  return { ok: false, error: fits(settled) ? 'listing_in_progress' : 'listing_filled', remaining };
+}
+
+// Does an RFQ fit an offer line (size and price)? -> { ok, error }. Capacity left on a range
+// line is checked separately (checkOfferLineCapacity), against the maker's listing locks.
+export function matchRfqToOfferLine({ rfqBody, line, oraclePrice = null }) {
+  const btc = Number(rfqBody?.btc_sats);
+  const usdt = String(rfqBody?.usdt_amount || '').trim();
+  if (!isPosInt(btc) || !isAmountString(usdt)) return { ok: false, error: 'rfq amounts invalid' };
+  if (settlementAsset(line) !== settlementAsset(rfqBody)) return { ok: false, error: 'asset mismatch' };
+
+  if (!isRangeOfferLine(line)) {
+    if (Number(line.btc_sats) !== btc || String(line.usdt_amount || '').trim() !== usdt) {
+      return { ok: false, error: 'amount mismatch' };
+    }
+    return { ok: true, error: null };
+  }
+
+  const min = line.min_btc_sats ?? 1;
+  const max = Math.min(line.max_btc_sats ?? line.btc_sats, line.btc_sats);
+  if (btc < min || btc > max) return { ok: false, error: `btc_sats outside line range ${min}..${max}` };
+  const limit = offerLinePriceLimit(line, { oraclePrice });
+  if (limit === null) return { ok: false, error: 'oracle price unavailable' };
+  // usdt / btc * 1e8 <= limit, without rounding.
+  if (BigInt(usdt) * SATS_PER_BTC > limit * BigInt(btc)) return { ok: false, error: 'price above line limit' };
+  return { ok: true, error: null };
+}
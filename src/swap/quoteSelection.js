@@ -0,0 +1,147 @@
+import { settlementAsset } from './assets.js';
+import { DIRECTION } from './constants.js';
+import { swapRoles } from './roles.js';
+
+// Taker-side best execution: rank the QUOTEs received for one RFQ.
+//
+// Every quote is first checked against the RFQ (size, direction, asset, fee caps, refund window,
+// and the RFQ amount as a floor/ceiling). The rest are scored in bps, higher is better:
+// - price: the effective token amount per BTC for the taker, relative to the best quote (<= 0).
+//   A taker that receives the token gets usdt_amount (the depositing maker pays the fees on top);
+//   a taker that deposits pays usdt_amount plus platform + trade fees.
+// - refund window: a taker that claims the escrow wants time to claim (longer is better); a taker
+//   that deposits wants its funds back sooner if the maker stalls (shorter is better).
+// - maker reputation: settled vs refunded/canceled trades with this maker in local receipts.
+
+export const DEFAULT_QUOTE_SCORING = Object.freeze({
+  refund_bps_per_hour: 0.1,
+  reputation_bps: 25,
+});
+
+const SATS_PER_BTC = 100_000_000n;
+
+const isSet = (v) => v !== undefined && v !== null;
+const toInt = (v, fallback = 0) => (isSet(v) && v !== '' && Number.isInteger(Number(v)) ? Number(v) : fallback);
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function quoteDirection(body) {
+  return String(body?.direction || DIRECTION.BTC_LN__USDT_SOL);
+}
+
+// Does the taker deposit the token for this quote (USDT_SOL->BTC_LN style)?
+function takerDeposits(body) {
+  return swapRoles(quoteDirection(body))?.ln_receiver === 'taker';
+}
+
+// Laplace-smoothed share of settled trades -> 0..1 (0.5 for a maker we never traded with).
+export function makerReputation(stats) {
+  const ok = Math.max(0, toInt(stats?.completed));
+  const bad = Math.max(0, toInt(stats?.failed));
+  return (ok + 1) / (ok + bad + 2);
+}
+
+// Token amount (atomic) the taker receives, or pays including fees, for a quote body.
+export function quoteTakerAmount(body) {
+  const net = BigInt(String(body?.usdt_amount || '0'));
+  if (!takerDeposits(body)) return net;
+  const feeBps = BigInt(toInt(body?.platform_fee_bps) + toInt(body?.trade_fee_bps));
+  return (net * (10_000n + feeBps) + 9_999n) / 10_000n;
+}
+
+// Quote vs RFQ terms -> { ok, error }. rfqBody may be null (quote-only checks).
+export function checkQuoteAgainstRfq({ rfqBody = null, quoteBody, nowSec = Math.floor(Date.now() / 1000) }) {
+  const validUntil = toInt(quoteBody?.valid_until_unix, null);
+  if (validUntil !== null && validUntil <= nowSec) return { ok: false, error: 'quote expired' };
+  if (!/^[0-9]+$/.test(String(quoteBody?.usdt_amount || '')) || BigInt(quoteBody.usdt_amount) === 0n) {
+    return { ok: false, error: 'quote amount invalid' };
+  }
+  if (!(toInt(quoteBody?.btc_sats) > 0)) return { ok: false, error: 'quote btc_sats invalid' };
+  if (!rfqBody) return { ok: true, error: null };
+
+  if (toInt(quoteBody.btc_sats) !== toInt(rfqBody.btc_sats)) return { ok: false, error: 'btc_sats mismatch' };
+  if (quoteDirection(quoteBody) !== quoteDirection(rfqBody)) return { ok: false, error: 'direction mismatch' };
+  if (settlementAsset(quoteBody) !== settlementAsset(rfqBody)) return { ok: false, error: 'asset mismatch' };
+
+  const platformBps = toInt(quoteBody.platform_fee_bps);
+  const tradeBps = toInt(quoteBody.trade_fee_bps);
+  if (isSet(rfqBody.max_platform_fee_bps) && platformBps > toInt(rfqBody.max_platform_fee_bps)) {
+    return { ok: false, error: 'platform fee above RFQ cap' };
+  }
+  if (isSet(rfqBody.max_trade_fee_bps) && tradeBps > toInt(rfqBody.max_trade_fee_bps)) {
+    return { ok: false, error: 'trade fee above RFQ cap' };
+  }
+  if (isSet(rfqBody.max_total_fee_bps) && platformBps + tradeBps > toInt(rfqBody.max_total_fee_bps)) {
+    return { ok: false, error: 'total fee above RFQ cap' };
+  }
+
+  const window = toInt(quoteBody.sol_refund_window_sec, null);
+  if (window !== null) {
+    if (isSet(rfqBody.min_sol_refund_window_sec) && window < toInt(rfqBody.min_sol_refund_window_sec)) {
+      return { ok: false, error: 'refund window below RFQ minimum' };
+    }
+    if (isSet(rfqBody.max_sol_refund_window_sec) && window > toInt(rfqBody.max_sol_refund_window_sec)) {
+      return { ok: false, error: 'refund window above RFQ maximum' };
+    }
+  }
+
+  // A non-zero RFQ amount is the taker's limit: a floor when receiving, a ceiling when paying.
+  const asked = BigInt(/^[0-9]+$/.test(String(rfqBody.usdt_amount || '')) ? rfqBody.usdt_amount : '0');
+  if (asked > 0n) {
+    const offered = BigInt(quoteBody.usdt_amount);
+    if (takerDeposits(quoteBody) ? offered > asked : offered < asked) return { ok: false, error: 'price worse than RFQ' };
+  }
+  return { ok: true, error: null };
+}
+
+// quotes: [{ quote_id, signer, body }]; makerStats: Map signer -> { completed, failed }.
+// -> { ranked: [{ quote_id, signer, usdt_amount, taker_amount, price_bps, refund_bps, reputation_bps,
+//      score_bps }] (best first), rejected: [{ quote_id, signer, reason }] }
+export function rankQuotes({
+  rfqBody = null,
+  quotes = [],
+  makerStats = new Map(),
+  scoring = DEFAULT_QUOTE_SCORING,
+  nowSec = Math.floor(Date.now() / 1000),
+}) {
+  const weights = { ...DEFAULT_QUOTE_SCORING, ...(scoring || {}) };
+  const rejected = [];
+  const valid = [];
+  const seen = new Set();
+  for (const q of quotes) {
+    if (!q || seen.has(q.quote_id)) continue;
+    seen.add(q.quote_id);
+    const check = checkQuoteAgainstRfq({ rfqBody, quoteBody: q.body, nowSec });
+    if (!check.ok) {
+      rejected.push({ quote_id: q.quote_id, signer: q.signer, reason: check.error });
+      continue;
+    }
+    const pays = takerDeposits(q.body);
+    const takerAmount = quoteTakerAmount(q.body);
+    valid.push({ q, pays, takerAmount, perBtc: (takerAmount * SATS_PER_BTC) / BigInt(toInt(q.body.btc_sats)) });
+  }
+  if (valid.length === 0) return { ranked: [], rejected };
+
+  const best = valid.reduce((acc, v) => ((v.pays ? v.perBtc < acc : v.perBtc > acc) ? v.perBtc : acc), valid[0].perBtc);
+  const ranked = valid.map((v, i) => {
+    const gap = v.perBtc > best ? v.perBtc - best : best - v.perBtc;
+    const priceBps = gap > 0n && best > 0n ? -Number((gap * 1_000_000n) / best) / 100 : 0;
+    const hours = toInt(v.q.body.sol_refund_window_sec) / 3600;
+    const refundBps = (v.pays ? -hours : hours) * weights.refund_bps_per_hour;
+    const reputation = makerReputation(makerStats.get(v.q.signer));
+    const reputationBps = (reputation - 0.5) * 2 * weights.reputation_bps;
+    return {
+      quote_id: v.q.quote_id,
+      signer: v.q.signer,
+      usdt_amount: String(v.q.body.usdt_amount),
+      taker_amount: v.takerAmount.toString(),
+      price_bps: round2(priceBps),
+      refund_bps: round2(refundBps),
+      reputation_bps: round2(reputationBps),
+      score_bps: round2(priceBps + refundBps + reputationBps),
+      _order: i,
+    };
+  });
+  ranked.sort((a, b) => b.score_bps - a.score_bps || a._order - b._order);
+  for (const r of ranked) delete r._order;
+  return { ranked, rejected };
+}
@@ -0,0 +1,29 @@
+import { ASSET } from './constants.js';
+import { isSwapAssetId } from './assets.js';
+
+// The hashlock fixes the protocol roles: the LN receiver creates the invoice and locks (and may
+// refund) the Solana escrow; the LN payer pays the invoice and claims the escrow with the preimage.
+// The direction only decides which side plays which role. TERMS are always authored by the maker
+// and ACCEPTed by the taker:
+//   BTC_LN-><asset>: maker = LN receiver / token depositor, taker = LN payer / token claimant
+//   <asset>->BTC_LN: taker = LN receiver / token depositor, maker = LN payer / token claimant
+// (<asset> is a settlement asset id such as USDT_SOL or USDC_SOL.)
+//
+// Returns null for an unsupported direction, else the role of each side plus the terms fields
+// holding each side's LN peer and Solana address.
+export function swapRoles(direction) {
+  const [give, get, extra] = String(direction || '').split('->');
+  if (extra !== undefined) return null;
+  const reverse = get === ASSET.BTC_LN && isSwapAssetId(give);
+  if (!reverse && !(give === ASSET.BTC_LN && isSwapAssetId(get))) return null;
+  return Object.freeze({
+    direction,
+    asset: reverse ? give : get,
+    ln_receiver: reverse ? 'taker' : 'maker',
+    ln_payer: reverse ? 'maker' : 'taker',
+    maker_peer_field: reverse ? 'ln_payer_peer' : 'ln_receiver_peer',
+    taker_peer_field: reverse ? 'ln_receiver_peer' : 'ln_payer_peer',
+    maker_sol_field: reverse ? 'sol_recipient' : 'sol_refund',
+    taker_sol_field: reverse ? 'sol_refund' : 'sol_recipient',
+  });
+}
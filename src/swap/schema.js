@@ -1,4 +1,6 @@
-import { ASSET, KIND, PAIR, STATE, SWAP_PROTOCOL_VERSION } from './constants.js';
+import { ASSET, KIND, STATE, SWAP_PROTOCOL_VERSION } from './constants.js';
+import { settlementAsset, swapAssets, swapDirectionsFor, swapPairFor } from './assets.js';
+import { validateOfferLineTerms } from './offerLines.js';
 
 const isObject = (v) => v && typeof v === 'object' && !Array.isArray(v);
 
@@ -30,6 +32,50 @@ const isAmountString = (value) => {
   return /^[0-9]+$/.test(s) && s.length > 0;
 };
 
+// Pair / direction / sol_asset checks shared by RFQ, QUOTE and TERMS.
+// A body without sol_asset is a legacy USDT_SOL body: its sol_mint (when present) must be a registered
+// USDT_SOL mint. With sol_asset, the ref must be allow-listed in the asset registry and agree with the
+// sol_mint / usdt_decimals the body carries.
+// `usdt_amount` keeps its name on the wire: it is the settlement token amount in atomic units.
+function validateSettlement(label, body) {
+  const hasRef = body.sol_asset !== undefined && body.sol_asset !== null;
+  if (hasRef) {
+    const r = swapAssets.checkRef(body.sol_asset);
+    if (!r.ok) return { ok: false, error: `${label}.sol_asset ${r.error}` };
+  }
+  const asset = settlementAsset(body);
+  if (body.pair !== swapPairFor(asset)) return { ok: false, error: `${label}.pair unsupported` };
+  if (!swapDirectionsFor(asset).includes(body.direction)) {
+    return { ok: false, error: `${label}.direction unsupported` };
+  }
+  if (hasRef && body.sol_mint !== undefined && body.sol_mint !== null && body.sol_mint !== body.sol_asset.mint) {
+    return { ok: false, error: `${label}.sol_mint must match sol_asset.mint` };
+  }
+  if (!hasRef && body.sol_mint !== undefined && body.sol_mint !== null && swapAssets.byMint(body.sol_mint)?.asset !== ASSET.USDT_SOL) {
+    return { ok: false, error: `${label}.sol_mint is not a registered ${ASSET.USDT_SOL} mint` };
+  }
+  if (hasRef && body.usdt_decimals !== undefined && body.usdt_decimals !== body.sol_asset.decimals) {
+    return { ok: false, error: `${label}.usdt_decimals must match sol_asset.decimals` };
+  }
+  return { ok: true, error: null };
+}
+
+// Optional oracle reference a maker priced from (src/price/pricing.js), kept for later P&L.
+function validatePriceRef(label, body) {
+  if (body.price_ref === undefined || body.price_ref === null) return { ok: true, error: null };
+  const ref = body.price_ref;
+  if (!isObject(ref)) return { ok: false, error: `${label}.price_ref must be an object` };
+  if (typeof ref.pair !== 'string' || !/^[A-Z0-9]{2,16}_[A-Z0-9]{2,16}$/.test(ref.pair)) {
+    return { ok: false, error: `${label}.price_ref.pair invalid` };
+  }
+  if (typeof ref.median !== 'string' || !/^[0-9]+(\.[0-9]+)?$/.test(ref.median) || !(Number(ref.median) > 0)) {
+    return { ok: false, error: `${label}.price_ref.median must be a positive decimal string` };
+  }
+  if (!isPosInt(ref.ts)) return { ok: false, error: `${label}.price_ref.ts must be a unix ms integer` };
+  if (!isUint(ref.spread_bps)) return { ok: false, error: `${label}.price_ref.spread_bps must be an integer >= 0` };
+  return { ok: true, error: null };
+}
+
 export function validateSwapEnvelopeShape(envelope) {
   if (!isObject(envelope)) return { ok: false, error: 'Envelope must be an object' };
   if (!isUint(envelope.v)) return { ok: false, error: 'Envelope.v must be an integer >= 0' };
@@ -85,6 +131,12 @@ export function validateSwapBody(kind, body) {
           if (offer.pair !== undefined && offer.pair !== null && typeof offer.pair !== 'string') {
             return { ok: false, error: 'svc_announce.offers.pair must be a string' };
           }
+          if (offer.sol_asset !== undefined && offer.sol_asset !== null) {
+            const r = swapAssets.checkRef(offer.sol_asset);
+            if (!r.ok) return { ok: false, error: `svc_announce.offers.sol_asset ${r.error}` };
+          }
+          const lineTerms = validateOfferLineTerms(offer);
+          if (!lineTerms.ok) return { ok: false, error: `svc_announce.offers ${lineTerms.error}` };
         }
       }
       if (body.valid_until_unix !== undefined && body.valid_until_unix !== null) {
@@ -96,10 +148,8 @@ export function validateSwapBody(kind, body) {
     }
 
     case KIND.RFQ: {
-      if (body.pair !== PAIR.BTC_LN__USDT_SOL) return { ok: false, error: 'rfq.pair unsupported' };
-      if (body.direction !== `${ASSET.BTC_LN}->${ASSET.USDT_SOL}`) {
-        return { ok: false, error: 'rfq.direction unsupported' };
-      }
+      const settlement = validateSettlement('rfq', body);
+      if (!settlement.ok) return settlement;
       if (!isHex(body.app_hash, 32)) return { ok: false, error: 'rfq.app_hash must be 32-byte hex' };
       if (!isPosInt(body.btc_sats)) return { ok: false, error: 'rfq.btc_sats must be a positive integer' };
       if (!isAmountString(body.usdt_amount)) return { ok: false, error: 'rfq.usdt_amount must be a decimal string' };
@@ -167,6 +217,10 @@ export function validateSwapBody(kind, body) {
       if (body.sol_recipient !== undefined && body.sol_recipient !== null) {
         if (!isBase58(body.sol_recipient)) return { ok: false, error: 'rfq.sol_recipient must be base58' };
       }
+      // USDT_SOL->BTC_LN: the taker locks the escrow, so it names where a refund goes.
+      if (body.sol_refund !== undefined && body.sol_refund !== null) {
+        if (!isBase58(body.sol_refund)) return { ok: false, error: 'rfq.sol_refund must be base58' };
+      }
       if (body.valid_until_unix !== undefined && !isPosInt(body.valid_until_unix)) {
         return { ok: false, error: 'rfq.valid_until_unix must be a unix seconds integer' };
       }
@@ -175,10 +229,10 @@ export function validateSwapBody(kind, body) {
 
     case KIND.QUOTE: {
       if (!isHex(body.rfq_id, 32)) return { ok: false, error: 'quote.rfq_id must be 32-byte hex' };
-      if (body.pair !== PAIR.BTC_LN__USDT_SOL) return { ok: false, error: 'quote.pair unsupported' };
-      if (body.direction !== `${ASSET.BTC_LN}->${ASSET.USDT_SOL}`) {
-        return { ok: false, error: 'quote.direction unsupported' };
-      }
+      const settlement = validateSettlement('quote', body);
+      if (!settlement.ok) return settlement;
+      const priceRef = validatePriceRef('quote', body);
+      if (!priceRef.ok) return priceRef;
       if (!isHex(body.app_hash, 32)) return { ok: false, error: 'quote.app_hash must be 32-byte hex' };
       if (!isAmountString(body.usdt_amount)) return { ok: false, error: 'quote.usdt_amount must be a decimal string' };
       if (!isPosInt(body.btc_sats)) return { ok: false, error: 'quote.btc_sats must be a positive integer' };
@@ -297,10 +351,10 @@ export function validateSwapBody(kind, body) {
     }
 
     case KIND.TERMS: {
-      if (body.pair !== PAIR.BTC_LN__USDT_SOL) return { ok: false, error: 'terms.pair unsupported' };
-      if (body.direction !== `${ASSET.BTC_LN}->${ASSET.USDT_SOL}`) {
-        return { ok: false, error: 'terms.direction unsupported' };
-      }
+      const settlement = validateSettlement('terms', body);
+      if (!settlement.ok) return settlement;
+      const priceRef = validatePriceRef('terms', body);
+      if (!priceRef.ok) return priceRef;
       if (!isHex(body.app_hash, 32)) return { ok: false, error: 'terms.app_hash must be 32-byte hex' };
       if (!isPosInt(body.btc_sats)) return { ok: false, error: 'terms.btc_sats must be a positive integer' };
       if (!isAmountString(body.usdt_amount)) return { ok: false, error: 'terms.usdt_amount must be a decimal string' };
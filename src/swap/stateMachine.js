@@ -1,5 +1,6 @@
 import { KIND, STATE } from './constants.js';
 import { hashUnsignedEnvelope } from './hash.js';
+import { swapRoles } from './roles.js';
 import { validateSwapEnvelope } from './schema.js';
 import { verifySignedEnvelope } from '../protocol/signedMessage.js';
 
@@ -36,6 +37,14 @@ export function createInitialTrade(tradeId) {
   };
 }
 
+// Terms peer of the maker / taker. Invoice, escrow and refund always come from ln_receiver_peer and
+// payment and claim from ln_payer_peer; terms.direction decides which of them is the maker.
+function termsPeer(terms, side) {
+  const roles = swapRoles(terms?.direction);
+  if (!roles) return null;
+  return terms[side === 'maker' ? roles.maker_peer_field : roles.taker_peer_field];
+}
+
 function requireSigner(envelope, expectedSignerHex, label) {
   const signer = String(envelope?.signer || '').trim().toLowerCase();
   const exp = String(expectedSignerHex || '').trim().toLowerCase();
@@ -64,15 +73,16 @@ export function applySwapEnvelope(trade, envelope) {
 
   switch (envelope.kind) {
     case KIND.TERMS: {
-      // Terms must be authored by the LN receiver (the USDT depositor side in this swap orientation).
-      const rs = requireSigner(envelope, envelope.body.ln_receiver_peer, 'terms');
+      // Terms must be authored by the maker: the LN receiver (USDT depositor) for BTC_LN->USDT_SOL,
+      // the LN payer (USDT claimant) for USDT_SOL->BTC_LN.
+      const rs = requireSigner(envelope, termsPeer(envelope.body, 'maker'), 'terms');
       if (!rs.ok) return { ok: false, error: rs.error, trade: null };
 
       const incomingTermsHash = hashUnsignedEnvelope(stripSignature(envelope));
 
-      // Allow terms updates only before ACCEPT, and only from the same receiver peer.
+      // Allow terms updates only before ACCEPT, and only from the same maker peer.
       if (next.terms) {
-        const lock = requireSigner(envelope, next.terms.ln_receiver_peer, 'terms');
+        const lock = requireSigner(envelope, termsPeer(next.terms, 'maker'), 'terms');
         if (!lock.ok) return { ok: false, error: lock.error, trade: null };
       }
 
@@ -108,7 +118,7 @@ export function applySwapEnvelope(trade, envelope) {
         if (next.state === STATE.CANCELED) {
           return { ok: false, error: `ACCEPT not allowed in state=${next.state}`, trade: null };
         }
-        const rs = requireSigner(envelope, next.terms.ln_payer_peer, 'accept');
+        const rs = requireSigner(envelope, termsPeer(next.terms, 'taker'), 'accept');
         if (!rs.ok) return { ok: false, error: rs.error, trade: null };
         if (normalizeHex(envelope.body.terms_hash) !== normalizeHex(next.terms_hash)) {
           return { ok: false, error: 'ACCEPT terms_hash mismatch', trade: null };
@@ -127,7 +137,7 @@ export function applySwapEnvelope(trade, envelope) {
         }
       }
 
-      const rs = requireSigner(envelope, next.terms.ln_payer_peer, 'accept');
+      const rs = requireSigner(envelope, termsPeer(next.terms, 'taker'), 'accept');
       if (!rs.ok) return { ok: false, error: rs.error, trade: null };
       if (normalizeHex(envelope.body.terms_hash) !== normalizeHex(next.terms_hash)) {
         return { ok: false, error: 'ACCEPT terms_hash mismatch', trade: null };
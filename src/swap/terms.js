@@ -1,5 +1,6 @@
 import { KIND } from './constants.js';
 import { hashUnsignedEnvelope } from './hash.js';
+import { settlementAsset } from './assets.js';
 
 function stripSignature(envelope) {
   const { sig: _sig, signer: _signer, ...unsigned } = envelope || {};
@@ -17,3 +18,27 @@ export function acceptBodyForTerms(termsEnvelope) {
   return { terms_hash: hashTermsEnvelope(termsEnvelope) };
 }
 
+
+// Taker-side binding of a maker's QUOTE or TERMS body to the taker's own RFQ body. The RFQ fixes
+// the direction (which side pays LN and which side deposits), the size and the settlement asset
+// and mint; a maker must not be able to change any of them. -> { ok, error }
+export function checkBodyAgainstRfq(rfqBody, body, { label = 'terms' } = {}) {
+  if (!rfqBody || typeof rfqBody !== 'object') return { ok: false, error: 'rfq body is required' };
+  if (!body || typeof body !== 'object') return { ok: false, error: `${label} body is required` };
+  if (String(body.direction || '') !== String(rfqBody.direction || '')) {
+    return { ok: false, error: `${label}.direction ${body.direction} does not match RFQ direction ${rfqBody.direction}` };
+  }
+  if (Number(body.btc_sats) !== Number(rfqBody.btc_sats)) {
+    return { ok: false, error: `${label}.btc_sats ${body.btc_sats} does not match RFQ btc_sats ${rfqBody.btc_sats}` };
+  }
+  if (settlementAsset(body) !== settlementAsset(rfqBody)) {
+    return { ok: false, error: `${label} asset ${settlementAsset(body)} does not match RFQ asset ${settlementAsset(rfqBody)}` };
+  }
+  const rfqMint = rfqBody.sol_asset?.mint || rfqBody.sol_mint || null;
+  for (const mint of [body.sol_asset?.mint, body.sol_mint]) {
+    if (rfqMint && mint && String(mint) !== String(rfqMint)) {
+      return { ok: false, error: `${label}.sol_mint ${mint} does not match RFQ mint ${rfqMint}` };
+    }
+  }
+  return { ok: true, error: null };
+}
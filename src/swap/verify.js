@@ -1,5 +1,6 @@
 import { verifyBolt11MatchesInvoiceBody } from '../ln/bolt11.js';
 import { verifyLnUsdtEscrowOnchain } from '../solana/verifyLnUsdtEscrow.js';
+import { swapRoles } from './roles.js';
 
 const normalizeHex = (value) => String(value || '').trim().toLowerCase();
 
@@ -46,11 +47,21 @@ export function verifyEscrowAgainstTerms({ terms, escrowBody }) {
 
 // Payer-side checks before paying the LN invoice.
 // This is intentionally conservative: if any mismatch is detected, the safe action is "do not pay".
-export function verifySwapPrePay({ terms, invoiceBody, escrowBody, now_unix = null }) {
+// role (optional, 'maker' | 'taker'): the local side; refuses to pay when terms.direction makes the
+// other side the LN payer (maker for USDT_SOL->BTC_LN, taker for BTC_LN->USDT_SOL).
+export function verifySwapPrePay({ terms, invoiceBody, escrowBody, now_unix = null, role = null }) {
   if (!terms || typeof terms !== 'object') return { ok: false, error: 'terms is required' };
   if (!invoiceBody || typeof invoiceBody !== 'object') return { ok: false, error: 'invoiceBody is required' };
   if (!escrowBody || typeof escrowBody !== 'object') return { ok: false, error: 'escrowBody is required' };
 
+  if ((terms.direction !== undefined && terms.direction !== null) || role) {
+    const roles = swapRoles(terms.direction);
+    if (!roles) return { ok: false, error: 'terms.direction unsupported' };
+    if (role && role !== roles.ln_payer) {
+      return { ok: false, error: `${role} does not pay the LN invoice for ${roles.direction}` };
+    }
+  }
+
   const inv = verifyInvoiceBody({ invoiceBody });
   if (!inv.ok) return { ok: false, error: `invoice invalid: ${inv.error}`, decoded_invoice: inv.decoded };
 
@@ -110,8 +121,9 @@ export async function verifySwapPrePayOnchain({
   connection,
   commitment = 'confirmed',
   now_unix = null,
+  role = null,
 } = {}) {
-  const base = verifySwapPrePay({ terms, invoiceBody, escrowBody, now_unix });
+  const base = verifySwapPrePay({ terms, invoiceBody, escrowBody, now_unix, role });
   if (!base.ok) return base;
 
   const onchain = await verifyLnUsdtEscrowOnchain({ connection, escrowBody, commitment });
@@ -0,0 +1,163 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createAgentConversations, answerPending, planToSwapRequest } from '../src/agents/conversation.js';
+import { parseIntent } from '../src/agents/agentScout.js';
+import { quietly, info } from '../src/core/logger.js';
+
+// regex Scout only (no Groq calls from tests)
+delete process.env.GROQ_API_KEY;
+
+const USDC = 'EPjFWJd5Wf8Y3xXXvmqj2Lm8t8mYb2A5pWwZ3Y8kR6uQ';
+const BONK = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+
+// stands in for runPipeline(input, { dryRun: true })
+function fakePipeline({ ambiguous = null, blocked = false } = {}) {
+  const calls = [];
+  const run = async (input) => {
+    calls.push(input);
+    if (blocked) throw Object.assign(new Error('RiskGate BLOCKED swap: score=90'), { code: 'RISK_BLOCKED', risk: { level: 'BLOCK', score: 90 } });
+    if (ambiguous && input.tokenOut === ambiguous) {
+      throw Object.assign(new Error('Ambiguous symbol'), {
+        code: 'AMBIGUOUS_SYMBOL',
+        candidates: [
+          { address: 'Mint1111111111111111111111111111111111111111', symbol: ambiguous, name: 'A', liquidityUsd: 5000, volume24hUsd: 10, ageMs: 1 },
+          { address: BONK, symbol: ambiguous, name: 'B', liquidityUsd: 4000, volume24hUsd: 10, ageMs: 2 },
+        ],
+      });
+    }
+    const plan = {
+      ...input,
+      tokenInInfo: { address: USDC, decimals: 6 },
+      tokenOutInfo: { address: input.tokenOut === 'SOL' ? 'So11111111111111111111111111111111111111112' : input.tokenOut, decimals: 9 },
+      amountAtomic: String(Math.round(Number(input.amount) * 1e6)),
+      risk: { level: 'LOW', score: 0 },
+      quote: { source: 'jupiter', outAmount: '1' },
+    };
+    return { plan, summary: { chain: plan.chain, tokenIn: plan.tokenIn, tokenOut: plan.tokenOut, amountIn: plan.amount, risk: plan.risk } };
+  };
+  return { run, calls };
+}
+
+test('agent conversation: Scout parser keeps unmentioned fields null', async () => {
+  assert.deepEqual(await parseIntent('swap 1 USDC to SOL slippage 1%'), { source: 'fallback', chain: 'sol', tokenIn: 'USDC', tokenOut: 'SOL', amount: '1', slippageBps: 100 });
+  const partial = await parseIntent('swap USDC');
+  assert.equal(partial.tokenIn, 'USDC');
+  assert.equal(partial.tokenOut, null);
+  assert.equal(partial.amount, null);
+  assert.equal(partial.slippageBps, null);
+});
+
+test('agent conversation: answers to pending questions', () => {
+  assert.deepEqual(answerPending('amount', '0.5'), { amount: '0.5' });
+  assert.equal(answerPending('amount', 'half of it'), null);
+  assert.deepEqual(answerPending('tokenOut', 'to SOL'), { tokenOut: 'SOL' });
+  assert.deepEqual(answerPending('tokenOut', '2', [{ address: 'a' }, { address: 'b' }]), { tokenOut: 'b' });
+  assert.equal(answerPending('tokenOut', '7', [{ address: 'a' }]), null);
+  assert.equal(answerPending(null, 'SOL'), null);
+});
+
+test('agent conversation: asks for missing fields, then quotes and issues a confirmation token', async () => {
+  let now = 1_000;
+  const p = fakePipeline();
+  const agent = createAgentConversations({ runPlan: p.run, nowFn: () => now });
+
+  const t1 = await agent.converse({ text: 'swap USDC' });
+  assert.equal(t1.status, 'needs_input');
+  assert.equal(t1.field, 'tokenOut');
+  assert.deepEqual(t1.missing, ['tokenOut', 'amount']);
+
+  const t2 = await agent.converse({ sessionId: t1.sessionId, text: 'to SOL' });
+  assert.equal(t2.field, 'amount');
+  assert.match(t2.question, /How much USDC/);
+
+  const t3 = await agent.converse({ sessionId: t1.sessionId, text: '2.5' });
+  assert.equal(t3.status, 'ready');
+  assert.equal(p.calls.length, 1);
+  assert.deepEqual({ ...p.calls[0] }, { chain: 'sol', tokenIn: 'USDC', tokenOut: 'SOL', amount: '2.5', slippageBps: 50 });
+  assert.deepEqual(t3.execute, {
+    kind: 'sol_swap',
+    params: { inputMint: USDC, outputMint: 'So11111111111111111111111111111111111111112', amountLamports: '2500000', slippageBps: 50 },
+  });
+
+  assert.deepEqual(agent.redeem(t3.confirmation.token).execute, t3.execute);
+
+  // a revised plan revokes the old token
+  const t4 = await agent.converse({ sessionId: t1.sessionId, text: 'make it 3' });
+  assert.equal(t4.status, 'ready');
+  assert.equal(t4.execute.params.amountLamports, '3000000');
+  assert.equal(p.calls[1].tokenIn, 'USDC');
+  assert.equal(p.calls[1].tokenOut, 'SOL');
+  assert.throws(() => agent.redeem(t3.confirmation.token), (e) => e.code === 'CONFIRMATION_INVALID');
+
+  now += 121_000;
+  assert.throws(() => agent.redeem(t4.confirmation.token), (e) => e.code === 'CONFIRMATION_INVALID');
+});
+
+test('agent conversation: ambiguous symbols and RiskGate blocks come back as answers', async () => {
+  const p = fakePipeline({ ambiguous: 'BONK' });
+  const agent = createAgentConversations({ runPlan: p.run });
+
+  const t1 = await agent.converse({ text: 'swap 10 USDC to BONK' });
+  assert.equal(t1.status, 'needs_input');
+  assert.equal(t1.field, 'tokenOut');
+  assert.deepEqual(t1.candidates.map((c) => c.n), [1, 2]);
+
+  const t2 = await agent.converse({ sessionId: t1.sessionId, text: '2' });
+  assert.equal(t2.status, 'ready');
+  assert.equal(t2.execute.params.outputMint, BONK);
+
+  const blocked = createAgentConversations({ runPlan: fakePipeline({ blocked: true }).run });
+  const b = await blocked.converse({ text: 'swap 1 USDC to SOL' });
+  assert.equal(b.ok, false);
+  assert.equal(b.status, 'blocked');
+  assert.equal(b.risk.level, 'BLOCK');
+  assert.equal(b.confirmation, undefined);
+
+  await assert.rejects(() => agent.converse({ text: '  ' }), (e) => e.code === 'EMPTY_PROMPT');
+});
+
+test('agent conversation: the session map is capped, dropping the least recently used one', async () => {
+  const agent = createAgentConversations({ runPlan: fakePipeline().run, maxSessions: 2 });
+  const a = await agent.converse({ text: 'swap 1 USDC to SOL' });
+  const b = await agent.converse({ text: 'swap 2 USDC to SOL' });
+  // touching a makes b the stalest
+  const a2 = await agent.converse({ sessionId: a.sessionId, text: 'swap 3 USDC to SOL' });
+  assert.equal(a2.sessionId, a.sessionId);
+  await agent.converse({ text: 'swap 4 USDC to SOL' });
+  assert.equal(agent.redeem(a2.confirmation.token).execute.kind, 'sol_swap');
+
+  const again = await agent.converse({ sessionId: b.sessionId, text: 'swap 5 USDC to SOL' });
+  assert.notEqual(again.sessionId, b.sessionId);
+  assert.throws(() => agent.redeem(b.confirmation.token), (e) => e.code === 'CONFIRMATION_INVALID');
+});
+
+test('agent conversation: quietly() mutes pipeline logs for its own call only', async () => {
+  const lines = [];
+  const orig = console.log;
+  console.log = (msg) => lines.push(msg);
+  try {
+    await quietly(async () => {
+      await Promise.resolve();
+      info('hidden');
+    });
+    info('shown');
+  } finally {
+    console.log = orig;
+  }
+  assert.deepEqual(lines, ['shown']);
+});
+
+test('agent conversation: base plans map to the 0x executor', () => {
+  const req = planToSwapRequest({
+    chain: 'base',
+    slippageBps: 100,
+    amountAtomic: '1000000000000000',
+    tokenInInfo: { address: '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE' },
+    tokenOutInfo: { address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913' },
+  });
+  assert.equal(req.kind, 'evm_swap');
+  assert.equal(req.params.chain, 'base');
+  assert.equal(req.params.sellAmountWei, '1000000000000000');
+  assert.throws(() => planToSwapRequest({ chain: 'eth' }), /Unsupported chain/);
+});
@@ -0,0 +1,111 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'node:fs';
+import { createHash } from 'node:crypto';
+
+import { createApiAuth, loadApiKeys, expandScopes, createRateLimiter } from '../src/core/apiAuth.js';
+import { createApiAudit } from '../src/core/apiAudit.js';
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'intercomswap-api-'));
+}
+
+// minimal express req/res for the middleware
+function call(mw, headers = {}) {
+  const req = { headers };
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    status(c) {
+      this.statusCode = c;
+      return this;
+    },
+    set(k, v) {
+      this.headers[k] = v;
+    },
+    json(b) {
+      this.body = b;
+      return this;
+    },
+  };
+  let nexted = false;
+  mw(req, res, () => (nexted = true));
+  return { req, res, nexted };
+}
+
+const KEYS = JSON.stringify([
+  { id: 'ro', key: 'read-secret', scopes: ['read'] },
+  { id: 'bot', keySha256: createHash('sha256').update('bot-secret').digest('hex'), scopes: ['execute'], dailySpendUsd: 50, ratePerMin: 2 },
+  { id: 'admin', key: 'admin-secret', scopes: ['wallet-admin'] },
+]);
+
+test('api auth: key config, implied scopes and the legacy API_KEY', () => {
+  assert.deepEqual([...expandScopes(['execute'])].sort(), ['execute', 'quote', 'read']);
+  assert.throws(() => expandScopes(['root']), /Unknown API scope/);
+
+  const keys = loadApiKeys({ API_KEYS: KEYS });
+  assert.deepEqual(keys.map((k) => k.id), ['ro', 'bot', 'admin']);
+  assert.equal(keys[1].dailySpendUsd, 50);
+  assert.equal(JSON.stringify(keys).includes('read-secret'), false, 'only hashes are kept');
+
+  const legacy = loadApiKeys({ API_KEY: 'x' });
+  assert.equal(legacy[0].id, 'default');
+  assert.equal(legacy[0].scopes.has('wallet-admin'), true);
+
+  assert.deepEqual(loadApiKeys({}), []);
+  assert.throws(() => loadApiKeys({ API_KEYS: '[{"id":"a","scopes":["read"]}]' }), /set key or keySha256/);
+  assert.throws(() => loadApiKeys({ API_KEYS: '[{"id":"a","key":"1","scopes":["read"]},{"id":"a","key":"2","scopes":["read"]}]' }), /Duplicate/);
+});
+
+test('api auth: middleware enforces key, scope and rate limit', () => {
+  let now = 0;
+  const auth = createApiAuth({ keys: loadApiKeys({ API_KEYS: KEYS }), defaultRatePerMin: 0, nowFn: () => now });
+
+  assert.equal(call(auth.requireScope('read')).res.statusCode, 401);
+  assert.equal(call(auth.requireScope('read'), { 'x-api-key': 'nope' }).res.statusCode, 401);
+
+  const ro = call(auth.requireScope('execute'), { 'x-api-key': 'read-secret' });
+  assert.equal(ro.res.statusCode, 403);
+  assert.equal(ro.res.body.scope, 'execute');
+  assert.equal(call(auth.requireScope('read'), { 'x-api-key': 'read-secret' }).nexted, true);
+  assert.equal(call(auth.requireScope('execute'), { 'x-api-key': 'admin-secret' }).res.statusCode, 403);
+
+  // bot: 2 per minute
+  const mw = auth.requireScope('quote');
+  const first = call(mw, { 'x-api-key': 'bot-secret' });
+  assert.equal(first.nexted, true);
+  assert.equal(first.req.apiKey.id, 'bot');
+  assert.equal(call(mw, { 'x-api-key': 'bot-secret' }).nexted, true);
+  const limited = call(mw, { 'x-api-key': 'bot-secret' });
+  assert.equal(limited.res.statusCode, 429);
+  assert.equal(limited.res.headers['Retry-After'], '30');
+  now += 30_000;
+  assert.equal(call(mw, { 'x-api-key': 'bot-secret' }).nexted, true);
+
+  // no keys configured: open, as before
+  const open = call(createApiAuth().requireScope('execute'));
+  assert.equal(open.nexted, true);
+  assert.equal(open.req.apiKey.id, 'open');
+  assert.deepEqual(createRateLimiter().take('x', 0), { ok: true, retryAfterSec: 0 });
+});
+
+test('api audit: redacted log, one file per UTC day', () => {
+  const dir = tmpDir();
+  let now = Date.parse('2026-10-19T10:00:00Z');
+
+  const audit = createApiAudit({ dir, nowFn: () => now });
+  audit.write('api_call', { keyId: 'bot', path: '/api/vault/wallets', body: { name: 'w', secret: 'abc', privateKey: '0x1', passphrase: 'p', token: 't' } });
+  audit.write('spend', { keyId: 'bot', usd: 30, kind: 'evm_swap', spendId: 1 });
+
+  const file = path.join(dir, 'api-2026-10-19.jsonl');
+  const text = fs.readFileSync(file, 'utf8');
+  for (const secret of ['abc', '0x1', '"p"', '"t"']) assert.equal(text.includes(secret), false, secret);
+  assert.equal(text.trim().split('\n').length, 2);
+
+  // next UTC day: new file
+  now += 24 * 3600_000;
+  assert.equal(path.basename(audit.file()), 'api-2026-10-20.jsonl');
+});
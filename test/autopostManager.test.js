@@ -186,3 +186,46 @@ test('AutopostManager stops immediately on insufficient-funds style errors', asy
   const st = mgr.status();
   assert.ok(!st.jobs.find((j) => j.name === 'rfq-low-liq'), 'job removed after insufficient-funds stop');
 });
+
+test('AutopostManager re-pegs priced offer lines and pauses on a stale price feed', async () => {
+  const posted = [];
+  let snapshot = null;
+  const snap = (median, ts = Date.now()) => ({ type: 'price_snapshot', ts, ok: true, pairs: { BTC_USDT: { ok: true, median } } });
+  const mgr = new AutopostManager({
+    runTool: async ({ args }) => {
+      posted.push(args.offers[0].usdt_amount);
+      return { type: 'offer_posted' };
+    },
+    getPriceSnapshot: async () => snapshot,
+  });
+
+  snapshot = snap(60_000);
+  const started = await mgr.start({
+    name: 'pegged',
+    tool: 'intercomswap_offer_post',
+    interval_sec: 1,
+    ttl_sec: 60,
+    args: { channels: ['c'], offers: [{ btc_sats: 100_000, usdt_amount: '1' }] },
+    pricing: { spread_bps: 100, reprice_threshold_bps: 25 },
+  });
+  assert.equal(started.type, 'autopost_started');
+  // 0.001 BTC at 60,000 less 1% -> 59.4 USDT.
+  assert.deepEqual(posted, ['59400000']);
+
+  snapshot = snap(60_060); // 10 bps: below the re-price threshold
+  await new Promise((r) => setTimeout(r, 1100));
+  assert.equal(posted.at(-1), '59400000');
+
+  snapshot = snap(61_000);
+  await new Promise((r) => setTimeout(r, 1000));
+  assert.equal(posted.at(-1), '60390000');
+  assert.equal(mgr.status().jobs[0].price_refs.BTC_USDT.median, '61000');
+
+  snapshot = snap(62_000, Date.now() - 60_000);
+  const before = posted.length;
+  await new Promise((r) => setTimeout(r, 1000));
+  assert.equal(posted.length, before, 'no repost on a stale price');
+  assert.match(mgr.status().jobs[0].last_error, /^price_unavailable: BTC_USDT price stale/);
+
+  await mgr.stop({ name: 'pegged' });
+});
@@ -0,0 +1,142 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'node:fs';
+
+import { BridgeStore } from '../src/receipts/bridgeStore.js';
+import { createBridgeTracker, normalizeLifiStatus } from '../src/core/bridgeTracker.js';
+
+function tmpDbPath(name) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'intercomswap-bridges-'));
+  return path.join(dir, `${name}.sqlite`);
+}
+
+// scripted status provider: returns the queued statuses in order, then repeats the last one
+function fakeProvider(statuses) {
+  const calls = [];
+  return {
+    id: 'fake',
+    calls,
+    async getStatus(q) {
+      calls.push(q);
+      const next = statuses.length > 1 ? statuses.shift() : statuses[0];
+      if (next instanceof Error) throw next;
+      return next;
+    },
+  };
+}
+
+const noSleep = async () => {};
+
+function seed(store, id, patch = {}) {
+  return store.upsertBridge(id, {
+    status: 'pending',
+    tool: 'stargate',
+    from_chain: 'base',
+    to_chain: 'eth',
+    from_chain_id: 8453,
+    to_chain_id: 1,
+    from_amount: '1000000',
+    tx_hash: `0x${id}`,
+    ...patch,
+  });
+}
+
+test('bridge tracker: LI.FI statuses map to pending / done / failed', () => {
+  assert.equal(normalizeLifiStatus({ status: 'NOT_FOUND' }).status, 'pending');
+  assert.equal(normalizeLifiStatus({ status: 'NOT_FOUND' }).substatus, 'NOT_FOUND');
+  assert.equal(normalizeLifiStatus({ status: 'PENDING', substatus: 'WAIT_DESTINATION_TRANSACTION' }).substatus, 'WAIT_DESTINATION_TRANSACTION');
+
+  const done = normalizeLifiStatus({ status: 'DONE', substatus: 'COMPLETED', receiving: { txHash: '0xdest', amount: 998000 } });
+  assert.equal(done.status, 'done');
+  assert.equal(done.receivingTxHash, '0xdest');
+  assert.equal(done.receivedAmount, '998000');
+
+  assert.equal(normalizeLifiStatus({ status: 'FAILED' }).status, 'failed');
+  assert.equal(normalizeLifiStatus({ status: 'DONE', substatus: 'REFUNDED' }).substatus, 'REFUNDED');
+});
+
+test('bridge tracker: polls until the destination leg is done and records each step', async () => {
+  const store = BridgeStore.open({ dbPath: tmpDbPath('track') });
+  try {
+    seed(store, 'b1');
+    const provider = fakeProvider([
+      { status: 'pending', substatus: 'NOT_FOUND', receivingTxHash: null, receivedAmount: null, raw: { status: 'NOT_FOUND' } },
+      new Error('socket hang up'),
+      { status: 'pending', substatus: 'WAIT_DESTINATION_TRANSACTION', receivingTxHash: null, receivedAmount: null, raw: {} },
+      { status: 'done', substatus: 'COMPLETED', receivingTxHash: '0xdest', receivedAmount: '990000', raw: { status: 'DONE' } },
+    ]);
+    const seen = [];
+    const tracker = createBridgeTracker({
+      store,
+      statusProvider: provider,
+      sleepFn: async () => seen.push(store.getBridge('b1')),
+    });
+
+    const a = tracker.track('b1');
+    assert.equal(tracker.track('b1'), a, 'concurrent track() calls share one loop');
+    const final = await a;
+
+    assert.equal(final.status, 'done');
+    assert.equal(final.substatus, 'COMPLETED');
+    assert.equal(final.receiving_tx_hash, '0xdest');
+    assert.equal(final.received_amount, '990000');
+    assert.equal(final.last_error, null);
+    assert.deepEqual(final.status_detail, { status: 'DONE' });
+    assert.equal(provider.calls.length, 4);
+    assert.deepEqual(provider.calls[0], { txHash: '0xb1', bridge: 'stargate', fromChainId: 8453, toChainId: 1 });
+    assert.match(seen[1].last_error, /status fake: socket hang up/);
+    assert.equal(tracker.isTracking('b1'), false);
+  } finally {
+    store.close();
+  }
+});
+
+test('bridge tracker: resume after restart picks up open bridges and closes untrackable ones', async () => {
+  const dbPath = tmpDbPath('resume');
+  let store = BridgeStore.open({ dbPath });
+  seed(store, 'inflight');
+  seed(store, 'sent', { status: 'sending' });
+  seed(store, 'nohash', { status: 'approving', tx_hash: null });
+  seed(store, 'finished', { status: 'done' });
+  store.close();
+
+  store = BridgeStore.open({ dbPath });
+  try {
+    assert.deepEqual(store.listOpenBridges().map((b) => b.bridge_id).sort(), ['inflight', 'nohash', 'sent']);
+
+    const provider = fakeProvider([{ status: 'failed', substatus: null, receivingTxHash: null, receivedAmount: null, raw: { status: 'FAILED' } }]);
+    const tracker = createBridgeTracker({ store, statusProvider: provider, sleepFn: noSleep });
+
+    const ids = tracker.resume();
+    assert.deepEqual(ids.sort(), ['inflight', 'sent']);
+    assert.equal(store.getBridge('nohash').status, 'failed');
+    assert.match(store.getBridge('nohash').last_error, /interrupted while approving/);
+
+    await Promise.all(ids.map((id) => tracker.track(id)));
+    assert.equal(store.getBridge('inflight').status, 'failed');
+    assert.equal(store.getBridge('sent').status, 'failed');
+    assert.deepEqual(store.listOpenBridges(), []);
+    // terminal rows are never polled
+    assert.equal(provider.calls.some((c) => c.txHash === '0xfinished'), false);
+  } finally {
+    store.close();
+  }
+});
+
+test('bridge tracker: stops polling at the timeout but leaves the bridge open', async () => {
+  const store = BridgeStore.open({ dbPath: tmpDbPath('timeout') });
+  try {
+    seed(store, 'slow');
+    const provider = fakeProvider([{ status: 'pending', substatus: 'WAIT_DESTINATION_TRANSACTION', receivingTxHash: null, receivedAmount: null, raw: {} }]);
+    const tracker = createBridgeTracker({ store, statusProvider: provider, timeoutMs: 5, sleepFn: () => new Promise((r) => setTimeout(r, 10)) });
+
+    const b = await tracker.track('slow');
+    assert.equal(b.status, 'pending');
+    assert.match(b.last_error, /resumes on restart/);
+    assert.equal(store.listOpenBridges().length, 1);
+  } finally {
+    store.close();
+  }
+});
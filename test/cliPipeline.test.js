@@ -0,0 +1,55 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { EXIT, exitCodeFor } from '../src/cli/pipeline.js';
+import { agentRiskGate } from '../src/agents/riskgate.js';
+import { createPipelineUI } from '../src/cli/pipelineUI.js';
+
+test('cli pipeline: exitCodeFor() maps errors to exit codes', () => {
+  assert.equal(exitCodeFor(new Error('boom')), EXIT.ERROR);
+  assert.equal(exitCodeFor(Object.assign(new Error('x'), { code: 'RISK_BLOCKED' })), EXIT.BLOCKED);
+  assert.equal(exitCodeFor(Object.assign(new Error('x'), { stage: 'execute' })), EXIT.EXEC_FAILED);
+  assert.equal(exitCodeFor(Object.assign(new Error('x'), { code: 'ABORTED' })), EXIT.ABORTED);
+});
+
+test('cli pipeline: RiskGate BLOCK errors carry RISK_BLOCKED', () => {
+  const input = {
+    chain: 'sol',
+    amount: '1',
+    slippageBps: 50,
+    market: { bestPair: { liquidityUsd: 100, volume24hUsd: 10, ageMs: 60_000, buys24h: 10, sells24h: 0, priceChange24hPct: 5 } },
+  };
+  try {
+    agentRiskGate(input);
+    assert.fail('expected BLOCK');
+  } catch (e) {
+    assert.equal(e.code, 'RISK_BLOCKED');
+    assert.equal(e.risk.level, 'BLOCK');
+    assert.equal(exitCodeFor(e), EXIT.BLOCKED);
+  }
+});
+
+test('cli pipeline: runPipelineUI drives the pipeline once and returns its execution', async () => {
+  const spinner = () => {
+    const s = { text: '', start: () => s, stop: () => s, succeed: () => s, fail: () => s };
+    return s;
+  };
+  const calls = [];
+  const ex = { status: 'confirmed', signature: 'sig' };
+  const runPipelineUI = createPipelineUI({
+    pipeline: async (input, opts) => {
+      calls.push(input);
+      opts.onStage('quoting');
+      opts.onPlan({ chain: input.chain });
+      return { ex, summary: { ok: true }, confirmed: true };
+    },
+    renderPlan: (r) => `plan ${r.chain}`,
+    pickToken: async () => null,
+    ask: async () => 'y',
+    spinner,
+    log: () => {},
+  });
+
+  assert.equal(await runPipelineUI({ chain: 'sol', amount: '1' }, { dryRun: true }), ex);
+  assert.deepEqual(calls, [{ chain: 'sol', amount: '1' }]);
+});
@@ -0,0 +1,207 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'node:fs';
+
+import { DcaStore, splitAtomic } from '../src/receipts/dcaStore.js';
+import { createDcaScheduler, dcaReport } from '../src/core/dcaScheduler.js';
+import { prepareDca, executeDcaSlice, parseInterval, riskEscalated } from '../src/agents/dca.js';
+
+const SOL = 'So11111111111111111111111111111111111111112';
+const USDC = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const HOUR = 3_600_000;
+
+function tmpDbPath(name) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'intercomswap-dca-'));
+  return path.join(dir, `${name}.sqlite`);
+}
+
+function schedule(store, extra = {}) {
+  return store.createSchedule({
+    chain: 'sol',
+    tokenIn: USDC,
+    tokenOut: SOL,
+    symbolIn: 'USDC',
+    symbolOut: 'SOL',
+    decimalsIn: 6,
+    decimalsOut: 9,
+    totalAtomic: '100000000',
+    slices: 4,
+    intervalMs: HOUR,
+    slippageBps: 50,
+    baselineRiskLevel: 'SAFE',
+    baselineRiskScore: 5,
+    startPriceUsd: 150,
+    startPriceInUsd: 1,
+    startAt: 0,
+    ...extra,
+  });
+}
+
+test('dca: slicing, intervals and the RiskGate baseline at creation', async () => {
+  assert.deepEqual(splitAtomic('10', 3), ['3', '3', '4']);
+  assert.throws(() => splitAtomic('2', 3), /too small/);
+  assert.equal(parseInterval('90m'), 90 * 60_000);
+  assert.equal(parseInterval('1d'), 24 * HOUR);
+  assert.throws(() => parseInterval('soon'), (e) => e.code === 'INVALID_DCA');
+  assert.equal(riskEscalated('SAFE', 'CAUTION'), true);
+  assert.equal(riskEscalated('CAUTION', 'CAUTION'), false);
+
+  const runs = [];
+  const { schedule: s } = await prepareDca(
+    { tokenIn: 'USDC', tokenOut: 'SOL', amount: '100', slices: 3, interval: '2h' },
+    {
+      runPlan: async (input) => {
+        runs.push(input.amount);
+        return {
+          plan: {
+            chain: 'sol',
+            amountAtomic: '100000000',
+            tokenInInfo: { address: USDC, symbol: 'USDC', decimals: 6 },
+            tokenOutInfo: { address: SOL, symbol: 'SOL', decimals: 9, native: true },
+            risk: { level: runs.length === 1 ? 'CAUTION' : 'SAFE', score: 12 },
+          },
+          summary: {},
+        };
+      },
+      priceFn: async (_chain, address) => (address === SOL ? 150 : 1),
+      nowFn: () => 7,
+    }
+  );
+  assert.deepEqual(runs, ['100', '33.333333'], 'total, then one slice for the baseline');
+  assert.equal(s.baselineRiskLevel, 'SAFE');
+  assert.deepEqual([s.startPriceUsd, s.startPriceInUsd, s.intervalMs, s.startAt], [150, 1, 2 * HOUR, 7]);
+  await assert.rejects(prepareDca({ slices: 0, interval: '1h' }), (e) => e.code === 'INVALID_DCA');
+  await assert.rejects(prepareDca({ slices: 2, interval: '10s' }), /at least 1 minute/);
+});
+
+test('dca scheduler: runs due slices, skips on escalation, reports the average fill', async () => {
+  const store = DcaStore.open({ dbPath: tmpDbPath('run') });
+  try {
+    const s = schedule(store);
+    let now = 0;
+    const levels = ['SAFE', 'CAUTION', 'BLOCK', 'SAFE'];
+    const received = ['170000000', null, null, '160000000'];
+    const events = [];
+
+    // the real slice executor, with the pipeline stubbed at its hooks
+    const runPipelineFn = async (input, opts) => {
+      const i = store.listSlices(s.schedule_id).find((x) => x.status === 'running').idx;
+      assert.equal(input.amount, '25');
+      assert.equal(opts.autoApprove, true);
+      if (levels[i] === 'BLOCK') throw Object.assign(new Error('RiskGate BLOCKED swap'), { code: 'RISK_BLOCKED', risk: { level: 'BLOCK', score: 80 } });
+      const plan = { risk: { level: levels[i], score: 10 * i } };
+      await opts.onPlan(plan);
+      return { confirmed: true, swapId: `swap-${i}`, plan, ex: { txid: `sig${i}`, received: received[i] }, summary: {} };
+    };
+    const scheduler = createDcaScheduler({
+      store,
+      executeFn: (sched, slice) => executeDcaSlice(sched, slice, { runPipelineFn }),
+      onEvent: (type, _s, data) => events.push(data?.idx != null ? `${type}:${data.idx}` : type),
+      nowFn: () => now,
+    });
+
+    assert.equal((await scheduler.tick()).ran.length, 1);
+    assert.equal((await scheduler.tick()).ran.length, 0, 'next slice not due yet');
+
+    now = HOUR;
+    assert.equal((await scheduler.tick()).ran[0].status, 'skipped');
+    // downtime: slices 2 and 3 are both overdue, only one runs and the last is pushed out
+    now = 5 * HOUR;
+    await scheduler.tick();
+    assert.equal(store.listSlices(s.schedule_id)[3].due_at, 6 * HOUR);
+    await scheduler.tick();
+    now = 6 * HOUR;
+    await scheduler.tick();
+
+    const slices = store.listSlices(s.schedule_id);
+    assert.deepEqual(slices.map((x) => x.status), ['filled', 'skipped', 'skipped', 'filled']);
+    assert.match(slices[1].reason, /escalated from SAFE to CAUTION/);
+    assert.equal(slices[2].risk_level, 'BLOCK');
+    assert.equal(store.getSchedule(s.schedule_id).status, 'completed');
+    assert.deepEqual(events, ['slice:0', 'filled:0', 'slice:1', 'skipped:1', 'slice:2', 'skipped:2', 'slice:3', 'filled:3', 'completed']);
+
+    // 50 USDC for 0.33 SOL -> $151.52 vs $150 at start
+    const r = dcaReport(store.getSchedule(s.schedule_id), slices);
+    assert.deepEqual([r.filled, r.skipped, r.spent, r.received], [2, 2, '50', '0.33']);
+    assert.equal(r.avgPriceUsd.toFixed(2), '151.52');
+    assert.equal(r.vsStartBps, 101);
+  } finally {
+    store.close();
+  }
+});
+
+test('dca store: cancel, quote fallback for the fill and restart recovery', async () => {
+  const store = DcaStore.open({ dbPath: tmpDbPath('cancel') });
+  try {
+    const a = schedule(store, { slices: 2 });
+    const scheduler = createDcaScheduler({
+      store,
+      executeFn: async () => ({ confirmed: true, ex: { txid: 'x', received: null, quote: { outAmount: '123' } } }),
+      nowFn: () => 0,
+    });
+    await scheduler.tick();
+    const first = store.listSlices(a.schedule_id)[0];
+    assert.deepEqual([first.received_atomic, first.received_estimated], ['123', true]);
+
+    assert.equal(store.cancelSchedule(a.schedule_id).status, 'cancelled');
+    assert.deepEqual(store.listSlices(a.schedule_id).map((x) => x.status), ['filled', 'cancelled']);
+    assert.equal(store.nextDueSlice(a.schedule_id, 10 * HOUR), null);
+
+    const b = schedule(store, { slices: 2 });
+    const claimed = store.claimSlice(b.schedule_id, 0, { owner: 'crashed' });
+    assert.equal(claimed.status, 'running');
+    assert.equal(store.claimSlice(b.schedule_id, 0), null, 'a slice runs once');
+    assert.deepEqual(store.recoverInterrupted(), [], 'lease still live');
+    assert.deepEqual(store.recoverInterrupted({ now: claimed.lease_until }), [{ scheduleId: b.schedule_id, idx: 0 }]);
+    assert.equal(store.listSlices(b.schedule_id)[0].status, 'failed');
+    assert.equal(store.getSchedule(b.schedule_id).status, 'active');
+    // the crashed owner coming back cannot overwrite the recovered outcome
+    assert.throws(() => store.finishSlice(b.schedule_id, 0, { status: 'filled' }, 0, { owner: 'crashed' }), (e) => e.code === 'LEASE_LOST');
+    assert.equal(store.listSlices(b.schedule_id)[0].status, 'failed');
+  } finally {
+    store.close();
+  }
+});
+
+test('dca scheduler: a second scheduler starting up leaves the first one\'s running slice alone', async () => {
+  const dbPath = tmpDbPath('lease');
+  const store = DcaStore.open({ dbPath });
+  const other = DcaStore.open({ dbPath });
+  try {
+    const s = schedule(store, { slices: 2 });
+    let release;
+    const executing = new Promise((resolve) => (release = resolve));
+    let started;
+    const inFlight = new Promise((resolve) => (started = resolve));
+    const first = createDcaScheduler({
+      store,
+      owner: 'scheduler-1',
+      leaseMs: 30,
+      nowFn: () => 0,
+      executeFn: async () => {
+        started();
+        await executing;
+        return { confirmed: true, swapId: 'swap-0', ex: { txid: 'sig0', received: '1' } };
+      },
+    });
+    const tick = first.tick();
+    await inFlight;
+    assert.equal(store.listSlices(s.schedule_id)[0].lease_owner, 'scheduler-1');
+
+    // outlive the initial lease: the renewals keep it owned
+    await new Promise((resolve) => setTimeout(resolve, 80));
+    const second = createDcaScheduler({ store: other, owner: 'scheduler-2', nowFn: () => 0, executeFn: async () => assert.fail('not reached') });
+    assert.deepEqual(second.start(), []);
+    await second.stop();
+    assert.equal(other.listSlices(s.schedule_id)[0].status, 'running');
+
+    release();
+    const { ran } = await tick;
+    assert.deepEqual([ran[0].status, ran[0].lease_owner], ['filled', null]);
+  } finally {
+    other.close();
+    store.close();
+  }
+});
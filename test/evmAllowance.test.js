@@ -0,0 +1,92 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ethers } from 'ethers';
+
+import { appendPermit2Signature, ensureAllowance, isVerifiedSpender, PERMIT2_ADDRESS, signPermit2 } from '../src/core/allowance.js';
+import { applyQuoteRisk } from '../src/agents/riskgate.js';
+
+test('allowance: verified spenders include 0x proxy and Permit2', () => {
+  assert.equal(isVerifiedSpender('0xDef1C0ded9bec7F1a1670819833240f027b25EfF'), true);
+  assert.equal(isVerifiedSpender(PERMIT2_ADDRESS), true);
+  assert.equal(isVerifiedSpender('0x1111111111111111111111111111111111111111'), false);
+  assert.equal(isVerifiedSpender(null), false);
+});
+
+test('allowance: appendPermit2Signature() appends length-prefixed signature', () => {
+  const sig = `0x${'ab'.repeat(65)}`;
+  const out = appendPermit2Signature('0x12345678', sig);
+  assert.equal(out, `0x12345678${ethers.toBeHex(65, 32).slice(2)}${'ab'.repeat(65)}`);
+});
+
+test('allowance: signPermit2() signs the 0x EIP-712 payload', async () => {
+  const wallet = ethers.Wallet.createRandom();
+  const eip712 = {
+    primaryType: 'PermitTransferFrom',
+    domain: { name: 'Permit2', chainId: 8453, verifyingContract: PERMIT2_ADDRESS },
+    types: {
+      EIP712Domain: [
+        { name: 'name', type: 'string' },
+        { name: 'chainId', type: 'uint256' },
+        { name: 'verifyingContract', type: 'address' },
+      ],
+      PermitTransferFrom: [
+        { name: 'permitted', type: 'TokenPermissions' },
+        { name: 'spender', type: 'address' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' },
+      ],
+      TokenPermissions: [
+        { name: 'token', type: 'address' },
+        { name: 'amount', type: 'uint256' },
+      ],
+    },
+    message: {
+      permitted: { token: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', amount: '1000000' },
+      spender: '0x0000000000001fF3684f28c67538d4D072C22734',
+      nonce: '1',
+      deadline: '1900000000',
+    },
+  };
+  const sig = await signPermit2(wallet, eip712);
+  const { EIP712Domain, ...types } = eip712.types;
+  assert.equal(ethers.verifyTypedData(eip712.domain, types, eip712.message, sig), wallet.address);
+});
+
+test('riskgate: unlimited approval to unverified spender is flagged', () => {
+  const input = {
+    chain: 'base',
+    tokenInInfo: { address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', decimals: 6 },
+    risk: { score: 0, level: 'SAFE', flags: [], thresholds: {} },
+  };
+  const unverified = '0x1111111111111111111111111111111111111111';
+
+  const flagged = applyQuoteRisk({ ...input, approvalMode: 'unlimited', quote: { priceImpactPct: 0.1, outAmount: '1', allowanceTarget: unverified } });
+  assert.ok(flagged.risk.flags.includes(`UNLIMITED_APPROVAL_UNVERIFIED_SPENDER_${unverified}`));
+
+  const exact = applyQuoteRisk({ ...input, approvalMode: 'exact', quote: { priceImpactPct: 0.1, outAmount: '1', allowanceTarget: unverified } });
+  assert.equal(exact.risk.flags.length, 0);
+
+  const verified = applyQuoteRisk({
+    ...input,
+    approvalMode: 'unlimited',
+    quote: { priceImpactPct: 0.1, outAmount: '1', allowanceTarget: '0xdef1c0ded9bec7f1a1670819833240f027b25eff' },
+  });
+  assert.equal(verified.risk.flags.length, 0);
+});
+
+test('allowance: autoApprove refuses unverified spenders before touching the wallet', async () => {
+  const wallet = {
+    getAddress: async () => assert.fail('the wallet must not be used'),
+  };
+  await assert.rejects(
+    ensureAllowance({
+      wallet,
+      token: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
+      spender: '0x1111111111111111111111111111111111111111',
+      amount: '1000000',
+      autoApprove: true,
+    }),
+    (err) => err.code === 'UNVERIFIED_SPENDER' && /0x1111111111111111111111111111111111111111 is not verified/.test(err.message)
+  );
+});
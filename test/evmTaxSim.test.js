@@ -0,0 +1,106 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ethers } from 'ethers';
+
+import { simulateEvmTokenTax } from '../src/core/evmTaxSim.js';
+import { loadRiskPolicy } from '../src/risk/policy.js';
+import { agentRiskGate } from '../src/agents/riskgate.js';
+
+const TOKEN = '0x1111111111111111111111111111111111111111';
+const ROUTER = '0x2222222222222222222222222222222222222222';
+const coder = ethers.AbiCoder.defaultAbiCoder();
+const uint = (v) => coder.encode(['uint256'], [v]);
+
+function revertData(msg) {
+  return `0x08c379a0${coder.encode(['string'], [msg]).slice(2)}`;
+}
+
+async function quoteFn({ sellToken, sellAmount }) {
+  const buying = sellToken !== TOKEN;
+  return {
+    to: ROUTER,
+    data: buying ? '0xb0' : '0x5e',
+    value: buying ? sellAmount : '0',
+    buyAmount: buying ? '1000000' : '10000000000000000',
+    allowanceTarget: ROUTER,
+  };
+}
+
+// eth_simulateV1 stand-in: the token keeps `buyTaxPct`/`sellTaxPct`, optionally reverts sells.
+function fakeProvider({ buyTaxPct = 0, sellTaxPct = 0, sellRevert = null, buyRevert = null, noSimulate = false }) {
+  const calls = [];
+  return {
+    calls,
+    async send(method, params) {
+      calls.push(method);
+      if (method === 'eth_call') return '0x';
+      if (noSimulate) {
+        const err = new Error('the method eth_simulateV1 does not exist/is not available');
+        err.error = { code: -32601 };
+        throw err;
+      }
+
+      const results = params[0].blockStateCalls[0].calls.map((c) => {
+        if (c.data === '0xb0') {
+          return buyRevert ? { status: '0x0', returnData: '0x', error: { data: revertData(buyRevert) } } : { status: '0x1', returnData: '0x' };
+        }
+        if (c.data === '0x5e' && sellRevert) return { status: '0x0', returnData: '0x', error: { data: revertData(sellRevert) } };
+        if (c.to === TOKEN && c.data.startsWith('0x70a08231')) return { status: '0x1', returnData: uint(1000000n - 10000n * BigInt(buyTaxPct)) };
+        if (c.data.startsWith('0x70a08231')) return { status: '0x1', returnData: uint((10000000000000000n * BigInt(100 - sellTaxPct)) / 100n) };
+        return { status: '0x1', returnData: uint(1n) };
+      });
+      return [{ calls: results }];
+    },
+  };
+}
+
+function gate(tax, taxError = null) {
+  const policy = loadRiskPolicy({ profile: 'default', env: {} });
+  const snap = { liquidityUsd: 500000, volume24hUsd: 200000, ageMs: 30 * 24 * 3600_000, buys24h: 500, sells24h: 450, priceChange24hPct: 5, fdvUsd: 2000000 };
+  return agentRiskGate({ chain: 'base', amount: '1', slippageBps: 50, market: { bestPair: snap }, onchain: { tax, error: taxError } }, { policy });
+}
+
+test('evm tax sim: clean token has no tax', async () => {
+  const tax = await simulateEvmTokenTax({ provider: fakeProvider({}), token: TOKEN, probeWei: '10000000000000000', quoteFn });
+  assert.equal(tax.status, 'ok');
+  assert.equal(tax.buyTaxPct, 0);
+  assert.equal(tax.sellTaxPct, 0);
+  assert.equal(gate(tax).risk.score, 0);
+});
+
+test('evm tax sim: measures buy/sell tax and flags HIGH_SELL_TAX', async () => {
+  const tax = await simulateEvmTokenTax({ provider: fakeProvider({ buyTaxPct: 5, sellTaxPct: 20 }), token: TOKEN, probeWei: '10000000000000000', quoteFn });
+  assert.equal(tax.buyTaxPct, 5);
+  assert.equal(tax.sellTaxPct, 20);
+
+  const r = gate(tax);
+  assert.deepEqual(r.risk.flags, ['HIGH_SELL_TAX', 'BUY_TAX_5PCT']);
+  assert.equal(r.risk.level, 'CAUTION');
+});
+
+test('evm tax sim: reverting sell is UNSELLABLE and blocks', async () => {
+  const tax = await simulateEvmTokenTax({ provider: fakeProvider({ sellRevert: 'TRANSFER_FROM_FAILED' }), token: TOKEN, probeWei: '10000000000000000', quoteFn });
+  assert.equal(tax.status, 'unsellable');
+  assert.equal(tax.revertReason, 'TRANSFER_FROM_FAILED');
+
+  assert.throws(
+    () => gate(tax),
+    (err) => err.code === 'RISK_BLOCKED' && err.risk.flags.includes('UNSELLABLE')
+  );
+});
+
+test('evm tax sim: reverting buy is reported', async () => {
+  const tax = await simulateEvmTokenTax({ provider: fakeProvider({ buyRevert: 'Trading not enabled' }), token: TOKEN, probeWei: '10000000000000000', quoteFn });
+  assert.equal(tax.status, 'unbuyable');
+  assert.equal(tax.revertReason, 'Trading not enabled');
+});
+
+test('evm tax sim: RPC without eth_simulateV1 falls back to a buy-only eth_call', async () => {
+  const provider = fakeProvider({ noSimulate: true });
+  const tax = await simulateEvmTokenTax({ provider, token: TOKEN, probeWei: '10000000000000000', quoteFn });
+  assert.equal(tax.status, 'partial');
+  assert.deepEqual(provider.calls, ['eth_simulateV1', 'eth_call']);
+  assert.deepEqual(gate(tax).risk.flags, ['SELL_UNCHECKED']);
+  assert.deepEqual(gate(null, 'EVM_RPC missing').risk.flags, ['SELL_UNCHECKED']);
+});
@@ -0,0 +1,253 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'node:fs';
+
+import { JobStore } from '../src/receipts/jobStore.js';
+import { createJobRunner } from '../src/core/jobRunner.js';
+
+function tmpDbPath(name) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'intercomswap-jobs-'));
+  return path.join(dir, `${name}.sqlite`);
+}
+
+// resolvable gate so a test can hold an executor at a given stage
+function gate() {
+  let open;
+  const p = new Promise((r) => (open = r));
+  return { wait: () => p, open };
+}
+
+test('job store: Idempotency-Key replays return the same job and conflicts are rejected', () => {
+  const store = JobStore.open({ dbPath: tmpDbPath('idem') });
+  try {
+    const a = store.createJob({ idempotencyKey: 'k1', kind: 'evm_swap', request: { chain: 'base', sellAmountWei: '1' } });
+    assert.equal(a.created, true);
+    assert.equal(a.job.status, 'queued');
+
+    // key order does not matter (stable hash)
+    const b = store.createJob({ idempotencyKey: 'k1', kind: 'evm_swap', request: { sellAmountWei: '1', chain: 'base' } });
+    assert.equal(b.created, false);
+    assert.equal(b.job.job_id, a.job.job_id);
+
+    assert.throws(() => store.createJob({ idempotencyKey: 'k1', kind: 'evm_swap', request: { chain: 'base', sellAmountWei: '2' } }), (e) => e.code === 'IDEMPOTENCY_CONFLICT');
+    assert.throws(() => store.createJob({ idempotencyKey: ' ', kind: 'evm_swap', request: {} }), (e) => e.code === 'IDEMPOTENCY_KEY_REQUIRED');
+    assert.equal(store.listJobs().length, 1);
+  } finally {
+    store.close();
+  }
+});
+
+test('job store: jobs and Idempotency-Keys are scoped per owner', () => {
+  const store = JobStore.open({ dbPath: tmpDbPath('owners') });
+  try {
+    const a = store.createJob({ owner: 'alice', idempotencyKey: 'k1', kind: 'sol_swap', request: { n: 1 } });
+    // the same key under another owner is another job, even with another request
+    const b = store.createJob({ owner: 'bob', idempotencyKey: 'k1', kind: 'sol_swap', request: { n: 2 } });
+    assert.equal(b.created, true);
+    assert.notEqual(b.job.job_id, a.job.job_id);
+    assert.equal(store.getJobByKey('k1', { owner: 'alice' }).job_id, a.job.job_id);
+    assert.equal(store.getJobByKey('k1'), null);
+
+    assert.deepEqual(store.listJobs({ owner: 'alice' }).map((j) => [j.owner, j.job_id]), [['alice', a.job.job_id]]);
+    assert.equal(store.listJobs().length, 2);
+  } finally {
+    store.close();
+  }
+});
+
+test('job runner: runs jobs in order and records stage transitions', async () => {
+  const store = JobStore.open({ dbPath: tmpDbPath('run') });
+  try {
+    const order = [];
+    const runner = createJobRunner({
+      store,
+      executors: {
+        sol_swap: async (req, job) => {
+          order.push(req.n);
+          job.stage('quoting');
+          job.beforeBroadcast();
+          job.stage('confirming', { signature: `sig${req.n}` });
+          return { ok: true, signature: `sig${req.n}` };
+        },
+        evm_swap: async () => {
+          const err = new Error('risk_blocked');
+          err.body = { ok: false, error: 'risk_blocked' };
+          throw err;
+        },
+      },
+    });
+
+    const seen = [];
+    const first = runner.submit({ idempotencyKey: 'a', kind: 'sol_swap', request: { n: 1 } }).job;
+    runner.subscribe(first.job_id, (ev) => seen.push(`${ev.status}:${ev.stage ?? ''}`));
+    runner.submit({ idempotencyKey: 'b', kind: 'sol_swap', request: { n: 2 } });
+    const bad = runner.submit({ idempotencyKey: 'c', kind: 'evm_swap', request: {} }).job;
+    assert.throws(() => runner.submit({ idempotencyKey: 'd', kind: 'nope', request: {} }), /Unknown job kind/);
+
+    // nothing runs before start()
+    assert.equal(store.getJob(first.job_id).status, 'queued');
+    runner.start();
+    await runner.idle();
+
+    assert.deepEqual(order, [1, 2]);
+    const done = store.getJob(first.job_id);
+    assert.equal(done.status, 'succeeded');
+    assert.equal(done.broadcast, true);
+    assert.deepEqual(done.result, { ok: true, signature: 'sig1' });
+    assert.deepEqual(seen, ['running:', 'running:quoting', 'running:broadcasting', 'running:confirming', 'succeeded:done']);
+    assert.deepEqual(store.listEvents(first.job_id).map((e) => e.status), ['queued', 'running', 'running', 'running', 'running', 'succeeded']);
+    assert.deepEqual(store.listEvents(first.job_id)[4].data, { signature: 'sig1' });
+
+    const failed = store.getJob(bad.job_id);
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.last_error, 'risk_blocked');
+    assert.deepEqual(failed.result, { ok: false, error: 'risk_blocked' });
+  } finally {
+    store.close();
+  }
+});
+
+test('job runner: cancellation works before broadcast only', async () => {
+  const store = JobStore.open({ dbPath: tmpDbPath('cancel') });
+  try {
+    const hold = gate();
+    const reached = gate();
+    let broadcasts = 0;
+    const runner = createJobRunner({
+      store,
+      executors: {
+        evm_swap: async (req, job) => {
+          job.stage('quoting');
+          reached.open();
+          await hold.wait();
+          job.stage('simulating');
+          job.beforeBroadcast();
+          broadcasts += 1;
+          return { ok: true };
+        },
+      },
+    });
+    runner.start();
+
+    const running = runner.submit({ idempotencyKey: 'r', kind: 'evm_swap', request: { n: 1 } }).job;
+    const queued = runner.submit({ idempotencyKey: 'q', kind: 'evm_swap', request: { n: 2 } }).job;
+    await reached.wait();
+
+    // queued: cancelled at once; running: stops at its next stage
+    assert.equal(runner.cancel(queued.job_id).status, 'cancelled');
+    assert.equal(runner.cancel(running.job_id).cancel_requested, true);
+    hold.open();
+    await runner.idle();
+
+    assert.equal(store.getJob(running.job_id).status, 'cancelled');
+    assert.equal(store.getJob(running.job_id).broadcast, false);
+    assert.equal(broadcasts, 0);
+    assert.equal(runner.cancel('missing'), null);
+
+    // after broadcast: refused
+    const late = gate();
+    const sent = gate();
+    const runner2 = createJobRunner({
+      store,
+      executors: {
+        sol_swap: async (req, job) => {
+          job.beforeBroadcast();
+          sent.open();
+          await late.wait();
+          return { ok: true };
+        },
+      },
+    });
+    runner2.start();
+    const j = runner2.submit({ idempotencyKey: 's', kind: 'sol_swap', request: {} }).job;
+    await sent.wait();
+    assert.throws(() => runner2.cancel(j.job_id), (e) => e.code === 'CANNOT_CANCEL');
+    late.open();
+    await runner2.idle();
+    assert.equal(store.getJob(j.job_id).status, 'succeeded');
+  } finally {
+    store.close();
+  }
+});
+
+test('job runner: restart requeues unsent jobs and fails the ones that broadcast', async () => {
+  const dbPath = tmpDbPath('recover');
+  let store = JobStore.open({ dbPath });
+  const unsent = store.createJob({ idempotencyKey: 'u', kind: 'sol_swap', request: { n: 1 } }).job;
+  const sent = store.createJob({ idempotencyKey: 's', kind: 'sol_swap', request: { n: 2 } }).job;
+  // simulate a crash: both claimed, only the second reached the broadcast point
+  store.claimNextJob();
+  store.claimNextJob();
+  assert.equal(store.markBroadcast(sent.job_id), true);
+  store.close();
+
+  store = JobStore.open({ dbPath });
+  try {
+    const ran = [];
+    const runner = createJobRunner({ store, executors: { sol_swap: async (req) => ran.push(req.n) && { ok: true } } });
+    const recovered = runner.start();
+    await runner.idle();
+
+    assert.deepEqual(recovered, { requeued: [unsent.job_id], failed: [sent.job_id] });
+    assert.deepEqual(ran, [1]);
+    assert.equal(store.getJob(unsent.job_id).status, 'succeeded');
+    assert.equal(store.getJob(sent.job_id).status, 'failed');
+    assert.match(store.getJob(sent.job_id).last_error, /outcome unknown/);
+  } finally {
+    store.close();
+  }
+});
+
+test('job store: spend reservations check the cap and book in one step', () => {
+  const store = JobStore.open({ dbPath: tmpDbPath('spend') });
+  try {
+    const at = Date.parse('2026-10-19T10:00:00Z');
+    const first = store.reserveSpend({ keyId: 'bot', capUsd: 50, usd: 30, kind: 'evm_swap', at });
+    assert.throws(() => store.reserveSpend({ keyId: 'bot', capUsd: 50, usd: 25, at }), (e) => e.code === 'SPEND_CAP_EXCEEDED' && e.spentUsd === 30);
+    assert.equal(store.spentToday('bot', at), 30, 'a refused reservation books nothing');
+
+    assert.equal(store.refundSpend(first), 30);
+    assert.equal(store.refundSpend(first), null, 'refunded once');
+    store.reserveSpend({ keyId: 'bot', capUsd: 50, usd: 25, at });
+    assert.equal(store.spentToday('bot', at), 25);
+    assert.equal(store.spentToday('other', at), 0);
+    assert.equal(store.spentToday('bot', at + 24 * 3600_000), 0, 'caps are per UTC day');
+  } finally {
+    store.close();
+  }
+});
+
+test('job runner: a job that ends without broadcast refunds its spend, also after a restart', async () => {
+  const dbPath = tmpDbPath('refund');
+  let store = JobStore.open({ dbPath });
+  const reserve = (usd) => store.reserveSpend({ keyId: 'bot', capUsd: 100, usd, kind: 'sol_swap' });
+  const failing = store.createJob({ owner: 'bot', idempotencyKey: 'f', kind: 'sol_swap', request: { n: 1 }, spendId: reserve(10) }).job;
+  const sent = store.createJob({ owner: 'bot', idempotencyKey: 's', kind: 'sol_swap', request: { n: 2 }, spendId: reserve(20) }).job;
+  // crash while the first job was running, before anything was sent
+  store.claimNextJob();
+  store.close();
+
+  store = JobStore.open({ dbPath });
+  try {
+    const runner = createJobRunner({
+      store,
+      executors: {
+        sol_swap: async (req, job) => {
+          if (req.n === 1) throw new Error('quote expired');
+          job.beforeBroadcast();
+          throw new Error('tx dropped');
+        },
+      },
+    });
+    assert.deepEqual(runner.start().requeued, [failing.job_id]);
+    await runner.idle();
+
+    assert.equal(store.getJob(failing.job_id).status, 'failed');
+    assert.equal(store.getJob(sent.job_id).status, 'failed');
+    assert.equal(store.spentToday('bot'), 20, 'only the job that broadcast keeps its spend');
+  } finally {
+    store.close();
+  }
+});
@@ -0,0 +1,77 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  consensusPrice,
+  normalizeMakerPricing,
+  peggedAmount,
+  priceMaker,
+  shouldReprice,
+  spreadBpsForSize,
+} from '../src/price/pricing.js';
+
+const NOW = 1_700_000_000_000;
+const snap = (row, ts = NOW) => ({ type: 'price_snapshot', ts, ok: true, pairs: { BTC_USDT: row } });
+
+test('maker pricing: config defaults, validation and size tiers', () => {
+  const d = normalizeMakerPricing();
+  assert.equal(d.spread_bps, 50);
+  assert.equal(d.max_age_ms, 30_000);
+  assert.throws(() => normalizeMakerPricing({ spread_bps: 6000 }), /pricing\.spread_bps must be an integer within 0\.\.5000/);
+  assert.throws(() => normalizeMakerPricing({ tiers: [{ min_btc_sats: 0, spread_bps: 10 }] }), /tiers\[0\]\.min_btc_sats/);
+
+  const p = normalizeMakerPricing({
+    spread_bps: 80,
+    tiers: [
+      { min_btc_sats: 5_000_000, spread_bps: 20 },
+      { min_btc_sats: 1_000_000, spread_bps: 40 },
+    ],
+  });
+  assert.deepEqual(p.tiers.map((t) => t.min_btc_sats), [1_000_000, 5_000_000], 'tiers sorted by size');
+  assert.equal(spreadBpsForSize(p, 10_000), 80);
+  assert.equal(spreadBpsForSize(p, 1_000_000), 40);
+  assert.equal(spreadBpsForSize(p, 9_000_000), 20);
+});
+
+test('maker pricing: refuses missing, failed and stale consensus', () => {
+  assert.equal(consensusPrice(null, 'BTC_USDT', { nowMs: NOW }).error, 'no price snapshot');
+  assert.equal(consensusPrice(snap({ ok: true, median: 60_000 }), 'BTC_USDC', { nowMs: NOW }).error, 'BTC_USDC not in price snapshot');
+  assert.equal(
+    consensusPrice(snap({ ok: false, error: 'not enough providers' }), 'BTC_USDT', { nowMs: NOW }).error,
+    'BTC_USDT consensus not ok: not enough providers'
+  );
+  const stale = consensusPrice(snap({ ok: true, median: 60_000 }, NOW - 31_000), 'BTC_USDT', { nowMs: NOW });
+  assert.equal(stale.ok, false);
+  assert.match(stale.error, /price stale \(age_ms=31000, max_age_ms=30000\)/);
+  assert.equal(consensusPrice(snap({ ok: true, median: 60_000 }), 'BTC_USDT', { nowMs: NOW }).median, 60_000);
+
+  const refused = priceMaker({
+    snapshot: snap({ ok: true, median: 60_000 }, NOW - 60_000),
+    pricing: normalizeMakerPricing(),
+    pair: 'BTC_USDT',
+    btcSats: 10_000,
+    nowMs: NOW,
+  });
+  assert.equal(refused.ok, false);
+  assert.equal(refused.usdt_amount, null);
+});
+
+test('maker pricing: pegged amounts round in the maker favour and carry a price_ref', () => {
+  // 12,345 sats at 61,234.56 USDT/BTC = 7.55940... USDT before the spread.
+  assert.equal(peggedAmount({ btcSats: 12_345, median: 61_234.56, spreadBps: 0, makerBuysBtc: true }), '7559406');
+  assert.equal(peggedAmount({ btcSats: 12_345, median: 61_234.56, spreadBps: 0, makerBuysBtc: false }), '7559407');
+  assert.equal(peggedAmount({ btcSats: 100_000, median: 60_000, spreadBps: 50, makerBuysBtc: true }), '59700000');
+  assert.equal(peggedAmount({ btcSats: 100_000, median: 60_000, spreadBps: 50, makerBuysBtc: false }), '60300000');
+
+  const pricing = normalizeMakerPricing({ spread_bps: 100, tiers: [{ min_btc_sats: 1_000_000, spread_bps: 10 }] });
+  const small = priceMaker({ snapshot: snap({ ok: true, median: 60_000 }), pricing, pair: 'BTC_USDT', btcSats: 100_000, nowMs: NOW });
+  assert.equal(small.usdt_amount, '59400000');
+  assert.deepEqual(small.price_ref, { pair: 'BTC_USDT', median: '60000', ts: NOW, spread_bps: 100 });
+  const large = priceMaker({ snapshot: snap({ ok: true, median: 60_000 }), pricing, pair: 'BTC_USDT', btcSats: 1_000_000, nowMs: NOW });
+  assert.equal(large.usdt_amount, '599400000');
+  assert.equal(large.price_ref.spread_bps, 10);
+
+  assert.equal(shouldReprice(pricing, null, 60_000), true);
+  assert.equal(shouldReprice(pricing, 60_000, 60_100), false);
+  assert.equal(shouldReprice(pricing, 60_000, 60_200), true);
+});
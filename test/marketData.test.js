@@ -0,0 +1,161 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ethers } from 'ethers';
+
+import { clearMarketCache, fetchMarketSnapshot } from '../src/core/marketData.js';
+import { normalizeGeckoPool, readPoolPrice } from '../src/core/marketProviders.js';
+import { loadRiskPolicy } from '../src/risk/policy.js';
+import { agentRiskGate } from '../src/agents/riskgate.js';
+
+const TOKEN = '0x1111111111111111111111111111111111111111';
+const USDC = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+const POOL = '0x3333333333333333333333333333333333333333';
+
+function snap(priceUsd, liquidityUsd, extra = {}) {
+  return {
+    dex: 'test',
+    pairAddress: POOL,
+    priceUsd,
+    liquidityUsd,
+    volume24hUsd: 200000,
+    buys24h: 500,
+    sells24h: 450,
+    ageMs: 30 * 24 * 3600_000,
+    priceChange24hPct: 5,
+    fdvUsd: 2000000,
+    ...extra,
+  };
+}
+
+function fakeProvider(id, fn, { needsHint = false } = {}) {
+  let calls = 0;
+  return {
+    id,
+    chains: new Set(['sol', 'base']),
+    needsHint,
+    get calls() {
+      return calls;
+    },
+    async fetchSnapshot(chain, token, opts) {
+      calls += 1;
+      return fn(chain, token, opts);
+    },
+  };
+}
+
+const opts = { chain: 'base', tokenAddress: TOKEN, cacheTtlMs: 0, timeoutMs: 50 };
+
+test('market data: falls back to the next source and records failures', async () => {
+  const providers = [
+    fakeProvider('dexscreener', async () => {
+      throw new Error('HTTP 429');
+    }),
+    fakeProvider('geckoterminal', async () => snap(1.0, 100000)),
+    fakeProvider('birdeye', () => new Promise(() => {})),
+  ];
+  const m = await fetchMarketSnapshot({ ...opts, providers });
+
+  assert.equal(m.source, 'geckoterminal');
+  assert.equal(m.bestPair.priceUsd, 1.0);
+  assert.deepEqual(
+    m.sources.map((s) => [s.id, s.ok]),
+    [['dexscreener', false], ['geckoterminal', true], ['birdeye', false]]
+  );
+  assert.match(m.sources[2].error, /timeout/);
+  assert.equal(m.consensus.sourcesOk, 1);
+  assert.equal(m.consensus.price.checked, false);
+});
+
+test('market data: fills gaps from secondary sources and passes the pool hint', async () => {
+  let seenHint = null;
+  const providers = [
+    fakeProvider('dexscreener', async () => snap(1.0, 100000, { fdvUsd: null })),
+    fakeProvider('geckoterminal', async () => snap(1.01, 98000, { fdvUsd: 900000 })),
+    fakeProvider(
+      'onchain',
+      async (_c, _t, { hint }) => {
+        seenHint = hint;
+        return snap(0.99, 101000);
+      },
+      { needsHint: true }
+    ),
+  ];
+  const m = await fetchMarketSnapshot({ ...opts, providers });
+
+  assert.equal(m.bestPair.fdvUsd, 900000);
+  assert.equal(seenHint.pairAddress, POOL);
+  assert.equal(m.consensus.price.ok, true);
+  assert.deepEqual(m.consensus.price.agreeing.sort(), ['dexscreener', 'geckoterminal', 'onchain']);
+});
+
+test('market data: disagreement is recorded and penalized by RiskGate', async () => {
+  const providers = [
+    fakeProvider('dexscreener', async () => snap(1.0, 100000)),
+    fakeProvider('geckoterminal', async () => snap(1.01, 100000)),
+    fakeProvider('birdeye', async () => snap(1.5, 5000)),
+  ];
+  const market = await fetchMarketSnapshot({ ...opts, providers });
+  assert.equal(market.consensus.price.ok, false);
+  assert.deepEqual(market.consensus.price.outliers.map((o) => o.id), ['birdeye']);
+  assert.equal(market.consensus.liquidity.ok, false);
+
+  const policy = loadRiskPolicy({ profile: 'default', env: {} });
+  const r = agentRiskGate({ chain: 'base', amount: '1', slippageBps: 50, market }, { policy });
+  assert.deepEqual(
+    r.risk.explanations.map((h) => h.rule),
+    ['priceConsensus', 'liquidityConsensus']
+  );
+  assert.equal(r.risk.score, 30);
+  assert.deepEqual(r.risk.marketSummary.sources, ['dexscreener', 'geckoterminal', 'birdeye']);
+});
+
+test('market data: results are cached per token', async () => {
+  clearMarketCache();
+  const p = fakeProvider('dexscreener', async () => snap(1.0, 100000));
+  const a = await fetchMarketSnapshot({ ...opts, providers: [p], cacheTtlMs: 60_000 });
+  const b = await fetchMarketSnapshot({ ...opts, providers: [p], cacheTtlMs: 60_000 });
+  assert.equal(p.calls, 1);
+  assert.equal(a.cached, undefined);
+  assert.equal(b.cached, true);
+  clearMarketCache();
+});
+
+test('market providers: geckoterminal pool normalization picks the token side', () => {
+  const pool = {
+    attributes: {
+      address: POOL,
+      base_token_price_usd: '2.5',
+      quote_token_price_usd: '1.0',
+      reserve_in_usd: '120000.5',
+      volume_usd: { h24: '5000' },
+      transactions: { h24: { buys: 10, sells: 7 } },
+      pool_created_at: new Date(Date.now() - 3600_000).toISOString(),
+    },
+    relationships: { base_token: { data: { id: `base_${USDC.toLowerCase()}` } }, dex: { data: { id: 'aerodrome' } } },
+  };
+  const s = normalizeGeckoPool(pool, { chain: 'base', tokenAddress: TOKEN });
+  assert.equal(s.priceUsd, 1.0);
+  assert.equal(s.liquidityUsd, 120000.5);
+  assert.equal(s.buys24h, 10);
+  assert.equal(s.dex, 'aerodrome');
+  assert.ok(s.ageMs >= 3600_000);
+});
+
+test('market providers: v2 pool reserves -> price in quote + quote balance', async () => {
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+  const provider = {
+    async call({ to, data }) {
+      if (to === POOL && data === '0x0dfe1681') return coder.encode(['address'], [TOKEN]);
+      if (to === POOL && data === '0xd21220a7') return coder.encode(['address'], [USDC]);
+      if (to === POOL && data === '0x3850c7bd') throw new Error('execution reverted');
+      if (to === POOL && data === '0x0902f1ac') return coder.encode(['uint112', 'uint112', 'uint32'], [10n ** 24n, 2_000_000n * 10n ** 6n, 0]);
+      if (data === '0x313ce567') return coder.encode(['uint8'], [to === TOKEN ? 18 : 6]);
+      if (data.startsWith('0x70a08231')) return coder.encode(['uint256'], [2_000_000n * 10n ** 6n]);
+      throw new Error(`unexpected call ${to} ${data}`);
+    },
+  };
+  const r = await readPoolPrice(provider, POOL, TOKEN);
+  assert.equal(r.priceInQuote, 2);
+  assert.equal(r.quoteBalance, 2_000_000);
+});
@@ -0,0 +1,71 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { swapAssets } from '../src/swap/assets.js';
+import { ASSET } from '../src/swap/constants.js';
+import {
+  checkOfferLineCapacity,
+  matchRfqToOfferLine,
+  offerLinePriceLimit,
+  offerLineRemaining,
+  validateOfferLineTerms,
+} from '../src/swap/offerLines.js';
+
+// 1,000,000 sats capacity with a 650,000 USDT budget (atomic), filled in 100k..500k sat chunks.
+const RANGE = { btc_sats: 1_000_000, usdt_amount: '650000000', min_btc_sats: 100_000, max_btc_sats: 500_000 };
+
+test('offer lines: range/price fields are validated', () => {
+  assert.equal(validateOfferLineTerms({ btc_sats: 10_000, usdt_amount: '1000000' }).ok, true);
+  assert.equal(validateOfferLineTerms(RANGE).ok, true);
+  assert.equal(validateOfferLineTerms({ ...RANGE, min_btc_sats: 600_000 }).error, 'min_btc_sats must be <= max_btc_sats');
+  assert.equal(validateOfferLineTerms({ ...RANGE, max_btc_sats: 2_000_000 }).error, 'max_btc_sats must be <= btc_sats');
+  assert.equal(
+    validateOfferLineTerms({ ...RANGE, price_usdt_per_btc: '65000000000', oracle_spread_bps: -50 }).error,
+    'price_usdt_per_btc and oracle_spread_bps are exclusive'
+  );
+  assert.equal(validateOfferLineTerms({ ...RANGE, oracle_spread_bps: 9000 }).ok, false);
+  assert.equal(validateOfferLineTerms({ btc_sats: 10_000, usdt_amount: '1', oracle_spread_bps: 0 }).error, 'a priced line needs min_btc_sats or max_btc_sats');
+});
+
+test('offer lines: RFQs fill a range line at or below its price', () => {
+  const rfq = (btc_sats, usdt_amount, extra = {}) => ({ btc_sats, usdt_amount, ...extra });
+  // Implied price: 650,000 USDT for 1 BTC-equivalent of capacity -> 65,000 USDT/BTC.
+  assert.equal(offerLinePriceLimit(RANGE), 65_000_000_000n);
+  assert.equal(matchRfqToOfferLine({ rfqBody: rfq(200_000, '130000000'), line: RANGE }).ok, true);
+  assert.equal(matchRfqToOfferLine({ rfqBody: rfq(200_000, '120000000'), line: RANGE }).ok, true, 'cheaper is better for the maker');
+  assert.equal(matchRfqToOfferLine({ rfqBody: rfq(200_000, '130000001'), line: RANGE }).error, 'price above line limit');
+  assert.equal(matchRfqToOfferLine({ rfqBody: rfq(50_000, '30000000'), line: RANGE }).error, 'btc_sats outside line range 100000..500000');
+  assert.equal(
+    matchRfqToOfferLine({ rfqBody: rfq(200_000, '130000000', { sol_asset: swapAssets.ref(ASSET.USDC_SOL) }), line: RANGE }).error,
+    'asset mismatch'
+  );
+
+  // Fixed lines keep exact matching.
+  const fixed = { btc_sats: 10_000, usdt_amount: '1000000' };
+  assert.equal(matchRfqToOfferLine({ rfqBody: rfq(10_000, '1000000'), line: fixed }).ok, true);
+  assert.equal(matchRfqToOfferLine({ rfqBody: rfq(10_000, '900000'), line: fixed }).error, 'amount mismatch');
+
+  // Oracle-priced: 60,000 median, 1% below -> 59,400 USDT/BTC.
+  const oracle = { ...RANGE, oracle_spread_bps: -100 };
+  assert.equal(matchRfqToOfferLine({ rfqBody: rfq(100_000, '59400000'), line: oracle }).error, 'oracle price unavailable');
+  assert.equal(offerLinePriceLimit(oracle, { oraclePrice: 60_000 }), 59_400_000_000n);
+  assert.equal(matchRfqToOfferLine({ rfqBody: rfq(100_000, '59400000'), line: oracle, oraclePrice: 60_000 }).ok, true);
+  assert.equal(matchRfqToOfferLine({ rfqBody: rfq(100_000, '59500000'), line: oracle, oraclePrice: 60_000 }).ok, false);
+});
+
+test('offer lines: capacity is shared by concurrent fills and the line retires when used up', () => {
+  const fill = (state, btc_sats, usdt_amount) => ({ state, btc_sats, usdt_amount });
+  const want = { btc_sats: 300_000, usdt_amount: '195000000' };
+
+  assert.deepEqual(checkOfferLineCapacity(RANGE, [fill('in_flight', 500_000, '325000000')], want).ok, true);
+  const busy = checkOfferLineCapacity(RANGE, [fill('in_flight', 500_000, '325000000'), fill('filled', 300_000, '195000000')], want);
+  assert.equal(busy.error, 'listing_in_progress', 'capacity held by a trade that may still be cancelled');
+  assert.equal(busy.remaining.btc_sats, 200_000);
+  const full = checkOfferLineCapacity(RANGE, [fill('filled', 500_000, '325000000'), fill('filled', 300_000, '195000000')], want);
+  assert.equal(full.error, 'listing_filled');
+
+  assert.equal(offerLineRemaining(RANGE, [fill('filled', 500_000, '325000000')]).depleted, false);
+  assert.equal(offerLineRemaining(RANGE, [fill('filled', 500_000, '325000000'), fill('filled', 450_000, '292500000')]).depleted, true);
+  // The token budget can run out before the sats do.
+  assert.equal(offerLineRemaining(RANGE, [fill('filled', 100_000, '650000000')]).depleted, true);
+});
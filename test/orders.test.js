@@ -0,0 +1,237 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'node:fs';
+
+import { OrderStore } from '../src/receipts/orderStore.js';
+import { createOrderWatcher, priceHits } from '../src/core/orderWatcher.js';
+import { prepareOrder, orderInput } from '../src/agents/orders.js';
+
+const BONK = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+const USDC = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+
+function tmpDbPath(name) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'intercomswap-orders-'));
+  return path.join(dir, `${name}.sqlite`);
+}
+
+function stopLoss(store, extra = {}) {
+  return store.createOrder({
+    chain: 'sol',
+    tokenIn: BONK,
+    tokenOut: USDC,
+    symbolIn: 'BONK',
+    symbolOut: 'USDC',
+    amount: '1000000',
+    slippageBps: 100,
+    watchToken: BONK,
+    watchSymbol: 'BONK',
+    condition: 'below',
+    triggerPriceUsd: 0.00001,
+    ...extra,
+  });
+}
+
+test('orders: prepareOrder resolves legs, picks the watched token and validates the trigger', async () => {
+  const plan = (tokenIn, tokenOut) => ({
+    plan: {
+      chain: 'sol',
+      amount: '50',
+      slippageBps: 75,
+      tokenInInfo: { address: tokenIn === 'USDC' ? USDC : BONK, symbol: tokenIn },
+      tokenOutInfo: { address: tokenOut === 'USDC' ? USDC : BONK, symbol: tokenOut },
+    },
+    summary: { status: 'success' },
+  });
+
+  const buy = await prepareOrder(
+    { tokenIn: 'USDC', tokenOut: 'BONK', amount: 50, condition: 'above', triggerPriceUsd: '0.00003', expiresInSec: 60 },
+    { runPlan: async (input) => plan(input.tokenIn, input.tokenOut), source: 'cli', nowFn: () => 1000 }
+  );
+  assert.equal(buy.order.watchToken, BONK, 'paying with a stable watches the token bought');
+  assert.equal(buy.order.tokenIn, USDC);
+  assert.equal(buy.order.slippageBps, 75);
+  assert.equal(buy.order.expiresAt, 61_000);
+
+  const sell = await prepareOrder({ tokenIn: 'BONK', tokenOut: 'USDC', amount: 1, condition: 'below', triggerPriceUsd: 1 }, { runPlan: async (i) => plan(i.tokenIn, i.tokenOut) });
+  assert.equal(sell.order.watchToken, BONK);
+
+  await assert.rejects(prepareOrder({ condition: 'sideways', triggerPriceUsd: 1 }, { runPlan: async () => assert.fail('not reached') }), (e) => e.code === 'INVALID_ORDER');
+  await assert.rejects(prepareOrder({ condition: 'below', triggerPriceUsd: 0 }), (e) => e.code === 'INVALID_ORDER');
+});
+
+test('order store: cancel, expiry and the atomic claim', () => {
+  const store = OrderStore.open({ dbPath: tmpDbPath('store') });
+  try {
+    const a = stopLoss(store);
+    assert.equal(a.status, 'open');
+    assert.deepEqual(orderInput(a), { chain: 'sol', tokenIn: BONK, tokenOut: USDC, amount: '1000000', slippageBps: 100 });
+    assert.throws(() => stopLoss(store, { condition: 'sideways' }), /condition/);
+
+    const claimed = store.claimOrder(a.order_id, 0.000009);
+    assert.equal(claimed.status, 'triggered');
+    assert.equal(store.claimOrder(a.order_id, 0.000009), null, 'fires once');
+    assert.throws(() => store.cancelOrder(a.order_id), (e) => e.code === 'CANNOT_CANCEL');
+
+    const b = stopLoss(store);
+    assert.equal(store.cancelOrder(b.order_id).status, 'cancelled');
+    assert.equal(store.cancelOrder(b.order_id).status, 'cancelled');
+    assert.equal(store.claimOrder(b.order_id, 0.000001), null);
+
+    const c = stopLoss(store, { expiresAt: 5000 });
+    assert.deepEqual(store.expireOrders(4999), []);
+    assert.deepEqual(store.expireOrders(5000).map((o) => o.order_id), [c.order_id]);
+
+    // restart while `a` was executing: failed once its lease ran out, never re-fired
+    assert.deepEqual(store.recoverInterrupted(), [], 'lease still live');
+    assert.deepEqual(store.recoverInterrupted({ now: claimed.lease_until }), [a.order_id]);
+    assert.equal(store.getOrder(a.order_id).status, 'failed');
+  } finally {
+    store.close();
+  }
+});
+
+test('order watcher: a second watcher starting up leaves the first one\'s in-flight order alone', async () => {
+  const dbPath = tmpDbPath('lease');
+  const store = OrderStore.open({ dbPath });
+  const other = OrderStore.open({ dbPath });
+  try {
+    const a = stopLoss(store);
+    let release;
+    const executing = new Promise((resolve) => (release = resolve));
+    let started;
+    const inFlight = new Promise((resolve) => (started = resolve));
+    const first = createOrderWatcher({
+      store,
+      owner: 'watcher-1',
+      leaseMs: 30,
+      priceFn: async () => 0.000001,
+      executeFn: async () => {
+        started();
+        await executing;
+        return { confirmed: true, swapId: 'swap-1', ex: { status: 'confirmed' } };
+      },
+    });
+    const tick = first.tick();
+    await inFlight;
+    assert.equal(store.getOrder(a.order_id).lease_owner, 'watcher-1');
+
+    // outlive the initial lease: the renewals keep it owned
+    await new Promise((resolve) => setTimeout(resolve, 80));
+    const second = createOrderWatcher({ store: other, owner: 'watcher-2', priceFn: async () => null, executeFn: async () => assert.fail('not reached') });
+    assert.deepEqual(second.start(), []);
+    await second.stop();
+    assert.equal(other.getOrder(a.order_id).status, 'triggered');
+
+    release();
+    await tick;
+    const done = store.getOrder(a.order_id);
+    assert.deepEqual([done.status, done.lease_owner], ['filled', null]);
+  } finally {
+    other.close();
+    store.close();
+  }
+});
+
+test('order store: API orders keep their key and spend reservation, listing is per key', () => {
+  const store = OrderStore.open({ dbPath: tmpDbPath('owner') });
+  try {
+    const mine = stopLoss(store, { owner: 'web', spendId: 7 });
+    const theirs = stopLoss(store, { owner: 'bot' });
+    const cli = stopLoss(store);
+    assert.deepEqual([mine.owner, mine.spend_id], ['web', 7]);
+    assert.deepEqual([cli.owner, cli.spend_id], [null, null]);
+
+    assert.deepEqual(store.listOrders({ owner: 'web' }).map((o) => o.order_id), [mine.order_id]);
+    assert.deepEqual(store.listOrders({ owner: 'bot', status: 'open' }).map((o) => o.order_id), [theirs.order_id]);
+    assert.deepEqual(store.listOrders({ owner: 'bot', status: 'filled' }), []);
+    assert.equal(store.listOrders().length, 3, 'no owner: every order (CLI, auth off)');
+  } finally {
+    store.close();
+  }
+});
+
+test('order watcher: fires on the trigger, re-checks risk and records the swap', async () => {
+  const store = OrderStore.open({ dbPath: tmpDbPath('watch') });
+  try {
+    const sl = stopLoss(store);
+    const tp = stopLoss(store, { condition: 'above', triggerPriceUsd: 0.00005 });
+    const blocked = stopLoss(store, { tokenIn: USDC, tokenOut: BONK, amount: '10', triggerPriceUsd: 0.00002 });
+
+    let price = 0.00002;
+    let priceCalls = 0;
+    const executed = [];
+    const events = [];
+    const watcher = createOrderWatcher({
+      store,
+      priceFn: async (chain, address) => {
+        priceCalls += 1;
+        assert.equal(chain, 'sol');
+        assert.equal(address, BONK);
+        return price;
+      },
+      executeFn: async (order) => {
+        executed.push(order.order_id);
+        if (order.token_in === USDC) {
+          const err = new Error('RiskGate BLOCKED swap: score=90');
+          err.code = 'RISK_BLOCKED';
+          err.risk = { level: 'BLOCK', score: 90 };
+          throw err;
+        }
+        return { confirmed: true, swapId: 'swap-1', ex: { txid: 'sig1', status: 'confirmed' }, summary: { txid: 'sig1' } };
+      },
+      onEvent: (type) => events.push(type),
+    });
+
+    let r = await watcher.tick();
+    assert.equal(r.checked, 3);
+    assert.equal(priceCalls, 1, 'one price per watched token');
+    assert.deepEqual(executed, [blocked.order_id], 'only the order at its trigger');
+    assert.equal(store.getOrder(blocked.order_id).status, 'blocked');
+    assert.equal(store.getOrder(blocked.order_id).result.risk.score, 90);
+    assert.equal(store.getOrder(sl.order_id).last_price_usd, 0.00002);
+
+    price = 0.000009;
+    r = await watcher.tick();
+    assert.deepEqual(r.fired.map((o) => [o.order_id, o.status]), [[sl.order_id, 'filled']]);
+    const filled = store.getOrder(sl.order_id);
+    assert.equal(filled.swap_id, 'swap-1');
+    assert.equal(filled.triggered_price_usd, 0.000009);
+    assert.equal(store.getOrder(tp.order_id).status, 'open');
+    assert.deepEqual(events.filter((e) => e !== 'price'), ['triggered', 'blocked', 'triggered', 'filled']);
+  } finally {
+    store.close();
+  }
+});
+
+test('order watcher: errors before execution retry, executor errors are final', async () => {
+  const store = OrderStore.open({ dbPath: tmpDbPath('retry') });
+  try {
+    const a = stopLoss(store);
+    const b = stopLoss(store, { watchToken: USDC, condition: 'above', triggerPriceUsd: 0.99 });
+    const errors = { [a.order_id]: () => new Error('quote: fetch failed'), [b.order_id]: () => Object.assign(new Error('tx expired'), { stage: 'execute', historyId: 'swap-9' }) };
+    const watcher = createOrderWatcher({
+      store,
+      maxAttempts: 2,
+      priceFn: async (_chain, address) => (address === USDC ? 1 : 0.000001),
+      executeFn: async (order) => {
+        throw errors[order.order_id]();
+      },
+    });
+
+    await watcher.tick();
+    assert.equal(store.getOrder(a.order_id).status, 'open');
+    assert.match(store.getOrder(a.order_id).last_error, /fetch failed/);
+    const failed = store.getOrder(b.order_id);
+    assert.deepEqual([failed.status, failed.swap_id], ['failed', 'swap-9']);
+
+    await watcher.tick();
+    assert.equal(store.getOrder(a.order_id).status, 'failed', 'gives up after maxAttempts');
+    assert.equal(store.getOrder(a.order_id).attempts, 2);
+
+    assert.equal(priceHits({ condition: 'below', trigger_price_usd: 1 }, 0), false, 'no price is never a hit');
+  } finally {
+    store.close();
+  }
+});
@@ -0,0 +1,178 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { fallbackPlanGraph, parsePlanGraph } from '../src/agents/agentScout.js';
+import { validatePlanGraph, singleSwapInput, PLAN_SCHEMA } from '../src/agents/planGraph.js';
+import { executePlanStep, runPlanGraph, stepAmountAtomic } from '../src/agents/planRunner.js';
+import { agentBridgeRiskGate } from '../src/agents/riskgate.js';
+import { groqStructured } from '../src/core/groq.js';
+import { validateSchema } from '../src/core/jsonSchema.js';
+
+const SOL = { address: 'So11111111111111111111111111111111111111112', symbol: 'SOL', decimals: 9, native: true };
+const USDC = { address: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', symbol: 'USDC', decimals: 6 };
+const BONK = { address: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263', symbol: 'BONK', decimals: 5 };
+const BASE_USDC = { address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', symbol: 'USDC', decimals: 6 };
+
+test('plan graph: fallback parser handles relative amounts and chained bridge steps', () => {
+  const half = fallbackPlanGraph('sell half my BONK to USDC');
+  assert.deepEqual(half.steps[0].amount, { mode: 'percent', value: '50', step: null });
+  assert.deepEqual([half.steps[0].tokenIn, half.steps[0].tokenOut], ['BONK', 'USDC']);
+  assert.equal(singleSwapInput(half), null, 'relative amounts are not a classic single swap');
+
+  // a missing amount or target is asked back, not guessed (all / USDC)
+  assert.throws(
+    () => fallbackPlanGraph('sell my BONK to USDC'),
+    (e) => e.code === 'INCOMPLETE_INTENT' && e.missing[0] === 'amount' && /^How much BONK do you want to sell\?/.test(e.question)
+  );
+  assert.throws(
+    () => fallbackPlanGraph('sell half my BONK'),
+    (e) => e.code === 'INCOMPLETE_INTENT' && e.missing[0] === 'tokenOut' && /^Which token do you want to sell BONK for\?/.test(e.question)
+  );
+
+  const chained = fallbackPlanGraph('swap 1 SOL to USDC then bridge to base');
+  assert.deepEqual(validatePlanGraph(chained), []);
+  assert.deepEqual(
+    chained.steps.map((s) => [s.id, s.kind, s.chain, s.toChain, s.tokenIn, s.amount.mode]),
+    [
+      ['s1', 'swap', 'sol', null, 'SOL', 'exact'],
+      ['s2', 'bridge', 'sol', 'base', 'USDC', 'output'],
+    ]
+  );
+  assert.deepEqual(chained.steps[1].dependsOn, ['s1']);
+
+  assert.deepEqual(singleSwapInput(fallbackPlanGraph('swap 1 USDC to SOL slippage 1%')), { chain: 'sol', tokenIn: 'USDC', tokenOut: 'SOL', amount: '1', slippageBps: 100 });
+  assert.equal(fallbackPlanGraph('1 USDC ke SOL').steps[0].tokenOut, 'SOL', 'legacy phrasing still parses');
+  assert.throws(() => fallbackPlanGraph('swap it to SOL'), (e) => e.code === 'INCOMPLETE_INTENT');
+});
+
+test('plan graph: schema and semantic validation', async () => {
+  const g = fallbackPlanGraph('swap 1 SOL to USDC then bridge to base');
+  const bad = structuredClone(g);
+  bad.steps[1].dependsOn = ['s3'];
+  bad.steps[1].amount.step = 's3';
+  assert.match(validatePlanGraph(bad).join('\n'), /s3 is not an earlier step/);
+
+  const wrongToken = structuredClone(g);
+  wrongToken.steps[1].tokenIn = 'BONK';
+  assert.match(validatePlanGraph(wrongToken).join('\n'), /produces USDC, not BONK/);
+
+  const extra = structuredClone(g);
+  extra.steps[0].amount.value = 'lots';
+  extra.steps[0].memo = 'x';
+  assert.deepEqual(validateSchema(PLAN_SCHEMA, extra), ['$.steps[0].amount.value: does not match ^[0-9]+(\\.[0-9]+)?$', '$.steps[0].memo: unexpected property']);
+
+  // a Groq answer is normalized and validated like the fallback
+  const ai = structuredClone(g);
+  ai.steps[0].tokenOut = 'usdc';
+  const parsed = await parsePlanGraph('anything', { structuredFn: async () => ai });
+  assert.equal(parsed.source, 'groq');
+  assert.equal(parsed.graph.steps[0].tokenOut, 'USDC');
+  await assert.rejects(parsePlanGraph('anything', { structuredFn: async () => bad }), (e) => e.code === 'INVALID_PLAN' && e.errors.length > 0);
+});
+
+test('groq structured output: falls back to json_object and retries with the validation errors', async () => {
+  const prev = process.env.GROQ_API_KEY;
+  process.env.GROQ_API_KEY = 'test';
+  try {
+    const bodies = [];
+    const answers = [
+      { status: 400, body: { error: { message: 'response_format json_schema is not supported by this model' } } },
+      { status: 200, content: 'not json' },
+      { status: 503, body: { error: 'busy' } },
+      { status: 200, content: JSON.stringify({ n: 'x' }) },
+      { status: 200, content: JSON.stringify({ n: 3 }) },
+    ];
+    const requestFn = async (_url, opts) => {
+      bodies.push(JSON.parse(opts.body));
+      const a = answers.shift();
+      const body = a.body || { choices: [{ message: { content: a.content } }] };
+      return { statusCode: a.status, body: { text: async () => JSON.stringify(body) } };
+    };
+    const schema = { type: 'object', required: ['n'], properties: { n: { type: 'integer' } } };
+
+    const out = await groqStructured({ system: 'sys', prompt: 'p', schema, retries: 4, requestFn, sleepFn: async () => {} });
+    assert.deepEqual(out, { n: 3 });
+    assert.equal(bodies[0].response_format.type, 'json_schema');
+    assert.equal(bodies[1].response_format.type, 'json_object');
+    assert.match(bodies[1].messages[0].content, /matching this schema/);
+    assert.match(bodies[4].messages.at(-1).content, /\$\.n: expected integer/);
+
+    answers.push(...Array(3).fill({ status: 200, content: '{}' }));
+    assert.equal(await groqStructured({ system: 's', prompt: 'p', schema, retries: 2, requestFn, sleepFn: async () => {} }), null, 'gives up after the retries');
+  } finally {
+    if (prev === undefined) delete process.env.GROQ_API_KEY;
+    else process.env.GROQ_API_KEY = prev;
+  }
+});
+
+test('plan runner: live balances, chained outputs and step-by-step approval', async () => {
+  assert.equal(stepAmountAtomic({ chain: 'sol', amount: { mode: 'all' } }, { tokenInInfo: SOL, balanceAtomic: '1010000000' }), '1000000000', 'fee reserve stays');
+  assert.equal(stepAmountAtomic({ chain: 'sol', amount: { mode: 'percent', value: '12.5' } }, { tokenInInfo: USDC, balanceAtomic: '8000000' }), '1000000');
+
+  const tokens = { 'sol:BONK': BONK, 'sol:USDC': USDC, 'sol:SOL': SOL, 'base:USDC': BASE_USDC };
+  const resolveTokenFn = async (chain, t) => tokens[`${chain}:${t}`];
+  const executed = [];
+  const executeStep = async (step, resolved, { dryRun }) => {
+    if (!dryRun) executed.push(`${step.id}:${resolved.amountAtomic}`);
+    const out = step.kind === 'bridge' ? BASE_USDC : tokens[`sol:${step.tokenOut}`];
+    return { ok: true, output: { chain: step.toChain || step.chain, info: out, amountAtomic: dryRun ? '1000' : '990', estimated: dryRun }, summary: {} };
+  };
+
+  const graph = fallbackPlanGraph('sell half my BONK to USDC then bridge to base');
+  graph.steps.push({ id: 's3', kind: 'swap', chain: 'sol', toChain: null, tokenIn: 'SOL', tokenOut: 'USDC', amount: { mode: 'exact', value: '0.1', step: null }, slippageBps: null, dependsOn: [] });
+
+  const asked = [];
+  const res = await runPlanGraph(graph, {
+    balanceFn: async (_chain, info) => (info === BONK ? '300001' : '0'),
+    resolveTokenFn,
+    executeStep,
+    approveStep: async (step, { resolved }) => {
+      asked.push(`${step.id}:${resolved.amount}`);
+      return step.id !== 's2';
+    },
+  });
+  assert.deepEqual(asked, ['s1:1.5', 's2:0.00099', 's3:0.1'], 'the bridge spends what s1 actually received');
+  assert.deepEqual(res.steps.map((s) => s.status), ['done', 'declined', 'done'], 'an independent step still runs');
+  assert.deepEqual(executed, ['s1:150000', 's3:100000000']);
+  assert.equal(res.ok, false);
+
+  const dry = await runPlanGraph(graph, { dryRun: true, balanceFn: async () => '0', resolveTokenFn, executeStep });
+  assert.deepEqual(dry.steps.map((s) => s.status), ['failed', 'skipped', 'quoted']);
+  assert.match(dry.steps[0].error, /No BONK to spend/);
+  assert.equal(dry.steps[0].stage, 'quote');
+});
+
+test('plan runner: bridges land on known tokens only and carry the approval options', async () => {
+  const bridge = { id: 's2', kind: 'bridge', chain: 'sol', toChain: 'base', tokenIn: 'USDC', tokenOut: null, amount: { mode: 'exact', value: '1', step: null }, slippageBps: null, dependsOn: [] };
+  const resolved = { tokenInInfo: USDC, amountAtomic: '1000000', amount: '1' };
+  const confirmFn = async () => 'y';
+  const calls = [];
+  const bridgeFn = async (input, opts) => {
+    calls.push({ input, opts });
+    return { status: 'done', received: '990000', quote: { outAmount: '990000' }, risk: { level: 'SAFE' } };
+  };
+  const resolveTokenFn = async (chain, t) => (chain === 'base' && t === 'USDC' ? BASE_USDC : assert.fail(`resolved ${chain}:${t}`));
+
+  const res = await executePlanStep(bridge, resolved, { dryRun: false, confirmFn, autoApprove: true, bridgeFn, resolveTokenFn });
+  assert.equal(res.ok, true);
+  assert.equal(calls[0].input.tokenOutInfo, BASE_USDC);
+  assert.deepEqual(calls[0].opts, { dryRun: false, confirmFn, autoApprove: true });
+  assert.deepEqual(res.summary.risk, { level: 'SAFE' });
+
+  // BONK has no built-in entry on base: no symbol search on the destination chain
+  await assert.rejects(
+    executePlanStep({ ...bridge, tokenIn: 'BONK' }, { ...resolved, tokenInInfo: BONK }, { dryRun: true, bridgeFn, resolveTokenFn }),
+    (e) => e.code === 'INVALID_PLAN' && /name the token to receive on base by address/.test(e.message)
+  );
+  assert.equal(calls.length, 1);
+});
+
+test('riskgate: bridge routes are scored on the value they lose', () => {
+  const policy = { name: 'test', blockScore: 75, cautionScore: 45, rules: {} };
+  assert.equal(agentBridgeRiskGate({}, { outAmount: '990000', fromAmountUsd: '1.00', toAmountUsd: '0.99' }, { policy }).level, 'SAFE');
+  assert.match(agentBridgeRiskGate({}, { outAmount: '950000', fromAmountUsd: '1.00', toAmountUsd: '0.95' }, { policy }).flags[0], /^HIGH_BRIDGE_LOSS_5\.00%$/);
+  assert.throws(
+    () => agentBridgeRiskGate({}, { outAmount: '0', minOut: '0', fromAmountUsd: '1.00', toAmountUsd: '0' }, { policy }),
+    (e) => e.code === 'RISK_BLOCKED' && e.risk.flags[0] === 'ZERO_OUTPUT_BRIDGE'
+  );
+});
@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createPoller } from '../src/core/poller.js';
+import { codedError } from '../src/core/errors.js';
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+test('poller: concurrent ticks share the pass in flight', async () => {
+  let passes = 0;
+  const poller = createPoller({
+    runTick: async () => {
+      passes += 1;
+      await sleep(5);
+      return { pass: passes };
+    },
+    intervalMs: 1000,
+  });
+  const [a, b] = await Promise.all([poller.tick(), poller.tick()]);
+  assert.equal(passes, 1);
+  assert.equal(a, b);
+  await poller.tick();
+  assert.equal(passes, 2);
+});
+
+test('poller: start recovers once, keeps polling past errors, stop waits for the pass', async () => {
+  let recovered = 0;
+  let passes = 0;
+  const errors = [];
+  const poller = createPoller({
+    runTick: async () => {
+      passes += 1;
+      if (passes === 1) throw codedError('BOOM', 'first pass failed');
+      await sleep(5);
+    },
+    recover: () => {
+      recovered += 1;
+      return ['job-1'];
+    },
+    intervalMs: 1,
+    onError: (e) => errors.push(e.code),
+  });
+
+  assert.deepEqual(poller.start(), ['job-1']);
+  assert.deepEqual(poller.start(), [], 'already running');
+  while (passes < 3) await sleep(2);
+  await poller.stop();
+  const after = passes;
+  await sleep(20);
+
+  assert.equal(recovered, 1);
+  assert.deepEqual(errors, ['BOOM']);
+  assert.equal(passes, after, 'no pass after stop');
+});
+
+test('codedError: code and extra fields on a plain Error', () => {
+  const err = codedError('RISK_BLOCKED', 'blocked', { risk: { level: 'BLOCK' }, code: 'IGNORED' });
+  assert.ok(err instanceof Error);
+  assert.equal(err.message, 'blocked');
+  assert.equal(err.code, 'RISK_BLOCKED');
+  assert.deepEqual(err.risk, { level: 'BLOCK' });
+});
@@ -0,0 +1,109 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+
+import { fetchSolHoldings, fetchEvmHoldings, valueHoldings, buildPortfolio, portfolioWatchlist } from '../src/core/portfolio.js';
+import { dexSnapshotForToken } from '../src/core/marketProviders.js';
+
+const OWNER = '9xQeWvG816bUx9EPjHmaT23yvVM2ZWbrrpZb9PusVFin';
+const USDC = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const T22 = '2b1kV6DkPAnxd5ixfnxCpjxmKwqjjaYmCZfHsFu24GXo';
+const TOKEN_2022 = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb';
+
+function tokenAccount(mint, amount, decimals) {
+  return { account: { data: { parsed: { info: { mint, tokenAmount: { amount, decimals } } } } } };
+}
+
+const fakeConnection = {
+  async getBalance() {
+    return 2_500_000_000;
+  },
+  async getParsedTokenAccountsByOwner(_owner, { programId }) {
+    if (programId.toBase58() === TOKEN_2022) return { value: [tokenAccount(T22, '1000000', 6)] };
+    // two accounts of the same mint add up, empty ones are skipped
+    return { value: [tokenAccount(USDC, '1500000', 6), tokenAccount(USDC, '500000', 6), tokenAccount('Dust1111111111111111111111111111111111111111', '0', 9)] };
+  },
+};
+
+test('portfolio: SPL + Token-2022 holdings per mint', async () => {
+  const rows = await fetchSolHoldings(fakeConnection, OWNER);
+  assert.deepEqual(
+    rows.map((r) => [r.symbol, r.amountAtomic, r.program]),
+    [
+      ['SOL', '2500000000', null],
+      ['USDC', '2000000', 'token'],
+      [null, '1000000', 'token-2022'],
+    ]
+  );
+});
+
+test('portfolio: ERC-20 watchlist balances over eth_call', async () => {
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+  const TOKEN_A = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+  const TOKEN_ZERO = '0x0000000000000000000000000000000000000aaa';
+  const TOKEN_BAD = '0x0000000000000000000000000000000000000bad';
+  const provider = {
+    async getBalance() {
+      return 10n ** 17n;
+    },
+    async call(tx) {
+      const to = tx.to.toLowerCase();
+      const sel = tx.data.slice(0, 10);
+      if (to === TOKEN_BAD) throw new Error('execution reverted');
+      if (sel === '0x70a08231') return coder.encode(['uint256'], [to === TOKEN_ZERO ? 0n : 12_340_000n]);
+      if (sel === '0x313ce567') return coder.encode(['uint8'], [6]);
+      return coder.encode(['string'], ['TKN']);
+    },
+  };
+
+  const rows = await fetchEvmHoldings(provider, 'base', '0x000000000000000000000000000000000000dEaD', [TOKEN_A, TOKEN_ZERO, TOKEN_BAD]);
+  assert.equal(rows[0].symbol, 'ETH');
+  assert.equal(rows[0].amountAtomic, '100000000000000000');
+  assert.deepEqual([rows[1].symbol, rows[1].decimals, rows[1].amountAtomic], ['USDC', 6, '12340000']);
+  assert.equal(rows.length, 3);
+  assert.match(rows[2].error, /reverted/);
+});
+
+test('portfolio: valuation, totals and per-chain errors', async () => {
+  const prices = { [USDC]: 1, So11111111111111111111111111111111111111112: 150, '0x4200000000000000000000000000000000000006': 3000 };
+  const priceFn = async (_chain, address) => prices[address] ?? null;
+
+  const sol = await valueHoldings('sol', await fetchSolHoldings(fakeConnection, OWNER), { priceFn });
+  assert.equal(sol.totalUsd, 2.5 * 150 + 2);
+  assert.deepEqual(sol.holdings.map((h) => h.symbol), ['SOL', 'USDC', null]);
+  assert.deepEqual(sol.unpriced, [T22]);
+
+  const p = await buildPortfolio(
+    [
+      { chain: 'sol', address: OWNER, load: () => fetchSolHoldings(fakeConnection, OWNER) },
+      { chain: 'base', address: '0xabc', load: async () => [{ symbol: 'ETH', address: null, native: true, decimals: 18, amountAtomic: '500000000000000000' }] },
+      { chain: 'eth', address: '0xabc', load: async () => { throw new Error('Missing RPC for eth'); } },
+    ],
+    { priceFn, nowFn: () => 42 }
+  );
+  assert.equal(p.totalUsd, 377 + 1500);
+  assert.equal(p.chains[1].holdings[0].valueUsd, 1500);
+  assert.equal(p.chains[2].error, 'Missing RPC for eth');
+  assert.equal(p.at, 42);
+});
+
+test('portfolio: watchlist from env plus built-ins, and quote-side Dexscreener prices', () => {
+  const base = portfolioWatchlist('base', { PORTFOLIO_TOKENS_BASE: '0x4200000000000000000000000000000000000006, 0x0000000000000000000000000000000000000001' });
+  assert.deepEqual(base, ['0x4200000000000000000000000000000000000006', '0x0000000000000000000000000000000000000001', '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913']);
+  assert.deepEqual(portfolioWatchlist('bsc', {}), []);
+  assert.throws(() => portfolioWatchlist('eth', { PORTFOLIO_TOKENS_ETH: 'nope' }), /not an address/);
+
+  const pair = (base, quote, priceUsd, priceNative) => ({
+    chainId: 'solana',
+    baseToken: { address: base, symbol: 'X' },
+    quoteToken: { address: quote, symbol: 'USDC' },
+    priceUsd: String(priceUsd),
+    priceNative: String(priceNative),
+    liquidity: { usd: 1000 },
+  });
+  // USDC only shows up as the quote side: price = priceUsd / priceNative
+  const snap = dexSnapshotForToken([pair('Meme', USDC, 0.5, 0.5)], { chain: 'sol', tokenAddress: USDC });
+  assert.equal(snap.priceUsd, 1);
+  const own = dexSnapshotForToken([pair('Meme', USDC, 0.5, 0.5), pair(USDC, 'Other', 1.001, 2)], { chain: 'sol', tokenAddress: USDC });
+  assert.equal(own.priceUsd, 1.001);
+});
@@ -77,3 +77,18 @@ test('price oracle: fails consensus when minAgree cannot be met', async () => {
   assert.match(String(snap.pairs[PAIR.BTC_USDT].error || ''), /no consensus|insufficient consensus/);
 });
 
+
+test('price oracle: quotes BTC_USDC for USDC settlement', async () => {
+  const oracle = new PriceOracle({
+    providerIds: 'static',
+    staticPrices: { [PAIR.BTC_USDT]: 200000, [PAIR.BTC_USDC]: 200100 },
+    staticCount: 5,
+    requiredProviders: 5,
+    pairs: [PAIR.BTC_USDC],
+  });
+
+  const snap = await oracle.tick();
+  assert.equal(snap.ok, true);
+  assert.equal(snap.pairs[PAIR.BTC_USDC].median, 200100);
+  assert.equal(snap.pairs[PAIR.BTC_USDT], undefined);
+});
@@ -0,0 +1,102 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { checkQuoteAgainstRfq, makerReputation, quoteTakerAmount, rankQuotes } from '../src/swap/quoteSelection.js';
+
+const NOW = 1_700_000_000;
+const MAKER_A = 'a'.repeat(64);
+const MAKER_B = 'b'.repeat(64);
+const MAKER_C = 'c'.repeat(64);
+
+const rfq = (extra = {}) => ({
+  direction: 'BTC_LN->USDT_SOL',
+  btc_sats: 100_000,
+  usdt_amount: '0',
+  max_platform_fee_bps: 10,
+  max_trade_fee_bps: 20,
+  max_total_fee_bps: 30,
+  min_sol_refund_window_sec: 3600,
+  max_sol_refund_window_sec: 7 * 86400,
+  valid_until_unix: NOW + 600,
+  ...extra,
+});
+
+const quote = (extra = {}) => ({
+  direction: 'BTC_LN->USDT_SOL',
+  btc_sats: 100_000,
+  usdt_amount: '60000000',
+  platform_fee_bps: 10,
+  trade_fee_bps: 10,
+  sol_refund_window_sec: 72 * 3600,
+  valid_until_unix: NOW + 60,
+  ...extra,
+});
+
+test('quote selection: quotes outside the RFQ terms are rejected with a reason', () => {
+  const check = (q, r = rfq()) => checkQuoteAgainstRfq({ rfqBody: r, quoteBody: quote(q), nowSec: NOW }).error;
+  assert.equal(check({}), null);
+  assert.equal(check({ valid_until_unix: NOW }), 'quote expired');
+  assert.equal(check({ usdt_amount: '0' }), 'quote amount invalid');
+  assert.equal(check({ btc_sats: 50_000 }), 'btc_sats mismatch');
+  assert.equal(check({ direction: 'USDT_SOL->BTC_LN' }), 'direction mismatch');
+  assert.equal(check({ sol_asset: { asset: 'USDC_SOL' } }), 'asset mismatch');
+  assert.equal(check({ trade_fee_bps: 25 }), 'trade fee above RFQ cap');
+  assert.equal(check({ sol_refund_window_sec: 600 }), 'refund window below RFQ minimum');
+  assert.equal(check({ usdt_amount: '59000000' }, rfq({ usdt_amount: '59500000' })), 'price worse than RFQ');
+  // A taker that pays the token treats the RFQ amount as a ceiling.
+  const sell = { direction: 'USDT_SOL->BTC_LN' };
+  assert.equal(check({ ...sell, usdt_amount: '60000000' }, rfq({ ...sell, usdt_amount: '59500000' })), 'price worse than RFQ');
+  assert.equal(check({ ...sell, usdt_amount: '59000000' }, rfq({ ...sell, usdt_amount: '59500000' })), null);
+});
+
+test('quote selection: effective price counts the fees the taker pays', () => {
+  assert.equal(quoteTakerAmount(quote()), 60_000_000n);
+  assert.equal(quoteTakerAmount(quote({ direction: 'USDT_SOL->BTC_LN' })), 60_120_000n);
+  assert.equal(makerReputation(null), 0.5);
+  assert.equal(makerReputation({ completed: 8, failed: 0 }), 0.9);
+
+  // Taker pays the token: the lower net amount loses once its higher trade fee is added.
+  const sell = { direction: 'USDT_SOL->BTC_LN', sol_refund_window_sec: 3600 };
+  const { ranked } = rankQuotes({
+    rfqBody: rfq({ direction: 'USDT_SOL->BTC_LN' }),
+    quotes: [
+      { quote_id: '1'.repeat(64), signer: MAKER_A, body: quote({ ...sell, usdt_amount: '60000000', trade_fee_bps: 20 }) },
+      { quote_id: '2'.repeat(64), signer: MAKER_B, body: quote({ ...sell, usdt_amount: '60030000', trade_fee_bps: 0 }) },
+    ],
+    nowSec: NOW,
+  });
+  assert.deepEqual(ranked.map((r) => r.signer), [MAKER_B, MAKER_A]);
+  assert.equal(ranked[0].taker_amount, '60090030');
+  assert.equal(ranked[0].price_bps, 0);
+  assert.ok(ranked[1].price_bps < 0);
+});
+
+test('quote selection: ranking by price, then refund window and maker reputation', () => {
+  const quotes = [
+    { quote_id: '1'.repeat(64), signer: MAKER_A, body: quote({ usdt_amount: '59900000' }) },
+    { quote_id: '2'.repeat(64), signer: MAKER_B, body: quote() },
+    { quote_id: '3'.repeat(64), signer: MAKER_C, body: quote() },
+    { quote_id: '4'.repeat(64), signer: MAKER_C, body: quote({ max_total_fee_bps: 5, platform_fee_bps: 30 }) },
+  ];
+  const makerStats = new Map([
+    [MAKER_B, { completed: 0, failed: 3 }],
+    [MAKER_C, { completed: 10, failed: 0 }],
+  ]);
+  const { ranked, rejected } = rankQuotes({ rfqBody: rfq(), quotes, makerStats, nowSec: NOW });
+  assert.deepEqual(rejected, [{ quote_id: '4'.repeat(64), signer: MAKER_C, reason: 'platform fee above RFQ cap' }]);
+  // Same price: the maker with a clean record wins; a 16.7 bps worse price outweighs reputation.
+  assert.deepEqual(ranked.map((r) => r.quote_id), ['3'.repeat(64), '2'.repeat(64), '1'.repeat(64)]);
+  assert.equal(ranked[2].price_bps, -16.66);
+  assert.ok(ranked[0].reputation_bps > 0 && ranked[1].reputation_bps < 0);
+
+  // A taker that claims the escrow prefers the longer refund window.
+  const byWindow = rankQuotes({
+    rfqBody: rfq(),
+    quotes: [
+      { quote_id: '5'.repeat(64), signer: MAKER_A, body: quote({ sol_refund_window_sec: 3600 }) },
+      { quote_id: '6'.repeat(64), signer: MAKER_A, body: quote({ sol_refund_window_sec: 48 * 3600 }) },
+    ],
+    nowSec: NOW,
+  });
+  assert.equal(byWindow.ranked[0].quote_id, '6'.repeat(64));
+});
@@ -96,3 +96,120 @@ test('receipts store: listing lock lifecycle supports in_flight -> filled and de
     store.close();
   }
 });
+
+test('receipts store: listListingLocksByListing returns the per-trade fills of one offer line', () => {
+  const dbPath = tmpDbPath('listing-fills');
+  const store = TradeReceiptsStore.open({ dbPath });
+  try {
+    for (const [tradeId, listingId] of [['t1', 'abcd:0'], ['t2', 'abcd:0'], ['t3', 'abcd:1']]) {
+      store.upsertListingLock(`offer_fill:${listingId}:${tradeId}`, {
+        listing_type: 'offer_fill',
+        listing_id: listingId,
+        trade_id: tradeId,
+        state: 'in_flight',
+        meta_json: { btc_sats: 1000, usdt_amount: '650000' },
+      });
+    }
+    const fills = store.listListingLocksByListing('offer_fill', 'abcd:0');
+    assert.deepEqual(fills.map((r) => r.trade_id).sort(), ['t1', 't2']);
+    assert.equal(JSON.parse(fills[0].meta_json).usdt_amount, '650000');
+    assert.equal(store.listListingLocksByListing('offer_line', 'abcd:0').length, 0);
+
+    store.deleteListingLocksByTrade('t1');
+    assert.equal(store.listListingLocksByListing('offer_fill', 'abcd:0').length, 1);
+  } finally {
+    store.close();
+  }
+});
+
+test('receipts store: getMakerStats counts settled and maker-caused failed trades per maker', () => {
+  const dbPath = tmpDbPath('maker-stats');
+  const store = TradeReceiptsStore.open({ dbPath });
+  try {
+    const maker = 'a'.repeat(64);
+    store.upsertTrade('t1', { maker_peer: maker, state: 'claimed', direction: 'BTC_LN->USDT_SOL' });
+    store.upsertTrade('t2', { maker_peer: maker, state: 'claimed' });
+    // maker paid LN: a refund to the taker means the maker never paid
+    store.upsertTrade('t3', { maker_peer: maker, state: 'refunded', direction: 'USDT_SOL->BTC_LN' });
+    // maker escrowed: the refund went back to the maker because the taker never paid
+    store.upsertTrade('t4', { maker_peer: maker, state: 'refunded', direction: 'BTC_LN->USDT_SOL' });
+    store.upsertTrade('t5', { maker_peer: maker, state: 'canceled', direction: 'USDT_SOL->BTC_LN' });
+    store.upsertTrade('t6', { maker_peer: maker, state: 'escrow' });
+    store.upsertTrade('t7', { maker_peer: 'c'.repeat(64), state: 'refunded', direction: 'USDT_SOL->BTC_LN' });
+
+    assert.deepEqual(store.getMakerStats(maker.toUpperCase()), { maker_peer: maker, completed: 2, failed: 1, open: 1, other: 2 });
+    assert.deepEqual(store.getMakerStats('d'.repeat(64)), { maker_peer: 'd'.repeat(64), completed: 0, failed: 0, open: 0, other: 0 });
+    assert.equal(store.getTrade('t3').direction, 'USDT_SOL->BTC_LN');
+  } finally {
+    store.close();
+  }
+});
+
+test('receipts store: v3 databases gain trades.asset', () => {
+  const dbPath = tmpDbPath('asset-migration');
+  const store = TradeReceiptsStore.open({ dbPath });
+  try {
+    store.upsertTrade('t1', { state: 'terms', usdt_amount: '1000000' });
+    // Roll back to a v3 layout: no asset column.
+    store.db.exec('ALTER TABLE trades DROP COLUMN asset;');
+    store.db.prepare("UPDATE meta SET v = '3' WHERE k = 'schema_version'").run();
+  } finally {
+    store.close();
+  }
+
+  const reopened = TradeReceiptsStore.open({ dbPath });
+  try {
+    assert.equal(reopened.db.prepare("SELECT v FROM meta WHERE k = 'schema_version'").get().v, '6');
+    assert.equal(reopened.getTrade('t1').asset, null);
+    assert.equal(reopened.upsertTrade('t2', { state: 'terms', asset: 'USDC_SOL' }).asset, 'USDC_SOL');
+    assert.equal(reopened.upsertTrade('t2', { state: 'escrow' }).asset, 'USDC_SOL');
+  } finally {
+    reopened.close();
+  }
+});
+
+test('receipts store: v4 databases gain trades.price_ref_json', () => {
+  const dbPath = tmpDbPath('price-ref-migration');
+  const store = TradeReceiptsStore.open({ dbPath });
+  try {
+    store.upsertTrade('t1', { state: 'terms', asset: 'USDT_SOL' });
+    store.db.exec('ALTER TABLE trades DROP COLUMN price_ref_json;');
+    store.db.prepare("UPDATE meta SET v = '4' WHERE k = 'schema_version'").run();
+  } finally {
+    store.close();
+  }
+
+  const reopened = TradeReceiptsStore.open({ dbPath });
+  try {
+    assert.equal(reopened.db.prepare("SELECT v FROM meta WHERE k = 'schema_version'").get().v, '6');
+    assert.equal(reopened.getTrade('t1').price_ref_json, null);
+    const ref = { pair: 'BTC_USDT', median: '65000', ts: 1, spread_bps: 50 };
+    assert.deepEqual(JSON.parse(reopened.upsertTrade('t1', { price_ref_json: ref }).price_ref_json), ref);
+    assert.deepEqual(JSON.parse(reopened.upsertTrade('t1', { state: 'escrow' }).price_ref_json), ref);
+  } finally {
+    reopened.close();
+  }
+});
+
+test('receipts store: v5 databases gain trades.direction', () => {
+  const dbPath = tmpDbPath('direction-migration');
+  const store = TradeReceiptsStore.open({ dbPath });
+  try {
+    store.upsertTrade('t1', { state: 'refunded', maker_peer: 'a'.repeat(64) });
+    store.db.exec('ALTER TABLE trades DROP COLUMN direction;');
+    store.db.prepare("UPDATE meta SET v = '5' WHERE k = 'schema_version'").run();
+  } finally {
+    store.close();
+  }
+
+  const reopened = TradeReceiptsStore.open({ dbPath });
+  try {
+    assert.equal(reopened.db.prepare("SELECT v FROM meta WHERE k = 'schema_version'").get().v, '6');
+    assert.equal(reopened.getTrade('t1').direction, null);
+    // an unknown direction never counts against the maker
+    assert.equal(reopened.getMakerStats('a'.repeat(64)).failed, 0);
+    assert.equal(reopened.upsertTrade('t1', { direction: 'USDT_SOL->BTC_LN' }).direction, 'USDT_SOL->BTC_LN');
+  } finally {
+    reopened.close();
+  }
+});
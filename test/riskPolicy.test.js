@@ -0,0 +1,81 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'node:fs';
+
+import { listRiskProfiles, loadRiskPolicy, normalizeRiskPolicy } from '../src/risk/policy.js';
+import { evaluateRules, riskLevel } from '../src/risk/engine.js';
+import { agentRiskGate } from '../src/agents/riskgate.js';
+
+const noEnv = {};
+
+const thinSnap = {
+  liquidityUsd: 8000,
+  volume24hUsd: 20000,
+  ageMs: 3 * 24 * 3600_000,
+  buys24h: 100,
+  sells24h: 80,
+  priceChange24hPct: 10,
+  fdvUsd: 800000,
+};
+
+test('risk policy: built-in profiles load and validate', () => {
+  assert.deepEqual(listRiskProfiles().sort(), ['conservative', 'default', 'degen']);
+  for (const name of listRiskProfiles()) {
+    const p = loadRiskPolicy({ profile: name, env: noEnv });
+    assert.equal(p.name, name);
+    assert.ok(p.cautionScore <= p.blockScore);
+  }
+  assert.throws(() => loadRiskPolicy({ profile: 'nope', env: noEnv }), /Unknown risk profile/);
+});
+
+test('risk policy: unknown rules and non-numeric params are rejected', () => {
+  assert.throws(() => normalizeRiskPolicy({ rules: { liquidty: { weight: 1 } } }), /Unknown risk rule "liquidty"/);
+  assert.throws(() => normalizeRiskPolicy({ rules: { liquidity: { weight: 'high' } } }), /must be a number/);
+  assert.throws(() => normalizeRiskPolicy({ blockScore: 10, cautionScore: 20 }), /cautionScore must be <= blockScore/);
+});
+
+test('risk policy: YAML policy file + legacy env overrides', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'intercomswap-risk-'));
+  const file = path.join(dir, 'desk.yaml');
+  fs.writeFileSync(file, 'name: desk\nblockScore: 60\ncautionScore: 30\nrules:\n  liquidity: { weight: 50, minUsd: 50000 }\n  age: { enabled: false }\n');
+
+  const p = loadRiskPolicy({ file, env: { RISK_MIN_LIQ_USD: '1000', RISK_BLOCK_SCORE: '65' } });
+  assert.equal(p.name, 'desk');
+  assert.equal(p.blockScore, 65);
+  assert.deepEqual(p.rules.liquidity, { weight: 50, minUsd: 1000 });
+  assert.equal(p.rules.age.enabled, false);
+});
+
+test('risk engine: same snapshot scores differently per profile', () => {
+  const ctx = { input: { slippageBps: 50 }, snap: thinSnap };
+
+  const def = loadRiskPolicy({ profile: 'default', env: noEnv });
+  const a = evaluateRules({ phase: 'market', ctx, policy: def });
+  assert.deepEqual(a.hits.map((h) => h.rule), ['liquidity']);
+  assert.equal(a.score, 35);
+  assert.equal(riskLevel(a.score, def), 'SAFE');
+
+  const cons = loadRiskPolicy({ profile: 'conservative', env: noEnv });
+  const b = evaluateRules({ phase: 'market', ctx, policy: cons });
+  assert.deepEqual(b.hits.map((h) => h.rule).sort(), ['age', 'fdvLiquidity', 'liquidity', 'volume']);
+  assert.equal(riskLevel(b.score, cons), 'BLOCK');
+
+  const degen = loadRiskPolicy({ profile: 'degen', env: noEnv });
+  const c = evaluateRules({ phase: 'market', ctx, policy: degen });
+  assert.equal(c.hits.length, 0);
+});
+
+test('riskgate: risk object explains each rule that fired', () => {
+  const policy = loadRiskPolicy({ profile: 'default', env: noEnv });
+  const r = agentRiskGate({ chain: 'sol', amount: '1', slippageBps: 300, market: { bestPair: thinSnap } }, { policy });
+  assert.equal(r.risk.policy, 'default');
+  assert.equal(r.risk.score, 50);
+  assert.equal(r.risk.level, 'CAUTION');
+  assert.deepEqual(
+    r.risk.explanations.map((h) => [h.rule, h.weight]),
+    [['liquidity', 35], ['slippage', 15]]
+  );
+  assert.match(r.risk.explanations[0].message, /Liquidity \$8,000 is below the minimum \$15,000/);
+});
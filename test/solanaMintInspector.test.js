@@ -0,0 +1,151 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Keypair, PublicKey } from '@solana/web3.js';
+
+import { decodeMintAccount, inspectSolanaMint } from '../src/core/mintInspector.js';
+import { loadRiskPolicy } from '../src/risk/policy.js';
+import { agentRiskGate } from '../src/agents/riskgate.js';
+
+const TOKEN = new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA');
+const TOKEN_2022 = new PublicKey('TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb');
+
+function pk() {
+  return Keypair.generate().publicKey;
+}
+
+// Fabricated mint account bytes (same layout the validator would store).
+function mintData({ mintAuthority = null, freezeAuthority = null, supply = 1_000_000n, decimals = 6, extensions = [] }) {
+  const base = Buffer.alloc(82);
+  if (mintAuthority) {
+    base.writeUInt32LE(1, 0);
+    mintAuthority.toBuffer().copy(base, 4);
+  }
+  base.writeBigUInt64LE(supply, 36);
+  base[44] = decimals;
+  base[45] = 1;
+  if (freezeAuthority) {
+    base.writeUInt32LE(1, 46);
+    freezeAuthority.toBuffer().copy(base, 50);
+  }
+  if (!extensions.length) return base;
+
+  const tlv = extensions.map(({ type, value }) => {
+    const h = Buffer.alloc(4);
+    h.writeUInt16LE(type, 0);
+    h.writeUInt16LE(value.length, 2);
+    return Buffer.concat([h, value]);
+  });
+  return Buffer.concat([base, Buffer.alloc(165 - 82), Buffer.from([1]), ...tlv]);
+}
+
+function transferFeeExt(bps) {
+  const v = Buffer.alloc(108);
+  v.writeUInt16LE(bps, 88);
+  v.writeUInt16LE(bps, 106);
+  v.writeBigUInt64LE(10n ** 12n, 98);
+  return { type: 1, value: v };
+}
+
+function fakeConnection({ owner = TOKEN, data, largest = [] }) {
+  return {
+    async getAccountInfo() {
+      return { owner, data, lamports: 1, executable: false };
+    },
+    async getTokenLargestAccounts() {
+      return { value: largest.map((amount) => ({ address: pk(), amount: String(amount), decimals: 6 })) };
+    },
+  };
+}
+
+const goodSnap = {
+  liquidityUsd: 500000,
+  volume24hUsd: 200000,
+  ageMs: 30 * 24 * 3600_000,
+  buys24h: 500,
+  sells24h: 450,
+  priceChange24hPct: 5,
+  fdvUsd: 2000000,
+};
+
+function gate(mint, mintError = null) {
+  const policy = loadRiskPolicy({ profile: 'default', env: {} });
+  return agentRiskGate(
+    { chain: 'sol', amount: '1', slippageBps: 50, market: { bestPair: goodSnap }, onchain: { mint, error: mintError } },
+    { policy }
+  );
+}
+
+test('mint inspector: renounced legacy mint decodes clean', async () => {
+  const connection = fakeConnection({ data: mintData({}), largest: [100_000n, 50_000n] });
+  const m = await inspectSolanaMint(pk().toBase58(), { connection });
+  assert.equal(m.program, 'token');
+  assert.equal(m.mintAuthority, null);
+  assert.equal(m.freezeAuthority, null);
+  assert.equal(m.supply, '1000000');
+  assert.deepEqual(m.extensions, []);
+  assert.equal(m.holders.top1Pct, 10);
+  assert.equal(m.holders.top10Pct, 15);
+
+  const r = gate(m);
+  assert.equal(r.risk.level, 'SAFE');
+  assert.equal(r.risk.score, 0);
+});
+
+test('mint inspector: active authorities are flagged', async () => {
+  const auth = pk();
+  const m = decodeMintAccount({ owner: TOKEN, data: mintData({ mintAuthority: auth, freezeAuthority: auth }) });
+  assert.equal(m.mintAuthority, auth.toBase58());
+  assert.equal(m.freezeAuthority, auth.toBase58());
+
+  const r = gate(m);
+  assert.deepEqual(r.risk.flags, ['MINT_AUTHORITY_ACTIVE', 'FREEZE_AUTHORITY_ACTIVE']);
+  assert.equal(r.risk.level, 'CAUTION');
+});
+
+test('mint inspector: Token-2022 transfer fee + permanent delegate block the swap', () => {
+  const delegate = pk();
+  const m = decodeMintAccount({
+    owner: TOKEN_2022,
+    data: mintData({ extensions: [transferFeeExt(1000), { type: 12, value: delegate.toBuffer() }] }),
+  });
+  assert.equal(m.program, 'token-2022');
+  assert.deepEqual(m.extensions, ['transferFeeConfig', 'permanentDelegate']);
+  assert.equal(m.transferFee.bps, 1000);
+  assert.equal(m.permanentDelegate, delegate.toBase58());
+
+  assert.throws(
+    () => gate(m),
+    (err) => {
+      assert.equal(err.code, 'RISK_BLOCKED');
+      assert.deepEqual(err.risk.flags, ['TRANSFER_FEE_1000BPS', 'PERMANENT_DELEGATE']);
+      return true;
+    }
+  );
+});
+
+test('mint inspector: transfer hook, non-transferable and default-frozen state', () => {
+  const hook = Buffer.concat([Buffer.alloc(32), pk().toBuffer()]);
+  const m = decodeMintAccount({
+    owner: TOKEN_2022,
+    data: mintData({ extensions: [{ type: 14, value: hook }, { type: 9, value: Buffer.alloc(0) }, { type: 6, value: Buffer.from([2]) }] }),
+  });
+  assert.equal(m.transferHook.authority, null);
+  assert.ok(m.transferHook.programId);
+  assert.equal(m.nonTransferable, true);
+  assert.equal(m.defaultAccountState, 'frozen');
+});
+
+test('mint inspector: holder concentration and failed checks add weight', async () => {
+  const connection = fakeConnection({ data: mintData({}), largest: [700_000n] });
+  const m = await inspectSolanaMint(pk().toBase58(), { connection });
+  assert.equal(m.holders.top1Pct, 70);
+  assert.deepEqual(gate(m).risk.flags, ['TOP_HOLDER_70PCT']);
+
+  assert.deepEqual(gate(null, 'Mint account not found').risk.flags, ['MINT_UNCHECKED']);
+});
+
+test('mint inspector: non-token accounts are rejected', async () => {
+  const connection = fakeConnection({ owner: pk(), data: mintData({}) });
+  await assert.rejects(() => inspectSolanaMint(pk().toBase58(), { connection }), /Not an SPL mint/);
+});
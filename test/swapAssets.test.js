@@ -0,0 +1,121 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createUnsignedEnvelope } from '../src/protocol/signedMessage.js';
+import { deriveIntercomswapAppHash } from '../src/swap/app.js';
+import {
+  SwapAssetRegistry,
+  registerConfiguredSwapAssets,
+  settlementAsset,
+  swapAssets,
+  swapDirectionsFor,
+  swapPairFor,
+} from '../src/swap/assets.js';
+import { ASSET, KIND, PAIR } from '../src/swap/constants.js';
+import { swapRoles } from '../src/swap/roles.js';
+import { validateSwapEnvelope } from '../src/swap/schema.js';
+
+const APP_HASH = deriveIntercomswapAppHash({ solanaProgramId: '11111111111111111111111111111111' });
+const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const DEVNET_USDC_MINT = '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU';
+const PEER = 'a'.repeat(64);
+
+test('swap assets: registry allow-lists mints per asset', () => {
+  const reg = new SwapAssetRegistry();
+  assert.deepEqual(reg.ref(ASSET.USDC_SOL), { asset: ASSET.USDC_SOL, mint: USDC_MINT, decimals: 6 });
+  assert.equal(reg.get(ASSET.USDT_SOL).price_pair, 'BTC_USDT');
+  assert.equal(reg.get(ASSET.USDC_SOL).price_pair, 'BTC_USDC');
+
+  assert.equal(reg.checkRef({ asset: ASSET.USDC_SOL, mint: DEVNET_USDC_MINT, decimals: 6 }).error, 'mint is not allow-listed for USDC_SOL');
+  registerConfiguredSwapAssets({ assets: [{ asset: 'USDC_SOL', mint: DEVNET_USDC_MINT, decimals: 6 }] }, reg);
+  assert.equal(reg.checkRef({ asset: ASSET.USDC_SOL, mint: DEVNET_USDC_MINT, decimals: 6 }).ok, true);
+  assert.equal(reg.checkRef({ asset: ASSET.USDC_SOL, mint: USDC_MINT, decimals: 9 }).error, 'decimals must be 6 for USDC_SOL');
+  assert.equal(reg.byMint(DEVNET_USDC_MINT).asset, ASSET.USDC_SOL);
+  assert.throws(() => reg.register({ asset: 'USDC_SOL', mint: DEVNET_USDC_MINT, decimals: 9 }), /decimals 9 != registered 6/);
+  assert.throws(() => reg.register({ asset: 'usdc', mint: USDC_MINT, decimals: 6 }), /SYMBOL_SOL/);
+
+  reg.register({ asset: 'PYUSD_SOL', mint: '2b1kV6DkPAnxd5ixfnxCpjxmKwqjjaYmCZfHsFu24GXo', decimals: 6 });
+  assert.equal(reg.get('PYUSD_SOL').symbol, 'PYUSD');
+  assert.equal(reg.checkRef({ asset: 'BONK_SOL', mint: USDC_MINT, decimals: 6 }).error, 'asset BONK_SOL is not supported');
+});
+
+test('swap assets: pair, directions and roles follow the asset', () => {
+  assert.equal(swapPairFor(ASSET.USDC_SOL), PAIR.BTC_LN__USDC_SOL);
+  assert.deepEqual(swapDirectionsFor(ASSET.USDC_SOL), ['BTC_LN->USDC_SOL', 'USDC_SOL->BTC_LN']);
+  assert.equal(settlementAsset({}), ASSET.USDT_SOL);
+
+  assert.equal(swapRoles('BTC_LN->USDC_SOL').ln_receiver, 'maker');
+  assert.equal(swapRoles('USDC_SOL->BTC_LN').ln_receiver, 'taker');
+  assert.equal(swapRoles('USDC_SOL->BTC_LN').asset, ASSET.USDC_SOL);
+  assert.equal(swapRoles('USDC_SOL->USDT_SOL'), null);
+  assert.equal(swapRoles('BTC_LN->USDC_SOL->BTC_LN'), null);
+});
+
+test('swap schema: sol_asset is checked against the registry', () => {
+  const nowSec = Math.floor(Date.now() / 1000);
+  const usdc = swapAssets.ref(ASSET.USDC_SOL);
+  const rfq = createUnsignedEnvelope({
+    v: 1,
+    kind: KIND.RFQ,
+    tradeId: 'swap_assets_rfq',
+    body: {
+      pair: PAIR.BTC_LN__USDC_SOL,
+      direction: 'BTC_LN->USDC_SOL',
+      app_hash: APP_HASH,
+      btc_sats: 10000,
+      usdt_amount: '6500000',
+      sol_asset: usdc,
+      valid_until_unix: nowSec + 60,
+    },
+  });
+  assert.equal(validateSwapEnvelope(rfq).ok, true);
+
+  const withBody = (env, patch) => ({ ...env, body: { ...env.body, ...patch } });
+  assert.equal(validateSwapEnvelope(withBody(rfq, { pair: PAIR.BTC_LN__USDT_SOL })).error, 'rfq.pair unsupported');
+  assert.equal(validateSwapEnvelope(withBody(rfq, { direction: 'BTC_LN->USDT_SOL' })).error, 'rfq.direction unsupported');
+  assert.equal(
+    validateSwapEnvelope(withBody(rfq, { sol_asset: { ...usdc, mint: DEVNET_USDC_MINT } })).error,
+    'rfq.sol_asset mint is not allow-listed for USDC_SOL'
+  );
+  assert.equal(validateSwapEnvelope(withBody(rfq, { sol_mint: DEVNET_USDC_MINT })).error, 'rfq.sol_mint must match sol_asset.mint');
+  // Without sol_asset, a USDC pair is not a legacy body.
+  assert.equal(validateSwapEnvelope(withBody(rfq, { sol_asset: undefined })).error, 'rfq.pair unsupported');
+
+  const terms = createUnsignedEnvelope({
+    v: 1,
+    kind: KIND.TERMS,
+    tradeId: 'swap_assets_terms',
+    body: {
+      pair: PAIR.BTC_LN__USDC_SOL,
+      direction: 'USDC_SOL->BTC_LN',
+      app_hash: APP_HASH,
+      btc_sats: 10000,
+      usdt_amount: '6500000',
+      usdt_decimals: 6,
+      sol_asset: usdc,
+      sol_mint: USDC_MINT,
+      sol_recipient: '11111111111111111111111111111111',
+      sol_refund: '11111111111111111111111111111111',
+      sol_refund_after_unix: nowSec + 3600,
+      platform_fee_bps: 10,
+      trade_fee_bps: 10,
+      trade_fee_collector: '11111111111111111111111111111111',
+      ln_receiver_peer: PEER,
+      ln_payer_peer: PEER,
+    },
+  });
+  assert.equal(validateSwapEnvelope(terms).ok, true);
+  assert.equal(validateSwapEnvelope(withBody(terms, { usdt_decimals: 9 })).error, 'terms.usdt_decimals must match sol_asset.decimals');
+  assert.equal(
+    validateSwapEnvelope(withBody(terms, { sol_mint: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB' })).error,
+    'terms.sol_mint must match sol_asset.mint'
+  );
+
+  const offer = createUnsignedEnvelope({
+    v: 1,
+    kind: KIND.SVC_ANNOUNCE,
+    tradeId: 'swap_assets_offer',
+    body: { name: 'maker', offers: [{ pair: PAIR.BTC_LN__USDC_SOL, have: ASSET.USDC_SOL, sol_asset: { ...usdc, decimals: 8 } }] },
+  });
+  assert.equal(validateSwapEnvelope(offer).error, 'svc_announce.offers.sol_asset decimals must be 6 for USDC_SOL');
+});
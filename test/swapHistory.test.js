@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'node:fs';
+
+import { SwapHistoryStore } from '../src/receipts/swapHistory.js';
+
+function tmpDbPath(name) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'intercomswap-history-'));
+  return path.join(dir, `${name}.sqlite`);
+}
+
+test('swap history: upsertSwap merges patches and keeps created_at', () => {
+  const store = SwapHistoryStore.open({ dbPath: tmpDbPath('merge') });
+  try {
+    const id = SwapHistoryStore.newSwapId();
+    const a = store.upsertSwap(id, {
+      chain: 'sol',
+      token_in: 'SOL',
+      token_out: 'USDC',
+      amount_in: '1',
+      amount_in_atomic: '1000000000',
+      slippage_bps: 50,
+      status: 'sending',
+      plan: { chain: 'sol' },
+      risk: { level: 'SAFE', score: 10 },
+    });
+    assert.equal(a.status, 'sending');
+    assert.deepEqual(a.risk, { level: 'SAFE', score: 10 });
+
+    const b = store.upsertSwap(id, { txid: 'sig1', status: 'confirmed', amount_out_atomic: '150000000', result: { gas: 5n } });
+    assert.equal(b.status, 'confirmed');
+    assert.equal(b.txid, 'sig1');
+    assert.equal(b.token_in, 'SOL');
+    assert.equal(b.created_at, a.created_at);
+    assert.deepEqual(b.result, { gas: '5' });
+  } finally {
+    store.close();
+  }
+});
+
+test('swap history: listSwaps is newest first and persists across reopen', () => {
+  const dbPath = tmpDbPath('list');
+  let store = SwapHistoryStore.open({ dbPath });
+  store.upsertSwap('s1', { status: 'confirmed', created_at: 1 });
+  store.upsertSwap('s2', { status: 'failed', created_at: 3 });
+  store.upsertSwap('s3', { status: 'expired', created_at: 2 });
+  store.close();
+
+  store = SwapHistoryStore.open({ dbPath });
+  try {
+    assert.deepEqual(store.listSwaps().map((s) => s.swap_id), ['s2', 's3', 's1']);
+    assert.deepEqual(store.listSwaps({ limit: 1, offset: 1 }).map((s) => s.swap_id), ['s3']);
+    assert.equal(store.getSwap('nope'), null);
+  } finally {
+    store.close();
+  }
+});
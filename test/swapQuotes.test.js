@@ -0,0 +1,93 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { normalizeJupiterQuote, normalizeZeroxPrice, summarizeQuote } from '../src/core/quotes.js';
+import { applyQuoteRisk } from '../src/agents/riskgate.js';
+
+const jupQuote = {
+  inputMint: 'So11111111111111111111111111111111111111112',
+  outputMint: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
+  inAmount: '1000000000',
+  outAmount: '150250000',
+  otherAmountThreshold: '149498750',
+  slippageBps: 50,
+  priceImpactPct: '0.0012',
+  platformFee: null,
+  routePlan: [
+    {
+      percent: 100,
+      swapInfo: {
+        ammKey: 'pool1',
+        label: 'Whirlpool',
+        inputMint: 'So11111111111111111111111111111111111111112',
+        outputMint: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
+        feeAmount: '2500',
+        feeMint: 'So11111111111111111111111111111111111111112',
+      },
+    },
+  ],
+};
+
+test('quotes: normalizeJupiterQuote() converts fraction impact to percent', () => {
+  const q = normalizeJupiterQuote(jupQuote, { tokenOutDecimals: 6 });
+  assert.equal(q.source, 'jupiter');
+  assert.equal(q.outAmount, '150250000');
+  assert.equal(q.minOut, '149498750');
+  assert.equal(q.outAmountHuman, '150.25');
+  assert.equal(q.minOutHuman, '149.49875');
+  assert.ok(Math.abs(q.priceImpactPct - 0.12) < 1e-9);
+  assert.equal(q.route.length, 1);
+  assert.equal(q.route[0].label, 'Whirlpool');
+  assert.deepEqual(q.fees, [{ label: 'Whirlpool', amount: '2500', token: 'So11111111111111111111111111111111111111112' }]);
+});
+
+test('quotes: normalizeZeroxPrice() derives minOut from slippage', () => {
+  const q = normalizeZeroxPrice(
+    {
+      sellAmount: '1000000',
+      buyAmount: '400000000000000',
+      estimatedPriceImpact: '0.35',
+      sources: [
+        { name: 'Uniswap_V3', proportion: '0.7' },
+        { name: 'Aerodrome', proportion: '0.3' },
+        { name: 'Curve', proportion: '0' },
+      ],
+      estimatedGas: '150000',
+      gasPrice: '1000000',
+      allowanceTarget: '0xdef1c0ded9bec7f1a1670819833240f027b25eff',
+    },
+    { slippageBps: 100, tokenOutDecimals: 18 }
+  );
+  assert.equal(q.source, '0x');
+  assert.equal(q.minOut, '396000000000000');
+  assert.equal(q.outAmountHuman, '0.0004');
+  assert.equal(q.priceImpactPct, 0.35);
+  assert.deepEqual(q.route.map((h) => h.label), ['Uniswap_V3', 'Aerodrome']);
+  assert.deepEqual(q.fees, [{ label: 'gas', amount: '150000000000', token: 'native' }]);
+  assert.equal(summarizeQuote(q).raw, undefined);
+});
+
+test('quotes: normalizers reject empty responses', () => {
+  assert.throws(() => normalizeJupiterQuote({}), /outAmount/);
+  assert.throws(() => normalizeZeroxPrice({}), /buyAmount/);
+});
+
+test('riskgate: applyQuoteRisk() scores price impact', () => {
+  const base = { risk: { score: 10, level: 'SAFE', flags: ['NO_MARKET_SNAPSHOT'], thresholds: {} } };
+
+  const low = applyQuoteRisk({ ...base, quote: { priceImpactPct: 0.2, outAmount: '1' } });
+  assert.equal(low.risk.score, 10);
+  assert.equal(low.risk.level, 'SAFE');
+
+  const high = applyQuoteRisk({ ...base, quote: { priceImpactPct: 2, outAmount: '1' } });
+  assert.equal(high.risk.score, 25);
+  assert.ok(high.risk.flags.includes('HIGH_PRICE_IMPACT_2.00%'));
+
+  const caution = applyQuoteRisk({ ...base, quote: { priceImpactPct: 9, outAmount: '1' } });
+  assert.equal(caution.risk.level, 'CAUTION');
+
+  assert.throws(
+    () => applyQuoteRisk({ risk: { score: 40, level: 'SAFE', flags: [], thresholds: {} }, quote: { priceImpactPct: 20, outAmount: '1' } }),
+    /RiskGate BLOCKED/
+  );
+});
@@ -8,9 +8,13 @@ import { hashUnsignedEnvelope } from '../src/swap/hash.js';
 import { deriveIntercomswapAppHash } from '../src/swap/app.js';
 import { validateSwapEnvelope } from '../src/swap/schema.js';
 import { ASSET, KIND, PAIR } from '../src/swap/constants.js';
+import { swapAssets } from '../src/swap/assets.js';
 
 const APP_HASH = deriveIntercomswapAppHash({ solanaProgramId: '11111111111111111111111111111111' });
 
+// Legacy bodies must name a registered USDT_SOL mint; nodes register their configured mint at startup.
+swapAssets.register({ asset: ASSET.USDT_SOL, mint: 'So11111111111111111111111111111111111111112', decimals: 6 });
+
 async function newWallet() {
   const w = new PeerWallet();
   await w.ready;
@@ -98,6 +102,11 @@ test('swap schema: rfq + quote validate', async () => {
   assert.equal(validateSwapEnvelope(rfq).ok, true);
   const rfqId = hashUnsignedEnvelope(rfq);
 
+  const reverseRfq = { ...rfq, body: { ...rfq.body, direction: `${ASSET.USDT_SOL}->${ASSET.BTC_LN}`, sol_refund: '11111111111111111111111111111111' } };
+  assert.equal(validateSwapEnvelope(reverseRfq).ok, true);
+  assert.equal(validateSwapEnvelope({ ...rfq, body: { ...rfq.body, direction: `${ASSET.BTC_LN}->${ASSET.BTC_LN}` } }).error, 'rfq.direction unsupported');
+  assert.equal(validateSwapEnvelope({ ...reverseRfq, body: { ...reverseRfq.body, sol_refund: '0xnope' } }).error, 'rfq.sol_refund must be base58');
+
   const quote = createUnsignedEnvelope({
     v: 1,
     kind: KIND.QUOTE,
@@ -121,6 +130,13 @@ test('swap schema: rfq + quote validate', async () => {
   });
   assert.equal(validateSwapEnvelope(quote).ok, true);
 
+  const priceRef = { pair: 'BTC_USDT', median: '60000.5', ts: Date.now(), spread_bps: 50 };
+  assert.equal(validateSwapEnvelope({ ...quote, body: { ...quote.body, price_ref: priceRef } }).ok, true);
+  assert.equal(
+    validateSwapEnvelope({ ...quote, body: { ...quote.body, price_ref: { ...priceRef, median: 60000 } } }).error,
+    'quote.price_ref.median must be a positive decimal string'
+  );
+
   const quoteMissingExpiry = createUnsignedEnvelope({
     v: 1,
     kind: KIND.QUOTE,
@@ -8,10 +8,14 @@ import { createUnsignedEnvelope, encodeEnvelopeForSigning, attachSignature } fro
 import { hashUnsignedEnvelope } from '../src/swap/hash.js';
 import { deriveIntercomswapAppHash } from '../src/swap/app.js';
 import { applySwapEnvelope, createInitialTrade } from '../src/swap/stateMachine.js';
-import { ASSET, KIND, PAIR, STATE } from '../src/swap/constants.js';
+import { ASSET, DIRECTION, KIND, PAIR, STATE } from '../src/swap/constants.js';
+import { swapAssets } from '../src/swap/assets.js';
 
 const APP_HASH = deriveIntercomswapAppHash({ solanaProgramId: '11111111111111111111111111111111' });
 
+// Legacy bodies must name a registered USDT_SOL mint; nodes register their configured mint at startup.
+swapAssets.register({ asset: ASSET.USDT_SOL, mint: 'So11111111111111111111111111111111111111112', decimals: 6 });
+
 async function newWallet() {
   const w = new PeerWallet();
   await w.ready;
@@ -750,3 +754,95 @@ test('swap state machine: reject terms update after accept', async () => {
   assert.equal(res.ok, false);
   assert.match(res.error, /not allowed/i);
 });
+
+for (const direction of [DIRECTION.BTC_LN__USDT_SOL, DIRECTION.USDT_SOL__BTC_LN]) {
+  test(`swap state machine: roles follow direction ${direction}`, async () => {
+    const maker = await newWallet();
+    const taker = await newWallet();
+    const makerHex = b4a.toString(maker.publicKey, 'hex');
+    const takerHex = b4a.toString(taker.publicKey, 'hex');
+    // The LN receiver creates the invoice and locks USDT; the LN payer pays and claims.
+    const reverse = direction === DIRECTION.USDT_SOL__BTC_LN;
+    const lnReceiver = reverse ? taker : maker;
+    const lnPayer = reverse ? maker : taker;
+
+    const tradeId = `swap_test_dir_${reverse ? 'rev' : 'fwd'}`;
+    const nowSec = Math.floor(Date.now() / 1000);
+    const paymentHashHex = crypto.randomBytes(32).toString('hex');
+    const claimant = 'So11111111111111111111111111111111111111112';
+    const depositor = '11111111111111111111111111111111';
+    let n = 0;
+    const env = (wallet, kind, body) =>
+      signEnvelope(wallet, createUnsignedEnvelope({ v: 1, kind, tradeId, body, ts: Date.now(), nonce: `d${(n += 1)}` }));
+
+    const termsUnsigned = createUnsignedEnvelope({
+      v: 1,
+      kind: KIND.TERMS,
+      tradeId,
+      body: {
+        pair: PAIR.BTC_LN__USDT_SOL,
+        direction,
+        app_hash: APP_HASH,
+        btc_sats: 5000,
+        usdt_amount: '2500000',
+        usdt_decimals: 6,
+        sol_mint: 'So11111111111111111111111111111111111111112',
+        sol_recipient: claimant,
+        sol_refund: depositor,
+        sol_refund_after_unix: nowSec + 3600,
+        platform_fee_bps: 50,
+        trade_fee_bps: 50,
+        trade_fee_collector: '11111111111111111111111111111111',
+        ln_receiver_peer: reverse ? takerHex : makerHex,
+        ln_payer_peer: reverse ? makerHex : takerHex,
+      },
+      ts: Date.now(),
+      nonce: 'dt',
+    });
+    const invoiceBody = { bolt11: 'lnbcrt1dummyinvoice', payment_hash_hex: paymentHashHex, amount_msat: '5000000' };
+    const escrowBody = {
+      payment_hash_hex: paymentHashHex,
+      program_id: '4RS6xpspM1V2K7FKSqeSH6VVaZbtzHzhJqacwrz8gJrF',
+      escrow_pda: '11111111111111111111111111111111',
+      vault_ata: '11111111111111111111111111111111',
+      mint: 'So11111111111111111111111111111111111111112',
+      amount: '2500000',
+      refund_after_unix: nowSec + 3600,
+      recipient: claimant,
+      refund: depositor,
+      tx_sig: 'dummy_tx_sig_dir',
+    };
+    const claimBody = { payment_hash_hex: paymentHashHex, escrow_pda: '11111111111111111111111111111111', tx_sig: 'dummy_tx_sig_claim' };
+    const acceptBody = { terms_hash: hashUnsignedEnvelope(termsUnsigned) };
+
+    let st = createInitialTrade(tradeId);
+    let res = applySwapEnvelope(st, signEnvelope(taker, termsUnsigned));
+    assert.equal(res.ok, false, 'terms come from the maker');
+    assert.match(res.error, /terms: wrong signer/);
+    res = applySwapEnvelope(st, signEnvelope(maker, termsUnsigned));
+    assert.equal(res.ok, true, res.error);
+    st = res.trade;
+
+    res = applySwapEnvelope(st, env(maker, KIND.ACCEPT, acceptBody));
+    assert.match(String(res.error), /accept: wrong signer/, 'accept comes from the taker');
+    res = applySwapEnvelope(st, env(taker, KIND.ACCEPT, acceptBody));
+    assert.equal(res.ok, true, res.error);
+    st = res.trade;
+
+    const steps = [
+      [KIND.LN_INVOICE, invoiceBody, lnReceiver, lnPayer, STATE.INVOICE],
+      [KIND.SOL_ESCROW_CREATED, escrowBody, lnReceiver, lnPayer, STATE.ESCROW],
+      [KIND.LN_PAID, { payment_hash_hex: paymentHashHex }, lnPayer, lnReceiver, STATE.LN_PAID],
+      [KIND.SOL_CLAIMED, claimBody, lnPayer, lnReceiver, STATE.CLAIMED],
+    ];
+    for (const [kind, body, signer, wrong, state] of steps) {
+      res = applySwapEnvelope(st, env(wrong, kind, body));
+      assert.equal(res.ok, false, `${kind} from the wrong side`);
+      assert.match(res.error, /wrong signer/);
+      res = applySwapEnvelope(st, env(signer, kind, body));
+      assert.equal(res.ok, true, res.error);
+      st = res.trade;
+      assert.equal(st.state, state);
+    }
+  });
+}
@@ -87,4 +87,13 @@ test('swap verify: payer pre-pay checks (invoice + escrow + terms)', () => {
   });
   assert.equal(badInvoice.ok, false);
   assert.match(badInvoice.error, /invoice invalid/i);
+
+  // The direction decides which side pays: the taker for BTC_LN->USDT_SOL, the maker for USDT_SOL->BTC_LN.
+  const args = { invoiceBody, escrowBody, now_unix: 1770988000 };
+  assert.equal(verifySwapPrePay({ ...args, terms: { ...terms, direction: 'BTC_LN->USDT_SOL' }, role: 'taker' }).ok, true);
+  assert.equal(verifySwapPrePay({ ...args, terms: { ...terms, direction: 'USDT_SOL->BTC_LN' }, role: 'maker' }).ok, true);
+  const wrongSide = verifySwapPrePay({ ...args, terms: { ...terms, direction: 'USDT_SOL->BTC_LN' }, role: 'taker' });
+  assert.equal(wrongSide.ok, false);
+  assert.match(wrongSide.error, /taker does not pay the LN invoice for USDT_SOL->BTC_LN/);
+  assert.match(verifySwapPrePay({ ...args, terms: { ...terms, direction: 'BTC_LN->ETH' } }).error, /direction unsupported/);
 });
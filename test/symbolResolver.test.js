@@ -0,0 +1,112 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'node:fs';
+
+import { assessCandidates, rankSymbolCandidates, resolveSymbol } from '../src/core/symbolResolver.js';
+import { loadRiskPolicy } from '../src/risk/policy.js';
+import { agentRiskGate } from '../src/agents/riskgate.js';
+
+const BONK = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+const FAKE_BONK = 'FakeBonk1111111111111111111111111111111111';
+const FAKE_BONK2 = 'FakeBonk2222222222222222222222222222222222';
+const SOL = 'So11111111111111111111111111111111111111112';
+const DAY = 24 * 3600_000;
+
+function pair({ chainId = 'solana', base, symbol = 'BONK', quoteSymbol = 'SOL', liq, vol = 1000, ageMs }) {
+  return {
+    chainId,
+    baseToken: { address: base, symbol, name: symbol === 'BONK' ? 'Bonk' : symbol },
+    quoteToken: { address: SOL, symbol: quoteSymbol },
+    liquidity: { usd: liq },
+    volume: { h24: vol },
+    pairCreatedAt: Date.now() - ageMs,
+  };
+}
+
+function tmpCachePath(content = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'intercomswap-symbols-'));
+  const p = path.join(dir, 'tokens.json');
+  fs.writeFileSync(p, JSON.stringify(content));
+  return p;
+}
+
+const searchFn = (pairs) => async () => pairs;
+
+test('symbol resolver: merges pairs per address and ranks by liquidity then age', () => {
+  const pairs = [
+    pair({ base: BONK, liq: 5_000_000, ageMs: 700 * DAY }),
+    pair({ base: BONK, liq: 1_000_000, ageMs: 300 * DAY }),
+    pair({ base: FAKE_BONK, liq: 20_000, ageMs: 2 * DAY }),
+    pair({ chainId: 'base', base: '0x1111111111111111111111111111111111111111', liq: 9_000_000, ageMs: DAY }),
+    pair({ base: 'OtherMint111111111111111111111111111111111', symbol: 'WIF', liq: 9_000_000, ageMs: DAY }),
+  ];
+  const c = rankSymbolCandidates(pairs, { chain: 'sol', symbol: 'bonk' });
+  assert.deepEqual(c.map((x) => x.address), [BONK, FAKE_BONK]);
+  assert.equal(c[0].liquidityUsd, 6_000_000);
+  assert.equal(c[0].pairs, 2);
+  assert.ok(c[0].ageMs >= 700 * DAY);
+});
+
+test('symbol resolver: clear leader is picked automatically, impersonators are counted', async () => {
+  const pairs = [pair({ base: BONK, liq: 5_000_000, ageMs: 700 * DAY }), pair({ base: FAKE_BONK, liq: 20_000, ageMs: 2 * DAY })];
+  const r = await resolveSymbol('sol', 'BONK', { searchFn: searchFn(pairs), cachePath: tmpCachePath() });
+  assert.equal(r.address, BONK);
+  assert.equal(r.picked, 'auto');
+  assert.equal(r.ambiguous, false);
+  assert.equal(r.impersonators, 1);
+});
+
+test('symbol resolver: ambiguous symbol fails with the candidate list when nobody can pick', async () => {
+  const pairs = [pair({ base: FAKE_BONK, liq: 300_000, ageMs: 2 * DAY }), pair({ base: FAKE_BONK2, liq: 100_000, ageMs: 5 * DAY })];
+  await assert.rejects(
+    () => resolveSymbol('sol', 'BONK', { searchFn: searchFn(pairs), cachePath: tmpCachePath() }),
+    (err) => {
+      assert.equal(err.code, 'AMBIGUOUS_SYMBOL');
+      assert.deepEqual(err.candidates.map((c) => c.address), [FAKE_BONK, FAKE_BONK2]);
+      assert.match(err.message, /1\) FakeBonk1.* liq \$300,000/);
+      return true;
+    }
+  );
+});
+
+test('symbol resolver: a fresh token outranking an older one is ambiguous', () => {
+  const c = rankSymbolCandidates(
+    [pair({ base: FAKE_BONK, liq: 5_000_000, ageMs: 3600_000 }), pair({ base: BONK, liq: 100_000, ageMs: 700 * DAY })],
+    { chain: 'sol', symbol: 'BONK' }
+  );
+  const v = assessCandidates(c);
+  assert.equal(v.ambiguous, true);
+  assert.match(v.reason, /newer/);
+});
+
+test('symbol resolver: interactive pick and cancel', async () => {
+  const pairs = [pair({ base: FAKE_BONK, liq: 300_000, ageMs: 2 * DAY }), pair({ base: BONK, liq: 200_000, ageMs: 700 * DAY })];
+  const r = await resolveSymbol('sol', 'BONK', {
+    searchFn: searchFn(pairs),
+    cachePath: tmpCachePath(),
+    pickFn: async (candidates) => candidates.find((c) => c.address === BONK),
+  });
+  assert.equal(r.address, BONK);
+  assert.equal(r.picked, 'user');
+
+  const policy = loadRiskPolicy({ profile: 'default', env: {} });
+  const g = agentRiskGate({ chain: 'sol', amount: '1', slippageBps: 50, symbolResolution: { tokenOut: r } }, { policy });
+  assert.ok(g.risk.flags.includes('AMBIGUOUS_SYMBOL_BONK'));
+
+  await assert.rejects(
+    () => resolveSymbol('sol', 'BONK', { searchFn: searchFn(pairs), cachePath: tmpCachePath(), pickFn: async () => null }),
+    (err) => err.code === 'ABORTED'
+  );
+});
+
+test('symbol resolver: registry cache entries are candidates too', async () => {
+  const addr = '0x2222222222222222222222222222222222222222';
+  const cachePath = tmpCachePath({ [`base:${addr}`]: { symbol: 'DEGEN', decimals: 18 } });
+  const r = await resolveSymbol('base', 'degen', { searchFn: searchFn([]), cachePath });
+  assert.equal(r.address, addr);
+  assert.deepEqual(r.candidates[0].sources, ['registry']);
+
+  await assert.rejects(() => resolveSymbol('base', 'NOPE', { searchFn: searchFn([]), cachePath }), /No base token found for symbol NOPE/);
+});
@@ -6,7 +6,7 @@ import PeerWallet from 'trac-wallet';
 import { createUnsignedEnvelope, encodeEnvelopeForSigning, attachSignature } from '../src/protocol/signedMessage.js';
 import { hashUnsignedEnvelope } from '../src/swap/hash.js';
 import { ASSET, KIND, PAIR } from '../src/swap/constants.js';
-import { acceptBodyForTerms, hashTermsEnvelope } from '../src/swap/terms.js';
+import { acceptBodyForTerms, checkBodyAgainstRfq, hashTermsEnvelope } from '../src/swap/terms.js';
 
 test('swap terms: hash helper matches canonical unsigned envelope hash', async () => {
   const w = new PeerWallet();
@@ -48,3 +48,28 @@ test('swap terms: hash helper matches canonical unsigned envelope hash', async (
   assert.equal(hashTermsEnvelope(termsSigned), want);
   assert.deepEqual(acceptBodyForTerms(termsSigned), { terms_hash: want });
 });
+
+test('swap terms: quote/terms are bound to the direction and size of the taker RFQ', () => {
+  const rfq = { direction: `${ASSET.USDT_SOL}->${ASSET.BTC_LN}`, btc_sats: 1000 };
+  assert.equal(checkBodyAgainstRfq(rfq, { ...rfq }).ok, true);
+  assert.match(
+    checkBodyAgainstRfq(rfq, { direction: `${ASSET.BTC_LN}->${ASSET.USDT_SOL}`, btc_sats: 1000 }, { label: 'quote' }).error,
+    /^quote\.direction BTC_LN->USDT_SOL does not match RFQ direction USDT_SOL->BTC_LN$/
+  );
+  assert.match(checkBodyAgainstRfq(rfq, { ...rfq, btc_sats: 2000 }).error, /^terms\.btc_sats 2000 does not match/);
+});
+
+test('swap terms: quote/terms are bound to the settlement asset and mint of the taker RFQ', () => {
+  const usdc = { asset: ASSET.USDC_SOL, mint: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', decimals: 6 };
+  const rfq = { direction: `${ASSET.BTC_LN}->${ASSET.USDC_SOL}`, btc_sats: 1000, sol_asset: usdc };
+  assert.equal(checkBodyAgainstRfq(rfq, { ...rfq, sol_mint: usdc.mint }).ok, true);
+  // Same direction string, but the terms settle legacy USDT_SOL.
+  assert.match(
+    checkBodyAgainstRfq(rfq, { direction: rfq.direction, btc_sats: 1000 }).error,
+    /^terms asset USDT_SOL does not match RFQ asset USDC_SOL$/
+  );
+  assert.match(
+    checkBodyAgainstRfq(rfq, { ...rfq, sol_mint: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB' }).error,
+    /^terms\.sol_mint Es9v\S+ does not match RFQ mint EPjF\S+$/
+  );
+});
@@ -0,0 +1,77 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'node:fs';
+
+import { PublicKey } from '@solana/web3.js';
+
+import { loadTokenCache, resolveSwapTokens, resolveToken } from '../src/core/tokenRegistry.js';
+
+function tmpCachePath() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'intercomswap-tokens-'));
+  return path.join(dir, 'tokens.json');
+}
+
+function fakeConnection({ decimals, owner = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA' }) {
+  let calls = 0;
+  return {
+    get calls() {
+      return calls;
+    },
+    async getParsedAccountInfo() {
+      calls += 1;
+      return {
+        value: {
+          owner: new PublicKey(owner),
+          data: { parsed: { type: 'mint', info: { decimals } } },
+        },
+      };
+    },
+  };
+}
+
+test('token registry: builtin symbols carry decimals', async () => {
+  const sol = await resolveToken('sol', 'sol', { cachePath: tmpCachePath() });
+  assert.equal(sol.decimals, 9);
+  assert.equal(sol.source, 'builtin');
+
+  const weth = await resolveToken('base', 'WETH', { cachePath: tmpCachePath() });
+  assert.equal(weth.decimals, 18);
+});
+
+test('token registry: unknown symbol is rejected', async () => {
+  await assert.rejects(() => resolveToken('sol', 'NOPE', { cachePath: tmpCachePath() }), /Unknown token symbol/);
+});
+
+test('token registry: on-chain mint lookup is cached', async () => {
+  const cachePath = tmpCachePath();
+  const mint = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+  const connection = fakeConnection({ decimals: 5 });
+
+  const a = await resolveToken('sol', mint, { cachePath, connection });
+  assert.equal(a.decimals, 5);
+  assert.equal(a.source, 'onchain');
+
+  const b = await resolveToken('sol', mint, { cachePath, connection });
+  assert.equal(b.source, 'cache');
+  assert.equal(connection.calls, 1);
+  assert.equal(loadTokenCache(cachePath)[`sol:${mint}`].decimals, 5);
+});
+
+test('token registry: non-SPL owner is rejected', async () => {
+  const connection = fakeConnection({ decimals: 6, owner: '11111111111111111111111111111111' });
+  await assert.rejects(
+    () => resolveToken('sol', 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263', { cachePath: tmpCachePath(), connection }),
+    /Not an SPL mint/
+  );
+});
+
+test('token registry: resolveSwapTokens converts amount with tokenIn decimals', async () => {
+  const r = await resolveSwapTokens({ chain: 'sol', tokenIn: 'SOL', tokenOut: 'USDC', amount: '1' }, { cachePath: tmpCachePath() });
+  assert.equal(r.amountAtomic, '1000000000');
+  assert.equal(r.tokenOutInfo.decimals, 6);
+
+  const e = await resolveSwapTokens({ chain: 'base', tokenIn: 'WETH', tokenOut: 'USDC', amount: '0.5' }, { cachePath: tmpCachePath() });
+  assert.equal(e.amountAtomic, '500000000000000000');
+});
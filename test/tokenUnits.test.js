@@ -0,0 +1,28 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { fromAtomic, toAtomic } from '../src/core/units.js';
+
+test('units: toAtomic() scales by decimals without float error', () => {
+  assert.equal(toAtomic('1', 9), '1000000000');
+  assert.equal(toAtomic('0.1', 18), '100000000000000000');
+  assert.equal(toAtomic('1.5', 6), '1500000');
+  assert.equal(toAtomic('.25', 2), '25');
+  assert.equal(toAtomic('2.50', 1), '25');
+  assert.equal(toAtomic('7', 0), '7');
+});
+
+test('units: toAtomic() rejects bad input and excess precision', () => {
+  assert.throws(() => toAtomic('1.0000001', 6), /more than 6 decimal places/);
+  assert.throws(() => toAtomic('-1', 6), /Invalid amount/);
+  assert.throws(() => toAtomic('abc', 6), /Invalid amount/);
+  assert.throws(() => toAtomic('', 6), /Invalid amount/);
+  assert.throws(() => toAtomic('1', -1), /Invalid decimals/);
+});
+
+test('units: fromAtomic() round-trips', () => {
+  assert.equal(fromAtomic('1500000', 6), '1.5');
+  assert.equal(fromAtomic('1000000000', 9), '1');
+  assert.equal(fromAtomic('1', 18), '0.000000000000000001');
+  assert.equal(fromAtomic(toAtomic('123.456', 9), 9), '123.456');
+});
@@ -333,6 +333,108 @@ test('tradeauto: offer-sourced quote path remains active (service announce -> qu
   }
 });
 
+test('tradeauto: range offer lines match RFQs inside the range at or below the oracle price', async () => {
+  const now = Date.now();
+  const rfq = (seq, tradeId, btcSats, usdtAmount) => ({
+    seq,
+    ts: now + seq,
+    channel: '0000intercomswapbtcusdt',
+    kind: 'swap.rfq',
+    message: env('swap.rfq', tradeId, TAKER, {
+      pair: 'BTC_LN/USDT_SOL',
+      direction: 'BTC_LN->USDT_SOL',
+      btc_sats: btcSats,
+      usdt_amount: usdtAmount,
+      valid_until_unix: Math.floor((now + 120_000) / 1000),
+    }),
+  });
+  const events = [
+    {
+      seq: 1,
+      ts: now,
+      channel: '0000intercomswapbtcusdt',
+      kind: 'swap.svc_announce',
+      local: true,
+      dir: 'out',
+      origin: 'local',
+      message: env('swap.svc_announce', 'svc:maker:range', MAKER, {
+        name: 'maker:range',
+        pairs: ['BTC_LN/USDT_SOL'],
+        rfq_channels: ['0000intercomswapbtcusdt'],
+        offers: [
+          {
+            pair: 'BTC_LN/USDT_SOL',
+            have: 'USDT_SOL',
+            want: 'BTC_LN',
+            line_index: 3,
+            btc_sats: 1_000_000,
+            usdt_amount: '650000000',
+            min_btc_sats: 100_000,
+            max_btc_sats: 500_000,
+            oracle_spread_bps: -100,
+          },
+        ],
+      }),
+    },
+    // 60,000 median - 1% = 59,400 USDT/BTC
+    rfq(2, 'swap_range_ok', 200_000, '118000000'),
+    rfq(3, 'swap_range_pricey', 200_000, '119000000'),
+    rfq(4, 'swap_range_small', 50_000, '29000000'),
+  ];
+
+  const quoteWith = async (snapshotTs) => {
+    const posted = [];
+    let readOnce = false;
+    let priceCalls = 0;
+    const mgr = new TradeAutoManager({
+      scLogInfo: () => ({ latest_seq: 4 }),
+      scLogRead: () => {
+        if (readOnce) return { latest_seq: 4, events: [] };
+        readOnce = true;
+        return { latest_seq: 4, events };
+      },
+      runTool: async ({ tool, args }) => {
+        if (tool === 'intercomswap_sc_subscribe') return { type: 'subscribed' };
+        if (tool === 'intercomswap_sc_info') return { peer: MAKER };
+        if (tool === 'intercomswap_sol_signer_pubkey') return { pubkey: SOL_RECIPIENT };
+        if (tool === 'intercomswap_sc_stats') return { channels: [] };
+        if (tool === 'intercomswap_sc_price_get') {
+          priceCalls += 1;
+          return { type: 'price_snapshot', ok: true, ts: snapshotTs, pairs: { BTC_USDT: { ok: true, median: 60_000 } } };
+        }
+        if (tool === 'intercomswap_quote_post_from_rfq') {
+          posted.push({ tool, args });
+          return { type: 'quote_posted' };
+        }
+        throw new Error(`unexpected tool: ${tool}`);
+      },
+    });
+
+    try {
+      await mgr.start({
+        channels: ['0000intercomswapbtcusdt'],
+        usdt_mint: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB',
+        enable_quote_from_offers: true,
+        enable_accept_quotes: false,
+        enable_invite_from_accepts: false,
+        enable_join_invites: false,
+        enable_settlement: false,
+      });
+      assert.equal(priceCalls, 1);
+      return posted;
+    } finally {
+      await mgr.stop({ reason: 'test_done' });
+    }
+  };
+
+  const posted = await quoteWith(Date.now());
+  assert.deepEqual(posted.map((p) => p.args.rfq_envelope.trade_id), ['swap_range_ok']);
+  assert.equal(Number(posted[0].args.offer_line_index), 3);
+
+  // a stale consensus (older than the maker pricing max_age_ms) prices nothing
+  assert.deepEqual(await quoteWith(Date.now() - 10 * 60_000), []);
+});
+
 test('tradeauto: RFQ auto-quote can run without offer match when enabled', async () => {
   const tradeId = 'swap_test_rfq_auto_1';
   const now = Date.now();
@@ -544,6 +646,106 @@ test('tradeauto: aggregate liquidity mode is honored for RFQ auto-accept', async
   }
 });
 
+test('tradeauto: quote window collects competing quotes and accepts the best one', async () => {
+  const tradeId = 'swap_test_accept_best_1';
+  const now = Date.now();
+  const OTHER_MAKER = 'c'.repeat(64);
+  const quoteBody = (usdtAmount) => ({
+    rfq_id: '1'.repeat(64),
+    direction: 'BTC_LN->USDT_SOL',
+    btc_sats: 10000,
+    usdt_amount: usdtAmount,
+    platform_fee_bps: 10,
+    trade_fee_bps: 10,
+  });
+  const events = [
+    {
+      seq: 1,
+      ts: now,
+      channel: '0000intercomswapbtcusdt',
+      kind: 'swap.rfq',
+      local: true,
+      message: env('swap.rfq', tradeId, TAKER, {
+        direction: 'BTC_LN->USDT_SOL',
+        btc_sats: 10000,
+        usdt_amount: '1000000',
+        max_trade_fee_bps: 10,
+        valid_until_unix: Math.floor((now + 120_000) / 1000),
+      }),
+    },
+    { seq: 2, ts: now + 1, channel: '0000intercomswapbtcusdt', kind: 'swap.quote', message: env('swap.quote', tradeId, MAKER, quoteBody('1000000')) },
+    { seq: 3, ts: now + 2, channel: '0000intercomswapbtcusdt', kind: 'swap.quote', message: env('swap.quote', tradeId, OTHER_MAKER, quoteBody('1005000')) },
+    {
+      seq: 4,
+      ts: now + 3,
+      channel: '0000intercomswapbtcusdt',
+      kind: 'swap.quote',
+      message: env('swap.quote', tradeId, MAKER, { ...quoteBody('1010000'), trade_fee_bps: 50 }),
+    },
+  ];
+
+  const run = async (quoteWindowMs, evts = events) => {
+    const accepted = [];
+    const recorded = [];
+    let readOnce = false;
+    const mgr = new TradeAutoManager({
+      scLogInfo: () => ({ latest_seq: 4 }),
+      scLogRead: () => {
+        if (readOnce) return { latest_seq: 4, events: [] };
+        readOnce = true;
+        return { latest_seq: 4, events: evts };
+      },
+      makerStats: async (signers) => new Map(signers.map((s) => [s, { completed: 3, failed: 0 }])),
+      recordQuoteRejections: async (id, rejected) => {
+        for (const r of rejected) recorded.push({ trade_id: id, ...r });
+      },
+      runTool: async ({ tool, args }) => {
+        if (tool === 'intercomswap_sc_subscribe') return { type: 'subscribed' };
+        if (tool === 'intercomswap_sc_info') return { peer: TAKER };
+        if (tool === 'intercomswap_sol_signer_pubkey') return { pubkey: SOL_RECIPIENT };
+        if (tool === 'intercomswap_sc_stats') return { channels: [] };
+        if (tool === 'intercomswap_quote_accept') {
+          accepted.push(args);
+          return { type: 'quote_accept_posted' };
+        }
+        throw new Error(`unexpected tool: ${tool}`);
+      },
+    });
+    try {
+      await mgr.start({
+        channels: ['0000intercomswapbtcusdt'],
+        usdt_mint: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB',
+        enable_quote_from_offers: false,
+        enable_accept_quotes: true,
+        quote_window_ms: quoteWindowMs,
+        enable_invite_from_accepts: false,
+        enable_join_invites: false,
+        enable_settlement: false,
+      });
+    } finally {
+      await mgr.stop({ reason: 'test_done' });
+    }
+    return { accepted, recorded };
+  };
+
+  const waiting = await run(30_000);
+  assert.equal(waiting.accepted.length, 0, 'still inside the quote window');
+  assert.equal(waiting.recorded.length, 0);
+
+  const { accepted, recorded } = await run(0);
+  assert.equal(accepted.length, 1);
+  assert.equal(accepted[0].quote_envelope.signer, 'c'.repeat(64));
+  assert.equal(accepted[0].quote_envelope.body.usdt_amount, '1005000');
+  // outranked quotes ride along with the accept, RFQ violations are recorded right away
+  assert.deepEqual(accepted[0].rejected_quotes.map((r) => r.reason), ['outranked']);
+  assert.deepEqual(recorded.map((r) => [r.trade_id, r.signer, r.reason]), [[tradeId, MAKER, 'trade fee above RFQ cap']]);
+
+  // every quote breaks the RFQ: nothing is accepted, each one is still recorded
+  const allBad = await run(0, [events[0], events[3]]);
+  assert.equal(allBad.accepted.length, 0);
+  assert.deepEqual(allBad.recorded.map((r) => r.reason), ['trade fee above RFQ cap']);
+});
+
 test('tradeauto: backend auto-leaves stale swap channels (expired invite)', async () => {
   const tradeId = 'swap_test_2';
   const left = [];
@@ -1496,3 +1698,110 @@ test('tradeauto: maker aborts immediately when payer reports ln_route_precheck_f
     await mgr.stop({ reason: 'test_done' });
   }
 });
+
+test('tradeauto: USDT_SOL->BTC_LN taker invoices and escrows, maker pays', async () => {
+  const tradeId = 'swap_test_reverse';
+  const swapChannel = `swap:${tradeId}`;
+  const now = Date.now();
+  const takerSol = '2JfWqV6nS6f7QjE9pP2WfW2z1CYKo7U2uC8hYq7pW6sM';
+  const termsEnv = env('swap.terms', tradeId, MAKER, {
+    direction: 'USDT_SOL->BTC_LN',
+    btc_sats: 1000,
+    usdt_amount: '670000',
+    sol_mint: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB',
+    sol_recipient: SOL_RECIPIENT,
+    sol_refund: takerSol,
+    sol_refund_after_unix: Math.floor((now + 72 * 3600 * 1000) / 1000),
+    ln_receiver_peer: TAKER,
+    ln_payer_peer: MAKER,
+    trade_fee_collector: SOL_RECIPIENT,
+  });
+  const invoiceEnv = env('swap.ln_invoice', tradeId, TAKER, {
+    bolt11: 'lnbcrt10u1dummy',
+    payment_hash_hex: '7c6f5c649f23e336232cde59265643f8e038c34b41ca33c3839d7f932cf70cd2',
+  });
+  const escrowEnv = env('swap.sol_escrow_created', tradeId, TAKER, {
+    payment_hash_hex: '7c6f5c649f23e336232cde59265643f8e038c34b41ca33c3839d7f932cf70cd2',
+  });
+
+  const run = async ({ peer, solSigner, events }) => {
+    const calls = [];
+    const mgr = new TradeAutoManager({
+      scLogInfo: () => ({ latest_seq: events.length }),
+      scLogRead: () => ({ latest_seq: events.length, events }),
+      runTool: async ({ tool, args }) => {
+        if (tool === 'intercomswap_sc_subscribe') return { type: 'subscribed' };
+        if (tool === 'intercomswap_sc_info') return { peer };
+        if (tool === 'intercomswap_sol_signer_pubkey') return { pubkey: solSigner };
+        if (tool === 'intercomswap_sc_stats') return { channels: [swapChannel] };
+        calls.push({ tool, args });
+        return { type: 'ok' };
+      },
+    });
+    try {
+      await mgr.start({
+        channels: ['0000intercomswapbtcusdt'],
+        enable_quote_from_offers: false,
+        enable_quote_from_rfqs: false,
+        enable_accept_quotes: false,
+        enable_invite_from_accepts: false,
+        enable_join_invites: false,
+        enable_settlement: true,
+      });
+    } finally {
+      await mgr.stop({ reason: 'test_done' });
+    }
+    return calls.map((c) => c.tool);
+  };
+  const seq = (list) => list.map(([kind, message], i) => ({ seq: i + 1, ts: now + i, channel: swapChannel, kind, message }));
+  const rfqEvent = (direction) => ({
+    seq: 0,
+    ts: now - 1,
+    channel: '0000intercomswapbtcusdt',
+    kind: 'swap.rfq',
+    local: true,
+    message: env('swap.rfq', tradeId, TAKER, { direction, btc_sats: 1000, usdt_amount: '670000' }),
+  });
+
+  // taker = LN receiver: accepts the terms bound to its refund address, then creates the invoice
+  const termsOnly = seq([['swap.terms', termsEnv]]);
+  assert.deepEqual(await run({ peer: TAKER, solSigner: takerSol, events: [rfqEvent('USDT_SOL->BTC_LN'), ...termsOnly] }), [
+    'intercomswap_terms_accept_from_terms',
+  ]);
+  // The RFQ fixes the direction: TERMS turning a reverse RFQ into a forward trade are not accepted.
+  const flipped = env('swap.terms', tradeId, MAKER, { ...termsEnv.body, direction: 'BTC_LN->USDT_SOL' });
+  assert.deepEqual(
+    await run({ peer: TAKER, solSigner: takerSol, events: [rfqEvent('USDT_SOL->BTC_LN'), ...seq([['swap.terms', flipped]])] }),
+    [],
+    'forward terms for a reverse RFQ'
+  );
+  // ...and so does the settlement asset: USDC terms for a (legacy) USDT RFQ are not accepted either.
+  const usdcMint = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+  const otherAsset = env('swap.terms', tradeId, MAKER, {
+    ...termsEnv.body,
+    sol_mint: usdcMint,
+    sol_asset: { asset: 'USDC_SOL', mint: usdcMint, decimals: 6 },
+  });
+  assert.deepEqual(
+    await run({ peer: TAKER, solSigner: takerSol, events: [rfqEvent('USDT_SOL->BTC_LN'), ...seq([['swap.terms', otherAsset]])] }),
+    [],
+    'USDC terms for a USDT RFQ'
+  );
+  assert.deepEqual(await run({ peer: TAKER, solSigner: takerSol, events: termsOnly }), [], 'no local RFQ to bind the terms to');
+  const accepted = seq([
+    ['swap.terms', termsEnv],
+    ['swap.accept', env('swap.accept', tradeId, TAKER, {})],
+  ]);
+  assert.deepEqual(await run({ peer: TAKER, solSigner: takerSol, events: accepted }), ['intercomswap_swap_ln_invoice_create_and_post']);
+  assert.deepEqual(await run({ peer: MAKER, solSigner: SOL_RECIPIENT, events: accepted }), [], 'the maker does not invoice');
+
+  // maker = LN payer: prechecks the route, then pays once the taker locked the USDT
+  const invoiced = [...accepted.map((e) => [e.kind, e.message]), ['swap.ln_invoice', invoiceEnv]];
+  assert.deepEqual(await run({ peer: MAKER, solSigner: SOL_RECIPIENT, events: seq(invoiced) }), [
+    'intercomswap_swap_ln_route_precheck_from_terms_invoice',
+    'intercomswap_swap_status_post',
+  ]);
+  assert.deepEqual(await run({ peer: MAKER, solSigner: SOL_RECIPIENT, events: seq([...invoiced, ['swap.sol_escrow_created', escrowEnv]]) }), [
+    'intercomswap_swap_ln_pay_and_post_verified',
+  ]);
+});
@@ -0,0 +1,180 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Keypair, PublicKey } from '@solana/web3.js';
+import { ethers } from 'ethers';
+
+import { decodeSolanaSimError, decodeTokenAccount, simulateEvmTx, simulateSolanaTx } from '../src/core/txSimulation.js';
+
+const TOKEN = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+const USDC = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const SOL = 'So11111111111111111111111111111111111111112';
+
+function tokenAccountData(mint, owner, amount) {
+  const b = Buffer.alloc(165);
+  new PublicKey(mint).toBuffer().copy(b, 0);
+  new PublicKey(owner).toBuffer().copy(b, 32);
+  b.writeBigUInt64LE(BigInt(amount), 64);
+  return b;
+}
+
+test('tx simulation: decodes SPL token accounts and ignores other owners', () => {
+  const owner = Keypair.generate().publicKey.toBase58();
+  const data = tokenAccountData(USDC, owner, 1234);
+
+  assert.deepEqual(decodeTokenAccount({ owner: new PublicKey(TOKEN), data }), { mint: USDC, owner, amount: '1234' });
+  assert.deepEqual(decodeTokenAccount({ owner: TOKEN, data: [data.toString('base64'), 'base64'] }).amount, '1234');
+  assert.equal(decodeTokenAccount({ owner: '11111111111111111111111111111111', data }), null);
+  assert.equal(decodeTokenAccount(null), null);
+});
+
+test('tx simulation: solana errors prefer program logs, then InstructionError', () => {
+  const logs = ['Program JUP6 invoke [1]', 'Program log: AnchorError occurred. Error Code: SlippageToleranceExceeded. Error Number: 6001. Error Message: Slippage tolerance exceeded.'];
+  assert.equal(decodeSolanaSimError({ InstructionError: [3, { Custom: 6001 }] }, logs), 'Slippage tolerance exceeded');
+  assert.equal(decodeSolanaSimError({ InstructionError: [3, { Custom: 6001 }] }, []), 'instruction 3: custom program error 0x1771');
+  assert.equal(decodeSolanaSimError({ InstructionError: [0, 'InvalidAccountData'] }, []), 'instruction 0: InvalidAccountData');
+  assert.equal(decodeSolanaSimError('BlockhashNotFound', []), 'BlockhashNotFound');
+  assert.equal(decodeSolanaSimError(null, logs), null);
+});
+
+test('tx simulation: solana balance deltas from pre-state vs simulated post-state', async () => {
+  const owner = Keypair.generate().publicKey.toBase58();
+  const usdcAccount = Keypair.generate().publicKey;
+  let simConfig = null;
+
+  const connection = {
+    async getTokenAccountsByOwner(_owner, { programId }) {
+      return { value: programId.toBase58() === TOKEN ? [{ pubkey: usdcAccount }] : [] };
+    },
+    async getMultipleAccountsInfo(keys) {
+      return keys.map((k) => {
+        const a = k.toBase58();
+        if (a === owner) return { owner: new PublicKey('11111111111111111111111111111111'), lamports: 2_000_000_000, data: Buffer.alloc(0) };
+        if (a === usdcAccount.toBase58()) return { owner: new PublicKey(TOKEN), lamports: 2039280, data: tokenAccountData(USDC, owner, 5_000_000) };
+        return null;
+      });
+    },
+    async simulateTransaction(_tx, config) {
+      simConfig = config;
+      const accounts = config.accounts.addresses.map((a) => {
+        if (a === owner) return { owner: '11111111111111111111111111111111', lamports: 1_899_995_000, data: ['', 'base64'] };
+        if (a === usdcAccount.toBase58()) return { owner: TOKEN, lamports: 2039280, data: [tokenAccountData(USDC, owner, 19_000_000).toString('base64'), 'base64'] };
+        return null;
+      });
+      return { value: { err: null, logs: ['Program log: ok'], unitsConsumed: 123456, accounts } };
+    },
+  };
+
+  const sim = await simulateSolanaTx({ connection, tx: {}, owner, mints: [SOL, USDC] });
+
+  assert.equal(sim.ok, true);
+  assert.equal(sim.error, null);
+  assert.equal(sim.unitsConsumed, 123456);
+  assert.equal(simConfig.sigVerify, false);
+  // owner + held account + Token / Token-2022 ATAs of both mints, deduplicated
+  assert.ok(simConfig.accounts.addresses.includes(owner));
+  assert.equal(new Set(simConfig.accounts.addresses).size, simConfig.accounts.addresses.length);
+  assert.deepEqual(sim.balanceDeltas, [
+    { account: owner, mint: 'SOL', pre: '2000000000', post: '1899995000', delta: '-100005000' },
+    { account: usdcAccount.toBase58(), mint: USDC, pre: '5000000', post: '19000000', delta: '14000000' },
+  ]);
+});
+
+test('tx simulation: only watches the token accounts the tx touches, reading them 100 at a time', async () => {
+  const owner = Keypair.generate().publicKey;
+  const held = Array.from({ length: 150 }, () => Keypair.generate().publicKey);
+  const touched = held[120];
+  const batches = [];
+  let simAddresses = null;
+
+  const connection = {
+    async getTokenAccountsByOwner(_owner, { programId }) {
+      return { value: programId.toBase58() === TOKEN ? held.map((pubkey) => ({ pubkey })) : [] };
+    },
+    async getMultipleAccountsInfo(keys) {
+      batches.push(keys.length);
+      return keys.map(() => null);
+    },
+    async simulateTransaction(_tx, config) {
+      simAddresses = config.accounts.addresses;
+      return { value: { err: null, logs: [], accounts: simAddresses.map(() => null) } };
+    },
+  };
+
+  const tx = { message: { staticAccountKeys: [owner, touched, new PublicKey(USDC)] } };
+  await simulateSolanaTx({ connection, tx, owner: owner.toBase58(), mints: [USDC] });
+  // owner + the one held account in the tx + Token / Token-2022 ATAs of USDC
+  assert.equal(simAddresses.length, 4);
+  assert.ok(simAddresses.includes(touched.toBase58()));
+  assert.ok(!simAddresses.includes(held[0].toBase58()));
+
+  // no message keys to filter by: every held account, in batches of at most 100
+  batches.length = 0;
+  await simulateSolanaTx({ connection, tx: {}, owner: owner.toBase58() });
+  assert.deepEqual(batches, [100, 51]);
+});
+
+test('tx simulation: failed solana simulation reports the error without deltas', async () => {
+  const owner = Keypair.generate().publicKey.toBase58();
+  const connection = {
+    async getTokenAccountsByOwner() {
+      return { value: [] };
+    },
+    async getMultipleAccountsInfo(keys) {
+      return keys.map(() => null);
+    },
+    async simulateTransaction() {
+      return { value: { err: { InstructionError: [2, { Custom: 1 }] }, logs: ['Program log: Error: insufficient funds'], unitsConsumed: 4000, accounts: null } };
+    },
+  };
+
+  const sim = await simulateSolanaTx({ connection, tx: {}, owner });
+  assert.equal(sim.ok, false);
+  assert.equal(sim.error, 'insufficient funds');
+  assert.deepEqual(sim.balanceDeltas, []);
+});
+
+test('tx simulation: evm revert is decoded and gas is estimated on success', async () => {
+  const from = ethers.Wallet.createRandom().address;
+  const tx = { to: ethers.Wallet.createRandom().address, data: '0x1234', value: 5n };
+  const revertData = '0x08c379a0' + ethers.AbiCoder.defaultAbiCoder().encode(['string'], ['TRANSFER_FROM_FAILED']).slice(2);
+
+  const reverting = {
+    async call() {
+      throw Object.assign(new Error('execution reverted'), { data: revertData });
+    },
+  };
+  const failed = await simulateEvmTx({ provider: reverting, tx, from });
+  assert.equal(failed.ok, false);
+  assert.equal(failed.error, 'TRANSFER_FROM_FAILED');
+
+  const token = ethers.Wallet.createRandom().address;
+  const uint = (n) => ethers.AbiCoder.defaultAbiCoder().encode(['uint256'], [n]);
+  let simulated = null;
+  const ok = {
+    async call(req) {
+      assert.equal(req.from, from);
+      assert.equal(req.value, 5n);
+      return '0x';
+    },
+    async estimateGas() {
+      return 150000n;
+    },
+    async send(method, params) {
+      assert.equal(method, 'eth_simulateV1');
+      simulated = params[0].blockStateCalls[0].calls;
+      return [{ calls: [{ returnData: uint(10) }, { returnData: '0x' }, { returnData: uint(35) }] }];
+    },
+  };
+  const sim = await simulateEvmTx({ provider: ok, tx, from, tokens: ['ETH', token] });
+  assert.equal(sim.ok, true);
+  assert.equal(sim.gasEstimate, '150000');
+  assert.equal(simulated.length, 3);
+  assert.deepEqual(sim.balanceDeltas, [{ token: ethers.getAddress(token), pre: '10', post: '35', delta: '25' }]);
+
+  // RPC without eth_simulateV1: still ok, deltas unknown
+  const noSim = { ...ok, async send() { throw Object.assign(new Error('method not found'), { code: -32601 }); } };
+  const partial = await simulateEvmTx({ provider: noSim, tx, from, tokens: [token] });
+  assert.equal(partial.ok, true);
+  assert.equal(partial.balanceDeltas, null);
+});
@@ -0,0 +1,94 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ethers } from 'ethers';
+
+import { decodeRevertReason, erc20ReceivedFromReceipt, trackEvmTx, trackSolanaTx } from '../src/core/txTracker.js';
+
+function fakeSolConnection(statuses, heights = []) {
+  const calls = { status: 0, height: 0, sent: 0 };
+  return {
+    calls,
+    async getSignatureStatuses() {
+      const v = statuses[Math.min(calls.status, statuses.length - 1)];
+      calls.status += 1;
+      return { value: [v] };
+    },
+    async getBlockHeight() {
+      const h = heights[Math.min(calls.height, heights.length - 1)];
+      calls.height += 1;
+      return h;
+    },
+    async sendRawTransaction() {
+      calls.sent += 1;
+      return 'sig';
+    },
+  };
+}
+
+const noSleep = async () => {};
+
+test('txTracker: solana waits for the requested commitment', async () => {
+  const connection = fakeSolConnection([
+    null,
+    { slot: 10, confirmationStatus: 'processed', err: null },
+    { slot: 10, confirmationStatus: 'confirmed', err: null },
+  ], [100]);
+  const r = await trackSolanaTx({ connection, signature: 'sig', lastValidBlockHeight: 200, rawTx: Buffer.from([1]), rebroadcastMs: 0, sleepFn: noSleep });
+  assert.equal(r.status, 'confirmed');
+  assert.equal(r.slot, 10);
+  assert.equal(connection.calls.sent, 2);
+});
+
+test('txTracker: solana reports on-chain errors', async () => {
+  const connection = fakeSolConnection([{ slot: 7, confirmationStatus: 'confirmed', err: { InstructionError: [2, { Custom: 6001 }] } }]);
+  const r = await trackSolanaTx({ connection, signature: 'sig', sleepFn: noSleep });
+  assert.equal(r.status, 'failed');
+  assert.deepEqual(r.err, { InstructionError: [2, { Custom: 6001 }] });
+});
+
+test('txTracker: solana detects blockhash expiry', async () => {
+  const connection = fakeSolConnection([null], [150, 201]);
+  const r = await trackSolanaTx({ connection, signature: 'sig', lastValidBlockHeight: 200, sleepFn: noSleep });
+  assert.equal(r.status, 'expired');
+});
+
+test('txTracker: decodeRevertReason handles Error(string), Panic and custom errors', () => {
+  const iface = new ethers.Interface(['error Error(string)', 'error Panic(uint256)']);
+  assert.equal(decodeRevertReason(iface.encodeErrorResult('Error', ['TRANSFER_FROM_FAILED'])), 'TRANSFER_FROM_FAILED');
+  assert.equal(decodeRevertReason(iface.encodeErrorResult('Panic', [0x11])), 'Panic(0x11)');
+  assert.equal(decodeRevertReason('0xdeadbeef'), 'custom error 0xdeadbeef');
+  assert.equal(decodeRevertReason('0x'), null);
+});
+
+test('txTracker: evm reverted receipt replays the call for a reason', async () => {
+  const iface = new ethers.Interface(['error Error(string)']);
+  const provider = {
+    async waitForTransaction() {
+      return { status: 0, blockNumber: 5, gasUsed: 21000n, gasPrice: 2n, logs: [] };
+    },
+    async call() {
+      const e = new Error('execution reverted');
+      e.data = iface.encodeErrorResult('Error', ['Too little received']);
+      throw e;
+    },
+  };
+  const r = await trackEvmTx({ provider, txHash: '0x1', tx: { to: '0x2', data: '0x' } });
+  assert.equal(r.status, 'reverted');
+  assert.equal(r.revertReason, 'Too little received');
+  assert.equal(r.fee, '42000');
+});
+
+test('txTracker: erc20ReceivedFromReceipt sums Transfer logs to owner', () => {
+  const token = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+  const owner = '0x1111111111111111111111111111111111111111';
+  const other = '0x2222222222222222222222222222222222222222';
+  const topic = ethers.id('Transfer(address,address,uint256)');
+  const log = (to, amount, address = token) => ({
+    address,
+    topics: [topic, ethers.zeroPadValue(other, 32), ethers.zeroPadValue(to, 32)],
+    data: ethers.toBeHex(amount, 32),
+  });
+  const receipt = { logs: [log(owner, 100n), log(other, 5n), log(owner, 20n), log(owner, 7n, other)] };
+  assert.equal(erc20ReceivedFromReceipt(receipt, { token, owner }), '120');
+});
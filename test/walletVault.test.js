@@ -0,0 +1,141 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'node:fs';
+
+import bs58 from 'bs58';
+import { Keypair } from '@solana/web3.js';
+import { ethers } from 'ethers';
+
+import { autoLockSecToMs, createWalletVault, parseWalletSecret } from '../src/core/walletVault.js';
+
+const PASS = 'correct horse battery staple';
+// cheap scrypt params keep the suite fast; the default stays N=32768
+const KDF = { N: 1024, r: 8, p: 1 };
+
+function tmpVaultPath() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'intercomswap-vault-'));
+  return path.join(dir, 'wallets.json');
+}
+
+test('wallet vault: wallets survive a restart and unlock with the passphrase', async () => {
+  const filePath = tmpVaultPath();
+  const sol = Keypair.generate();
+  const evm = ethers.Wallet.createRandom();
+
+  const v1 = createWalletVault({ filePath, kdf: KDF, autoLockMs: 0 });
+  await v1.init(PASS);
+  await v1.unlock(PASS);
+  v1.addWallet({ name: 'burner1', type: 'sol', secret: bs58.encode(sol.secretKey) });
+  v1.addWallet({ name: 'base1', type: 'evm', secret: evm.privateKey });
+
+  const v2 = createWalletVault({ filePath, kdf: KDF, autoLockMs: 0 });
+  assert.equal(v2.isUnlocked(), false);
+  // public index is readable while locked
+  assert.deepEqual(v2.status().wallets.map((w) => w.name).sort(), ['base1', 'burner1']);
+  assert.throws(() => v2.solKeypair('burner1'), /locked/);
+
+  await v2.unlock(PASS);
+  assert.equal(v2.solKeypair('burner1').publicKey.toBase58(), sol.publicKey.toBase58());
+  assert.equal(v2.evmWallet('base1').address, evm.address);
+  // no name -> first wallet of that type
+  assert.equal(v2.evmWallet().address, evm.address);
+  assert.throws(() => v2.solKeypair('base1'), /not a sol wallet/);
+});
+
+test('wallet vault: file never contains secrets; wrong passphrase and tampering are rejected', async () => {
+  const filePath = tmpVaultPath();
+  const sol = Keypair.generate();
+  const v = createWalletVault({ filePath, kdf: KDF, autoLockMs: 0 });
+  await v.init(PASS);
+  await v.unlock(PASS);
+  v.addWallet({ name: 'burner1', type: 'sol', secret: JSON.stringify(Array.from(sol.secretKey)) });
+
+  const raw = fs.readFileSync(filePath, 'utf8');
+  assert.equal(raw.includes(bs58.encode(sol.secretKey)), false);
+  assert.equal(raw.includes(sol.publicKey.toBase58()), true);
+
+  const fresh = createWalletVault({ filePath, kdf: KDF });
+  await assert.rejects(fresh.unlock('not the passphrase'), /wrong passphrase/);
+  assert.equal(fresh.isUnlocked(), false);
+
+  // bumping the KDF cost in the header breaks the authenticated data
+  const doc = JSON.parse(raw);
+  fs.writeFileSync(filePath, JSON.stringify({ ...doc, kdf: { ...doc.kdf, p: 2 } }));
+  await assert.rejects(fresh.unlock(PASS), /wrong passphrase or corrupted/);
+});
+
+test('wallet vault: validates init, names and secrets', async () => {
+  const filePath = tmpVaultPath();
+  const v = createWalletVault({ filePath, kdf: KDF, autoLockMs: 0 });
+
+  await assert.rejects(v.unlock(PASS), /not initialized/);
+  await assert.rejects(v.init('short'), /at least 12/);
+  await v.init(PASS);
+  await assert.rejects(v.init(PASS), /already initialized/);
+  assert.throws(() => v.addWallet({ name: 'a', type: 'sol', secret: 'x' }), /locked/);
+
+  await v.unlock(PASS);
+  const pk = ethers.Wallet.createRandom().privateKey;
+  assert.throws(() => v.addWallet({ name: '../etc', type: 'evm', secret: pk }), /wallet name/);
+  assert.throws(() => v.addWallet({ name: 'x', type: 'btc', secret: pk }), /unknown wallet type/);
+  assert.throws(() => v.addWallet({ name: 'x', type: 'evm', secret: '0x1234' }), /invalid EVM private key/);
+  v.addWallet({ name: 'x', type: 'evm', secret: pk.slice(2) });
+  assert.throws(() => v.addWallet({ name: 'x', type: 'evm', secret: pk }), /already exists/);
+
+  v.removeWallet('x');
+  assert.deepEqual(v.status().wallets, []);
+  assert.equal(parseWalletSecret('evm', pk.slice(2)).secret, pk);
+});
+
+test('wallet vault: auto-locks after the idle timeout', async () => {
+  const filePath = tmpVaultPath();
+  const v = createWalletVault({ filePath, kdf: KDF, autoLockMs: 0 });
+  await v.init(PASS);
+
+  const status = await v.unlock(PASS, { autoLockMs: 30 });
+  assert.equal(status.unlocked, true);
+  assert.ok(status.autoLockAt > Date.now());
+
+  await new Promise((r) => setTimeout(r, 60));
+  assert.equal(v.isUnlocked(), false);
+  assert.equal(v.status().autoLockAt, null);
+
+  await v.unlock(PASS, { autoLockMs: 0 });
+  v.lock();
+  assert.equal(v.isUnlocked(), false);
+});
+
+test('wallet vault: autoLockSec is 0 or a bounded integer', async () => {
+  assert.equal(autoLockSecToMs(0), 0);
+  assert.equal(autoLockSecToMs(60), 60_000);
+  assert.equal(autoLockSecToMs('900'), 900_000);
+  assert.equal(autoLockSecToMs(86_400), 86_400_000);
+  for (const bad of [59, 86_401, -1, 1.5, 'abc', '', null, true, '1e3']) {
+    assert.throws(() => autoLockSecToMs(bad), /autoLockSec must be 0 \(never lock\) or an integer between 60 and 86400/, String(bad));
+  }
+
+  const v = createWalletVault({ filePath: tmpVaultPath(), kdf: KDF, autoLockMs: 0 });
+  await v.init(PASS);
+  await assert.rejects(v.unlock(PASS, { autoLockMs: Number.NaN }), /autoLockMs must be a non-negative integer/);
+  assert.throws(() => createWalletVault({ filePath: tmpVaultPath(), autoLockMs: -5 }), /autoLockMs/);
+});
+
+test('wallet vault: names like __proto__ are ordinary wallets', async () => {
+  const filePath = tmpVaultPath();
+  const v = createWalletVault({ filePath, kdf: KDF, autoLockMs: 0 });
+  await v.init(PASS);
+  await v.unlock(PASS);
+
+  assert.throws(() => v.solKeypair('toString'), /no wallet named toString/);
+  assert.throws(() => v.removeWallet('constructor'), /no wallet named constructor/);
+  const sol = Keypair.generate();
+  v.addWallet({ name: '__proto__', type: 'sol', secret: bs58.encode(sol.secretKey) });
+  assert.equal(v.solKeypair('__proto__').publicKey.toBase58(), sol.publicKey.toBase58());
+
+  const again = createWalletVault({ filePath, kdf: KDF, autoLockMs: 0 });
+  await again.unlock(PASS);
+  assert.deepEqual(again.status().wallets.map((w) => w.name), ['__proto__']);
+  assert.equal(again.solKeypair().publicKey.toBase58(), sol.publicKey.toBase58());
+});
@@ -1740,6 +1740,19 @@ function App() {
     return cj && typeof cj === 'object' ? cj : null;
   }
 
+  // Ranked list of the quotes received for one of our RFQs (same ranking as tradeauto's quote window).
+  async function rankQuotesForRfq(rfqEvt: any) {
+    const tradeId = String(rfqEvt?.message?.trade_id || '').trim();
+    if (!tradeId) throw new Error('rfq event missing trade_id');
+    const channel = String(rfqEvt?.channel || '').trim();
+    const out = await runToolFinal('intercomswap_quotes_rank', { trade_id: tradeId, ...(channel ? { channel } : {}) }, { auto_approve: true });
+    const cj = out?.content_json;
+    if (!cj || typeof cj !== 'object' || String((cj as any).type || '') !== 'quotes_ranked') {
+      throw new Error(String((cj as any)?.error || 'quotes_rank failed'));
+    }
+    setSelected({ type: 'quotes_ranked', evt: rfqEvt, ranking: cj });
+  }
+
   async function quoteFromRfqEnvelope(rfqEvt: any, opts: { origin: 'manual' }) {
     const channel = String((rfqEvt as any)?.channel || '').trim();
     const msg = rfqEvt?.message;
@@ -6474,6 +6487,13 @@ function App() {
                       showCancel={Boolean(it.badge)}
 		                      onSelect={() => setSelected({ type: it.badge ? 'rfq_posted' : 'rfq', evt: it.evt })}
 		                      onQuote={() => {}}
+                      onRank={
+                        it.badge
+                          ? () => {
+                              void rankQuotesForRfq(it.evt).catch((e: any) => pushToast('error', e?.message || String(e)));
+                            }
+                          : null
+                      }
                       onCancel={() => {
                         void (async () => {
                           try {
@@ -8539,6 +8559,7 @@ function App() {
               </div>
             </div>
             <div className="modal-bd">
+              {selected?.type === 'quotes_ranked' ? <RankedQuotes ranking={selected.ranking} /> : null}
               <pre className="code" style={{ maxHeight: '60vh' }}>{JSON.stringify(selected, null, 2)}</pre>
             </div>
           </div>
@@ -8594,6 +8615,9 @@ const READONLY_TOOLS = new Set<string>([
   'intercomswap_sol_config_get',
   'intercomswap_sol_trade_config_get',
 
+  // RFQ reads
+  'intercomswap_quotes_rank',
+
   // Receipts reads
   'intercomswap_receipts_list',
   'intercomswap_receipts_show',
@@ -9718,6 +9742,7 @@ function RfqRow({
   onSelect,
   onQuote,
   onCancel = null,
+  onRank = null,
   showQuote = true,
   showCancel = false,
 }: {
@@ -9726,6 +9751,7 @@ function RfqRow({
   onSelect: () => void;
   onQuote: () => void;
   onCancel?: (() => void) | null;
+  onRank?: (() => void) | null;
   showQuote?: boolean;
   showCancel?: boolean;
 }) {
@@ -9753,6 +9779,7 @@ function RfqRow({
   const priceDisplay = pricePerBtc !== null ? formatHumanNumber(pricePerBtc, { maxFractionDigits: 2 }) : '?';
   const canQuote = Boolean(showQuote && !expired);
   const canCancel = Boolean(showCancel && !expired && typeof onCancel === 'function');
+  const canRank = typeof onRank === 'function';
   return (
     <div className={`rowitem ${expired ? 'expired' : ''}`} role="button" onClick={onSelect}>
       <div className="rowitem-top">
@@ -9768,8 +9795,19 @@ function RfqRow({
         <span className="muted">win {typeof minWin === 'number' ? secToHuman(minWin) : '?'}–{typeof maxWin === 'number' ? secToHuman(maxWin) : '?'}</span>
         <span className="dim">{validUntilIso ? `exp ${validUntilIso}` : ''}</span>
       </div>
-      {canQuote || canCancel ? (
+      {canQuote || canCancel || canRank ? (
         <div className="rowitem-bot">
+          {canRank ? (
+            <button
+              className="btn small"
+              onClick={(e) => {
+                e.stopPropagation();
+                onRank?.();
+              }}
+            >
+              Rank quotes
+            </button>
+          ) : null}
           {canQuote ? (
             <button
               className="btn small primary"
@@ -9798,6 +9836,49 @@ function RfqRow({
   );
 }
 
+// intercomswap_quotes_rank result: best quote first, then the quotes that break the RFQ.
+function RankedQuotes({ ranking }: { ranking: any }) {
+  const ranked = Array.isArray(ranking?.ranked) ? ranking.ranked : [];
+  const rejected = Array.isArray(ranking?.rejected) ? ranking.rejected : [];
+  const short = (hex: any) => {
+    const s = String(hex || '');
+    return s ? `${s.slice(0, 12)}…` : '?';
+  };
+  return (
+    <div style={{ marginBottom: 12 }}>
+      {!ranking?.rfq_found ? <p className="muted small">RFQ not found locally; quotes are ranked without its caps.</p> : null}
+      {ranked.length === 0 ? <p className="muted small">No acceptable quotes yet.</p> : null}
+      {ranked.map((r: any, i: number) => {
+        const stats = r?.maker_stats;
+        return (
+          <div key={String(r?.quote_id || i)} className="rowitem">
+            <div className="rowitem-top">
+              <span className={`mono chip ${i === 0 ? 'hi' : ''}`}>#{i + 1}</span>
+              <span className="mono">{atomicToDecimal(String(r?.usdt_amount || '0'), Number(r?.asset?.decimals ?? 6))}</span>{' '}
+              {String(r?.asset?.symbol || 'USDT')}
+              <span className="muted">score {r?.score_bps} bps</span>
+            </div>
+            <div className="rowitem-mid">
+              <span className="muted">maker <span className="mono">{short(r?.signer)}</span></span>
+              <span className="muted">price {r?.price_bps} / refund {r?.refund_bps} / reputation {r?.reputation_bps} bps</span>
+              {stats ? <span className="dim">{stats.completed} done, {stats.failed} failed</span> : null}
+            </div>
+          </div>
+        );
+      })}
+      {rejected.map((r: any, i: number) => (
+        <div key={`rej-${String(r?.quote_id || i)}`} className="rowitem expired">
+          <div className="rowitem-top">
+            <span className="mono chip warn">rejected</span>
+            <span className="muted">maker <span className="mono">{short(r?.signer)}</span></span>
+            <span className="dim">{String(r?.reason || '')}</span>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
 function OfferRow({
   evt,
   oracle,